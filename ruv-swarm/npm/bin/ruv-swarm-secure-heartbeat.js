@@ -1123,7 +1123,13 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                                 type: 'object',
                                 properties: {
                                     agentId: { type: 'string', description: 'Specific agent ID to train (optional)' },
-                                    iterations: { type: 'number', minimum: 1, maximum: 100, default: 10, description: 'Number of training iterations' }
+                                    iterations: { type: 'number', minimum: 1, maximum: 100, default: 10, description: 'Number of training iterations' },
+                                    modelType: { type: 'string', enum: ['feedforward', 'lstm', 'transformer', 'attention', 'cnn', 'gru', 'resnet', 'autoencoder', 'vae'], description: 'Model to train (lstm, gru, resnet, autoencoder or vae with dataPath)' },
+                                    dataPath: { type: 'string', description: 'CSV, JSONL or .npy file to train on (optional; simulated training without it)' },
+                                    target: { type: 'string', description: 'Column holding the value to predict' },
+                                    features: { type: 'array', items: { type: 'string' }, description: 'Input columns (default: all but the target)' },
+                                    window: { type: 'number', minimum: 1, description: 'Rows per sequence for lstm and gru (default 10)' },
+                                    outputPath: { type: 'string', description: 'Where to save the trained model checkpoint' }
                                 }
                             }
                         },
@@ -1284,23 +1290,41 @@ async function handleNeural(args) {
                 return await neuralCLI.status(args.slice(1));
             case 'train':
                 return await neuralCLI.train(args.slice(1));
+            case 'evaluate':
+                return await neuralCLI.evaluate(args.slice(1));
+            case 'quantize':
+                return await neuralCLI.quantize(args.slice(1));
+            case 'tune':
+                return await neuralCLI.tune(args.slice(1));
             case 'patterns':
                 return await neuralCLI.patterns(args.slice(1));
             case 'export':
                 return await neuralCLI.export(args.slice(1));
+            case 'import':
+                return await neuralCLI.import(args.slice(1));
             case 'help':
             default:
                 console.log(`Neural Network Commands:
   neural status                    Show neural network status
   neural train [options]           Train neural models
+  neural evaluate --model <ckpt>   Score a saved model on held-out data
+  neural quantize --model <ckpt>   Quantize a saved model to int8 or float16
+  neural tune --model <type>       Search hyperparameters on a dataset
   neural patterns [model]          View learned patterns
   neural export [options]          Export neural weights
+  neural import <model.onnx>       Import an ONNX model as a checkpoint
 
 Examples:
   ruv-swarm neural status
   ruv-swarm neural train --model attention --iterations 100
+  ruv-swarm neural train --data ./metrics.csv --model lstm --target cpu --epochs 20
+  ruv-swarm neural evaluate --model ./model.rsnm --data ./holdout.csv --json
+  ruv-swarm neural quantize --model ./model.rsnm --precision int8
+  ruv-swarm neural tune --model gru --data ./metrics.csv --target cpu --space ./space.json
   ruv-swarm neural patterns --model attention
-  ruv-swarm neural export --model all --output ./weights.json`);
+  ruv-swarm neural export --model all --output ./weights.json
+  ruv-swarm neural export --format onnx --model ./model.rsnm --output ./model.onnx
+  ruv-swarm neural import ./model.onnx --output ./model.rsnm`);
                 break;
         }
     } catch (error) {
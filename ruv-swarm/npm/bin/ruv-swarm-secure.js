@@ -9,6 +9,11 @@ import { spawn } from 'child_process';
 import { setupClaudeIntegration, invokeClaudeWithSwarm as _invokeClaudeWithSwarm } from '../src/claude-integration/index.js';
 import { RuvSwarm } from '../src/index-enhanced.js';
 import { EnhancedMCPTools } from '../src/mcp-tools-enhanced.js';
+import { McpHttpTransport, DEFAULT_PORT as DEFAULT_MCP_HTTP_PORT, DEFAULT_HOST as DEFAULT_MCP_HTTP_HOST } from '../src/mcp-http-transport.js';
+import { McpRequestRegistry, ToolContext } from '../src/mcp-progress.js';
+import { SwarmResources, RESOURCE_TEMPLATES } from '../src/mcp-resources.js';
+import { PromptCatalogue } from '../src/mcp-prompts.js';
+import { ValidationError as SchemaValidationError } from '../src/errors.js';
 import { daaMcpTools } from '../src/mcp-daa-tools.js';
 import mcpToolsEnhanced from '../src/mcp-tools-enhanced.js';
 import { Logger } from '../src/logger.js';
@@ -167,6 +172,10 @@ function stabilityLog(message) {
 let globalRuvSwarm = null;
 let globalMCPTools = null;
 let globalLogger = null;
+let globalSwarmResources = null;
+let globalPrompts = null;
+// Set by `cluster start`: the MCP server then runs its agents on worker processes
+let globalClusterOptions = null;
 
 // Initialize logger based on environment
 async function initializeLogger() {
@@ -247,9 +256,30 @@ async function initializeSystem() {
         }
     }
     
+    if (globalClusterOptions && !globalRuvSwarm.cluster) {
+        const { clusterCLI } = await import('../src/cluster/cli.js');
+        await clusterCLI.start(globalRuvSwarm, globalMCPTools, globalClusterOptions);
+    }
+    
     return { ruvSwarm: globalRuvSwarm, mcpTools: globalMCPTools };
 }
 
+// Live swarm:// resources, read from the same database the tools write to
+function getSwarmResources(mcpTools) {
+    if (!globalSwarmResources) {
+        globalSwarmResources = new SwarmResources((mcpTools || mcpToolsEnhanced).persistence, { logger: globalLogger });
+    }
+    return globalSwarmResources;
+}
+
+// Prompts rendered from the same definitions `init --claude` writes to .claude/commands
+function getPrompts() {
+    if (!globalPrompts) {
+        globalPrompts = new PromptCatalogue();
+    }
+    return globalPrompts;
+}
+
 async function handleInit(args) {
     try {
         const { mcpTools } = await initializeSystem();
@@ -526,9 +556,23 @@ async function handleMcp(args) {
     }
 }
 
+// Value of `--flag value` or `--flag=value`
+function getFlagValue(args, flag) {
+    const inline = args.find(arg => arg.startsWith(`${flag}=`));
+    if (inline) {
+        return inline.slice(flag.length + 1);
+    }
+    const index = args.indexOf(flag);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
+
 async function startMcpServer(args) {
-    const protocol = args.find(arg => arg.startsWith('--protocol='))?.split('=')[1] || 'stdio';
+    const protocol = getFlagValue(args, '--transport') || getFlagValue(args, '--protocol') || 'stdio';
     const enableStability = args.includes('--stability') || process.env.MCP_STABILITY === 'true';
+    if (args.includes('--resume-tasks')) {
+        // Read when the tools load the persisted swarms
+        process.env.RUV_SWARM_RESUME_TASKS = 'true';
+    }
     
     if (enableStability) {
         isStabilityMode = true;
@@ -573,6 +617,12 @@ async function startMcpServer(args) {
             
             let buffer = '';
             let messageCount = 0;
+            // stdio is a single connection: one set of in-flight tool calls
+            const connection = {
+                requests: new McpRequestRegistry(),
+                send: (message) => process.stdout.write(JSON.stringify(message) + '\n'),
+                subscriberId: 'stdio'
+            };
             // Infinite runtime - no activity tracking needed
             
             process.stdin.on('data', (chunk) => {
@@ -603,7 +653,12 @@ async function startMcpServer(args) {
                                 messageId
                             });
                             
-                            handleMcpRequest(request, mcpTools, logger).then(response => {
+                            handleMcpRequest(request, mcpTools, logger, connection).then(response => {
+                                // Notifications and cancelled calls get no reply
+                                if (!response) {
+                                    logger.endOperation(opId, true, { noResponse: true });
+                                    return;
+                                }
                                 logger.endOperation(opId, !response.error, {
                                     hasError: !!response.error
                                 });
@@ -704,7 +759,7 @@ async function startMcpServer(args) {
                         version: version,
                         capabilities: {
                             tools: true,
-                            prompts: false,
+                            prompts: true,
                             resources: true
                         }
                     }
@@ -720,6 +775,8 @@ async function startMcpServer(args) {
                 connectionMode: 'INFINITE'
             });
             
+        } else if (protocol === 'http') {
+            await startHttpMcpServer(args, logger);
         } else {
             logger.error('WebSocket protocol not yet implemented', { protocol });
             console.log('❌ WebSocket protocol not yet implemented in production version');
@@ -732,6 +789,62 @@ async function startMcpServer(args) {
     }
 }
 
+async function startHttpMcpServer(args, logger) {
+    const port = parseInt(getFlagValue(args, '--port') || process.env.MCP_HTTP_PORT || DEFAULT_MCP_HTTP_PORT, 10);
+    const host = getFlagValue(args, '--host') || process.env.MCP_HTTP_HOST || DEFAULT_MCP_HTTP_HOST;
+    const token = getFlagValue(args, '--token') || process.env.RUV_SWARM_MCP_TOKEN;
+    const origins = getFlagValue(args, '--allowed-origins') || process.env.MCP_HTTP_ALLOWED_ORIGINS;
+    const allowedOrigins = origins ? origins.split(',').map(origin => origin.trim()).filter(Boolean) : undefined;
+
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${getFlagValue(args, '--port')}`);
+    }
+
+    const initOpId = logger.startOperation('initialize-system');
+    const { mcpTools } = await initializeSystem();
+    logger.endOperation(initOpId, true, { modulesLoaded: true });
+
+    // One handler, and so one set of tools and one database, for every session
+    const transport = new McpHttpTransport({
+        port,
+        host,
+        token,
+        allowedOrigins,
+        logger,
+        handleMessage: async (request, { session, send }) => {
+            logger.logMcp('in', request.method || 'unknown', { method: request.method, id: request.id, sessionId: session.id });
+            // Resource updates can arrive long after this request, so they go to the session's GET stream
+            const response = await handleMcpRequest(request, mcpTools, logger, {
+                requests: session.requests,
+                send,
+                subscriberId: session.id,
+                notify: (message) => session.send(message)
+            });
+            if (response) {
+                logger.logMcp('out', request.method || 'response', { id: response.id, error: response.error, sessionId: session.id });
+            }
+            return response;
+        },
+        onSessionClosed: (session) => getSwarmResources(mcpTools).unsubscribeAll(session.id)
+    });
+    const url = await transport.start();
+
+    console.error(`🌐 ruv-swarm MCP server listening on ${url}`);
+    if (transport.tokenGenerated) {
+        console.error(`🔑 Bearer token (generated, pass --token or RUV_SWARM_MCP_TOKEN to fix it): ${transport.token}`);
+    }
+    console.error('   Clients send: Authorization: Bearer <token>');
+
+    const shutdown = (signal) => {
+        logger.info(`MCP: Received ${signal}, closing HTTP sessions...`, transport.getStats());
+        transport.stop().then(() => process.exit(0));
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    return transport;
+}
+
 async function startStableMcpServer(args) {
     const now = Date.now();
     
@@ -752,7 +865,8 @@ async function startStableMcpServer(args) {
     stabilityLog(`Starting MCP server (attempt ${restartCount}/${MAX_RESTARTS}) - NO TIMEOUT VERSION`);
     
     // Create new process args without --stability flag
-    const processArgs = ['mcp', 'start', ...args.filter(arg => arg !== '--stability')];
+    const command = globalClusterOptions ? ['cluster', 'start'] : ['mcp', 'start'];
+    const processArgs = [...command, ...args.filter(arg => arg !== '--stability')];
     
     childProcess = spawn('node', [__filename, ...processArgs], {
         stdio: ['inherit', 'inherit', 'inherit'],
@@ -832,9 +946,9 @@ async function startStableMcpServer(args) {
 
 async function getMcpStatus() {
     console.log('🔍 MCP Server Status (NO TIMEOUT VERSION):');
-    console.log('   Protocol: stdio (for Claude Code integration)');
+    console.log('   Protocol: stdio (for Claude Code integration) or http (shared server)');
     console.log('   Status: Ready to start');
-    console.log('   Usage: npx ruv-swarm mcp start [--stability]');
+    console.log('   Usage: npx ruv-swarm mcp start [--transport http --port N] [--stability]');
     console.log('   Stability: Auto-restart on crashes (use --stability flag)');
     console.log('   🔥 TIMEOUT MECHANISMS: COMPLETELY DISABLED');
     console.log('   🔥 RUNTIME: INFINITE');
@@ -878,7 +992,7 @@ function showMcpHelp() {
 Usage: ruv-swarm mcp <subcommand> [options]
 
 Subcommands:
-  start [--protocol=stdio] [--stability]  Start MCP server
+  start [--transport stdio|http] [--stability]  Start MCP server
   status                                  Show MCP server status
   stop                                   Stop MCP server
   tools                                  List available MCP tools
@@ -886,7 +1000,19 @@ Subcommands:
 
 Options:
   --stability                            Enable auto-restart on crashes
-  --protocol=stdio                       Use stdio protocol (default)
+  --resume-tasks                         Run again the tasks the last server left unfinished
+                                         (default: they are loaded paused; see task resume)
+  --transport stdio                      Use stdio protocol (default, --protocol=stdio also works)
+  --transport http                       Serve the streamable HTTP/SSE transport at /mcp
+  --port <n>                             HTTP port (default: ${DEFAULT_MCP_HTTP_PORT})
+  --host <address>                       HTTP bind address (default: ${DEFAULT_MCP_HTTP_HOST})
+  --token <secret>                       Bearer token clients must send (generated if omitted)
+  --allowed-origins <a,b>                Browser origins allowed to call the HTTP server
+                                         (default: pages on localhost)
+
+HTTP transport:
+  Several clients can connect at once; each gets its own Mcp-Session-Id
+  but all of them share one swarm, tool set and database.
 
 🔥 TIMEOUT MECHANISMS: COMPLETELY REMOVED
   • No connection intervals
@@ -896,6 +1022,8 @@ Options:
 
 Environment Variables:
   LOG_LEVEL                              Log level (DEBUG, INFO, WARN, ERROR)
+  RUV_SWARM_MCP_TOKEN                    Bearer token for the HTTP transport
+  MCP_HTTP_PORT / MCP_HTTP_HOST          Defaults for --port / --host
   
 🚨 REMOVED VARIABLES (NO LONGER NEEDED):
   MCP_CONNECTION_INTERVAL                ❌ REMOVED
@@ -904,10 +1032,12 @@ Environment Variables:
 Examples:
   ruv-swarm mcp start                    # Start stdio MCP server (no timeouts)
   ruv-swarm mcp start --stability        # Start with crash protection (no timeouts)
+  ruv-swarm mcp start --transport http --port 3000   # Shared server for several editors
   ruv-swarm mcp tools                    # List available tools
   
 For Claude Code integration:
   claude mcp add ruv-swarm npx ruv-swarm mcp start --stability
+  claude mcp add --transport http ruv-swarm http://127.0.0.1:3000/mcp --header "Authorization: Bearer <token>"
   
 🔥 SPECIAL FEATURES:
   • Bulletproof infinite runtime
@@ -1043,7 +1173,11 @@ claude mcp add ruv-swarm npx ruv-swarm mcp start --stability
     return resource;
 }
 
-async function handleMcpRequest(request, mcpTools, logger = null) {
+// `connection` carries the transport's in-flight request registry and a
+// `send` for notifications; without it tools run with no progress or cancel.
+// `subscriberId` and `notify` (which defaults to `send`) carry resource
+// subscriptions. Resolves to null when nothing should be sent back.
+async function handleMcpRequest(request, mcpTools, logger = null, connection = {}) {
     const response = {
         jsonrpc: '2.0',
         id: request.id
@@ -1054,6 +1188,17 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
         logger = await initializeLogger();
     }
     
+    // Notifications never get a response
+    if (request.id === undefined || request.id === null) {
+        if (request.method === 'notifications/cancelled') {
+            const { requestId, reason } = request.params || {};
+            const cancelled = connection.requests?.cancel(requestId, reason) || false;
+            logger.info('Client cancelled request', { requestId, reason, inFlight: cancelled });
+        }
+        return null;
+    }
+    
+    let toolContext = null;
     try {
         logger.debug('Processing MCP request (NO TIMEOUT VERSION)', { 
             method: request.method, 
@@ -1068,9 +1213,14 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                     protocolVersion: '2024-11-05',
                     capabilities: {
                         tools: {},
+                        prompts: {
+                            listChanged: false
+                        },
                         resources: {
                             list: true,
-                            read: true
+                            read: true,
+                            subscribe: true,
+                            listChanged: false
                         }
                     },
                     serverInfo: {
@@ -1151,6 +1301,43 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                                 }
                             }
                         },
+                        {
+                            name: 'agent_send',
+                            description: 'Send a message to an agent or to a topic, with at-least-once delivery (NO TIMEOUT VERSION)',
+                            inputSchema: {
+                                type: 'object',
+                                properties: {
+                                    from: { type: 'string', description: 'Sending agent ID' },
+                                    to: { type: 'string', description: 'Recipient agent ID (or give a topic instead)' },
+                                    topic: { type: 'string', description: 'Topic whose subscribers each get a copy, e.g. notifications.error' },
+                                    type: { type: 'string', default: 'message', description: 'Message type for the recipient' },
+                                    payload: { type: 'object', description: 'Message body' },
+                                    ttlMs: { type: 'number', minimum: 1, description: 'Expire copies not acked within this many ms' },
+                                    replyTo: { type: 'string', description: 'Message ID this answers; continues its trace' },
+                                    traceId: { type: 'string', description: 'Trace to continue' },
+                                    messageId: { type: 'string', description: 'Idempotency key (msg-...); resending it queues nothing' }
+                                },
+                                required: ['from']
+                            }
+                        },
+                        {
+                            name: 'agent_inbox',
+                            description: 'Receive, ack or trace an agent\'s messages and manage its topic subscriptions (NO TIMEOUT VERSION)',
+                            inputSchema: {
+                                type: 'object',
+                                properties: {
+                                    agentId: { type: 'string', description: 'Agent whose inbox to use' },
+                                    action: { type: 'string', enum: ['receive', 'peek', 'ack', 'subscribe', 'unsubscribe', 'trace'], default: 'receive', description: 'receive hands out messages to ack; peek only lists them' },
+                                    limit: { type: 'number', minimum: 1, maximum: 1000, default: 10, description: 'Maximum messages to return' },
+                                    ackTimeoutMs: { type: 'number', minimum: 100, description: 'How long received messages wait for an ack before redelivery' },
+                                    status: { type: 'string', enum: ['unacked', 'pending', 'delivered', 'acked', 'expired', 'dead', 'all'], default: 'unacked', description: 'Filter for peek' },
+                                    messageIds: { type: 'array', items: { type: 'string' }, description: 'Messages to ack' },
+                                    topic: { type: 'string', description: 'Topic to (un)subscribe; a trailing * matches every topic with that prefix' },
+                                    traceId: { type: 'string', description: 'Trace or message ID to trace' }
+                                },
+                                required: ['agentId']
+                            }
+                        },
                         {
                             name: 'task_orchestrate',
                             description: 'Orchestrate a task across the swarm (NO TIMEOUT VERSION)',
@@ -1158,16 +1345,50 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                                 type: 'object',
                                 properties: {
                                     task: { type: 'string', description: 'Task description or instructions' },
-                                    strategy: { type: 'string', enum: ['parallel', 'sequential', 'adaptive'], default: 'adaptive', description: 'Execution strategy' },
+                                    strategy: { type: 'string', enum: ['parallel', 'sequential', 'adaptive', 'auction', 'contract_net'], default: 'adaptive', description: 'Execution strategy; auction and contract_net have agents bid for the task on capability, load and past performance' },
                                     priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'], default: 'medium', description: 'Task priority' },
-                                    maxAgents: { type: 'number', minimum: 1, maximum: 10, description: 'Maximum agents to use' }
+                                    maxAgents: { type: 'number', minimum: 1, maximum: 10, description: 'Maximum agents to use' },
+                                    dependsOn: { type: 'array', items: { type: 'string' }, description: 'IDs of earlier tasks that must complete first' },
+                                    subtasks: {
+                                        type: 'array',
+                                        description: 'Task DAG: subtasks run in parallel as soon as their dependencies complete',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                id: { type: 'string', description: 'Subtask key, unique within this task' },
+                                                task: { type: 'string', description: 'Subtask description' },
+                                                dependsOn: { type: 'array', items: { type: 'string' }, description: 'Sibling subtask keys or existing task IDs' },
+                                                requiredCapabilities: { type: 'array', items: { type: 'string' } },
+                                                maxAgents: { type: 'number', minimum: 1, default: 1 },
+                                                estimatedDuration: { type: 'number', description: 'Estimate in ms, used for the critical path' },
+                                                retry: { type: 'object', description: 'Retry policy for this subtask (defaults to the parent task policy)' },
+                                                timeoutMs: { type: 'number', minimum: 1, description: 'Hard timeout per attempt in ms (defaults to the parent task timeout)' },
+                                                input: { type: 'object', description: 'Input for this subtask\'s executor (defaults to the parent input)' }
+                                            },
+                                            required: ['id', 'task']
+                                        }
+                                    },
+                                    retry: {
+                                        type: 'object',
+                                        description: 'Retry policy; only classified errors listed in retryOn are retried',
+                                        properties: {
+                                            maxAttempts: { type: 'number', minimum: 1, maximum: 20, default: 1, description: 'Total attempts including the first' },
+                                            backoffMs: { type: 'number', minimum: 0, default: 1000, description: 'Delay before the second attempt' },
+                                            backoffMultiplier: { type: 'number', minimum: 1, default: 2, description: 'Delay growth per attempt' },
+                                            maxBackoffMs: { type: 'number', minimum: 0, default: 30000, description: 'Upper bound on the delay' },
+                                            retryOn: { type: 'array', items: { type: 'string' }, default: ['ConcurrencyError', 'ResourceError', 'TimeoutError'], description: 'Error classes worth retrying' }
+                                        }
+                                    },
+                                    timeoutMs: { type: 'number', minimum: 1, description: 'Hard timeout per attempt in ms; a timeout fails the attempt with TimeoutError' },
+                                    input: { type: 'object', description: 'Structured input passed to the executor registered for each assigned agent\'s type' },
+                                    waitForCompletion: { type: 'boolean', default: false, description: 'Return only once the task settles, sending progress notifications as subtasks complete; cancelling the call cancels the task' }
                                 },
                                 required: ['task']
                             }
                         },
                         {
                             name: 'task_status',
-                            description: 'Check progress of running tasks (NO TIMEOUT VERSION)',
+                            description: 'Check progress of running tasks, with per-node state and critical path for task graphs (NO TIMEOUT VERSION)',
                             inputSchema: {
                                 type: 'object',
                                 properties: {
@@ -1188,6 +1409,56 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                                 required: ['taskId']
                             }
                         },
+                        {
+                            name: 'task_cancel',
+                            description: 'Cancel a task and its unfinished subtasks; running agents are signalled to abort (NO TIMEOUT VERSION)',
+                            inputSchema: {
+                                type: 'object',
+                                properties: {
+                                    taskId: { type: 'string', description: 'Task ID to cancel' },
+                                    reason: { type: 'string', description: 'Recorded with the task and in the event log' }
+                                },
+                                required: ['taskId']
+                            }
+                        },
+                        {
+                            name: 'task_pause',
+                            description: 'Pause a task and its subtasks; a running attempt is aborted and restarts on resume (NO TIMEOUT VERSION)',
+                            inputSchema: {
+                                type: 'object',
+                                properties: {
+                                    taskId: { type: 'string', description: 'Task ID to pause' },
+                                    reason: { type: 'string', description: 'Recorded in the event log' }
+                                },
+                                required: ['taskId']
+                            }
+                        },
+                        {
+                            name: 'task_resume',
+                            description: 'Resume a paused task and its paused subtasks (NO TIMEOUT VERSION)',
+                            inputSchema: {
+                                type: 'object',
+                                properties: {
+                                    taskId: { type: 'string', description: 'Task ID to resume' }
+                                },
+                                required: ['taskId']
+                            }
+                        },
+                        {
+                            name: 'task_dlq',
+                            description: 'List, replay or discard tasks that failed every retry attempt (NO TIMEOUT VERSION)',
+                            inputSchema: {
+                                type: 'object',
+                                properties: {
+                                    action: { type: 'string', enum: ['list', 'replay', 'discard'], default: 'list', description: 'Operation on the dead-letter queue' },
+                                    id: { type: 'string', description: 'Dead-letter entry ID (required for replay and discard)' },
+                                    swarmId: { type: 'string', description: 'Only list entries from this swarm' },
+                                    taskId: { type: 'string', description: 'Only list entries for this task' },
+                                    status: { type: 'string', enum: ['pending', 'replayed', 'discarded', 'all'], default: 'pending', description: 'Filter listed entries by status' },
+                                    limit: { type: 'number', minimum: 1, maximum: 1000, default: 50, description: 'Maximum entries to list' }
+                                }
+                            }
+                        },
                         {
                             name: 'benchmark_run',
                             description: 'Execute performance benchmarks (NO TIMEOUT VERSION)',
@@ -1236,7 +1507,13 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                                 type: 'object',
                                 properties: {
                                     agentId: { type: 'string', description: 'Specific agent ID to train (optional)' },
-                                    iterations: { type: 'number', minimum: 1, maximum: 100, default: 10, description: 'Number of training iterations' }
+                                    iterations: { type: 'number', minimum: 1, maximum: 100, default: 10, description: 'Number of training iterations' },
+                                    modelType: { type: 'string', enum: ['feedforward', 'lstm', 'transformer', 'attention', 'cnn', 'gru', 'resnet', 'autoencoder', 'vae'], description: 'Model to train (lstm, gru, resnet, autoencoder or vae with dataPath)' },
+                                    dataPath: { type: 'string', description: 'CSV, JSONL or .npy file to train on (optional; simulated training without it)' },
+                                    target: { type: 'string', description: 'Column holding the value to predict' },
+                                    features: { type: 'array', items: { type: 'string' }, description: 'Input columns (default: all but the target)' },
+                                    window: { type: 'number', minimum: 1, description: 'Rows per sequence for lstm and gru (default 10)' },
+                                    outputPath: { type: 'string', description: 'Where to save the trained model checkpoint' }
                                 }
                             }
                         },
@@ -1271,20 +1548,28 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                 
                 let result = null;
                 let toolFound = false;
+                toolContext = connection.requests ?
+                    connection.requests.start(request, connection.send) :
+                    new ToolContext();
                 const toolOpId = logger.startOperation(`tool-${toolName}`, {
                     tool: toolName,
                     requestId: request.id
                 });
                 
-                // Try regular MCP tools first (use mcpToolsEnhanced.tools)
-                if (mcpToolsEnhanced.tools && typeof mcpToolsEnhanced.tools[toolName] === 'function') {
+                // Try regular MCP tools first, on the instance the server shares between clients
+                const coreTools = (mcpTools || mcpToolsEnhanced).tools;
+                if (coreTools && typeof coreTools[toolName] === 'function') {
                     try {
                         logger.debug('Executing MCP tool (NO TIMEOUT VERSION)', { tool: toolName, args: toolArgs });
-                        result = await mcpToolsEnhanced.tools[toolName](toolArgs);
+                        result = await coreTools[toolName](toolArgs, toolContext);
                         toolFound = true;
                         logger.endOperation(toolOpId, true, { resultType: typeof result });
                     } catch (error) {
                         logger.endOperation(toolOpId, false, { error });
+                        if (toolContext.cancelled) {
+                            // Not a failure; logged once the call is dropped below
+                            break;
+                        }
                         logger.error('MCP tool execution failed (NO TIMEOUT VERSION)', { 
                             tool: toolName, 
                             error,
@@ -1352,14 +1637,69 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
                             name: 'Stability Features (NO TIMEOUT VERSION)',
                             description: 'Auto-restart and crash protection features without timeouts',
                             mimeType: 'text/markdown'
-                        }
+                        },
+                        ...await getSwarmResources(mcpTools).list()
                     ]
                 };
                 break;
                 
+            case 'prompts/list':
+                response.result = { prompts: getPrompts().list() };
+                break;
+                
+            case 'prompts/get':
+                const promptName = request.params?.name;
+                try {
+                    const prompt = getPrompts().get(promptName, request.params?.arguments);
+                    if (prompt) {
+                        response.result = prompt;
+                    } else {
+                        response.error = { code: -32602, message: 'Invalid params', data: `Unknown prompt: ${promptName}` };
+                    }
+                } catch (error) {
+                    if (!(error instanceof SchemaValidationError)) {
+                        throw error;
+                    }
+                    response.error = { code: -32602, message: 'Invalid params', data: error.message };
+                }
+                break;
+                
+            case 'resources/templates/list':
+                response.result = { resourceTemplates: RESOURCE_TEMPLATES };
+                break;
+                
             case 'resources/read':
                 const resourceUri = request.params.uri;
-                response.result = await getResourceContent(resourceUri);
+                if (SwarmResources.isSwarmResource(resourceUri)) {
+                    const resource = await getSwarmResources(mcpTools).read(resourceUri);
+                    if (resource) {
+                        response.result = resource;
+                    } else {
+                        response.error = { code: -32002, message: 'Resource not found', data: { uri: resourceUri } };
+                    }
+                } else {
+                    response.result = await getResourceContent(resourceUri);
+                }
+                break;
+                
+            case 'resources/subscribe':
+            case 'resources/unsubscribe':
+                const subscriptionUri = request.params?.uri;
+                const notify = connection.notify || connection.send;
+                if (!SwarmResources.isSwarmResource(subscriptionUri)) {
+                    // The docs never change, so there is nothing to watch
+                    await getResourceContent(subscriptionUri);
+                    response.result = {};
+                } else if (request.method === 'resources/unsubscribe') {
+                    getSwarmResources(mcpTools).unsubscribe(subscriptionUri, connection.subscriberId);
+                    response.result = {};
+                } else if (!notify || !connection.subscriberId) {
+                    throw new Error('Resource subscriptions need a connection that can send notifications');
+                } else if (await getSwarmResources(mcpTools).subscribe(subscriptionUri, connection.subscriberId, notify)) {
+                    response.result = {};
+                } else {
+                    response.error = { code: -32002, message: 'Resource not found', data: { uri: subscriptionUri } };
+                }
                 break;
                 
             default:
@@ -1377,6 +1717,15 @@ async function handleMcpRequest(request, mcpTools, logger = null) {
         };
     }
     
+    if (toolContext) {
+        connection.requests?.finish(request.id);
+        // The client has stopped waiting, so the protocol says not to reply
+        if (toolContext.cancelled) {
+            logger.info('Tool call cancelled', { tool: request.params?.name, requestId: request.id });
+            return null;
+        }
+    }
+    
     return response;
 }
 
@@ -1400,23 +1749,41 @@ async function handleNeural(args) {
                 return await neuralCLI.status(args.slice(1));
             case 'train':
                 return await neuralCLI.train(args.slice(1));
+            case 'evaluate':
+                return await neuralCLI.evaluate(args.slice(1));
+            case 'quantize':
+                return await neuralCLI.quantize(args.slice(1));
+            case 'tune':
+                return await neuralCLI.tune(args.slice(1));
             case 'patterns':
                 return await neuralCLI.patterns(args.slice(1));
             case 'export':
                 return await neuralCLI.export(args.slice(1));
+            case 'import':
+                return await neuralCLI.import(args.slice(1));
             case 'help':
             default:
                 console.log(`Neural Network Commands (NO TIMEOUT VERSION):
   neural status                    Show neural network status
   neural train [options]           Train neural models
+  neural evaluate --model <ckpt>   Score a saved model on held-out data
+  neural quantize --model <ckpt>   Quantize a saved model to int8 or float16
+  neural tune --model <type>       Search hyperparameters on a dataset
   neural patterns [model]          View learned patterns
   neural export [options]          Export neural weights
+  neural import <model.onnx>       Import an ONNX model as a checkpoint
 
 Examples:
   ruv-swarm neural status
   ruv-swarm neural train --model attention --iterations 100
+  ruv-swarm neural train --data ./metrics.csv --model lstm --target cpu --epochs 20
+  ruv-swarm neural evaluate --model ./model.rsnm --data ./holdout.csv --json
+  ruv-swarm neural quantize --model ./model.rsnm --precision int8
+  ruv-swarm neural tune --model gru --data ./metrics.csv --target cpu --space ./space.json
   ruv-swarm neural patterns --model attention
   ruv-swarm neural export --model all --output ./weights.json
+  ruv-swarm neural export --format onnx --model ./model.rsnm --output ./model.onnx
+  ruv-swarm neural import ./model.onnx --output ./model.rsnm
   
 🔥 SPECIAL FEATURE: Infinite training runtime (no timeouts)`);
                 break;
@@ -1490,6 +1857,152 @@ Examples:
     }
 }
 
+async function handleDb(args) {
+    const { dbCLI } = await import('../src/migrations/cli.js');
+    const subcommand = args[0] || 'help';
+    
+    try {
+        switch (subcommand) {
+            case 'migrate':
+                return await dbCLI.migrate(args.slice(1));
+            case 'status':
+                return await dbCLI.status(args.slice(1));
+            case 'rollback':
+                return await dbCLI.rollback(args.slice(1));
+            case 'help':
+            default:
+                console.log(`Database Commands:
+  db migrate [--to <version>]      Apply pending schema migrations
+  db status [--json]               Show applied and pending migrations
+  db rollback [--to <version>]     Revert migrations (default: the most recent one)
+
+Options:
+  --db <path>                      Database file (default: data/ruv-swarm.db)
+  --force                          Allow rolling back the initial schema (drops all data)
+
+Examples:
+  ruv-swarm db status
+  ruv-swarm db migrate
+  ruv-swarm db rollback --to 1`);
+                break;
+        }
+    } catch (error) {
+        console.error('❌ Database command error:', error.message);
+        process.exit(1);
+    }
+}
+
+async function handleSnapshot(args) {
+    const { snapshotCLI } = await import('../src/snapshot/cli.js');
+    const subcommand = args[0] || 'help';
+    
+    try {
+        switch (subcommand) {
+            case 'create':
+                return await snapshotCLI.create(args.slice(1));
+            case 'restore':
+                return await snapshotCLI.restore(args.slice(1));
+            case 'help':
+            default:
+                console.log(`Snapshot Commands:
+  snapshot create <swarmId> [--output <file>]   Archive a swarm with its agents, tasks, memory,
+                                                neural networks and events
+  snapshot restore <file> [--force]             Restore a swarm archive (--force replaces an
+                                                existing swarm with the same ID)
+
+Archives ending in .gz are gzip-compressed.
+
+Examples:
+  ruv-swarm snapshot create swarm-1712345678901
+  ruv-swarm snapshot create swarm-1712345678901 --output backup.json
+  ruv-swarm snapshot restore backup.json --force`);
+                break;
+        }
+    } catch (error) {
+        console.error('❌ Snapshot command error:', error.message);
+        process.exit(1);
+    }
+}
+
+async function handleCluster(args) {
+    const { clusterCLI } = await import('../src/cluster/cli.js');
+    const subcommand = args[0] || 'help';
+    
+    try {
+        switch (subcommand) {
+            case 'start':
+                globalClusterOptions = clusterCLI.parseStartOptions(args.slice(1));
+                return await startMcpServer(args.slice(1));
+            case 'status':
+                return await clusterCLI.status(args.slice(1));
+            case 'help':
+            default:
+                console.log(`Cluster Commands:
+  cluster start --workers <n> [options]   Start the MCP server with agents hosted on
+                                          <n> worker processes (default: CPUs - 1)
+  cluster status [--cluster <id>] [--json]
+                                          Show the workers of the latest (or given) cluster
+
+Options for cluster start:
+  --heartbeat-interval <ms>   How often workers report in (default: 1000)
+  --heartbeat-timeout <ms>    Silence after which a worker is killed and its
+                              agents moved to other workers (default: 30000)
+  Every option of mcp start (--transport http, --port, --stability...) applies.
+
+Workers load the executors named by RUV_SWARM_EXECUTORS, and run neural
+agents' analysis and learning and neural_train's dataset training. Only the
+server process writes to the database.
+
+Examples:
+  ruv-swarm cluster start --workers 4
+  ruv-swarm cluster start --workers 2 --transport http --port 3000
+  ruv-swarm cluster status`);
+                break;
+        }
+    } catch (error) {
+        console.error('❌ Cluster command error:', error.message);
+        process.exit(1);
+    }
+}
+
+async function handleTask(args) {
+    const { taskCLI } = await import('../src/task-control.js');
+    const subcommand = args[0] || 'help';
+    
+    try {
+        switch (subcommand) {
+            case 'cancel':
+                return await taskCLI.cancel(args.slice(1));
+            case 'pause':
+                return await taskCLI.pause(args.slice(1));
+            case 'resume':
+                return await taskCLI.resume(args.slice(1));
+            case 'help':
+            default:
+                console.log(`Task Commands:
+  task cancel <taskId> [--reason <text>]   Cancel a task and its unfinished subtasks
+  task pause <taskId> [--reason <text>]    Pause a task; a running attempt is aborted
+                                           and starts over on resume
+  task resume <taskId>                     Resume a paused task
+
+Options:
+  --wait <ms>    How long to wait for the swarm to apply the request (default: 5000)
+
+Requests are recorded in the database and applied by the process running the
+task's swarm, or when that swarm is next loaded.
+
+Examples:
+  ruv-swarm task cancel task-1712345678901 --reason "started by mistake"
+  ruv-swarm task pause task-1712345678901
+  ruv-swarm task resume task-1712345678901`);
+                break;
+        }
+    } catch (error) {
+        console.error('❌ Task command error:', error.message);
+        process.exit(1);
+    }
+}
+
 async function handleDiagnose(args) {
     const { diagnosticsCLI } = await import('../src/cli-diagnostics.js');
     return diagnosticsCLI(args);
@@ -1512,17 +2025,22 @@ Commands:
       --no-interactive              Skip interactive prompts (fail on conflicts)
   spawn <type> [name]             Spawn an agent (researcher, coder, analyst, etc.)
   orchestrate <task>              Orchestrate a task across agents
+  task <subcommand>               Cancel, pause or resume a task
   status [--verbose]              Show swarm status
   monitor [duration]              Monitor swarm activity
   mcp <subcommand>                MCP server management
     Options for mcp start:
       --stability                   Enable auto-restart on crashes
+      --resume-tasks                Rerun tasks left unfinished instead of pausing them
   hook <type> [options]           Claude Code hooks integration
   claude-invoke <prompt>          Invoke Claude with swarm integration
   neural <subcommand>             Neural network training and analysis
   benchmark <subcommand>          Performance benchmarking tools
   performance <subcommand>        Performance analysis and optimization
   diagnose <subcommand>           Run diagnostics and analyze logs
+  db <subcommand>                 Database schema migrations
+  snapshot <subcommand>           Snapshot and restore a whole swarm
+  cluster <subcommand>            Run agents on worker processes (start, status)
   version                         Show version information
   help                            Show this help message
 
@@ -1619,6 +2137,18 @@ async function main() {
             case 'diagnose':
                 await handleDiagnose(args.slice(1));
                 break;
+            case 'db':
+                await handleDb(args.slice(1));
+                break;
+            case 'snapshot':
+                await handleSnapshot(args.slice(1));
+                break;
+            case 'task':
+                await handleTask(args.slice(1));
+                break;
+            case 'cluster':
+                await handleCluster(args.slice(1));
+                break;
             case 'version':
                 const version = await getVersion();
                 console.log('ruv-swarm v' + version + ' - NO TIMEOUT VERSION');
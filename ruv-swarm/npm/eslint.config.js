@@ -64,6 +64,7 @@ export default [
         URL: 'readonly',
         URLSearchParams: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
         WebAssembly: 'readonly',
         crypto: 'readonly',
         Blob: 'readonly',
@@ -212,6 +213,7 @@ export default [
         URL: 'readonly',
         URLSearchParams: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
         WebAssembly: 'readonly',
         crypto: 'readonly',
         Blob: 'readonly',
@@ -279,6 +281,7 @@ export default [
         clearTimeout: 'readonly',
         URL: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
         WebAssembly: 'readonly',
         crypto: 'readonly',
         process: 'readonly',
@@ -22,7 +22,24 @@ class AdvancedCommandsGenerator {
       await fs.mkdir(path.join(commandsDir, subdir), { recursive: true });
     }
 
-    const commands = {
+    const createdFiles = [];
+
+    // Generate command files
+    for (const [filepath, config] of Object.entries(this.getCommandDefinitions())) {
+      const content = config.content || this.generateCommandContent(config);
+      const filePath = path.join(commandsDir, filepath);
+      await fs.writeFile(filePath, content);
+      createdFiles.push(filepath);
+    }
+
+    return { files: createdFiles, success: true };
+  }
+
+  /**
+     * Advanced command definitions keyed by path under .claude/commands
+     */
+  getCommandDefinitions() {
+    return {
       // Optimization commands
       'optimization/auto-topology.md': {
         title: 'Automatic Topology Selection',
@@ -529,18 +546,6 @@ export RUV_SWARM_MEMORY_PERSIST=false
 - 🎯 Personalized optimization`,
       },
     };
-
-    const createdFiles = [];
-
-    // Generate command files
-    for (const [filepath, config] of Object.entries(commands)) {
-      const content = config.content || this.generateCommandContent(config);
-      const filePath = path.join(commandsDir, filepath);
-      await fs.writeFile(filePath, content);
-      createdFiles.push(filepath);
-    }
-
-    return { files: createdFiles, success: true };
   }
 
   generateCommandContent(config) {
@@ -641,7 +641,25 @@ Remember: **ruv-swarm coordinates, Claude Code creates!** Start with \`mcp__ruv-
       await fs.mkdir(path.join(commandsDir, subdir), { recursive: true });
     }
 
-    const commands = {
+    const createdFiles = [];
+
+    // Generate command files
+    for (const [filepath, config] of Object.entries(this.getCommandDefinitions())) {
+      const filePath = path.join(commandsDir, filepath);
+      await fs.writeFile(filePath, this.renderCommand(config));
+      createdFiles.push(filepath);
+    }
+
+    return { files: createdFiles, success: true };
+  }
+
+  /**
+     * Slash-command definitions keyed by path under .claude/commands. Tool
+     * commands carry `tool` and example `params`; the rest carry full `content`.
+     * The MCP server serves the same definitions as prompts.
+     */
+  getCommandDefinitions() {
+    return {
       // Coordination commands
       'coordination/init.md': {
         title: 'Initialize Coordination Framework',
@@ -987,19 +1005,19 @@ Already configured by default for common file types.
 \`\`\``,
       },
     };
+  }
 
-    const createdFiles = [];
-
-    // Generate command files
-    for (const [filepath, config] of Object.entries(commands)) {
-      let content;
+  /**
+     * Render a command definition as markdown
+     */
+  renderCommand(config) {
+    if (config.content) {
+      // Workflow and hook files are written out as-is
+      return config.content;
+    }
 
-      if (config.content) {
-        // Use provided content for workflow files
-        ({ content } = config);
-      } else {
-        // Generate content for tool documentation
-        content = `# ${config.title}
+    // Generate content for tool documentation
+    return `# ${config.title}
 
 ## 🎯 Key Principle
 **This tool coordinates Claude Code's actions. It does NOT write code or create content.**
@@ -1038,14 +1056,6 @@ ${config.details}
 - Other commands in this category
 - Workflow examples in /workflows/
 `;
-      }
-
-      const filePath = path.join(commandsDir, filepath);
-      await fs.writeFile(filePath, content);
-      createdFiles.push(filepath);
-    }
-
-    return { files: createdFiles, success: true };
   }
 
   /**
@@ -0,0 +1,127 @@
+/**
+ * Cluster CLI for ruv-swarm
+ * Usage: npx ruv-swarm cluster <start|status> [options]
+ *
+ * `cluster start` is `mcp start` with a ClusterCoordinator attached to the
+ * server's RuvSwarm, so every option of `mcp start` applies; the bin calls
+ * start() once the server's tools exist. `cluster status` reads the workers
+ * the coordinator recorded, so it works from another shell.
+ */
+
+import { RuvSwarm } from '../index-enhanced.js';
+import {
+  ClusterCoordinator,
+  DEFAULT_HEARTBEAT_INTERVAL_MS,
+  DEFAULT_HEARTBEAT_TIMEOUT_MS,
+  validateClusterOptions,
+} from './index.js';
+import { ValidationError } from '../errors.js';
+
+class ClusterCLI {
+  constructor() {
+    this.ruvSwarm = null;
+  }
+
+  async initialize() {
+    if (!this.ruvSwarm) {
+      this.ruvSwarm = await RuvSwarm.initialize({
+        loadingStrategy: 'progressive',
+        enablePersistence: true,
+        enableNeuralNetworks: false,
+      });
+    }
+    if (!this.ruvSwarm.persistence) {
+      throw new Error('Persistence is not available - cluster status needs the SQLite database');
+    }
+    return this.ruvSwarm;
+  }
+
+  parseStartOptions(args) {
+    const options = {
+      workers: this.getNumber(args, '--workers'),
+      heartbeatInterval: this.getNumber(args, '--heartbeat-interval') ?? DEFAULT_HEARTBEAT_INTERVAL_MS,
+      heartbeatTimeout: this.getNumber(args, '--heartbeat-timeout') ?? DEFAULT_HEARTBEAT_TIMEOUT_MS,
+    };
+    if (options.workers === null) {
+      delete options.workers;
+    }
+    // Checked now rather than after the server has started
+    validateClusterOptions(options);
+    return options;
+  }
+
+  /**
+   * Starts the workers and routes the server's tasks and agent messages to
+   * them. Messages to stdout would corrupt the stdio transport, so this
+   * reports on stderr.
+   */
+  async start(ruvSwarm, mcpTools, options) {
+    const cluster = new ClusterCoordinator({
+      ...options,
+      store: ruvSwarm.persistence,
+      bus: mcpTools.messageBus,
+    });
+    cluster.on('worker_ready', ({ workerId, pid }) => console.error(`🟢 Cluster worker ${workerId} ready (pid ${pid})`));
+    cluster.on('worker_unresponsive', ({ workerId, silentFor }) => {
+      console.error(`⚠️ Cluster worker ${workerId} sent no heartbeat for ${silentFor}ms - killing it`);
+    });
+    cluster.on('worker_exit', ({ workerId, code, signal, status }) => {
+      if (status === 'crashed') {
+        console.error(`💥 Cluster worker ${workerId} crashed (${signal || `code ${code}`})`);
+      }
+    });
+    cluster.on('agent_rescheduled', ({ agentId, from, to }) => {
+      console.error(`↪️ Agent ${agentId} moved from ${from} to ${to || 'the next worker to start'}`);
+    });
+
+    await cluster.start();
+    cluster.attach(ruvSwarm);
+    console.error(`🖧 Cluster ${cluster.id} running ${cluster.size} worker${cluster.size === 1 ? '' : 's'}`);
+    return cluster;
+  }
+
+  async status(args) {
+    const clusterId = this.getArg(args, '--cluster');
+    const { persistence } = await this.initialize();
+    const workers = await persistence.getClusterWorkers({ clusterId });
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(workers, null, 2));
+      return;
+    }
+    if (workers.length === 0) {
+      console.log(clusterId ? `❌ No workers recorded for cluster ${clusterId}` : '❌ No cluster has been started');
+      return;
+    }
+
+    console.log(`🖧 Cluster ${workers[0].cluster_id}`);
+    const now = Date.now();
+    for (const worker of workers) {
+      const heartbeat = worker.last_heartbeat ? `last heartbeat ${Math.round((now - worker.last_heartbeat) / 1000)}s ago` : 'no heartbeat';
+      const exit = worker.exit_signal || (worker.exit_code !== null ? `code ${worker.exit_code}` : null);
+      console.log(`   ${worker.id} (pid ${worker.pid}): ${worker.status}${exit ? ` (${exit})` : ''}, ` +
+        `${worker.agents.length} agents, ${worker.tasks_run} tasks run, ${heartbeat}`);
+    }
+  }
+
+  getNumber(args, flag) {
+    const value = this.getArg(args, flag);
+    if (value === null) {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw new ValidationError(`${flag} must be an integer`, flag, value, 'number');
+    }
+    return number;
+  }
+
+  getArg(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  }
+}
+
+const clusterCLI = new ClusterCLI();
+
+export { clusterCLI, ClusterCLI };
@@ -0,0 +1,701 @@
+/**
+ * Multi-process Swarm Cluster for ruv-swarm
+ *
+ * Runs agents' tasks in forked worker processes instead of the process that
+ * serves MCP requests, so CPU-heavy work blocks its own worker and not every
+ * tool call. That covers the executor call, a neural agent's task analysis
+ * and learning, and neural_train's training on a dataset. Workers are child
+ * processes rather than worker_threads: an executor that exhausts memory or
+ * calls process.exit() takes down only its worker.
+ *
+ * The coordinator stays in the MCP process next to the swarms. Attached to a
+ * RuvSwarm, it replaces the executor registry with one that sends every
+ * task over IPC to the worker hosting the task's agent. Agents are placed
+ * on the worker with the fewest agents when spawned (or on their first
+ * task) and stay there, and messages sent to them on the bus are pushed to
+ * that worker as they arrive. A message is acked on the bus only once a
+ * task has read it; until then the coordinator keeps renewing its lease, so
+ * if the coordinator goes away the bus hands it out again.
+ *
+ * Workers send heartbeats; one silent for `heartbeatTimeout` ms, e.g.
+ * because a task hogs its event loop, is killed. When a worker exits
+ * unexpectedly its tasks fail with a ResourceError, which the default retry
+ * policy retries, its agents move to the remaining workers, taking messages
+ * they had not read yet along, and a replacement worker is forked.
+ *
+ * A neural agent's NeuralAgent moves to its worker with the agent; the agent
+ * keeps a RemoteNeuralAgent with the learning history its bids are scored
+ * from. An agent moved off a crashed worker takes that history along, and
+ * the network weights it had when first placed.
+ *
+ * The coordinator is the only process that touches the database: results
+ * come back over IPC and the swarm writes them through its usual store,
+ * normally the SQLiteConnectionPool behind SwarmPersistencePooled, which
+ * also records each worker in cluster_workers.
+ */
+
+import { EventEmitter } from 'events';
+import { fork } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ExecutorRegistry } from '../executors/index.js';
+import { ErrorFactory, ResourceError, ValidationError } from '../errors.js';
+
+const WORKER_SCRIPT = fileURLToPath(new URL('./worker.js', import.meta.url));
+
+const WORKER_STATUSES = ['starting', 'ready', 'unresponsive', 'crashed', 'stopped'];
+
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 1000;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 30000;
+// How often a worker's heartbeat is written to cluster_workers
+const PERSIST_HEARTBEAT_MS = 5000;
+// How long stop() waits for a worker to exit before killing it
+const STOP_GRACE_MS = 2000;
+
+// Rebuilds an error thrown in a worker as the class the retry policy knows
+function reviveError({ name, message, details, executor, output }) {
+  if (name === 'ExecutionError') {
+    return ErrorFactory.createError('execution', message, { executor, output });
+  }
+  if (name.endsWith('Error') && name !== 'Error') {
+    const error = ErrorFactory.createError(name.slice(0, -'Error'.length).toLowerCase(), message, details || {});
+    if (error.name === name) {
+      return error;
+    }
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function validateClusterOptions({
+  workers = 1,
+  executors = null,
+  heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL_MS,
+  heartbeatTimeout = DEFAULT_HEARTBEAT_TIMEOUT_MS,
+}) {
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new ValidationError('workers must be a positive integer', 'workers', workers, 'number');
+  }
+  if (!(heartbeatInterval > 0) || !(heartbeatTimeout > heartbeatInterval)) {
+    throw new ValidationError(
+      'heartbeatTimeout must be longer than a positive heartbeatInterval',
+      'heartbeatTimeout',
+      heartbeatTimeout,
+      'number',
+    );
+  }
+  if (executors instanceof ExecutorRegistry) {
+    throw new ValidationError(
+      'Workers load their executors themselves: pass the executors config or its path, not a registry',
+      'executors',
+      'ExecutorRegistry',
+    );
+  }
+}
+
+function describeExit(code, signal) {
+  return signal ? `was killed by ${signal}` : `exited with code ${code}`;
+}
+
+/**
+ * Stands in for an agent's NeuralAgent, which runs on the agent's worker.
+ * Keeps the worker's learning history for the agent's bids.
+ */
+class RemoteNeuralAgent {
+  constructor(cluster, agent, learningHistory = []) {
+    this.cluster = cluster;
+    this.agent = agent;
+    this.learningHistory = learningHistory;
+  }
+
+  async executeTask(task, { signal } = {}) {
+    this.agent.status = 'busy';
+    const startTime = Date.now();
+    try {
+      const { learning, ...outcome } = await this.cluster.runTask({
+        ...this.agent.executorRequest(task),
+        priority: task.priority,
+        neural: true,
+      }, { signal });
+      if (learning) {
+        this.learningHistory.push(learning);
+        // The same bound as a NeuralAgent's own history
+        if (this.learningHistory.length > 1000) {
+          this.learningHistory = this.learningHistory.slice(-500);
+        }
+      }
+      return {
+        ...outcome,
+        status: 'completed',
+        executor: 'cluster',
+        executionTime: Date.now() - startTime,
+      };
+    } finally {
+      this.agent.status = 'idle';
+    }
+  }
+}
+
+class ClusterCoordinator extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.workers] - Worker processes (default one per CPU but one)
+   * @param {string|Object} [options.executors] - Executors config, or a path to
+   *   one, that each worker loads (default RUV_SWARM_EXECUTORS)
+   * @param {number} [options.heartbeatInterval] - ms between worker heartbeats
+   * @param {number} [options.heartbeatTimeout] - ms of silence before a worker is killed
+   * @param {boolean} [options.respawn] - Replace crashed workers (default true)
+   * @param {SwarmPersistence|SwarmPersistencePooled} [options.store] - Where
+   *   workers are recorded; none by default
+   * @param {MessageBus} [options.bus] - Bus whose messages are routed to agents' workers
+   * @param {string} [options.clusterId]
+   * @param {string} [options.workerScript] - For testing
+   * @param {Function} [options.now] - Clock in epoch ms, for testing
+   */
+  constructor({
+    workers = Math.max(1, os.cpus().length - 1),
+    executors = process.env.RUV_SWARM_EXECUTORS,
+    heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL_MS,
+    heartbeatTimeout = DEFAULT_HEARTBEAT_TIMEOUT_MS,
+    respawn = true,
+    store = null,
+    bus = null,
+    clusterId = null,
+    workerScript = WORKER_SCRIPT,
+    now = Date.now,
+  } = {}) {
+    super();
+    validateClusterOptions({ workers, executors, heartbeatInterval, heartbeatTimeout });
+
+    this.id = clusterId || `cluster-${Date.now()}`;
+    this.size = workers;
+    // Workers resolve relative paths against their own cwd, which is ours anyway
+    this.executors = typeof executors === 'string' ? path.resolve(executors) : executors || null;
+    this.heartbeatInterval = heartbeatInterval;
+    this.heartbeatTimeout = heartbeatTimeout;
+    this.respawn = respawn;
+    this.store = store;
+    this.bus = bus;
+    this.workerScript = workerScript;
+    this.now = now;
+
+    this.workers = new Map();
+    // agentId -> { id, name, type, capabilities, swarmId, neural, neuralState }
+    this.agents = new Map();
+    // agentId -> RemoteNeuralAgent
+    this.neuralAgents = new Map();
+    // agentId -> workerId
+    this.placements = new Map();
+    // agentId -> Map of envelopes its worker has but no task has read yet
+    this.unread = new Map();
+    // agentId -> stops its bus listener
+    this.listeners = new Map();
+    // IPC request id -> { workerId, resolve, reject, onProgress }
+    this.pending = new Map();
+    this.writes = new Set();
+    this.nextWorker = 1;
+    this.nextRequest = 1;
+    this.healthTimer = null;
+    this.leaseTimer = null;
+    this.started = false;
+  }
+
+  /**
+   * Forks the workers and resolves once each has loaded its executors.
+   * Rejects, with every worker stopped again, if any fails to start.
+   */
+  async start() {
+    if (this.started) {
+      return this;
+    }
+    this.started = true;
+
+    const workers = Array.from({ length: this.size }, () => this.spawnWorker());
+    try {
+      await Promise.all(workers.map(worker => worker.ready));
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+
+    this.healthTimer = setInterval(() => this.checkHealth(), this.heartbeatInterval);
+    this.healthTimer.unref?.();
+    if (this.bus) {
+      this.leaseTimer = setInterval(() => this.renewLeases(), this.bus.ackTimeout / 2);
+      this.leaseTimer.unref?.();
+    }
+    this.emit('started', { clusterId: this.id, workers: [...this.workers.keys()] });
+    return this;
+  }
+
+  /**
+   * Routes `ruvSwarm`'s tasks to the workers from now on, placing the agents
+   * its swarms already have.
+   */
+  attach(ruvSwarm) {
+    const executors = new ExecutorRegistry();
+    executors.register('*', {
+      name: 'cluster',
+      execute: (request, context) => this.runTask(request, context),
+    });
+    ruvSwarm.executors = executors;
+    ruvSwarm.cluster = this;
+
+    for (const swarm of ruvSwarm.activeSwarms.values()) {
+      for (const agent of swarm.agents.values()) {
+        this.place(agent);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Puts an agent on the worker with the fewest agents, unless it already
+   * has a live one.
+   *
+   * An Agent's NeuralAgent is replaced by a RemoteNeuralAgent, and its
+   * state recreated on the worker.
+   *
+   * @param {Agent|Object} agent - `id`, `name`, `type`, `capabilities`, and
+   *   `swarm` or `swarmId`
+   * @returns {string|null} The worker's id, or null while no worker is ready
+   *   (the agent is placed when one is)
+   */
+  place(agent) {
+    const previous = this.agents.get(agent.id);
+    const descriptor = {
+      id: agent.id,
+      name: agent.name,
+      type: agent.type,
+      capabilities: agent.capabilities || [],
+      swarmId: agent.swarm?.id ?? agent.swarmId ?? null,
+      neural: Boolean(agent.neuralAgent || agent.neural || previous?.neural),
+      neuralState: agent.neuralState ?? previous?.neuralState ?? null,
+    };
+    if (agent.neuralAgent && !(agent.neuralAgent instanceof RemoteNeuralAgent)) {
+      descriptor.neuralState = agent.neuralAgent.saveNeuralState();
+      agent.neuralAgent = new RemoteNeuralAgent(this, agent, agent.neuralAgent.learningHistory);
+      this.neuralAgents.set(agent.id, agent.neuralAgent);
+    }
+    this.agents.set(descriptor.id, descriptor);
+
+    const current = this.workerFor(descriptor.id);
+    if (current) {
+      return current.id;
+    }
+
+    const worker = this.leastLoaded();
+    if (!worker) {
+      return null;
+    }
+    this.placements.set(descriptor.id, worker.id);
+    worker.agents.add(descriptor.id);
+    const learningHistory = this.neuralAgents.get(descriptor.id)?.learningHistory;
+    this.post(worker, {
+      type: 'place',
+      agent: descriptor.neuralState && learningHistory ?
+        { ...descriptor, neuralState: { ...descriptor.neuralState, learningHistory: learningHistory.slice(-100) } } :
+        descriptor,
+    });
+    this.persistWorker(worker);
+
+    // Should this worker die too, they are still unread and go to the next one
+    for (const envelope of this.unread.get(descriptor.id)?.values() || []) {
+      this.dispatch(worker, { type: 'message', agentId: descriptor.id, envelope }).promise.catch(() => null);
+    }
+    if (this.bus && !this.listeners.has(descriptor.id)) {
+      this.listeners.set(descriptor.id, this.bus.listen(descriptor.id, envelope => this.deliver(descriptor.id, envelope), { ack: false }));
+    }
+    return worker.id;
+  }
+
+  /**
+   * Runs a task on its agent's worker. This is the `execute()` of the
+   * executor attach() registers, and takes the same request.
+   */
+  async runTask(request, { signal } = {}) {
+    signal?.throwIfAborted();
+    const worker = this.workerHosting({ ...request.agent, swarmId: request.swarmId }, `run task ${request.taskId}`);
+    return this.call(worker, { type: 'task', request }, { signal });
+  }
+
+  /**
+   * neural_train's training on a dataset, run on `agent`'s worker.
+   *
+   * @param {Agent} agent
+   * @param {Object} params - neural_train's parameters
+   * @param {Object} options - `modelType`, `iterations` and `learningRate`
+   * @param {Object} context - The tool call's `signal` and `progress()`
+   * @returns {Promise<Object>} What trainOnDataset() returns
+   */
+  async train(agent, params, options, { signal, progress } = {}) {
+    signal?.throwIfAborted();
+    const worker = this.workerHosting(agent, `train agent ${agent.id}`);
+    const { training } = await this.call(worker, { type: 'train', agentId: agent.id, params, options }, {
+      signal,
+      onProgress: message => progress?.(message.progress, message.total, message.message),
+    });
+    return training;
+  }
+
+  /**
+   * Bus listener: pushes a message to the worker hosting its recipient. The
+   * message is acked when the worker reports a task has read it.
+   */
+  async deliver(agentId, envelope) {
+    if (this.unread.get(agentId)?.has(envelope.id)) {
+      // A lease that lapsed; the worker has the message already
+      return;
+    }
+    const worker = this.workerFor(agentId);
+    if (!worker) {
+      // Handed out again after the bus's ack timeout
+      throw new ResourceError(`No cluster worker hosts agent ${agentId}`, 'worker');
+    }
+    await this.dispatch(worker, { type: 'message', agentId, envelope }).promise;
+    if (!this.unread.has(agentId)) {
+      this.unread.set(agentId, new Map());
+    }
+    this.unread.get(agentId).set(envelope.id, envelope);
+  }
+
+  /**
+   * Stops every worker, asking first and killing those still running after
+   * `graceMs`. Resolves once they have exited and been recorded.
+   */
+  async stop({ graceMs = STOP_GRACE_MS } = {}) {
+    this.started = false;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    clearInterval(this.leaseTimer);
+    this.leaseTimer = null;
+    for (const stopListening of this.listeners.values()) {
+      stopListening();
+    }
+    this.listeners.clear();
+
+    await Promise.all([...this.workers.values()].map(worker => this.stopWorker(worker, graceMs)));
+    await Promise.all(this.writes);
+  }
+
+  status() {
+    return {
+      clusterId: this.id,
+      started: this.started,
+      workers: [...this.workers.values()].map(worker => ({
+        id: worker.id,
+        pid: worker.pid,
+        status: worker.status,
+        agents: [...worker.agents],
+        running: worker.running,
+        tasksRun: worker.tasksRun,
+        memory: worker.memory,
+        lastHeartbeat: worker.lastHeartbeat,
+      })),
+      placements: Object.fromEntries(this.placements),
+    };
+  }
+
+  spawnWorker() {
+    const id = `worker-${this.nextWorker++}`;
+    // stdout is the MCP stdio channel, so whatever workers print goes to stderr
+    const child = fork(this.workerScript, [], {
+      stdio: ['ignore', 2, 2, 'ipc'],
+      env: { ...process.env, RUV_SWARM_CLUSTER_ID: this.id, RUV_SWARM_WORKER_ID: id },
+    });
+    const worker = {
+      id,
+      child,
+      pid: child.pid,
+      status: 'starting',
+      agents: new Set(),
+      running: 0,
+      tasksRun: 0,
+      memory: null,
+      lastHeartbeat: this.now(),
+      lastPersisted: 0,
+      stopping: false,
+      startError: null,
+    };
+    worker.ready = new Promise((resolve, reject) => {
+      worker.onReady = resolve;
+      worker.onStartFailed = reject;
+    });
+    // Only start() waits on it; a replacement that fails is reported by its exit
+    worker.ready.catch(() => null);
+
+    child.on('message', message => this.handleWorkerMessage(worker, message));
+    child.on('exit', (code, signal) => this.handleWorkerExit(worker, code, signal));
+    child.on('error', error => this.emit('worker_error', { workerId: id, error }));
+
+    this.workers.set(id, worker);
+    this.post(worker, {
+      type: 'init',
+      workerId: id,
+      executors: this.executors,
+      heartbeatInterval: this.heartbeatInterval,
+    });
+    this.persistWorker(worker);
+    return worker;
+  }
+
+  handleWorkerMessage(worker, message) {
+    switch (message.type) {
+    case 'ready':
+      worker.status = 'ready';
+      worker.pid = message.pid;
+      worker.lastHeartbeat = this.now();
+      this.persistWorker(worker);
+      worker.onReady(worker);
+      this.emit('worker_ready', { workerId: worker.id, pid: worker.pid, executors: message.executors });
+      this.placeOrphans();
+      break;
+    case 'init_error':
+      worker.startError = reviveError(message.error);
+      break;
+    case 'heartbeat':
+      worker.lastHeartbeat = this.now();
+      worker.running = message.running;
+      worker.tasksRun = message.tasksRun;
+      worker.memory = message.memory;
+      if (worker.lastHeartbeat - worker.lastPersisted >= PERSIST_HEARTBEAT_MS) {
+        this.persistWorker(worker);
+      }
+      break;
+    case 'progress':
+      this.pending.get(message.id)?.onProgress?.(message);
+      break;
+    case 'task_result':
+    case 'message_ack': {
+      const pending = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      if (!pending) {
+        break;
+      }
+      if (message.error) {
+        pending.reject(reviveError(message.error));
+      } else {
+        pending.resolve(message.outcome && { ...message.outcome, worker: worker.id });
+      }
+      break;
+    }
+    case 'read':
+      for (const id of message.ids) {
+        this.unread.get(message.agentId)?.delete(id);
+      }
+      this.track(() => this.bus?.ack(message.agentId, message.ids), 'Failed to ack read messages');
+      break;
+    case 'send':
+      this.relay(worker, message);
+      break;
+    default:
+      break;
+    }
+  }
+
+  // A worker's agent sending on the bus
+  async relay(worker, { id, message }) {
+    try {
+      if (!this.bus) {
+        throw new ResourceError('This cluster has no message bus', 'message_bus');
+      }
+      const receipt = await this.bus.send(message);
+      this.post(worker, { type: 'send_result', id, receipt });
+    } catch (error) {
+      this.post(worker, { type: 'send_result', id, error: { name: error.name, message: error.message } });
+    }
+  }
+
+  handleWorkerExit(worker, code, signal) {
+    const wasReady = worker.status === 'ready' || worker.status === 'unresponsive';
+    const crashed = !worker.stopping;
+    worker.status = crashed ? 'crashed' : 'stopped';
+    worker.exitCode = code;
+    worker.exitSignal = signal;
+    this.workers.delete(worker.id);
+
+    if (!wasReady) {
+      worker.onStartFailed(worker.startError ||
+        new ResourceError(`Worker ${worker.id} ${describeExit(code, signal)} before it was ready`, 'worker'));
+    }
+    for (const [id, pending] of this.pending) {
+      if (pending.workerId === worker.id) {
+        this.pending.delete(id);
+        pending.reject(new ResourceError(`Worker ${worker.id} ${describeExit(code, signal)}`, 'worker'));
+      }
+    }
+
+    const agents = [...worker.agents];
+    for (const agentId of agents) {
+      this.placements.delete(agentId);
+    }
+    this.persistWorker(worker);
+    this.emit('worker_exit', { workerId: worker.id, code, signal, status: worker.status, agents });
+
+    if (!crashed || !this.started) {
+      return;
+    }
+    for (const agentId of agents) {
+      const to = this.place(this.agents.get(agentId));
+      this.emit('agent_rescheduled', { agentId, from: worker.id, to });
+    }
+    // A worker that never came up would most likely fail again
+    if (this.respawn && wasReady) {
+      this.spawnWorker();
+    }
+  }
+
+  checkHealth() {
+    const now = this.now();
+    for (const worker of this.workers.values()) {
+      if (worker.status === 'ready' && now - worker.lastHeartbeat > this.heartbeatTimeout) {
+        worker.status = 'unresponsive';
+        this.persistWorker(worker);
+        this.emit('worker_unresponsive', { workerId: worker.id, silentFor: now - worker.lastHeartbeat });
+        worker.child.kill('SIGKILL');
+      }
+    }
+  }
+
+  // Keeps the messages workers hold but no task has read from being handed out again
+  renewLeases() {
+    for (const [agentId, envelopes] of this.unread) {
+      if (envelopes.size > 0) {
+        this.track(() => this.bus.extend(agentId, [...envelopes.keys()]), 'Failed to renew message leases');
+      }
+    }
+  }
+
+  // Agents left without a worker when none was ready to take them
+  placeOrphans() {
+    for (const agent of this.agents.values()) {
+      if (!this.placements.has(agent.id)) {
+        this.place(agent);
+      }
+    }
+  }
+
+  stopWorker(worker, graceMs) {
+    return new Promise(resolve => {
+      if (worker.child.exitCode !== null || worker.child.signalCode !== null) {
+        resolve();
+        return;
+      }
+      worker.stopping = true;
+      const timer = setTimeout(() => worker.child.kill('SIGKILL'), graceMs);
+      worker.child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      if (!this.post(worker, { type: 'shutdown' })) {
+        worker.child.kill('SIGTERM');
+      }
+    });
+  }
+
+  // The agent's worker, placing the agent first if it has none
+  workerHosting(agent, purpose) {
+    if (!this.workerFor(agent.id)) {
+      this.place(agent);
+    }
+    const worker = this.workerFor(agent.id);
+    if (!worker) {
+      throw new ResourceError(
+        `No cluster worker is available to ${purpose}`,
+        'worker',
+        this.liveWorkers().length,
+        this.size,
+      );
+    }
+    return worker;
+  }
+
+  workerFor(agentId) {
+    const worker = this.workers.get(this.placements.get(agentId));
+    return worker?.status === 'ready' ? worker : null;
+  }
+
+  liveWorkers() {
+    return [...this.workers.values()].filter(worker => worker.status === 'ready');
+  }
+
+  leastLoaded() {
+    return this.liveWorkers().reduce((best, worker) => (!best || worker.agents.size < best.agents.size ? worker : best), null);
+  }
+
+  // dispatch() for work `signal` aborts on the worker; `onProgress` gets the
+  // progress messages it sends meanwhile
+  call(worker, message, { signal, onProgress = null } = {}) {
+    const { id, promise } = this.dispatch(worker, message, onProgress);
+    if (!signal) {
+      return promise;
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.post(worker, { type: 'abort', id });
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  // Sends a request the worker answers; a worker that exits first rejects it
+  dispatch(worker, message, onProgress = null) {
+    const id = this.nextRequest++;
+    const promise = new Promise((resolve, reject) => {
+      this.pending.set(id, { workerId: worker.id, resolve, reject, onProgress });
+      if (!this.post(worker, { ...message, id })) {
+        this.pending.delete(id);
+        reject(new ResourceError(`Worker ${worker.id} is not connected`, 'worker'));
+      }
+    });
+    return { id, promise };
+  }
+
+  post(worker, message) {
+    if (!worker.child.connected) {
+      return false;
+    }
+    worker.child.send(message);
+    return true;
+  }
+
+  persistWorker(worker) {
+    if (!this.store) {
+      return;
+    }
+    worker.lastPersisted = this.now();
+    this.track(() => this.store.saveClusterWorker({
+      id: worker.id,
+      clusterId: this.id,
+      pid: worker.pid,
+      status: worker.status,
+      agents: [...worker.agents],
+      tasksRun: worker.tasksRun,
+      lastHeartbeat: worker.lastHeartbeat,
+      exitCode: worker.exitCode,
+      exitSignal: worker.exitSignal,
+      stoppedAt: worker.status === 'crashed' || worker.status === 'stopped' ? new Date().toISOString() : null,
+    }), 'Failed to record cluster worker');
+  }
+
+  // A store or bus write that stop() waits for; failures are only logged
+  track(write, failure) {
+    const pending = Promise.resolve()
+      .then(write)
+      .catch(error => console.warn(`${failure}:`, error.message))
+      .finally(() => this.writes.delete(pending));
+    this.writes.add(pending);
+  }
+}
+
+export {
+  ClusterCoordinator,
+  WORKER_STATUSES,
+  DEFAULT_HEARTBEAT_INTERVAL_MS,
+  DEFAULT_HEARTBEAT_TIMEOUT_MS,
+  validateClusterOptions,
+};
@@ -0,0 +1,246 @@
+/**
+ * Cluster Worker Process
+ *
+ * Forked by ClusterCoordinator (see index.js); not meant to be run by hand.
+ * Hosts the agents the coordinator places on it and runs their tasks with
+ * its own ExecutorRegistry, loaded from the same executors config as the
+ * coordinator. Agent types without an executor get the same simulated result
+ * as in a single-process swarm.
+ *
+ * Neural agents get a NeuralAgent here, restored from the state the
+ * coordinator sends along, which analyses and learns from each of their
+ * tasks. A task's learning entry goes back with its result. neural_train's
+ * dataset training for an agent runs here too, reporting each epoch.
+ *
+ * The worker never opens the database. Task results go back over IPC and
+ * the coordinator writes them, so the store keeps a single writer however
+ * many workers there are.
+ *
+ * Executors are called with a context holding, besides `signal`:
+ *   receive()      - the agent's messages delivered since the last call
+ *   send(message)  - sends a message on the swarm's bus (`from` defaults to
+ *                    the agent); resolves to the bus's receipt
+ */
+
+import { ExecutorRegistry } from '../executors/index.js';
+import { NeuralAgentFactory } from '../neural-agent.js';
+import { trainOnDataset } from '../neural-models/dataset-training.js';
+
+const state = {
+  workerId: null,
+  executors: new ExecutorRegistry(),
+  agents: new Map(),
+  // agentId -> Promise of its NeuralAgent
+  neuralAgents: new Map(),
+  // agentId -> envelopes not yet handed to a task
+  mailboxes: new Map(),
+  // task run id -> AbortController
+  running: new Map(),
+  // send request id -> { resolve, reject }
+  sending: new Map(),
+  nextSendId: 1,
+  tasksRun: 0,
+  heartbeatTimer: null,
+};
+
+function post(message) {
+  if (process.connected) {
+    process.send(message);
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error?.name || 'Error',
+    message: error?.message || String(error),
+    details: error?.details,
+    executor: error?.executor,
+    output: error?.output,
+  };
+}
+
+function heartbeat() {
+  post({
+    type: 'heartbeat',
+    at: Date.now(),
+    agents: [...state.agents.keys()],
+    running: state.running.size,
+    tasksRun: state.tasksRun,
+    memory: process.memoryUsage().rss,
+  });
+}
+
+function taskContext(agentId, signal) {
+  return {
+    signal,
+    receive() {
+      const messages = state.mailboxes.get(agentId) || [];
+      state.mailboxes.delete(agentId);
+      if (messages.length > 0) {
+        post({ type: 'read', agentId, ids: messages.map(envelope => envelope.id) });
+      }
+      return messages;
+    },
+    send(message) {
+      const id = state.nextSendId++;
+      return new Promise((resolve, reject) => {
+        state.sending.set(id, { resolve, reject });
+        post({ type: 'send', id, message: { from: agentId, ...message } });
+      });
+    },
+  };
+}
+
+async function execute(request, signal) {
+  const executor = state.executors.get(request.agent.type);
+  if (!executor) {
+    return { result: 'Task execution placeholder', workerExecutor: null };
+  }
+  const outcome = await executor.execute(request, taskContext(request.agent.id, signal));
+  return { ...outcome, workerExecutor: executor.name };
+}
+
+async function createNeuralAgent({ id, name, type, capabilities, neuralState }) {
+  await NeuralAgentFactory.initializeFactory();
+  const agent = {
+    id,
+    name,
+    type,
+    capabilities,
+    // The NeuralAgent hands back the task runTask() gave it
+    execute: (task, { signal }) => execute(task.request, signal),
+  };
+  const neuralAgent = NeuralAgentFactory.createNeuralAgent(agent, type);
+  if (neuralState) {
+    neuralAgent.loadNeuralState(neuralState);
+  }
+  return neuralAgent;
+}
+
+async function runNeuralTask(request, signal) {
+  const neuralAgent = await state.neuralAgents.get(request.agent.id);
+  const task = { id: request.taskId, description: request.description, priority: request.priority, request };
+  const outcome = await neuralAgent.executeTask(task, { signal });
+  const learning = neuralAgent.learningHistory.findLast(entry => entry.task === task.id);
+  return { ...outcome, learning };
+}
+
+async function runTask(id, request) {
+  const controller = new AbortController();
+  state.running.set(id, controller);
+  try {
+    const outcome = request.neural && state.neuralAgents.has(request.agent.id) ?
+      await runNeuralTask(request, controller.signal) :
+      await execute(request, controller.signal);
+    post({ type: 'task_result', id, outcome });
+  } catch (error) {
+    post({ type: 'task_result', id, error: serializeError(error) });
+  } finally {
+    state.running.delete(id);
+    state.tasksRun++;
+  }
+}
+
+async function train(id, { params, options }) {
+  const controller = new AbortController();
+  state.running.set(id, controller);
+  try {
+    const training = await trainOnDataset(params, options, {
+      // Lets an abort from the coordinator through between epochs
+      checkpoint: async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        controller.signal.throwIfAborted();
+      },
+      progress: (progress, total, message) => post({ type: 'progress', id, progress, total, message }),
+    });
+    post({ type: 'task_result', id, outcome: { training } });
+  } catch (error) {
+    post({ type: 'task_result', id, error: serializeError(error) });
+  } finally {
+    state.running.delete(id);
+    state.tasksRun++;
+  }
+}
+
+async function initialize({ workerId, executors, heartbeatInterval }) {
+  state.workerId = workerId;
+  try {
+    if (executors) {
+      await state.executors.load(executors);
+    }
+  } catch (error) {
+    post({ type: 'init_error', error: serializeError(error) });
+    process.exit(1);
+  }
+
+  state.heartbeatTimer = setInterval(heartbeat, heartbeatInterval);
+  post({ type: 'ready', pid: process.pid, executors: state.executors.list() });
+  heartbeat();
+}
+
+function shutdown() {
+  clearInterval(state.heartbeatTimer);
+  for (const controller of state.running.values()) {
+    controller.abort(new Error(`Worker ${state.workerId} shutting down`));
+  }
+  process.disconnect?.();
+  process.exit(0);
+}
+
+process.on('message', (message) => {
+  switch (message.type) {
+  case 'init':
+    initialize(message);
+    break;
+  case 'place': {
+    const { agent } = message;
+    state.agents.set(agent.id, agent);
+    if (agent.neural) {
+      const neuralAgent = createNeuralAgent(agent);
+      // runTask() reports the failure when the agent's task awaits it
+      neuralAgent.catch(() => null);
+      state.neuralAgents.set(agent.id, neuralAgent);
+    }
+    break;
+  }
+  case 'unplace':
+    state.agents.delete(message.agentId);
+    state.neuralAgents.delete(message.agentId);
+    state.mailboxes.delete(message.agentId);
+    break;
+  case 'task':
+    runTask(message.id, message.request);
+    break;
+  case 'train':
+    train(message.id, message);
+    break;
+  case 'abort':
+    state.running.get(message.id)?.abort(new Error('Task aborted by the coordinator'));
+    break;
+  case 'message': {
+    const mailbox = state.mailboxes.get(message.agentId) || [];
+    mailbox.push(message.envelope);
+    state.mailboxes.set(message.agentId, mailbox);
+    post({ type: 'message_ack', id: message.id });
+    break;
+  }
+  case 'send_result': {
+    const pending = state.sending.get(message.id);
+    state.sending.delete(message.id);
+    if (message.error) {
+      pending?.reject(Object.assign(new Error(message.error.message), { name: message.error.name }));
+    } else {
+      pending?.resolve(message.receipt);
+    }
+    break;
+  }
+  case 'shutdown':
+    shutdown();
+    break;
+  default:
+    break;
+  }
+});
+
+// The coordinator went away without saying so; nothing can reach us any more
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,26 @@
+/**
+ * Consensus Index
+ *
+ * Raft replication between swarm agents and leader-driven task assignment
+ * on top of it, PBFT agreement and signed-ballot voting for agents that
+ * may be faulty, and the deterministic network simulator they all run on
+ * in tests, in NeuralCoordinationProtocol and in DAACognition.
+ */
+
+export { NetworkSimulator, seededRandom, seedFromString } from './network-simulator.js';
+export { RAFT_ROLES, MemoryRaftStorage, RaftNode } from './raft.js';
+export { TASK_STATES, TaskAssignmentStateMachine, RaftTaskCluster } from './task-assignment.js';
+export {
+  PBFT_FAULTS,
+  NULL_DIGEST,
+  createAgentKeys,
+  canonicalJSON,
+  digestOf,
+  signMessage,
+  verifyMessage,
+  pbftQuorum,
+  PbftReplica,
+  PbftClient,
+  PbftCluster,
+} from './pbft.js';
+export { castBallot, validBallots, BallotStateMachine, byzantineVote } from './voting.js';
@@ -0,0 +1,286 @@
+/**
+ * Deterministic Network Simulator
+ *
+ * Runs consensus nodes in one process on a virtual clock. Messages and
+ * timers are events in one queue, ordered by the virtual time they fire
+ * at and then by the order they were scheduled, and every random choice
+ * (delays, losses, election timeouts) comes from one seeded generator, so
+ * a run with the same seed and the same faults replays exactly.
+ *
+ * Faults:
+ *   - `dropRate`: chance that any message is lost
+ *   - `minDelay`/`maxDelay`: delivery delay range in virtual ms
+ *   - `setLink(from, to, { dropRate, delay })`: loss or extra delay on one link
+ *   - `partition([...], [...])`: nodes in different groups cannot talk
+ *   - `crash(id)`: the node stops; its timers and messages to it are dropped
+ *     until `restart(id)`
+ *
+ * Each node gets a transport with `send()`, `setTimer()`, `clearTimer()`,
+ * `now()` and `random()`, which is all RaftNode needs from a network.
+ */
+
+// mulberry32: small, fast and good enough for simulation
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a, for runs seeded from a session or proposal id
+function seedFromString(text) {
+  let hash = 2166136261;
+  for (const char of String(text)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+const DEFAULT_MAX_EVENTS = 1000000;
+
+class NetworkSimulator {
+  constructor(options = {}) {
+    this.options = {
+      seed: 1,
+      minDelay: 1,
+      maxDelay: 10,
+      dropRate: 0,
+      trace: false,
+      ...options,
+    };
+    this.random = seededRandom(this.options.seed);
+    this.time = 0;
+    this.sequence = 0;
+    this.queue = [];
+    this.nodes = new Map();
+    this.links = new Map();
+    this.groups = null;
+    this.trace = [];
+    this.stats = { sent: 0, delivered: 0, dropped: 0 };
+  }
+
+  /**
+   * Adds a node. `onMessage(from, message)` is called for every message
+   * delivered to it. Returns the node's transport.
+   */
+  addNode(id, onMessage) {
+    if (this.nodes.has(id)) {
+      throw new Error(`Node ${id} is already on the network`);
+    }
+    this.nodes.set(id, { onMessage, up: true, incarnation: 0 });
+    return this.transport(id);
+  }
+
+  transport(id) {
+    return {
+      id,
+      send: (to, message) => this.send(id, to, message),
+      setTimer: (delay, callback) => this.setTimer(id, delay, callback),
+      clearTimer: (timer) => this.clearTimer(timer),
+      now: () => this.time,
+      random: this.random,
+    };
+  }
+
+  isUp(id) {
+    return Boolean(this.nodes.get(id)?.up);
+  }
+
+  // Whether a message from `from` to `to` can get through the current partitions
+  connected(from, to) {
+    if (!this.groups) {
+      return true;
+    }
+    return this.groups.get(from) === this.groups.get(to);
+  }
+
+  send(from, to, message) {
+    this.stats.sent++;
+    const link = this.links.get(`${from}->${to}`) || {};
+    const dropRate = link.dropRate ?? this.options.dropRate;
+    const node = this.nodes.get(to);
+
+    if (!node || !this.isUp(from) || !this.connected(from, to) || this.random() < dropRate) {
+      this.drop(from, to, message, node ? 'lost' : 'unknown node');
+      return false;
+    }
+    const { minDelay, maxDelay } = this.options;
+    const delay = minDelay + this.random() * (maxDelay - minDelay) + (link.delay || 0);
+    this.schedule(delay, {
+      kind: 'message',
+      from,
+      to,
+      message,
+      incarnation: node.incarnation,
+    });
+    return true;
+  }
+
+  drop(from, to, message, reason) {
+    this.stats.dropped++;
+    this.record({ event: 'drop', from, to, type: message.type, reason });
+  }
+
+  setTimer(id, delay, callback) {
+    const node = this.nodes.get(id);
+    return this.schedule(delay, { kind: 'timer', to: id, callback, incarnation: node.incarnation });
+  }
+
+  clearTimer(timer) {
+    if (timer) {
+      timer.cancelled = true;
+    }
+  }
+
+  // Inserts an event after every event due at or before the same time
+  schedule(delay, event) {
+    event.time = this.time + Math.max(0, delay);
+    event.sequence = this.sequence++;
+    let low = 0;
+    let high = this.queue.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      const other = this.queue[mid];
+      if (other.time < event.time || (other.time === event.time && other.sequence < event.sequence)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.queue.splice(low, 0, event);
+    return event;
+  }
+
+  /**
+   * Runs the next event. Returns false when nothing is left to run.
+   */
+  step() {
+    const event = this.queue.shift();
+    if (!event) {
+      return false;
+    }
+    this.time = event.time;
+    const node = this.nodes.get(event.to);
+    // Events scheduled before a crash never reach the restarted node
+    if (event.cancelled || !node?.up || node.incarnation !== event.incarnation) {
+      if (event.kind === 'message') {
+        this.drop(event.from, event.to, event.message, 'node down');
+      }
+      return true;
+    }
+
+    if (event.kind === 'timer') {
+      event.callback();
+    } else if (!this.connected(event.from, event.to)) {
+      this.drop(event.from, event.to, event.message, 'partitioned');
+    } else {
+      this.stats.delivered++;
+      this.record({ event: 'deliver', from: event.from, to: event.to, type: event.message.type });
+      node.onMessage(event.from, event.message);
+    }
+    return true;
+  }
+
+  /**
+   * Runs events until `duration` virtual ms have passed.
+   */
+  runFor(duration, { maxEvents = DEFAULT_MAX_EVENTS } = {}) {
+    const end = this.time + duration;
+    let events = 0;
+    while (this.queue.length > 0 && this.queue[0].time <= end) {
+      if (++events > maxEvents) {
+        throw new Error(`Simulation ran ${maxEvents} events without reaching time ${end}`);
+      }
+      this.step();
+    }
+    this.time = end;
+  }
+
+  /**
+   * Runs events until `condition()` holds or `timeout` virtual ms have
+   * passed. Returns whether the condition was met.
+   */
+  runUntil(condition, { timeout = 60000, maxEvents = DEFAULT_MAX_EVENTS } = {}) {
+    const end = this.time + timeout;
+    let events = 0;
+    while (!condition()) {
+      if (this.queue.length === 0 || this.queue[0].time > end || ++events > maxEvents) {
+        return false;
+      }
+      this.step();
+    }
+    return true;
+  }
+
+  /**
+   * Splits the network: nodes in different groups cannot reach each other.
+   * Nodes in no group share one more group.
+   */
+  partition(...groups) {
+    this.groups = new Map();
+    groups.forEach((group, index) => {
+      for (const id of group) {
+        this.groups.set(id, index);
+      }
+    });
+    for (const id of this.nodes.keys()) {
+      if (!this.groups.has(id)) {
+        this.groups.set(id, groups.length);
+      }
+    }
+    this.record({ event: 'partition', groups });
+  }
+
+  heal() {
+    this.groups = null;
+    this.record({ event: 'heal' });
+  }
+
+  // Loss (`dropRate`) or extra delay (`delay`) on messages from `from` to `to`; null clears it
+  setLink(from, to, fault) {
+    const key = `${from}->${to}`;
+    if (fault) {
+      this.links.set(key, fault);
+    } else {
+      this.links.delete(key);
+    }
+  }
+
+  crash(id) {
+    const node = this.nodes.get(id);
+    if (node?.up) {
+      node.up = false;
+      node.incarnation++;
+      this.record({ event: 'crash', node: id });
+    }
+  }
+
+  /**
+   * Brings a crashed node back. `onMessage` replaces its message handler,
+   * for a node rebuilt from its storage.
+   */
+  restart(id, onMessage = null) {
+    const node = this.nodes.get(id);
+    if (!node) {
+      throw new Error(`Node ${id} is not on the network`);
+    }
+    node.up = true;
+    if (onMessage) {
+      node.onMessage = onMessage;
+    }
+    this.record({ event: 'restart', node: id });
+    return this.transport(id);
+  }
+
+  record(entry) {
+    if (this.options.trace) {
+      this.trace.push({ time: this.time, ...entry });
+    }
+  }
+}
+
+export { NetworkSimulator, seededRandom, seedFromString };
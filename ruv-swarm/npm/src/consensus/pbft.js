@@ -0,0 +1,896 @@
+/**
+ * Practical Byzantine Fault Tolerance
+ *
+ * Orders client requests between replicas when up to f of them may lie,
+ * equivocate or stay silent (Castro and Liskov, "Practical Byzantine Fault
+ * Tolerance", 1999). With n replicas, f = ⌊(n - 1) / 3⌋ and every decision
+ * needs a quorum of ⌊(n + f) / 2⌋ + 1 matching messages, which is 2f + 1
+ * when n = 3f + 1. This covers:
+ *   - the three-phase pre-prepare / prepare / commit agreement
+ *   - Ed25519 signatures on every protocol message, checked against each
+ *     agent's public key, so no replica can speak for another
+ *   - view changes: backups that wait too long for a request to execute
+ *     vote the primary out, carrying prepared certificates into the new
+ *     view so that nothing committed is lost
+ *   - replies that carry the replica's signed commit; the client accepts a
+ *     result only from a quorum of replicas with matching commits
+ *
+ * There are no checkpoints: the log lives as long as the replica, which
+ * suits the short-lived clusters that agent votes run on.
+ *
+ * Replicas talk to the network through a transport (see
+ * network-simulator.js) and to the application through a state machine:
+ *
+ *   apply(operation, sequence) → result   // deterministic
+ *   validate(operation) → boolean         // optional; invalid requests are never prepared
+ *
+ * Faults for testing are injected per replica with the `fault` option
+ * (see PBFT_FAULTS).
+ */
+
+import { createHash, generateKeyPairSync, sign, verify } from 'crypto';
+import { EventEmitter } from 'events';
+import { ConsensusError } from '../errors.js';
+import { NetworkSimulator } from './network-simulator.js';
+
+/**
+ * Injectable replica faults:
+ *   - silent: receives everything, sends nothing
+ *   - forge: signs its messages as another replica, so none of them verify
+ *   - equivocate: tells half of the replicas something else (a null request
+ *     as primary, a null digest in its prepares and commits)
+ *   - corrupt: follows the protocol but replies with a wrong result
+ */
+const PBFT_FAULTS = ['silent', 'forge', 'equivocate', 'corrupt'];
+
+const PHASES = ['pre_prepare', 'prepare', 'commit'];
+
+function createAgentKeys() {
+  return generateKeyPairSync('ed25519');
+}
+
+// JSON with sorted keys, so equal messages hash and sign equally
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function digestOf(value) {
+  return createHash('sha256').update(canonicalJSON(value)).digest('hex');
+}
+
+// A view change fills sequence numbers nobody prepared with null requests
+const NULL_DIGEST = digestOf(null);
+
+function signMessage(message, privateKey) {
+  const { signature: _signature, ...body } = message;
+  return { ...body, signature: sign(null, Buffer.from(canonicalJSON(body)), privateKey).toString('base64') };
+}
+
+function verifyMessage(message, publicKey) {
+  if (!publicKey || typeof message?.signature !== 'string') {
+    return false;
+  }
+  const { signature, ...body } = message;
+  try {
+    return verify(null, Buffer.from(canonicalJSON(body)), publicKey, Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+// Faults tolerated and quorum size for n replicas
+function pbftQuorum(n) {
+  const f = Math.floor((n - 1) / 3);
+  return { f, quorum: Math.floor((n + f) / 2) + 1 };
+}
+
+class PbftReplica extends EventEmitter {
+  /**
+   * @param {string} id
+   * @param {Object} options
+   * @param {string[]} options.replicas - Every replica, this one included, in primary order
+   * @param {Object} options.transport - From NetworkSimulator.addNode()
+   * @param {KeyObject} options.privateKey - This replica's Ed25519 key
+   * @param {Map<string, KeyObject>} options.publicKeys - Keys of all replicas and clients
+   * @param {Object} options.stateMachine - `{ apply, validate? }`
+   * @param {number} [options.requestTimeout] - How long a backup waits for a
+   *   known request to execute before starting a view change; doubles with
+   *   each failed view change (default 200 ms)
+   * @param {string} [options.fault] - One of PBFT_FAULTS
+   */
+  constructor(id, { replicas, transport, privateKey, publicKeys, stateMachine, requestTimeout = 200, fault = null }) {
+    super();
+    if (fault !== null && !PBFT_FAULTS.includes(fault)) {
+      throw new ConsensusError(`Unknown PBFT fault ${fault}; expected one of ${PBFT_FAULTS.join(', ')}`, 'pbft', id);
+    }
+    this.id = id;
+    this.replicas = [...replicas];
+    this.transport = transport;
+    this.privateKey = privateKey;
+    this.publicKeys = publicKeys;
+    this.stateMachine = stateMachine;
+    this.options = { requestTimeout };
+    this.fault = fault;
+    Object.assign(this, pbftQuorum(this.replicas.length));
+
+    this.view = 0;
+    this.viewChanging = false;
+    this.viewChangeAttempts = 0;
+    this.nextSequence = 1;
+    // `${view}:${sequence}` → pre-prepare, prepares and commits seen for it
+    this.slots = new Map();
+    // sequence → { digest, request, view } once a quorum committed it
+    this.committed = new Map();
+    this.lastExecuted = 0;
+    // digest → client request not yet executed here
+    this.requests = new Map();
+    // Digests the primary has given a sequence number in this view
+    this.assigned = new Set();
+    // `${client}:${requestId}` → the signed reply, resent to clients that retry
+    this.replies = new Map();
+    // view → replica → view-change message
+    this.viewChanges = new Map();
+    // Messages for a view this replica has not entered yet
+    this.deferred = [];
+    // The new-view message of the current view, for replicas that missed it
+    this.newView = null;
+    this.timer = null;
+    this.stopped = true;
+  }
+
+  get primary() {
+    return this.primaryOf(this.view);
+  }
+
+  get isPrimary() {
+    return this.primary === this.id;
+  }
+
+  primaryOf(view) {
+    return this.replicas[view % this.replicas.length];
+  }
+
+  start() {
+    this.stopped = false;
+    return this;
+  }
+
+  stop() {
+    this.stopped = true;
+    this.transport.clearTimer(this.timer);
+    this.timer = null;
+  }
+
+  getState() {
+    return {
+      id: this.id,
+      view: this.view,
+      primary: this.primary,
+      viewChanging: this.viewChanging,
+      lastExecuted: this.lastExecuted,
+      pending: this.requests.size,
+      fault: this.fault,
+    };
+  }
+
+  // Sending; a faulty replica alters messages here
+
+  sign(body) {
+    return signMessage({ ...body, replica: this.id }, this.privateKey);
+  }
+
+  send(to, message) {
+    const sent = this.tamper(to, message);
+    if (sent) {
+      this.transport.send(to, sent);
+    }
+  }
+
+  broadcast(message) {
+    for (const replica of this.replicas) {
+      if (replica !== this.id) {
+        this.send(replica, message);
+      }
+    }
+  }
+
+  tamper(to, message) {
+    switch (this.fault) {
+    case 'silent':
+      return null;
+    case 'forge':
+      return { ...message, replica: this.replicas.find(replica => replica !== this.id) ?? 'forged' };
+    case 'equivocate':
+      if (PHASES.includes(message.type) && this.replicas.indexOf(to) % 2 === 1) {
+        const { signature: _signature, replica: _replica, ...body } = message;
+        return this.sign({ ...body, digest: NULL_DIGEST, ...(message.type === 'pre_prepare' ? { request: null } : {}) });
+      }
+      return message;
+    case 'corrupt':
+      if (message.type === 'reply') {
+        const { signature: _signature, replica: _replica, ...body } = message;
+        return this.sign({ ...body, result: { corrupted: true } });
+      }
+      return message;
+    default:
+      return message;
+    }
+  }
+
+  // Requests from clients
+
+  validRequest(request) {
+    if (request === null) {
+      return true;
+    }
+    return Boolean(request?.client) &&
+      verifyMessage(request, this.publicKeys.get(request.client)) &&
+      this.stateMachine.validate?.(request.operation) !== false;
+  }
+
+  requestKey(request) {
+    return `${request.client}:${request.id}`;
+  }
+
+  handleRequest(request) {
+    if (!request || !this.validRequest(request)) {
+      return;
+    }
+    const reply = this.replies.get(this.requestKey(request));
+    if (reply) {
+      // The client is retrying and may have missed it
+      this.send(request.client, reply);
+      return;
+    }
+    const digest = digestOf(request);
+    this.requests.set(digest, request);
+    if (this.isPrimary && !this.viewChanging && !this.assigned.has(digest)) {
+      this.prePrepare(digest, request);
+    }
+    this.armTimer();
+  }
+
+  prePrepare(digest, request) {
+    this.assigned.add(digest);
+    const message = this.sign({ type: 'pre_prepare', view: this.view, sequence: this.nextSequence++, digest, request });
+    this.acceptPrePrepare(message);
+    this.broadcast(message);
+  }
+
+  // Protocol messages
+
+  receive(from, message) {
+    if (this.stopped) {
+      return;
+    }
+    if (message?.type === 'request') {
+      this.handleRequest(message.request);
+      return;
+    }
+    if (!this.replicas.includes(message?.replica) || !verifyMessage(message, this.publicKeys.get(message.replica))) {
+      this.emit('rejected', { from, type: message?.type, reason: 'invalid signature' });
+      return;
+    }
+
+    if (PHASES.includes(message.type) && (message.view > this.view || (message.view === this.view && this.viewChanging))) {
+      this.deferred.push(message);
+      return;
+    }
+    switch (message.type) {
+    case 'pre_prepare':
+      this.handlePrePrepare(message);
+      break;
+    case 'prepare':
+      this.handlePrepare(message);
+      break;
+    case 'commit':
+      this.handleCommit(message);
+      break;
+    case 'view_change':
+      this.handleViewChange(message);
+      break;
+    case 'new_view':
+      this.handleNewView(message);
+      break;
+    case 'status':
+      this.handleStatus(message);
+      break;
+    case 'catch_up':
+      this.handleCatchUp(message);
+      break;
+    default:
+      break;
+    }
+  }
+
+  slot(view, sequence) {
+    const key = `${view}:${sequence}`;
+    if (!this.slots.has(key)) {
+      this.slots.set(key, { view, sequence, digest: null, request: null, prePrepare: null, prepares: new Map(), commits: new Map(), prepared: false });
+    }
+    return this.slots.get(key);
+  }
+
+  handlePrePrepare(message) {
+    if (message.view !== this.view || message.replica !== this.primary) {
+      return;
+    }
+    this.acceptPrePrepare(message);
+  }
+
+  acceptPrePrepare(message) {
+    const { view, sequence, digest, request } = message;
+    const slot = this.slot(view, sequence);
+    if (slot.prePrepare || digestOf(request) !== digest || !this.validRequest(request)) {
+      // A second pre-prepare for a slot, or a bad request, is the primary's fault; the timer deals with it
+      this.armTimer();
+      return;
+    }
+    Object.assign(slot, { prePrepare: message, digest, request });
+    if (request !== null && !this.replies.has(this.requestKey(request))) {
+      this.requests.set(digest, request);
+    }
+    if (message.replica !== this.id) {
+      const prepare = this.sign({ type: 'prepare', view, sequence, digest });
+      slot.prepares.set(this.id, prepare);
+      this.broadcast(prepare);
+    }
+    this.armTimer();
+    this.checkPrepared(slot);
+  }
+
+  handlePrepare(message) {
+    if (message.view !== this.view || message.replica === this.primaryOf(message.view)) {
+      return;
+    }
+    const slot = this.slot(message.view, message.sequence);
+    if (!slot.prepares.has(message.replica)) {
+      slot.prepares.set(message.replica, message);
+    }
+    this.checkPrepared(slot);
+  }
+
+  matching(messages, digest) {
+    return [...messages.values()].filter(message => message.digest === digest);
+  }
+
+  // Prepared: the pre-prepare and quorum - 1 matching prepares from backups
+  checkPrepared(slot) {
+    if (slot.prepared || !slot.prePrepare || this.matching(slot.prepares, slot.digest).length < this.quorum - 1) {
+      return;
+    }
+    slot.prepared = true;
+    const commit = this.sign({ type: 'commit', view: slot.view, sequence: slot.sequence, digest: slot.digest });
+    slot.commits.set(this.id, commit);
+    this.broadcast(commit);
+    this.checkCommitted(slot);
+  }
+
+  // Commits of earlier views are kept too: they still prove what was committed
+  handleCommit(message) {
+    const slot = this.slot(message.view, message.sequence);
+    if (!slot.commits.has(message.replica)) {
+      slot.commits.set(message.replica, message);
+    }
+    this.checkCommitted(slot);
+  }
+
+  /**
+   * Committed: a quorum of matching commits. At least f + 1 of them come
+   * from honest replicas that prepared the request, so a replica that
+   * missed the earlier phases can execute it too once it knows the request.
+   */
+  checkCommitted(slot) {
+    if (this.committed.has(slot.sequence) && this.committed.get(slot.sequence).view >= slot.view) {
+      return;
+    }
+    const counts = new Map();
+    for (const { digest } of slot.commits.values()) {
+      counts.set(digest, (counts.get(digest) || 0) + 1);
+    }
+    const digest = [...counts].find(([, count]) => count >= this.quorum)?.[0];
+    if (digest === undefined) {
+      return;
+    }
+    let request;
+    if (slot.digest === digest) {
+      ({ request } = slot);
+    } else if (digest === NULL_DIGEST) {
+      request = null;
+    } else if (this.requests.has(digest)) {
+      request = this.requests.get(digest);
+    } else {
+      return;
+    }
+    this.committed.set(slot.sequence, {
+      digest,
+      request,
+      view: slot.view,
+      commit: slot.commits.get(this.id) || null,
+      certificate: this.matching(slot.commits, digest).slice(0, this.quorum),
+    });
+    this.executeReady();
+  }
+
+  executeReady() {
+    let executed = false;
+    while (this.committed.has(this.lastExecuted + 1)) {
+      const sequence = ++this.lastExecuted;
+      const { digest, request, view, commit } = this.committed.get(sequence);
+      this.requests.delete(digest);
+      executed = true;
+      // A request a view change gave a second sequence number runs once
+      if (request === null || this.replies.has(this.requestKey(request))) {
+        continue;
+      }
+      let result;
+      try {
+        result = this.stateMachine.apply(request.operation, sequence);
+      } catch (error) {
+        result = { error: error.message };
+      }
+      const reply = this.sign({
+        type: 'reply',
+        view,
+        sequence,
+        digest,
+        client: request.client,
+        requestId: request.id,
+        result,
+        commit: commit || this.sign({ type: 'commit', view, sequence, digest }),
+      });
+      this.replies.set(this.requestKey(request), reply);
+      this.emit('execute', { sequence, view, digest, request, result });
+      this.send(request.client, reply);
+    }
+    if (executed && !this.viewChanging) {
+      // The wait restarts for whatever is still pending
+      this.transport.clearTimer(this.timer);
+      this.timer = null;
+      this.armTimer();
+    }
+  }
+
+  // View changes
+
+  /**
+   * Waits for pending requests to execute. A replica that waits too long
+   * first asks the others where they are, in case it only missed messages,
+   * and starts a view change if another timeout passes without progress.
+   */
+  armTimer() {
+    if (this.timer || this.viewChanging || this.requests.size === 0) {
+      return;
+    }
+    this.timer = this.transport.setTimer(this.options.requestTimeout, () => {
+      this.requestStatus();
+      this.timer = this.transport.setTimer(this.options.requestTimeout, () => {
+        this.timer = null;
+        this.startViewChange(this.view + 1);
+      });
+    });
+  }
+
+  requestStatus() {
+    this.broadcast(this.sign({ type: 'status', view: this.view, lastExecuted: this.lastExecuted }));
+  }
+
+  // Sends a replica that is behind the commit certificates and the new view it missed
+  handleStatus({ replica, view, lastExecuted }) {
+    const certificates = [];
+    for (let sequence = lastExecuted + 1; sequence <= this.lastExecuted; sequence++) {
+      const { request, certificate } = this.committed.get(sequence);
+      certificates.push({ request, commits: certificate });
+    }
+    const newView = view < this.view && !this.viewChanging ? this.newView : null;
+    if (certificates.length > 0 || newView) {
+      this.send(replica, this.sign({ type: 'catch_up', certificates, newView }));
+    }
+  }
+
+  handleCatchUp({ certificates, newView }) {
+    if (newView && (newView.view > this.view || (newView.view === this.view && this.viewChanging))) {
+      this.handleNewView(newView);
+    }
+    for (const { request, commits } of Array.isArray(certificates) ? certificates : []) {
+      const [first] = commits || [];
+      if (!first || digestOf(request) !== first.digest || !this.validRequest(request)) {
+        continue;
+      }
+      const valid = commits.filter(commit => commit.type === 'commit' && commit.view === first.view &&
+        commit.sequence === first.sequence && commit.digest === first.digest &&
+        this.replicas.includes(commit.replica) && verifyMessage(commit, this.publicKeys.get(commit.replica)));
+      if (request !== null && !this.replies.has(this.requestKey(request))) {
+        this.requests.set(first.digest, request);
+      }
+      for (const commit of valid) {
+        this.handleCommit(commit);
+      }
+    }
+  }
+
+  startViewChange(view) {
+    if (this.stopped || view <= this.view) {
+      return;
+    }
+    this.transport.clearTimer(this.timer);
+    this.view = view;
+    this.viewChanging = true;
+    this.viewChangeAttempts++;
+    this.emit('view_change', { view });
+
+    const message = this.sign({ type: 'view_change', view, prepared: this.preparedCertificates() });
+    this.recordViewChange(message);
+    this.broadcast(message);
+    // Replicas that are further along can still catch this one up
+    this.requestStatus();
+    // If the new primary does not take over in time, try the one after it
+    this.timer = this.transport.setTimer(this.options.requestTimeout * 2 ** this.viewChangeAttempts, () => {
+      this.timer = null;
+      this.startViewChange(this.view + 1);
+    });
+    this.maybeSendNewView(view);
+  }
+
+  // For each sequence number, the pre-prepare and prepares of the latest view it was prepared in
+  preparedCertificates() {
+    const latest = new Map();
+    for (const slot of this.slots.values()) {
+      if (slot.prepared && (latest.get(slot.sequence)?.view ?? -1) < slot.view) {
+        latest.set(slot.sequence, slot);
+      }
+    }
+    return [...latest.values()]
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(slot => ({
+        prePrepare: slot.prePrepare,
+        prepares: this.matching(slot.prepares, slot.digest)
+          .filter(prepare => prepare.replica !== this.primaryOf(slot.view))
+          .slice(0, this.quorum - 1),
+      }));
+  }
+
+  validCertificate({ prePrepare, prepares } = {}) {
+    if (prePrepare?.type !== 'pre_prepare' ||
+      prePrepare.replica !== this.primaryOf(prePrepare.view) ||
+      !verifyMessage(prePrepare, this.publicKeys.get(prePrepare.replica)) ||
+      digestOf(prePrepare.request) !== prePrepare.digest ||
+      !Array.isArray(prepares)) {
+      return false;
+    }
+    const signers = new Set();
+    for (const prepare of prepares) {
+      if (prepare.type === 'prepare' && prepare.view === prePrepare.view && prepare.sequence === prePrepare.sequence &&
+        prepare.digest === prePrepare.digest && prepare.replica !== prePrepare.replica &&
+        this.replicas.includes(prepare.replica) && verifyMessage(prepare, this.publicKeys.get(prepare.replica))) {
+        signers.add(prepare.replica);
+      }
+    }
+    return signers.size >= this.quorum - 1;
+  }
+
+  validViewChange(message, view) {
+    return message?.type === 'view_change' && message.view === view &&
+      this.replicas.includes(message.replica) &&
+      verifyMessage(message, this.publicKeys.get(message.replica)) &&
+      Array.isArray(message.prepared) &&
+      message.prepared.every(certificate => this.validCertificate(certificate));
+  }
+
+  recordViewChange(message) {
+    if (!this.viewChanges.has(message.view)) {
+      this.viewChanges.set(message.view, new Map());
+    }
+    this.viewChanges.get(message.view).set(message.replica, message);
+  }
+
+  handleViewChange(message) {
+    if (message.view < this.view || (message.view === this.view && !this.viewChanging) || !this.validViewChange(message, message.view)) {
+      return;
+    }
+    this.recordViewChange(message);
+
+    // f + 1 replicas asking for later views include an honest one: join the earliest of those views
+    const later = [...this.viewChanges].filter(([view]) => view > this.view).sort(([a], [b]) => a - b);
+    const senders = new Set(later.flatMap(([, messages]) => [...messages.keys()]));
+    if (senders.size > this.f) {
+      this.startViewChange(later[0][0]);
+    }
+    this.maybeSendNewView(message.view);
+  }
+
+  maybeSendNewView(view) {
+    const messages = this.viewChanges.get(view);
+    if (this.primaryOf(view) !== this.id || view !== this.view || !this.viewChanging || !messages || messages.size < this.quorum) {
+      return;
+    }
+    const viewChanges = [...messages.values()];
+    const prePrepares = this.newViewRequests(viewChanges).map(({ sequence, digest, request }) =>
+      this.sign({ type: 'pre_prepare', view, sequence, digest, request }));
+    const message = this.sign({ type: 'new_view', view, viewChanges, prePrepares });
+    this.broadcast(message);
+    this.enterView(message);
+  }
+
+  /**
+   * What the new primary must pre-prepare again: for every sequence number
+   * up to the highest one prepared anywhere, the request of the latest
+   * view it was prepared in, or a null request.
+   */
+  newViewRequests(viewChanges) {
+    const latest = new Map();
+    for (const { prepared } of viewChanges) {
+      for (const { prePrepare } of prepared) {
+        if ((latest.get(prePrepare.sequence)?.view ?? -1) < prePrepare.view) {
+          latest.set(prePrepare.sequence, prePrepare);
+        }
+      }
+    }
+    const highest = Math.max(0, ...latest.keys());
+    const requests = [];
+    for (let sequence = 1; sequence <= highest; sequence++) {
+      const prePrepare = latest.get(sequence);
+      requests.push(prePrepare ?
+        { sequence, digest: prePrepare.digest, request: prePrepare.request } :
+        { sequence, digest: NULL_DIGEST, request: null });
+    }
+    return requests;
+  }
+
+  handleNewView(message) {
+    const { view, viewChanges, prePrepares } = message;
+    if (view < this.view || (view === this.view && !this.viewChanging) || message.replica !== this.primaryOf(view) ||
+      !Array.isArray(viewChanges) || !Array.isArray(prePrepares)) {
+      return;
+    }
+    const signers = new Set(viewChanges.filter(viewChange => this.validViewChange(viewChange, view)).map(viewChange => viewChange.replica));
+    const expected = this.newViewRequests(viewChanges);
+    const consistent = signers.size >= this.quorum && signers.size === viewChanges.length &&
+      expected.length === prePrepares.length &&
+      expected.every(({ sequence, digest }, index) => {
+        const prePrepare = prePrepares[index];
+        return prePrepare.type === 'pre_prepare' && prePrepare.view === view && prePrepare.sequence === sequence &&
+          prePrepare.digest === digest && prePrepare.replica === message.replica &&
+          verifyMessage(prePrepare, this.publicKeys.get(prePrepare.replica));
+      });
+    if (!consistent) {
+      // The new primary is lying about what was prepared: move past it
+      this.startViewChange(view + 1);
+      return;
+    }
+    this.enterView(message);
+  }
+
+  enterView(message) {
+    const { view, prePrepares } = message;
+    this.transport.clearTimer(this.timer);
+    this.timer = null;
+    this.view = view;
+    this.viewChanging = false;
+    this.viewChangeAttempts = 0;
+    this.assigned = new Set(prePrepares.map(prePrepare => prePrepare.digest));
+    this.nextSequence = Math.max(this.lastExecuted, ...prePrepares.map(prePrepare => prePrepare.sequence)) + 1;
+    for (const [pastView] of this.viewChanges) {
+      if (pastView <= view) {
+        this.viewChanges.delete(pastView);
+      }
+    }
+    this.newView = message;
+    this.emit('view', { view, primary: this.primary });
+
+    for (const prePrepare of prePrepares) {
+      this.acceptPrePrepare(prePrepare);
+    }
+    if (this.isPrimary) {
+      for (const [digest, request] of this.requests) {
+        if (!this.assigned.has(digest)) {
+          this.prePrepare(digest, request);
+        }
+      }
+    }
+    const { deferred } = this;
+    this.deferred = [];
+    for (const deferredMessage of deferred) {
+      if (deferredMessage.view >= view) {
+        this.receive(deferredMessage.replica, deferredMessage);
+      }
+    }
+    this.armTimer();
+  }
+}
+
+/**
+ * Sends requests to every replica and accepts a result once a quorum of
+ * replicas reply with the same result, each reply carrying that replica's
+ * signed commit of the request. Retries until then.
+ */
+class PbftClient {
+  constructor(id, { replicas, transport, privateKey, publicKeys, retryTimeout = 100 }) {
+    this.id = id;
+    this.replicas = [...replicas];
+    this.transport = transport;
+    this.privateKey = privateKey;
+    this.publicKeys = publicKeys;
+    this.retryTimeout = retryTimeout;
+    this.quorum = pbftQuorum(this.replicas.length).quorum;
+    this.nextRequestId = 1;
+    // requestId → { request, digest, replies, resolve, reject, timer }
+    this.pending = new Map();
+    // requestId → accepted outcome
+    this.results = new Map();
+  }
+
+  submit(operation) {
+    const request = signMessage({ client: this.id, id: this.nextRequestId++, operation }, this.privateKey);
+    return new Promise((resolve, reject) => {
+      this.pending.set(request.id, { request, digest: digestOf(request), replies: new Map(), resolve, reject, timer: null });
+      this.transmit(request.id);
+    });
+  }
+
+  transmit(requestId) {
+    const pending = this.pending.get(requestId);
+    if (!pending) {
+      return;
+    }
+    for (const replica of this.replicas) {
+      this.transport.send(replica, { type: 'request', request: pending.request });
+    }
+    pending.timer = this.transport.setTimer(this.retryTimeout, () => this.transmit(requestId));
+  }
+
+  validReply(reply, pending) {
+    const { commit } = reply;
+    return this.replicas.includes(reply.replica) &&
+      verifyMessage(reply, this.publicKeys.get(reply.replica)) &&
+      reply.digest === pending.digest &&
+      commit?.type === 'commit' && commit.replica === reply.replica &&
+      commit.sequence === reply.sequence && commit.digest === reply.digest &&
+      verifyMessage(commit, this.publicKeys.get(commit.replica));
+  }
+
+  receive(from, reply) {
+    const pending = this.pending.get(reply?.requestId);
+    if (reply?.type !== 'reply' || !pending || !this.validReply(reply, pending)) {
+      return;
+    }
+    pending.replies.set(reply.replica, reply);
+
+    const outcome = ({ sequence, result }) => canonicalJSON({ sequence, result });
+    const matching = [...pending.replies.values()].filter(other => outcome(other) === outcome(reply));
+    if (matching.length < this.quorum) {
+      return;
+    }
+    this.transport.clearTimer(pending.timer);
+    this.pending.delete(reply.requestId);
+    const accepted = {
+      requestId: reply.requestId,
+      result: reply.result,
+      sequence: reply.sequence,
+      view: Math.max(...matching.map(other => other.view)),
+      commits: matching.map(other => other.commit),
+    };
+    this.results.set(reply.requestId, accepted);
+    pending.resolve(accepted);
+  }
+
+  // Gives up on every request still waiting for a quorum
+  stop() {
+    for (const [requestId, pending] of this.pending) {
+      this.transport.clearTimer(pending.timer);
+      pending.reject(new ConsensusError(`Request ${requestId} was not committed by a quorum of replicas`, 'pbft', this.id));
+    }
+    this.pending.clear();
+  }
+}
+
+/**
+ * PBFT replicas and one client on a NetworkSimulator, each with its own
+ * Ed25519 key pair.
+ */
+class PbftCluster {
+  /**
+   * @param {string[]} replicaIds - In primary order
+   * @param {Object} options
+   * @param {Function} options.createStateMachine - `(replicaId) => stateMachine`
+   * @param {NetworkSimulator} [options.network] - Default a new one seeded with `seed`
+   * @param {number} [options.seed]
+   * @param {number} [options.requestTimeout] - See PbftReplica
+   * @param {number} [options.retryTimeout] - How often the client resends
+   *   (default half the request timeout)
+   * @param {Object} [options.faults] - Replica id → fault, for testing
+   * @param {Map<string, Object>} [options.keys] - Id → `{ publicKey, privateKey }`;
+   *   missing ones are generated
+   * @param {string} [options.clientId]
+   */
+  constructor(replicaIds, options = {}) {
+    const {
+      createStateMachine,
+      network = null,
+      seed = 1,
+      requestTimeout = 200,
+      retryTimeout = requestTimeout / 2,
+      faults = {},
+      keys = new Map(),
+      clientId = 'client',
+    } = options;
+    if (replicaIds.length === 0) {
+      throw new ConsensusError('A PBFT cluster needs at least one replica', 'pbft');
+    }
+    this.replicaIds = [...replicaIds];
+    this.network = network || new NetworkSimulator({ seed });
+    this.keys = new Map([...this.replicaIds, clientId].map(id => [id, keys.get(id) || createAgentKeys()]));
+    this.publicKeys = new Map([...this.keys].map(([id, { publicKey }]) => [id, publicKey]));
+    Object.assign(this, pbftQuorum(this.replicaIds.length));
+
+    this.replicas = new Map();
+    for (const id of this.replicaIds) {
+      const replica = new PbftReplica(id, {
+        replicas: this.replicaIds,
+        transport: this.network.addNode(id, (from, message) => replica.receive(from, message)),
+        privateKey: this.keys.get(id).privateKey,
+        publicKeys: this.publicKeys,
+        stateMachine: createStateMachine(id),
+        requestTimeout,
+        fault: faults[id] ?? null,
+      });
+      this.replicas.set(id, replica.start());
+    }
+    this.client = new PbftClient(clientId, {
+      replicas: this.replicaIds,
+      transport: this.network.addNode(clientId, (from, message) => this.client.receive(from, message)),
+      privateKey: this.keys.get(clientId).privateKey,
+      publicKeys: this.publicKeys,
+      retryTimeout,
+    });
+  }
+
+  submit(operation) {
+    return this.client.submit(operation);
+  }
+
+  // The view most replicas without an injected fault are in
+  view() {
+    const views = [...this.replicas.values()].filter(replica => !replica.fault).map(replica => replica.view);
+    return views.sort((a, b) => a - b)[Math.floor(views.length / 2)] ?? 0;
+  }
+
+  stop() {
+    this.client.stop();
+    for (const replica of this.replicas.values()) {
+      replica.stop();
+    }
+  }
+
+  runFor(duration, options) {
+    return this.network.runFor(duration, options);
+  }
+
+  runUntil(condition, options) {
+    return this.network.runUntil(condition, options);
+  }
+}
+
+export {
+  PBFT_FAULTS,
+  NULL_DIGEST,
+  createAgentKeys,
+  canonicalJSON,
+  digestOf,
+  signMessage,
+  verifyMessage,
+  pbftQuorum,
+  PbftReplica,
+  PbftClient,
+  PbftCluster,
+};
@@ -0,0 +1,545 @@
+/**
+ * Raft Consensus
+ *
+ * Replicates a log of commands between agents. Every agent applies the
+ * same commands in the same order for as long as a majority of them are
+ * running and can reach each other (Ongaro and Ousterhout, "In Search of
+ * an Understandable Consensus Algorithm", 2014). This covers:
+ *   - leader election with randomised timeouts and the up-to-date log check
+ *   - log replication with the consistency check, and a conflict hint so
+ *     that a lagging follower is caught up in a few round trips
+ *   - commitment by majority, counted only for entries of the leader's own term
+ *   - log compaction: snapshots after `snapshotThreshold` applied entries,
+ *     and InstallSnapshot for followers the compacted log no longer reaches
+ *
+ * A node talks to the network only through its transport (see
+ * network-simulator.js) and to the application only through its state
+ * machine:
+ *
+ *   apply(command, index) → result    // deterministic
+ *   snapshot() → state                // plain data
+ *   restore(state)
+ *
+ * Term, vote, log and snapshot are saved to `storage` on every change, so
+ * a node rebuilt from the same storage after a crash rejoins where it
+ * stopped.
+ */
+
+import { EventEmitter } from 'events';
+import { ConsensusError } from '../errors.js';
+
+const RAFT_ROLES = ['follower', 'candidate', 'leader'];
+
+// Keeps a node's persistent state across simulated crashes
+class MemoryRaftStorage {
+  constructor() {
+    this.state = null;
+  }
+
+  load() {
+    return this.state;
+  }
+
+  save(state) {
+    this.state = state;
+  }
+}
+
+class RaftNode extends EventEmitter {
+  /**
+   * @param {string} id
+   * @param {Object} options
+   * @param {string[]} options.peers - The other nodes of the cluster
+   * @param {Object} options.transport - From NetworkSimulator.addNode()
+   * @param {Object} options.stateMachine - `{ apply, snapshot, restore }`
+   * @param {Object} [options.storage] - `{ load, save }` (default in memory)
+   * @param {number} [options.electionTimeout] - A follower that hears no leader
+   *   for a random 1-2× this many ms starts an election (default 150)
+   * @param {number} [options.heartbeatInterval] - Default 50 ms
+   * @param {number} [options.logReplicationBatchSize] - Entries per AppendEntries (default 10)
+   * @param {number} [options.snapshotThreshold] - Applied entries between snapshots (default 100)
+   */
+  constructor(id, {
+    peers,
+    transport,
+    stateMachine,
+    storage = new MemoryRaftStorage(),
+    electionTimeout = 150,
+    heartbeatInterval = 50,
+    logReplicationBatchSize = 10,
+    snapshotThreshold = 100,
+  }) {
+    super();
+    this.id = id;
+    this.peers = peers.filter(peer => peer !== id);
+    this.transport = transport;
+    this.stateMachine = stateMachine;
+    this.storage = storage;
+    this.options = { electionTimeout, heartbeatInterval, logReplicationBatchSize, snapshotThreshold };
+
+    const saved = storage.load() || {};
+    this.currentTerm = saved.currentTerm || 0;
+    this.votedFor = saved.votedFor ?? null;
+    this.log = saved.log ? [...saved.log] : [];
+    this.snapshot = saved.snapshot || { lastIncludedIndex: 0, lastIncludedTerm: 0, state: null };
+    if (this.snapshot.state !== null) {
+      this.stateMachine.restore(this.snapshot.state);
+    }
+
+    this.role = 'follower';
+    this.leaderId = null;
+    this.commitIndex = this.snapshot.lastIncludedIndex;
+    this.lastApplied = this.snapshot.lastIncludedIndex;
+    this.votes = new Set();
+    this.nextIndex = new Map();
+    this.matchIndex = new Map();
+    // When the leader last heard from each follower
+    this.lastContact = new Map();
+    this.pending = new Map();
+    this.electionTimer = null;
+    this.heartbeatTimer = null;
+    this.stopped = true;
+  }
+
+  get clusterSize() {
+    return this.peers.length + 1;
+  }
+
+  get isLeader() {
+    return this.role === 'leader';
+  }
+
+  start() {
+    this.stopped = false;
+    this.resetElectionTimer();
+    return this;
+  }
+
+  /**
+   * Stops the node, as a crash would: timers end and proposals still
+   * waiting to commit are rejected. Persistent state stays in storage.
+   */
+  stop() {
+    this.stopped = true;
+    this.transport.clearTimer(this.electionTimer);
+    this.transport.clearTimer(this.heartbeatTimer);
+    this.rejectPending(0, `${this.id} stopped before the entry committed`);
+  }
+
+  getState() {
+    return {
+      id: this.id,
+      role: this.role,
+      term: this.currentTerm,
+      leaderId: this.leaderId,
+      commitIndex: this.commitIndex,
+      lastApplied: this.lastApplied,
+      lastLogIndex: this.lastLogIndex(),
+      snapshotIndex: this.snapshot.lastIncludedIndex,
+    };
+  }
+
+  /**
+   * Appends `command` to the replicated log. Only the leader accepts
+   * proposals; others reject with a ConsensusError naming the leader they
+   * know of. Resolves with the state machine's result once the entry is
+   * committed and applied here, or rejects if the entry is lost to a
+   * newer leader first.
+   */
+  propose(command) {
+    if (this.stopped || !this.isLeader) {
+      return Promise.reject(new ConsensusError(`${this.id} is not the leader`, 'raft', this.id, this.leaderId));
+    }
+    const entry = this.append(command);
+    const result = new Promise((resolve, reject) => {
+      this.pending.set(entry.index, { term: entry.term, resolve, reject });
+    });
+    for (const peer of this.peers) {
+      this.sendAppendEntries(peer);
+    }
+    this.advanceCommitIndex();
+    return result;
+  }
+
+  // Log helpers; indices count from 1 and continue past the snapshot
+
+  lastLogIndex() {
+    return this.log.length > 0 ? this.log[this.log.length - 1].index : this.snapshot.lastIncludedIndex;
+  }
+
+  lastLogTerm() {
+    return this.log.length > 0 ? this.log[this.log.length - 1].term : this.snapshot.lastIncludedTerm;
+  }
+
+  entryAt(index) {
+    return this.log[index - this.snapshot.lastIncludedIndex - 1] || null;
+  }
+
+  // Term of the entry at `index`, or null if it is compacted away or not there yet
+  termAt(index) {
+    if (index === this.snapshot.lastIncludedIndex) {
+      return this.snapshot.lastIncludedTerm;
+    }
+    return this.entryAt(index)?.term ?? null;
+  }
+
+  append(command) {
+    const entry = { term: this.currentTerm, index: this.lastLogIndex() + 1, command };
+    this.log.push(entry);
+    this.persist();
+    return entry;
+  }
+
+  persist() {
+    this.storage.save({
+      currentTerm: this.currentTerm,
+      votedFor: this.votedFor,
+      log: [...this.log],
+      snapshot: this.snapshot,
+    });
+  }
+
+  send(peer, message) {
+    this.transport.send(peer, { ...message, term: this.currentTerm });
+  }
+
+  setRole(role) {
+    if (this.role !== role) {
+      this.role = role;
+      this.emit('role', { role, term: this.currentTerm });
+    }
+  }
+
+  // Elections
+
+  resetElectionTimer() {
+    this.transport.clearTimer(this.electionTimer);
+    const timeout = this.options.electionTimeout * (1 + this.transport.random());
+    this.electionTimer = this.transport.setTimer(timeout, () => this.startElection());
+  }
+
+  startElection() {
+    if (this.stopped || this.isLeader) {
+      return;
+    }
+    this.currentTerm++;
+    this.votedFor = this.id;
+    this.leaderId = null;
+    this.votes = new Set([this.id]);
+    this.setRole('candidate');
+    this.persist();
+    this.resetElectionTimer();
+
+    if (this.votes.size > this.clusterSize / 2) {
+      this.becomeLeader();
+      return;
+    }
+    for (const peer of this.peers) {
+      this.send(peer, { type: 'request_vote', lastLogIndex: this.lastLogIndex(), lastLogTerm: this.lastLogTerm() });
+    }
+  }
+
+  becomeLeader() {
+    this.setRole('leader');
+    this.leaderId = this.id;
+    this.transport.clearTimer(this.electionTimer);
+    const now = this.transport.now();
+    for (const peer of this.peers) {
+      this.nextIndex.set(peer, this.lastLogIndex() + 1);
+      this.matchIndex.set(peer, 0);
+      // A new leader gives every follower a full timeout before counting it as gone
+      this.lastContact.set(peer, now);
+    }
+    // An entry of the new term lets entries of earlier terms commit with it
+    this.append(null);
+    this.emit('leader', { term: this.currentTerm });
+    this.heartbeat();
+    this.advanceCommitIndex();
+  }
+
+  heartbeat() {
+    if (this.stopped || !this.isLeader) {
+      return;
+    }
+    for (const peer of this.peers) {
+      this.sendAppendEntries(peer);
+    }
+    this.heartbeatTimer = this.transport.setTimer(this.options.heartbeatInterval, () => this.heartbeat());
+  }
+
+  // A higher term ends any election or leadership of this node
+  stepDown(term) {
+    if (term > this.currentTerm) {
+      this.currentTerm = term;
+      this.votedFor = null;
+      this.leaderId = null;
+      this.persist();
+    }
+    this.transport.clearTimer(this.heartbeatTimer);
+    this.setRole('follower');
+    this.resetElectionTimer();
+  }
+
+  // Messages
+
+  receive(from, message) {
+    if (this.stopped) {
+      return;
+    }
+    if (message.term > this.currentTerm) {
+      this.stepDown(message.term);
+    }
+
+    switch (message.type) {
+    case 'request_vote':
+      this.handleRequestVote(from, message);
+      break;
+    case 'request_vote_response':
+      this.handleVote(from, message);
+      break;
+    case 'append_entries':
+      this.handleAppendEntries(from, message);
+      break;
+    case 'install_snapshot':
+      this.handleInstallSnapshot(from, message);
+      break;
+    case 'append_entries_response':
+    case 'install_snapshot_response':
+      this.handleReplicationResponse(from, message);
+      break;
+    default:
+      break;
+    }
+  }
+
+  handleRequestVote(from, { term, lastLogIndex, lastLogTerm }) {
+    const upToDate = lastLogTerm > this.lastLogTerm() ||
+      (lastLogTerm === this.lastLogTerm() && lastLogIndex >= this.lastLogIndex());
+    const voteGranted = term === this.currentTerm && upToDate &&
+      (this.votedFor === null || this.votedFor === from);
+    if (voteGranted) {
+      this.votedFor = from;
+      this.persist();
+      this.resetElectionTimer();
+    }
+    this.send(from, { type: 'request_vote_response', voteGranted });
+  }
+
+  handleVote(from, { term, voteGranted }) {
+    if (this.role !== 'candidate' || term !== this.currentTerm || !voteGranted) {
+      return;
+    }
+    this.votes.add(from);
+    if (this.votes.size > this.clusterSize / 2) {
+      this.becomeLeader();
+    }
+  }
+
+  // Accepts a message from the leader of the current term
+  followLeader(leaderId) {
+    if (this.role !== 'follower') {
+      this.stepDown(this.currentTerm);
+    }
+    this.leaderId = leaderId;
+    this.resetElectionTimer();
+  }
+
+  handleAppendEntries(from, { term, prevLogIndex, prevLogTerm, entries, leaderCommit }) {
+    if (term < this.currentTerm) {
+      this.send(from, { type: 'append_entries_response', success: false, conflictIndex: null });
+      return;
+    }
+    this.followLeader(from);
+
+    // Entries up to the snapshot are committed and already match
+    const base = this.snapshot.lastIncludedIndex;
+    if (prevLogIndex < base) {
+      entries = entries.filter(entry => entry.index > base);
+      prevLogIndex = base;
+      prevLogTerm = this.snapshot.lastIncludedTerm;
+    }
+
+    if (prevLogIndex > this.lastLogIndex()) {
+      this.send(from, { type: 'append_entries_response', success: false, conflictIndex: this.lastLogIndex() + 1 });
+      return;
+    }
+    const conflictTerm = this.termAt(prevLogIndex);
+    if (conflictTerm !== prevLogTerm) {
+      // Skip back over every entry of the conflicting term at once
+      let conflictIndex = prevLogIndex;
+      while (conflictIndex - 1 > base && this.termAt(conflictIndex - 1) === conflictTerm) {
+        conflictIndex--;
+      }
+      this.send(from, { type: 'append_entries_response', success: false, conflictIndex });
+      return;
+    }
+
+    let changed = false;
+    for (const entry of entries) {
+      const existing = this.termAt(entry.index);
+      if (existing !== null && existing !== entry.term) {
+        this.truncateFrom(entry.index);
+      }
+      if (entry.index > this.lastLogIndex()) {
+        this.log.push(entry);
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.persist();
+    }
+
+    const matchIndex = prevLogIndex + entries.length;
+    if (leaderCommit > this.commitIndex) {
+      this.commitIndex = Math.min(leaderCommit, matchIndex);
+      this.applyCommitted();
+    }
+    this.send(from, { type: 'append_entries_response', success: true, matchIndex });
+  }
+
+  truncateFrom(index) {
+    this.log = this.log.filter(entry => entry.index < index);
+    this.persist();
+    this.rejectPending(index, 'a newer leader replaced the entry before it committed');
+  }
+
+  handleInstallSnapshot(from, { term, lastIncludedIndex, lastIncludedTerm, state }) {
+    if (term < this.currentTerm) {
+      this.send(from, { type: 'install_snapshot_response', success: false, conflictIndex: null });
+      return;
+    }
+    this.followLeader(from);
+
+    if (lastIncludedIndex > this.commitIndex) {
+      // Keep entries after the snapshot only if the log agrees with it
+      this.log = this.termAt(lastIncludedIndex) === lastIncludedTerm ?
+        this.log.filter(entry => entry.index > lastIncludedIndex) :
+        [];
+      this.snapshot = { lastIncludedIndex, lastIncludedTerm, state };
+      this.stateMachine.restore(state);
+      this.commitIndex = lastIncludedIndex;
+      this.lastApplied = lastIncludedIndex;
+      this.persist();
+      this.rejectPending(0, 'a snapshot from a newer leader replaced the log');
+      this.emit('snapshot', { index: lastIncludedIndex, installed: true });
+    }
+    this.send(from, { type: 'install_snapshot_response', success: true, matchIndex: Math.max(lastIncludedIndex, this.commitIndex) });
+  }
+
+  handleReplicationResponse(from, { term, success, matchIndex, conflictIndex }) {
+    if (!this.isLeader || term !== this.currentTerm) {
+      return;
+    }
+    this.lastContact.set(from, this.transport.now());
+
+    if (success) {
+      if (matchIndex > this.matchIndex.get(from)) {
+        this.matchIndex.set(from, matchIndex);
+      }
+      this.nextIndex.set(from, this.matchIndex.get(from) + 1);
+      this.advanceCommitIndex();
+    } else if (conflictIndex !== null) {
+      this.nextIndex.set(from, Math.max(this.matchIndex.get(from) + 1, Math.min(conflictIndex, this.nextIndex.get(from) - 1)));
+    } else {
+      return;
+    }
+    // Keep sending until the follower has caught up
+    if (this.nextIndex.get(from) <= this.lastLogIndex()) {
+      this.sendAppendEntries(from);
+    }
+  }
+
+  sendAppendEntries(peer) {
+    const next = this.nextIndex.get(peer);
+    const { lastIncludedIndex, lastIncludedTerm, state } = this.snapshot;
+    if (next <= lastIncludedIndex) {
+      this.send(peer, { type: 'install_snapshot', lastIncludedIndex, lastIncludedTerm, state });
+      return;
+    }
+    const start = next - lastIncludedIndex - 1;
+    this.send(peer, {
+      type: 'append_entries',
+      prevLogIndex: next - 1,
+      prevLogTerm: this.termAt(next - 1),
+      entries: this.log.slice(start, start + this.options.logReplicationBatchSize),
+      leaderCommit: this.commitIndex,
+    });
+  }
+
+  // Commits the highest entry of this term that a majority has stored
+  advanceCommitIndex() {
+    for (let index = this.lastLogIndex(); index > this.commitIndex; index--) {
+      if (this.termAt(index) !== this.currentTerm) {
+        break;
+      }
+      let stored = 1;
+      for (const match of this.matchIndex.values()) {
+        if (match >= index) {
+          stored++;
+        }
+      }
+      if (stored > this.clusterSize / 2) {
+        this.commitIndex = index;
+        this.applyCommitted();
+        return;
+      }
+    }
+  }
+
+  applyCommitted() {
+    while (this.lastApplied < this.commitIndex) {
+      this.lastApplied++;
+      const entry = this.entryAt(this.lastApplied);
+      let result = null;
+      let error = null;
+      if (entry.command !== null) {
+        try {
+          result = this.stateMachine.apply(entry.command, entry.index);
+        } catch (applyError) {
+          error = applyError;
+        }
+      }
+
+      const pending = this.pending.get(entry.index);
+      if (pending) {
+        this.pending.delete(entry.index);
+        if (pending.term !== entry.term) {
+          pending.reject(new ConsensusError(`Entry ${entry.index} was replaced by a newer leader`, 'raft', this.id, this.leaderId));
+        } else if (error) {
+          pending.reject(error);
+        } else {
+          pending.resolve(result);
+        }
+      }
+      this.emit('apply', { index: entry.index, command: entry.command, result });
+    }
+
+    if (this.lastApplied - this.snapshot.lastIncludedIndex >= this.options.snapshotThreshold) {
+      this.takeSnapshot();
+    }
+  }
+
+  // Replaces the applied part of the log with the state machine's snapshot
+  takeSnapshot() {
+    const lastIncludedIndex = this.lastApplied;
+    this.snapshot = {
+      lastIncludedIndex,
+      lastIncludedTerm: this.termAt(lastIncludedIndex),
+      state: this.stateMachine.snapshot(),
+    };
+    this.log = this.log.filter(entry => entry.index > lastIncludedIndex);
+    this.persist();
+    this.emit('snapshot', { index: lastIncludedIndex, installed: false });
+  }
+
+  rejectPending(fromIndex, reason) {
+    for (const [index, pending] of this.pending) {
+      if (index >= fromIndex) {
+        this.pending.delete(index);
+        pending.reject(new ConsensusError(`Entry ${index} did not commit: ${reason}`, 'raft', this.id, this.leaderId));
+      }
+    }
+  }
+}
+
+export { RAFT_ROLES, MemoryRaftStorage, RaftNode };
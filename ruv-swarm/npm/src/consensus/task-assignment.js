@@ -0,0 +1,331 @@
+/**
+ * Leader-driven Task Assignment over Raft
+ *
+ * Every agent runs a RaftNode whose state machine holds the task table.
+ * Only the leader decides: it proposes which agent takes each pending task
+ * and, when a follower stops answering for `agentTimeout` ms, proposes that
+ * the agent is down, which returns its unfinished tasks to the queue for
+ * the next assignment round. The state machine refuses commands that no
+ * longer fit the committed state (assigning a task twice, assigning to an
+ * agent marked down, completing a task for an agent that no longer holds
+ * it), so proposals from a leader with an outdated view are harmless.
+ */
+
+import { ConsensusError } from '../errors.js';
+import { NetworkSimulator } from './network-simulator.js';
+import { MemoryRaftStorage, RaftNode } from './raft.js';
+
+const TASK_STATES = ['pending', 'assigned', 'completed'];
+
+class TaskAssignmentStateMachine {
+  constructor() {
+    this.tasks = new Map();
+    this.agents = new Map();
+  }
+
+  apply(command, index) {
+    switch (command.op) {
+    case 'submit':
+      return this.submit(command);
+    case 'assign':
+      return this.assign(command, index);
+    case 'complete':
+      return this.complete(command);
+    case 'agent_down':
+      return this.agentDown(command);
+    case 'agent_up':
+      this.agents.set(command.agentId, 'up');
+      return { accepted: true };
+    default:
+      return { accepted: false, reason: `unknown operation ${command.op}` };
+    }
+  }
+
+  submit({ taskId, payload = null }) {
+    if (this.tasks.has(taskId)) {
+      return { accepted: false, reason: `task ${taskId} already exists` };
+    }
+    this.tasks.set(taskId, { id: taskId, payload, status: 'pending', agentId: null, attempts: 0, assignedAt: null, result: null });
+    return { accepted: true };
+  }
+
+  assign({ taskId, agentId }, index) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.status !== 'pending') {
+      return { accepted: false, reason: task ? `task ${taskId} is ${task.status}` : `unknown task ${taskId}` };
+    }
+    if (this.agents.get(agentId) === 'down') {
+      return { accepted: false, reason: `agent ${agentId} is down` };
+    }
+    Object.assign(task, { status: 'assigned', agentId, attempts: task.attempts + 1, assignedAt: index });
+    return { accepted: true, task: { ...task } };
+  }
+
+  complete({ taskId, agentId, result = null }) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.status !== 'assigned' || task.agentId !== agentId) {
+      return { accepted: false, reason: `task ${taskId} is not assigned to ${agentId}` };
+    }
+    Object.assign(task, { status: 'completed', result });
+    return { accepted: true };
+  }
+
+  agentDown({ agentId }) {
+    this.agents.set(agentId, 'down');
+    const released = [];
+    for (const task of this.tasks.values()) {
+      if (task.status === 'assigned' && task.agentId === agentId) {
+        Object.assign(task, { status: 'pending', agentId: null });
+        released.push(task.id);
+      }
+    }
+    return { accepted: true, released };
+  }
+
+  snapshot() {
+    return {
+      tasks: [...this.tasks.values()].map(task => ({ ...task })),
+      agents: Object.fromEntries(this.agents),
+    };
+  }
+
+  restore(state) {
+    this.tasks = new Map(state.tasks.map(task => [task.id, { ...task }]));
+    this.agents = new Map(Object.entries(state.agents));
+  }
+
+  isUp(agentId) {
+    return this.agents.get(agentId) !== 'down';
+  }
+
+  // Tasks an agent holds and has not finished
+  load(agentId) {
+    let count = 0;
+    for (const task of this.tasks.values()) {
+      if (task.status === 'assigned' && task.agentId === agentId) {
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+/**
+ * A Raft cluster of agents sharing a task table, on a NetworkSimulator.
+ * Tasks and completions go through the leader; `onAssigned(agentId, task)`
+ * is called once per assignment when the agent's node applies it, or
+ * installs a snapshot that contains it.
+ */
+class RaftTaskCluster {
+  /**
+   * @param {string[]} agentIds
+   * @param {Object} [options] - RaftNode timing options, plus:
+   * @param {NetworkSimulator} [options.network] - Default a new one seeded with `seed`
+   * @param {number} [options.seed]
+   * @param {number} [options.agentTimeout] - Silence after which the leader
+   *   marks a follower down (default 4 election timeouts)
+   * @param {number} [options.scheduleInterval] - How often the leader assigns tasks
+   *   (default the heartbeat interval)
+   * @param {Function} [options.onAssigned]
+   */
+  constructor(agentIds, options = {}) {
+    const {
+      network = null,
+      seed = 1,
+      electionTimeout = 150,
+      heartbeatInterval = 50,
+      logReplicationBatchSize = 10,
+      snapshotThreshold = 100,
+      agentTimeout = electionTimeout * 4,
+      scheduleInterval = heartbeatInterval,
+      onAssigned = null,
+    } = options;
+    if (agentIds.length === 0) {
+      throw new ConsensusError('A Raft cluster needs at least one agent', 'raft');
+    }
+    this.agentIds = [...agentIds];
+    this.network = network || new NetworkSimulator({ seed });
+    this.raftOptions = { electionTimeout, heartbeatInterval, logReplicationBatchSize, snapshotThreshold };
+    this.agentTimeout = agentTimeout;
+    this.scheduleInterval = scheduleInterval;
+    this.onAssigned = onAssigned;
+    this.members = new Map();
+
+    for (const id of this.agentIds) {
+      const transport = this.network.addNode(id, (from, message) => this.members.get(id).node.receive(from, message));
+      this.members.set(id, { storage: new MemoryRaftStorage() });
+      this.startMember(id, transport);
+    }
+  }
+
+  // Builds an agent's node from its storage and starts its scheduling loop
+  startMember(id, transport) {
+    const member = this.members.get(id);
+    const stateMachine = new TaskAssignmentStateMachine();
+    const node = new RaftNode(id, {
+      ...this.raftOptions,
+      peers: this.agentIds,
+      transport,
+      stateMachine,
+      storage: member.storage,
+    });
+    // Log index and term of the leader's last scheduling round
+    Object.assign(member, { node, stateMachine, transport, roundIndex: 0, roundTerm: 0 });
+    member.notified = member.notified || new Set();
+
+    node.on('apply', ({ command, result }) => {
+      if (command?.op === 'assign' && command.agentId === id && result?.accepted) {
+        this.notifyAssigned(member, result.task);
+      }
+    });
+    // A follower caught up by a snapshot never sees the assign entries themselves
+    node.on('snapshot', ({ installed }) => {
+      if (installed) {
+        for (const task of stateMachine.tasks.values()) {
+          if (task.status === 'assigned' && task.agentId === id) {
+            this.notifyAssigned(member, { ...task });
+          }
+        }
+      }
+    });
+    const tick = () => {
+      if (node.isLeader) {
+        this.schedule(member);
+      }
+      member.scheduleTimer = transport.setTimer(this.scheduleInterval, tick);
+    };
+    member.scheduleTimer = transport.setTimer(this.scheduleInterval, tick);
+    node.start();
+    return member;
+  }
+
+  // Calls onAssigned once per assignment, however the agent learned of it
+  notifyAssigned(member, task) {
+    const key = `${task.id}@${task.assignedAt}`;
+    if (this.onAssigned && !member.notified.has(key)) {
+      member.notified.add(key);
+      this.onAssigned(member.node.id, task);
+    }
+  }
+
+  /**
+   * One round of the leader's decisions: mark silent agents down (or back
+   * up) and give each pending task to the live agent with the least work.
+   * Waits until the previous round of this term is applied, so it never
+   * decides from state its own proposals are about to change.
+   */
+  schedule(member) {
+    const { node, stateMachine, transport } = member;
+    if (member.roundTerm === node.currentTerm && node.lastApplied < member.roundIndex) {
+      return;
+    }
+    const now = transport.now();
+    const commands = [];
+    const down = new Set();
+
+    for (const peer of node.peers) {
+      const alive = now - node.lastContact.get(peer) <= this.agentTimeout;
+      if (!alive) {
+        down.add(peer);
+      }
+      if (!alive && stateMachine.isUp(peer)) {
+        commands.push({ op: 'agent_down', agentId: peer });
+      } else if (alive && !stateMachine.isUp(peer)) {
+        commands.push({ op: 'agent_up', agentId: peer });
+      }
+    }
+
+    const live = this.agentIds.filter(id => !down.has(id) && (stateMachine.isUp(id) || id === node.id));
+    const load = new Map(live.map(id => [id, stateMachine.load(id)]));
+    for (const task of stateMachine.tasks.values()) {
+      if (task.status !== 'pending' || live.length === 0) {
+        continue;
+      }
+      const agentId = live.reduce((best, id) => (load.get(id) < load.get(best) ? id : best));
+      load.set(agentId, load.get(agentId) + 1);
+      commands.push({ op: 'assign', taskId: task.id, agentId });
+    }
+    // A leader marked down while it was cut off has clearly come back
+    if (!stateMachine.isUp(node.id)) {
+      commands.unshift({ op: 'agent_up', agentId: node.id });
+    }
+
+    for (const command of commands) {
+      // Results are read from the state machine; a proposal lost to a new leader is decided again by it
+      node.propose(command).catch(() => null);
+    }
+    member.roundIndex = node.lastLogIndex();
+    member.roundTerm = node.currentTerm;
+  }
+
+  // The running leader with the highest term, or null
+  leader() {
+    let leader = null;
+    for (const [id, { node }] of this.members) {
+      if (this.network.isUp(id) && node.isLeader && (!leader || node.currentTerm > leader.currentTerm)) {
+        leader = node;
+      }
+    }
+    return leader ? leader.id : null;
+  }
+
+  propose(command) {
+    const leaderId = this.leader();
+    if (!leaderId) {
+      return Promise.reject(new ConsensusError('No leader is elected', 'raft'));
+    }
+    return this.members.get(leaderId).node.propose(command);
+  }
+
+  submit(taskId, payload = null) {
+    return this.propose({ op: 'submit', taskId, payload });
+  }
+
+  complete(agentId, taskId, result = null) {
+    return this.propose({ op: 'complete', taskId, agentId, result });
+  }
+
+  // The committed task table, as the leader (or else the most up-to-date running agent) has applied it
+  tasks() {
+    const source = this.leader() || [...this.members.keys()]
+      .filter(id => this.network.isUp(id))
+      .sort((a, b) => this.members.get(b).node.lastApplied - this.members.get(a).node.lastApplied)[0];
+    if (!source) {
+      return {};
+    }
+    const tasks = {};
+    for (const task of this.members.get(source).stateMachine.tasks.values()) {
+      tasks[task.id] = { ...task };
+    }
+    return tasks;
+  }
+
+  crash(id) {
+    const member = this.members.get(id);
+    member.node.stop();
+    member.transport.clearTimer(member.scheduleTimer);
+    this.network.crash(id);
+  }
+
+  // Rebuilds a crashed agent's node from its storage, as a restarted process would
+  restart(id) {
+    this.startMember(id, this.network.restart(id));
+  }
+
+  stop() {
+    for (const member of this.members.values()) {
+      member.node.stop();
+      member.transport.clearTimer(member.scheduleTimer);
+    }
+  }
+
+  runFor(duration, options) {
+    return this.network.runFor(duration, options);
+  }
+
+  runUntil(condition, options) {
+    return this.network.runUntil(condition, options);
+  }
+}
+
+export { TASK_STATES, TaskAssignmentStateMachine, RaftTaskCluster };
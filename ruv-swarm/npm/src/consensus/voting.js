@@ -0,0 +1,136 @@
+/**
+ * Byzantine Fault Tolerant Voting
+ *
+ * Each agent signs its own ballot with its Ed25519 key. The proposer
+ * collects the ballots and submits them as one PBFT request; replicas
+ * prepare it only if every ballot is signed by a distinct voter of the
+ * group and there are at least a quorum of them, and then all apply the
+ * same tally to the same ballots. A faulty proposer can leave ballots out
+ * but cannot invent or alter them, and a faulty voter can only spoil its
+ * own ballot.
+ */
+
+import { ConsensusError } from '../errors.js';
+import { PbftCluster, createAgentKeys, pbftQuorum, signMessage, verifyMessage } from './pbft.js';
+
+// Signs an agent's ballot; a 'silent' agent casts none and a 'forge' agent signs with a key nobody knows
+function castBallot(ballot, privateKey, fault = null) {
+  if (fault === 'silent') {
+    return null;
+  }
+  return signMessage(ballot, fault === 'forge' ? createAgentKeys().privateKey : privateKey);
+}
+
+// Ballots for `ballotId` that carry a valid signature of their voter, one per voter
+function validBallots(ballots, { ballotId, voters, publicKeys }) {
+  const seen = new Set();
+  return ballots.filter(ballot => {
+    const valid = ballot?.ballotId === ballotId && voters.includes(ballot.agentId) && !seen.has(ballot.agentId) &&
+      verifyMessage(ballot, publicKeys.get(ballot.agentId));
+    if (valid) {
+      seen.add(ballot.agentId);
+    }
+    return valid;
+  });
+}
+
+class BallotStateMachine {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.voters
+   * @param {Map<string, KeyObject>} options.publicKeys
+   * @param {Function} options.tally - `(ballots) => result`, deterministic
+   */
+  constructor({ voters, publicKeys, tally }) {
+    this.voters = voters;
+    this.publicKeys = publicKeys;
+    this.tally = tally;
+    this.quorum = pbftQuorum(voters.length).quorum;
+  }
+
+  validate({ ballotId, ballots } = {}) {
+    return Array.isArray(ballots) && ballots.length >= this.quorum &&
+      validBallots(ballots, { ballotId, voters: this.voters, publicKeys: this.publicKeys }).length === ballots.length;
+  }
+
+  apply({ ballots }) {
+    return this.tally(ballots);
+  }
+}
+
+/**
+ * Decides one vote between `agentIds` with PBFT on a NetworkSimulator.
+ * Invalid ballots are left out before submitting; with fewer than a
+ * quorum of valid ones there is nothing to decide.
+ *
+ * @param {Object} options
+ * @param {string} options.ballotId
+ * @param {Object[]} options.ballots - From castBallot()
+ * @param {string[]} options.agentIds - The voting group, in primary order
+ * @param {Map<string, Object>} options.keys - Agent id → `{ publicKey, privateKey }`
+ * @param {Function} options.tally - `(ballots) => result`
+ * @param {Object} [options.faults] - Agent id → PBFT fault, for testing
+ * @param {number} [options.seed]
+ * @param {number} [options.requestTimeout] - See PbftReplica
+ * @param {number} [options.timeout] - Virtual ms to wait for the decision
+ *   (default 50 request timeouts)
+ * @returns {Promise<Object>} `{ accepted, result, ballots, view, sequence,
+ *   commits, faultTolerance, messages }`, or `{ accepted: false, reason }`
+ */
+async function byzantineVote({
+  ballotId,
+  ballots,
+  agentIds,
+  keys,
+  tally,
+  faults = {},
+  seed = 1,
+  requestTimeout = 200,
+  timeout = requestTimeout * 50,
+}) {
+  const publicKeys = new Map(agentIds.map(id => [id, keys.get(id)?.publicKey]));
+  const { f, quorum } = pbftQuorum(agentIds.length);
+  const valid = validBallots(ballots, { ballotId, voters: agentIds, publicKeys });
+  if (valid.length < quorum) {
+    return {
+      accepted: false,
+      reason: `${valid.length} valid ballots, ${quorum} needed`,
+      ballots: valid,
+      faultTolerance: f,
+    };
+  }
+
+  const cluster = new PbftCluster(agentIds, {
+    seed,
+    keys,
+    faults,
+    requestTimeout,
+    clientId: `${ballotId}/client`,
+    createStateMachine: () => new BallotStateMachine({ voters: agentIds, publicKeys, tally }),
+  });
+  const decision = cluster.submit({ ballotId, ballots: valid }).catch(error => error);
+  try {
+    cluster.runUntil(() => cluster.client.results.size > 0, { timeout });
+  } finally {
+    // Rejects the request if no quorum committed it in time
+    cluster.stop();
+  }
+
+  const outcome = await decision;
+  const messages = { ...cluster.network.stats };
+  if (outcome instanceof ConsensusError) {
+    return { accepted: false, reason: outcome.message, ballots: valid, faultTolerance: f, messages };
+  }
+  return {
+    accepted: true,
+    result: outcome.result,
+    ballots: valid,
+    view: outcome.view,
+    sequence: outcome.sequence,
+    commits: outcome.commits.length,
+    faultTolerance: f,
+    messages,
+  };
+}
+
+export { castBallot, validBallots, BallotStateMachine, byzantineVote };
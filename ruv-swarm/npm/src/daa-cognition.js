@@ -3,8 +3,18 @@
  * Decentralized Autonomous Agent Cognitive Integration
  */
 
+import { PBFT_FAULTS, byzantineVote, castBallot, createAgentKeys, seedFromString } from './consensus/index.js';
+import { ConsensusError } from './errors.js';
+import { MessageBus } from './message-bus/index.js';
+
 export class DAACognition {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {MessageBus} [options.messageBus] - Carries messages between agents
+   *   (default a bus with in-memory inboxes)
+   */
+  constructor({ messageBus = null } = {}) {
+    this.messageBus = messageBus || new MessageBus();
     this.cognitiveAgents = new Map();
     this.distributedMemory = new Map();
     this.consensusProtocol = new Map();
@@ -79,6 +89,9 @@ export class DAACognition {
    * @param {Object} config - Agent configuration
    */
   async initializeDAAAgent(agentId, config) {
+    if (config.fault && !PBFT_FAULTS.includes(config.fault)) {
+      throw new ConsensusError(`Unknown fault ${config.fault} for agent ${agentId}; expected one of ${PBFT_FAULTS.join(', ')}`, 'pbft', agentId);
+    }
     const daaAgent = {
       id: agentId,
       autonomyLevel: config.autonomyLevel || 0.7,
@@ -96,9 +109,14 @@ export class DAACognition {
         sharedKnowledge: new Map(),
         propagationQueue: [],
       },
+      // Signs the agent's votes and consensus messages
+      keys: createAgentKeys(),
+      // Misbehaviour injected for testing untrusted agents (see PBFT_FAULTS)
+      fault: config.fault || null,
     };
 
     this.cognitiveAgents.set(agentId, daaAgent);
+    this.messageBus.listen(agentId, envelope => this.receiveFromPeer(agentId, envelope));
 
     // Initialize in distributed memory
     this.initializeDistributedMemory(agentId);
@@ -281,7 +299,9 @@ export class DAACognition {
   }
 
   /**
-   * Seek consensus from peer agents
+   * Seek consensus from peer agents. The agent and its peers each sign a
+   * vote and the votes are decided with PBFT, so the outcome stands as long
+   * as no more than a third of the group is faulty.
    * @param {string} agentId - Agent identifier
    * @param {Object} decision - Decision context
    * @param {Object} localEvaluation - Local evaluation
@@ -305,28 +325,47 @@ export class DAACognition {
 
     agent.consensusState.proposals.set(proposal.id, proposal);
 
-    // Request votes from peers
-    const votePromises = [];
-    for (const peerId of agent.peerConnections) {
-      votePromises.push(this.requestVote(peerId, proposal));
-    }
-
-    // Collect votes
-    const votes = await Promise.all(votePromises);
+    // The proposer votes along with its peers, and is the first primary
+    const group = [agentId, ...agent.peerConnections].filter(id => this.cognitiveAgents.has(id));
+    const members = group.map(id => this.cognitiveAgents.get(id));
+    const votes = await Promise.all(group.map(id => this.requestVote(id, proposal)));
+
+    const outcome = await byzantineVote({
+      ballotId: proposal.id,
+      ballots: votes,
+      agentIds: group,
+      keys: new Map(members.map(member => [member.id, member.keys])),
+      faults: Object.fromEntries(members.filter(member => member.fault).map(member => [member.id, member.fault])),
+      seed: seedFromString(proposal.id),
+      tally: ballots => this.tallyVotes(ballots),
+    });
 
     // Tally results
-    const consensusResult = this.tallyVotes(votes, proposal);
+    const consensusResult = outcome.accepted ? outcome.result : { approved: false, consensusLevel: 0, totalVotes: 0 };
+    for (const vote of outcome.ballots) {
+      proposal.votes.set(vote.agentId, vote);
+    }
 
     // Update proposal status
     proposal.status = consensusResult.approved ? 'approved' : 'rejected';
     proposal.consensusLevel = consensusResult.consensusLevel;
+    proposal.byzantine = {
+      accepted: outcome.accepted,
+      reason: outcome.reason || null,
+      view: outcome.view ?? null,
+      commits: outcome.commits ?? 0,
+      faultTolerance: outcome.faultTolerance,
+    };
+    const commitReason = outcome.accepted ?
+      `Committed by ${outcome.commits} of ${group.length} agents (tolerates ${outcome.faultTolerance} faulty)` :
+      `No Byzantine quorum: ${outcome.reason}`;
 
     // Create consensus decision
     const consensusDecision = {
       agentId,
       decision: consensusResult.approved ? 'approve' : 'reject',
       confidence: consensusResult.consensusLevel,
-      reasoning: [...localEvaluation.reasoning, `Consensus level: ${(consensusResult.consensusLevel * 100).toFixed(1)}%`],
+      reasoning: [...localEvaluation.reasoning, `Consensus level: ${(consensusResult.consensusLevel * 100).toFixed(1)}%`, commitReason],
       timestamp: Date.now(),
       autonomous: false,
       proposalId: proposal.id,
@@ -338,7 +377,7 @@ export class DAACognition {
   }
 
   /**
-   * Request vote from peer agent
+   * Request vote from peer agent, signed with the peer's key
    * @param {string} peerId - Peer agent ID
    * @param {Object} proposal - Consensus proposal
    */
@@ -353,21 +392,23 @@ export class DAACognition {
 
     // Cast vote based on evaluation
     const vote = {
+      ballotId: proposal.id,
       agentId: peerId,
       vote: peerEvaluation.confidence > 0.5 ? 'approve' : 'reject',
       confidence: peerEvaluation.confidence,
       reason: peerEvaluation.reasoning[0] || 'No specific reason',
     };
 
-    return vote;
+    return castBallot(vote, peerAgent.keys.privateKey, peerAgent.fault) ||
+      { agentId: peerId, vote: 'abstain', reason: 'No response' };
   }
 
   /**
    * Tally votes for consensus
    * @param {Array} votes - Vote results
-   * @param {Object} proposal - Consensus proposal
+   * @param {Object} [proposal] - Consensus proposal to record the votes on
    */
-  tallyVotes(votes, proposal) {
+  tallyVotes(votes, proposal = null) {
     let approveCount = 0;
     let totalWeight = 0;
 
@@ -380,7 +421,7 @@ export class DAACognition {
       }
 
       // Store vote in proposal
-      proposal.votes.set(vote.agentId, vote);
+      proposal?.votes.set(vote.agentId, vote);
     }
 
     const consensusLevel = totalWeight > 0 ? approveCount / totalWeight : 0;
@@ -418,26 +459,35 @@ export class DAACognition {
   }
 
   /**
-   * Send message to peer agent
+   * Send message to peer agent through the message bus; the peer has
+   * processed it by the time this resolves
    * @param {string} peerId - Peer agent ID
    * @param {Object} message - Message to send
+   * @returns {Promise<Object|null>} The bus receipt, or null for an unknown peer
    */
   async sendToPeer(peerId, message) {
-    const peerAgent = this.cognitiveAgents.get(peerId);
-    if (!peerAgent) {
-      return;
+    if (!this.cognitiveAgents.has(peerId)) {
+      return null;
     }
+    return this.messageBus.send({ from: message.from, to: peerId, type: message.type, payload: message });
+  }
 
+  /**
+   * Handle a message the bus delivered to one of our agents
+   * @param {string} agentId - Receiving agent ID
+   * @param {Object} envelope - Bus envelope; the payload is the peer's message
+   */
+  receiveFromPeer(agentId, envelope) {
     // Process message based on type
-    switch (message.type) {
+    switch (envelope.type) {
     case 'decision_update':
-      this.processDecisionUpdate(peerId, message);
+      this.processDecisionUpdate(agentId, envelope.payload);
       break;
     case 'knowledge_share':
-      this.processKnowledgeShare(peerId, message);
+      this.processKnowledgeShare(agentId, envelope.payload);
       break;
     case 'emergent_behavior':
-      this.processEmergentBehavior(peerId, message);
+      this.processEmergentBehavior(agentId, envelope.payload);
       break;
     }
   }
@@ -873,7 +923,7 @@ export class DAACognition {
         type: 'emergent_behavior',
         from: agentId,
         behavior: emergentBehavior,
-      });
+      }).catch(error => console.warn(`Failed to notify ${peerId} of emergent behavior:`, error.message));
     }
   }
 
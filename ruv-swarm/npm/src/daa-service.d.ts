@@ -96,7 +96,8 @@ export interface WorkflowStep {
   id: string;
   name?: string;
   description?: string;
-  task?: Function | { method: string; args?: any[] };
+  // `executor` names the agent type whose registered executor runs the step
+  task?: Function | { method: string; args?: any[] } | { executor: string; input?: any };
   action?: Function | { method: string; args?: any[] };
   agentFilter?: (agent: Agent) => boolean;
   timeout?: number;
@@ -264,6 +265,7 @@ export declare class DAAService extends EventEmitter {
   // Lifecycle
   initialize(): Promise<void>;
   cleanup(): Promise<void>;
+  useExecutors(registry: { get(agentType: string): { name: string; execute(request: any, context?: any): Promise<any> } | null }): void;
   
   // Agent management
   createAgent(id: string, capabilities?: string[]): Promise<Agent>;
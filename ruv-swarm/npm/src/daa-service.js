@@ -5,6 +5,7 @@
  */
 
 import { WasmModuleLoader } from './wasm-loader.js';
+import { ExecutorRegistry } from './executors/index.js';
 import { performance } from 'perf_hooks';
 import EventEmitter from 'events';
 
@@ -157,7 +158,8 @@ class AgentStateManager {
 
 // Workflow coordination manager
 class WorkflowCoordinator {
-  constructor() {
+  constructor(executors = new ExecutorRegistry()) {
+    this.executors = executors;
     this.workflows = new Map();
     this.activeSteps = new Map();
     this.completedSteps = new Map();
@@ -174,8 +176,8 @@ class WorkflowCoordinator {
       const task = step.task || step.action;
       if (!task) {
         console.warn(`⚠️ Step ${step.id} has no task or action defined - this may cause runtime errors`);
-      } else if (typeof task === 'object' && !task.method) {
-        console.warn(`⚠️ Step ${step.id} task object missing 'method' property - this may cause runtime errors`);
+      } else if (typeof task === 'object' && !task.method && !task.executor) {
+        console.warn(`⚠️ Step ${step.id} task object missing 'method' or 'executor' property - this may cause runtime errors`);
       }
     }
 
@@ -220,7 +222,7 @@ class WorkflowCoordinator {
 
     try {
       // Execute step with assigned agents
-      const result = await this.runStepWithAgents(step, agents);
+      const result = await this.runStepWithAgents(step, agents, workflowId);
 
       // Mark as completed
       workflow.activeSteps.delete(stepId);
@@ -238,7 +240,7 @@ class WorkflowCoordinator {
     }
   }
 
-  async runStepWithAgents(step, agents) {
+  async runStepWithAgents(step, agents, workflowId = null) {
     const results = [];
 
     // Parallel execution for independent agent tasks
@@ -258,6 +260,11 @@ class WorkflowCoordinator {
       if (typeof task === 'function') {
         return await task(agent);
       }
+
+      // `{ executor: <agent type>, input }` hands the step to that type's executor
+      if (typeof task === 'object' && task.executor) {
+        return await this.runExecutorStep(workflowId, step, task, agent);
+      }
       
       // ADD CHECK FOR TASK OBJECT STRUCTURE
       if (typeof task !== 'object' || !task.method) {
@@ -285,6 +292,30 @@ class WorkflowCoordinator {
     return agentResults.filter(r => r !== null);
   }
 
+  // Unlike agent method calls, executor failures fail the step
+  async runExecutorStep(workflowId, step, task, agent) {
+    const executor = this.executors.get(task.executor);
+    if (!executor) {
+      throw new Error(`No executor registered for '${task.executor}' (step ${step.id})`);
+    }
+
+    const startTime = Date.now();
+    const outcome = await executor.execute({
+      taskId: workflowId ? `${workflowId}/${step.id}` : step.id,
+      description: step.description || step.name || step.id,
+      input: task.input ?? null,
+      attempt: 1,
+      swarmId: null,
+      agent: { id: agent.id, name: agent.id, type: task.executor, capabilities: Array.from(agent.capabilities || []) },
+    });
+    return {
+      ...outcome,
+      agentId: agent.id,
+      executor: executor.name,
+      executionTime: Date.now() - startTime,
+    };
+  }
+
   getWorkflowStatus(workflowId) {
     const workflow = this.workflows.get(workflowId);
     if (!workflow) {
@@ -314,7 +345,8 @@ export class DAAService extends EventEmitter {
     this.wasmLoader = new WasmModuleLoader();
     this.agents = new Map();
     this.agentStates = new AgentStateManager();
-    this.workflows = new WorkflowCoordinator();
+    this.executors = new ExecutorRegistry();
+    this.workflows = new WorkflowCoordinator(this.executors);
     this.performance = new PerformanceMonitor();
     this.initialized = false;
     this.wasmModule = null;
@@ -376,6 +408,13 @@ export class DAAService extends EventEmitter {
     }
   }
 
+  // Share a swarm's executor registry so `{ executor }` workflow steps run
+  // the same way as that swarm's agents
+  useExecutors(registry) {
+    this.executors = registry;
+    this.workflows.executors = registry;
+  }
+
   // Get capabilities of the DAA service
   getCapabilities() {
     if (!this.initialized) {
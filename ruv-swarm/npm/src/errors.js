@@ -414,6 +414,106 @@ class ConcurrencyError extends RuvSwarmError {
   }
 }
 
+/**
+ * Operations that exceeded their time budget
+ */
+class TimeoutError extends RuvSwarmError {
+  constructor(message, operation = null, timeoutMs = null) {
+    const details = { operation, timeoutMs };
+    super(message, 'TIMEOUT_ERROR', details);
+    this.operation = operation;
+    this.timeoutMs = timeoutMs;
+  }
+
+  getSuggestions() {
+    return [
+      'Increase the timeout if the work legitimately takes longer',
+      'Split the task into smaller subtasks',
+      'Add retries with backoff for intermittently slow operations',
+      'Check whether the agent is stuck waiting on an external resource',
+    ];
+  }
+}
+
+/**
+ * Operations stopped on request before they finished
+ */
+class CancellationError extends RuvSwarmError {
+  constructor(message, operation = null, reason = null) {
+    const details = { operation, reason };
+    super(message, 'CANCELLED', details);
+    this.operation = operation;
+    this.reason = reason;
+  }
+
+  getSuggestions() {
+    return [
+      'Run the operation again if the cancellation was not intended',
+      'Use a smaller workload if it was cancelled for taking too long',
+    ];
+  }
+}
+
+/**
+ * Agent executors whose command, endpoint or function failed. `output`
+ * keeps what the run produced (stdout/stderr and exit code, or the HTTP
+ * status and body) so it can be stored with the task's results.
+ */
+class ExecutionError extends RuvSwarmError {
+  constructor(message, executor = null, output = {}) {
+    const details = { executor, ...output };
+    super(message, 'EXECUTION_FAILED', details);
+    this.executor = executor;
+    this.output = output;
+  }
+
+  getSuggestions() {
+    const suggestions = [];
+
+    if (this.output.exitCode !== undefined && this.output.exitCode !== null) {
+      suggestions.push('Check the stderr captured in the task results');
+      suggestions.push('Run the command by hand in an empty directory to reproduce');
+    } else if (this.output.statusCode) {
+      suggestions.push('Check that the endpoint is running and accepts task requests');
+    }
+
+    suggestions.push('Review the executor configuration for this agent type');
+    return suggestions;
+  }
+}
+
+/**
+ * Consensus protocol failures: a proposal sent to a node that is not the
+ * leader (`leaderId` names the one it knows of, if any), or one that lost
+ * its place in the log before it committed
+ */
+class ConsensusError extends RuvSwarmError {
+  constructor(message, protocol = null, nodeId = null, leaderId = null) {
+    const details = { protocol, nodeId, leaderId };
+    super(message, 'CONSENSUS_ERROR', details);
+    this.protocol = protocol;
+    this.nodeId = nodeId;
+    this.leaderId = leaderId;
+  }
+
+  getSuggestions() {
+    const suggestions = [];
+
+    if (this.protocol === 'pbft') {
+      suggestions.push('Check that at most a third of the agents are faulty or unreachable');
+      suggestions.push('Raise the request timeout if view changes keep replacing a slow primary');
+      return suggestions;
+    }
+    if (this.leaderId) {
+      suggestions.push(`Send the proposal to the current leader, ${this.leaderId}`);
+    } else {
+      suggestions.push('Wait for a leader to be elected and retry');
+    }
+    suggestions.push('Check that a majority of the agents are running and can reach each other');
+    return suggestions;
+  }
+}
+
 /**
  * Error factory for creating appropriate error types
  */
@@ -445,6 +545,14 @@ class ErrorFactory {
       return new ResourceError(message, details.resourceType, details.currentUsage, details.limit);
     case 'concurrency':
       return new ConcurrencyError(message, details.operation, details.conflictType);
+    case 'timeout':
+      return new TimeoutError(message, details.operation, details.timeoutMs);
+    case 'cancellation':
+      return new CancellationError(message, details.operation, details.reason);
+    case 'execution':
+      return new ExecutionError(message, details.executor, details.output);
+    case 'consensus':
+      return new ConsensusError(message, details.protocol, details.nodeId, details.leaderId);
     default:
       return new RuvSwarmError(message, 'GENERAL_ERROR', details);
     }
@@ -520,6 +628,10 @@ export {
   PersistenceError,
   ResourceError,
   ConcurrencyError,
+  TimeoutError,
+  CancellationError,
+  ExecutionError,
+  ConsensusError,
   ErrorFactory,
   ErrorContext,
 };
@@ -0,0 +1,48 @@
+/**
+ * Base Agent Executor Class
+ *
+ * An executor does the actual work when an agent runs a task. Anything with
+ * a `name` and an `execute(request, context)` method can be registered, so
+ * plugins need not extend this class; it only gives them the common parts.
+ *
+ * `execute()` receives:
+ *   request: {
+ *     taskId, description, input,  // input is task_orchestrate's `input`
+ *     attempt, swarmId,
+ *     agent: { id, name, type, capabilities },
+ *   }
+ *   context: { signal }  // aborts on cancel, pause or the task's timeout
+ *
+ * and resolves to `{ result, ...output }`, where `output` holds whatever the
+ * run produced besides its result (stdout, stderr, exitCode, statusCode...).
+ * Everything returned is stored in task_results. A failed run throws; an
+ * ExecutionError's `output` is stored the same way.
+ *
+ * In a cluster worker the context also has `send()` and `receive()` for the
+ * agent's messages; see cluster/worker.js.
+ */
+
+class AgentExecutor {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  async execute(_request, _context = {}) {
+    throw new Error('execute() must be implemented by subclass');
+  }
+
+  // Environment variables that hand the task to a child process
+  static taskEnvironment(request) {
+    return {
+      RUV_SWARM_TASK_ID: String(request.taskId),
+      RUV_SWARM_TASK_DESCRIPTION: request.description || '',
+      RUV_SWARM_TASK_INPUT: JSON.stringify(request.input ?? null),
+      RUV_SWARM_TASK_ATTEMPT: String(request.attempt || 1),
+      RUV_SWARM_AGENT_ID: String(request.agent?.id || ''),
+      RUV_SWARM_AGENT_TYPE: String(request.agent?.type || ''),
+    };
+  }
+}
+
+export { AgentExecutor };
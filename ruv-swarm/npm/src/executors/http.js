@@ -0,0 +1,80 @@
+/**
+ * HTTP Executor
+ *
+ * POSTs each task request as JSON to an endpoint and takes the response body
+ * (parsed when it is JSON) as the result. Only loopback addresses are called
+ * unless `allowRemote` is set, since the request carries the task input.
+ */
+
+import { AgentExecutor } from './base.js';
+import { ExecutionError, NetworkError, ValidationError } from '../errors.js';
+import { SecurityError } from '../security.js';
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class HttpExecutor extends AgentExecutor {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Endpoint that runs the task
+   * @param {string} [options.method] - Defaults to POST
+   * @param {Object} [options.headers] - Extra request headers, e.g. Authorization
+   * @param {boolean} [options.allowRemote] - Permit non-loopback hosts
+   */
+  constructor(options = {}) {
+    super('http', options);
+
+    let url;
+    try {
+      url = new URL(options.url);
+    } catch {
+      throw new ValidationError(`HTTP executor needs a valid url, got: ${options.url}`, 'url', options.url, 'string');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new ValidationError(`HTTP executor url must be http or https: ${url.href}`, 'url', options.url);
+    }
+    if (!options.allowRemote && !LOOPBACK_HOSTS.includes(url.hostname)) {
+      throw new SecurityError(`HTTP executor only calls local endpoints unless allowRemote is set: ${url.host}`);
+    }
+
+    this.url = url;
+    this.method = options.method || 'POST';
+    this.headers = options.headers || {};
+  }
+
+  async execute(request, { signal } = {}) {
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: this.method,
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this.headers },
+        body: JSON.stringify(request),
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      throw new NetworkError(`Could not reach ${this.url.href}: ${error.cause?.message || error.message}`, this.url.href);
+    }
+
+    const text = await response.text();
+    let body = text;
+    if ((response.headers.get('content-type') || '').includes('json') && text) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // Keep the raw text; a broken body is still worth recording
+      }
+    }
+
+    if (!response.ok) {
+      throw new ExecutionError(`${this.url.href} responded with HTTP ${response.status}`, this.name, {
+        statusCode: response.status,
+        body,
+      });
+    }
+    return { result: body, statusCode: response.status };
+  }
+}
+
+export { HttpExecutor };
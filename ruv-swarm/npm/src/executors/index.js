@@ -0,0 +1,98 @@
+/**
+ * Agent Executors Index
+ *
+ * Maps agent types to the executor that runs their tasks. An agent whose
+ * type has no executor (and no '*' fallback) keeps the simulated execution.
+ * See base.js for the interface a plugin implements.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { ShellExecutor } from './shell.js';
+import { HttpExecutor } from './http.js';
+import { ModuleExecutor } from './module.js';
+import { ConfigurationError, ValidationError } from '../errors.js';
+
+export { AgentExecutor } from './base.js';
+export { ShellExecutor, HttpExecutor, ModuleExecutor };
+
+// Agent type that catches every type without its own executor
+const ANY_AGENT_TYPE = '*';
+
+export const EXECUTOR_KINDS = {
+  shell: ShellExecutor,
+  http: HttpExecutor,
+  module: ModuleExecutor,
+};
+
+export const createExecutor = (kind, options = {}) => {
+  const Executor = EXECUTOR_KINDS[kind];
+  if (!Executor) {
+    throw new ConfigurationError(`Unknown executor kind: ${kind}. Available kinds: ${Object.keys(EXECUTOR_KINDS).join(', ')}`, 'kind', kind);
+  }
+  return new Executor(options);
+};
+
+export class ExecutorRegistry {
+  constructor() {
+    this.executors = new Map();
+  }
+
+  get size() {
+    return this.executors.size;
+  }
+
+  register(agentType, executor) {
+    if (!executor || typeof executor.execute !== 'function') {
+      throw new ValidationError(`Executor for agent type '${agentType}' must have an execute() method`, 'executor', agentType);
+    }
+    this.executors.set(agentType, executor);
+    return this;
+  }
+
+  unregister(agentType) {
+    return this.executors.delete(agentType);
+  }
+
+  get(agentType) {
+    return this.executors.get(agentType) || this.executors.get(ANY_AGENT_TYPE) || null;
+  }
+
+  list() {
+    return [...this.executors].map(([agentType, executor]) => ({ agentType, executor: executor.name || 'custom' }));
+  }
+
+  /**
+   * Register built-in executors from plain config, keyed by agent type:
+   *
+   *   {
+   *     "tester": { "kind": "shell", "command": "npm", "args": ["test"] },
+   *     "coder": { "kind": "module", "module": "./agents/coder.js", "export": "run" },
+   *     "*": { "kind": "http", "url": "http://127.0.0.1:8080/tasks" }
+   *   }
+   */
+  configure(config, { baseDir = process.cwd() } = {}) {
+    for (const [agentType, { kind, ...options }] of Object.entries(config)) {
+      this.register(agentType, createExecutor(kind, { baseDir, ...options }));
+    }
+    return this;
+  }
+
+  /**
+   * Configure from an object, or from a JSON file when given a path
+   * (RUV_SWARM_EXECUTORS points at one).
+   */
+  async load(source) {
+    if (typeof source !== 'string') {
+      return this.configure(source);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(await readFile(source, 'utf8'));
+    } catch (error) {
+      throw new ConfigurationError(`Cannot read executors config ${source}: ${error.message}`, 'executors', source);
+    }
+    return this.configure(config, { baseDir: path.dirname(path.resolve(source)) });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Module Executor
+ *
+ * Calls a function exported by a JavaScript module, in this process, as
+ * `fn(request, context)`. Its return value is the task result. The module
+ * is imported on first use; relative paths resolve against `baseDir` (the
+ * directory of the executors config file when loaded from one).
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { AgentExecutor } from './base.js';
+import { ConfigurationError, ValidationError } from '../errors.js';
+
+class ModuleExecutor extends AgentExecutor {
+  /**
+   * @param {Object} options
+   * @param {string} options.module - File path or package specifier
+   * @param {string} [options.export] - Export to call; defaults to `default`
+   * @param {string} [options.baseDir] - Base for relative paths; defaults to the cwd
+   */
+  constructor(options = {}) {
+    super('module', options);
+    if (!options.module) {
+      throw new ValidationError('Module executor needs a module', 'module', options.module, 'string');
+    }
+
+    this.specifier = options.module;
+    this.exportName = options.export || 'default';
+    this.baseDir = options.baseDir || process.cwd();
+    this.loading = null;
+  }
+
+  load() {
+    if (!this.loading) {
+      const isPath = this.specifier.startsWith('.') || path.isAbsolute(this.specifier);
+      const target = isPath ? pathToFileURL(path.resolve(this.baseDir, this.specifier)).href : this.specifier;
+
+      this.loading = import(target).then(loaded => {
+        const fn = loaded[this.exportName];
+        if (typeof fn !== 'function') {
+          throw new ConfigurationError(`${this.specifier} has no function export named '${this.exportName}'`, 'export', this.exportName);
+        }
+        return fn;
+      });
+      // Let the next task try again, e.g. after the file has been fixed
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async execute(request, context = {}) {
+    const fn = await this.load();
+    const result = await fn(request, context);
+    return { result: result === undefined ? null : result };
+  }
+}
+
+export { ModuleExecutor };
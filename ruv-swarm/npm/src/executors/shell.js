@@ -0,0 +1,165 @@
+/**
+ * Shell Executor
+ *
+ * Runs a local command for each task in a fresh working directory under
+ * `workspaceRoot`, removed again afterwards. The command is spawned without a
+ * shell and with a minimal environment: only the variables named in
+ * `inheritEnv`, the executor's own `env` and the RUV_SWARM_TASK_* variables
+ * describing the task. Only commands in `allowedCommands` may run, so a task
+ * can pick its command and arguments through its input without being able to
+ * run anything else. This confines what a task sees by default; it is not an
+ * OS-level sandbox.
+ */
+
+import { spawn } from 'child_process';
+import { mkdir, mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AgentExecutor } from './base.js';
+import { ExecutionError, ValidationError } from '../errors.js';
+import { SecurityError } from '../security.js';
+
+const DEFAULT_MAX_OUTPUT_BYTES = 1024 * 1024;
+const DEFAULT_INHERITED_ENV = ['PATH', 'HOME', 'LANG', 'SYSTEMROOT'];
+
+// Keeps the first `limit` bytes written to a stream
+class OutputBuffer {
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.size = 0;
+    this.truncated = false;
+  }
+
+  push(chunk) {
+    const room = this.limit - this.size;
+    if (chunk.length > room) {
+      this.truncated = true;
+      chunk = chunk.subarray(0, Math.max(room, 0));
+    }
+    if (chunk.length > 0) {
+      this.chunks.push(chunk);
+      this.size += chunk.length;
+    }
+  }
+
+  toString() {
+    return Buffer.concat(this.chunks).toString('utf8');
+  }
+}
+
+class ShellExecutor extends AgentExecutor {
+  /**
+   * @param {Object} options
+   * @param {string} [options.command] - Command run when the task input names none
+   * @param {string[]} [options.args] - Arguments for `command`
+   * @param {string[]} [options.allowedCommands] - Commands a task may run; defaults to [command]
+   * @param {string} [options.workspaceRoot] - Where per-task working directories are created
+   * @param {boolean} [options.keepWorkspace] - Leave working directories behind for inspection
+   * @param {string[]} [options.inheritEnv] - Variables passed through from this process
+   * @param {Object} [options.env] - Extra variables for the command
+   * @param {number} [options.maxOutputBytes] - Per-stream cap on captured output
+   */
+  constructor(options = {}) {
+    super('shell', options);
+    this.command = options.command || null;
+    this.args = options.args || [];
+    this.allowedCommands = options.allowedCommands || (this.command ? [this.command] : []);
+    this.workspaceRoot = options.workspaceRoot || path.join(os.tmpdir(), 'ruv-swarm-workspaces');
+    this.keepWorkspace = options.keepWorkspace === true;
+    this.inheritEnv = options.inheritEnv || DEFAULT_INHERITED_ENV;
+    this.env = options.env || {};
+    this.maxOutputBytes = options.maxOutputBytes || DEFAULT_MAX_OUTPUT_BYTES;
+
+    if (this.allowedCommands.length === 0) {
+      throw new ValidationError('Shell executor needs a command or allowedCommands', 'allowedCommands', options.allowedCommands, 'array');
+    }
+  }
+
+  // Task input may choose `command` and `args`; the executor's are the default
+  resolveCommand(input) {
+    const command = input?.command || this.command;
+    if (!command) {
+      throw new ValidationError('No command to run: set one on the executor or in the task input', 'input.command', command, 'string');
+    }
+    if (!this.allowedCommands.includes(command)) {
+      throw new SecurityError(`Command not allowed for this executor: ${command}`);
+    }
+
+    const args = input?.args ?? (command === this.command ? this.args : []);
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      throw new ValidationError('input.args must be an array of strings', 'input.args', args, 'array');
+    }
+    return { command, args };
+  }
+
+  buildEnv(request) {
+    const env = {};
+    for (const name of this.inheritEnv) {
+      if (process.env[name] !== undefined) {
+        env[name] = process.env[name];
+      }
+    }
+    return { ...env, ...this.env, ...AgentExecutor.taskEnvironment(request) };
+  }
+
+  async execute(request, { signal } = {}) {
+    const { command, args } = this.resolveCommand(request.input);
+
+    await mkdir(this.workspaceRoot, { recursive: true });
+    const workdir = await mkdtemp(path.join(this.workspaceRoot, 'task-'));
+
+    try {
+      const output = await this.run(command, args, {
+        cwd: workdir,
+        env: this.buildEnv(request),
+        stdin: request.input?.stdin,
+        signal,
+      });
+      if (this.keepWorkspace) {
+        output.workdir = workdir;
+      }
+
+      if (output.exitCode !== 0) {
+        const how = output.signal ? `was killed by ${output.signal}` : `exited with code ${output.exitCode}`;
+        throw new ExecutionError(`${command} ${how}`, this.name, output);
+      }
+      return { result: output.stdout.trim(), ...output };
+    } finally {
+      if (!this.keepWorkspace) {
+        await rm(workdir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  run(command, args, { cwd, env, stdin, signal }) {
+    return new Promise((resolve, reject) => {
+      const stdout = new OutputBuffer(this.maxOutputBytes);
+      const stderr = new OutputBuffer(this.maxOutputBytes);
+      // `signal` kills the child on cancel, pause or timeout
+      const child = spawn(command, args, { cwd, env, signal, shell: false });
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', error => reject(signal?.aborted ? signal.reason : error));
+      child.on('close', (exitCode, exitSignal) => resolve({
+        exitCode,
+        signal: exitSignal,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        truncated: stdout.truncated || stderr.truncated,
+      }));
+
+      // A command that exits without reading its stdin closes the pipe early;
+      // its exit code tells us how it went, so the write error is not news
+      child.stdin.on('error', error => stderr.push(Buffer.from(`[stdin] ${error.message}\n`)));
+      if (stdin === undefined || stdin === null) {
+        child.stdin.end();
+      } else {
+        child.stdin.end(typeof stdin === 'string' ? stdin : JSON.stringify(stdin));
+      }
+    });
+  }
+}
+
+export { ShellExecutor };
@@ -8,6 +8,7 @@ import path from 'path';
 import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { SwarmPersistence } from '../persistence.js';
+import { MessageBus } from '../message-bus/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,6 +29,7 @@ class RuvSwarmHooks {
 
     // Initialize persistence layer for cross-agent memory
     this.persistence = null;
+    this.messageBus = null;
     this.initializePersistence();
   }
 
@@ -37,6 +39,8 @@ class RuvSwarmHooks {
   async initializePersistence() {
     try {
       this.persistence = new SwarmPersistence();
+      // Notifications go out as topic messages, kept in the same database
+      this.messageBus = new MessageBus({ store: this.persistence });
       console.log('🗄️ Hook persistence layer initialized');
     } catch (error) {
       console.warn('⚠️ Failed to initialize persistence layer:', error.message);
@@ -1741,50 +1745,56 @@ ${this.sessionData.learnings.slice(-5).map(l =>
   }
 
   /**
-   * 🔧 CRITICAL FIX: Store notification in database for cross-agent access
+   * Publish a notification on the message bus topic `notifications.<type>`,
+   * where agents subscribed to it receive it and it stays in the database
+   * for cross-agent access
    */
   async storeNotificationInDatabase(notification) {
-    if (!this.persistence) {
+    if (!this.messageBus) {
       console.warn('⚠️ No persistence layer - notification stored in memory only');
       return;
     }
 
     try {
-      // Store as agent memory with special hook prefix
-      const agentId = notification.agentId || 'hook-system';
-      const memoryKey = `notifications/${notification.type}/${Date.now()}`;
-
-      await this.persistence.storeAgentMemory(agentId, memoryKey, {
-        type: notification.type,
-        message: notification.message,
-        context: notification.context,
-        timestamp: notification.timestamp,
-        source: 'hook-system',
-        sessionId: this.getSessionId(),
+      const receipt = await this.messageBus.send({
+        // Set on a retry, so the bus recognises it
+        id: notification.id,
+        from: notification.agentId || 'hook-system',
+        topic: `notifications.${notification.type}`,
+        type: 'notification',
+        payload: {
+          type: notification.type,
+          message: notification.message,
+          context: notification.context,
+          timestamp: notification.timestamp,
+          source: 'hook-system',
+          sessionId: this.getSessionId(),
+        },
       });
+      notification.id = receipt.id;
 
-      console.log(`📝 Notification stored in database: ${memoryKey}`);
+      console.log(`📝 Notification published: ${receipt.id} to ${receipt.recipients.length} subscribers`);
     } catch (error) {
       console.error('❌ Failed to store notification in database:', error.message);
     }
   }
 
   /**
-   * 🔧 CRITICAL FIX: Retrieve notifications from database for cross-agent access
+   * Notifications an agent (default the hook system itself) has published, newest first
    */
   async getNotificationsFromDatabase(agentId = null, type = null) {
-    if (!this.persistence) {
+    if (!this.messageBus) {
       return [];
     }
 
     try {
-      const targetAgentId = agentId || 'hook-system';
-      const memories = await this.persistence.getAllMemory(targetAgentId);
-
-      return memories
-        .filter(memory => memory.key.startsWith('notifications/'))
-        .filter(memory => !type || memory.value.type === type)
-        .map(memory => memory.value)
+      const messages = await this.messageBus.history({
+        sender: agentId || 'hook-system',
+        topic: type ? `notifications.${type}` : 'notifications.*',
+        limit: null,
+      });
+      return messages
+        .map(message => message.payload)
         .sort((a, b) => b.timestamp - a.timestamp);
     } catch (error) {
       console.error('❌ Failed to retrieve notifications from database:', error.message);
@@ -20,6 +20,9 @@ declare module 'ruv-swarm' {
     globalAgents: Map<string, Agent>;
     metrics: GlobalMetrics;
     features: SwarmFeatures;
+    executors: ExecutorRegistry;
+    cluster: ClusterCoordinator | null;
+    neuralNetworkManager: NeuralNetworkManager | null;
     
     detectFeatures(useSIMD?: boolean): Promise<void>;
     createSwarm(config: SwarmConfig): Promise<Swarm>;
@@ -37,6 +40,90 @@ declare module 'ruv-swarm' {
     enableForecasting?: boolean;
     useSIMD?: boolean;
     debug?: boolean;
+    // Registry, config object, or path to a JSON config (RUV_SWARM_EXECUTORS)
+    executors?: ExecutorRegistry | ExecutorsConfig | string;
+  }
+
+  // Request handed to an executor; input is the task's structured input
+  export interface ExecutorRequest {
+    taskId: string;
+    description: string;
+    input: any;
+    attempt: number;
+    swarmId: string | null;
+    agent: { id: string; name: string; type: string; capabilities: string[] };
+  }
+
+  // In a cluster worker the context can also reach the agent's messages
+  export interface ExecutorContext {
+    signal?: AbortSignal;
+    receive?(): MessageEnvelope[];
+    send?(message: { to?: string; topic?: string; type?: string; payload?: any; ttl?: number; replyTo?: string }): Promise<{ id: string; traceId: string; recipients: string[] }>;
+  }
+
+  export interface AgentExecutor {
+    name: string;
+    execute(request: ExecutorRequest, context?: ExecutorContext): Promise<{ result: any; [output: string]: any }>;
+  }
+
+  // Built-in executors keyed by agent type ('*' matches any type)
+  export type ExecutorsConfig = Record<string,
+    | ({ kind: 'shell'; command?: string; args?: string[]; allowedCommands?: string[]; workspaceRoot?: string; keepWorkspace?: boolean; inheritEnv?: string[]; env?: Record<string, string>; maxOutputBytes?: number })
+    | ({ kind: 'http'; url: string; method?: string; headers?: Record<string, string>; allowRemote?: boolean })
+    | ({ kind: 'module'; module: string; export?: string })>;
+
+  export class ExecutorRegistry {
+    readonly size: number;
+    register(agentType: string, executor: AgentExecutor): this;
+    unregister(agentType: string): boolean;
+    get(agentType: string): AgentExecutor | null;
+    list(): Array<{ agentType: string; executor: string }>;
+    configure(config: ExecutorsConfig, options?: { baseDir?: string }): this;
+    load(source: ExecutorsConfig | string): Promise<this>;
+  }
+
+  export type ClusterWorkerStatus = 'starting' | 'ready' | 'unresponsive' | 'crashed' | 'stopped';
+
+  export interface ClusterOptions {
+    workers?: number;
+    // Config object or path each worker loads (default RUV_SWARM_EXECUTORS)
+    executors?: ExecutorsConfig | string;
+    heartbeatInterval?: number;
+    heartbeatTimeout?: number;
+    respawn?: boolean;
+    store?: SwarmPersistence;
+    bus?: any;
+    clusterId?: string;
+  }
+
+  export interface ClusterWorkerInfo {
+    id: string;
+    pid: number;
+    status: ClusterWorkerStatus;
+    agents: string[];
+    running: number;
+    tasksRun: number;
+    memory: number | null;
+    lastHeartbeat: number;
+  }
+
+  // Runs agents' tasks in forked worker processes; see src/cluster
+  export class ClusterCoordinator {
+    constructor(options?: ClusterOptions);
+    readonly id: string;
+    readonly size: number;
+    start(): Promise<this>;
+    stop(options?: { graceMs?: number }): Promise<void>;
+    attach(ruvSwarm: RuvSwarm): this;
+    place(agent: Agent | { id: string; name?: string; type: string; capabilities?: string[]; swarmId?: string }): string | null;
+    runTask(request: ExecutorRequest, context?: { signal?: AbortSignal }): Promise<{ result: any; worker: string; workerExecutor: string | null; [output: string]: any }>;
+    train(agent: Agent, params: any, options: { modelType: string; iterations: number; learningRate: number }, context: { signal: AbortSignal; progress(progress: number, total?: number, message?: string): boolean }): Promise<any>;
+    status(): { clusterId: string; started: boolean; workers: ClusterWorkerInfo[]; placements: Record<string, string> };
+    on(event: 'worker_ready', listener: (event: { workerId: string; pid: number }) => void): this;
+    on(event: 'worker_unresponsive', listener: (event: { workerId: string; silentFor: number }) => void): this;
+    on(event: 'worker_exit', listener: (event: { workerId: string; code: number | null; signal: string | null; status: ClusterWorkerStatus; agents: string[] }) => void): this;
+    on(event: 'agent_rescheduled', listener: (event: { agentId: string; from: string; to: string | null }) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
   }
 
   // Swarm configuration
@@ -57,6 +144,24 @@ declare module 'ruv-swarm' {
     
     spawn(config: AgentConfig): Promise<Agent>;
     orchestrate(taskConfig: TaskConfig): Promise<Task>;
+    scheduleTasks(): Promise<void>;
+    cancelTask(taskId: string, reason?: string): Promise<boolean>;
+    pauseTask(taskId: string, reason?: string): Promise<boolean>;
+    resumeTask(taskId: string): Promise<boolean>;
+    applyControlRequests(): Promise<void>;
+    waitForTask(taskId: string, options?: {
+      signal?: AbortSignal;
+      onProgress?: (settled: number, total: number) => void;
+      pollIntervalMs?: number;
+    }): Promise<Task>;
+    getTaskGraph(taskId: string): TaskGraph;
+    allocateAgents(task: {
+      id: string;
+      requiredCapabilities?: string[];
+      maxAgents?: number | null;
+      allocationStrategy?: AllocationStrategy | null;
+    }): Promise<{ agents: Agent[]; allocation: TaskAllocation | null }>;
+    replayDeadLetter(entry: DeadLetter): Promise<Task>;
     getStatus(detailed?: boolean): Promise<SwarmStatus>;
     monitor(duration?: number, interval?: number): Promise<MonitorResult>;
     terminate(): Promise<void>;
@@ -79,8 +184,11 @@ declare module 'ruv-swarm' {
     capabilities: string[];
     neuralNetworkId: string | null;
     status: 'idle' | 'busy' | 'offline';
+    neuralAgent: any | null;
+    taskOutcomes: { completed: number; failed: number };
     
-    execute(task: any): Promise<TaskResult>;
+    execute(task: any, options?: { signal?: AbortSignal }): Promise<TaskResult>;
+    executorRequest(task: any): ExecutorRequest;
     getMetrics(): Promise<AgentMetrics>;
     updateStatus(status: string): Promise<void>;
   }
@@ -90,20 +198,113 @@ declare module 'ruv-swarm' {
     description: string;
     priority?: 'low' | 'medium' | 'high' | 'critical';
     dependencies?: string[];
+    subtasks?: SubtaskConfig[];
+    maxAgents?: number;
+    estimatedDuration?: number;
+    requiredCapabilities?: string[];
+    retry?: Partial<RetryPolicy>;
+    timeoutMs?: number;
+    input?: any;
+    allocationStrategy?: AllocationStrategy | null;
+  }
+
+  // Agents bid for the task instead of the first free ones being taken
+  export type AllocationStrategy = 'auction' | 'contract_net';
+
+  // One agent's bid; components are weighted into bid, basis is what they came from
+  export interface AllocationBid {
+    agentId: string;
+    bid: number;
+    components: { capability: number; load: number; performance: number };
+    basis: {
+      matched: string[];
+      missing: string[];
+      active: number;
+      recent: number;
+      samples: number;
+      source: 'neural' | 'outcomes' | 'prior';
+    };
+  }
+
+  export interface TaskAllocation {
+    strategy: AllocationStrategy;
+    winners: Array<AllocationBid & { justification: string }>;
+    bids: AllocationBid[];
+    refusals: Array<{ agentId: string; reason: string }>;
+  }
+
+  // How often a failed task is attempted again; retryOn lists error class names
+  export interface RetryPolicy {
+    maxAttempts: number;
+    backoffMs: number;
+    backoffMultiplier: number;
+    maxBackoffMs: number;
+    retryOn: string[];
+  }
+
+  // Subtask of a task graph; dependsOn names sibling ids or existing task ids
+  export interface SubtaskConfig {
+    id: string;
+    description: string;
+    dependsOn?: string[];
+    priority?: 'low' | 'medium' | 'high' | 'critical';
+    requiredCapabilities?: string[];
     maxAgents?: number;
     estimatedDuration?: number;
+    retry?: Partial<RetryPolicy>;
+    timeoutMs?: number;
+    input?: any;
+    allocationStrategy?: AllocationStrategy;
   }
 
   // Task class
   export class Task {
     id: string;
     description: string;
-    status: 'pending' | 'in_progress' | 'completed' | 'failed';
+    status: 'pending' | 'orchestrated' | 'waiting' | 'in_progress' | 'paused' | 'completed' | 'failed' | 'cancelled';
     assignedAgents: string[];
+    parentId: string | null;
+    key: string | null;
+    dependsOn: string[];
+    subtaskIds: string[];
+    retryPolicy: RetryPolicy;
+    timeoutMs: number | null;
+    input: any;
+    allocationStrategy: AllocationStrategy | null;
+    allocation: TaskAllocation | null;
+    attempts: number;
     result: any;
     
     getStatus(): Promise<TaskStatus>;
     getResults(): Promise<any>;
+    cancel(reason: string): Promise<boolean>;
+    pause(reason: string): Promise<boolean>;
+    resume(): Promise<boolean>;
+  }
+
+  export interface TaskGraphNode {
+    id: string;
+    key: string | null;
+    description: string;
+    status: string;
+    depends_on: string[];
+    assigned_agents: string[];
+    progress: number;
+    estimated_duration_ms: number | null;
+    execution_time_ms: number;
+    attempts: number;
+    cancel_reason?: string;
+    error?: string;
+    allocation?: string[];
+  }
+
+  export interface TaskGraph {
+    nodes: TaskGraphNode[];
+    critical_path: {
+      path: string[];
+      estimated_total_ms: number;
+      estimated_remaining_ms: number;
+    };
   }
 
   // WASM Module Loader
@@ -128,21 +329,27 @@ declare module 'ruv-swarm' {
     // Core MCP tools
     swarm_init(params: SwarmInitParams): Promise<SwarmInitResult>;
     agent_spawn(params: AgentSpawnParams): Promise<AgentSpawnResult>;
-    task_orchestrate(params: TaskOrchestrateParams): Promise<TaskOrchestrateResult>;
+    task_orchestrate(params: TaskOrchestrateParams, context?: ToolContext): Promise<TaskOrchestrateResult>;
+    task_dlq(params: TaskDlqParams): Promise<any>;
+    agent_send(params: AgentSendParams): Promise<any>;
+    agent_inbox(params: AgentInboxParams): Promise<any>;
+    task_cancel(params: { taskId: string; reason?: string }): Promise<TaskControlResult>;
+    task_pause(params: { taskId: string; reason?: string }): Promise<TaskControlResult>;
+    task_resume(params: { taskId: string }): Promise<TaskControlResult>;
     swarm_status(params: SwarmStatusParams): Promise<SwarmStatusResult>;
-    benchmark_run(params: BenchmarkParams): Promise<BenchmarkResult>;
+    benchmark_run(params: BenchmarkParams, context?: ToolContext): Promise<BenchmarkResult>;
     features_detect(params: FeaturesParams): Promise<FeaturesResult>;
     memory_usage(params: MemoryParams): Promise<MemoryResult>;
     
     // Neural network tools
     neural_status(params: NeuralStatusParams): Promise<NeuralStatusResult>;
-    neural_train(params: NeuralTrainParams): Promise<NeuralTrainResult>;
+    neural_train(params: NeuralTrainParams, context?: ToolContext): Promise<NeuralTrainResult>;
     neural_patterns(params: NeuralPatternsParams): Promise<NeuralPatternsResult>;
   }
 
   // Neural Network Manager
   export class NeuralNetworkManager {
-    constructor(wasmLoader: WasmModuleLoader);
+    constructor(wasmLoader: WasmModuleLoader, options?: { store?: SwarmPersistence | null });
     
     neuralNetworks: Map<string, NeuralNetwork>;
     templates: NeuralTemplates;
@@ -151,8 +358,11 @@ declare module 'ruv-swarm' {
     fineTuneNetwork(agentId: string, trainingData: TrainingData, options?: TrainingOptions): Promise<NeuralMetrics>;
     enableCollaborativeLearning(agentIds: string[], options?: CollaborativeOptions): Promise<CollaborativeSession>;
     getNetworkMetrics(agentId: string): NeuralMetrics | null;
+    evaluateNetwork(agentId: string, data: TrainingData, options?: EvaluationOptions): Promise<EvaluationReport>;
+    quantizeNetwork(agentId: string, calibrationData: TrainingData, options?: QuantizationOptions): Promise<QuantizationReport>;
     saveNetworkState(agentId: string, filePath: string): Promise<boolean>;
     loadNetworkState(agentId: string, filePath: string): Promise<boolean>;
+    restoreNetworkState(agentId: string, state: { architecture?: Record<string, any>; weights?: Record<string, any> }): Promise<NeuralNetwork>;
   }
 
   // Types and interfaces
@@ -217,6 +427,15 @@ declare module 'ruv-swarm' {
     batchSize?: number;
     learningRate?: number;
     freezeLayers?: number[];
+    callbacks?: Array<string | TrainingCallback | ({ type: string } & Record<string, unknown>)>;
+  }
+
+  export interface TrainingCallback {
+    onTrainStart?(context: Record<string, any>): void | Promise<void>;
+    onEpochStart?(context: Record<string, any>): void | Promise<void>;
+    onBatchEnd?(context: Record<string, any>): void | Promise<void>;
+    onEpochEnd?(context: Record<string, any>): void | Promise<void>;
+    onTrainEnd?(context: Record<string, any>): void | Promise<void>;
   }
 
   export interface NeuralMetrics {
@@ -231,6 +450,42 @@ declare module 'ruv-swarm' {
     };
   }
 
+  export interface EvaluationOptions {
+    task?: 'classification' | 'regression' | 'reconstruction';
+    classes?: Array<string | number>;
+    batchSize?: number;
+  }
+
+  export interface EvaluationReport {
+    task: 'classification' | 'regression' | 'reconstruction';
+    count: number;
+    metrics: Record<string, number | null>;
+    perClass?: Array<{ label: string; precision: number; recall: number; f1: number; support: number }>;
+    confusionMatrix?: { labels: string[]; matrix: number[][] };
+  }
+
+  export interface QuantizationOptions {
+    precision?: 'int8' | 'float16';
+    calibrationSamples?: number;
+    evaluationData?: TrainingData;
+    task?: 'classification' | 'regression' | 'reconstruction';
+    batchSize?: number;
+  }
+
+  export interface QuantizationReport {
+    precision: 'int8' | 'float16';
+    calibrationSamples: number;
+    layers: Array<{ name: string; layer: 'dense' | 'conv'; shape: number[]; inputScale: number | null }>;
+    memory: { before: number; after: number; saved: number; ratio: number };
+    accuracy: {
+      task: 'classification' | 'regression' | 'reconstruction';
+      count: number;
+      before: Record<string, number | null>;
+      after: Record<string, number | null>;
+      delta: Record<string, number | null>;
+    } | null;
+  }
+
   export type CognitivePattern = 'convergent' | 'divergent' | 'lateral' | 'systems' | 'critical' | 'abstract' | 'adaptive';
 
   export interface RuntimeFeatures {
@@ -333,11 +588,17 @@ declare module 'ruv-swarm' {
   export interface TaskOrchestrateParams {
     task: string;
     priority?: string;
-    strategy?: string;
+    strategy?: 'parallel' | 'sequential' | 'adaptive' | AllocationStrategy;
     maxAgents?: number;
     swarmId?: string;
     requiredCapabilities?: string[];
     estimatedDuration?: number;
+    dependsOn?: string[];
+    subtasks?: Array<Omit<SubtaskConfig, 'description' | 'allocationStrategy'> & { task: string }>;
+    retry?: Partial<RetryPolicy>;
+    timeoutMs?: number;
+    input?: Record<string, any>;
+    waitForCompletion?: boolean;
   }
 
   export interface TaskOrchestrateResult {
@@ -347,10 +608,111 @@ declare module 'ruv-swarm' {
     priority: string;
     strategy: string;
     assigned_agents: string[];
+    retry_policy: RetryPolicy;
+    timeout_ms: number | null;
     swarm_info: any;
     orchestration: any;
     performance: any;
     message: string;
+    graph?: TaskGraph;
+    result?: any;
+    allocation?: TaskAllocation;
+  }
+
+  // Per-call progress reporting and cancellation for MCP tools
+  export class ToolContext {
+    constructor(options?: {
+      requestId?: string | number | null;
+      progressToken?: string | number | null;
+      send?: ((message: any) => void) | null;
+      signal?: AbortSignal | null;
+    });
+    readonly requestId: string | number | null;
+    readonly progressToken: string | number | null;
+    readonly signal: AbortSignal;
+    readonly cancelled: boolean;
+    progress(progress: number, total?: number, message?: string): boolean;
+    throwIfCancelled(): void;
+    checkpoint(): Promise<void>;
+  }
+
+  export interface TaskControlResult {
+    taskId: string;
+    swarmId: string;
+    previous_status: string;
+    status: string;
+    changed: boolean;
+    subtasks: Array<{ id: string; status: string }>;
+    message: string;
+  }
+
+  export interface TaskDlqParams {
+    action?: 'list' | 'replay' | 'discard';
+    id?: string;
+    swarmId?: string;
+    taskId?: string;
+    status?: 'pending' | 'replayed' | 'discarded' | 'all';
+    limit?: number;
+  }
+
+  // Row of the task_dlq table
+  export interface DeadLetter {
+    id: string;
+    task_id: string;
+    swarm_id: string;
+    description: string;
+    task_config: TaskConfig;
+    attempts: number;
+    error: string;
+    error_type: string | null;
+    attempt_errors: Array<{ attempt: number; error: string; error_type: string | null; at: string }>;
+    status: 'pending' | 'replayed' | 'discarded';
+    replayed_task_id: string | null;
+    created_at: string;
+    resolved_at: string | null;
+  }
+
+  export interface AgentSendParams {
+    from: string;
+    // Exactly one of `to` and `topic`
+    to?: string;
+    topic?: string;
+    type?: string;
+    payload?: Record<string, any>;
+    ttlMs?: number;
+    replyTo?: string;
+    traceId?: string;
+    // Resending the same id is a no-op
+    messageId?: string;
+  }
+
+  export type InboxStatus = 'pending' | 'delivered' | 'acked' | 'expired' | 'dead';
+
+  export interface AgentInboxParams {
+    agentId: string;
+    action?: 'receive' | 'peek' | 'ack' | 'subscribe' | 'unsubscribe' | 'trace';
+    limit?: number;
+    ackTimeoutMs?: number;
+    status?: InboxStatus | 'unacked' | 'all';
+    messageIds?: string[];
+    topic?: string;
+    traceId?: string;
+  }
+
+  // A message as the bus hands it out; status and attempts describe the recipient's copy
+  export interface MessageEnvelope {
+    id: string;
+    traceId: string;
+    replyTo: string | null;
+    from: string;
+    to: string | null;
+    topic: string | null;
+    type: string;
+    payload: any;
+    createdAt: number;
+    expiresAt: number | null;
+    status?: InboxStatus;
+    attempts?: number;
   }
 
   // Utility exports
@@ -7,7 +7,26 @@
 import { WasmModuleLoader } from './wasm-loader.js';
 import { SwarmPersistencePooled } from './persistence-pooled.js';
 import { getContainer } from './singleton-container.js';
-// import { NeuralAgentFactory } from './neural-agent.js';
+import { ValidationError, TaskError, TimeoutError } from './errors.js';
+import { ExecutorRegistry } from './executors/index.js';
+import { TERMINAL_TASK_STATUSES, validateTaskGraph, criticalPath } from './task-graph.js';
+import {
+  normalizeRetryPolicy,
+  normalizeTimeout,
+  classifyError,
+  shouldRetry,
+  retryDelay,
+  untilAborted,
+  abortableDelay,
+} from './task-retry.js';
+import { normalizeAllocationStrategy, allocateTask } from './task-allocation.js';
+import { NeuralNetworkManager } from './neural-network-manager.js';
+import { NeuralAgentFactory, AGENT_COGNITIVE_PROFILES } from './neural-agent.js';
+// How often a swarm with unfinished tasks checks for CLI control requests
+const CONTROL_POLL_INTERVAL_MS = 1000;
+// How often waitForTask() checks on the task
+const TASK_WAIT_POLL_MS = 100;
+
 // import path from 'path';
 // import fs from 'fs';
 
@@ -15,6 +34,11 @@ class RuvSwarm {
   constructor() {
     this.wasmLoader = new WasmModuleLoader();
     this.persistence = null;
+    this.executors = new ExecutorRegistry();
+    // ClusterCoordinator running agents in worker processes; see cluster/index.js
+    this.cluster = null;
+    // Agents' live neural networks, once the neural module has loaded
+    this.neuralNetworkManager = null;
     this.activeSwarms = new Map();
     this.globalAgents = new Map();
     this.isInitialized = false;
@@ -34,9 +58,10 @@ class RuvSwarm {
   }
 
   /**
-   * Cleanup method for proper resource disposal
+   * Cleanup method for proper resource disposal; resolves once any cluster
+   * workers have exited
    */
-  destroy() {
+  async destroy() {
     console.log('🧹 Cleaning up RuvSwarm instance...');
 
     // Terminate all active swarms
@@ -49,6 +74,12 @@ class RuvSwarm {
     this.activeSwarms.clear();
     this.globalAgents.clear();
 
+    // Workers record their exit in the store, so they stop before it closes
+    if (this.cluster) {
+      await this.cluster.stop();
+      this.cluster = null;
+    }
+
     // Cleanup persistence
     if (this.persistence && typeof this.persistence.close === 'function') {
       this.persistence.close();
@@ -84,6 +115,8 @@ class RuvSwarm {
       enableForecasting = false,
       useSIMD = true,
       debug = false,
+      // Registry, config object or JSON file path; see src/executors
+      executors = process.env.RUV_SWARM_EXECUTORS,
     } = options;
 
     // Check if already initialized through container
@@ -126,11 +159,21 @@ class RuvSwarm {
         }
       }
 
+      if (executors instanceof ExecutorRegistry) {
+        instance.executors = executors;
+      } else if (executors) {
+        await instance.executors.load(executors);
+      }
+      if (instance.executors.size > 0) {
+        console.log('🛠️ Agent executors:', instance.executors.list().map(e => `${e.agentType}=${e.executor}`).join(', '));
+      }
+
       // Pre-load neural networks if enabled
       if (enableNeuralNetworks) {
         try {
           await instance.wasmLoader.loadModule('neural');
           instance.features.neural_networks = true;
+          instance.neuralNetworkManager = new NeuralNetworkManager(instance.wasmLoader, { store: instance.persistence });
           console.log('🧠 Neural network capabilities loaded');
         } catch (error) {
           console.warn('⚠️ Neural network module not available:', error.message);
@@ -269,6 +312,31 @@ class RuvSwarm {
     return swarm;
   }
 
+  /**
+   * Rebuild a live Swarm from its persisted records (as returned by
+   * persistence.exportSwarm), replacing any in-memory swarm with the same id.
+   * With `resumeTasks: false`, tasks that were mid-flight come back paused.
+   */
+  async restoreSwarm(records, { resumeTasks = true } = {}) {
+    const { swarm: swarmData } = records;
+
+    const existing = this.activeSwarms.get(swarmData.id);
+    if (existing) {
+      await existing.terminate();
+    }
+
+    const swarm = await this.createSwarm({
+      id: swarmData.id,
+      name: swarmData.name,
+      topology: swarmData.topology,
+      maxAgents: swarmData.max_agents,
+      strategy: swarmData.strategy,
+    });
+    await swarm.restore(records, { resumeTasks });
+
+    return swarm;
+  }
+
   async getSwarmStatus(swarmId, detailed = false) {
     const swarm = this.activeSwarms.get(swarmId);
     if (!swarm) {
@@ -364,6 +432,24 @@ class RuvSwarm {
   }
 }
 
+// Tasks still running when a swarm was persisted are executed again on restore
+const RESUMABLE_TASK_STATUSES = ['orchestrated', 'in_progress', 'waiting'];
+
+// Persisted rows keep JSON columns as text; pooled reads may already be parsed
+function parseStoredJSON(value, fallback) {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
 // Enhanced Swarm wrapper class
 class Swarm {
   constructor(id, wasmInstance, ruvSwarmInstance) {
@@ -372,6 +458,10 @@ class Swarm {
     this.ruvSwarm = ruvSwarmInstance;
     this.agents = new Map();
     this.tasks = new Map();
+    this.scheduling = false;
+    this.rescheduleRequested = false;
+    this.controlWatch = null;
+    this.applyingControl = false;
   }
 
   async spawn(config) {
@@ -414,7 +504,14 @@ class Swarm {
 
     // Create JavaScript wrapper
     const agent = new Agent(agentId, result, this);
+    // Agent types with a cognitive profile run their tasks through a NeuralAgent
+    if (enableNeuralNetwork && this.ruvSwarm.features.neural_networks && AGENT_COGNITIVE_PROFILES[type]) {
+      await NeuralAgentFactory.initializeFactory();
+      agent.neuralAgent = NeuralAgentFactory.createNeuralAgent(agent, type);
+    }
     this.agents.set(agentId, agent);
+    // In cluster mode the agent lives on a worker process from now on
+    this.ruvSwarm.cluster?.place(agent);
 
     // Persist agent if persistence is enabled and this is a new agent
     if (this.ruvSwarm.persistence && !id) {
@@ -444,11 +541,25 @@ class Swarm {
       description,
       priority = 'medium',
       dependencies = [],
+      subtasks = [],
       maxAgents = null,
       estimatedDuration = null,
       requiredCapabilities = [],
+      retry = null,
+      timeoutMs = null,
+      input = null,
+      allocationStrategy = null,
     } = taskConfig;
 
+    // Anything with edges goes through the dependency scheduler
+    if (subtasks.length > 0 || dependencies.length > 0) {
+      return this.orchestrateGraph(taskConfig);
+    }
+
+    const retryPolicy = normalizeRetryPolicy(retry);
+    const timeout = normalizeTimeout(timeoutMs);
+    const strategy = normalizeAllocationStrategy(allocationStrategy);
+
     const config = {
       description,
       priority,
@@ -458,11 +569,20 @@ class Swarm {
     };
 
     let result;
-    if (this.wasmSwarm.orchestrate) {
+    let allocation = null;
+    // The WASM core knows nothing of bids, so allocation strategies run here
+    if (this.wasmSwarm.orchestrate && !strategy) {
       result = this.wasmSwarm.orchestrate(config);
     } else {
       // Enhanced fallback with proper agent assignment
-      const availableAgents = this.selectAvailableAgents(requiredCapabilities, maxAgents);
+      const fallbackTaskId = `task-${Date.now()}`;
+      let availableAgents;
+      ({ agents: availableAgents, allocation } = await this.allocateAgents({
+        id: fallbackTaskId,
+        requiredCapabilities,
+        maxAgents,
+        allocationStrategy: strategy,
+      }));
 
       if (availableAgents.length === 0) {
         throw new Error('No agents available for task orchestration. Please spawn agents first.');
@@ -477,39 +597,494 @@ class Swarm {
       }
 
       result = {
-        task_id: `task-${Date.now()}`,
+        task_id: fallbackTaskId,
         task_description: description,
         description,
         status: 'orchestrated',
         assigned_agents: assignedAgentIds,
         priority,
         estimated_duration_ms: estimatedDuration,
-        agent_selection_strategy: 'capability_and_load_based',
+        agent_selection_strategy: strategy || 'capability_and_load_based',
       };
     }
 
     const taskId = result.task_id || result.id;
 
-    // Create JavaScript wrapper
-    const task = new Task(taskId, result, this);
-    this.tasks.set(taskId, task);
-
-    // Persist task if persistence is enabled
+    // Persist task if persistence is enabled - before the wrapper starts
+    // executing, so its status updates have a row to land on
     if (this.ruvSwarm.persistence) {
       await this.ruvSwarm.persistence.createTask({
         id: taskId,
         swarmId: this.id,
         description,
         priority,
-        assigned_agents: result.assigned_agents,
+        assignedAgents: result.assigned_agents,
+        estimatedDuration,
+        retryPolicy,
+        timeoutMs: timeout,
+        input,
+        allocationStrategy: strategy,
         created: new Date().toISOString(),
       });
     }
 
+    // Create JavaScript wrapper
+    const task = new Task(taskId, {
+      ...result,
+      required_capabilities: requiredCapabilities,
+      max_agents: maxAgents,
+      retry_policy: retryPolicy,
+      timeout_ms: timeout,
+      input,
+      allocation_strategy: strategy,
+    }, this);
+    task.allocation = allocation;
+    this.tasks.set(taskId, task);
+    this.updateControlWatch();
+
     console.log(`📋 Orchestrated task: ${description} (${taskId}) - Assigned to ${result.assigned_agents.length} agents`);
     return task;
   }
 
+  /**
+   * Orchestrate a task that waits on earlier tasks and/or fans out into
+   * subtasks. Nothing is started here: every node is persisted as 'waiting'
+   * and scheduleTasks() runs each one once its dependencies have completed
+   * and an agent is free. Subtask `dependsOn` entries name sibling subtask
+   * ids or existing task ids; the returned parent task completes when all of
+   * its subtasks have. Subtasks without their own `retry`, `timeoutMs`,
+   * `input` or `allocationStrategy` inherit the parent's.
+   */
+  async orchestrateGraph(taskConfig) {
+    const {
+      description,
+      priority = 'medium',
+      dependencies = [],
+      subtasks = [],
+      maxAgents = null,
+      estimatedDuration = null,
+      requiredCapabilities = [],
+      retry = null,
+      timeoutMs = null,
+      input = null,
+      allocationStrategy = null,
+    } = taskConfig;
+
+    const retryPolicy = normalizeRetryPolicy(retry);
+    const timeout = normalizeTimeout(timeoutMs);
+    const strategy = normalizeAllocationStrategy(allocationStrategy);
+    const subtaskPolicies = new Map(subtasks.map((subtask, index) => [subtask.id, {
+      retry_policy: subtask.retry ? normalizeRetryPolicy(subtask.retry, `subtasks[${index}].retry`) : retryPolicy,
+      timeout_ms: subtask.timeoutMs !== undefined && subtask.timeoutMs !== null ?
+        normalizeTimeout(subtask.timeoutMs, `subtasks[${index}].timeoutMs`) :
+        timeout,
+      allocation_strategy: subtask.allocationStrategy ?
+        normalizeAllocationStrategy(subtask.allocationStrategy, `subtasks[${index}].allocationStrategy`) :
+        strategy,
+    }]));
+
+    for (const dep of dependencies) {
+      if (!this.tasks.has(dep)) {
+        throw new ValidationError(`Task depends on unknown task '${dep}'`, 'dependsOn', dep);
+      }
+    }
+    const order = validateTaskGraph(subtasks, new Set(this.tasks.keys()));
+
+    const parentId = `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const nodes = [new Task(parentId, {
+      description,
+      status: 'waiting',
+      priority,
+      depends_on: dependencies,
+      estimated_duration_ms: estimatedDuration,
+      required_capabilities: requiredCapabilities,
+      max_agents: maxAgents,
+      retry_policy: retryPolicy,
+      timeout_ms: timeout,
+      input,
+      allocation_strategy: strategy,
+    }, this)];
+
+    const byKey = new Map(subtasks.map(subtask => [subtask.id, subtask]));
+    for (const key of order) {
+      const subtask = byKey.get(key);
+      const node = new Task(`${parentId}-${key}`, {
+        description: subtask.description,
+        status: 'waiting',
+        priority: subtask.priority || priority,
+        parent_id: parentId,
+        depends_on: (subtask.dependsOn || []).map(dep => (byKey.has(dep) ? `${parentId}-${dep}` : dep)),
+        estimated_duration_ms: subtask.estimatedDuration,
+        required_capabilities: subtask.requiredCapabilities || [],
+        // One agent per node by default so independent nodes run side by side
+        max_agents: subtask.maxAgents || 1,
+        ...subtaskPolicies.get(key),
+        input: subtask.input ?? input,
+      }, this);
+      nodes[0].subtaskIds.push(node.id);
+      nodes.push(node);
+    }
+
+    for (const node of nodes) {
+      if (this.ruvSwarm.persistence) {
+        await this.ruvSwarm.persistence.createTask({
+          id: node.id,
+          swarmId: this.id,
+          description: node.description,
+          priority: node.priority,
+          status: node.status,
+          parentId: node.parentId,
+          dependsOn: node.dependsOn,
+          estimatedDuration: node.estimatedDuration,
+          retryPolicy: node.retryPolicy,
+          timeoutMs: node.timeoutMs,
+          input: node.input,
+          allocationStrategy: node.allocationStrategy,
+        });
+      }
+      this.tasks.set(node.id, node);
+    }
+
+    console.log(`📋 Orchestrated task graph: ${description} (${parentId}) - ${subtasks.length} subtasks`);
+    await this.scheduleTasks();
+    return nodes[0];
+  }
+
+  /**
+   * Start every waiting task whose dependencies have completed and that has
+   * free agents, cancel waiting tasks whose dependencies failed or were
+   * cancelled, and roll finished subtasks up into their parent. Runs after
+   * orchestration and whenever a task settles; overlapping calls are folded
+   * into the pass already in progress.
+   */
+  async scheduleTasks() {
+    if (this.scheduling) {
+      this.rescheduleRequested = true;
+      return;
+    }
+
+    this.scheduling = true;
+    try {
+      do {
+        this.rescheduleRequested = false;
+        await this.runSchedulingPass();
+      } while (this.rescheduleRequested);
+    } finally {
+      this.scheduling = false;
+    }
+
+    this.updateControlWatch();
+  }
+
+  async runSchedulingPass() {
+    let progressed = true;
+
+    while (progressed) {
+      progressed = false;
+
+      for (const task of this.tasks.values()) {
+        if (task.status !== 'waiting') {
+          continue;
+        }
+
+        const parent = task.parentId ? this.tasks.get(task.parentId) : null;
+        if (parent && (parent.status === 'failed' || parent.status === 'cancelled')) {
+          await task.cancel(`parent ${parent.id} ${parent.status}`);
+          progressed = true;
+          continue;
+        }
+
+        const blockerId = task.dependsOn.find(id => {
+          const dep = this.tasks.get(id);
+          return !dep || dep.status === 'failed' || dep.status === 'cancelled';
+        });
+        if (blockerId) {
+          await task.cancel(`dependency ${blockerId} ${this.tasks.get(blockerId)?.status || 'missing'}`);
+          progressed = true;
+          continue;
+        }
+
+        if (parent?.status === 'waiting' || parent?.status === 'paused' || !task.dependsOn.every(id => this.tasks.get(id).status === 'completed')) {
+          continue;
+        }
+
+        if (task.subtaskIds.length > 0) {
+          await task.start();
+          progressed = true;
+          continue;
+        }
+
+        const { agents, allocation } = await this.allocateAgents(task);
+        if (agents.length === 0) {
+          // Stays waiting until a running task frees an agent
+          continue;
+        }
+
+        task.allocation = allocation;
+        task.assignedAgents = agents.map(agent => agent.id);
+        for (const agent of agents) {
+          await agent.updateStatus('busy');
+        }
+        // Runs in the background and calls back into scheduleTasks() when done
+        task.executeTask();
+        progressed = true;
+      }
+
+      for (const task of this.tasks.values()) {
+        const finished = task.status === 'in_progress' &&
+          task.subtaskIds.length > 0 &&
+          task.subtaskIds.every(id => TERMINAL_TASK_STATUSES.includes(this.tasks.get(id)?.status));
+        if (finished) {
+          await task.completeFromSubtasks();
+          progressed = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Cancel a task that has not finished yet, along with its unfinished
+   * subtasks. Waiting dependents are cancelled in turn by the scheduler.
+   */
+  async cancelTask(taskId, reason = 'cancelled by request') {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const cancelled = await task.cancel(reason);
+    for (const subtaskId of task.subtaskIds) {
+      await this.tasks.get(subtaskId)?.cancel(`parent ${taskId} cancelled`);
+    }
+
+    await this.scheduleTasks();
+    return cancelled;
+  }
+
+  /**
+   * Pause a task and its unfinished subtasks. A running task has its current
+   * attempt aborted and its agents released; on resume it starts over.
+   */
+  async pauseTask(taskId, reason = 'paused by request') {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const paused = await task.pause(reason);
+    for (const subtaskId of task.subtaskIds) {
+      await this.tasks.get(subtaskId)?.pause(`parent ${taskId} paused`);
+    }
+
+    await this.scheduleTasks();
+    return paused;
+  }
+
+  async resumeTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const resumed = await task.resume();
+    for (const subtaskId of task.subtaskIds) {
+      await this.tasks.get(subtaskId)?.resume();
+    }
+
+    await this.scheduleTasks();
+    return resumed;
+  }
+
+  /**
+   * Resolve with the task once it settles, calling `onProgress(settled, total)`
+   * whenever another subtask (or, for a standalone task, the task) finishes.
+   * If `signal` aborts first, the task is cancelled and the abort reason thrown.
+   */
+  async waitForTask(taskId, { signal = null, onProgress = null, pollIntervalMs = TASK_WAIT_POLL_MS } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const total = Math.max(task.subtaskIds.length, 1);
+    const settled = () => (task.subtaskIds.length > 0 ?
+      task.subtaskIds.filter(id => TERMINAL_TASK_STATUSES.includes(this.tasks.get(id)?.status)).length :
+      Number(TERMINAL_TASK_STATUSES.includes(task.status)));
+
+    let reported = -1;
+    const report = () => {
+      const done = settled();
+      if (done !== reported) {
+        reported = done;
+        onProgress?.(done, total);
+      }
+    };
+
+    try {
+      while (!TERMINAL_TASK_STATUSES.includes(task.status)) {
+        report();
+        const poll = new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        await (signal ? untilAborted(poll, signal) : poll);
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        await this.cancelTask(taskId, signal.reason?.reason || 'wait aborted');
+      }
+      throw error;
+    }
+    report();
+    return task;
+  }
+
+  /**
+   * Apply cancel/pause/resume requests left in the tasks table by another
+   * process, such as the `ruv-swarm task` CLI.
+   */
+  async applyControlRequests() {
+    const { persistence } = this.ruvSwarm;
+    if (!persistence?.getTaskControlRequests || this.applyingControl) {
+      return;
+    }
+
+    this.applyingControl = true;
+    try {
+      for (const request of await persistence.getTaskControlRequests(this.id)) {
+        await persistence.clearTaskControlRequest(request.taskId);
+        if (!this.tasks.has(request.taskId)) {
+          continue;
+        }
+
+        try {
+          if (request.action === 'cancel') {
+            await this.cancelTask(request.taskId, request.reason || undefined);
+          } else if (request.action === 'pause') {
+            await this.pauseTask(request.taskId, request.reason || undefined);
+          } else if (request.action === 'resume') {
+            await this.resumeTask(request.taskId);
+          }
+        } catch (error) {
+          console.warn(`Failed to ${request.action} task ${request.taskId}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to read task control requests:', error.message);
+    } finally {
+      this.applyingControl = false;
+    }
+  }
+
+  // Poll for control requests only while something can still be stopped
+  updateControlWatch() {
+    const unfinished = Array.from(this.tasks.values()).some(task => !TERMINAL_TASK_STATUSES.includes(task.status));
+
+    if (unfinished && !this.controlWatch && this.ruvSwarm.persistence?.getTaskControlRequests) {
+      this.controlWatch = setInterval(() => this.applyControlRequests(), CONTROL_POLL_INTERVAL_MS);
+      this.controlWatch.unref?.();
+    } else if (!unfinished && this.controlWatch) {
+      clearInterval(this.controlWatch);
+      this.controlWatch = null;
+    }
+  }
+
+  /**
+   * Run a dead-lettered task again as a new standalone task built from the
+   * config it was dead-lettered with, and mark the entry replayed. Former
+   * dependencies are not carried over; they had already settled.
+   */
+  async replayDeadLetter(entry) {
+    if (entry.swarm_id !== this.id) {
+      throw new ValidationError(`Dead letter ${entry.id} belongs to swarm ${entry.swarm_id}`, 'id', entry.id);
+    }
+    if (entry.status !== 'pending') {
+      throw new ValidationError(`Dead letter ${entry.id} was already ${entry.status}`, 'id', entry.id);
+    }
+
+    const task = await this.orchestrate(entry.task_config);
+    if (this.ruvSwarm.persistence) {
+      await this.ruvSwarm.persistence.resolveDeadLetter(entry.id, 'replayed', task.id);
+    }
+    return task;
+  }
+
+  /**
+   * Per-node state for a task graph plus its critical path. For a parent
+   * task the graph is its subtasks; otherwise it is the task together with
+   * everything upstream of it.
+   */
+  getTaskGraph(taskId) {
+    const root = this.tasks.get(taskId);
+    if (!root) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    let nodes;
+    if (root.subtaskIds.length > 0) {
+      nodes = root.subtaskIds.map(id => this.tasks.get(id)).filter(Boolean);
+    } else {
+      const seen = new Map();
+      const collect = (task) => {
+        if (!task || seen.has(task.id)) {
+          return;
+        }
+        seen.set(task.id, task);
+        task.dependsOn.forEach(id => collect(this.tasks.get(id)));
+      };
+      collect(root);
+      nodes = Array.from(seen.values()).reverse();
+    }
+
+    return {
+      nodes: nodes.map(node => node.describeNode()),
+      critical_path: criticalPath(nodes),
+    };
+  }
+
+  /**
+   * Agents for a task about to start. A task with an allocation strategy
+   * holds an auction or contract-net round (see task-allocation.js) and its
+   * winning bids are persisted with their justification; any other task
+   * gets selectAvailableAgents().
+   *
+   * @param {Object} task - `id`, `requiredCapabilities`, `maxAgents` and
+   *   `allocationStrategy`
+   * @returns {Promise<{ agents: Agent[], allocation: Object|null }>} The
+   *   allocation round, or null without a strategy
+   */
+  async allocateAgents(task) {
+    if (!task.allocationStrategy) {
+      return { agents: this.selectAvailableAgents(task.requiredCapabilities, task.maxAgents), allocation: null };
+    }
+
+    const allocation = allocateTask(task, Array.from(this.agents.values()), {
+      strategy: task.allocationStrategy,
+      tasks: Array.from(this.tasks.values()),
+    });
+
+    const { persistence } = this.ruvSwarm;
+    for (const winner of persistence?.recordTaskAllocation ? allocation.winners : []) {
+      try {
+        await persistence.recordTaskAllocation({
+          id: `alloc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          taskId: task.id,
+          swarmId: this.id,
+          strategy: allocation.strategy,
+          agentId: winner.agentId,
+          bid: winner.bid,
+          components: winner.components,
+          bids: { bids: allocation.bids, refusals: allocation.refusals },
+          justification: winner.justification,
+        });
+      } catch (error) {
+        console.warn('Failed to record task allocation:', error.message);
+      }
+    }
+
+    return {
+      agents: allocation.winners.map(winner => this.agents.get(winner.agentId)),
+      allocation,
+    };
+  }
+
   // Helper method to select available agents for task assignment
   selectAvailableAgents(requiredCapabilities = [], maxAgents = null) {
     const availableAgents = Array.from(this.agents.values()).filter(agent => {
@@ -539,6 +1114,92 @@ class Swarm {
     return availableAgents;
   }
 
+  /**
+   * Rehydrate agents and tasks from persisted records. Agents get their
+   * neural network state back; tasks that were mid-flight are executed again
+   * by their original agents, finished tasks keep their results. With
+   * `resumeTasks: false` the mid-flight tasks are paused instead, so their
+   * side effects only happen again once someone resumes them.
+   */
+  async restore(records, { resumeTasks = true } = {}) {
+    const { agents = [], tasks = [], neuralNetworks = [] } = records;
+
+    for (const agentData of agents) {
+      try {
+        const agent = await this.spawn({
+          id: agentData.id,
+          type: agentData.type,
+          name: agentData.name,
+          capabilities: parseStoredJSON(agentData.capabilities, []),
+          enableNeuralNetwork: true,
+        });
+        // Busy agents pick their work back up through the resumed tasks below
+        agent.status = agentData.status === 'busy' ? 'idle' : agentData.status || 'idle';
+        await agent.restoreNeuralState(neuralNetworks.filter(n => n.agent_id === agentData.id));
+      } catch (error) {
+        console.warn(`⚠️ Failed to restore agent ${agentData.id}:`, error.message);
+      }
+    }
+
+    const parentIds = new Set(tasks.map(t => t.parent_id).filter(Boolean));
+    const interrupted = [];
+
+    for (const taskData of tasks) {
+      const dependsOn = parseStoredJSON(taskData.depends_on, []);
+      // Graph nodes go back through the scheduler instead of their old agents
+      const graphNode = dependsOn.length > 0 || taskData.parent_id || parentIds.has(taskData.id);
+      const unfinished = RESUMABLE_TASK_STATUSES.includes(taskData.status);
+      const resume = unfinished && resumeTasks;
+      let status = taskData.status;
+      if (resume) {
+        status = graphNode ? 'waiting' : 'orchestrated';
+      } else if (unfinished) {
+        status = 'paused';
+      }
+
+      const task = new Task(taskData.id, {
+        description: taskData.description,
+        status,
+        priority: taskData.priority,
+        assigned_agents: unfinished && (graphNode || !resumeTasks) ? [] : parseStoredJSON(taskData.assigned_agents, []),
+        parent_id: taskData.parent_id,
+        depends_on: dependsOn,
+        estimated_duration_ms: taskData.estimated_duration_ms,
+        retry_policy: parseStoredJSON(taskData.retry_policy, null),
+        timeout_ms: taskData.timeout_ms,
+        attempts: taskData.attempts,
+        input: parseStoredJSON(taskData.input, null),
+        allocation_strategy: taskData.allocation_strategy,
+      }, this);
+      if (!unfinished) {
+        task.result = parseStoredJSON(taskData.result, null);
+      }
+      if (taskData.status === 'paused') {
+        task.pausedAt = Date.parse(taskData.paused_at) || Date.now();
+      } else if (unfinished && !resumeTasks) {
+        task.pausedAt = Date.now();
+        interrupted.push(task);
+      }
+      this.tasks.set(taskData.id, task);
+    }
+
+    for (const task of interrupted) {
+      await task.persistState();
+      await task.recordEvent('task_paused', { reason: 'interrupted by a restart' });
+      console.log(`⏸️ Task paused: ${task.description} (interrupted by a restart)`);
+    }
+
+    for (const task of this.tasks.values()) {
+      if (task.parentId && this.tasks.has(task.parentId)) {
+        this.tasks.get(task.parentId).subtaskIds.push(task.id);
+      }
+    }
+
+    // Requests made while no process was running the swarm
+    await this.applyControlRequests();
+    await this.scheduleTasks();
+  }
+
   async getStatus(detailed = false) {
     if (this.wasmSwarm.get_status) {
       return this.wasmSwarm.get_status(detailed);
@@ -555,6 +1216,7 @@ class Swarm {
       tasks: {
         total: this.tasks.size,
         pending: Array.from(this.tasks.values()).filter(t => t.status === 'pending').length,
+        waiting: Array.from(this.tasks.values()).filter(t => t.status === 'waiting').length,
         in_progress: Array.from(this.tasks.values()).filter(t => t.status === 'in_progress').length,
         completed: Array.from(this.tasks.values()).filter(t => t.status === 'completed').length,
       },
@@ -577,6 +1239,10 @@ class Swarm {
 
   async terminate() {
     console.log(`🛑 Terminating swarm: ${this.id}`);
+    if (this.controlWatch) {
+      clearInterval(this.controlWatch);
+      this.controlWatch = null;
+    }
     this.ruvSwarm.activeSwarms.delete(this.id);
   }
 }
@@ -590,23 +1256,89 @@ class Agent {
     this.cognitivePattern = wasmResult.cognitive_pattern || 'adaptive';
     this.capabilities = wasmResult.capabilities || [];
     this.neuralNetworkId = wasmResult.neural_network_id;
+    this.neuralNetworks = [];
+    // A NeuralAgent wrapping this agent; when set, tasks run through it and
+    // its learning history counts towards the agent's bids
+    this.neuralAgent = null;
+    // Runs in this swarm, for bids while there is no learning history
+    this.taskOutcomes = { completed: 0, failed: 0 };
     this.status = 'idle';
     this.swarm = swarm;
   }
 
-  async execute(_task) {
-    console.log(`🏃 Agent ${this.name} executing task`);
+  // The agent's first network, the one neural_train trains, is loaded into
+  // the swarm's NeuralNetworkManager when there is one
+  async restoreNeuralState(networks) {
+    this.neuralNetworks = networks.map(network => ({
+      id: network.id,
+      architecture: parseStoredJSON(network.architecture, {}),
+      weights: parseStoredJSON(network.weights, {}),
+      trainingData: parseStoredJSON(network.training_data, {}),
+      performanceMetrics: parseStoredJSON(network.performance_metrics, {}),
+    }));
+
+    if (this.neuralNetworks.length === 0) {
+      return;
+    }
+    this.neuralNetworkId = this.neuralNetworks[0].id;
+
+    const manager = this.swarm.ruvSwarm.neuralNetworkManager;
+    if (manager) {
+      try {
+        await manager.restoreNetworkState(this.id, this.neuralNetworks[0]);
+      } catch (error) {
+        // The agent still works, it just starts from untrained weights
+        console.warn(`⚠️ Failed to load neural weights for agent ${this.id}:`, error.message);
+      }
+    }
+  }
+
+  // `signal` aborts when the task is cancelled, paused or times out. Agent
+  // types without a registered executor only simulate the work.
+  async execute(task, { signal } = {}) {
+    signal?.throwIfAborted();
+    const executor = this.swarm.ruvSwarm.executors?.get(this.type);
+    if (!executor) {
+      console.log(`🏃 Agent ${this.name} executing task`);
+      this.status = 'busy';
+
+      // Simulate task execution
+      const result = {
+        status: 'completed',
+        result: 'Task execution placeholder',
+        executionTime: 500,
+      };
+
+      this.status = 'idle';
+      return result;
+    }
+
+    console.log(`🏃 Agent ${this.name} executing task with the ${executor.name} executor`);
     this.status = 'busy';
+    const startTime = Date.now();
+    try {
+      const outcome = await executor.execute(this.executorRequest(task), { signal });
+      return {
+        ...outcome,
+        status: 'completed',
+        executor: executor.name,
+        executionTime: Date.now() - startTime,
+      };
+    } finally {
+      this.status = 'idle';
+    }
+  }
 
-    // Simulate task execution
-    const result = {
-      status: 'completed',
-      result: 'Task execution placeholder',
-      executionTime: 500,
+  // What an executor is handed for `task`
+  executorRequest(task) {
+    return {
+      taskId: task.id,
+      description: task.description,
+      input: task.input,
+      attempt: task.attempts,
+      swarmId: this.swarm.id,
+      agent: { id: this.id, name: this.name, type: this.type, capabilities: this.capabilities },
     };
-
-    this.status = 'idle';
-    return result;
   }
 
   async getMetrics() {
@@ -630,7 +1362,26 @@ class Task {
     this.id = id;
     this.description = wasmResult.task_description || wasmResult.description;
     this.status = wasmResult.status || 'pending';
+    this.priority = wasmResult.priority || 'medium';
     this.assignedAgents = wasmResult.assigned_agents || [];
+    this.parentId = wasmResult.parent_id || null;
+    this.key = this.parentId && id.startsWith(`${this.parentId}-`) ? id.slice(this.parentId.length + 1) : null;
+    this.dependsOn = wasmResult.depends_on || [];
+    this.subtaskIds = [];
+    this.estimatedDuration = wasmResult.estimated_duration_ms || null;
+    this.requiredCapabilities = wasmResult.required_capabilities || [];
+    this.maxAgents = wasmResult.max_agents || null;
+    this.retryPolicy = normalizeRetryPolicy(wasmResult.retry_policy);
+    this.timeoutMs = wasmResult.timeout_ms || null;
+    this.input = wasmResult.input ?? null;
+    this.allocationStrategy = wasmResult.allocation_strategy || null;
+    // The auction or contract-net round that picked the current agents
+    this.allocation = null;
+    this.attempts = wasmResult.attempts || 0;
+    this.attemptErrors = [];
+    this.abortController = null;
+    this.running = null;
+    this.pausedAt = null;
     this.result = null;
     this.swarm = swarm;
     this.startTime = null;
@@ -644,27 +1395,24 @@ class Task {
   }
 
   async executeTask() {
+    let settle;
+    this.running = new Promise(resolve => {
+      settle = resolve;
+    });
     this.status = 'in_progress';
     this.startTime = Date.now();
     this.progress = 0.1;
+    await this.persistState();
 
     console.log(`🏃 Executing task: ${this.description} with ${this.assignedAgents.length} agents`);
 
     try {
-      // Execute task with all assigned agents
-      const agentResults = [];
-
-      for (const agentId of this.assignedAgents) {
-        const agent = this.swarm.agents.get(agentId);
-        if (agent) {
-          const agentResult = await agent.execute(this);
-          agentResults.push({
-            agentId,
-            agentType: agent.type,
-            result: agentResult,
-          });
-        }
-        this.progress = Math.min(0.9, this.progress + (0.8 / this.assignedAgents.length));
+      const agentResults = await this.runAttempts();
+
+      // A cancel or pause that arrived mid-run wins over the late result
+      if (this.isInterrupted()) {
+        await this.releaseAgents();
+        return;
       }
 
       // Aggregate results
@@ -677,6 +1425,7 @@ class Task {
           successful_executions: agentResults.filter(r => r.result.status === 'completed').length,
           execution_time_ms: Date.now() - this.startTime,
           average_agent_time_ms: agentResults.reduce((sum, r) => sum + (r.result.executionTime || 0), 0) / agentResults.length,
+          attempts: this.attempts,
         },
       };
 
@@ -685,41 +1434,389 @@ class Task {
       this.endTime = Date.now();
 
       // Mark agents as idle again
-      for (const agentId of this.assignedAgents) {
-        const agent = this.swarm.agents.get(agentId);
-        if (agent) {
-          await agent.updateStatus('idle');
-        }
-      }
+      await this.releaseAgents();
+
+      await this.persistState();
 
       console.log(`✅ Task completed: ${this.description} (${this.endTime - this.startTime}ms)`);
 
     } catch (error) {
-      this.status = 'failed';
-      this.result = {
-        error: error.message,
-        execution_time_ms: Date.now() - this.startTime,
-      };
+      if (!this.isInterrupted()) {
+        this.status = 'failed';
+        this.endTime = Date.now();
+        this.result = {
+          error: error.message,
+          error_type: classifyError(error),
+          attempts: this.attempts,
+          execution_time_ms: Date.now() - this.startTime,
+        };
+      }
 
       // Mark agents as idle on failure too
-      for (const agentId of this.assignedAgents) {
-        const agent = this.swarm.agents.get(agentId);
-        if (agent) {
-          await agent.updateStatus('idle');
+      await this.releaseAgents();
+
+      await this.persistState();
+
+      // Cancel and pause already logged themselves
+      if (this.status === 'failed') {
+        await this.deadLetter(error);
+        console.error(`❌ Task failed: ${this.description} - ${error.message}`);
+      }
+    } finally {
+      this.abortController = null;
+      this.running = null;
+      settle();
+      // Freed agents and settled dependencies may unblock waiting tasks
+      await this.swarm.scheduleTasks();
+    }
+  }
+
+  /**
+   * Run the assigned agents until an attempt succeeds, the retry policy gives
+   * up or the task is cancelled or paused. Each attempt gets its own abort
+   * signal, which `timeoutMs` aborts with a TimeoutError.
+   */
+  async runAttempts() {
+    for (;;) {
+      if (this.isInterrupted()) {
+        return [];
+      }
+
+      this.attempts++;
+      this.progress = 0.1;
+      const controller = new AbortController();
+      this.abortController = controller;
+      const timer = this.timeoutMs ?
+        setTimeout(() => controller.abort(
+          new TimeoutError(`Task ${this.id} timed out after ${this.timeoutMs}ms`, 'execute_task', this.timeoutMs),
+        ), this.timeoutMs) :
+        null;
+
+      let delay;
+      try {
+        return await untilAborted(this.runAgents(controller.signal), controller.signal);
+      } catch (error) {
+        // Interrupted attempts do not count against the retry budget
+        if (this.isInterrupted()) {
+          this.attempts--;
+          throw error;
+        }
+
+        this.attemptErrors.push({
+          attempt: this.attempts,
+          error: error.message,
+          error_type: classifyError(error),
+          at: new Date().toISOString(),
+        });
+
+        if (!shouldRetry(this.retryPolicy, error, this.attempts)) {
+          throw error;
         }
+
+        delay = retryDelay(this.retryPolicy, this.attempts);
+        console.warn(`🔁 Task ${this.id} attempt ${this.attempts}/${this.retryPolicy.maxAttempts} failed (${classifyError(error)}): ${error.message} - retrying in ${delay}ms`);
+        await this.persistState();
+      } finally {
+        clearTimeout(timer);
       }
 
-      console.error(`❌ Task failed: ${this.description} - ${error.message}`);
+      // A fresh controller, as a timeout may have aborted the attempt's; cancel
+      // and pause abort it to end the wait
+      const backoff = new AbortController();
+      this.abortController = backoff;
+      await abortableDelay(delay, backoff.signal);
     }
   }
 
-  async getStatus() {
+  async runAgents(signal) {
+    const agentResults = [];
+
+    for (const agentId of this.assignedAgents) {
+      signal.throwIfAborted();
+      const agent = this.swarm.agents.get(agentId);
+      if (agent) {
+        let agentResult;
+        try {
+          agentResult = await (agent.neuralAgent ?
+            agent.neuralAgent.executeTask(this, { signal }) :
+            agent.execute(this, { signal }));
+        } catch (error) {
+          if (!signal.aborted) {
+            agent.taskOutcomes.failed++;
+          }
+          // Keep what a failed command printed alongside the successful runs
+          await this.recordAgentResult(agent, {
+            status: signal.aborted ? 'aborted' : 'failed',
+            error: error.message,
+            ...error.output,
+          });
+          throw error;
+        }
+        agent.taskOutcomes.completed++;
+        await this.recordAgentResult(agent, agentResult);
+        agentResults.push({
+          agentId,
+          agentType: agent.type,
+          result: agentResult,
+        });
+      }
+      this.progress = Math.min(0.9, this.progress + (0.8 / this.assignedAgents.length));
+    }
+
+    return agentResults;
+  }
+
+  isInterrupted() {
+    return this.status === 'cancelled' || this.status === 'paused';
+  }
+
+  // One task_results row per agent run, failed attempts included
+  async recordAgentResult(agent, { executionTime, executor, ...output }) {
+    const { persistence } = this.swarm.ruvSwarm;
+    if (!persistence?.storeTaskResult) {
+      return;
+    }
+
+    try {
+      await persistence.storeTaskResult({
+        taskId: this.id,
+        agentId: agent.id,
+        output,
+        metrics: {
+          attempt: this.attempts,
+          executor: executor || null,
+          execution_time_ms: executionTime ?? null,
+        },
+      });
+    } catch (error) {
+      console.warn('Failed to record agent result:', error.message);
+    }
+  }
+
+  // Park a task that used up its attempts so task_dlq can replay it later
+  async deadLetter(error) {
+    const { persistence } = this.swarm.ruvSwarm;
+    if (!persistence?.addDeadLetter) {
+      return;
+    }
+
+    try {
+      await persistence.addDeadLetter({
+        id: `dlq-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        taskId: this.id,
+        swarmId: this.swarm.id,
+        description: this.description,
+        taskConfig: this.toConfig(),
+        attempts: this.attempts,
+        error: error.message,
+        errorType: classifyError(error),
+        attemptErrors: this.attemptErrors,
+      });
+    } catch (persistError) {
+      console.warn('Failed to dead-letter task:', persistError.message);
+    }
+  }
+
+  // Swarm.orchestrate() config that runs this task again on its own
+  toConfig() {
     return {
+      description: this.description,
+      priority: this.priority,
+      maxAgents: this.maxAgents,
+      estimatedDuration: this.estimatedDuration,
+      requiredCapabilities: this.requiredCapabilities,
+      retry: this.retryPolicy,
+      timeoutMs: this.timeoutMs,
+      input: this.input,
+      allocationStrategy: this.allocationStrategy,
+    };
+  }
+
+  async releaseAgents() {
+    for (const agentId of this.assignedAgents) {
+      const agent = this.swarm.agents.get(agentId);
+      if (agent) {
+        await agent.updateStatus('idle');
+      }
+    }
+  }
+
+  // Parent tasks have no agents of their own; they run while their subtasks do
+  async start() {
+    this.status = 'in_progress';
+    this.startTime = Date.now();
+    await this.persistState();
+  }
+
+  async completeFromSubtasks() {
+    const subtasks = this.subtaskIds.map(id => this.swarm.tasks.get(id));
+    const count = (status) => subtasks.filter(t => t.status === status).length;
+
+    if (count('completed') === subtasks.length) {
+      this.status = 'completed';
+    } else if (count('failed') > 0) {
+      this.status = 'failed';
+    } else {
+      this.status = 'cancelled';
+    }
+    this.progress = 1.0;
+    this.endTime = Date.now();
+
+    this.result = {
+      task_id: this.id,
+      description: this.description,
+      subtask_results: subtasks.map(t => ({ id: t.id, key: t.key, status: t.status, result: t.result })),
+      execution_summary: {
+        total_subtasks: subtasks.length,
+        completed: count('completed'),
+        failed: count('failed'),
+        cancelled: count('cancelled'),
+        execution_time_ms: this.endTime - this.startTime,
+      },
+    };
+
+    await this.persistState();
+
+    console.log(`${this.status === 'completed' ? '✅' : '❌'} Task graph ${this.status}: ${this.description} (${this.endTime - this.startTime}ms)`);
+  }
+
+  async cancel(reason) {
+    if (TERMINAL_TASK_STATUSES.includes(this.status)) {
+      return false;
+    }
+
+    this.status = 'cancelled';
+    this.endTime = Date.now();
+    this.result = { cancelled: true, reason };
+    this.abortController?.abort(new TaskError(`Task ${this.id} cancelled: ${reason}`, this.id, null, 'cancel'));
+    await this.persistState();
+    await this.recordEvent('task_cancelled', { reason });
+
+    console.log(`🚫 Task cancelled: ${this.description} (${reason})`);
+    return true;
+  }
+
+  async pause(reason) {
+    if (TERMINAL_TASK_STATUSES.includes(this.status) || this.status === 'paused') {
+      return false;
+    }
+
+    this.status = 'paused';
+    this.pausedAt = Date.now();
+    this.abortController?.abort(new TaskError(`Task ${this.id} paused: ${reason}`, this.id, null, 'pause'));
+    await this.persistState();
+    await this.recordEvent('task_paused', { reason });
+
+    console.log(`⏸️ Task paused: ${this.description} (${reason})`);
+    return true;
+  }
+
+  // Leaf tasks go back through the scheduler for fresh agents; a parent that
+  // had started carries on with its subtasks
+  async resume() {
+    if (this.status !== 'paused') {
+      return false;
+    }
+
+    // Let the aborted attempt release its agents first
+    await this.running;
+
+    this.status = this.subtaskIds.length > 0 && this.startTime ? 'in_progress' : 'waiting';
+    this.pausedAt = null;
+    await this.persistState();
+    await this.recordEvent('task_resumed');
+
+    console.log(`▶️ Task resumed: ${this.description}`);
+    return true;
+  }
+
+  // Lifecycle changes also land in the swarm's event log
+  async recordEvent(eventType, data = {}) {
+    const { persistence } = this.swarm.ruvSwarm;
+    if (!persistence?.logEvent) {
+      return;
+    }
+
+    try {
+      await persistence.logEvent(this.swarm.id, eventType, { task_id: this.id, status: this.status, ...data });
+    } catch (error) {
+      console.warn('Failed to record task event:', error.message);
+    }
+  }
+
+  // Record status changes so a restored swarm knows which tasks to resume
+  async persistState() {
+    const { persistence } = this.swarm.ruvSwarm;
+    if (!persistence) {
+      return;
+    }
+
+    const updates = { status: this.status, attempts: this.attempts };
+    if (this.status === 'in_progress') {
+      updates.assignedAgents = this.assignedAgents;
+      updates.started_at = new Date(this.startTime).toISOString();
+    }
+    if (TERMINAL_TASK_STATUSES.includes(this.status)) {
+      updates.result = this.result;
+      updates.completed_at = new Date(this.endTime || Date.now()).toISOString();
+      updates.execution_time_ms = this.startTime ? (this.endTime || Date.now()) - this.startTime : 0;
+    }
+    if (this.status === 'cancelled') {
+      updates.cancel_reason = this.result?.reason || null;
+      updates.cancelled_at = new Date(this.endTime).toISOString();
+    }
+    updates.paused_at = this.pausedAt ? new Date(this.pausedAt).toISOString() : null;
+
+    try {
+      await persistence.updateTask(this.id, updates);
+    } catch (error) {
+      console.warn('Failed to persist task state:', error.message);
+    }
+  }
+
+  async getStatus() {
+    const status = {
       id: this.id,
       status: this.status,
       assignedAgents: this.assignedAgents,
       progress: this.progress,
       execution_time_ms: this.startTime ? (this.endTime || Date.now()) - this.startTime : 0,
+      attempts: this.attempts,
+      max_attempts: this.retryPolicy.maxAttempts,
+    };
+
+    if (this.dependsOn.length > 0) {
+      status.dependsOn = this.dependsOn;
+    }
+    if (this.parentId) {
+      status.parentId = this.parentId;
+    }
+    if (this.subtaskIds.length > 0) {
+      const settled = this.subtaskIds
+        .filter(id => TERMINAL_TASK_STATUSES.includes(this.swarm.tasks.get(id)?.status)).length;
+      status.subtasks = this.subtaskIds;
+      status.progress = settled / this.subtaskIds.length;
+    }
+
+    return status;
+  }
+
+  // One node of a task graph, as reported by task_status
+  describeNode() {
+    return {
+      id: this.id,
+      key: this.key,
+      description: this.description,
+      status: this.status,
+      depends_on: this.dependsOn,
+      assigned_agents: this.assignedAgents,
+      progress: this.status === 'completed' ? 1.0 : this.progress,
+      estimated_duration_ms: this.estimatedDuration,
+      execution_time_ms: this.startTime ? (this.endTime || Date.now()) - this.startTime : 0,
+      attempts: this.attempts,
+      ...(this.status === 'cancelled' && this.result?.reason ? { cancel_reason: this.result.reason } : {}),
+      ...(this.status === 'failed' && this.result?.error ? { error: this.result.error } : {}),
+      ...(this.allocation ? { allocation: this.allocation.winners.map(winner => winner.justification) } : {}),
     };
   }
 
@@ -14,6 +14,9 @@ export class DAA_MCPTools {
   async ensureInitialized() {
     if (!this.daaInitialized) {
       await daaService.initialize();
+      if (this.mcpTools?.ruvSwarm?.executors) {
+        daaService.useExecutors(this.mcpTools.ruvSwarm.executors);
+      }
       this.daaInitialized = true;
     }
   }
@@ -0,0 +1,489 @@
+/**
+ * Streamable HTTP transport for the ruv-swarm MCP server
+ *
+ * Serves the MCP streamable HTTP transport on a single endpoint:
+ *   POST   /mcp  JSON-RPC requests, notifications and responses (single or batched)
+ *   GET    /mcp  SSE stream for messages the server sends on its own
+ *   DELETE /mcp  ends the session
+ *
+ * Each client gets its own session, named by the Mcp-Session-Id header the
+ * initialize response carries. All sessions go through the same message
+ * handler, so every client works against one set of MCP tools and one
+ * persistence layer. Requests must carry `Authorization: Bearer <token>`.
+ *
+ * A request with an Origin header, which browsers send, is refused unless
+ * the origin is allowed, by default only pages served from localhost. That
+ * keeps a web page from reaching a locally bound server through DNS
+ * rebinding. Clients that are not browsers send no Origin and are let through.
+ */
+
+import http from 'http';
+import { randomUUID, randomBytes, createHash, timingSafeEqual } from 'crypto';
+import { McpRequestRegistry } from './mcp-progress.js';
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3000;
+const DEFAULT_ENDPOINT = '/mcp';
+const SESSION_HEADER = 'mcp-session-id';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+// Comment lines keep idle SSE streams from being closed by proxies
+const KEEPALIVE_INTERVAL_MS = 15000;
+const SESSION_IDLE_MS = 60 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+function sseEvent(message) {
+  return `event: message\ndata: ${JSON.stringify(message)}\n\n`;
+}
+
+function jsonRpcError(id, code, message, data) {
+  return { jsonrpc: '2.0', error: { code, message, ...(data === undefined ? {} : { data }) }, id };
+}
+
+function isRequest(message) {
+  return typeof message?.method === 'string' && message.id !== undefined && message.id !== null;
+}
+
+function digest(value) {
+  return createHash('sha256').update(String(value)).digest();
+}
+
+// `scheme://host[:port]` as a URL writes it, or null for 'null' and other non-origins
+function normalizeOrigin(origin) {
+  try {
+    const url = new URL(origin);
+    return url.origin === 'null' ? null : url.origin;
+  } catch {
+    return null;
+  }
+}
+
+class McpHttpSession {
+  constructor(id) {
+    this.id = id;
+    this.createdAt = new Date();
+    this.lastActivity = Date.now();
+    this.clientInfo = null;
+    this.requestCount = 0;
+    this.streams = new Set();
+    this.requests = new McpRequestRegistry();
+  }
+
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * Write a message to the session's GET streams. Returns false when the
+   * client has none open, in which case the message is dropped.
+   */
+  send(message) {
+    for (const stream of this.streams) {
+      stream.write(sseEvent(message));
+    }
+    return this.streams.size > 0;
+  }
+
+  close() {
+    this.requests.cancelAll('session closed');
+    for (const stream of this.streams) {
+      stream.end();
+    }
+    this.streams.clear();
+  }
+}
+
+class McpHttpTransport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.handleMessage - (request, { session, send }) => JSON-RPC response, or null for none
+   * @param {string} [options.token] - Bearer token; a random one is generated when omitted
+   * @param {string[]} [options.allowedOrigins] - Origins browsers may call from,
+   *   such as 'https://app.example.com'; http(s) pages on localhost when omitted
+   * @param {Function} [options.onSessionClosed] - (session) => void, after a session ends for any reason
+   */
+  constructor(options = {}) {
+    if (typeof options.handleMessage !== 'function') {
+      throw new Error('McpHttpTransport requires a handleMessage function');
+    }
+
+    this.handleMessage = options.handleMessage;
+    this.host = options.host || DEFAULT_HOST;
+    this.port = options.port ?? DEFAULT_PORT;
+    this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+    this.token = options.token || randomBytes(24).toString('hex');
+    this.tokenGenerated = !options.token;
+    this.allowedOrigins = options.allowedOrigins ?
+      new Set(options.allowedOrigins.map(origin => normalizeOrigin(origin) || origin)) :
+      null;
+    this.sessionIdleMs = options.sessionIdleMs ?? SESSION_IDLE_MS;
+    this.logger = options.logger || null;
+    this.onSessionClosed = options.onSessionClosed || null;
+    this.sessions = new Map();
+    this.server = null;
+    this.sweepTimer = null;
+  }
+
+  get url() {
+    const address = this.server?.address();
+    if (!address) {
+      return null;
+    }
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return `http://${host}:${address.port}${this.endpoint}`;
+  }
+
+  async start() {
+    if (this.server) {
+      return this.url;
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger?.error('MCP HTTP request failed', { error, method: req.method });
+        if (!res.headersSent) {
+          this.sendJson(res, 500, jsonRpcError(null, -32603, 'Internal error', error.message));
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.sweepTimer = setInterval(() => this.sweepSessions(), SESSION_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+
+    this.logger?.info('MCP HTTP transport listening', { url: this.url });
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    for (const session of [...this.sessions.values()]) {
+      this.closeSession(session, 'closed');
+    }
+
+    const { server } = this;
+    this.server = null;
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Send a server-initiated message to one session.
+   */
+  notify(sessionId, message) {
+    return this.sessions.get(sessionId)?.send(message) ?? false;
+  }
+
+  /**
+   * Send a server-initiated message to every session with an open stream.
+   */
+  broadcast(message) {
+    let delivered = 0;
+    for (const session of this.sessions.values()) {
+      if (session.send(message)) {
+        delivered++;
+      }
+    }
+    return delivered;
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== this.endpoint) {
+      this.sendJson(res, 404, { error: `Not found: ${pathname}` });
+      return;
+    }
+
+    if (!this.isAllowedOrigin(req.headers.origin)) {
+      this.sendJson(res, 403, jsonRpcError(null, -32000, `Forbidden: origin ${req.headers.origin} is not allowed`));
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="ruv-swarm"');
+      this.sendJson(res, 401, jsonRpcError(null, -32001, 'Unauthorized: a valid bearer token is required'));
+      return;
+    }
+
+    switch (req.method) {
+    case 'POST':
+      await this.handlePost(req, res);
+      break;
+    case 'GET':
+      this.handleGet(req, res);
+      break;
+    case 'DELETE':
+      this.handleDelete(req, res);
+      break;
+    default:
+      res.setHeader('Allow', 'GET, POST, DELETE');
+      this.sendJson(res, 405, jsonRpcError(null, -32000, `Method not allowed: ${req.method}`));
+    }
+  }
+
+  isAllowedOrigin(origin) {
+    if (origin === undefined) {
+      return true;
+    }
+    const normalized = normalizeOrigin(origin);
+    if (!normalized) {
+      return false;
+    }
+    if (this.allowedOrigins) {
+      return this.allowedOrigins.has(normalized);
+    }
+    const { protocol, hostname } = new URL(normalized);
+    return (protocol === 'http:' || protocol === 'https:') && LOOPBACK_HOSTNAMES.includes(hostname);
+  }
+
+  isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    // Compare fixed-length digests so the check takes the same time for any input
+    return Boolean(match) && timingSafeEqual(digest(match[1].trim()), digest(this.token));
+  }
+
+  async handlePost(req, res) {
+    if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+      this.sendJson(res, 415, jsonRpcError(null, -32000, 'Content-Type must be application/json'));
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      const tooLarge = error.code === 'BODY_TOO_LARGE';
+      this.sendJson(res, tooLarge ? 413 : 400, jsonRpcError(null, tooLarge ? -32000 : -32700, tooLarge ? 'Request body too large' : 'Parse error', error.message));
+      return;
+    }
+
+    const batch = Array.isArray(body);
+    const messages = batch ? body : [body];
+    if (messages.length === 0 || messages.some(message => message === null || typeof message !== 'object')) {
+      this.sendJson(res, 400, jsonRpcError(null, -32600, 'Invalid Request'));
+      return;
+    }
+
+    let session;
+    const initialize = messages.find(message => message.method === 'initialize');
+    if (initialize) {
+      if (messages.length > 1) {
+        this.sendJson(res, 400, jsonRpcError(initialize.id ?? null, -32600, 'Invalid Request: initialize must not be batched'));
+        return;
+      }
+      session = this.createSession(initialize);
+    } else {
+      session = this.requireSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+    session.touch();
+    res.setHeader('Mcp-Session-Id', session.id);
+
+    const requests = messages.filter(isRequest);
+    // Notifications and client responses still reach the handler, but get no
+    // reply; dispatch() never rejects, so nothing waits on them
+    for (const message of messages.filter(message => !isRequest(message))) {
+      this.dispatch(message, session, message => session.send(message));
+    }
+    if (requests.length === 0) {
+      res.writeHead(202).end();
+      return;
+    }
+    session.requestCount += requests.length;
+
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      // Cancelled requests resolve to null and get no reply
+      const responses = (await Promise.all(requests.map(request => this.dispatch(request, session, message => session.send(message)))))
+        .filter(Boolean);
+      if (responses.length === 0) {
+        res.writeHead(202).end();
+      } else {
+        this.sendJson(res, 200, batch ? responses : responses[0]);
+      }
+      return;
+    }
+
+    // Stream each response as soon as it is ready; anything the handler sends
+    // about a request while it runs goes out on the same stream first
+    this.openStream(res);
+    const send = message => {
+      if (res.writableEnded || res.destroyed) {
+        return session.send(message);
+      }
+      res.write(sseEvent(message));
+      return true;
+    };
+    await Promise.all(requests.map(async request => {
+      const response = await this.dispatch(request, session, send);
+      if (response) {
+        send(response);
+      }
+    }));
+    res.end();
+  }
+
+  handleGet(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      this.sendJson(res, 406, jsonRpcError(null, -32000, 'Accept must include text/event-stream'));
+      return;
+    }
+
+    const session = this.requireSession(req, res);
+    if (!session) {
+      return;
+    }
+    session.touch();
+
+    res.setHeader('Mcp-Session-Id', session.id);
+    this.openStream(res);
+    res.write(': stream open\n\n');
+    session.streams.add(res);
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+    keepalive.unref();
+    res.on('close', () => {
+      clearInterval(keepalive);
+      session.streams.delete(res);
+      session.touch();
+    });
+  }
+
+  handleDelete(req, res) {
+    const session = this.requireSession(req, res);
+    if (!session) {
+      return;
+    }
+    this.closeSession(session, 'closed');
+    res.writeHead(204).end();
+  }
+
+  async dispatch(message, session, send) {
+    try {
+      return await this.handleMessage(message, { session, send });
+    } catch (error) {
+      this.logger?.error('MCP HTTP handler error', { error, method: message.method, sessionId: session.id });
+      return jsonRpcError(message.id ?? null, -32603, 'Internal error', error.message);
+    }
+  }
+
+  createSession(initialize) {
+    const session = new McpHttpSession(randomUUID());
+    session.clientInfo = initialize.params?.clientInfo || null;
+    this.sessions.set(session.id, session);
+    this.logger?.logConnection('established', session.id, {
+      protocol: 'http',
+      client: session.clientInfo?.name,
+      activeSessions: this.sessions.size,
+    });
+    return session;
+  }
+
+  closeSession(session, reason) {
+    session.close();
+    this.sessions.delete(session.id);
+    this.onSessionClosed?.(session);
+    this.logger?.logConnection(reason, session.id, {
+      protocol: 'http',
+      requests: session.requestCount,
+      activeSessions: this.sessions.size,
+    });
+  }
+
+  requireSession(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!sessionId) {
+      this.sendJson(res, 400, jsonRpcError(null, -32000, 'Bad Request: Mcp-Session-Id header is required'));
+      return null;
+    }
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      // 404 tells the client to start over with a new initialize
+      this.sendJson(res, 404, jsonRpcError(null, -32001, `Session not found: ${sessionId}`));
+      return null;
+    }
+    return session;
+  }
+
+  // Drop sessions that have no open stream and have not been used for a while
+  sweepSessions() {
+    const cutoff = Date.now() - this.sessionIdleMs;
+    for (const session of this.sessions.values()) {
+      if (session.streams.size === 0 && session.lastActivity < cutoff) {
+        this.closeSession(session, 'expired');
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      url: this.url,
+      sessions: [...this.sessions.values()].map(session => ({
+        id: session.id,
+        client: session.clientInfo,
+        created_at: session.createdAt.toISOString(),
+        requests: session.requestCount,
+        open_streams: session.streams.size,
+      })),
+    };
+  }
+
+  openStream(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+  }
+
+  sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+    });
+    res.end(payload);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          const error = new Error(`Body exceeds ${MAX_BODY_BYTES} bytes`);
+          error.code = 'BODY_TOO_LARGE';
+          req.removeAllListeners('data');
+          req.resume();
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+}
+
+export { McpHttpTransport, McpHttpSession, DEFAULT_PORT, DEFAULT_HOST };
@@ -0,0 +1,120 @@
+/**
+ * Progress notifications and cancellation for long-running MCP tools
+ *
+ * Every tools/call runs with a ToolContext. A client that wants progress
+ * puts `_meta.progressToken` on the request, and `progress()` then sends
+ * `notifications/progress` messages tied to that token. When the client
+ * sends `notifications/cancelled` for the request, the context's signal
+ * aborts with a CancellationError.
+ */
+
+import { CancellationError } from './errors.js';
+
+class ToolContext {
+  /**
+   * @param {Object} [options]
+   * @param {string|number} [options.requestId] - JSON-RPC id of the tools/call
+   * @param {string|number} [options.progressToken] - Token from the request's _meta
+   * @param {Function} [options.send] - Writes a JSON-RPC message to the client
+   * @param {AbortSignal} [options.signal] - Aborts when the client cancels
+   */
+  constructor({ requestId = null, progressToken = null, send = null, signal = null } = {}) {
+    this.requestId = requestId;
+    this.progressToken = progressToken;
+    this.send = send;
+    this.signal = signal || new AbortController().signal;
+    this.lastProgress = null;
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  /**
+   * Report progress. Does nothing unless the client sent a progress token;
+   * values that do not increase are dropped, as the protocol requires.
+   */
+  progress(progress, total = undefined, message = undefined) {
+    if (this.progressToken === null || !this.send || this.cancelled) {
+      return false;
+    }
+    if (this.lastProgress !== null && progress <= this.lastProgress) {
+      return false;
+    }
+    this.lastProgress = progress;
+
+    this.send({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: {
+        progressToken: this.progressToken,
+        progress,
+        ...(total === undefined ? {} : { total }),
+        ...(message === undefined ? {} : { message }),
+      },
+    });
+    return true;
+  }
+
+  throwIfCancelled() {
+    this.signal.throwIfAborted();
+  }
+
+  /**
+   * Yield to the event loop, then throw if the client cancelled meanwhile.
+   * Loops that never await call this so the cancellation can arrive at all.
+   */
+  async checkpoint() {
+    await new Promise(resolve => setImmediate(resolve));
+    this.throwIfCancelled();
+  }
+}
+
+/**
+ * The tools/call requests one connection (the stdio stream, or one HTTP
+ * session) has in flight, so a notifications/cancelled can find them.
+ */
+class McpRequestRegistry {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  get size() {
+    return this.requests.size;
+  }
+
+  start(request, send) {
+    const controller = new AbortController();
+    const context = new ToolContext({
+      requestId: request.id,
+      progressToken: request.params?._meta?.progressToken ?? null,
+      send,
+      signal: controller.signal,
+    });
+    this.requests.set(request.id, { controller, context });
+    return context;
+  }
+
+  finish(requestId) {
+    this.requests.delete(requestId);
+  }
+
+  cancel(requestId, reason = 'cancelled by client') {
+    const entry = this.requests.get(requestId);
+    if (!entry) {
+      // Already finished, or never ours: the protocol says to ignore it
+      return false;
+    }
+    entry.controller.abort(new CancellationError(`Request ${requestId} cancelled: ${reason}`, 'tools/call', reason));
+    this.requests.delete(requestId);
+    return true;
+  }
+
+  cancelAll(reason) {
+    for (const requestId of [...this.requests.keys()]) {
+      this.cancel(requestId, reason);
+    }
+  }
+}
+
+export { ToolContext, McpRequestRegistry };
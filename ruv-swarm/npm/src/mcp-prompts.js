@@ -0,0 +1,130 @@
+/**
+ * MCP prompts built from the Claude Code slash commands
+ *
+ * `ruv-swarm init --claude` writes these commands into .claude/commands; the
+ * MCP server serves the same definitions through prompts/list and
+ * prompts/get, so any client can use them without the files. A command that
+ * documents a tool takes the keys of its example parameters as prompt
+ * arguments, typed and checked by that tool's validation schema.
+ */
+
+import { ClaudeDocsGenerator } from './claude-integration/docs.js';
+import { MCPSchemas, BaseValidator } from './schemas.js';
+import { ValidationError } from './errors.js';
+
+const TOOL_PREFIX = 'mcp__ruv-swarm__';
+
+// 'coordination/init.md' -> 'coordination-init'
+function promptName(filepath) {
+  return filepath.replace(/\.md$/, '').replace(/\//g, '-');
+}
+
+function describeArgument(fieldSchema, example) {
+  const parts = [];
+  if (fieldSchema?.enum) {
+    parts.push(`One of ${fieldSchema.enum.join(', ')}.`);
+  } else if (fieldSchema?.type === 'number') {
+    const kind = fieldSchema.integer ? 'Integer' : 'Number';
+    parts.push(fieldSchema.min !== undefined && fieldSchema.max !== undefined ?
+      `${kind} from ${fieldSchema.min} to ${fieldSchema.max}.` :
+      `${kind}.`);
+  } else if (fieldSchema?.type === 'boolean') {
+    parts.push('true or false.');
+  } else if (Array.isArray(example)) {
+    parts.push('Comma-separated list.');
+  }
+  parts.push(`Example: ${Array.isArray(example) ? example.join(', ') : example}`);
+  return parts.join(' ');
+}
+
+// Prompt arguments arrive as strings; turn them back into what the tool takes
+function coerceArgument(name, raw, fieldSchema, example) {
+  let value = raw;
+  if (typeof raw === 'string') {
+    const type = fieldSchema?.type || (Array.isArray(example) ? 'array' : typeof example);
+    if (type === 'number') {
+      value = raw.trim() === '' ? NaN : Number(raw);
+    } else if (type === 'boolean') {
+      value = raw === 'true' ? true : raw === 'false' ? false : raw;
+    } else if (type === 'array') {
+      value = raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+  return fieldSchema ? BaseValidator.validate(value, fieldSchema, name) : value;
+}
+
+// Same layout as the hand-written examples: {"topology": "mesh", "maxAgents": 5}
+function formatParams(params) {
+  return `{${Object.entries(params).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}`;
+}
+
+class PromptCatalogue {
+  constructor(generator = new ClaudeDocsGenerator()) {
+    this.prompts = new Map();
+
+    const sources = [
+      [generator.getCommandDefinitions(), config => generator.renderCommand(config)],
+      [
+        generator.advancedGenerator.getCommandDefinitions(),
+        config => config.content || generator.advancedGenerator.generateCommandContent(config),
+      ],
+    ];
+    for (const [definitions, render] of sources) {
+      for (const [filepath, config] of Object.entries(definitions)) {
+        this.prompts.set(promptName(filepath), {
+          config,
+          render,
+          example: config.params ? JSON.parse(config.params) : {},
+          schema: config.tool ? MCPSchemas[config.tool.replace(TOOL_PREFIX, '')] || {} : {},
+        });
+      }
+    }
+  }
+
+  list() {
+    return [...this.prompts].map(([name, { config, example, schema }]) => ({
+      name,
+      description: config.description || config.title,
+      arguments: Object.entries(example).map(([argument, value]) => ({
+        name: argument,
+        description: describeArgument(schema[argument], value),
+        required: false,
+      })),
+    }));
+  }
+
+  /**
+   * Render a prompt as prompts/get returns it, or null for an unknown name.
+   * Arguments replace the matching example parameters; unknown or invalid
+   * ones throw a ValidationError.
+   */
+  get(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      return null;
+    }
+
+    let { config } = prompt;
+    const provided = Object.entries(args || {});
+    if (provided.length > 0) {
+      const params = { ...prompt.example };
+      for (const [argument, raw] of provided) {
+        if (!(argument in params)) {
+          throw new ValidationError(`Unknown argument for prompt ${name}: ${argument}`, argument, raw);
+        }
+        params[argument] = coerceArgument(argument, raw, prompt.schema[argument], params[argument]);
+      }
+      config = { ...config, params: formatParams(params) };
+    }
+
+    return {
+      description: config.description || config.title,
+      messages: [{
+        role: 'user',
+        content: { type: 'text', text: prompt.render(config) },
+      }],
+    };
+  }
+}
+
+export { PromptCatalogue };
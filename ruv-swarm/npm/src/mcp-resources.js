@@ -0,0 +1,277 @@
+/**
+ * Live MCP resources for swarm state
+ *
+ * Serves rows from the persistence layer as swarm:// resources:
+ *   swarm://swarms/{id}               swarm config, its agents and task counts
+ *   swarm://agents/{id}/memory        an agent's unexpired memory entries
+ *   swarm://tasks/{id}/results        a task's outcome and per-agent output
+ *   swarm://neural/{agentId}/metrics  an agent's networks and recorded metrics
+ *
+ * Subscriptions are kept fresh by polling. While any exist, each subscribed
+ * resource is re-read on an interval, and its subscribers get
+ * `notifications/resources/updated` when the content changes. Reading rather
+ * than hooking writes means changes made by other processes (the CLI, a
+ * second server on the same database) are picked up too.
+ *
+ * Works with either SwarmPersistence or SwarmPersistencePooled; every
+ * persistence call is awaited.
+ */
+
+import { createHash } from 'crypto';
+
+const MIME_TYPE = 'application/json';
+const POLL_INTERVAL_MS = 1000;
+// resources/list names this many of each swarm's most recent tasks
+const LISTED_TASKS_PER_SWARM = 50;
+
+const RESOURCE_TYPES = [
+  {
+    uriTemplate: 'swarm://swarms/{id}',
+    name: 'Swarm state',
+    description: 'Swarm configuration, its agents and task counts by status',
+    pattern: /^swarm:\/\/swarms\/([^/]+)$/,
+    async read(persistence, swarmId) {
+      const swarm = await persistence.getSwarm(swarmId);
+      if (!swarm) {
+        return null;
+      }
+      const agents = await persistence.getSwarmAgents(swarmId);
+      const tasks = await persistence.getSwarmTasks(swarmId);
+      const taskCounts = {};
+      for (const task of tasks) {
+        taskCounts[task.status] = (taskCounts[task.status] || 0) + 1;
+      }
+      return {
+        swarm,
+        agents: agents.map(({ id, name, type, status, capabilities }) => ({ id, name, type, status, capabilities })),
+        tasks: { total: tasks.length, by_status: taskCounts },
+      };
+    },
+  },
+  {
+    uriTemplate: 'swarm://agents/{id}/memory',
+    name: 'Agent memory',
+    description: 'Unexpired memory entries stored by an agent',
+    pattern: /^swarm:\/\/agents\/([^/]+)\/memory$/,
+    async read(persistence, agentId) {
+      if (!await persistence.getAgent(agentId)) {
+        return null;
+      }
+      const entries = await persistence.getAllMemory(agentId);
+      return {
+        agent_id: agentId,
+        entries: entries.map(({ key, value, expires_at, updated_at }) => ({ key, value, expires_at, updated_at })),
+      };
+    },
+  },
+  {
+    uriTemplate: 'swarm://tasks/{id}/results',
+    name: 'Task results',
+    description: 'Outcome of a task and the output each agent produced for it',
+    pattern: /^swarm:\/\/tasks\/([^/]+)\/results$/,
+    async read(persistence, taskId) {
+      const task = await persistence.getTask(taskId);
+      if (!task) {
+        return null;
+      }
+      return {
+        task: {
+          id: task.id,
+          swarm_id: task.swarm_id,
+          description: task.description,
+          status: task.status,
+          result: task.result,
+          error: task.error,
+          attempts: task.attempts,
+          completed_at: task.completed_at,
+          execution_time_ms: task.execution_time_ms,
+        },
+        agent_results: await persistence.getTaskResults(taskId),
+      };
+    },
+  },
+  {
+    uriTemplate: 'swarm://neural/{agentId}/metrics',
+    name: 'Neural metrics',
+    description: 'An agent\'s neural networks with their performance metrics, and its recent recorded metrics',
+    pattern: /^swarm:\/\/neural\/([^/]+)\/metrics$/,
+    async read(persistence, agentId) {
+      if (!await persistence.getAgent(agentId)) {
+        return null;
+      }
+      const networks = await persistence.getAgentNeuralNetworks(agentId);
+      return {
+        agent_id: agentId,
+        // Weights are left out; they can run to megabytes
+        networks: networks.map(({ id, architecture, performance_metrics, updated_at }) => ({ id, architecture, performance_metrics, updated_at })),
+        metrics: await persistence.getMetrics('agent', agentId),
+      };
+    },
+  },
+];
+
+const RESOURCE_TEMPLATES = RESOURCE_TYPES.map(({ uriTemplate, name, description }) => ({
+  uriTemplate,
+  name,
+  description,
+  mimeType: MIME_TYPE,
+}));
+
+function digest(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+class SwarmResources {
+  constructor(persistence, { pollIntervalMs = POLL_INTERVAL_MS, logger = null } = {}) {
+    this.persistence = persistence;
+    this.pollIntervalMs = pollIntervalMs;
+    this.logger = logger;
+    // uri -> { digest, subscribers: Map<subscriberId, notify> }
+    this.subscriptions = new Map();
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  static isSwarmResource(uri) {
+    return RESOURCE_TYPES.some(type => type.pattern.test(uri));
+  }
+
+  async list() {
+    const resources = [];
+    for (const swarm of await this.persistence.getActiveSwarms()) {
+      const swarmId = encodeURIComponent(swarm.id);
+      resources.push({
+        uri: `swarm://swarms/${swarmId}`,
+        name: `Swarm ${swarm.name}`,
+        description: `${swarm.topology} swarm ${swarm.id}`,
+        mimeType: MIME_TYPE,
+      });
+
+      for (const agent of await this.persistence.getSwarmAgents(swarm.id)) {
+        const agentId = encodeURIComponent(agent.id);
+        resources.push(
+          { uri: `swarm://agents/${agentId}/memory`, name: `${agent.name} memory`, mimeType: MIME_TYPE },
+          { uri: `swarm://neural/${agentId}/metrics`, name: `${agent.name} neural metrics`, mimeType: MIME_TYPE },
+        );
+      }
+
+      const tasks = await this.persistence.getSwarmTasks(swarm.id);
+      for (const task of tasks.slice(-LISTED_TASKS_PER_SWARM)) {
+        resources.push({
+          uri: `swarm://tasks/${encodeURIComponent(task.id)}/results`,
+          name: `Task ${task.id} results`,
+          description: task.description,
+          mimeType: MIME_TYPE,
+        });
+      }
+    }
+    return resources;
+  }
+
+  /**
+   * Read a resource as resources/read returns it, or null if the URI is
+   * not a swarm resource or its row does not exist.
+   */
+  async read(uri) {
+    for (const type of RESOURCE_TYPES) {
+      const match = type.pattern.exec(uri);
+      if (match) {
+        const data = await type.read(this.persistence, decodeURIComponent(match[1]));
+        return data ? { contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(data, null, 2) }] } : null;
+      }
+    }
+    return null;
+  }
+
+  async readDigest(uri) {
+    const resource = await this.read(uri);
+    return resource ? digest(resource.contents[0].text) : null;
+  }
+
+  /**
+   * Subscribe `subscriberId` (one per connection) to a resource. Returns
+   * false if the resource does not exist.
+   */
+  async subscribe(uri, subscriberId, notify) {
+    let subscription = this.subscriptions.get(uri);
+    if (!subscription) {
+      const current = await this.readDigest(uri);
+      if (current === null) {
+        return false;
+      }
+      subscription = { digest: current, subscribers: new Map() };
+      this.subscriptions.set(uri, subscription);
+    }
+    subscription.subscribers.set(subscriberId, notify);
+    this.updatePollTimer();
+    return true;
+  }
+
+  unsubscribe(uri, subscriberId) {
+    const subscription = this.subscriptions.get(uri);
+    if (!subscription?.subscribers.delete(subscriberId)) {
+      return false;
+    }
+    if (subscription.subscribers.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+    this.updatePollTimer();
+    return true;
+  }
+
+  // Drop everything a closed connection subscribed to
+  unsubscribeAll(subscriberId) {
+    for (const uri of [...this.subscriptions.keys()]) {
+      this.unsubscribe(uri, subscriberId);
+    }
+  }
+
+  /**
+   * Re-read every subscribed resource and notify subscribers of those that
+   * changed. A resource whose row was deleted counts as changed once.
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    try {
+      for (const [uri, subscription] of this.subscriptions) {
+        let current;
+        try {
+          current = await this.readDigest(uri);
+        } catch (error) {
+          this.logger?.warn('Failed to refresh subscribed resource', { uri, error: error.message });
+          continue;
+        }
+        if (current === subscription.digest) {
+          continue;
+        }
+        subscription.digest = current;
+        const message = { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } };
+        for (const notify of subscription.subscribers.values()) {
+          notify(message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  updatePollTimer() {
+    if (this.subscriptions.size > 0 && !this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+      this.pollTimer.unref();
+    } else if (this.subscriptions.size === 0 && this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  stop() {
+    this.subscriptions.clear();
+    this.updatePollTimer();
+  }
+}
+
+export { SwarmResources, RESOURCE_TEMPLATES };
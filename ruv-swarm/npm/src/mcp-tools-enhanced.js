@@ -19,8 +19,13 @@ import {
   ErrorContext,
 } from './errors.js';
 import { ValidationUtils } from './schemas.js';
+import { ToolContext } from './mcp-progress.js';
 import { DAA_MCPTools } from './mcp-daa-tools.js';
+import { DATASET_MODEL_TYPES } from './neural-models/index.js';
+import { trainOnDataset } from './neural-models/dataset-training.js';
 import { Logger } from './logger.js';
+import { MessageBus } from './message-bus/index.js';
+import { ALLOCATION_STRATEGIES } from './task-allocation.js';
 
 /**
  * Enhanced MCP Tools with comprehensive error handling and logging
@@ -42,6 +47,11 @@ class EnhancedMCPTools {
     };
     this.persistence = new SwarmPersistencePooled(undefined, poolOptions);
     this.persistenceReady = false;
+    // Tasks a previous server left mid-flight are paused on load unless set,
+    // so a restart does not run their side effects again
+    this.resumeTasks = process.env.RUV_SWARM_RESUME_TASKS === 'true';
+    // Agent inboxes, persisted alongside everything else
+    this.messageBus = new MessageBus({ store: this.persistence });
     
     // Initialize persistence asynchronously
     this.initializePersistence();
@@ -74,6 +84,12 @@ class EnhancedMCPTools {
       task_orchestrate: this.task_orchestrate.bind(this),
       task_status: this.task_status.bind(this),
       task_results: this.task_results.bind(this),
+      task_dlq: this.task_dlq.bind(this),
+      agent_send: this.agent_send.bind(this),
+      agent_inbox: this.agent_inbox.bind(this),
+      task_cancel: this.task_cancel.bind(this),
+      task_pause: this.task_pause.bind(this),
+      task_resume: this.task_resume.bind(this),
       benchmark_run: this.benchmark_run.bind(this),
       features_detect: this.features_detect.bind(this),
       memory_usage: this.memory_usage.bind(this),
@@ -292,7 +308,8 @@ class EnhancedMCPTools {
   }
 
   /**
-   * 🔧 CRITICAL FIX: Integrate hook notifications with MCP memory system
+   * Publish a hook instance's notifications on the message bus. Notifications
+   * the hooks already published are recognised by id and not sent twice.
    */
   async integrateHookNotifications(hookInstance) {
     if (!hookInstance || !this.persistence) {
@@ -301,22 +318,26 @@ class EnhancedMCPTools {
     }
 
     try {
-      // Get all notifications from hook runtime memory
       const runtimeNotifications = hookInstance.sessionData.notifications || [];
+      let published = 0;
 
-      // Store each notification in persistent database
       for (const notification of runtimeNotifications) {
-        const agentId = notification.agentId || 'hook-system';
-        const memoryKey = `notifications/${notification.type}/${notification.timestamp}`;
-
-        await this.persistence.storeAgentMemory(agentId, memoryKey, {
-          ...notification,
-          source: 'hook-integration',
-          integratedAt: Date.now(),
+        const receipt = await this.messageBus.send({
+          id: notification.id,
+          from: notification.agentId || 'hook-system',
+          topic: `notifications.${notification.type}`,
+          type: 'notification',
+          payload: {
+            ...notification,
+            source: 'hook-integration',
+            integratedAt: Date.now(),
+          },
         });
+        notification.id = receipt.id;
+        published += receipt.duplicate ? 0 : 1;
       }
 
-      console.log(`🔗 Integrated ${runtimeNotifications.length} hook notifications into MCP memory`);
+      console.log(`🔗 Integrated ${runtimeNotifications.length} hook notifications (${published} newly published)`);
       return true;
     } catch (error) {
       console.error('❌ Failed to integrate hook notifications:', error.message);
@@ -325,7 +346,12 @@ class EnhancedMCPTools {
   }
 
   /**
-   * 🔧 CRITICAL FIX: Retrieve cross-agent notifications for coordinated decision making
+   * Notifications published on the message bus, newest first. They are read
+   * from the database, so they outlive the process that sent them.
+   *
+   * @param {string} [agentId] - Only those this agent published
+   * @param {string} [type] - Only this notification type
+   * @param {number} [since] - Only those timestamped after this (epoch ms)
    */
   async getCrossAgentNotifications(agentId = null, type = null, since = null) {
     if (!this.persistence) {
@@ -333,33 +359,24 @@ class EnhancedMCPTools {
     }
 
     try {
-      const allAgents = agentId ? [agentId] : await this.getActiveAgentIds();
-      console.log('🔍 Debug: Target agents for notification retrieval:', allAgents);
-      const notifications = [];
-
-      for (const agent of allAgents) {
-        const memories = await this.persistence.getAllMemory(agent);
-        console.log(`🔍 Debug: Agent ${agent} has ${memories.length} memories`);
-
-        const agentNotifications = memories
-          .filter(memory => {
-            const isNotification = memory.key.startsWith('notifications/');
-            console.log(`🔍 Debug: Key ${memory.key} is notification: ${isNotification}`);
-            return isNotification;
-          })
-          .filter(memory => !type || memory.value.type === type)
-          .filter(memory => !since || memory.value.timestamp > since)
-          .map(memory => ({
-            ...memory.value,
-            agentId: agent,
-            memoryKey: memory.key,
-          }));
-
-        console.log(`🔍 Debug: Agent ${agent} has ${agentNotifications.length} notification memories`);
-        notifications.push(...agentNotifications);
-      }
+      // A notification is sent after it is made, so `since` can narrow the
+      // query by send time; the payload's timestamp still decides below
+      const messages = await this.messageBus.history({
+        sender: agentId,
+        topic: type ? `notifications.${type}` : 'notifications.*',
+        since,
+        limit: null,
+      });
 
-      return notifications.sort((a, b) => b.timestamp - a.timestamp);
+      return messages
+        .map(message => ({
+          ...message.payload,
+          agentId: message.from,
+          messageId: message.id,
+          traceId: message.traceId,
+        }))
+        .filter(notification => !since || notification.timestamp > since)
+        .sort((a, b) => b.timestamp - a.timestamp);
     } catch (error) {
       console.error('❌ Failed to retrieve cross-agent notifications:', error.message);
       return [];
@@ -433,33 +450,11 @@ class EnhancedMCPTools {
 
       for (const swarmData of swarmsArray) {
         try {
-          // Create in-memory swarm instance with existing ID
-          const swarm = await this.ruvSwarm.createSwarm({
-            id: swarmData.id,
-            name: swarmData.name,
-            topology: swarmData.topology,
-            maxAgents: swarmData.max_agents,
-            strategy: swarmData.strategy,
-          });
+          // Rebuild the full swarm - agents, neural state and unfinished tasks
+          const records = await this.persistence.exportSwarm(swarmData.id);
+          const swarm = await this.ruvSwarm.restoreSwarm(records, { resumeTasks: this.resumeTasks });
           this.activeSwarms.set(swarmData.id, swarm);
-
-          // Load agents for this swarm
-          const agents = this.persistence.getSwarmAgents(swarmData.id);
-          console.log(`  └─ Loading ${agents.length} agents for swarm ${swarmData.id}`);
-
-          for (const agentData of agents) {
-            try {
-              await swarm.spawn({
-                id: agentData.id,
-                type: agentData.type,
-                name: agentData.name,
-                capabilities: agentData.capabilities,
-                enableNeuralNetwork: true,
-              });
-            } catch (agentError) {
-              console.warn(`     ⚠️ Failed to load agent ${agentData.id}:`, agentError.message);
-            }
-          }
+          console.log(`  └─ Loaded ${records.agents.length} agents and ${records.tasks.length} tasks for swarm ${swarmData.id}`);
         } catch (swarmError) {
           console.warn(`⚠️ Failed to load swarm ${swarmData.id}:`, swarmError.message);
         }
@@ -771,7 +766,7 @@ class EnhancedMCPTools {
   }
 
   // Enhanced task_orchestrate with intelligent agent selection and error handling
-  async task_orchestrate(params) {
+  async task_orchestrate(params, context = new ToolContext()) {
     const startTime = performance.now();
     const toolName = 'task_orchestrate';
 
@@ -791,6 +786,12 @@ class EnhancedMCPTools {
         swarmId,
         requiredCapabilities,
         estimatedDuration,
+        dependsOn,
+        subtasks,
+        retry,
+        timeoutMs,
+        input,
+        waitForCompletion,
       } = validatedParams;
 
       const swarm = swarmId ?
@@ -801,37 +802,24 @@ class EnhancedMCPTools {
         throw new Error('No active swarm found. Please initialize a swarm first.');
       }
 
+      // Swarm.orchestrate persists the task (and any subtasks) itself
       const taskInstance = await swarm.orchestrate({
         description: task,
         priority,
         maxAgents,
         estimatedDuration,
         requiredCapabilities: requiredCapabilities || [],
+        retry,
+        timeoutMs,
+        input,
+        allocationStrategy: ALLOCATION_STRATEGIES.includes(strategy) ? strategy : null,
+        dependencies: dependsOn || [],
+        subtasks: (subtasks || []).map(subtask => ({
+          ...subtask,
+          description: ValidationUtils.sanitizeInput(subtask.task),
+        })),
       });
-
-      // Persist task to database
-      try {
-        await this.persistence.createTask({
-          id: taskInstance.id,
-          swarmId: swarm.id,
-          description: task,
-          status: 'orchestrated',
-          priority: priority || 'medium',
-          strategy: strategy || 'adaptive',
-          assignedAgents: JSON.stringify(taskInstance.assignedAgents),
-          metadata: JSON.stringify({
-            requiredCapabilities: requiredCapabilities || [],
-            estimatedDuration: estimatedDuration || 30000,
-            startTime,
-          }),
-        });
-      } catch (persistError) {
-        this.logger.warn('Failed to persist task', {
-          taskId: taskInstance.id,
-          error: persistError.message,
-        });
-        // Continue execution even if persistence fails
-      }
+      const isGraph = (dependsOn || []).length > 0 || (subtasks || []).length > 0;
 
       const result = {
         taskId: taskInstance.id,
@@ -840,13 +828,15 @@ class EnhancedMCPTools {
         priority,
         strategy,
         assigned_agents: taskInstance.assignedAgents,
+        retry_policy: taskInstance.retryPolicy,
+        timeout_ms: taskInstance.timeoutMs,
         swarm_info: {
           id: swarm.id,
           active_agents: Array.from(swarm.agents.values())
             .filter(a => a.status === 'busy').length,
         },
         orchestration: {
-          agent_selection_algorithm: 'capability_matching',
+          agent_selection_algorithm: taskInstance.allocationStrategy || 'capability_matching',
           load_balancing: true,
           cognitive_diversity_considered: true,
         },
@@ -857,6 +847,36 @@ class EnhancedMCPTools {
         message: `Task successfully orchestrated across ${taskInstance.assignedAgents.length} agents`,
       };
 
+      if (taskInstance.allocation) {
+        result.allocation = taskInstance.allocation;
+        result.orchestration.justification = taskInstance.allocation.winners.map(winner => winner.justification);
+      }
+
+      if (isGraph) {
+        const graph = swarm.getTaskGraph(taskInstance.id);
+        result.status = taskInstance.status;
+        result.graph = graph;
+        result.performance.estimated_completion_ms = graph.critical_path.estimated_total_ms;
+        result.message = taskInstance.subtaskIds.length > 0 ?
+          `Task graph orchestrated with ${taskInstance.subtaskIds.length} subtasks` :
+          `Task orchestrated; waiting on ${dependsOn.length} upstream tasks`;
+      }
+
+      if (waitForCompletion) {
+        // Cancelling the tool call cancels the task
+        await swarm.waitForTask(taskInstance.id, {
+          signal: context.signal,
+          onProgress: (settled, total) => context.progress(settled, total, `${settled}/${total} tasks completed`),
+        });
+        result.status = taskInstance.status;
+        result.result = taskInstance.result;
+        if (isGraph) {
+          result.graph = swarm.getTaskGraph(taskInstance.id);
+        }
+        result.performance.execution_time_ms = performance.now() - startTime;
+        result.message = `Task ${taskInstance.status}`;
+      }
+
       this.recordToolMetrics('task_orchestrate', startTime, 'success');
       return result;
     } catch (error) {
@@ -986,6 +1006,9 @@ class EnhancedMCPTools {
       }
 
       const status = await targetTask.getStatus();
+      if (targetTask.subtaskIds.length > 0 || targetTask.dependsOn.length > 0) {
+        status.graph = targetTask.swarm.getTaskGraph(taskId);
+      }
 
       this.recordToolMetrics('task_status', startTime, 'success');
       return status;
@@ -1100,6 +1123,24 @@ class EnhancedMCPTools {
         dbTaskResults = [];
       }
 
+      // Attempts that ended up in the dead-letter queue
+      let deadLetters = [];
+      try {
+        deadLetters = this.persistence?.getDeadLetters ?
+          await this.persistence.getDeadLetters({ taskId, status: 'all' }) : [];
+      } catch (error) {
+        console.warn('Dead-letter lookup failed:', error.message);
+      }
+
+      // Winning bids, for tasks allocated by auction or contract net
+      let allocations = [];
+      try {
+        allocations = this.persistence?.getTaskAllocations ?
+          await this.persistence.getTaskAllocations({ taskId }) : [];
+      } catch (error) {
+        console.warn('Allocation lookup failed:', error.message);
+      }
+
       // Build comprehensive results
       const results = {
         task_id: taskId,
@@ -1129,6 +1170,15 @@ class EnhancedMCPTools {
           timestamp: targetTask.completedAt,
           recovery_suggestions: this.generateRecoverySuggestions(targetTask.error),
         } : null,
+        dead_letters: deadLetters,
+        allocations: allocations.map(allocation => ({
+          agent_id: allocation.agent_id,
+          strategy: allocation.strategy,
+          bid: allocation.bid,
+          components: allocation.components,
+          justification: allocation.justification,
+          timestamp: allocation.created_at,
+        })),
       };
 
       if (includeAgentResults && dbTaskResults.length > 0) {
@@ -1176,6 +1226,7 @@ class EnhancedMCPTools {
           success: results.status === 'completed',
           has_errors: Boolean(results.error_details),
           result_available: Boolean(results.final_result),
+          dead_lettered: deadLetters.some(entry => entry.status === 'pending'),
         };
 
         this.recordToolMetrics('task_results', startTime, 'success');
@@ -1204,6 +1255,131 @@ class EnhancedMCPTools {
     }
   }
 
+  // Stop a task (and its subtasks) for good; running agents are signalled to abort
+  async task_cancel(params) {
+    return this.controlTask('task_cancel', params, (swarm, taskId, reason) => swarm.cancelTask(taskId, reason));
+  }
+
+  // Abort a task's current attempt and hold it until task_resume
+  async task_pause(params) {
+    return this.controlTask('task_pause', params, (swarm, taskId, reason) => swarm.pauseTask(taskId, reason));
+  }
+
+  async task_resume(params) {
+    return this.controlTask('task_resume', params, (swarm, taskId) => swarm.resumeTask(taskId));
+  }
+
+  // Shared body of task_cancel, task_pause and task_resume
+  async controlTask(toolName, params, apply) {
+    const startTime = performance.now();
+
+    try {
+      const { taskId, reason } = this.validateToolParams(params, toolName);
+
+      let swarm = null;
+      for (const candidate of this.activeSwarms.values()) {
+        if (candidate.tasks.has(taskId)) {
+          swarm = candidate;
+          break;
+        }
+      }
+      if (!swarm) {
+        throw new Error(`Task not found: ${taskId}`);
+      }
+
+      const task = swarm.tasks.get(taskId);
+      const previousStatus = task.status;
+      const changed = await apply(swarm, taskId, reason);
+
+      const result = {
+        taskId,
+        swarmId: swarm.id,
+        previous_status: previousStatus,
+        status: task.status,
+        changed,
+        subtasks: task.subtaskIds.map(id => ({ id, status: swarm.tasks.get(id)?.status })),
+        message: changed ?
+          `Task ${taskId} is now ${task.status}` :
+          `Task ${taskId} was left ${task.status}`,
+      };
+
+      this.recordToolMetrics(toolName, startTime, 'success');
+      return result;
+    } catch (error) {
+      this.recordToolMetrics(toolName, startTime, 'error', error.message);
+      throw this.handleError(error, toolName, toolName, params);
+    }
+  }
+
+  // Dead-letter queue: list tasks that failed every attempt, replay one as a
+  // fresh task in its original swarm, or discard it
+  async task_dlq(params) {
+    const startTime = performance.now();
+    const toolName = 'task_dlq';
+
+    try {
+      const { action, id, swarmId, taskId, status, limit } = this.validateToolParams(params, toolName);
+      await this.ensurePersistenceReady();
+
+      if (action === 'list') {
+        const entries = await this.persistence.getDeadLetters({ swarmId, taskId, status, limit });
+        this.recordToolMetrics(toolName, startTime, 'success');
+        return {
+          total: entries.length,
+          status,
+          entries,
+        };
+      }
+
+      if (!id) {
+        throw new ValidationError(`id is required for action '${action}'`, 'id', id, 'string');
+      }
+      const entry = await this.persistence.getDeadLetter(id);
+      if (!entry) {
+        throw new Error(`Dead letter not found: ${id}`);
+      }
+
+      let result;
+      if (action === 'replay') {
+        const swarm = this.activeSwarms.get(entry.swarm_id);
+        if (!swarm) {
+          throw ErrorFactory.createError('swarm',
+            `Swarm ${entry.swarm_id} is not active; restore it before replaying ${id}`,
+            { swarmId: entry.swarm_id, operation: 'task_dlq' },
+          );
+        }
+
+        const task = await swarm.replayDeadLetter(entry);
+        result = {
+          id,
+          action,
+          original_task_id: entry.task_id,
+          replayed_task_id: task.id,
+          status: task.status,
+          assigned_agents: task.assignedAgents,
+          message: `Replayed ${entry.task_id} as ${task.id}`,
+        };
+      } else {
+        if (entry.status !== 'pending') {
+          throw new ValidationError(`Dead letter ${id} was already ${entry.status}`, 'id', id);
+        }
+        await this.persistence.resolveDeadLetter(id, 'discarded');
+        result = {
+          id,
+          action,
+          task_id: entry.task_id,
+          message: `Discarded dead letter for ${entry.task_id}`,
+        };
+      }
+
+      this.recordToolMetrics(toolName, startTime, 'success');
+      return result;
+    } catch (error) {
+      this.recordToolMetrics(toolName, startTime, 'error', error.message);
+      throw this.handleError(error, toolName, 'task_dlq', params);
+    }
+  }
+
   // Helper method to generate recovery suggestions for task errors
   generateRecoverySuggestions(errorMessage) {
     const suggestions = [];
@@ -1317,8 +1493,132 @@ class EnhancedMCPTools {
     }
   }
 
+  // Inter-agent messaging: a direct message or a topic message fanned out
+  // to the topic's subscribers, each copy waiting in an inbox until acked
+  async agent_send(params) {
+    const startTime = performance.now();
+    const toolName = 'agent_send';
+
+    try {
+      const { from, to, topic, type, payload, ttlMs, replyTo, traceId, messageId } =
+        this.validateToolParams(params, toolName);
+      await this.ensurePersistenceReady();
+
+      const receipt = await this.messageBus.send({
+        id: messageId,
+        from,
+        to,
+        topic,
+        type,
+        payload,
+        ttl: ttlMs,
+        replyTo,
+        traceId,
+      });
+
+      this.recordToolMetrics(toolName, startTime, 'success');
+      return {
+        message_id: receipt.id,
+        trace_id: receipt.traceId,
+        recipients: receipt.recipients,
+        expires_at: receipt.expiresAt ? new Date(receipt.expiresAt).toISOString() : null,
+        duplicate: receipt.duplicate,
+        message: receipt.duplicate ?
+          `Message ${receipt.id} was already sent` :
+          `Queued for ${receipt.recipients.length} recipient(s)`,
+      };
+    } catch (error) {
+      this.recordToolMetrics(toolName, startTime, 'error', error.message);
+      throw this.handleError(error, toolName, 'agent_send', params);
+    }
+  }
+
+  // An agent's side of the message bus. 'receive' hands out messages that
+  // must be acked before ackTimeoutMs or they are handed out again
+  async agent_inbox(params) {
+    const startTime = performance.now();
+    const toolName = 'agent_inbox';
+
+    try {
+      const { agentId, action, limit, ackTimeoutMs, status, messageIds, topic, traceId } =
+        this.validateToolParams(params, toolName);
+      await this.ensurePersistenceReady();
+
+      let result;
+      switch (action) {
+      case 'receive': {
+        const messages = await this.messageBus.receive(agentId, { limit, ackTimeout: ackTimeoutMs });
+        result = {
+          agent_id: agentId,
+          action,
+          count: messages.length,
+          ack_timeout_ms: ackTimeoutMs ?? this.messageBus.ackTimeout,
+          messages,
+        };
+        break;
+      }
+      case 'peek': {
+        const messages = await this.messageBus.inbox(agentId, { status, limit });
+        result = { agent_id: agentId, action, status, count: messages.length, messages };
+        break;
+      }
+      case 'ack': {
+        if (!messageIds) {
+          throw new ValidationError('messageIds is required for action \'ack\'', 'messageIds', messageIds, 'array');
+        }
+        const acked = await this.messageBus.ack(agentId, messageIds);
+        result = {
+          agent_id: agentId,
+          action,
+          acked,
+          // Unknown, already acked, expired or dead
+          not_acked: messageIds.filter(id => !acked.includes(id)),
+        };
+        break;
+      }
+      case 'subscribe':
+      case 'unsubscribe': {
+        if (!topic) {
+          throw new ValidationError(`topic is required for action '${action}'`, 'topic', topic, 'string');
+        }
+        const changed = action === 'subscribe' ?
+          await this.messageBus.subscribe(agentId, topic) :
+          await this.messageBus.unsubscribe(agentId, topic);
+        result = {
+          agent_id: agentId,
+          action,
+          topic,
+          changed,
+          subscriptions: await this.messageBus.subscriptions(agentId),
+        };
+        break;
+      }
+      case 'trace': {
+        if (!traceId) {
+          throw new ValidationError('traceId is required for action \'trace\'', 'traceId', traceId, 'string');
+        }
+        const messages = await this.messageBus.trace(traceId);
+        result = {
+          agent_id: agentId,
+          action,
+          trace_id: messages[0]?.traceId || traceId,
+          count: messages.length,
+          messages,
+        };
+        break;
+      }
+      }
+
+      this.recordToolMetrics(toolName, startTime, 'success');
+      return result;
+    } catch (error) {
+      this.recordToolMetrics(toolName, startTime, 'error', error.message);
+      throw this.handleError(error, toolName, 'agent_inbox', params);
+    }
+  }
+
   // Enhanced benchmark_run with comprehensive WASM performance testing
-  async benchmark_run(params) {
+  async benchmark_run(params, context = new ToolContext()) {
     const startTime = performance.now();
 
     try {
@@ -1331,41 +1631,56 @@ class EnhancedMCPTools {
       } = params;
 
       const benchmarks = {};
+      const suites = {
+        wasm: type === 'all' || type === 'wasm',
+        neural: (type === 'all' || type === 'neural') && includeNeuralBenchmarks && this.ruvSwarm.features.neural_networks,
+        swarm: (type === 'all' || type === 'swarm') && includeSwarmBenchmarks,
+        agent: type === 'all' || type === 'agent',
+        task: type === 'all' || type === 'task',
+      };
+
+      // Every suite calls this once per iteration
+      const total = Object.values(suites).filter(Boolean).length * iterations;
+      let completed = 0;
+      const onIteration = async(suite, iteration) => {
+        completed++;
+        context.progress(completed, total, `${suite} benchmark iteration ${iteration + 1}/${iterations}`);
+        await context.checkpoint();
+      };
 
-      if (type === 'all' || type === 'wasm') {
-        benchmarks.wasm = await this.runWasmBenchmarks(iterations);
+      if (suites.wasm) {
+        benchmarks.wasm = await this.runWasmBenchmarks(iterations, onIteration);
       }
 
-      if (type === 'all' || type === 'neural') {
-        if (includeNeuralBenchmarks && this.ruvSwarm.features.neural_networks) {
-          benchmarks.neural = await this.runNeuralBenchmarks(iterations);
-        }
+      if (suites.neural) {
+        benchmarks.neural = await this.runNeuralBenchmarks(iterations, onIteration);
       }
 
-      if (type === 'all' || type === 'swarm') {
-        if (includeSwarmBenchmarks) {
-          console.log('Running swarm benchmarks with iterations:', iterations);
-          try {
-            benchmarks.swarm = await this.runSwarmBenchmarks(iterations);
-            console.log('Swarm benchmarks result:', benchmarks.swarm);
-          } catch (error) {
-            console.error('Swarm benchmark error:', error);
-            benchmarks.swarm = {
-              swarm_creation: { avg_ms: 0, min_ms: 0, max_ms: 0 },
-              agent_spawning: { avg_ms: 0, min_ms: 0, max_ms: 0 },
-              task_orchestration: { avg_ms: 0, min_ms: 0, max_ms: 0 },
-              error: error.message,
-            };
+      if (suites.swarm) {
+        console.log('Running swarm benchmarks with iterations:', iterations);
+        try {
+          benchmarks.swarm = await this.runSwarmBenchmarks(iterations, onIteration);
+          console.log('Swarm benchmarks result:', benchmarks.swarm);
+        } catch (error) {
+          if (context.cancelled) {
+            throw error;
           }
+          console.error('Swarm benchmark error:', error);
+          benchmarks.swarm = {
+            swarm_creation: { avg_ms: 0, min_ms: 0, max_ms: 0 },
+            agent_spawning: { avg_ms: 0, min_ms: 0, max_ms: 0 },
+            task_orchestration: { avg_ms: 0, min_ms: 0, max_ms: 0 },
+            error: error.message,
+          };
         }
       }
 
-      if (type === 'all' || type === 'agent') {
-        benchmarks.agent = await this.runAgentBenchmarks(iterations);
+      if (suites.agent) {
+        benchmarks.agent = await this.runAgentBenchmarks(iterations, onIteration);
       }
 
-      if (type === 'all' || type === 'task') {
-        benchmarks.task = await this.runTaskBenchmarks(iterations);
+      if (suites.task) {
+        benchmarks.task = await this.runTaskBenchmarks(iterations, onIteration);
       }
 
       const result = {
@@ -1593,7 +1908,7 @@ class EnhancedMCPTools {
     }
   }
 
-  async neural_train(params) {
+  async neural_train(params, context = new ToolContext()) {
     const startTime = performance.now();
 
     try {
@@ -1608,15 +1923,20 @@ class EnhancedMCPTools {
         learningRate = 0.001,
         modelType = 'feedforward',
         trainingData = null,
+        dataPath = null,
       } = params;
 
       if (!agentId || typeof agentId !== 'string') {
         throw ErrorFactory.createError('validation', 'agentId is required and must be a string', { parameter: 'agentId' });
       }
+      if (dataPath && !DATASET_MODEL_TYPES.includes(modelType)) {
+        throw ErrorFactory.createError('validation', `Training on a dataset needs one of these model types: ${DATASET_MODEL_TYPES.join(', ')}`, { parameter: 'modelType' });
+      }
 
       const iterations = Math.max(1, Math.min(100, parseInt(rawIterations || 10, 10)));
       const validatedLearningRate = Math.max(0.0001, Math.min(1.0, parseFloat(learningRate)));
-      const validatedModelType = ['feedforward', 'lstm', 'transformer', 'cnn', 'attention'].includes(modelType) ? modelType : 'feedforward';
+      const supportedModelTypes = dataPath ? DATASET_MODEL_TYPES : ['feedforward', 'lstm', 'transformer', 'cnn', 'attention'];
+      const validatedModelType = supportedModelTypes.includes(modelType) ? modelType : 'feedforward';
 
       await this.initialize();
 
@@ -1667,36 +1987,50 @@ class EnhancedMCPTools {
         }
       }
 
-      // Perform training simulation with actual WASM integration
-      const trainingResults = [];
+      let trainingResults = [];
       let currentLoss = 1.0;
       let currentAccuracy = 0.5;
+      let datasetResults = null;
+
+      if (dataPath) {
+        // Real training on the agent's dataset, one epoch per iteration; in
+        // cluster mode on the agent's worker, so it holds up no other tool call
+        const trainingOptions = { modelType: validatedModelType, iterations, learningRate: validatedLearningRate };
+        datasetResults = this.ruvSwarm.cluster ?
+          await this.ruvSwarm.cluster.train(targetAgent, params, trainingOptions, context) :
+          await trainOnDataset(params, trainingOptions, context);
+        ({ trainingResults, currentLoss, currentAccuracy } = datasetResults);
+      } else {
+        // Perform training simulation with actual WASM integration
+        for (let i = 1; i <= iterations; i++) {
+          await context.checkpoint();
 
-      for (let i = 1; i <= iterations; i++) {
-        // Simulate training iteration
-        // const progress = i / iterations;
-        currentLoss = Math.max(0.001, currentLoss * (0.95 + Math.random() * 0.1));
-        currentAccuracy = Math.min(0.99, currentAccuracy + (Math.random() * 0.05));
+          // Simulate training iteration
+          currentLoss = Math.max(0.001, currentLoss * (0.95 + Math.random() * 0.1));
+          currentAccuracy = Math.min(0.99, currentAccuracy + (Math.random() * 0.05));
 
-        trainingResults.push({
-          iteration: i,
-          loss: currentLoss,
-          accuracy: currentAccuracy,
-          timestamp: new Date().toISOString(),
-        });
+          trainingResults.push({
+            iteration: i,
+            loss: currentLoss,
+            accuracy: currentAccuracy,
+            timestamp: new Date().toISOString(),
+          });
 
-        // Call WASM neural training if available
-        if (this.ruvSwarm.wasmLoader.modules.get('core')?.neural_train) {
-          try {
-            this.ruvSwarm.wasmLoader.modules.get('core').neural_train({
-              modelType: validatedModelType,
-              iteration: i,
-              totalIterations: iterations,
-              learningRate: validatedLearningRate,
-            });
-          } catch (wasmError) {
-            console.warn('WASM neural training failed:', wasmError.message);
+          // Call WASM neural training if available
+          if (this.ruvSwarm.wasmLoader.modules.get('core')?.neural_train) {
+            try {
+              this.ruvSwarm.wasmLoader.modules.get('core').neural_train({
+                modelType: validatedModelType,
+                iteration: i,
+                totalIterations: iterations,
+                learningRate: validatedLearningRate,
+              });
+            } catch (wasmError) {
+              console.warn('WASM neural training failed:', wasmError.message);
+            }
           }
+
+          context.progress(i, iterations, `Epoch ${i}/${iterations}: loss ${currentLoss.toFixed(4)}, accuracy ${currentAccuracy.toFixed(4)}`);
         }
       }
 
@@ -1709,6 +2043,7 @@ class EnhancedMCPTools {
         model_type: validatedModelType,
         training_time_ms: performance.now() - startTime,
         last_trained: new Date().toISOString(),
+        ...(datasetResults ? datasetResults.metrics : {}),
       };
 
       // Persist neural network state after training
@@ -1721,6 +2056,7 @@ class EnhancedMCPTools {
             timestamp: new Date().toISOString(),
             // Store actual weight values if available from WASM
             values: this.ruvSwarm.wasmLoader.modules.get('core')?.get_neural_weights?.(neuralNetwork.id) || {},
+            ...(datasetResults?.checkpoint ? { checkpoint: datasetResults.checkpoint } : {}),
           },
           training_history: trainingResults,
         });
@@ -1743,7 +2079,9 @@ class EnhancedMCPTools {
       // Record training metrics with proper error handling
       try {
         await this.persistence.recordMetric('agent', agentId, 'neural_training_loss', currentLoss);
-        await this.persistence.recordMetric('agent', agentId, 'neural_training_accuracy', currentAccuracy);
+        if (currentAccuracy !== null) {
+          await this.persistence.recordMetric('agent', agentId, 'neural_training_accuracy', currentAccuracy);
+        }
         await this.persistence.recordMetric('agent', agentId, 'neural_training_iterations', iterations);
         await this.persistence.recordMetric('agent', agentId, 'neural_training_time_ms', performance.now() - startTime);
 
@@ -1844,7 +2182,7 @@ class EnhancedMCPTools {
   }
 
   // Helper methods for benchmarking
-  async runWasmBenchmarks(iterations) {
+  async runWasmBenchmarks(iterations, onIteration = null) {
     await this.initialize();
     const results = {};
     let successfulRuns = 0;
@@ -1890,6 +2228,7 @@ class EnhancedMCPTools {
       } catch (error) {
         console.warn(`WASM benchmark iteration ${i} failed:`, error.message);
       }
+      await onIteration?.('wasm', i);
     }
 
     const calculateStats = (times) => {
@@ -1938,7 +2277,7 @@ class EnhancedMCPTools {
     return results;
   }
 
-  async runNeuralBenchmarks(iterations) {
+  async runNeuralBenchmarks(iterations, onIteration = null) {
     const benchmarks = {
       network_creation: [],
       forward_pass: [],
@@ -1963,6 +2302,7 @@ class EnhancedMCPTools {
       // Simulate training
       await new Promise(resolve => setTimeout(resolve, 10));
       benchmarks.training_epoch.push(performance.now() - start);
+      await onIteration?.('neural', i);
     }
 
     // Calculate statistics
@@ -1983,7 +2323,7 @@ class EnhancedMCPTools {
     };
   }
 
-  async runSwarmBenchmarks(iterations) {
+  async runSwarmBenchmarks(iterations, onIteration = null) {
     const benchmarks = {
       swarm_creation: [],
       agent_spawning: [],
@@ -2068,6 +2408,7 @@ class EnhancedMCPTools {
       } catch (error) {
         console.warn(`Swarm benchmark iteration ${i} failed:`, error.message);
       }
+      await onIteration?.('swarm', i);
     }
 
     const calculateStats = (data) => {
@@ -2122,7 +2463,7 @@ class EnhancedMCPTools {
     };
   }
 
-  async runAgentBenchmarks(iterations) {
+  async runAgentBenchmarks(iterations, onIteration = null) {
     const benchmarks = {
       cognitive_processing: [],
       capability_matching: [],
@@ -2177,6 +2518,7 @@ class EnhancedMCPTools {
       } catch (error) {
         console.warn(`Agent benchmark iteration ${i} failed:`, error.message);
       }
+      await onIteration?.('agent', i);
     }
 
     const calculateStats = (data) => {
@@ -2197,7 +2539,7 @@ class EnhancedMCPTools {
     };
   }
 
-  async runTaskBenchmarks(iterations) {
+  async runTaskBenchmarks(iterations, onIteration = null) {
     const benchmarks = {
       task_distribution: [],
       result_aggregation: [],
@@ -2322,6 +2664,7 @@ class EnhancedMCPTools {
       } catch (error) {
         console.warn(`Task benchmark iteration ${i} failed:`, error.message);
       }
+      await onIteration?.('task', i);
     }
 
     const calculateStats = (data) => {
@@ -2839,6 +3182,12 @@ class EnhancedMCPTools {
       { name: 'task_orchestrate', description: 'Orchestrate a task across the swarm' },
       { name: 'task_status', description: 'Check progress of running tasks' },
       { name: 'task_results', description: 'Retrieve results from completed tasks' },
+      { name: 'task_dlq', description: 'List, replay or discard tasks that failed every retry attempt' },
+      { name: 'agent_send', description: 'Send a message to an agent or to a topic, with at-least-once delivery' },
+      { name: 'agent_inbox', description: 'Receive, ack or trace an agent\'s messages and manage its topic subscriptions' },
+      { name: 'task_cancel', description: 'Cancel a task and its subtasks, aborting running agents' },
+      { name: 'task_pause', description: 'Pause a task, aborting its current attempt until resumed' },
+      { name: 'task_resume', description: 'Resume a paused task' },
       { name: 'benchmark_run', description: 'Execute performance benchmarks' },
       { name: 'features_detect', description: 'Detect runtime features and capabilities' },
       { name: 'memory_usage', description: 'Get current memory usage statistics' },
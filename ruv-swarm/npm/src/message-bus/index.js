@@ -0,0 +1,385 @@
+/**
+ * Inter-agent Message Bus for ruv-swarm
+ *
+ * Agents send a message either to one agent (`to`) or to a topic, in which
+ * case each subscribed agent gets its own copy. A copy waits in its
+ * recipient's inbox until the recipient acks it. receive() hands a copy out
+ * and hides it for `ackTimeout` ms, after which it is handed out again, so
+ * delivery is at-least-once: handlers must tolerate repeats, and the
+ * envelope's `attempts` says how often a copy was handed out. A copy handed
+ * out `maxAttempts` times without an ack is marked dead, and one whose
+ * message outlived its TTL is marked expired instead of being delivered.
+ *
+ * Every message belongs to a trace, which replies inherit, so trace() shows
+ * a whole exchange and what became of each copy. Once no copy of a direct
+ * message is waiting any more it is kept for `retention` ms and then purged,
+ * by a sweep that runs while the bus is in use. Topic messages, notifications
+ * among them, are the history of their topic and are kept unless
+ * `topicRetention` is set.
+ *
+ * Inboxes live in whichever persistence class is passed as the store, where
+ * they survive restarts; without one the bus keeps a private in-memory
+ * database with the same schema.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { ValidationError } from '../errors.js';
+import { SwarmPersistence } from '../persistence.js';
+import { INBOX_STATUSES } from './queue.js';
+
+// The camelCase view of a stored message, plus the copy's state when there is one
+function toEnvelope(row) {
+  const envelope = {
+    id: row.id,
+    traceId: row.trace_id,
+    replyTo: row.reply_to,
+    from: row.sender,
+    to: row.recipient,
+    topic: row.topic,
+    type: row.type,
+    payload: row.payload,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+  if (row.status !== undefined) {
+    envelope.status = row.status;
+    envelope.attempts = row.attempts;
+  }
+  return envelope;
+}
+
+class MessageBus extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {SwarmPersistence|SwarmPersistencePooled} [options.store] - Default a
+   *   private in-memory database
+   * @param {number} [options.ackTimeout] - ms a handed-out copy waits for its
+   *   ack before it is handed out again (default 30 s)
+   * @param {number} [options.maxAttempts] - Hand-outs before a copy is dead (default 5)
+   * @param {number|null} [options.defaultTtl] - ms a message lives when send()
+   *   gives no `ttl`; null for no limit
+   * @param {number} [options.retention] - ms a direct message nobody waits
+   *   for any more stays for trace() and history() (default 1 h)
+   * @param {number|null} [options.topicRetention] - The same for topic
+   *   messages, notifications among them; null keeps them (the default)
+   * @param {number} [options.purgeInterval] - ms between purges, starting with
+   *   the first send (default 1 min); 0 to purge only when purge() is called
+   * @param {Function} [options.now] - Clock in epoch ms, for testing
+   */
+  constructor({
+    store = null,
+    ackTimeout = 30000,
+    maxAttempts = 5,
+    defaultTtl = null,
+    retention = 3600000,
+    topicRetention = null,
+    purgeInterval = 60000,
+    now = Date.now,
+  } = {}) {
+    super();
+    this.store = store;
+    this.ackTimeout = ackTimeout;
+    this.maxAttempts = maxAttempts;
+    this.defaultTtl = defaultTtl;
+    this.retention = retention;
+    this.topicRetention = topicRetention;
+    this.purgeInterval = purgeInterval;
+    this.now = now;
+    this.handlers = new Map();
+    this.redeliveryTimers = new Map();
+    this.sweepTimer = null;
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = new SwarmPersistence(':memory:');
+    }
+    return this.store;
+  }
+
+  /**
+   * Stores a message and queues its copies. Agents listening in this process
+   * have had it handed to their handlers by the time this resolves. Sending
+   * an `id` that was already sent queues nothing new.
+   *
+   * @param {Object} message
+   * @param {string} message.from
+   * @param {string} [message.to] - Recipient agent, or else
+   * @param {string} [message.topic] - Topic whose subscribers receive it
+   * @param {string} [message.type]
+   * @param {*} [message.payload] - Anything JSON can hold
+   * @param {number|null} [message.ttl] - ms until it expires
+   * @param {string} [message.replyTo] - Message this answers; its trace is continued
+   * @param {string} [message.traceId] - Trace to continue (default the replied-to
+   *   message's trace, or a new one)
+   * @param {string} [message.id] - Default a new id
+   * @returns {Promise<Object>} `{ id, traceId, recipients, expiresAt, duplicate }`
+   */
+  async send({
+    from,
+    to = null,
+    topic = null,
+    type = 'message',
+    payload = null,
+    ttl = this.defaultTtl,
+    replyTo = null,
+    traceId = null,
+    id = null,
+  }) {
+    if (!from) {
+      throw new ValidationError('A message needs a sender', 'from', from, 'string');
+    }
+    if (Boolean(to) === Boolean(topic)) {
+      throw new ValidationError('A message goes either to an agent or to a topic', to ? 'topic' : 'to', to || topic);
+    }
+    if (ttl !== null && !(ttl > 0)) {
+      throw new ValidationError('ttl must be a positive number of ms', 'ttl', ttl, 'number');
+    }
+
+    const store = this.getStore();
+    if (replyTo && !traceId) {
+      const parent = await store.getAgentMessage(replyTo);
+      traceId = parent?.trace_id || null;
+    }
+    const createdAt = this.now();
+    const { duplicate, recipients, message } = await store.sendAgentMessage({
+      id: id || `msg-${randomUUID()}`,
+      traceId: traceId || `trace-${randomUUID()}`,
+      replyTo,
+      sender: from,
+      recipient: to,
+      topic,
+      type,
+      payload,
+      createdAt,
+      expiresAt: ttl === null ? null : createdAt + ttl,
+    });
+    this.startSweep();
+
+    await Promise.all(recipients.filter(agentId => this.handlers.has(agentId)).map(agentId => this.drain(agentId)));
+    return {
+      id: message.id,
+      traceId: message.trace_id,
+      recipients,
+      expiresAt: message.expires_at,
+      duplicate,
+    };
+  }
+
+  /**
+   * Hands out an agent's waiting messages, oldest first. Each must be acked
+   * within the ack timeout or it is handed out again.
+   *
+   * @param {string} agentId
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @param {number} [options.ackTimeout] - Default the bus's
+   * @returns {Promise<Object[]>} Envelopes
+   */
+  async receive(agentId, { limit = 10, ackTimeout = this.ackTimeout } = {}) {
+    const rows = await this.getStore().claimAgentMessages(agentId, {
+      limit,
+      ackTimeout,
+      maxAttempts: this.maxAttempts,
+      now: this.now(),
+    });
+    return rows.map(toEnvelope);
+  }
+
+  // Acks messages the agent has handled; returns the ids that were still waiting
+  async ack(agentId, messageIds) {
+    return this.getStore().ackAgentMessages(agentId, messageIds, this.now());
+  }
+
+  /**
+   * Hides copies the agent was handed but has not acked for another
+   * `ackTimeout` ms, without counting a hand-out; returns the ids it extended
+   */
+  async extend(agentId, messageIds) {
+    return this.getStore().extendAgentMessages(agentId, messageIds, this.now() + this.ackTimeout);
+  }
+
+  /**
+   * An agent's copies without handing them out.
+   *
+   * @param {string} agentId
+   * @param {Object} [options]
+   * @param {string} [options.status] - One of INBOX_STATUSES, 'unacked' (pending
+   *   or delivered) or 'all'
+   * @param {number} [options.limit]
+   */
+  async inbox(agentId, { status = 'unacked', limit = 50 } = {}) {
+    if (status !== 'unacked' && status !== 'all' && !INBOX_STATUSES.includes(status)) {
+      throw new ValidationError(`Unknown inbox status: ${status}`, 'status', status);
+    }
+    const rows = await this.getStore().getAgentInbox(agentId, { status, limit });
+    return rows.map(toEnvelope);
+  }
+
+  async subscribe(agentId, topic) {
+    return this.getStore().subscribeAgentTopic(agentId, topic, this.now());
+  }
+
+  async unsubscribe(agentId, topic) {
+    return this.getStore().unsubscribeAgentTopic(agentId, topic);
+  }
+
+  async subscriptions(agentId) {
+    return this.getStore().getAgentTopicSubscriptions(agentId);
+  }
+
+  /**
+   * The messages of a trace in send order, each with `deliveries`: where
+   * every copy stands. Accepts a message id in place of its trace id.
+   */
+  async trace(id) {
+    const store = this.getStore();
+    let messages = await store.getMessageTrace(id);
+    if (messages.length === 0) {
+      const message = await store.getAgentMessage(id);
+      messages = message ? await store.getMessageTrace(message.trace_id) : [];
+    }
+
+    const now = this.now();
+    return messages.map(row => {
+      const expired = row.expires_at !== null && row.expires_at <= now;
+      return {
+        ...toEnvelope(row),
+        deliveries: row.deliveries.map(delivery => ({
+          agentId: delivery.agent_id,
+          // Copies nobody claimed since they expired are still stored as waiting
+          status: expired && (delivery.status === 'pending' || delivery.status === 'delivered') ? 'expired' : delivery.status,
+          attempts: delivery.attempts,
+          deliveredAt: delivery.delivered_at,
+          ackedAt: delivery.acked_at,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Deletes the messages no copy is waiting for any more once they are
+   * older than the retention period, expiring copies past their TTL first.
+   *
+   * @returns {Promise<number>} Messages deleted
+   */
+  async purge() {
+    const now = this.now();
+    return this.getStore().purgeAgentMessages({
+      before: now - this.retention,
+      topicsBefore: this.topicRetention === null ? null : now - this.topicRetention,
+      now,
+    });
+  }
+
+  // Emits 'purge_error' with `{ error }` when a sweep fails
+  startSweep() {
+    if (this.sweepTimer || !(this.purgeInterval > 0)) {
+      return;
+    }
+    this.sweepTimer = setInterval(() => {
+      this.purge().catch(error => this.emit('purge_error', { error }));
+    }, this.purgeInterval);
+    this.sweepTimer.unref?.();
+  }
+
+  // Sent messages, newest first; see findAgentMessages() for the filter
+  async history(filter = {}) {
+    const rows = await this.getStore().findAgentMessages(filter);
+    return rows.map(toEnvelope);
+  }
+
+  /**
+   * Delivers an agent's messages to `handler(envelope)` as they arrive,
+   * starting with those already waiting. A message is acked once the
+   * handler resolves; if it throws, the message is handed to it again after
+   * the ack timeout. Emits 'handler_error' with `{ agentId, messageId, error }`.
+   *
+   * @param {string} agentId
+   * @param {Function} handler
+   * @param {Object} [options]
+   * @param {boolean} [options.ack] - false leaves acking to the caller, who
+   *   calls extend() to keep a message it still holds from being handed out again
+   * @returns {Function} Stops listening
+   */
+  listen(agentId, handler, { ack = true } = {}) {
+    const listener = { handler, ack };
+    this.handlers.set(agentId, listener);
+    this.drain(agentId);
+    // Copies handed out before, e.g. by a process that has since restarted, come up once their ack timeout passes
+    this.scheduleRedelivery(agentId);
+    return () => {
+      if (this.handlers.get(agentId) === listener) {
+        this.handlers.delete(agentId);
+        clearTimeout(this.redeliveryTimers.get(agentId));
+        this.redeliveryTimers.delete(agentId);
+      }
+    };
+  }
+
+  // Hands everything visible in a listening agent's inbox to its handler
+  async drain(agentId) {
+    let delivered = 0;
+    let batch = await this.nextBatch(agentId);
+    while (batch.length > 0) {
+      for (const envelope of batch) {
+        const listener = this.handlers.get(agentId);
+        if (!listener) {
+          // Unclaimed again once the ack timeout passes
+          return delivered;
+        }
+        try {
+          await listener.handler(envelope);
+          if (listener.ack) {
+            await this.ack(agentId, [envelope.id]);
+          }
+          delivered++;
+        } catch (error) {
+          this.emit('handler_error', { agentId, messageId: envelope.id, error });
+          this.scheduleRedelivery(agentId);
+        }
+      }
+      batch = await this.nextBatch(agentId);
+    }
+    return delivered;
+  }
+
+  async nextBatch(agentId) {
+    if (!this.handlers.has(agentId)) {
+      return [];
+    }
+    try {
+      return await this.receive(agentId);
+    } catch (error) {
+      this.emit('handler_error', { agentId, messageId: null, error });
+      this.scheduleRedelivery(agentId);
+      return [];
+    }
+  }
+
+  scheduleRedelivery(agentId) {
+    if (this.redeliveryTimers.has(agentId)) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.redeliveryTimers.delete(agentId);
+      this.drain(agentId);
+    }, this.ackTimeout);
+    timer.unref?.();
+    this.redeliveryTimers.set(agentId, timer);
+  }
+
+  // Stops all listeners and the sweep; the store stays open
+  close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    for (const timer of this.redeliveryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.redeliveryTimers.clear();
+    this.handlers.clear();
+  }
+}
+
+export { INBOX_STATUSES, MessageBus, toEnvelope };
@@ -0,0 +1,262 @@
+/**
+ * Agent Message Queue Storage
+ *
+ * The SQL side of the message bus, written against a raw better-sqlite3
+ * handle so that SwarmPersistence and SwarmPersistencePooled share it.
+ * Callers run each function inside a transaction: claiming a batch must
+ * mark it delivered before anyone else can claim the same rows.
+ *
+ * A topic subscription matches its topic exactly, or every topic starting
+ * with what precedes a trailing `*` (`notifications.*`, or `*` for all).
+ */
+
+const INBOX_STATUSES = ['pending', 'delivered', 'acked', 'expired', 'dead'];
+
+// SQL testing whether `topic` matches the subscription pattern `pattern`
+function topicMatches(pattern, topic) {
+  return `(${pattern} = ${topic} OR (${pattern} LIKE '%*' AND ` +
+    `substr(${topic}, 1, length(${pattern}) - 1) = substr(${pattern}, 1, length(${pattern}) - 1)))`;
+}
+
+function parseAgentMessage(row) {
+  return {
+    ...row,
+    payload: JSON.parse(row.payload ?? 'null'),
+  };
+}
+
+/**
+ * Stores a message and queues a copy for each recipient: the addressee of a
+ * direct message, or the topic's subscribers other than the sender. Sending
+ * an id that is already stored queues nothing, so senders may retry.
+ *
+ * @returns {{ duplicate: boolean, recipients: string[], message: Object }}
+ */
+function enqueueAgentMessage(db, message) {
+  const existing = db.prepare('SELECT * FROM agent_messages WHERE id = ?').get(message.id);
+  if (existing) {
+    const recipients = db.prepare('SELECT agent_id FROM agent_inbox WHERE message_id = ? ORDER BY rowid')
+      .pluck().all(message.id);
+    return { duplicate: true, recipients, message: parseAgentMessage(existing) };
+  }
+
+  db.prepare(`
+    INSERT INTO agent_messages (id, trace_id, reply_to, sender, recipient, topic, type, payload, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    message.id,
+    message.traceId,
+    message.replyTo || null,
+    message.sender,
+    message.recipient || null,
+    message.topic || null,
+    message.type,
+    JSON.stringify(message.payload ?? null),
+    message.createdAt,
+    message.expiresAt ?? null,
+  );
+
+  const recipients = message.recipient ? [message.recipient] : db.prepare(`
+    SELECT DISTINCT agent_id FROM agent_topic_subscriptions
+    WHERE ${topicMatches('topic', '@topic')} AND agent_id != @sender
+    ORDER BY agent_id
+  `).pluck().all({ topic: message.topic, sender: message.sender });
+
+  const queue = db.prepare('INSERT INTO agent_inbox (message_id, agent_id, visible_at) VALUES (?, ?, ?)');
+  for (const agentId of recipients) {
+    queue.run(message.id, agentId, message.createdAt);
+  }
+
+  return {
+    duplicate: false,
+    recipients,
+    message: parseAgentMessage(db.prepare('SELECT * FROM agent_messages WHERE id = ?').get(message.id)),
+  };
+}
+
+/**
+ * Hands out up to `limit` of an agent's visible messages, oldest first, and
+ * hides them for `ackTimeout` ms. Copies past their TTL become expired, and
+ * copies handed out `maxAttempts` times without an ack become dead, first.
+ *
+ * @returns {Object[]} Messages with the copy's `status` and `attempts`
+ */
+function claimAgentMessages(db, agentId, { limit, ackTimeout, maxAttempts, now }) {
+  db.prepare(`
+    UPDATE agent_inbox SET status = 'expired'
+    WHERE agent_id = ? AND status IN ('pending', 'delivered')
+      AND message_id IN (SELECT id FROM agent_messages WHERE expires_at IS NOT NULL AND expires_at <= ?)
+  `).run(agentId, now);
+  db.prepare(`
+    UPDATE agent_inbox SET status = 'dead'
+    WHERE agent_id = ? AND status = 'delivered' AND visible_at <= ? AND attempts >= ?
+  `).run(agentId, now, maxAttempts);
+
+  const rows = db.prepare(`
+    SELECT m.*, i.attempts + 1 AS attempts, 'delivered' AS status
+    FROM agent_inbox i JOIN agent_messages m ON m.id = i.message_id
+    WHERE i.agent_id = ? AND i.status IN ('pending', 'delivered') AND i.visible_at <= ?
+    ORDER BY m.created_at, m.rowid
+    LIMIT ?
+  `).all(agentId, now, limit);
+
+  const claim = db.prepare(`
+    UPDATE agent_inbox SET status = 'delivered', attempts = attempts + 1, visible_at = ?, delivered_at = ?
+    WHERE message_id = ? AND agent_id = ?
+  `);
+  for (const row of rows) {
+    claim.run(now + ackTimeout, now, row.id, agentId);
+  }
+  return rows.map(parseAgentMessage);
+}
+
+// Acks an agent's copies that are still waiting; returns the ids it acked
+function ackAgentMessages(db, agentId, messageIds, now) {
+  const ack = db.prepare(`
+    UPDATE agent_inbox SET status = 'acked', acked_at = ?
+    WHERE message_id = ? AND agent_id = ? AND status IN ('pending', 'delivered')
+  `);
+  return messageIds.filter(id => ack.run(now, id, agentId).changes > 0);
+}
+
+// Hides an agent's handed-out copies until `visibleAt`; returns the ids it extended
+function extendAgentMessages(db, agentId, messageIds, visibleAt) {
+  const extend = db.prepare(`
+    UPDATE agent_inbox SET visible_at = ?
+    WHERE message_id = ? AND agent_id = ? AND status = 'delivered'
+  `);
+  return messageIds.filter(id => extend.run(visibleAt, id, agentId).changes > 0);
+}
+
+// An agent's copies without claiming them; status 'unacked' means pending or delivered
+function listAgentInbox(db, agentId, { status = 'unacked', limit = 50 } = {}) {
+  let query = `
+    SELECT m.*, i.status, i.attempts, i.delivered_at, i.acked_at
+    FROM agent_inbox i JOIN agent_messages m ON m.id = i.message_id
+    WHERE i.agent_id = ?
+  `;
+  const params = [agentId];
+
+  if (status === 'unacked') {
+    query += " AND i.status IN ('pending', 'delivered')";
+  } else if (status !== 'all') {
+    query += ' AND i.status = ?';
+    params.push(status);
+  }
+  query += ' ORDER BY m.created_at, m.rowid LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(query).all(...params).map(parseAgentMessage);
+}
+
+function getAgentMessage(db, id) {
+  const row = db.prepare('SELECT * FROM agent_messages WHERE id = ?').get(id);
+  return row ? parseAgentMessage(row) : null;
+}
+
+// Every message of a trace in send order, each with the state of its copies
+function getMessageTrace(db, traceId) {
+  const deliveries = db.prepare(`
+    SELECT agent_id, status, attempts, delivered_at, acked_at FROM agent_inbox
+    WHERE message_id = ? ORDER BY rowid
+  `);
+  return db.prepare('SELECT * FROM agent_messages WHERE trace_id = ? ORDER BY created_at, rowid')
+    .all(traceId)
+    .map(row => ({ ...parseAgentMessage(row), deliveries: deliveries.all(row.id) }));
+}
+
+/**
+ * Sent messages, newest first, whatever became of their copies.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.sender]
+ * @param {string} [filter.topic] - A subscription pattern
+ * @param {string} [filter.type]
+ * @param {number} [filter.since] - Only messages created after this time
+ * @param {number|null} [filter.limit] - Defaults to 100; null for no limit
+ */
+function findAgentMessages(db, { sender, topic, type, since, limit = 100 } = {}) {
+  const conditions = [];
+  // A negative LIMIT is no limit to SQLite
+  const params = { limit: limit ?? -1 };
+
+  if (sender) {
+    conditions.push('sender = @sender');
+    params.sender = sender;
+  }
+  if (topic) {
+    conditions.push(`topic IS NOT NULL AND ${topicMatches('@topic', 'topic')}`);
+    params.topic = topic;
+  }
+  if (type) {
+    conditions.push('type = @type');
+    params.type = type;
+  }
+  if (since) {
+    conditions.push('created_at > @since');
+    params.since = since;
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM agent_messages ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit`)
+    .all(params)
+    .map(parseAgentMessage);
+}
+
+/**
+ * Deletes the messages nobody is waiting for any more: every copy is acked,
+ * expired or dead, or there never was a copy. Copies of messages past their
+ * TTL count as expired even if nobody claimed them. Direct messages go once
+ * created before `before`; topic messages, which are the history readers of
+ * a topic such as notifications go back to, only once created before
+ * `topicsBefore`, and never when it is null.
+ *
+ * @returns {number} Messages deleted
+ */
+function purgeAgentMessages(db, { before, topicsBefore = null, now }) {
+  db.prepare(`
+    UPDATE agent_inbox SET status = 'expired'
+    WHERE status IN ('pending', 'delivered')
+      AND message_id IN (SELECT id FROM agent_messages WHERE expires_at IS NOT NULL AND expires_at <= ?)
+  `).run(now);
+
+  const settled = `
+    SELECT id FROM agent_messages
+    WHERE (CASE WHEN topic IS NULL THEN created_at < @before ELSE created_at < @topicsBefore END)
+      AND id NOT IN (SELECT message_id FROM agent_inbox WHERE status IN ('pending', 'delivered'))
+  `;
+  const params = { before, topicsBefore };
+  db.prepare(`DELETE FROM agent_inbox WHERE message_id IN (${settled})`).run(params);
+  return db.prepare(`DELETE FROM agent_messages WHERE id IN (${settled})`).run(params).changes;
+}
+
+function subscribeAgentTopic(db, agentId, topic, now) {
+  return db.prepare('INSERT OR IGNORE INTO agent_topic_subscriptions (agent_id, topic, created_at) VALUES (?, ?, ?)')
+    .run(agentId, topic, now).changes > 0;
+}
+
+function unsubscribeAgentTopic(db, agentId, topic) {
+  return db.prepare('DELETE FROM agent_topic_subscriptions WHERE agent_id = ? AND topic = ?')
+    .run(agentId, topic).changes > 0;
+}
+
+function getAgentTopicSubscriptions(db, agentId) {
+  return db.prepare('SELECT topic FROM agent_topic_subscriptions WHERE agent_id = ? ORDER BY topic')
+    .pluck().all(agentId);
+}
+
+export {
+  INBOX_STATUSES,
+  enqueueAgentMessage,
+  claimAgentMessages,
+  ackAgentMessages,
+  extendAgentMessages,
+  listAgentInbox,
+  getAgentMessage,
+  getMessageTrace,
+  findAgentMessages,
+  purgeAgentMessages,
+  subscribeAgentTopic,
+  unsubscribeAgentTopic,
+  getAgentTopicSubscriptions,
+};
@@ -3,6 +3,8 @@
  * Enables learning how to learn and domain adaptation
  */
 
+import { hasCallback } from './neural-models/callbacks.js';
+
 class MetaLearningFramework {
   constructor() {
     this.agentExperiences = new Map();
@@ -722,6 +724,18 @@ class MetaLearningFramework {
       earlyStoppingPatience: this.optimizeEarlyStopping(patterns),
     };
 
+    // Turn the schedule recommendation into a scheduler train() runs, unless the caller chose one
+    if (!options.scheduler) {
+      const { schedulerType, warmupEpochs } = optimizedOptions.metaOptimizations;
+      optimizedOptions.scheduler = { type: schedulerType, warmupEpochs };
+    }
+
+    // Likewise stop on the recommended patience unless the caller brought its own early stopping
+    if (!hasCallback(options.callbacks || [], 'early_stopping')) {
+      const { earlyStoppingPatience } = optimizedOptions.metaOptimizations;
+      optimizedOptions.callbacks = [...[options.callbacks || []].flat(), { type: 'early_stopping', patience: earlyStoppingPatience }];
+    }
+
     console.log(`Optimized training parameters for agent ${agentId} based on meta-learning`);
 
     return optimizedOptions;
@@ -814,7 +828,8 @@ class MetaLearningFramework {
   }
 
   /**
-   * Select learning rate scheduler type
+   * Select learning rate scheduler type; the names are scheduler types
+   * createScheduler() in neural-models/schedulers.js understands
    * @param {Object} patterns - Learning patterns
    */
   selectSchedulerType(patterns) {
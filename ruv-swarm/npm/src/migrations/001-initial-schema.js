@@ -0,0 +1,131 @@
+/**
+ * Migration 001 - Initial schema
+ *
+ * Baseline tables that SwarmPersistence and SwarmPersistencePooled used to
+ * create inline. Every statement is IF NOT EXISTS so databases created before
+ * versioned migrations existed are adopted without touching their data.
+ */
+
+const version = 1;
+const name = 'initial-schema';
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS swarms (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      topology TEXT NOT NULL,
+      max_agents INTEGER NOT NULL,
+      strategy TEXT,
+      status TEXT DEFAULT 'active',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      metadata TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS agents (
+      id TEXT PRIMARY KEY,
+      swarm_id TEXT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      status TEXT DEFAULT 'idle',
+      capabilities TEXT,
+      neural_config TEXT,
+      metrics TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (swarm_id) REFERENCES swarms(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS tasks (
+      id TEXT PRIMARY KEY,
+      swarm_id TEXT,
+      description TEXT,
+      priority TEXT DEFAULT 'medium',
+      status TEXT DEFAULT 'pending',
+      assigned_agents TEXT,
+      result TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      execution_time_ms INTEGER,
+      FOREIGN KEY (swarm_id) REFERENCES swarms(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS task_results (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      output TEXT,
+      metrics TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_memory (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT,
+      ttl_secs INTEGER,
+      expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents(id),
+      UNIQUE(agent_id, key)
+    );
+
+    CREATE TABLE IF NOT EXISTS metrics (
+      id TEXT PRIMARY KEY,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      metric_name TEXT NOT NULL,
+      metric_value REAL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS neural_networks (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      architecture TEXT NOT NULL,
+      weights TEXT,
+      training_data TEXT,
+      performance_metrics TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      swarm_id TEXT,
+      event_type TEXT NOT NULL,
+      event_data TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_agents_swarm ON agents(swarm_id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_swarm ON tasks(swarm_id);
+    CREATE INDEX IF NOT EXISTS idx_task_results_task ON task_results(task_id);
+    CREATE INDEX IF NOT EXISTS idx_task_results_agent ON task_results(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_agent_memory_agent ON agent_memory(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_metrics_entity ON metrics(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_events_swarm ON events(swarm_id);
+    CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
+  `);
+}
+
+function down(db) {
+  // Children before parents so foreign keys never dangle mid-rollback
+  db.exec(`
+    DROP TABLE IF EXISTS events;
+    DROP TABLE IF EXISTS neural_networks;
+    DROP TABLE IF EXISTS metrics;
+    DROP TABLE IF EXISTS agent_memory;
+    DROP TABLE IF EXISTS task_results;
+    DROP TABLE IF EXISTS tasks;
+    DROP TABLE IF EXISTS agents;
+    DROP TABLE IF EXISTS swarms;
+  `);
+}
+
+export { version, name, up, down };
@@ -0,0 +1,34 @@
+/**
+ * Migration 002 - Task DAG
+ *
+ * Lets a task row describe its place in a dependency graph: the parent task
+ * it is a subtask of, the task ids it waits on, and the duration estimate the
+ * orchestrator uses for critical-path reporting.
+ */
+
+const version = 2;
+const name = 'task-dag';
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE tasks ADD COLUMN parent_id TEXT;
+    ALTER TABLE tasks ADD COLUMN depends_on TEXT;
+    ALTER TABLE tasks ADD COLUMN estimated_duration_ms INTEGER;
+    ALTER TABLE tasks ADD COLUMN started_at DATETIME;
+
+    CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_id);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_tasks_parent;
+
+    ALTER TABLE tasks DROP COLUMN started_at;
+    ALTER TABLE tasks DROP COLUMN estimated_duration_ms;
+    ALTER TABLE tasks DROP COLUMN depends_on;
+    ALTER TABLE tasks DROP COLUMN parent_id;
+  `);
+}
+
+export { version, name, up, down };
@@ -0,0 +1,52 @@
+/**
+ * Migration 003 - Task retries and dead-letter queue
+ *
+ * Stores each task's retry policy, hard timeout and attempt count so a
+ * restored swarm keeps retrying by the same rules, and adds `task_dlq` for
+ * tasks that failed every attempt. Dead letters keep the orchestration
+ * config they were created with so they can be replayed later.
+ */
+
+const version = 3;
+const name = 'task-retry';
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE tasks ADD COLUMN retry_policy TEXT;
+    ALTER TABLE tasks ADD COLUMN timeout_ms INTEGER;
+    ALTER TABLE tasks ADD COLUMN attempts INTEGER DEFAULT 0;
+
+    CREATE TABLE IF NOT EXISTS task_dlq (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      swarm_id TEXT NOT NULL,
+      description TEXT,
+      task_config TEXT,
+      attempts INTEGER NOT NULL,
+      error TEXT,
+      error_type TEXT,
+      attempt_errors TEXT,
+      status TEXT DEFAULT 'pending',
+      replayed_task_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_dlq_swarm ON task_dlq(swarm_id, status);
+    CREATE INDEX IF NOT EXISTS idx_task_dlq_task ON task_dlq(task_id);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_task_dlq_task;
+    DROP INDEX IF EXISTS idx_task_dlq_swarm;
+    DROP TABLE IF EXISTS task_dlq;
+
+    ALTER TABLE tasks DROP COLUMN attempts;
+    ALTER TABLE tasks DROP COLUMN timeout_ms;
+    ALTER TABLE tasks DROP COLUMN retry_policy;
+  `);
+}
+
+export { version, name, up, down };
@@ -0,0 +1,30 @@
+/**
+ * Migration 004 - Task control
+ *
+ * Records why and when a task was cancelled or paused, and gives other
+ * processes (the `ruv-swarm task` CLI) a column to leave cancel, pause and
+ * resume requests in for the process that runs the swarm to pick up.
+ */
+
+const version = 4;
+const name = 'task-control';
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE tasks ADD COLUMN cancel_reason TEXT;
+    ALTER TABLE tasks ADD COLUMN cancelled_at DATETIME;
+    ALTER TABLE tasks ADD COLUMN paused_at DATETIME;
+    ALTER TABLE tasks ADD COLUMN control_request TEXT;
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    ALTER TABLE tasks DROP COLUMN control_request;
+    ALTER TABLE tasks DROP COLUMN paused_at;
+    ALTER TABLE tasks DROP COLUMN cancelled_at;
+    ALTER TABLE tasks DROP COLUMN cancel_reason;
+  `);
+}
+
+export { version, name, up, down };
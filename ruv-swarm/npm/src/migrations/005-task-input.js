@@ -0,0 +1,24 @@
+/**
+ * Migration 005 - Task input
+ *
+ * Stores the `input` a task was orchestrated with. Agent executors hand it
+ * to the command, endpoint or function that runs the task, so a task that is
+ * resumed or replayed after a restart needs it back.
+ */
+
+const version = 5;
+const name = 'task-input';
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE tasks ADD COLUMN input TEXT;
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    ALTER TABLE tasks DROP COLUMN input;
+  `);
+}
+
+export { version, name, up, down };
@@ -0,0 +1,47 @@
+/**
+ * Migration 006 - Tuning trials
+ *
+ * Adds `tuning_trials`, one row per configuration a `neural tune` study
+ * tried: the preset and sampled hyperparameters, how many epochs it was
+ * trained for and the validation loss it reached. Successive halving and
+ * Hyperband stop weak trials early, which leaves them `pruned` at the rung
+ * they reached.
+ */
+
+const version = 6;
+const name = 'tuning-trials';
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tuning_trials (
+      id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      model_type TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      preset TEXT,
+      params TEXT NOT NULL,
+      bracket INTEGER,
+      rung INTEGER,
+      epochs INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'running',
+      val_loss REAL,
+      train_loss REAL,
+      metrics TEXT,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tuning_trials_study ON tuning_trials(study_id, status, val_loss);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_tuning_trials_study;
+    DROP TABLE IF EXISTS tuning_trials;
+  `);
+}
+
+export { version, name, up, down };
@@ -0,0 +1,88 @@
+/**
+ * Migration 007 - Agent messages
+ *
+ * Tables behind the inter-agent message bus. `agent_messages` holds each
+ * message once, with the trace it belongs to and when it expires;
+ * `agent_inbox` holds one delivery per recipient, which stays pending or
+ * delivered until the recipient acks it, so unacknowledged messages survive
+ * a restart and are handed out again. `agent_topic_subscriptions` decides
+ * who receives a topic message. Times are epoch milliseconds, since
+ * redelivery and TTLs work at that resolution.
+ *
+ * Notifications used to be kept in `agent_memory` under `notifications/...`
+ * keys; they are copied in as sent messages, with no inbox copies, so the
+ * bus's history returns them. The originals stay where they were, which
+ * leaves nothing for down() to move back.
+ */
+
+const version = 7;
+const name = 'agent-messages';
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS agent_messages (
+      id TEXT PRIMARY KEY,
+      trace_id TEXT NOT NULL,
+      reply_to TEXT,
+      sender TEXT NOT NULL,
+      recipient TEXT,
+      topic TEXT,
+      type TEXT NOT NULL,
+      payload TEXT,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_inbox (
+      message_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      visible_at INTEGER NOT NULL,
+      delivered_at INTEGER,
+      acked_at INTEGER,
+      PRIMARY KEY (message_id, agent_id),
+      FOREIGN KEY (message_id) REFERENCES agent_messages(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_topic_subscriptions (
+      agent_id TEXT NOT NULL,
+      topic TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (agent_id, topic)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_agent_messages_trace ON agent_messages(trace_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_agent_messages_sender ON agent_messages(sender, created_at);
+    CREATE INDEX IF NOT EXISTS idx_agent_inbox_agent ON agent_inbox(agent_id, status, visible_at);
+    CREATE INDEX IF NOT EXISTS idx_agent_topic_subscriptions_topic ON agent_topic_subscriptions(topic);
+  `);
+
+  // Sent at the notification's own timestamp when it has one
+  db.exec(`
+    INSERT OR IGNORE INTO agent_messages (id, trace_id, sender, topic, type, payload, created_at)
+    SELECT id, id, agent_id,
+      'notifications.' || COALESCE(json_extract(value, '$.type'), 'unknown'),
+      'notification', value,
+      CASE WHEN json_type(value, '$.timestamp') IN ('integer', 'real')
+        THEN CAST(json_extract(value, '$.timestamp') AS INTEGER)
+        ELSE CAST(strftime('%s', created_at) AS INTEGER) * 1000
+      END
+    FROM agent_memory
+    WHERE key LIKE 'notifications/%' AND json_valid(value)
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_agent_topic_subscriptions_topic;
+    DROP INDEX IF EXISTS idx_agent_inbox_agent;
+    DROP INDEX IF EXISTS idx_agent_messages_sender;
+    DROP INDEX IF EXISTS idx_agent_messages_trace;
+    DROP TABLE IF EXISTS agent_topic_subscriptions;
+    DROP TABLE IF EXISTS agent_inbox;
+    DROP TABLE IF EXISTS agent_messages;
+  `);
+}
+
+export { version, name, up, down };
@@ -0,0 +1,45 @@
+/**
+ * Migration 008 - Task allocations
+ *
+ * Records which agent won a task under the auction or contract-net
+ * strategies, with the winning bid, its breakdown, the bids and refusals it
+ * beat and a one-line justification, so an agent's workload can be traced
+ * back to the decisions that gave it. `tasks.allocation_strategy` keeps the
+ * strategy with the task so a restored graph node is allocated the same way.
+ */
+
+const version = 8;
+const name = 'task-allocations';
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE tasks ADD COLUMN allocation_strategy TEXT;
+
+    CREATE TABLE IF NOT EXISTS task_allocations (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      swarm_id TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      bid REAL NOT NULL,
+      components TEXT,
+      bids TEXT,
+      justification TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_allocations_task ON task_allocations(task_id);
+    CREATE INDEX IF NOT EXISTS idx_task_allocations_agent ON task_allocations(agent_id, created_at);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_task_allocations_agent;
+    DROP INDEX IF EXISTS idx_task_allocations_task;
+    DROP TABLE IF EXISTS task_allocations;
+    ALTER TABLE tasks DROP COLUMN allocation_strategy;
+  `);
+}
+
+export { version, name, up, down };
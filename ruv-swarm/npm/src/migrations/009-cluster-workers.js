@@ -0,0 +1,41 @@
+/**
+ * Migration 009 - Cluster workers
+ *
+ * One row per worker process a cluster coordinator has forked, kept after
+ * the worker exits so `ruv-swarm cluster status` can show which workers
+ * crashed, with what, and which agents they were hosting at the time.
+ * `last_heartbeat` is in epoch ms.
+ */
+
+const version = 9;
+const name = 'cluster-workers';
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cluster_workers (
+      id TEXT NOT NULL,
+      cluster_id TEXT NOT NULL,
+      pid INTEGER,
+      status TEXT NOT NULL DEFAULT 'starting',
+      agents TEXT DEFAULT '[]',
+      tasks_run INTEGER DEFAULT 0,
+      last_heartbeat INTEGER,
+      exit_code INTEGER,
+      exit_signal TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      stopped_at DATETIME,
+      PRIMARY KEY (cluster_id, id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_cluster_workers_started ON cluster_workers(started_at);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_cluster_workers_started;
+    DROP TABLE IF EXISTS cluster_workers;
+  `);
+}
+
+export { version, name, up, down };
@@ -0,0 +1,147 @@
+/**
+ * Database CLI for ruv-swarm
+ * Usage: npx ruv-swarm db <migrate|status|rollback> [options]
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { MigrationRunner } from './index.js';
+import { ValidationError } from '../errors.js';
+
+const DEFAULT_DB_PATH = path.join(new URL('.', import.meta.url).pathname, '..', '..', 'data', 'ruv-swarm.db');
+
+class DatabaseCLI {
+  openRunner(args) {
+    const dbPath = this.getArg(args, '--db') || DEFAULT_DB_PATH;
+
+    const dataDir = path.dirname(dbPath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const db = new Database(dbPath);
+    db.exec('PRAGMA foreign_keys = ON');
+    return { db, dbPath, runner: new MigrationRunner(db) };
+  }
+
+  async migrate(args) {
+    const targetVersion = this.getTargetVersion(args, 'migrate');
+    const { db, dbPath, runner } = this.openRunner(args);
+
+    try {
+      const fromVersion = runner.getCurrentVersion();
+      const applied = runner.migrate(targetVersion ?? undefined);
+
+      console.log(`🗄️  Database: ${dbPath}`);
+      if (applied.length === 0) {
+        console.log(`✅ Schema already up to date (version ${fromVersion})`);
+        return;
+      }
+
+      for (const migration of applied) {
+        console.log(`   ⬆️  ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+      }
+      console.log(`✅ Migrated schema from version ${fromVersion} to ${runner.getCurrentVersion()}`);
+    } finally {
+      db.close();
+    }
+  }
+
+  async status(args) {
+    const { db, dbPath, runner } = this.openRunner(args);
+
+    try {
+      const status = runner.status();
+
+      if (args.includes('--json')) {
+        console.log(JSON.stringify({ database: dbPath, ...status }, null, 2));
+        return;
+      }
+
+      console.log(`🗄️  Database: ${dbPath}`);
+      console.log(`   Current version: ${status.currentVersion}`);
+      console.log(`   Latest version:  ${status.latestVersion}`);
+
+      console.log('\n📜 Migrations:');
+      for (const migration of status.applied) {
+        console.log(`   ✅ ${String(migration.version).padStart(3, '0')} ${migration.name} (applied ${migration.applied_at})`);
+      }
+      for (const migration of status.pending) {
+        console.log(`   ⏳ ${String(migration.version).padStart(3, '0')} ${migration.name} (pending)`);
+      }
+
+      if (status.unknown.length > 0) {
+        console.log('\n⚠️  Database contains migrations unknown to this version of ruv-swarm:');
+        for (const migration of status.unknown) {
+          console.log(`   ❓ ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+        }
+      }
+
+      if (status.pending.length > 0) {
+        console.log('\n💡 Run: ruv-swarm db migrate');
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  async rollback(args) {
+    const targetVersion = this.getTargetVersion(args, 'rollback');
+    const { db, dbPath, runner } = this.openRunner(args);
+
+    try {
+      const applied = runner.getAppliedMigrations();
+
+      // Reverting the initial schema drops every table, so make it explicit
+      const dropsBaseline = applied.length > 0 &&
+        (targetVersion === 0 || (targetVersion === null && applied.length === 1));
+      if (dropsBaseline && !args.includes('--force')) {
+        console.log('❌ Rolling back the initial schema drops all swarm data');
+        console.log('   Re-run with --force if that is really what you want');
+        process.exit(1);
+      }
+
+      const reverted = runner.rollback(targetVersion);
+
+      console.log(`🗄️  Database: ${dbPath}`);
+      if (reverted.length === 0) {
+        console.log('✅ Nothing to roll back');
+        return;
+      }
+
+      for (const migration of reverted) {
+        console.log(`   ⬇️  ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+      }
+      console.log(`✅ Rolled back schema to version ${runner.getCurrentVersion()}`);
+    } finally {
+      db.close();
+    }
+  }
+
+  // --to as a version number, or null without one
+  getTargetVersion(args, command) {
+    if (!args.includes('--to')) {
+      return null;
+    }
+    const to = this.getArg(args, '--to');
+    if (to === null || !/^\d+$/.test(to)) {
+      throw new ValidationError(
+        `--to must be a schema version (a non-negative integer), got ${to === null ? 'nothing' : `'${to}'`}. Usage: ruv-swarm db ${command} [--to <version>]`,
+        'to',
+        to,
+        'number',
+      );
+    }
+    return Number(to);
+  }
+
+  getArg(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  }
+}
+
+const dbCLI = new DatabaseCLI();
+
+export { dbCLI, DatabaseCLI, DEFAULT_DB_PATH };
@@ -0,0 +1,209 @@
+/**
+ * Versioned Schema Migrations for ruv-swarm
+ *
+ * Single source of truth for the SQLite schema shared by SwarmPersistence and
+ * SwarmPersistencePooled. Each migration is a numbered module exporting
+ * `version`, `name`, `up(db)` and `down(db)`, where `db` is a better-sqlite3
+ * Database handle. Applied versions are recorded in the `schema_version` table.
+ *
+ * To change the schema, add the next numbered file to this directory and
+ * append it to MIGRATIONS - never edit a migration that has already shipped.
+ */
+
+import { PersistenceError } from '../errors.js';
+import * as initialSchema from './001-initial-schema.js';
+import * as taskDag from './002-task-dag.js';
+import * as taskRetry from './003-task-retry.js';
+import * as taskControl from './004-task-control.js';
+import * as taskInput from './005-task-input.js';
+import * as tuningTrials from './006-tuning-trials.js';
+import * as agentMessages from './007-agent-messages.js';
+import * as taskAllocations from './008-task-allocations.js';
+import * as clusterWorkers from './009-cluster-workers.js';
+
+const MIGRATIONS = [
+  initialSchema,
+  taskDag,
+  taskRetry,
+  taskControl,
+  taskInput,
+  tuningTrials,
+  agentMessages,
+  taskAllocations,
+  clusterWorkers,
+];
+
+class MigrationRunner {
+  constructor(db, migrations = MIGRATIONS) {
+    this.db = db;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    this.validateMigrations();
+    this.ensureVersionTable();
+  }
+
+  validateMigrations() {
+    const seen = new Set();
+
+    for (const migration of this.migrations) {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new PersistenceError(
+          `Invalid migration version '${migration.version}' (${migration.name || 'unnamed'})`,
+          'validate_migrations',
+          'schema_version',
+        );
+      }
+      if (seen.has(migration.version)) {
+        throw new PersistenceError(
+          `Duplicate migration version ${migration.version}`,
+          'validate_migrations',
+          'schema_version',
+        );
+      }
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new PersistenceError(
+          `Migration ${migration.version} must export both up() and down()`,
+          'validate_migrations',
+          'schema_version',
+        );
+      }
+      seen.add(migration.version);
+    }
+  }
+
+  ensureVersionTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  getCurrentVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_version').get();
+    return row.version || 0;
+  }
+
+  getLatestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  getAppliedMigrations() {
+    return this.db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+  }
+
+  getPendingMigrations() {
+    const applied = new Set(this.getAppliedMigrations().map(m => m.version));
+    return this.migrations.filter(m => !applied.has(m.version));
+  }
+
+  /**
+   * Apply pending migrations up to and including targetVersion.
+   * Each migration runs in its own transaction together with its
+   * schema_version row, so a failure leaves the previous version intact.
+   */
+  migrate(targetVersion = this.getLatestVersion()) {
+    if (targetVersion > this.getLatestVersion()) {
+      throw new PersistenceError(
+        `Cannot migrate to version ${targetVersion}: latest known version is ${this.getLatestVersion()}`,
+        'migrate',
+        'schema_version',
+      );
+    }
+
+    const applied = [];
+    const record = this.db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+    for (const migration of this.getPendingMigrations()) {
+      if (migration.version > targetVersion) {
+        break;
+      }
+
+      try {
+        this.db.transaction(() => {
+          migration.up(this.db);
+          record.run(migration.version, migration.name);
+        })();
+      } catch (error) {
+        throw new PersistenceError(
+          `Migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+          'migrate',
+          'schema_version',
+        );
+      }
+
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Revert applied migrations newer than targetVersion, newest first.
+   * Defaults to undoing only the most recent migration.
+   */
+  rollback(targetVersion = null) {
+    const appliedRows = this.getAppliedMigrations();
+    if (appliedRows.length === 0) {
+      return [];
+    }
+
+    const target = targetVersion === null ?
+      (appliedRows.length > 1 ? appliedRows[appliedRows.length - 2].version : 0) :
+      targetVersion;
+
+    if (!Number.isInteger(target) || target < 0) {
+      throw new PersistenceError(`Invalid rollback target '${targetVersion}'`, 'rollback', 'schema_version');
+    }
+
+    const byVersion = new Map(this.migrations.map(m => [m.version, m]));
+    const remove = this.db.prepare('DELETE FROM schema_version WHERE version = ?');
+    const reverted = [];
+
+    for (const row of appliedRows.filter(r => r.version > target).reverse()) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new PersistenceError(
+          `Cannot roll back migration ${row.version} (${row.name}): no migration file is available for it`,
+          'rollback',
+          'schema_version',
+        );
+      }
+
+      try {
+        this.db.transaction(() => {
+          migration.down(this.db);
+          remove.run(migration.version);
+        })();
+      } catch (error) {
+        throw new PersistenceError(
+          `Rollback of migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+          'rollback',
+          'schema_version',
+        );
+      }
+
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+
+    return reverted;
+  }
+
+  status() {
+    const applied = this.getAppliedMigrations();
+    const known = new Set(this.migrations.map(m => m.version));
+
+    return {
+      currentVersion: this.getCurrentVersion(),
+      latestVersion: this.getLatestVersion(),
+      applied,
+      pending: this.getPendingMigrations().map(m => ({ version: m.version, name: m.name })),
+      // Versions recorded by a newer ruv-swarm release than this one
+      unknown: applied.filter(m => !known.has(m.version)),
+    };
+  }
+}
+
+export { MigrationRunner, MIGRATIONS };
@@ -197,10 +197,10 @@ class NeuralNetwork {
     const errors = [];
     const output = activations[activations.length - 1];
 
-    // Calculate output layer error
+    // Calculate output layer error; outputs without a target are left alone
     const outputError = [];
     for (let i = 0; i < output.length; i++) {
-      outputError[i] = (target[i] - output[i]) * this._activation(output[i], true);
+      outputError[i] = i < target.length ? (target[i] - output[i]) * this._activation(output[i], true) : 0;
     }
     errors.unshift(outputError);
 
@@ -224,7 +224,8 @@ class NeuralNetwork {
     for (let i = 0; i < this.weights.length; i++) {
       const weights = this.weights[i];
       const biases = this.biases[i];
-      const layerError = errors[i + 1];
+      // errors[i] belongs to the outputs of layer i
+      const layerError = errors[i];
       const layerInput = activations[i];
 
       for (let j = 0; j < weights.length; j++) {
@@ -267,7 +268,7 @@ class NeuralAgent extends EventEmitter {
     this.agent = agent;
     this.agentType = agentType;
     this.cognitiveProfile = AGENT_COGNITIVE_PROFILES[agentType];
-    this.memoryOptimizer = memoryOptimizer || new MemoryOptimizer();
+    this.memoryOptimizer = memoryOptimizer || (MemoryOptimizer ? new MemoryOptimizer() : null);
 
     // Add cognitive pattern to neural network config for memory optimization
     const networkConfig = {
@@ -334,10 +335,13 @@ class NeuralAgent extends EventEmitter {
   }
 
   /**
-   * Execute task with neural enhancement
+   * Execute task with neural enhancement. An aborted `signal` stops the
+   * task before the base agent runs, and discards a result that arrives
+   * after the abort so the network does not learn from it.
    */
-  async executeTask(task) {
+  async executeTask(task, { signal } = {}) {
     const startTime = Date.now();
+    signal?.throwIfAborted();
 
     // Analyze task
     const analysis = await this.analyzeTask(task);
@@ -350,7 +354,12 @@ class NeuralAgent extends EventEmitter {
       ...task,
       neuralAnalysis: analysis,
       cognitiveState: this.cognitiveState,
-    });
+    }, { signal });
+
+    if (signal?.aborted) {
+      this.emit('taskAborted', { task, reason: signal.reason });
+      signal.throwIfAborted();
+    }
 
     // Calculate performance
     const executionTime = Date.now() - startTime;
@@ -692,7 +701,7 @@ class NeuralAgent extends EventEmitter {
     this.memoryUsage.current = patternConfig.baseMemory;
 
     // Initialize memory pools if not already done
-    if (!this.memoryOptimizer.isPoolInitialized()) {
+    if (this.memoryOptimizer && !this.memoryOptimizer.isPoolInitialized()) {
       this.memoryOptimizer.initializePools().then(() => {
         // Recalculate memory usage with pooling
         this.memoryUsage.current = patternConfig.baseMemory * (1 - patternConfig.poolSharing * 0.5);
@@ -789,7 +798,9 @@ class NeuralAgentFactory {
   static memoryOptimizer = null;
 
   static async initializeFactory() {
-    if (!this.memoryOptimizer) {
+    await loadMemoryDependencies();
+    // neural.js may not provide an optimizer; agents then work without pools
+    if (!this.memoryOptimizer && MemoryOptimizer) {
       this.memoryOptimizer = new MemoryOptimizer();
       await this.memoryOptimizer.initializePools();
     }
@@ -813,13 +824,18 @@ class NeuralAgentFactory {
   }
 }
 
-// Lazy load to avoid circular dependency
-setImmediate(() => {
-  import('./neural.js').then(neural => {
-    MemoryOptimizer = neural.MemoryOptimizer;
-    PATTERN_MEMORY_CONFIG = neural.PATTERN_MEMORY_CONFIG;
-  });
-});
+// Lazy load to avoid circular dependency; initializeFactory() waits for it
+let memoryDependencies = null;
+function loadMemoryDependencies() {
+  if (!memoryDependencies) {
+    memoryDependencies = import('./neural.js').then(neural => {
+      MemoryOptimizer = neural.MemoryOptimizer;
+      PATTERN_MEMORY_CONFIG = neural.PATTERN_MEMORY_CONFIG;
+    });
+  }
+  return memoryDependencies;
+}
+setImmediate(loadMemoryDependencies);
 
 export {
   NeuralAgent,
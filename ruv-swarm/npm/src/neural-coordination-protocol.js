@@ -3,6 +3,8 @@
  * Enables sophisticated coordination between neural network agents
  */
 
+import { RaftTaskCluster, byzantineVote, castBallot, createAgentKeys, seedFromString } from './consensus/index.js';
+
 class NeuralCoordinationProtocol {
   constructor() {
     this.activeSessions = new Map();
@@ -11,6 +13,8 @@ class NeuralCoordinationProtocol {
     this.consensusProtocols = new Map();
     this.coordinationResults = new Map();
     this.coordinationMetrics = new Map();
+    // Ed25519 key pairs that sign each agent's Byzantine consensus messages
+    this.agentKeys = new Map();
 
     // Initialize coordination strategies
     this.initializeCoordinationStrategies();
@@ -239,6 +243,7 @@ class NeuralCoordinationProtocol {
         heartbeatInterval: 1000,
         logReplicationBatchSize: 10,
         leaderElectionBackoff: 1.5,
+        snapshotThreshold: 100,
       },
       applicability: {
         trustRequired: 0.8,
@@ -283,6 +288,8 @@ class NeuralCoordinationProtocol {
       status: 'active',
     };
 
+    this.keysFor(agentId);
+
     // Initialize communication channels for this agent
     if (!this.communicationChannels.has(agentId)) {
       this.communicationChannels.set(agentId, new Map());
@@ -301,6 +308,14 @@ class NeuralCoordinationProtocol {
     return agentInfo;
   }
 
+  // An agent's signing keys, created the first time it is asked for
+  keysFor(agentId) {
+    if (!this.agentKeys.has(agentId)) {
+      this.agentKeys.set(agentId, createAgentKeys());
+    }
+    return this.agentKeys.get(agentId);
+  }
+
   /**
    * Analyze agent capabilities for coordination
    * @param {Object} agent - Agent instance
@@ -1019,7 +1034,11 @@ class NeuralCoordinationProtocol {
   }
 
   /**
-   * Execute Byzantine fault tolerant coordination
+   * Execute Byzantine fault tolerant coordination: for each decision type,
+   * the deciding agents agree through PBFT on the median of their signed
+   * values, which lies within the honest agents' values as long as at most
+   * a third of them are faulty. `session.faults` (agent id → PBFT fault)
+   * injects faulty agents for testing.
    * @param {Object} session - Coordination session
    */
   async executeByzantineCoordination(session) {
@@ -1040,7 +1059,7 @@ class NeuralCoordinationProtocol {
         }
       }
 
-      const consensus = await this.runByzantineConsensus(typeDecisions, session);
+      const consensus = await this.runByzantineConsensus(typeDecisions, session, decisionType);
       byzantineResults.set(decisionType, consensus);
     }
 
@@ -1048,7 +1067,7 @@ class NeuralCoordinationProtocol {
       strategy: 'byzantine_ft',
       decisions,
       consensus: byzantineResults,
-      success: true,
+      success: [...byzantineResults.values()].every(consensus => consensus.accepted),
       timestamp: Date.now(),
     };
   }
@@ -1334,11 +1353,38 @@ class NeuralCoordinationProtocol {
     return decisions;
   }
 
-  async runByzantineConsensus(decisions, session) {
-    // Simplified Byzantine consensus
-    const values = Array.from(decisions.values()).map(d => d.value);
-    const median = values.sort()[Math.floor(values.length / 2)];
-    return { consensusValue: median, participants: decisions.size };
+  async runByzantineConsensus(decisions, session, decisionType = 'coordination') {
+    const { parameters } = this.coordinationStrategies.get('byzantine_ft');
+    const faults = session.faults || {};
+    const agentIds = [...decisions.keys()];
+    const keys = new Map(agentIds.map(agentId => [agentId, this.keysFor(agentId)]));
+    const ballotId = `${session.id}:${decisionType}`;
+    const ballots = agentIds.map(agentId =>
+      castBallot({ ballotId, agentId, value: decisions.get(agentId).value }, keys.get(agentId).privateKey, faults[agentId]));
+
+    const outcome = await byzantineVote({
+      ballotId,
+      ballots,
+      agentIds,
+      keys,
+      faults,
+      seed: seedFromString(ballotId),
+      requestTimeout: parameters.viewChangeTimeout,
+      tally: signed => {
+        const values = signed.map(ballot => ballot.value).sort((a, b) => a - b);
+        return values[Math.floor(values.length / 2)];
+      },
+    });
+    return {
+      consensusValue: outcome.accepted ? outcome.result : null,
+      participants: decisions.size,
+      accepted: outcome.accepted,
+      reason: outcome.reason || null,
+      view: outcome.view ?? null,
+      commits: outcome.commits ?? 0,
+      faultTolerance: outcome.faultTolerance,
+      messages: outcome.messages || null,
+    };
   }
 
   // Consensus protocol implementations (simplified)
@@ -1351,8 +1397,56 @@ class NeuralCoordinationProtocol {
     return { protocol: 'pbft', result: 'consensus_reached' };
   }
 
+  /**
+   * Commits an assignment for each of the coordination result's tasks (the
+   * plan's tasks, or the session's coordination tasks) through a Raft
+   * cluster of the session's agents (see consensus/task-assignment.js).
+   * The cluster runs on the deterministic network simulator, in virtual
+   * time, seeded from the session id.
+   */
   async executeRaftConsensus(session, coordinationResult) {
-    return { protocol: 'raft', result: 'consensus_reached' };
+    const tasks = coordinationResult.plan?.tasks ?
+      [...coordinationResult.plan.tasks.values()] :
+      this.identifyCoordinationTasks(session);
+    const { parameters } = this.consensusProtocols.get('raft');
+    const cluster = new RaftTaskCluster(session.agentIds, {
+      seed: seedFromString(session.id),
+      electionTimeout: parameters.electionTimeout,
+      heartbeatInterval: parameters.heartbeatInterval,
+      logReplicationBatchSize: parameters.logReplicationBatchSize,
+      snapshotThreshold: parameters.snapshotThreshold,
+    });
+    const timeout = parameters.electionTimeout * 20;
+
+    try {
+      if (!cluster.runUntil(() => cluster.leader(), { timeout })) {
+        return { protocol: 'raft', result: 'no_consensus', reason: 'no leader was elected' };
+      }
+      const submissions = tasks.map(task => cluster.submit(task.id, task).catch(() => null));
+      const assigned = cluster.runUntil(() => {
+        const committed = cluster.tasks();
+        return tasks.every(task => committed[task.id]?.status === 'assigned');
+      }, { timeout });
+      await Promise.all(submissions);
+
+      const leader = cluster.members.get(cluster.leader()).node;
+      const assignments = {};
+      for (const task of Object.values(cluster.tasks())) {
+        assignments[task.id] = task.agentId;
+      }
+      session.consensusRounds++;
+      return {
+        protocol: 'raft',
+        result: assigned ? 'consensus_reached' : 'no_consensus',
+        leader: leader.id,
+        term: leader.currentTerm,
+        commitIndex: leader.commitIndex,
+        assignments,
+        messages: { ...cluster.network.stats },
+      };
+    } finally {
+      cluster.stop();
+    }
   }
 
   async executeGossipConsensus(session, coordinationResult) {
@@ -4,6 +4,7 @@
  */
 
 import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
 
 class AutoencoderModel extends NeuralModel {
   constructor(config = {}) {
@@ -45,44 +46,48 @@ class AutoencoderModel extends NeuralModel {
   }
 
   initializeWeights() {
+    this.encoderWeights = [];
+    this.encoderBiases = [];
+    this.decoderWeights = [];
+    this.decoderBiases = [];
     let lastSize = this.config.inputSize;
 
+    const addLayer = (weights, biases, name, units) => {
+      weights.push(this.parameter(`${name}.${weights.length}.weight`, this.createWeight([lastSize, units])));
+      biases.push(this.parameter(`${name}.${biases.length}.bias`, new Float32Array(units).fill(0)));
+      lastSize = units;
+    };
+
     // Initialize encoder layers
     for (const units of this.config.encoderLayers) {
-      this.encoderWeights.push(this.createWeight([lastSize, units]));
-      this.encoderBiases.push(new Float32Array(units).fill(0));
-      lastSize = units;
+      addLayer(this.encoderWeights, this.encoderBiases, 'encoder', units);
     }
 
     // Bottleneck layer
     if (this.config.variational) {
       // For VAE: separate layers for mean and log variance
+      const { bottleneckSize } = this.config;
       this.muLayer = {
-        weight: this.createWeight([lastSize, this.config.bottleneckSize]),
-        bias: new Float32Array(this.config.bottleneckSize).fill(0),
+        weight: this.parameter('mu.weight', this.createWeight([lastSize, bottleneckSize])),
+        bias: this.parameter('mu.bias', new Float32Array(bottleneckSize).fill(0)),
       };
       this.logVarLayer = {
-        weight: this.createWeight([lastSize, this.config.bottleneckSize]),
-        bias: new Float32Array(this.config.bottleneckSize).fill(0),
+        weight: this.parameter('logVar.weight', this.createWeight([lastSize, bottleneckSize])),
+        bias: this.parameter('logVar.bias', new Float32Array(bottleneckSize).fill(0)),
       };
-      lastSize = this.config.bottleneckSize;
+      lastSize = bottleneckSize;
     } else {
       // Standard autoencoder bottleneck
-      this.encoderWeights.push(this.createWeight([lastSize, this.config.bottleneckSize]));
-      this.encoderBiases.push(new Float32Array(this.config.bottleneckSize).fill(0));
-      lastSize = this.config.bottleneckSize;
+      addLayer(this.encoderWeights, this.encoderBiases, 'encoder', this.config.bottleneckSize);
     }
 
     // Initialize decoder layers
     for (const units of this.config.decoderLayers) {
-      this.decoderWeights.push(this.createWeight([lastSize, units]));
-      this.decoderBiases.push(new Float32Array(units).fill(0));
-      lastSize = units;
+      addLayer(this.decoderWeights, this.decoderBiases, 'decoder', units);
     }
 
     // Output layer (reconstruction)
-    this.decoderWeights.push(this.createWeight([lastSize, this.config.inputSize]));
-    this.decoderBiases.push(new Float32Array(this.config.inputSize).fill(0));
+    addLayer(this.decoderWeights, this.decoderBiases, 'decoder', this.config.inputSize);
   }
 
   createWeight(shape) {
@@ -100,11 +105,17 @@ class AutoencoderModel extends NeuralModel {
     return weight;
   }
 
+  // Flat [batch, inputSize] view of the input
+  toBatch(input) {
+    const x = ag.Tensor.from(input);
+    return x.rank === 2 && x.shape[1] === this.config.inputSize ? x : ag.reshape(x, [-1, this.config.inputSize]);
+  }
+
   async forward(input, training = false) {
     // Add noise for denoising autoencoder
-    let x = input;
+    let x = this.toBatch(input);
     if (training && this.config.denoisingNoise > 0) {
-      x = this.addNoise(input, this.config.denoisingNoise);
+      x = this.addNoise(x, this.config.denoisingNoise);
     }
 
     // Encode
@@ -122,31 +133,22 @@ class AutoencoderModel extends NeuralModel {
   }
 
   async encode(input, training = false) {
-    let x = input;
+    let x = this.toBatch(input);
 
     // Pass through encoder layers
     for (let i = 0; i < this.encoderWeights.length; i++) {
-      x = this.dense(x, this.encoderWeights[i], this.encoderBiases[i]);
-
-      // Apply activation
-      if (this.config.activation === 'relu') {
-        x = this.relu(x);
-      } else if (this.config.activation === 'tanh') {
-        x = this.tanh(x);
-      } else if (this.config.activation === 'sigmoid') {
-        x = this.sigmoid(x);
-      }
+      x = ag.activation(ag.linear(x, this.encoderWeights[i], this.encoderBiases[i]), this.config.activation, 'linear');
 
       // Apply dropout if training (except last layer)
-      if (training && this.config.dropoutRate > 0 && i < this.encoderWeights.length - 1) {
-        x = this.dropout(x, this.config.dropoutRate);
+      if (i < this.encoderWeights.length - 1) {
+        x = ag.dropout(x, this.config.dropoutRate, training);
       }
     }
 
     // Handle variational autoencoder
     if (this.config.variational) {
-      const mu = this.dense(x, this.muLayer.weight, this.muLayer.bias);
-      const logVar = this.dense(x, this.logVarLayer.weight, this.logVarLayer.bias);
+      const mu = ag.linear(x, this.muLayer.weight, this.muLayer.bias);
+      const logVar = ag.linear(x, this.logVarLayer.weight, this.logVarLayer.bias);
 
       // Reparameterization trick
       const latent = training ? this.reparameterize(mu, logVar) : mu;
@@ -158,92 +160,43 @@ class AutoencoderModel extends NeuralModel {
   }
 
   async decode(latent, training = false) {
-    let x = latent;
+    let x = ag.Tensor.from(latent);
+    if (x.rank === 1) {
+      x = ag.reshape(x, [1, x.size]);
+    }
 
     // Pass through decoder layers
     for (let i = 0; i < this.decoderWeights.length; i++) {
-      x = this.dense(x, this.decoderWeights[i], this.decoderBiases[i]);
+      x = ag.linear(x, this.decoderWeights[i], this.decoderBiases[i]);
 
       // Apply activation (use output activation for last layer)
       if (i === this.decoderWeights.length - 1) {
-        if (this.config.outputActivation === 'sigmoid') {
-          x = this.sigmoid(x);
-        } else if (this.config.outputActivation === 'tanh') {
-          x = this.tanh(x);
-        }
-        // 'linear' means no activation
+        x = ag.activation(x, this.config.outputActivation, 'linear');
       } else {
-        // Hidden layers
-        if (this.config.activation === 'relu') {
-          x = this.relu(x);
-        } else if (this.config.activation === 'tanh') {
-          x = this.tanh(x);
-        } else if (this.config.activation === 'sigmoid') {
-          x = this.sigmoid(x);
-        }
-
-        // Apply dropout if training
-        if (training && this.config.dropoutRate > 0) {
-          x = this.dropout(x, this.config.dropoutRate);
-        }
+        x = ag.activation(x, this.config.activation, 'linear');
+        x = ag.dropout(x, this.config.dropoutRate, training);
       }
     }
 
     return x;
   }
 
-  dense(input, weights, biases) {
-    const [batchSize, inputSize] = input.shape;
-    const outputSize = biases.length;
-
-    const output = new Float32Array(batchSize * outputSize);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let o = 0; o < outputSize; o++) {
-        let sum = biases[o];
-
-        for (let i = 0; i < inputSize; i++) {
-          sum += input[b * inputSize + i] * weights[i * outputSize + o];
-        }
-
-        output[b * outputSize + o] = sum;
-      }
-    }
-
-    output.shape = [batchSize, outputSize];
-    return output;
-  }
-
   addNoise(input, noiseLevel) {
-    const noisy = new Float32Array(input.length);
+    const noisy = new Float32Array(input.size);
 
-    for (let i = 0; i < input.length; i++) {
-      // Add Gaussian noise
+    for (let i = 0; i < input.size; i++) {
+      // Uniform noise, clamped to the [0, 1] input range
       const noise = (Math.random() - 0.5) * 2 * noiseLevel;
-      noisy[i] = Math.max(0, Math.min(1, input[i] + noise));
+      noisy[i] = Math.max(0, Math.min(1, input.data[i] + noise));
     }
 
-    noisy.shape = input.shape;
-    return noisy;
+    return new ag.Tensor(noisy, input.shape);
   }
 
   reparameterize(mu, logVar) {
     // VAE reparameterization trick: z = mu + sigma * epsilon
-    const [batchSize, latentSize] = mu.shape;
-
-    const z = new Float32Array(batchSize * latentSize);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let l = 0; l < latentSize; l++) {
-        const idx = b * latentSize + l;
-        const epsilon = this.sampleGaussian(); // N(0, 1)
-        const sigma = Math.exp(0.5 * logVar[idx]);
-        z[idx] = mu[idx] + sigma * epsilon;
-      }
-    }
-
-    z.shape = mu.shape;
-    return z;
+    const epsilon = ag.Tensor.randn(mu.shape);
+    return ag.add(mu, ag.mul(ag.exp(ag.scale(logVar, 0.5)), epsilon));
   }
 
   sampleGaussian() {
@@ -258,176 +211,59 @@ class AutoencoderModel extends NeuralModel {
     return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
   }
 
-  calculateLoss(input, output, mu = null, logVar = null) {
-    const [batchSize] = input.shape;
-
-    // Reconstruction loss (MSE or binary cross-entropy)
-    let reconstructionLoss = 0;
-
-    if (this.config.outputActivation === 'sigmoid') {
-      // Binary cross-entropy for outputs in [0, 1]
-      for (let i = 0; i < input.length; i++) {
-        const epsilon = 1e-7;
-        const pred = Math.max(epsilon, Math.min(1 - epsilon, output.reconstruction[i]));
-        reconstructionLoss -= input[i] * Math.log(pred) + (1 - input[i]) * Math.log(1 - pred);
-      }
-    } else {
-      // MSE for continuous outputs
-      for (let i = 0; i < input.length; i++) {
-        const diff = input[i] - output.reconstruction[i];
-        reconstructionLoss += diff * diff;
-      }
+  // Samples may be bare vectors; the target defaults to the input itself
+  toSamples(data) {
+    if (Array.isArray(data) && data.length > 0 && (Array.isArray(data[0]) || ArrayBuffer.isView(data[0]))) {
+      return data.map(input => ({ input, target: input }));
     }
+    return super.toSamples(data).map(({ input, target }) => ({ input, target: target ?? input }));
+  }
 
-    reconstructionLoss /= batchSize;
+  /**
+   * Reconstruction loss (binary cross-entropy for sigmoid outputs, squared
+   * error otherwise), summed per sample, plus `beta` times the KL divergence
+   * for a VAE and the sparsity penalty on the mean latent activation
+   */
+  calculateLoss(target, output, beta = 1.0) {
+    const reduction = 'batchmean';
+    const reconstruction = this.config.outputActivation === 'sigmoid' ?
+      ag.binaryCrossEntropy(output.reconstruction, target, { reduction }) :
+      ag.mseLoss(output.reconstruction, target, { reduction });
+
+    const terms = [reconstruction];
 
     // KL divergence for VAE
-    let klLoss = 0;
-    if (this.config.variational && mu && logVar) {
-      for (let i = 0; i < mu.length; i++) {
-        klLoss += -0.5 * (1 + logVar[i] - mu[i] * mu[i] - Math.exp(logVar[i]));
-      }
-      klLoss /= batchSize;
+    const kl = this.config.variational && output.mu ? ag.klDivergence(output.mu, output.logVar) : null;
+    if (kl) {
+      terms.push(ag.scale(kl, beta));
     }
 
     // Sparsity regularization (encourage sparse activations)
-    let sparsityLoss = 0;
+    let sparsity = null;
     if (this.config.sparseRegularization > 0) {
       const targetSparsity = 0.05; // Target average activation
-      const latentMean = output.latent.reduce((a, b) => a + b, 0) / output.latent.length;
-      sparsityLoss = this.config.sparseRegularization * Math.abs(latentMean - targetSparsity);
-    }
-
-    return {
-      total: reconstructionLoss + klLoss + sparsityLoss,
-      reconstruction: reconstructionLoss,
-      kl: klLoss,
-      sparsity: sparsityLoss,
-    };
-  }
-
-  async train(trainingData, options = {}) {
-    const {
-      epochs = 10,
-      batchSize = 32,
-      learningRate = 0.001,
-      validationSplit = 0.1,
-      beta = 1.0, // Beta-VAE parameter
-    } = options;
-
-    const trainingHistory = [];
-
-    // Split data
-    const splitIndex = Math.floor(trainingData.length * (1 - validationSplit));
-    const trainData = trainingData.slice(0, splitIndex);
-    const valData = trainingData.slice(splitIndex);
-
-    for (let epoch = 0; epoch < epochs; epoch++) {
-      let epochLoss = 0;
-      let epochReconLoss = 0;
-      let epochKLLoss = 0;
-      let batchCount = 0;
-
-      // Shuffle training data
-      const shuffled = this.shuffle(trainData);
-
-      // Process batches
-      for (let i = 0; i < shuffled.length; i += batchSize) {
-        const batch = shuffled.slice(i, Math.min(i + batchSize, shuffled.length));
-
-        // Prepare batch input
-        const batchInput = {
-          data: batch.inputs,
-          shape: [batch.inputs.length, this.config.inputSize],
-        };
-        batchInput.data.shape = batchInput.shape;
-
-        // Forward pass
-        const output = await this.forward(batchInput.data, true);
-
-        // Calculate losses
-        const losses = this.calculateLoss(
-          batchInput.data,
-          output,
-          output.mu,
-          output.logVar,
-        );
-
-        // Apply beta weighting for VAE
-        const totalLoss = losses.reconstruction + beta * losses.kl + losses.sparsity;
-
-        epochLoss += totalLoss;
-        epochReconLoss += losses.reconstruction;
-        epochKLLoss += losses.kl;
-
-        // Backward pass
-        await this.backward(totalLoss, learningRate);
-
-        batchCount++;
-      }
-
-      // Validation
-      const valLosses = await this.evaluate(valData);
-
-      const avgTrainLoss = epochLoss / batchCount;
-      const avgReconLoss = epochReconLoss / batchCount;
-      const avgKLLoss = epochKLLoss / batchCount;
-
-      const historyEntry = {
-        epoch: epoch + 1,
-        trainLoss: avgTrainLoss,
-        reconstructionLoss: avgReconLoss,
-        klLoss: avgKLLoss,
-        valLoss: valLosses.total,
-        valReconstructionLoss: valLosses.reconstruction,
-      };
-
-      trainingHistory.push(historyEntry);
-
-      console.log(
-        `Epoch ${epoch + 1}/${epochs} - ` +
-        `Loss: ${avgTrainLoss.toFixed(4)} ` +
-        `(Recon: ${avgReconLoss.toFixed(4)}, ` +
-        `KL: ${avgKLLoss.toFixed(4)}) - ` +
-        `Val Loss: ${valLosses.total.toFixed(4)}`,
+      sparsity = ag.scale(
+        ag.abs(ag.sub(ag.mean(output.latent), ag.Tensor.scalar(targetSparsity))),
+        this.config.sparseRegularization,
       );
-
-      this.updateMetrics(avgTrainLoss);
+      terms.push(sparsity);
     }
 
     return {
-      history: trainingHistory,
-      finalLoss: trainingHistory[trainingHistory.length - 1].trainLoss,
-      modelType: 'autoencoder',
+      total: terms.reduce((sum, term) => ag.add(sum, term)),
+      reconstruction: reconstruction.item(),
+      kl: kl ? kl.item() : 0,
+      sparsity: sparsity ? sparsity.item() : 0,
     };
   }
 
-  async evaluate(data) {
-    let totalLoss = 0;
-    let reconLoss = 0;
-    let klLoss = 0;
-    let batchCount = 0;
-
-    for (const batch of data) {
-      const batchInput = {
-        data: batch.inputs,
-        shape: [batch.inputs.length, this.config.inputSize],
-      };
-      batchInput.data.shape = batchInput.shape;
-
-      const output = await this.forward(batchInput.data, false);
-      const losses = this.calculateLoss(batchInput.data, output, output.mu, output.logVar);
-
-      totalLoss += losses.total;
-      reconLoss += losses.reconstruction;
-      klLoss += losses.kl;
-      batchCount++;
-    }
-
+  async computeLoss(samples, { training = false, options = {} } = {}) {
+    const target = this.toBatch(this.batchTargets(samples));
+    const output = await this.forward(this.batchInputs(samples), training);
+    const losses = this.calculateLoss(target, output, options.beta ?? 1.0); // Beta-VAE weighting
     return {
-      total: totalLoss / batchCount,
-      reconstruction: reconLoss / batchCount,
-      kl: klLoss / batchCount,
+      loss: losses.total,
+      metrics: { reconstruction: losses.reconstruction, kl: losses.kl },
     };
   }
 
@@ -436,7 +272,7 @@ class AutoencoderModel extends NeuralModel {
     return {
       encode: async(input) => {
         const result = await this.encode(input, false);
-        return result.latent;
+        return result.latent.toArray();
       },
       config: {
         inputSize: this.config.inputSize,
@@ -450,7 +286,7 @@ class AutoencoderModel extends NeuralModel {
   async getDecoder() {
     return {
       decode: async(latent) => {
-        return await this.decode(latent, false);
+        return (await this.decode(latent, false)).toArray();
       },
       config: {
         bottleneckSize: this.config.bottleneckSize,
@@ -466,41 +302,28 @@ class AutoencoderModel extends NeuralModel {
       throw new Error('Generation is only available for variational autoencoders');
     }
 
-    // Sample from standard normal distribution
-    const latent = new Float32Array(numSamples * this.config.bottleneckSize);
-
-    for (let i = 0; i < latent.length; i++) {
-      latent[i] = this.sampleGaussian();
-    }
-
-    latent.shape = [numSamples, this.config.bottleneckSize];
-
-    // Decode to generate samples
-    return await this.decode(latent, false);
+    // Sample from standard normal distribution and decode
+    const latent = ag.Tensor.randn([numSamples, this.config.bottleneckSize]);
+    return (await this.decode(latent, false)).toArray();
   }
 
   // Interpolate between two inputs
   async interpolate(input1, input2, steps = 10) {
     // Encode both inputs
-    const encoded1 = await this.encode(input1, false);
-    const encoded2 = await this.encode(input2, false);
+    const { latent: latent1 } = await this.encode(input1, false);
+    const { latent: latent2 } = await this.encode(input2, false);
 
     const interpolations = [];
 
     for (let step = 0; step <= steps; step++) {
       const alpha = step / steps;
-      const interpolatedLatent = new Float32Array(encoded1.latent.length);
 
       // Linear interpolation in latent space
-      for (let i = 0; i < interpolatedLatent.length; i++) {
-        interpolatedLatent[i] = (1 - alpha) * encoded1.latent[i] + alpha * encoded2.latent[i];
-      }
-
-      interpolatedLatent.shape = encoded1.latent.shape;
+      const interpolatedLatent = ag.add(ag.scale(latent1, 1 - alpha), ag.scale(latent2, alpha));
 
       // Decode interpolated latent vector
       const decoded = await this.decode(interpolatedLatent, false);
-      interpolations.push(decoded);
+      interpolations.push(decoded.toArray());
     }
 
     return interpolations;
@@ -514,30 +337,6 @@ class AutoencoderModel extends NeuralModel {
       parameters: this.countParameters(),
     };
   }
-
-  countParameters() {
-    let count = 0;
-
-    // Encoder parameters
-    for (let i = 0; i < this.encoderWeights.length; i++) {
-      count += this.encoderWeights[i].length;
-      count += this.encoderBiases[i].length;
-    }
-
-    // VAE-specific parameters
-    if (this.config.variational) {
-      count += this.muLayer.weight.length + this.muLayer.bias.length;
-      count += this.logVarLayer.weight.length + this.logVarLayer.bias.length;
-    }
-
-    // Decoder parameters
-    for (let i = 0; i < this.decoderWeights.length; i++) {
-      count += this.decoderWeights[i].length;
-      count += this.decoderBiases[i].length;
-    }
-
-    return count;
-  }
 }
 
-export { AutoencoderModel };
\ No newline at end of file
+export { AutoencoderModel };
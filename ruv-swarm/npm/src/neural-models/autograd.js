@@ -0,0 +1,1360 @@
+/**
+ * Tensor and Reverse-Mode Autograd Core
+ * Float32Array-backed tensors and the differentiable ops the models are built on
+ *
+ * Tensors are row-major: `data` holds the values and `shape` their layout.
+ * Every op returns a new tensor. When one of its inputs requires gradients,
+ * the op records on its output which tensors it read and how to push a
+ * gradient back into them. `backward(loss)` gathers those records into a
+ * tape, ordered as the ops ran, and replays it in reverse, accumulating
+ * `.grad` on each tensor that requires one. Model parameters are tensors
+ * created with `requiresGrad: true`; everything in between is released once
+ * the backward pass has run.
+ */
+
+const sizeOf = (shape) => shape.reduce((a, b) => a * b, 1);
+
+const sameShape = (a, b) => a.length === b.length && a.every((d, i) => d === b[i]);
+
+class Tensor {
+  constructor(data, shape = null, { requiresGrad = false } = {}) {
+    this.data = data instanceof Float32Array ? data : Float32Array.from(data);
+    this.shape = shape ? [...shape] : [this.data.length];
+    if (sizeOf(this.shape) !== this.data.length) {
+      throw new Error(`Shape [${this.shape}] does not fit ${this.data.length} values`);
+    }
+    this.requiresGrad = requiresGrad;
+    this.grad = null;
+    // Set by the op that produced this tensor: { op, inputs, backward }
+    this.node = null;
+  }
+
+  get size() {
+    return this.data.length;
+  }
+
+  get rank() {
+    return this.shape.length;
+  }
+
+  static zeros(shape, options) {
+    return new Tensor(new Float32Array(sizeOf(shape)), shape, options);
+  }
+
+  static full(shape, value, options) {
+    return new Tensor(new Float32Array(sizeOf(shape)).fill(value), shape, options);
+  }
+
+  static scalar(value) {
+    return new Tensor(new Float32Array([value]), [1]);
+  }
+
+  // Standard normal samples (Box-Muller)
+  static randn(shape) {
+    const data = new Float32Array(sizeOf(shape));
+    for (let i = 0; i < data.length; i++) {
+      let u = 0;
+      while (u === 0) {
+        u = Math.random();
+      }
+      data[i] = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * Math.random());
+    }
+    return new Tensor(data, shape);
+  }
+
+  /**
+   * Accepts a Tensor (returned as is), a typed array carrying a `shape`
+   * property (the models' older format), nested arrays or a number
+   */
+  static from(value, shape = null) {
+    if (value instanceof Tensor) {
+      return shape && !sameShape(value.shape, shape) ? reshape(value, shape) : value;
+    }
+    if (typeof value === 'number') {
+      return new Tensor(new Float32Array([value]), shape || [1]);
+    }
+    if (ArrayBuffer.isView(value)) {
+      return new Tensor(Float32Array.from(value), shape || value.shape || [value.length]);
+    }
+    if (Array.isArray(value)) {
+      const inferred = [];
+      for (let level = value; Array.isArray(level) || ArrayBuffer.isView(level); level = level[0]) {
+        inferred.push(level.length);
+      }
+      const flat = value.flat(Infinity).flatMap(v => (ArrayBuffer.isView(v) ? Array.from(v) : [v]));
+      return new Tensor(Float32Array.from(flat), shape || (flat.length === sizeOf(inferred) ? inferred : [flat.length]));
+    }
+    throw new Error(`Cannot make a tensor from ${typeof value}`);
+  }
+
+  item() {
+    return this.data[0];
+  }
+
+  // Plain Float32Array with a `shape` property, detached from the graph
+  toArray() {
+    const array = Float32Array.from(this.data);
+    array.shape = [...this.shape];
+    return array;
+  }
+
+  detach() {
+    return new Tensor(this.data, this.shape);
+  }
+}
+
+// Output of an op; records how to differentiate it if any input needs it
+function record(data, shape, inputs, op, backwardFn) {
+  const out = new Tensor(data, shape);
+  if (inputs.some(t => t.requiresGrad)) {
+    out.requiresGrad = true;
+    out.node = { op, inputs, backward: backwardFn };
+  }
+  return out;
+}
+
+// Gradient buffer of `t`, or null when nothing needs it
+function gradOf(t) {
+  if (!t.requiresGrad) {
+    return null;
+  }
+  if (!t.grad) {
+    t.grad = new Float32Array(t.size);
+  }
+  return t.grad;
+}
+
+/**
+ * Runs the backward pass from `loss` (a one-element tensor unless `seed`
+ * gives its gradient) and returns the tape it replayed
+ */
+function backward(loss, seed = null) {
+  if (!loss.requiresGrad) {
+    throw new Error('backward() called on a tensor that does not depend on any parameter');
+  }
+  if (!seed && loss.size !== 1) {
+    throw new Error(`backward() needs a scalar loss or a seed gradient, got shape [${loss.shape}]`);
+  }
+
+  // Iterative post-order walk; recurrent models make graphs too deep to recurse
+  const tape = [];
+  const visited = new Set([loss]);
+  const stack = [[loss, 0]];
+  while (stack.length > 0) {
+    const top = stack[stack.length - 1];
+    const [tensor, next] = top;
+    const inputs = tensor.node ? tensor.node.inputs : [];
+    if (next < inputs.length) {
+      top[1]++;
+      const input = inputs[next];
+      if (input.requiresGrad && !visited.has(input)) {
+        visited.add(input);
+        stack.push([input, 0]);
+      }
+    } else {
+      stack.pop();
+      tape.push(tensor);
+    }
+  }
+
+  loss.grad = seed ? Float32Array.from(seed) : new Float32Array([1]);
+  for (let i = tape.length - 1; i >= 0; i--) {
+    const tensor = tape[i];
+    if (tensor.node && tensor.grad) {
+      tensor.node.backward(tensor.grad);
+    }
+  }
+
+  // Only leaves (parameters) keep their gradients
+  for (const tensor of tape) {
+    if (tensor.node) {
+      tensor.grad = null;
+      tensor.node = null;
+    }
+  }
+  return tape;
+}
+
+// ---------------------------------------------------------------------------
+// Elementwise arithmetic. The smaller operand broadcasts when it has one
+// element or its shape is a suffix of the other's (a bias over the last dim).
+// ---------------------------------------------------------------------------
+
+function broadcastShape(a, b) {
+  if (sameShape(a.shape, b.shape)) {
+    return a.shape;
+  }
+  const [big, small] = a.size >= b.size ? [a, b] : [b, a];
+  if (small.size === 1 || sameShape(big.shape.slice(big.rank - small.rank), small.shape)) {
+    return big.shape;
+  }
+  throw new Error(`Cannot broadcast shapes [${a.shape}] and [${b.shape}]`);
+}
+
+function binary(a, b, op, forward, gradA, gradB) {
+  const shape = broadcastShape(a, b);
+  const size = sizeOf(shape);
+  const A = a.data, B = b.data, as = a.size, bs = b.size;
+  const out = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    out[i] = forward(A[i % as], B[i % bs]);
+  }
+  return record(out, shape, [a, b], op, (g) => {
+    const ga = gradOf(a);
+    const gb = gradOf(b);
+    for (let i = 0; i < size; i++) {
+      if (ga) {
+        ga[i % as] += g[i] * gradA(A[i % as], B[i % bs]);
+      }
+      if (gb) {
+        gb[i % bs] += g[i] * gradB(A[i % as], B[i % bs]);
+      }
+    }
+  });
+}
+
+const add = (a, b) => binary(a, b, 'add', (x, y) => x + y, () => 1, () => 1);
+const sub = (a, b) => binary(a, b, 'sub', (x, y) => x - y, () => 1, () => -1);
+const mul = (a, b) => binary(a, b, 'mul', (x, y) => x * y, (x, y) => y, (x) => x);
+
+function scale(a, factor) {
+  const out = new Float32Array(a.size);
+  for (let i = 0; i < a.size; i++) {
+    out[i] = a.data[i] * factor;
+  }
+  return record(out, a.shape, [a], 'scale', (g) => {
+    const ga = gradOf(a);
+    for (let i = 0; i < a.size; i++) {
+      ga[i] += g[i] * factor;
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Activations and other unary ops; `derivative(x, y)` sees input and output
+// ---------------------------------------------------------------------------
+
+function unary(a, op, forward, derivative) {
+  const out = new Float32Array(a.size);
+  for (let i = 0; i < a.size; i++) {
+    out[i] = forward(a.data[i]);
+  }
+  return record(out, a.shape, [a], op, (g) => {
+    const ga = gradOf(a);
+    for (let i = 0; i < a.size; i++) {
+      ga[i] += g[i] * derivative(a.data[i], out[i]);
+    }
+  });
+}
+
+const sigmoidOf = (x) => 1 / (1 + Math.exp(-x));
+
+const relu = (a) => unary(a, 'relu', x => (x > 0 ? x : 0), x => (x > 0 ? 1 : 0));
+const leakyRelu = (a, alpha = 0.01) => unary(a, 'leakyRelu', x => (x > 0 ? x : alpha * x), x => (x > 0 ? 1 : alpha));
+const elu = (a, alpha = 1.0) => unary(a, 'elu', x => (x > 0 ? x : alpha * (Math.exp(x) - 1)), (x, y) => (x > 0 ? 1 : y + alpha));
+const sigmoid = (a) => unary(a, 'sigmoid', sigmoidOf, (x, y) => y * (1 - y));
+const tanh = (a) => unary(a, 'tanh', Math.tanh, (x, y) => 1 - y * y);
+const swish = (a) => unary(a, 'swish', x => x * sigmoidOf(x), (x) => {
+  const s = sigmoidOf(x);
+  return s + x * s * (1 - s);
+});
+const exp = (a) => unary(a, 'exp', Math.exp, (x, y) => y);
+const square = (a) => unary(a, 'square', x => x * x, x => 2 * x);
+const abs = (a) => unary(a, 'abs', Math.abs, x => Math.sign(x));
+
+const ACTIVATIONS = { relu, leaky_relu: leakyRelu, elu, sigmoid, tanh, swish, linear: a => a };
+
+// Activation by config name; unknown names fall back to `fallback`
+function activation(a, name, fallback = 'relu') {
+  return (ACTIVATIONS[name] || ACTIVATIONS[fallback])(a);
+}
+
+// Inverted dropout: kept units are scaled so inference needs no change
+function dropout(a, rate, training = true) {
+  if (!training || rate <= 0) {
+    return a;
+  }
+  const keep = 1 - rate;
+  const mask = new Float32Array(a.size);
+  for (let i = 0; i < a.size; i++) {
+    mask[i] = Math.random() < keep ? 1 / keep : 0;
+  }
+  return mul(a, new Tensor(mask, a.shape));
+}
+
+// ---------------------------------------------------------------------------
+// Shape ops
+// ---------------------------------------------------------------------------
+
+// Shares the data buffer; gradients pass straight through
+function reshape(a, shape) {
+  const resolved = [...shape];
+  const unknown = resolved.indexOf(-1);
+  if (unknown >= 0) {
+    resolved[unknown] = a.size / -sizeOf(resolved);
+  }
+  const out = record(a.data, resolved, [a], 'reshape', (g) => {
+    const ga = gradOf(a);
+    for (let i = 0; i < a.size; i++) {
+      ga[i] += g[i];
+    }
+  });
+  return out;
+}
+
+function stridesOf(shape) {
+  const strides = new Array(shape.length);
+  let stride = 1;
+  for (let i = shape.length - 1; i >= 0; i--) {
+    strides[i] = stride;
+    stride *= shape[i];
+  }
+  return strides;
+}
+
+// For each output position, the input offset it is read from
+function permutationIndex(shape, perm) {
+  const outShape = perm.map(p => shape[p]);
+  const inStrides = stridesOf(shape);
+  const size = sizeOf(shape);
+  const index = new Int32Array(size);
+  const counter = new Array(outShape.length).fill(0);
+  for (let o = 0; o < size; o++) {
+    let offset = 0;
+    for (let d = 0; d < counter.length; d++) {
+      offset += counter[d] * inStrides[perm[d]];
+    }
+    index[o] = offset;
+    for (let d = counter.length - 1; d >= 0; d--) {
+      if (++counter[d] < outShape[d]) {
+        break;
+      }
+      counter[d] = 0;
+    }
+  }
+  return { outShape, index };
+}
+
+function permute(a, perm) {
+  const { outShape, index } = permutationIndex(a.shape, perm);
+  const out = new Float32Array(a.size);
+  for (let o = 0; o < out.length; o++) {
+    out[o] = a.data[index[o]];
+  }
+  return record(out, outShape, [a], 'permute', (g) => {
+    const ga = gradOf(a);
+    for (let o = 0; o < g.length; o++) {
+      ga[index[o]] += g[o];
+    }
+  });
+}
+
+// Swaps the last two dimensions
+function transpose(a) {
+  const perm = a.shape.map((_, i) => i);
+  perm[a.rank - 1] = a.rank - 2;
+  perm[a.rank - 2] = a.rank - 1;
+  return permute(a, perm);
+}
+
+// Sizes of the dimensions before `axis` and after it
+function around(shape, axis) {
+  return {
+    outer: sizeOf(shape.slice(0, axis)),
+    inner: sizeOf(shape.slice(axis + 1)),
+  };
+}
+
+function concat(tensors, axis = -1) {
+  const [{ rank }] = tensors;
+  const ax = axis < 0 ? rank + axis : axis;
+  const shape = [...tensors[0].shape];
+  shape[ax] = tensors.reduce((sum, t) => sum + t.shape[ax], 0);
+  const { outer, inner } = around(shape, ax);
+  const chunks = tensors.map(t => t.shape[ax] * inner);
+  const rowSize = shape[ax] * inner;
+
+  const out = new Float32Array(sizeOf(shape));
+  for (let o = 0; o < outer; o++) {
+    let offset = o * rowSize;
+    tensors.forEach((t, k) => {
+      out.set(t.data.subarray(o * chunks[k], (o + 1) * chunks[k]), offset);
+      offset += chunks[k];
+    });
+  }
+  return record(out, shape, tensors, 'concat', (g) => {
+    for (let o = 0; o < outer; o++) {
+      let offset = o * rowSize;
+      tensors.forEach((t, k) => {
+        const gt = gradOf(t);
+        if (gt) {
+          for (let i = 0; i < chunks[k]; i++) {
+            gt[o * chunks[k] + i] += g[offset + i];
+          }
+        }
+        offset += chunks[k];
+      });
+    }
+  });
+}
+
+// Elements [start, end) along `axis`
+function slice(a, axis, start, end) {
+  const ax = axis < 0 ? a.rank + axis : axis;
+  const shape = [...a.shape];
+  shape[ax] = end - start;
+  const { outer, inner } = around(a.shape, ax);
+  const rowIn = a.shape[ax] * inner;
+  const chunk = shape[ax] * inner;
+
+  const out = new Float32Array(sizeOf(shape));
+  for (let o = 0; o < outer; o++) {
+    out.set(a.data.subarray(o * rowIn + start * inner, o * rowIn + start * inner + chunk), o * chunk);
+  }
+  return record(out, shape, [a], 'slice', (g) => {
+    const ga = gradOf(a);
+    for (let o = 0; o < outer; o++) {
+      const base = o * rowIn + start * inner;
+      for (let i = 0; i < chunk; i++) {
+        ga[base + i] += g[o * chunk + i];
+      }
+    }
+  });
+}
+
+// Index `index` along `axis`, dropping that dimension
+function select(a, axis, index) {
+  const ax = axis < 0 ? a.rank + axis : axis;
+  const shape = a.shape.filter((_, i) => i !== ax);
+  return reshape(slice(a, ax, index, index + 1), shape);
+}
+
+// Joins equally shaped tensors along a new dimension `axis`
+function stack(tensors, axis = 0) {
+  const shape = [...tensors[0].shape];
+  shape.splice(axis, 0, 1);
+  return concat(tensors.map(t => reshape(t, shape)), axis);
+}
+
+// ---------------------------------------------------------------------------
+// Reductions
+// ---------------------------------------------------------------------------
+
+// Sum of everything, or along `axis` (which is dropped)
+function sum(a, axis = null) {
+  if (axis === null) {
+    let total = 0;
+    for (let i = 0; i < a.size; i++) {
+      total += a.data[i];
+    }
+    return record(new Float32Array([total]), [1], [a], 'sum', (g) => {
+      const ga = gradOf(a);
+      for (let i = 0; i < a.size; i++) {
+        ga[i] += g[0];
+      }
+    });
+  }
+
+  const ax = axis < 0 ? a.rank + axis : axis;
+  const { outer, inner } = around(a.shape, ax);
+  const dim = a.shape[ax];
+  const shape = a.shape.filter((_, i) => i !== ax);
+  const out = new Float32Array(outer * inner);
+  for (let o = 0; o < outer; o++) {
+    for (let d = 0; d < dim; d++) {
+      const base = (o * dim + d) * inner;
+      for (let i = 0; i < inner; i++) {
+        out[o * inner + i] += a.data[base + i];
+      }
+    }
+  }
+  return record(out, shape.length ? shape : [1], [a], 'sum', (g) => {
+    const ga = gradOf(a);
+    for (let o = 0; o < outer; o++) {
+      for (let d = 0; d < dim; d++) {
+        const base = (o * dim + d) * inner;
+        for (let i = 0; i < inner; i++) {
+          ga[base + i] += g[o * inner + i];
+        }
+      }
+    }
+  });
+}
+
+function mean(a, axis = null) {
+  const count = axis === null ? a.size : a.shape[axis < 0 ? a.rank + axis : axis];
+  return scale(sum(a, axis), 1 / count);
+}
+
+// ---------------------------------------------------------------------------
+// Quantized weights. quantizeWeight() swaps a weight's float32 values for
+// int8 or float16 storage; `data` then decodes them on each read. matmul()
+// and conv2d() multiply int8 weights in integers instead: the input is
+// quantized with the scale calibrated for it, products are summed exactly
+// and the sums are scaled back per output channel. Quantized weights are
+// for inference only and receive no gradients.
+// ---------------------------------------------------------------------------
+
+const QUANTIZED_PRECISIONS = ['int8', 'float16'];
+const INT8_MAX = 127;
+
+const float32Scratch = new Float32Array(1);
+const float32Bits = new Uint32Array(float32Scratch.buffer);
+
+// IEEE 754 half-precision bits of `value`, rounded to nearest even
+function toFloat16(value) {
+  float32Scratch[0] = value;
+  const [bits] = float32Bits;
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 112;
+  let mantissa = bits & 0x7fffff;
+
+  if (exponent >= 0x1f) {
+    // Too large for half precision, infinite or NaN
+    const nan = ((bits >>> 23) & 0xff) === 0xff && mantissa !== 0;
+    return sign | 0x7c00 | (nan ? 0x200 : 0);
+  }
+  if (exponent <= 0) {
+    // Subnormal in half precision, or zero
+    if (exponent < -10) {
+      return sign;
+    }
+    mantissa |= 0x800000;
+    const shift = 14 - exponent;
+    const half = 1 << (shift - 1);
+    const rest = mantissa & ((1 << shift) - 1);
+    let value16 = mantissa >>> shift;
+    if (rest > half || (rest === half && (value16 & 1))) {
+      value16++;
+    }
+    return sign | value16;
+  }
+
+  // A carry out of the mantissa correctly rolls over into the exponent
+  let value16 = sign | (exponent << 10) | (mantissa >>> 13);
+  const rest = mantissa & 0x1fff;
+  if (rest > 0x1000 || (rest === 0x1000 && (value16 & 1))) {
+    value16++;
+  }
+  return value16;
+}
+
+function fromFloat16(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+  if (exponent === 0) {
+    return sign * mantissa * 2 ** -24;
+  }
+  if (exponent === 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function absMax(data) {
+  let max = 0;
+  for (let i = 0; i < data.length; i++) {
+    const v = Math.abs(data[i]);
+    if (v > max) {
+      max = v;
+    }
+  }
+  return max;
+}
+
+// Float32 values of quantized storage
+function dequantize({ precision, values, scales }) {
+  const data = new Float32Array(values.length);
+  if (precision === 'float16') {
+    for (let i = 0; i < values.length; i++) {
+      data[i] = fromFloat16(values[i]);
+    }
+  } else {
+    const channels = scales.length;
+    for (let i = 0; i < values.length; i++) {
+      data[i] = values[i] * scales[i % channels];
+    }
+  }
+  return data;
+}
+
+/**
+ * Replaces `t`'s float32 values with `precision` storage. int8 weights are
+ * scaled symmetrically per output channel (the last dimension) and keep
+ * `inputScale`, the scale inputs are quantized with when multiplied by
+ * them (null quantizes each input by its own range). Passing `values` and,
+ * for int8, `scales` adopts storage that was quantized earlier, e.g. read
+ * from a checkpoint.
+ * @returns {Object} `t.quantized`: `{ precision, values, scales, inputScale }`
+ */
+function quantizeWeight(t, { precision = 'int8', inputScale = null, values = null, scales = null } = {}) {
+  if (!QUANTIZED_PRECISIONS.includes(precision)) {
+    throw new Error(`Unknown quantization precision: ${precision}. Use ${QUANTIZED_PRECISIONS.join(', ')}`);
+  }
+  const size = sizeOf(t.shape);
+  const channels = t.shape[t.rank - 1];
+  let quantized;
+
+  if (values) {
+    if (values.length !== size || (precision === 'int8' && (!scales || scales.length !== channels))) {
+      throw new Error(`Quantized values do not fit a weight of shape [${t.shape}]`);
+    }
+    quantized = { precision, values, scales: precision === 'int8' ? Float32Array.from(scales) : null, inputScale };
+  } else if (precision === 'float16') {
+    quantized = { precision, values: Uint16Array.from(t.data, toFloat16), scales: null, inputScale: null };
+  } else {
+    const { data } = t;
+    const channelMax = new Float32Array(channels);
+    for (let i = 0; i < size; i++) {
+      channelMax[i % channels] = Math.max(channelMax[i % channels], Math.abs(data[i]));
+    }
+    const channelScales = channelMax.map(max => (max > 0 ? max / INT8_MAX : 1));
+    const int8 = new Int8Array(size);
+    for (let i = 0; i < size; i++) {
+      int8[i] = Math.round(data[i] / channelScales[i % channels]);
+    }
+    quantized = { precision, values: int8, scales: channelScales, inputScale: inputScale || null };
+  }
+
+  t.quantized = quantized;
+  t.requiresGrad = false;
+  t.grad = null;
+  Object.defineProperty(t, 'data', { get: () => dequantize(quantized), configurable: true });
+  Object.defineProperty(t, 'size', { value: size, configurable: true });
+  return quantized;
+}
+
+// Input values as int8 at `scale`, or at a scale fitted to their own range; values beyond it saturate
+function quantizeInput(data, scale = null) {
+  const inputScale = scale || absMax(data) / INT8_MAX || 1;
+  const values = new Int8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    values[i] = Math.max(-INT8_MAX, Math.min(INT8_MAX, Math.round(data[i] / inputScale)));
+  }
+  return { values, scale: inputScale };
+}
+
+// While a weight is being calibrated, records the largest input magnitude it is multiplied with
+function observeInput(weight, input, layer) {
+  weight.calibration.absMax = Math.max(weight.calibration.absMax, absMax(input.data));
+  weight.calibration.layer = layer;
+  weight.calibration.batches++;
+}
+
+// ---------------------------------------------------------------------------
+// Linear algebra
+// ---------------------------------------------------------------------------
+
+/**
+ * [..., m, k] x [k, n] (a weight shared across the batch) or
+ * [..., m, k] x [..., k, n] with matching leading dimensions
+ */
+function matmul(a, b) {
+  if (a.rank < 2 || b.rank < 2) {
+    throw new Error(`matmul needs rank >= 2, got [${a.shape}] x [${b.shape}]`);
+  }
+  const k = a.shape[a.rank - 1];
+  const n = b.shape[b.rank - 1];
+  if (b.shape[b.rank - 2] !== k) {
+    throw new Error(`matmul shape mismatch: [${a.shape}] x [${b.shape}]`);
+  }
+
+  const shared = b.rank === 2;
+  // A shared weight lets the whole batch act as one tall matrix
+  const m = shared ? a.size / k : a.shape[a.rank - 2];
+  const batch = shared ? 1 : a.size / (m * k);
+  if (!shared && b.size / (k * n) !== batch) {
+    throw new Error(`matmul batch mismatch: [${a.shape}] x [${b.shape}]`);
+  }
+
+  if (shared && b.calibration) {
+    observeInput(b, a, 'dense');
+  }
+  const int8 = shared && b.quantized?.precision === 'int8';
+  const input = int8 ? quantizeInput(a.data, b.quantized.inputScale) : null;
+
+  const A = int8 ? input.values : a.data, B = int8 ? b.quantized.values : b.data;
+  const out = new Float32Array(batch * m * n);
+  // int8 products are summed in integers, then scaled back
+  const acc = int8 ? new Int32Array(out.length) : out;
+  for (let p = 0; p < batch; p++) {
+    const aOff = p * m * k, bOff = shared ? 0 : p * k * n, oOff = p * m * n;
+    for (let i = 0; i < m; i++) {
+      const oRow = oOff + i * n;
+      for (let kk = 0; kk < k; kk++) {
+        const av = A[aOff + i * k + kk];
+        if (av === 0) {
+          continue;
+        }
+        const bRow = bOff + kk * n;
+        for (let j = 0; j < n; j++) {
+          acc[oRow + j] += av * B[bRow + j];
+        }
+      }
+    }
+  }
+  if (int8) {
+    const { scales } = b.quantized;
+    for (let i = 0; i < out.length; i++) {
+      out[i] = acc[i] * input.scale * scales[i % n];
+    }
+  }
+
+  const shape = [...a.shape.slice(0, -1), n];
+  return record(out, shape, [a, b], 'matmul', (g) => {
+    const ga = gradOf(a);
+    const gb = gradOf(b);
+    for (let p = 0; p < batch; p++) {
+      const aOff = p * m * k, bOff = shared ? 0 : p * k * n, oOff = p * m * n;
+      for (let i = 0; i < m; i++) {
+        const oRow = oOff + i * n;
+        for (let kk = 0; kk < k; kk++) {
+          const bRow = bOff + kk * n;
+          if (ga) {
+            let acc = 0;
+            for (let j = 0; j < n; j++) {
+              acc += g[oRow + j] * B[bRow + j];
+            }
+            ga[aOff + i * k + kk] += acc;
+          }
+          if (gb) {
+            const av = A[aOff + i * k + kk];
+            if (av !== 0) {
+              for (let j = 0; j < n; j++) {
+                gb[bRow + j] += av * g[oRow + j];
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+// x @ weight + bias
+function linear(x, weight, bias = null) {
+  const y = matmul(x, weight);
+  return bias ? add(y, bias) : y;
+}
+
+// ---------------------------------------------------------------------------
+// Normalisation and attention
+// ---------------------------------------------------------------------------
+
+// Softmax over the last dimension
+function softmax(a) {
+  const cols = a.shape[a.rank - 1];
+  const rows = a.size / cols;
+  const out = new Float32Array(a.size);
+  for (let r = 0; r < rows; r++) {
+    const base = r * cols;
+    let max = -Infinity;
+    for (let c = 0; c < cols; c++) {
+      max = Math.max(max, a.data[base + c]);
+    }
+    let total = 0;
+    for (let c = 0; c < cols; c++) {
+      out[base + c] = Math.exp(a.data[base + c] - max);
+      total += out[base + c];
+    }
+    for (let c = 0; c < cols; c++) {
+      out[base + c] /= total;
+    }
+  }
+  return record(out, a.shape, [a], 'softmax', (g) => {
+    const ga = gradOf(a);
+    for (let r = 0; r < rows; r++) {
+      const base = r * cols;
+      let dot = 0;
+      for (let c = 0; c < cols; c++) {
+        dot += g[base + c] * out[base + c];
+      }
+      for (let c = 0; c < cols; c++) {
+        ga[base + c] += out[base + c] * (g[base + c] - dot);
+      }
+    }
+  });
+}
+
+// Backward of (x - mean) / std over groups sharing statistics
+function normalizeGrad(dxhat, xhat, invStd, count) {
+  let sumD = 0, sumDX = 0;
+  for (let i = 0; i < dxhat.length; i++) {
+    sumD += dxhat[i];
+    sumDX += dxhat[i] * xhat[i];
+  }
+  return (i) => (invStd / count) * (count * dxhat[i] - sumD - xhat[i] * sumDX);
+}
+
+// Normalises each position over the last dimension, then scales and shifts
+function layerNorm(x, gamma, beta, eps = 1e-5) {
+  const cols = x.shape[x.rank - 1];
+  const rows = x.size / cols;
+  const xhat = new Float32Array(x.size);
+  const invStd = new Float32Array(rows);
+  const out = new Float32Array(x.size);
+
+  for (let r = 0; r < rows; r++) {
+    const base = r * cols;
+    let mu = 0;
+    for (let c = 0; c < cols; c++) {
+      mu += x.data[base + c];
+    }
+    mu /= cols;
+    let variance = 0;
+    for (let c = 0; c < cols; c++) {
+      const diff = x.data[base + c] - mu;
+      variance += diff * diff;
+    }
+    invStd[r] = 1 / Math.sqrt(variance / cols + eps);
+    for (let c = 0; c < cols; c++) {
+      xhat[base + c] = (x.data[base + c] - mu) * invStd[r];
+      out[base + c] = gamma.data[c] * xhat[base + c] + beta.data[c];
+    }
+  }
+
+  return record(out, x.shape, [x, gamma, beta], 'layerNorm', (g) => {
+    const gx = gradOf(x), gg = gradOf(gamma), gb = gradOf(beta);
+    const dxhat = new Float32Array(cols);
+    for (let r = 0; r < rows; r++) {
+      const base = r * cols;
+      for (let c = 0; c < cols; c++) {
+        dxhat[c] = g[base + c] * gamma.data[c];
+        if (gg) {
+          gg[c] += g[base + c] * xhat[base + c];
+        }
+        if (gb) {
+          gb[c] += g[base + c];
+        }
+      }
+      if (gx) {
+        const dx = normalizeGrad(dxhat, xhat.subarray(base, base + cols), invStd[r], cols);
+        for (let c = 0; c < cols; c++) {
+          gx[base + c] += dx(c);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Normalises each feature (last dimension) over everything else. Training
+ * uses batch statistics and folds them into `stats.runningMean`/`runningVar`
+ * with `stats.momentum`; inference uses the running values.
+ */
+function batchNorm(x, gamma, beta, stats, training = false, eps = 1e-5) {
+  const features = x.shape[x.rank - 1];
+  const count = x.size / features;
+  const mu = new Float32Array(features);
+  const variance = new Float32Array(features);
+
+  if (training) {
+    for (let i = 0; i < x.size; i++) {
+      mu[i % features] += x.data[i];
+    }
+    for (let f = 0; f < features; f++) {
+      mu[f] /= count;
+    }
+    for (let i = 0; i < x.size; i++) {
+      const diff = x.data[i] - mu[i % features];
+      variance[i % features] += diff * diff;
+    }
+    const momentum = stats.momentum ?? 0.9;
+    for (let f = 0; f < features; f++) {
+      variance[f] /= count;
+      stats.runningMean[f] = momentum * stats.runningMean[f] + (1 - momentum) * mu[f];
+      stats.runningVar[f] = momentum * stats.runningVar[f] + (1 - momentum) * variance[f];
+    }
+  } else {
+    mu.set(stats.runningMean);
+    variance.set(stats.runningVar);
+  }
+
+  const invStd = variance.map(v => 1 / Math.sqrt(v + eps));
+  const xhat = new Float32Array(x.size);
+  const out = new Float32Array(x.size);
+  for (let i = 0; i < x.size; i++) {
+    const f = i % features;
+    xhat[i] = (x.data[i] - mu[f]) * invStd[f];
+    out[i] = gamma.data[f] * xhat[i] + beta.data[f];
+  }
+
+  return record(out, x.shape, [x, gamma, beta], 'batchNorm', (g) => {
+    const gx = gradOf(x), gg = gradOf(gamma), gb = gradOf(beta);
+    for (let i = 0; i < x.size; i++) {
+      const f = i % features;
+      if (gg) {
+        gg[f] += g[i] * xhat[i];
+      }
+      if (gb) {
+        gb[f] += g[i];
+      }
+    }
+    if (!gx) {
+      return;
+    }
+    if (!training) {
+      for (let i = 0; i < x.size; i++) {
+        const f = i % features;
+        gx[i] += g[i] * gamma.data[f] * invStd[f];
+      }
+      return;
+    }
+    const dxhat = new Float32Array(count);
+    const column = new Float32Array(count);
+    for (let f = 0; f < features; f++) {
+      for (let r = 0; r < count; r++) {
+        dxhat[r] = g[r * features + f] * gamma.data[f];
+        column[r] = xhat[r * features + f];
+      }
+      const dx = normalizeGrad(dxhat, column, invStd[f], count);
+      for (let r = 0; r < count; r++) {
+        gx[r * features + f] += dx(r);
+      }
+    }
+  });
+}
+
+/**
+ * softmax(q k^T / sqrt(d)) v over [..., seq, d] inputs. `mask`, if given, is
+ * added to the scores (use a large negative number to hide a position).
+ */
+function attention(q, k, v, mask = null) {
+  const d = q.shape[q.rank - 1];
+  let scores = scale(matmul(q, transpose(k)), 1 / Math.sqrt(d));
+  if (mask) {
+    scores = add(scores, mask);
+  }
+  const weights = softmax(scores);
+  return { output: matmul(weights, v), weights };
+}
+
+// ---------------------------------------------------------------------------
+// Convolution and pooling, channels last ([batch, height, width, channels])
+// ---------------------------------------------------------------------------
+
+/**
+ * `kernel` is [kh, kw, inChannels, filters]. 'same' padding centres the
+ * kernel and gives ceil(size / stride) outputs; 'valid' uses no padding.
+ */
+function conv2d(x, kernel, bias = null, { stride = 1, padding = 'valid' } = {}) {
+  const [batch, height, width, inC] = x.shape;
+  const [kh, kw, kernelC, filters] = kernel.shape;
+  if (kernelC !== inC) {
+    throw new Error(`conv2d kernel expects ${kernelC} channels, input has ${inC}`);
+  }
+  const same = padding === 'same';
+  const outH = same ? Math.ceil(height / stride) : Math.floor((height - kh) / stride) + 1;
+  const outW = same ? Math.ceil(width / stride) : Math.floor((width - kw) / stride) + 1;
+  const padH = same ? Math.floor(kh / 2) : 0;
+  const padW = same ? Math.floor(kw / 2) : 0;
+
+  if (kernel.calibration) {
+    observeInput(kernel, x, 'conv');
+  }
+  const int8 = kernel.quantized?.precision === 'int8';
+  const input = int8 ? quantizeInput(x.data, kernel.quantized.inputScale) : null;
+
+  const X = int8 ? input.values : x.data, K = int8 ? kernel.quantized.values : kernel.data;
+  const out = new Float32Array(batch * outH * outW * filters);
+  const acc = int8 ? new Int32Array(out.length) : out;
+
+  // Visits every (output position, kernel tap) pair that lands inside the input
+  const eachTap = (fn) => {
+    for (let b = 0; b < batch; b++) {
+      for (let oh = 0; oh < outH; oh++) {
+        for (let ow = 0; ow < outW; ow++) {
+          const o = ((b * outH + oh) * outW + ow) * filters;
+          for (let i = 0; i < kh; i++) {
+            const ih = oh * stride + i - padH;
+            if (ih < 0 || ih >= height) {
+              continue;
+            }
+            for (let j = 0; j < kw; j++) {
+              const iw = ow * stride + j - padW;
+              if (iw < 0 || iw >= width) {
+                continue;
+              }
+              fn(o, ((b * height + ih) * width + iw) * inC, (i * kw + j) * inC * filters);
+            }
+          }
+        }
+      }
+    }
+  };
+
+  eachTap((o, xi, ki) => {
+    for (let c = 0; c < inC; c++) {
+      const xv = X[xi + c];
+      if (xv === 0) {
+        continue;
+      }
+      const kRow = ki + c * filters;
+      for (let f = 0; f < filters; f++) {
+        acc[o + f] += xv * K[kRow + f];
+      }
+    }
+  });
+  if (int8) {
+    const { scales } = kernel.quantized;
+    for (let i = 0; i < out.length; i++) {
+      out[i] = acc[i] * input.scale * scales[i % filters];
+    }
+  }
+  if (bias) {
+    for (let i = 0; i < out.length; i++) {
+      out[i] += bias.data[i % filters];
+    }
+  }
+
+  const inputs = bias ? [x, kernel, bias] : [x, kernel];
+  return record(out, [batch, outH, outW, filters], inputs, 'conv2d', (g) => {
+    const gx = gradOf(x), gk = gradOf(kernel), gb = bias ? gradOf(bias) : null;
+    eachTap((o, xi, ki) => {
+      for (let c = 0; c < inC; c++) {
+        const kRow = ki + c * filters;
+        let acc = 0;
+        const xv = X[xi + c];
+        for (let f = 0; f < filters; f++) {
+          acc += g[o + f] * K[kRow + f];
+          if (gk) {
+            gk[kRow + f] += xv * g[o + f];
+          }
+        }
+        if (gx) {
+          gx[xi + c] += acc;
+        }
+      }
+    });
+    if (gb) {
+      for (let i = 0; i < g.length; i++) {
+        gb[i % filters] += g[i];
+      }
+    }
+  });
+}
+
+// Non-overlapping max pooling; edge rows/columns that don't fill a window are dropped
+function maxPool2d(x, size) {
+  const [batch, height, width, channels] = x.shape;
+  const outH = Math.floor(height / size);
+  const outW = Math.floor(width / size);
+  const out = new Float32Array(batch * outH * outW * channels);
+  const argmax = new Int32Array(out.length);
+
+  for (let b = 0; b < batch; b++) {
+    for (let oh = 0; oh < outH; oh++) {
+      for (let ow = 0; ow < outW; ow++) {
+        for (let c = 0; c < channels; c++) {
+          const o = ((b * outH + oh) * outW + ow) * channels + c;
+          let best = -Infinity, bestIdx = 0;
+          for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+              const idx = ((b * height + oh * size + i) * width + ow * size + j) * channels + c;
+              if (x.data[idx] > best) {
+                best = x.data[idx];
+                bestIdx = idx;
+              }
+            }
+          }
+          out[o] = best;
+          argmax[o] = bestIdx;
+        }
+      }
+    }
+  }
+
+  return record(out, [batch, outH, outW, channels], [x], 'maxPool2d', (g) => {
+    const gx = gradOf(x);
+    for (let o = 0; o < g.length; o++) {
+      gx[argmax[o]] += g[o];
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Indexing, for embeddings and message passing
+// ---------------------------------------------------------------------------
+
+// Rows of a [rows, dim] table: output is [...indices shape, dim]
+function gather(table, indices, indexShape = [indices.length]) {
+  const [rows, dim] = table.shape;
+  const out = new Float32Array(indices.length * dim);
+  for (let i = 0; i < indices.length; i++) {
+    const row = indices[i];
+    if (!(row >= 0 && row < rows)) {
+      throw new Error(`gather index ${row} out of range [0, ${rows})`);
+    }
+    out.set(table.data.subarray(row * dim, (row + 1) * dim), i * dim);
+  }
+  return record(out, [...indexShape, dim], [table], 'gather', (g) => {
+    const gt = gradOf(table);
+    for (let i = 0; i < indices.length; i++) {
+      const base = indices[i] * dim;
+      for (let d = 0; d < dim; d++) {
+        gt[base + d] += g[i * dim + d];
+      }
+    }
+  });
+}
+
+// Adds row i of `src` into row indices[i] of a [rows, dim] result
+function scatterAdd(src, indices, rows) {
+  const dim = src.shape[src.rank - 1];
+  const out = new Float32Array(rows * dim);
+  for (let i = 0; i < indices.length; i++) {
+    const base = indices[i] * dim;
+    for (let d = 0; d < dim; d++) {
+      out[base + d] += src.data[i * dim + d];
+    }
+  }
+  return record(out, [rows, dim], [src], 'scatterAdd', (g) => {
+    const gs = gradOf(src);
+    for (let i = 0; i < indices.length; i++) {
+      const base = indices[i] * dim;
+      for (let d = 0; d < dim; d++) {
+        gs[i * dim + d] += g[base + d];
+      }
+    }
+  });
+}
+
+// Elementwise max of the rows sent to each result row; rows receiving none are 0
+function scatterMax(src, indices, rows) {
+  const dim = src.shape[src.rank - 1];
+  const out = new Float32Array(rows * dim).fill(-Infinity);
+  const from = new Int32Array(rows * dim).fill(-1);
+  for (let i = 0; i < indices.length; i++) {
+    const base = indices[i] * dim;
+    for (let d = 0; d < dim; d++) {
+      if (src.data[i * dim + d] > out[base + d]) {
+        out[base + d] = src.data[i * dim + d];
+        from[base + d] = i * dim + d;
+      }
+    }
+  }
+  for (let i = 0; i < out.length; i++) {
+    if (from[i] < 0) {
+      out[i] = 0;
+    }
+  }
+  return record(out, [rows, dim], [src], 'scatterMax', (g) => {
+    const gs = gradOf(src);
+    for (let i = 0; i < g.length; i++) {
+      if (from[i] >= 0) {
+        gs[from[i]] += g[i];
+      }
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Losses. 'mean' averages over every element; 'batchmean' sums each sample
+// and averages over the first (batch) dimension.
+// ---------------------------------------------------------------------------
+
+function reduceLoss(total, a, reduction) {
+  return reduction === 'batchmean' ? total / a.shape[0] : total / a.size;
+}
+
+function checkTarget(pred, target) {
+  if (target.size !== pred.size) {
+    throw new Error(`Target shape [${target.shape}] does not match prediction [${pred.shape}]`);
+  }
+}
+
+function mseLoss(pred, target, { reduction = 'mean' } = {}) {
+  checkTarget(pred, target);
+  let total = 0;
+  for (let i = 0; i < pred.size; i++) {
+    const diff = pred.data[i] - target.data[i];
+    total += diff * diff;
+  }
+  const norm = reduceLoss(1, pred, reduction);
+  return record(new Float32Array([total * norm]), [1], [pred], 'mseLoss', (g) => {
+    const gp = gradOf(pred);
+    for (let i = 0; i < pred.size; i++) {
+      gp[i] += g[0] * 2 * (pred.data[i] - target.data[i]) * norm;
+    }
+  });
+}
+
+// On probabilities (after a sigmoid)
+function binaryCrossEntropy(pred, target, { reduction = 'mean', eps = 1e-7 } = {}) {
+  checkTarget(pred, target);
+  let total = 0;
+  for (let i = 0; i < pred.size; i++) {
+    const p = Math.min(1 - eps, Math.max(eps, pred.data[i]));
+    total -= target.data[i] * Math.log(p) + (1 - target.data[i]) * Math.log(1 - p);
+  }
+  const norm = reduceLoss(1, pred, reduction);
+  return record(new Float32Array([total * norm]), [1], [pred], 'binaryCrossEntropy', (g) => {
+    const gp = gradOf(pred);
+    for (let i = 0; i < pred.size; i++) {
+      const p = Math.min(1 - eps, Math.max(eps, pred.data[i]));
+      gp[i] += g[0] * norm * ((p - target.data[i]) / (p * (1 - p)));
+    }
+  });
+}
+
+// Class distribution per row: one-hot/probability rows of the same shape, or class indices
+function targetDistribution(pred, target) {
+  const cols = pred.shape[pred.rank - 1];
+  const rows = pred.size / cols;
+  const data = target instanceof Tensor ? target.data : target;
+  if (data.length === pred.size) {
+    return data;
+  }
+  if (data.length !== rows) {
+    throw new Error(`Target has ${data.length} values; expected ${rows} class indices or ${pred.size} probabilities`);
+  }
+  const oneHot = new Float32Array(pred.size);
+  for (let r = 0; r < rows; r++) {
+    const cls = Math.round(data[r]);
+    if (!(cls >= 0 && cls < cols)) {
+      throw new Error(`Class index ${data[r]} out of range [0, ${cols})`);
+    }
+    oneHot[r * cols + cls] = 1;
+  }
+  return oneHot;
+}
+
+// Softmax cross-entropy on logits, averaged over rows
+function softmaxCrossEntropy(logits, target) {
+  const cols = logits.shape[logits.rank - 1];
+  const rows = logits.size / cols;
+  const t = targetDistribution(logits, target);
+  const probs = new Float32Array(logits.size);
+  let total = 0;
+  for (let r = 0; r < rows; r++) {
+    const base = r * cols;
+    let max = -Infinity;
+    for (let c = 0; c < cols; c++) {
+      max = Math.max(max, logits.data[base + c]);
+    }
+    let sumExp = 0;
+    for (let c = 0; c < cols; c++) {
+      probs[base + c] = Math.exp(logits.data[base + c] - max);
+      sumExp += probs[base + c];
+    }
+    const logSum = Math.log(sumExp) + max;
+    for (let c = 0; c < cols; c++) {
+      probs[base + c] /= sumExp;
+      if (t[base + c] !== 0) {
+        total -= t[base + c] * (logits.data[base + c] - logSum);
+      }
+    }
+  }
+  return record(new Float32Array([total / rows]), [1], [logits], 'softmaxCrossEntropy', (g) => {
+    const gl = gradOf(logits);
+    for (let r = 0; r < rows; r++) {
+      let mass = 0;
+      for (let c = 0; c < cols; c++) {
+        mass += t[r * cols + c];
+      }
+      for (let c = 0; c < cols; c++) {
+        const i = r * cols + c;
+        gl[i] += g[0] * (probs[i] * mass - t[i]) / rows;
+      }
+    }
+  });
+}
+
+// Cross-entropy on probabilities (after a softmax), averaged over rows
+function categoricalCrossEntropy(probs, target, { eps = 1e-7 } = {}) {
+  const cols = probs.shape[probs.rank - 1];
+  const rows = probs.size / cols;
+  const t = targetDistribution(probs, target);
+  let total = 0;
+  for (let i = 0; i < probs.size; i++) {
+    if (t[i] !== 0) {
+      total -= t[i] * Math.log(Math.max(eps, probs.data[i]));
+    }
+  }
+  return record(new Float32Array([total / rows]), [1], [probs], 'categoricalCrossEntropy', (g) => {
+    const gp = gradOf(probs);
+    for (let i = 0; i < probs.size; i++) {
+      if (t[i] !== 0) {
+        gp[i] -= g[0] * t[i] / (Math.max(eps, probs.data[i]) * rows);
+      }
+    }
+  });
+}
+
+// KL(N(mu, exp(logVar)) || N(0, 1)), summed per sample and averaged over the batch
+function klDivergence(mu, logVar) {
+  const [batch] = mu.shape;
+  let total = 0;
+  for (let i = 0; i < mu.size; i++) {
+    total += -0.5 * (1 + logVar.data[i] - mu.data[i] * mu.data[i] - Math.exp(logVar.data[i]));
+  }
+  return record(new Float32Array([total / batch]), [1], [mu, logVar], 'klDivergence', (g) => {
+    const gm = gradOf(mu), gv = gradOf(logVar);
+    for (let i = 0; i < mu.size; i++) {
+      if (gm) {
+        gm[i] += g[0] * mu.data[i] / batch;
+      }
+      if (gv) {
+        gv[i] += g[0] * 0.5 * (Math.exp(logVar.data[i]) - 1) / batch;
+      }
+    }
+  });
+}
+
+export {
+  Tensor,
+  backward,
+  sizeOf,
+  // arithmetic
+  add,
+  sub,
+  mul,
+  scale,
+  // activations
+  relu,
+  leakyRelu,
+  elu,
+  sigmoid,
+  tanh,
+  swish,
+  exp,
+  square,
+  abs,
+  activation,
+  dropout,
+  // shapes
+  reshape,
+  permute,
+  transpose,
+  concat,
+  slice,
+  select,
+  stack,
+  // reductions
+  sum,
+  mean,
+  // layers
+  matmul,
+  linear,
+  softmax,
+  layerNorm,
+  batchNorm,
+  attention,
+  conv2d,
+  maxPool2d,
+  gather,
+  scatterAdd,
+  scatterMax,
+  // losses
+  mseLoss,
+  binaryCrossEntropy,
+  softmaxCrossEntropy,
+  categoricalCrossEntropy,
+  klDivergence,
+  // quantization
+  QUANTIZED_PRECISIONS,
+  quantizeWeight,
+  toFloat16,
+  fromFloat16,
+};
@@ -1,8 +1,20 @@
 /**
  * Base Neural Model Class
  * Abstract base class for all neural network models
+ *
+ * Subclasses register their weights as parameters (tensors from autograd.js
+ * that track gradients) and build forward() from autograd ops. The generic
+ * train() loop here then batches the data, computes the loss, runs the
+ * backward pass and updates the parameters.
  */
 
+import * as ag from './autograd.js';
+import { CallbackList } from './callbacks.js';
+import { readCheckpoint, writeCheckpoint } from './checkpoint.js';
+import { Dataset, DatasetStream } from './dataset.js';
+import { createOptimizer } from './optimizers.js';
+import { createScheduler } from './schedulers.js';
+
 class NeuralModel {
   constructor(modelType) {
     this.modelType = modelType;
@@ -14,6 +26,16 @@ class NeuralModel {
       epochsTrained: 0,
       totalSamples: 0,
     };
+
+    // Trainable tensors and non-trainable state (e.g. running statistics), by name
+    this.params = new Map();
+    this.buffers = new Map();
+
+    // Created on first use (plain SGD) or by train({ optimizer })
+    this.optimizer = null;
+
+    // Set by quantizeModel() (see quantization.js): { precision, layers, calibrationSamples }
+    this.quantization = null;
   }
 
   // Abstract methods to be implemented by subclasses
@@ -21,28 +43,446 @@ class NeuralModel {
     throw new Error('forward() must be implemented by subclass');
   }
 
-  async train(trainingData, _options = {}) {
-    throw new Error('train() must be implemented by subclass');
+  // Registers a trainable weight; `data` may carry its own `shape`
+  parameter(name, data, shape = data.shape || [data.length]) {
+    const tensor = new ag.Tensor(data, shape, { requiresGrad: true });
+    this.params.set(name, tensor);
+    return tensor;
   }
 
-  async backward(loss, _learningRate) {
-    // Default backward pass - can be overridden
-    console.log(`Backward pass for ${this.modelType} with loss: ${loss}`);
-    return true;
+  // Registers state that is saved with the weights but not trained
+  buffer(name, data) {
+    this.buffers.set(name, data);
+    return data;
   }
 
-  async validate(validationData) {
-    let totalLoss = 0;
-    let batchCount = 0;
+  parameters() {
+    return [...this.params.values()];
+  }
+
+  countParameters() {
+    return this.parameters().reduce((count, p) => count + p.size, 0);
+  }
+
+  zeroGrad() {
+    for (const p of this.params.values()) {
+      p.grad = null;
+    }
+  }
+
+  /**
+   * Backpropagates `loss` (a scalar tensor from forward() and a loss op) and
+   * takes one gradient step. Returns the gradient norm before clipping.
+   */
+  async backward(loss, learningRate = 0.001, gradientClipping = null) {
+    ag.backward(loss);
+    return this.applyGradients(learningRate, gradientClipping);
+  }
+
+  // Optimizer step, scaling all gradients down first when their global norm exceeds `gradientClipping`
+  applyGradients(learningRate, gradientClipping = null) {
+    let squared = 0;
+    for (const p of this.params.values()) {
+      if (p.grad) {
+        for (let i = 0; i < p.grad.length; i++) {
+          squared += p.grad[i] * p.grad[i];
+        }
+      }
+    }
+    const norm = Math.sqrt(squared);
+    if (!Number.isFinite(norm)) {
+      this.zeroGrad();
+      throw new Error(`${this.modelType} gradients are not finite; lower the learning rate or enable gradientClipping`);
+    }
+
+    const clip = gradientClipping && norm > gradientClipping ? gradientClipping / norm : 1;
+    this.getOptimizer().step(this.params, learningRate, clip);
+    this.zeroGrad();
+    return norm;
+  }
+
+  getOptimizer() {
+    if (!this.optimizer) {
+      this.optimizer = createOptimizer('sgd');
+    }
+    return this.optimizer;
+  }
+
+  /**
+   * Switches to the optimizer described by `spec` (see createOptimizer()).
+   * Asking for the optimizer already in use, with the same settings, keeps
+   * it and its accumulated state.
+   */
+  setOptimizer(spec) {
+    const optimizer = createOptimizer(spec);
+    const current = this.optimizer;
+    const unchanged = current && current !== optimizer && current.type === optimizer.type &&
+      JSON.stringify(current.options) === JSON.stringify(optimizer.options);
+    if (!unchanged) {
+      this.optimizer = optimizer;
+    }
+    return this.optimizer;
+  }
+
+  // Optimizer type, settings and per-parameter state, or null before the first step
+  getOptimizerState() {
+    return this.optimizer ? this.optimizer.getState() : null;
+  }
+
+  setOptimizerState(state) {
+    for (const [name, slots] of Object.entries(state.slots || {})) {
+      const param = this.params.get(name);
+      if (!param) {
+        throw new Error(`${this.modelType} has no parameter named ${name}`);
+      }
+      for (const [slot, values] of Object.entries(slots)) {
+        if (values.length !== param.size) {
+          throw new Error(`Optimizer state ${name}.${slot} has ${values.length} values, expected ${param.size}`);
+        }
+      }
+    }
+    this.optimizer = createOptimizer({ type: state.type, ...state.options });
+    this.optimizer.setState(state);
+  }
+
+  /**
+   * Normalises training data to `[{ input, target }]`. Accepts an array of
+   * samples (`input`/`inputs`, `target`/`targets`), a Dataset (see
+   * dataset.js), or an object of columns `{ inputs, targets }` holding
+   * arrays or batched tensors.
+   */
+  toSamples(data) {
+    if (Array.isArray(data) || data instanceof Dataset) {
+      return Array.from(data, sample => ({
+        input: sample.input ?? sample.inputs,
+        target: sample.target ?? sample.targets,
+      }));
+    }
+    if (data && data.inputs !== undefined) {
+      const inputs = this.unbatch(data.inputs);
+      const targets = data.targets === undefined ? [] : this.unbatch(data.targets);
+      return inputs.map((input, i) => ({ input, target: targets[i] }));
+    }
+    throw new Error(`${this.modelType} expects an array of { input, target } samples or { inputs, targets }`);
+  }
 
-    for (const batch of validationData) {
-      const predictions = await this.forward(batch.inputs, false);
-      const loss = this.crossEntropyLoss(predictions, batch.targets);
-      totalLoss += loss;
-      batchCount++;
+  // Splits a batched tensor along its first dimension; arrays are already per sample
+  unbatch(values) {
+    if (Array.isArray(values)) {
+      return values;
     }
+    const batch = ag.Tensor.from(values);
+    return Array.from({ length: batch.shape[0] }, (_, i) => ag.select(batch, 0, i).detach());
+  }
+
+  // Stacks per-sample values into one [batch, ...sampleShape] tensor; plain numbers give [batch]
+  stackSamples(values) {
+    const tensors = values.map(v => ag.Tensor.from(v));
+    const sampleShape = tensors[0].shape;
+    const data = new Float32Array(tensors.length * tensors[0].size);
+    tensors.forEach((t, i) => {
+      if (t.size !== tensors[0].size) {
+        throw new Error(`${this.modelType} samples must all have the same shape, got [${t.shape}] and [${sampleShape}]`);
+      }
+      data.set(t.data, i * t.size);
+    });
+    const scalars = values.every(v => typeof v === 'number');
+    return new ag.Tensor(data, scalars ? [tensors.length] : [tensors.length, ...sampleShape]);
+  }
+
+  batchInputs(samples) {
+    return this.stackSamples(samples.map(s => s.input));
+  }
+
+  batchTargets(samples) {
+    return this.stackSamples(samples.map(s => s.target));
+  }
+
+  /**
+   * Loss for a batch of samples; models with more than one output or extra
+   * terms override this. The context carries `training` and, during train(),
+   * `epoch`, `epochs` and the train() `options`. Returns `{ loss, metrics }`
+   * where `loss` is a scalar tensor and `metrics` plain numbers.
+   */
+  async computeLoss(samples, { training = false } = {}) {
+    const output = await this.forward(this.batchInputs(samples), training);
+    return this.lossFor(output, this.batchTargets(samples));
+  }
+
+  // `config.loss`, else cross-entropy on logits for several outputs and MSE for one
+  defaultLoss(output) {
+    return this.config?.loss || (output.shape[output.rank - 1] > 1 ? 'cross_entropy' : 'mse');
+  }
+
+  lossFor(output, target, lossType = this.defaultLoss(output)) {
+    switch (lossType) {
+    case 'cross_entropy':
+      return {
+        loss: ag.softmaxCrossEntropy(output, target),
+        metrics: { accuracy: this.classificationAccuracy(output, target) },
+      };
+    case 'categorical_cross_entropy':
+      return {
+        loss: ag.categoricalCrossEntropy(output, target),
+        metrics: { accuracy: this.classificationAccuracy(output, target) },
+      };
+    case 'binary_cross_entropy':
+      return { loss: ag.binaryCrossEntropy(ag.sigmoid(output), target), metrics: {} };
+    case 'mse':
+      return { loss: ag.mseLoss(output, ag.Tensor.from(target, output.shape)), metrics: {} };
+    default:
+      throw new Error(`Unknown loss for ${this.modelType}: ${lossType}`);
+    }
+  }
+
+  // Fraction of rows whose highest output matches the target class (an index or the target's highest entry)
+  classificationAccuracy(output, target) {
+    const cols = output.shape[output.rank - 1];
+    const rows = output.size / cols;
+    const indices = target.size === rows;
+    const argmax = (data, base) => {
+      let best = 0;
+      for (let c = 1; c < cols; c++) {
+        if (data[base + c] > data[base + best]) {
+          best = c;
+        }
+      }
+      return best;
+    };
 
-    return totalLoss / batchCount;
+    let correct = 0;
+    for (let r = 0; r < rows; r++) {
+      const expected = indices ? Math.round(target.data[r]) : argmax(target.data, r * cols);
+      if (argmax(output.data, r * cols) === expected) {
+        correct++;
+      }
+    }
+    return correct / rows;
+  }
+
+  // Learning rate for a step (`options` are the train() options); models with a schedule override this
+  learningRateAt({ baseLearningRate }) {
+    return baseLearningRate;
+  }
+
+  /**
+   * Mini-batch training. Each epoch shuffles the training split, takes one
+   * gradient step per batch and scores the validation split.
+   *
+   * `trainingData` is anything toSamples() accepts, or a DatasetStream,
+   * which is read afresh every epoch and shuffled through a buffer of
+   * `shuffleBuffer` samples. `validationData` (in any of those forms)
+   * replaces the `validationSplit` share held out of the training data;
+   * streams are only scored against `validationData`.
+   *
+   * `optimizer` (see optimizers.js) defaults to the model's current one,
+   * plain SGD at first. `scheduler` (see schedulers.js) replaces the
+   * model's own learningRateAt() schedule and is told the validation loss
+   * (or training loss) after each epoch.
+   *
+   * `callbacks` (see callbacks.js) are run around every batch and epoch and
+   * can end training early; the result then names the `stopReason`.
+   * `initialEpoch` resumes a run, e.g. from a ModelCheckpoint file: epochs
+   * are numbered on from it up to `epochs`.
+   */
+  async train(trainingData, options = {}) {
+    const {
+      epochs = 10,
+      batchSize = 32,
+      learningRate = 0.001,
+      gradientClipping = null,
+      validationSplit = 0.1,
+      validationData = null,
+      shuffleBuffer = 1024,
+      initialEpoch = 0,
+      verbose = true,
+    } = options;
+
+    if (this.quantization) {
+      throw new Error(`This ${this.modelType} model is quantized to ${this.quantization.precision} for inference; train the float32 model instead`);
+    }
+    if (options.optimizer) {
+      this.setOptimizer(options.optimizer);
+    }
+    const scheduler = options.scheduler ? createScheduler(options.scheduler) : null;
+    const callbacks = new CallbackList(options.callbacks, this);
+
+    let trainData = trainingData;
+    let valData = [];
+    if (!(trainingData instanceof DatasetStream)) {
+      const samples = this.toSamples(trainingData);
+      if (samples.length === 0) {
+        throw new Error(`${this.modelType} training data is empty`);
+      }
+      const splitIndex = validationData ? samples.length : Math.max(1, Math.floor(samples.length * (1 - validationSplit)));
+      trainData = samples.slice(0, splitIndex);
+      valData = samples.slice(splitIndex);
+    }
+    if (validationData) {
+      valData = validationData instanceof DatasetStream ? validationData : this.toSamples(validationData);
+    }
+    const hasValidation = valData instanceof DatasetStream || valData.length > 0;
+
+    const history = [];
+    // Unknown for a stream until its first epoch has been read
+    let stepsPerEpoch = Array.isArray(trainData) ? Math.ceil(trainData.length / batchSize) : undefined;
+    let step = stepsPerEpoch ? initialEpoch * stepsPerEpoch : 0;
+
+    await callbacks.call('onTrainStart', { epochs, initialEpoch, options });
+
+    for (let epoch = initialEpoch; epoch < epochs && !callbacks.stopped; epoch++) {
+      const totals = {};
+      let epochLoss = 0;
+      let seen = 0;
+      let rate = learningRate;
+      const firstStep = step;
+
+      await callbacks.call('onEpochStart', { epoch: epoch + 1, epochs });
+
+      for await (const batch of this.batches(trainData, batchSize, { shuffle: true, shuffleBuffer })) {
+        const position = { baseLearningRate: learningRate, epoch, epochs, step, stepsPerEpoch, options };
+        rate = scheduler ? scheduler.learningRate(position) : this.learningRateAt(position);
+
+        const { loss, metrics } = await this.computeLoss(batch, { training: true, epoch, epochs, options });
+        // A NaN or infinite loss would only corrupt the weights, so its step is skipped
+        const batchLoss = loss.item();
+        if (Number.isFinite(batchLoss)) {
+          await this.backward(loss, rate, gradientClipping);
+        }
+
+        epochLoss += batchLoss * batch.length;
+        for (const [name, value] of Object.entries(metrics)) {
+          totals[name] = (totals[name] || 0) + value * batch.length;
+        }
+        seen += batch.length;
+        step++;
+
+        await callbacks.call('onBatchEnd', {
+          epoch: epoch + 1,
+          batch: step - firstStep - 1,
+          step,
+          size: batch.length,
+          loss: batchLoss,
+          metrics,
+          learningRate: rate,
+        });
+        if (callbacks.stopped) {
+          break;
+        }
+        if (!Number.isFinite(batchLoss)) {
+          throw new Error(`${this.modelType} loss is ${batchLoss}; lower the learning rate or enable gradientClipping`);
+        }
+      }
+      if (seen === 0) {
+        throw new Error(`${this.modelType} training data is empty`);
+      }
+      if (!callbacks.stopped) {
+        stepsPerEpoch = step - firstStep;
+      }
+
+      const entry = { epoch: epoch + 1, trainLoss: epochLoss / seen };
+      for (const [name, value] of Object.entries(totals)) {
+        entry[`train${name[0].toUpperCase()}${name.slice(1)}`] = value / seen;
+      }
+
+      // A diverged model is not worth scoring
+      let validation = null;
+      if (hasValidation && Number.isFinite(entry.trainLoss)) {
+        validation = await this.evaluate(valData, { batchSize });
+        entry.valLoss = validation.loss;
+        for (const [name, value] of Object.entries(validation)) {
+          if (name !== 'loss') {
+            entry[`val${name[0].toUpperCase()}${name.slice(1)}`] = value;
+          }
+        }
+      } else {
+        entry.valLoss = null;
+      }
+      entry.learningRate = rate;
+      scheduler?.observe(entry.valLoss ?? entry.trainLoss);
+
+      history.push(entry);
+      this.trainingHistory.push(entry);
+      this.metrics.totalSamples += seen;
+      const accuracy = validation?.accuracy ?? entry.trainAccuracy;
+      this.updateMetrics(entry.trainLoss, accuracy ?? null);
+
+      if (verbose) {
+        const valText = entry.valLoss === null ? '' : `, Val Loss: ${entry.valLoss.toFixed(4)}`;
+        const accText = accuracy === undefined ? '' : `, Accuracy: ${(accuracy * 100).toFixed(1)}%`;
+        console.log(`Epoch ${epoch + 1}/${epochs} - Train Loss: ${entry.trainLoss.toFixed(4)}${valText}${accText}`);
+      }
+
+      await callbacks.call('onEpochEnd', { epoch: epoch + 1, epochs, logs: entry, history });
+    }
+
+    await callbacks.call('onTrainEnd', { epochs, history, stopReason: callbacks.stopReason });
+    if (verbose && callbacks.stopped) {
+      console.log(`Training stopped after epoch ${history[history.length - 1]?.epoch ?? initialEpoch}: ${callbacks.stopReason}`);
+    }
+
+    const last = history[history.length - 1];
+    const accuracy = last?.valAccuracy ?? last?.trainAccuracy;
+    return {
+      history,
+      finalLoss: last ? last.trainLoss : this.metrics.loss,
+      modelType: this.modelType,
+      optimizer: this.getOptimizer().type,
+      ...(accuracy === undefined ? {} : { accuracy }),
+      stoppedEarly: callbacks.stopped,
+      stopReason: callbacks.stopReason,
+    };
+  }
+
+  // Batches from a list of samples or, converted by toSamples(), from a DatasetStream
+  async *batches(data, batchSize, { shuffle = false, shuffleBuffer = 0 } = {}) {
+    if (data instanceof DatasetStream) {
+      for await (const batch of data.batches(batchSize, { shuffleBuffer: shuffle ? shuffleBuffer : 0 })) {
+        yield this.toSamples(batch);
+      }
+      return;
+    }
+    const samples = shuffle ? this.shuffle(data) : data;
+    for (let i = 0; i < samples.length; i += batchSize) {
+      yield samples.slice(i, i + batchSize);
+    }
+  }
+
+  // Average loss and metrics over `data` (see train()) without updating the weights
+  async evaluate(data, { batchSize = 32 } = {}) {
+    const samples = data instanceof DatasetStream ? data : this.toSamples(data);
+    const totals = { loss: 0 };
+    let count = 0;
+    for await (const batch of this.batches(samples, batchSize)) {
+      const { loss, metrics } = await this.computeLoss(batch, { training: false });
+      totals.loss += loss.item() * batch.length;
+      for (const [name, value] of Object.entries(metrics)) {
+        totals[name] = (totals[name] || 0) + value * batch.length;
+      }
+      count += batch.length;
+    }
+    for (const name of Object.keys(totals)) {
+      totals[name] /= count;
+    }
+    return totals;
+  }
+
+  async validate(validationData) {
+    return (await this.evaluate(validationData)).loss;
+  }
+
+  // Inference: forward() in evaluation mode, with tensors returned as plain Float32Arrays (carrying `shape`)
+  async predict(input) {
+    const toPlain = (value) => {
+      if (value instanceof ag.Tensor) {
+        return value.toArray();
+      }
+      if (value && typeof value === 'object' && !ArrayBuffer.isView(value) && !Array.isArray(value)) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+      }
+      return value;
+    };
+    return toPlain(await this.forward(input, false));
   }
 
   // Common utility methods
@@ -200,34 +640,129 @@ class NeuralModel {
   }
 
   // Model persistence methods
+
+  /**
+   * Writes a checkpoint (see checkpoint.js) holding the config, weights,
+   * optimizer state, metrics and training history. Returns the file's
+   * path, size, format version and checksum.
+   */
   async save(filePath) {
-    const modelData = {
+    const tensors = [];
+    for (const [name, p] of this.params) {
+      if (p.quantized) {
+        const { precision, values, scales, inputScale } = p.quantized;
+        tensors.push({ name, kind: 'param', dtype: precision, data: values, shape: p.shape, scales, inputScale });
+      } else {
+        tensors.push({ name, kind: 'param', data: p.data, shape: p.shape });
+      }
+    }
+    for (const [name, data] of this.buffers) {
+      tensors.push({ name, kind: 'buffer', data });
+    }
+
+    let optimizer = null;
+    const optimizerState = this.getOptimizerState();
+    if (optimizerState) {
+      const { slots, ...settings } = optimizerState;
+      optimizer = settings;
+      for (const [name, buffers] of Object.entries(slots)) {
+        for (const [slot, data] of Object.entries(buffers)) {
+          tensors.push({ name: `${name}:${slot}`, kind: 'optimizer', data });
+        }
+      }
+    }
+
+    const saved = await writeCheckpoint(filePath, {
       modelType: this.modelType,
-      config: this.getConfig(),
-      weights: this.getWeights(),
+      config: this.config || {},
       metrics: this.metrics,
       trainingHistory: this.trainingHistory,
-    };
-
-    // In a real implementation, save to file
-    console.log(`Saving ${this.modelType} model to ${filePath}`);
-    return modelData;
+      tensors,
+      optimizer,
+      quantization: this.quantization,
+    });
+    return { ...saved, modelType: this.modelType };
   }
 
+  // Restores a checkpoint written by save() into this model, which must have the same architecture
   async load(filePath) {
-    // In a real implementation, load from file
-    console.log(`Loading ${this.modelType} model from ${filePath}`);
-    return true;
+    return this.restoreCheckpoint(await readCheckpoint(filePath));
   }
 
+  restoreCheckpoint(checkpoint) {
+    if (checkpoint.modelType !== this.modelType) {
+      throw new Error(`Checkpoint holds a ${checkpoint.modelType} model, not ${this.modelType}`);
+    }
+
+    const weights = {};
+    const quantized = {};
+    const slots = {};
+    for (const { name, kind, dtype, data, scales, inputScale } of checkpoint.tensors) {
+      if (kind === 'optimizer') {
+        const [param, slot] = name.split(':');
+        slots[param] = { ...slots[param], [slot]: data };
+      } else if (dtype && dtype !== 'float32') {
+        quantized[name] = { precision: dtype, values: data, scales, inputScale };
+      } else {
+        weights[name] = data;
+      }
+    }
+
+    const missing = [...this.params.keys(), ...this.buffers.keys()].filter(name => !(name in weights) && !(name in quantized));
+    if (missing.length > 0) {
+      throw new Error(`Checkpoint has no values for ${missing.join(', ')}; it was saved from a ${this.modelType} with a different config`);
+    }
+    this.setWeights(weights);
+    for (const [name, storage] of Object.entries(quantized)) {
+      const param = this.params.get(name);
+      if (!param) {
+        throw new Error(`${this.modelType} has no parameter named ${name}`);
+      }
+      ag.quantizeWeight(param, storage);
+    }
+    this.quantization = checkpoint.quantization || null;
+
+    this.optimizer = null;
+    if (checkpoint.optimizer) {
+      this.setOptimizerState({ ...checkpoint.optimizer, slots });
+    }
+    this.metrics = { ...this.metrics, ...checkpoint.metrics };
+    this.trainingHistory = [...checkpoint.trainingHistory];
+
+    return {
+      modelType: checkpoint.modelType,
+      formatVersion: checkpoint.formatVersion,
+      checksum: checkpoint.checksum,
+      savedAt: checkpoint.savedAt,
+    };
+  }
+
+  // Copies of every parameter and buffer, by name
   getWeights() {
-    // To be overridden by subclasses
-    return {};
+    const weights = {};
+    for (const [name, p] of this.params) {
+      weights[name] = p.toArray();
+    }
+    for (const [name, data] of this.buffers) {
+      weights[name] = Float32Array.from(data);
+    }
+    return weights;
   }
 
-  setWeights(_weights) {
-    // To be overridden by subclasses
-    console.log(`Setting weights for ${this.modelType}`);
+  setWeights(weights) {
+    for (const [name, values] of Object.entries(weights)) {
+      if (this.params.get(name)?.quantized) {
+        throw new Error(`Weight ${name} is quantized and cannot be overwritten`);
+      }
+      const target = this.params.get(name)?.data || this.buffers.get(name);
+      if (!target) {
+        throw new Error(`${this.modelType} has no weight named ${name}`);
+      }
+      if (values.length !== target.length) {
+        throw new Error(`Weight ${name} has ${values.length} values, expected ${target.length}`);
+      }
+      target.set(values);
+    }
   }
 
   getConfig() {
@@ -262,6 +797,10 @@ class NeuralModel {
       epochsTrained: 0,
       totalSamples: 0,
     };
+    this.params.clear();
+    this.buffers.clear();
+    this.optimizer = null;
+    this.quantization = null;
     this.initializeWeights();
   }
 }
@@ -0,0 +1,347 @@
+/**
+ * Training callbacks for NeuralModel.train() and the manager's networks
+ *
+ * train() calls each callback's hooks in order and awaits them:
+ * onTrainStart, onEpochStart, onBatchEnd (after every gradient step),
+ * onEpochEnd (with the epoch's history entry as `logs`) and onTrainEnd.
+ * Every hook gets the `model` and a `stop(reason)` function; training ends
+ * after the current batch once any callback has called it. Epochs count
+ * from 1, as in the history entries.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const HOOKS = ['onTrainStart', 'onEpochStart', 'onBatchEnd', 'onEpochEnd', 'onTrainEnd'];
+
+class Callback {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.options = options;
+  }
+
+  onTrainStart(_context) {}
+
+  onEpochStart(_context) {}
+
+  onBatchEnd(_context) {}
+
+  onEpochEnd(_context) {}
+
+  onTrainEnd(_context) {}
+}
+
+// Wraps a plain object of hook functions
+class LambdaCallback extends Callback {
+  constructor(hooks = {}) {
+    super('lambda');
+    for (const hook of HOOKS) {
+      if (typeof hooks[hook] === 'function') {
+        this[hook] = hooks[hook];
+      }
+    }
+  }
+}
+
+// 'max' for accuracy-like quantities, 'min' for losses and anything else
+function resolveMode(mode, monitor) {
+  if (mode === 'min' || mode === 'max') {
+    return mode;
+  }
+  if (mode !== 'auto') {
+    throw new Error(`Unknown monitor mode: ${mode}. Use min, max or auto`);
+  }
+  return /acc/i.test(monitor) ? 'max' : 'min';
+}
+
+// The monitored value from an epoch's logs; `valX` falls back to `trainX` when there is no validation data
+function monitoredValue(logs, monitor) {
+  const value = logs[monitor];
+  if ((value === null || value === undefined) && monitor.startsWith('val')) {
+    return logs[`train${monitor.slice(3)}`] ?? null;
+  }
+  return value ?? null;
+}
+
+function isImprovement(value, best, mode, minDelta = 0) {
+  if (!Number.isFinite(value)) {
+    return false;
+  }
+  if (best === null) {
+    return true;
+  }
+  return mode === 'min' ? value < best - minDelta : value > best + minDelta;
+}
+
+/**
+ * Stops training once `monitor` has not improved by more than `minDelta`
+ * for `patience` epochs. With `restoreBestWeights` the model ends training
+ * with the weights of its best epoch.
+ */
+class EarlyStopping extends Callback {
+  constructor({ monitor = 'valLoss', patience = 10, minDelta = 0, mode = 'auto', restoreBestWeights = true } = {}) {
+    super('early_stopping', { monitor, patience, minDelta, mode: resolveMode(mode, monitor), restoreBestWeights });
+    this.reset();
+  }
+
+  reset() {
+    this.best = null;
+    this.bestEpoch = null;
+    this.bestWeights = null;
+    this.wait = 0;
+    this.stoppedEpoch = null;
+  }
+
+  onTrainStart() {
+    this.reset();
+  }
+
+  onEpochEnd({ model, epoch, logs, stop }) {
+    const { monitor, patience, minDelta, mode, restoreBestWeights } = this.options;
+    const value = monitoredValue(logs, monitor);
+
+    if (isImprovement(value, this.best, mode, minDelta)) {
+      this.best = value;
+      this.bestEpoch = epoch;
+      this.wait = 0;
+      if (restoreBestWeights && typeof model.getWeights === 'function') {
+        this.bestWeights = model.getWeights();
+      }
+      return;
+    }
+
+    this.wait++;
+    if (this.wait >= patience) {
+      this.stoppedEpoch = epoch;
+      stop(`${monitor} has not improved for ${patience} epochs (best ${this.best} at epoch ${this.bestEpoch})`);
+    }
+  }
+
+  onTrainEnd({ model, history }) {
+    const lastEpoch = history[history.length - 1]?.epoch;
+    if (this.bestWeights && this.bestEpoch !== lastEpoch) {
+      model.setWeights(this.bestWeights);
+    }
+  }
+}
+
+/**
+ * Saves the model with its save() method after an epoch, either whenever
+ * `monitor` improves (`saveBestOnly`) or every `every` epochs. `{epoch}` in
+ * `filePath` is replaced by the epoch number. Epochs whose monitored value
+ * is NaN or infinite are never saved.
+ */
+class ModelCheckpoint extends Callback {
+  constructor({ filePath, monitor = 'valLoss', mode = 'auto', saveBestOnly = true, every = 1 } = {}) {
+    if (!filePath) {
+      throw new Error('ModelCheckpoint needs a filePath');
+    }
+    super('model_checkpoint', { filePath, monitor, mode: resolveMode(mode, monitor), saveBestOnly, every });
+    this.best = null;
+    this.saved = [];
+  }
+
+  onTrainStart() {
+    this.best = null;
+    this.saved = [];
+  }
+
+  async onEpochEnd({ model, epoch, logs }) {
+    const { filePath, monitor, mode, saveBestOnly, every } = this.options;
+    const value = monitoredValue(logs, monitor);
+    if (saveBestOnly) {
+      if (!isImprovement(value, this.best, mode)) {
+        return;
+      }
+      this.best = value;
+    } else if (epoch % every !== 0 || !Number.isFinite(value)) {
+      return;
+    }
+
+    const target = filePath.replace(/\{epoch\}/g, String(epoch));
+    await fs.mkdir(path.dirname(path.resolve(target)), { recursive: true });
+    await model.save(target);
+    this.saved.push({ epoch, filePath: target, [monitor]: value });
+  }
+
+  // The most recent save, if any
+  get last() {
+    return this.saved[this.saved.length - 1] || null;
+  }
+}
+
+/**
+ * Appends each epoch's logs to a CSV or JSONL file (picked from the
+ * extension unless `format` is given), so long runs can be followed with
+ * `tail -f`. CSV columns are those of the first epoch. `append` keeps an
+ * existing file instead of starting a new one.
+ */
+class MetricsLogger extends Callback {
+  constructor({ filePath, format = null, append = false } = {}) {
+    if (!filePath) {
+      throw new Error('MetricsLogger needs a filePath');
+    }
+    const resolvedFormat = format || (/\.jsonl?$|\.ndjson$/i.test(filePath) ? 'jsonl' : 'csv');
+    if (resolvedFormat !== 'csv' && resolvedFormat !== 'jsonl') {
+      throw new Error(`Unknown metrics log format: ${resolvedFormat}. Use csv or jsonl`);
+    }
+    super('metrics_logger', { filePath, format: resolvedFormat, append });
+    this.columns = null;
+  }
+
+  async onTrainStart() {
+    const { filePath, append } = this.options;
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    this.columns = null;
+
+    let existing = '';
+    if (append) {
+      existing = await fs.readFile(filePath, 'utf8').catch(() => '');
+    } else {
+      await fs.writeFile(filePath, '');
+    }
+    if (this.options.format === 'csv' && existing) {
+      this.columns = existing.split('\n')[0].split(',');
+    }
+  }
+
+  async onEpochEnd({ logs }) {
+    const { filePath, format } = this.options;
+    if (format === 'jsonl') {
+      await fs.appendFile(filePath, `${JSON.stringify(logs)}\n`);
+      return;
+    }
+
+    let text = '';
+    if (!this.columns) {
+      this.columns = Object.keys(logs);
+      text += `${this.columns.join(',')}\n`;
+    }
+    text += `${this.columns.map(column => csvCell(logs[column])).join(',')}\n`;
+    await fs.appendFile(filePath, text);
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Ends training as soon as a batch loss is NaN or infinite, or throws
+ * instead with `action: 'throw'`.
+ */
+class NaNDetector extends Callback {
+  constructor({ action = 'stop' } = {}) {
+    if (action !== 'stop' && action !== 'throw') {
+      throw new Error(`Unknown NaN detector action: ${action}. Use stop or throw`);
+    }
+    super('nan_detector', { action });
+    this.detected = null;
+  }
+
+  onTrainStart() {
+    this.detected = null;
+  }
+
+  onBatchEnd({ epoch, batch, loss, stop }) {
+    if (Number.isFinite(loss)) {
+      return;
+    }
+    this.detected = { epoch, batch, loss };
+    const message = `loss became ${loss} at epoch ${epoch}, batch ${batch + 1}`;
+    if (this.options.action === 'throw') {
+      throw new Error(`Training diverged: ${message}`);
+    }
+    stop(message);
+  }
+}
+
+const CALLBACKS = {
+  early_stopping: EarlyStopping,
+  model_checkpoint: ModelCheckpoint,
+  checkpoint: ModelCheckpoint,
+  metrics_logger: MetricsLogger,
+  csv_logger: MetricsLogger,
+  nan_detector: NaNDetector,
+  terminate_on_nan: NaNDetector,
+};
+
+/**
+ * Builds a callback from a name (`'nan_detector'`), a config object
+ * (`{ type: 'early_stopping', patience: 5 }`) or a plain object of hook
+ * functions, or returns a callback as is.
+ */
+function createCallback(spec) {
+  if (spec instanceof Callback) {
+    return spec;
+  }
+  const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec || {};
+  if (!type) {
+    if (HOOKS.some(hook => typeof options[hook] === 'function')) {
+      return new LambdaCallback(options);
+    }
+    throw new Error(`A callback needs a type or at least one of ${HOOKS.join(', ')}`);
+  }
+  const CallbackClass = CALLBACKS[type.toLowerCase()];
+  if (!CallbackClass) {
+    throw new Error(`Unknown training callback: ${type}. Available callbacks: ${Object.keys(CALLBACKS).join(', ')}`);
+  }
+  return new CallbackClass(options);
+}
+
+// True when `callbacks` (specs or instances) already include one of `type`
+function hasCallback(callbacks, type) {
+  const CallbackClass = CALLBACKS[type];
+  return [callbacks].flat().filter(Boolean).some(spec => {
+    if (spec instanceof Callback) {
+      return spec instanceof CallbackClass;
+    }
+    const name = typeof spec === 'string' ? spec : spec.type;
+    return Boolean(name) && CALLBACKS[name.toLowerCase()] === CallbackClass;
+  });
+}
+
+/**
+ * The callbacks of one train() call. call() runs a hook on each of them
+ * with the context plus `model` and `stop`; `stopReason` holds the first
+ * reason given to stop().
+ */
+class CallbackList {
+  constructor(specs = [], model = null) {
+    this.callbacks = [specs].flat().filter(Boolean).map(createCallback);
+    this.model = model;
+    this.stopReason = null;
+    this.stop = (reason = 'stopped by a callback') => {
+      this.stopReason ??= reason;
+    };
+  }
+
+  get stopped() {
+    return this.stopReason !== null;
+  }
+
+  async call(hook, context = {}) {
+    for (const callback of this.callbacks) {
+      if (typeof callback[hook] === 'function') {
+        await callback[hook]({ ...context, model: this.model, stop: this.stop });
+      }
+    }
+  }
+}
+
+export {
+  Callback,
+  LambdaCallback,
+  EarlyStopping,
+  ModelCheckpoint,
+  MetricsLogger,
+  NaNDetector,
+  CallbackList,
+  CALLBACKS,
+  createCallback,
+  hasCallback,
+};
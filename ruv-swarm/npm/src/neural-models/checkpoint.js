@@ -0,0 +1,213 @@
+/**
+ * Model checkpoint format
+ *
+ * A checkpoint file is laid out as
+ *
+ *   magic "RSNM" | format version (uint32 LE) | header length (uint32 LE)
+ *   | header (UTF-8 JSON) | weights blob | SHA-256 of everything before it
+ *
+ * The header holds the model type, config, metrics, training history and an
+ * index of the tensors in the blob (name, kind, shape, offset, length). The
+ * blob is the tensors' values, little-endian, back to back, each starting on
+ * a 4-byte boundary; offsets count 4-byte words. Kinds are `param` and
+ * `buffer` for the model's weights and `optimizer` for optimizer slots,
+ * named `<parameter>:<slot>`.
+ *
+ * Tensors are float32 unless their index entry names another `dtype`:
+ * `float16`, or `int8` with the per-channel `scales` and `inputScale` of a
+ * quantized weight (see quantization.js). Version 2 added dtypes; version 1
+ * files, all float32, read unchanged.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PersistenceError } from '../errors.js';
+
+const CHECKPOINT_MAGIC = 'RSNM';
+const CHECKPOINT_FORMAT_VERSION = 2;
+const PREAMBLE_BYTES = 12;
+const DIGEST_BYTES = 32;
+
+const DTYPES = {
+  float32: { array: Float32Array, read: 'readFloatLE', write: 'writeFloatLE' },
+  float16: { array: Uint16Array, read: 'readUInt16LE', write: 'writeUInt16LE' },
+  int8: { array: Int8Array, read: 'readInt8', write: 'writeInt8' },
+};
+
+// 4-byte words taken by `length` values of `dtype`
+const wordsOf = (dtype, length) => Math.ceil(length * DTYPES[dtype].array.BYTES_PER_ELEMENT / 4);
+
+// On little-endian hosts typed arrays are copied as bytes instead of value by value
+const LITTLE_ENDIAN = os.endianness() === 'LE';
+
+/**
+ * Encodes a checkpoint.
+ * @param {Object} checkpoint - `{ modelType, config, metrics, trainingHistory, tensors, optimizer, quantization, extra }`
+ *   where `tensors` is a list of `{ name, kind, data, shape }`, plus
+ *   `{ dtype, scales, inputScale }` for float16 and int8 tensors
+ * @returns {Buffer}
+ */
+function encodeCheckpoint({
+  modelType,
+  config = {},
+  metrics = {},
+  trainingHistory = [],
+  tensors = [],
+  optimizer = null,
+  quantization = null,
+  extra = null,
+}) {
+  let offset = 0;
+  const index = tensors.map(({ name, kind = 'param', dtype = 'float32', data, shape = [data.length], scales = null, inputScale = null }) => {
+    if (!DTYPES[dtype]) {
+      throw new PersistenceError(`Tensor ${name} has unsupported dtype ${dtype}`, 'write_checkpoint');
+    }
+    const entry = { name, kind, shape, offset, length: data.length };
+    if (dtype !== 'float32') {
+      entry.dtype = dtype;
+    }
+    if (scales) {
+      entry.scales = Array.from(scales);
+    }
+    if (inputScale !== null) {
+      entry.inputScale = inputScale;
+    }
+    offset += wordsOf(dtype, data.length);
+    return entry;
+  });
+
+  const header = Buffer.from(JSON.stringify({
+    modelType,
+    config,
+    metrics,
+    trainingHistory,
+    optimizer,
+    quantization,
+    extra,
+    tensors: index,
+    savedAt: new Date().toISOString(),
+  }), 'utf8');
+
+  const file = Buffer.alloc(PREAMBLE_BYTES + header.length + offset * 4 + DIGEST_BYTES);
+  file.write(CHECKPOINT_MAGIC, 0, 'latin1');
+  file.writeUInt32LE(CHECKPOINT_FORMAT_VERSION, 4);
+  file.writeUInt32LE(header.length, 8);
+  header.copy(file, PREAMBLE_BYTES);
+
+  const blobStart = PREAMBLE_BYTES + header.length;
+  tensors.forEach(({ data }, i) => {
+    const { array, write } = DTYPES[index[i].dtype || 'float32'];
+    const start = blobStart + index[i].offset * 4;
+    if (LITTLE_ENDIAN || array.BYTES_PER_ELEMENT === 1) {
+      Buffer.from(array.from(data).buffer).copy(file, start);
+    } else {
+      for (let j = 0; j < data.length; j++) {
+        file[write](data[j], start + j * array.BYTES_PER_ELEMENT);
+      }
+    }
+  });
+
+  const digestStart = file.length - DIGEST_BYTES;
+  createHash('sha256').update(file.subarray(0, digestStart)).digest().copy(file, digestStart);
+  return file;
+}
+
+/**
+ * Decodes and verifies a checkpoint.
+ * @param {Buffer} file - Checkpoint bytes
+ * @param {string} [source] - File name for error messages
+ * @returns {Object} The header fields, `formatVersion`, `checksum` and `tensors`
+ *   as `{ name, kind, shape, dtype, data }`, where `data` is a Float32Array,
+ *   or a Uint16Array of float16 bits or an Int8Array (which also carries
+ *   `scales` and `inputScale`)
+ */
+function decodeCheckpoint(file, source = 'checkpoint') {
+  if (file.length < PREAMBLE_BYTES + DIGEST_BYTES || file.toString('latin1', 0, 4) !== CHECKPOINT_MAGIC) {
+    throw new PersistenceError(`Not a ruv-swarm model checkpoint: ${source}`, 'read_checkpoint');
+  }
+
+  const formatVersion = file.readUInt32LE(4);
+  if (formatVersion > CHECKPOINT_FORMAT_VERSION) {
+    throw new PersistenceError(
+      `Checkpoint format version ${formatVersion} is newer than supported version ${CHECKPOINT_FORMAT_VERSION}`,
+      'read_checkpoint',
+    );
+  }
+
+  const digestStart = file.length - DIGEST_BYTES;
+  const checksum = createHash('sha256').update(file.subarray(0, digestStart)).digest();
+  if (!checksum.equals(file.subarray(digestStart))) {
+    throw new PersistenceError(`Checkpoint ${source} is corrupt: checksum mismatch`, 'read_checkpoint');
+  }
+
+  const headerLength = file.readUInt32LE(8);
+  const blobStart = PREAMBLE_BYTES + headerLength;
+  let header;
+  try {
+    header = JSON.parse(file.toString('utf8', PREAMBLE_BYTES, blobStart));
+  } catch (error) {
+    throw new PersistenceError(`Checkpoint ${source} has an invalid header: ${error.message}`, 'read_checkpoint');
+  }
+
+  const blobLength = (digestStart - blobStart) / 4;
+  const tensors = header.tensors.map(({ name, kind, shape, offset, length, dtype = 'float32', scales, inputScale = null }) => {
+    if (!DTYPES[dtype]) {
+      throw new PersistenceError(`Checkpoint ${source} has tensor ${name} of unsupported dtype ${dtype}`, 'read_checkpoint');
+    }
+    if (offset + wordsOf(dtype, length) > blobLength) {
+      throw new PersistenceError(`Checkpoint ${source} is truncated at tensor ${name}`, 'read_checkpoint');
+    }
+    const { array, read } = DTYPES[dtype];
+    const data = new array(length);
+    const start = blobStart + offset * 4;
+    if (LITTLE_ENDIAN || array.BYTES_PER_ELEMENT === 1) {
+      file.copy(Buffer.from(data.buffer), 0, start, start + length * array.BYTES_PER_ELEMENT);
+    } else {
+      for (let j = 0; j < length; j++) {
+        data[j] = file[read](start + j * array.BYTES_PER_ELEMENT);
+      }
+    }
+    if (dtype === 'float32') {
+      return { name, kind, shape, dtype, data };
+    }
+    return { name, kind, shape, dtype, data, scales: scales ? Float32Array.from(scales) : null, inputScale };
+  });
+
+  return { ...header, formatVersion, checksum: checksum.toString('hex'), tensors };
+}
+
+// Writes through a temporary file so an interrupted save never leaves a half-written checkpoint
+async function writeCheckpoint(filePath, checkpoint) {
+  const file = encodeCheckpoint(checkpoint);
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, file);
+  await fs.rename(temporary, filePath);
+  return {
+    filePath,
+    bytes: file.length,
+    formatVersion: CHECKPOINT_FORMAT_VERSION,
+    checksum: file.subarray(file.length - DIGEST_BYTES).toString('hex'),
+  };
+}
+
+async function readCheckpoint(filePath) {
+  let file;
+  try {
+    file = await fs.readFile(filePath);
+  } catch (error) {
+    throw new PersistenceError(`Cannot read checkpoint ${filePath}: ${error.message}`, 'read_checkpoint');
+  }
+  return decodeCheckpoint(file, filePath);
+}
+
+export {
+  CHECKPOINT_MAGIC,
+  CHECKPOINT_FORMAT_VERSION,
+  encodeCheckpoint,
+  decodeCheckpoint,
+  writeCheckpoint,
+  readCheckpoint,
+};
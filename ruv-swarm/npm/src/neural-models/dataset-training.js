@@ -0,0 +1,108 @@
+/**
+ * Dataset training for neural_train
+ *
+ * Trains a model on a CSV, JSONL or .npy file (see dataset.js), one epoch
+ * per iteration. Training callbacks report progress, honour cancellation
+ * between epochs and stop a diverging run. Saves the model when
+ * `outputPath` is given. The MCP tool calls it in-process, and cluster
+ * workers call it for the agents they host.
+ */
+
+import { NaNDetector } from './callbacks.js';
+import { datasetModelConfig, loadDatasetSplits } from './dataset.js';
+import { createNeuralModel } from './index.js';
+
+/**
+ * @param {Object} params - neural_train's parameters: `dataPath`, `target`,
+ *   `features`, `window`, `batchSize`, `validationSplit`, `testSplit`, `outputPath`
+ * @param {Object} options - The validated `modelType`, `iterations` and `learningRate`
+ * @param {Object} context - `checkpoint()` and `progress()`, as on a ToolContext
+ */
+async function trainOnDataset(params, { modelType, iterations, learningRate }, context) {
+  const {
+    dataPath,
+    target = null,
+    features = null,
+    window = null,
+    batchSize = 32,
+    validationSplit = 0.1,
+    testSplit = 0,
+    outputPath = null,
+  } = params;
+  const sequenceWindow = ['lstm', 'gru'].includes(modelType) ? window || 10 : null;
+
+  const splits = await loadDatasetSplits(dataPath, {
+    target,
+    features,
+    window: sequenceWindow,
+    validation: validationSplit,
+    test: testSplit,
+    normalize: ['autoencoder', 'vae'].includes(modelType) ? 'minmax' : 'zscore',
+  });
+  const { info } = splits;
+  const model = await createNeuralModel(modelType, datasetModelConfig(modelType, info, {
+    dataset: {
+      source: dataPath,
+      target: info.target,
+      features: info.features,
+      classes: info.classes,
+      window: sequenceWindow,
+      horizon: 0,
+      normalization: splits.normalization,
+    },
+  }));
+
+  const trainingResults = [];
+  let currentLoss = null;
+  let currentAccuracy = null;
+  const reporter = {
+    onEpochStart: () => context.checkpoint(),
+    onEpochEnd: ({ epoch, logs }) => {
+      currentLoss = logs.trainLoss;
+      currentAccuracy = logs.valAccuracy ?? logs.trainAccuracy ?? null;
+
+      trainingResults.push({
+        iteration: epoch,
+        loss: currentLoss,
+        validation_loss: logs.valLoss,
+        accuracy: currentAccuracy,
+        timestamp: new Date().toISOString(),
+      });
+
+      const validationText = logs.valLoss === null ? '' : `, validation loss ${logs.valLoss.toFixed(4)}`;
+      const accuracyText = currentAccuracy === null ? '' : `, accuracy ${currentAccuracy.toFixed(4)}`;
+      context.progress(epoch, iterations, `Epoch ${epoch}/${iterations}: loss ${currentLoss.toFixed(4)}${validationText}${accuracyText}`);
+    },
+  };
+
+  await model.train(splits.train, {
+    epochs: iterations,
+    batchSize,
+    learningRate,
+    optimizer: 'adam',
+    validationData: splits.validation,
+    validationSplit: 0,
+    verbose: false,
+    callbacks: [new NaNDetector({ action: 'throw' }), reporter],
+  });
+
+  const test = splits.test ? await model.evaluate(splits.test, { batchSize }) : null;
+  const saved = outputPath ? await model.save(outputPath) : null;
+
+  return {
+    trainingResults,
+    currentLoss,
+    currentAccuracy,
+    checkpoint: saved?.filePath ?? null,
+    metrics: {
+      dataset: dataPath,
+      target: info.target,
+      training_samples: info.count,
+      classes: info.classes,
+      ...(test ? { test_loss: test.loss } : {}),
+      ...(test?.accuracy === undefined ? {} : { test_accuracy: test.accuracy }),
+    },
+  };
+}
+
+export { trainOnDataset };
@@ -0,0 +1,994 @@
+/**
+ * Training datasets
+ *
+ * Reads CSV (or TSV), JSONL and NumPy `.npy` files and turns each row into a
+ * `{ input, target }` sample for NeuralModel.train(). The `target` column (or
+ * columns) becomes the target and the `features` columns, by default every
+ * other column, the input. Non-numeric targets are class labels and become
+ * class indices; rows with a missing value are skipped. With `window`,
+ * consecutive rows are grouped into [window, features] sequences for the
+ * recurrent models, each labelled with the target `horizon` rows after its
+ * last row.
+ *
+ * Dataset holds its samples in memory. DatasetStream reads the file afresh
+ * on every pass, so files larger than memory can be trained on; train() and
+ * evaluate() accept either.
+ */
+
+import { createReadStream, promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Tensor } from './autograd.js';
+import { PersistenceError } from '../errors.js';
+
+const DATASET_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.npy': 'npy',
+};
+
+// Models whose inputs are flat or [window, features] rows, as opposed to token ids, images or graphs
+const DATASET_MODEL_TYPES = ['lstm', 'gru', 'resnet', 'autoencoder', 'vae'];
+
+const NPY_MAGIC = '\x93NUMPY';
+const NPY_READ_BYTES = 1 << 20;
+const LITTLE_ENDIAN = os.endianness() === 'LE';
+
+// Readers for the .npy dtypes, keyed by kind and size (`descr` without the byte order)
+const NPY_TYPES = {
+  f4: { size: 4, read: (view, offset, le) => view.getFloat32(offset, le) },
+  f8: { size: 8, read: (view, offset, le) => view.getFloat64(offset, le) },
+  i1: { size: 1, read: (view, offset) => view.getInt8(offset) },
+  i2: { size: 2, read: (view, offset, le) => view.getInt16(offset, le) },
+  i4: { size: 4, read: (view, offset, le) => view.getInt32(offset, le) },
+  i8: { size: 8, read: (view, offset, le) => Number(view.getBigInt64(offset, le)) },
+  u1: { size: 1, read: (view, offset) => view.getUint8(offset) },
+  u2: { size: 2, read: (view, offset, le) => view.getUint16(offset, le) },
+  u4: { size: 4, read: (view, offset, le) => view.getUint32(offset, le) },
+  u8: { size: 8, read: (view, offset, le) => Number(view.getBigUint64(offset, le)) },
+  b1: { size: 1, read: (view, offset) => view.getUint8(offset) },
+};
+
+function formatOf(filePath, format = null) {
+  const resolved = format || DATASET_FORMATS[path.extname(filePath).toLowerCase()];
+  if (!['csv', 'jsonl', 'npy'].includes(resolved)) {
+    throw new PersistenceError(
+      `Cannot tell the format of dataset ${filePath}; use a .csv, .tsv, .jsonl or .npy file or pass format`,
+      'read_dataset',
+    );
+  }
+  return resolved;
+}
+
+// Seeded generator (mulberry32) for reproducible shuffles and splits; Math.random without a seed
+function randomSource(seed = null) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleInPlace(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// The split a streamed sample belongs to, drawn from its index so every pass agrees
+function partitionOf(index, { validation = 0, test = 0, seed = 0 }) {
+  const draw = randomSource((Math.imul(index + 1, 0x9e3779b1) ^ seed) >>> 0)();
+  if (draw < 1 - validation - test) {
+    return 'train';
+  }
+  return draw < 1 - test ? 'validation' : 'test';
+}
+
+/**
+ * Incremental RFC 4180 parser: push() text as it arrives and call end()
+ * after the last chunk. Both return the records completed so far as
+ * arrays of strings. Blank lines are skipped.
+ */
+class CsvParser {
+  constructor(delimiter = ',', source = 'CSV input') {
+    this.delimiter = delimiter;
+    this.source = source;
+    this.record = [];
+    this.field = '';
+    // start of a field, inside an unquoted field, inside quotes, or just after a quote inside quotes
+    this.state = 'start';
+  }
+
+  push(text) {
+    const records = [];
+    for (const char of text) {
+      if (this.state === 'quoted') {
+        if (char === '"') {
+          this.state = 'quote';
+        } else {
+          this.field += char;
+        }
+      } else if (this.state === 'quote' && char === '"') {
+        this.field += '"';
+        this.state = 'quoted';
+      } else if (char === '"' && this.state === 'start') {
+        this.state = 'quoted';
+      } else if (char === this.delimiter) {
+        this.endField();
+      } else if (char === '\n') {
+        this.endRecord(records);
+      } else if (char !== '\r') {
+        this.field += char;
+        this.state = 'field';
+      }
+    }
+    return records;
+  }
+
+  end() {
+    if (this.state === 'quoted') {
+      throw new PersistenceError(`${this.source} ends inside a quoted field`, 'read_dataset');
+    }
+    const records = [];
+    this.endRecord(records);
+    return records;
+  }
+
+  endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.state = 'start';
+  }
+
+  endRecord(records) {
+    const blank = this.record.length === 0 && this.field === '' && this.state === 'start';
+    this.endField();
+    if (!blank) {
+      records.push(this.record);
+    }
+    this.record = [];
+  }
+}
+
+// A row from a parsed JSON value: arrays and scalars by position, objects by key, `{ input, target }` as a sample
+function recordOf(value, table, { target = null } = {}) {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    table.columns ??= Array.from({ length: value.length }, (_, i) => String(i));
+    return { columns: table.columns, values: value };
+  }
+  if (value !== null && typeof value === 'object') {
+    if (target === null && ('input' in value || 'inputs' in value)) {
+      return { sample: { input: value.input ?? value.inputs, target: value.target ?? value.targets } };
+    }
+    table.columns ??= Object.keys(value);
+    return { columns: table.columns, values: table.columns.map(column => value[column]) };
+  }
+  table.columns ??= ['0'];
+  return { columns: table.columns, values: [value] };
+}
+
+async function* csvRecords(filePath, { delimiter = null, header = true }) {
+  const parser = new CsvParser(delimiter || (path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ','), filePath);
+  let columns = null;
+  const take = function* (rows) {
+    for (const values of rows) {
+      if (!columns) {
+        columns = header ? values.map(name => name.replace(/^\ufeff/, '').trim()) : values.map((_, i) => String(i));
+        if (header) {
+          continue;
+        }
+      }
+      yield { columns, values };
+    }
+  };
+
+  for await (const chunk of createReadStream(filePath, { encoding: 'utf8' })) {
+    yield* take(parser.push(chunk));
+  }
+  yield* take(parser.end());
+}
+
+async function* jsonlRecords(filePath, options) {
+  const table = { columns: null };
+  let line = 0;
+  let rest = '';
+  const take = function* (lines) {
+    for (const text of lines) {
+      line++;
+      if (text.trim() === '') {
+        continue;
+      }
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch (error) {
+        throw new PersistenceError(`${filePath} line ${line} is not valid JSON: ${error.message}`, 'read_dataset');
+      }
+      yield recordOf(value, table, options);
+    }
+  };
+
+  for await (const chunk of createReadStream(filePath, { encoding: 'utf8' })) {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    yield* take(lines);
+  }
+  yield* take([rest]);
+}
+
+// Offset of the data in a .npy file, from its first 12 bytes
+function npyDataOffset(preamble, source) {
+  if (preamble.length < 12 || preamble.toString('latin1', 0, 6) !== NPY_MAGIC) {
+    throw new PersistenceError(`Not a NumPy .npy file: ${source}`, 'read_dataset');
+  }
+  const major = preamble.readUInt8(6);
+  return major === 1 ? 10 + preamble.readUInt16LE(8) : 12 + preamble.readUInt32LE(8);
+}
+
+// Parses the header dict of a .npy file; `bytes` starts at the beginning of the file
+function npyLayout(bytes, source) {
+  const dataOffset = npyDataOffset(bytes, source);
+  if (bytes.length < dataOffset) {
+    throw new PersistenceError(`${source} is truncated inside its header`, 'read_dataset');
+  }
+
+  const major = bytes.readUInt8(6);
+  const header = bytes.toString(major >= 3 ? 'utf8' : 'latin1', major === 1 ? 10 : 12, dataOffset);
+  const descr = /'descr'\s*:\s*'([<>|=]?)([a-zA-Z])(\d+)'/.exec(header);
+  const fortran = /'fortran_order'\s*:\s*(True|False)/.exec(header);
+  const shape = /'shape'\s*:\s*\(([^)]*)\)/.exec(header);
+  if (!descr || !fortran || !shape) {
+    throw new PersistenceError(`${source} has an unreadable .npy header: ${header.trim()}`, 'read_dataset');
+  }
+
+  const type = NPY_TYPES[`${descr[2]}${descr[3]}`];
+  if (!type) {
+    throw new PersistenceError(`${source} holds ${descr[2]}${descr[3]} values; only numeric and boolean arrays are supported`, 'read_dataset');
+  }
+  if (fortran[1] === 'True') {
+    throw new PersistenceError(`${source} is stored in Fortran order; save it with numpy.ascontiguousarray()`, 'read_dataset');
+  }
+  return {
+    dataOffset,
+    type,
+    littleEndian: descr[1] !== '>',
+    fast: descr[2] === 'f' && descr[3] === '4' && (descr[1] !== '>') === LITTLE_ENDIAN,
+    shape: shape[1].split(',').map(dim => dim.trim()).filter(Boolean).map(Number),
+  };
+}
+
+function decodeNpyValues(bytes, count, layout) {
+  if (layout.fast) {
+    return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + count * 4));
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const values = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    values[i] = layout.type.read(view, i * layout.type.size, layout.littleEndian);
+  }
+  return values;
+}
+
+/**
+ * Reads a whole .npy file.
+ * @returns {Promise<{shape: number[], data: Float32Array}>} values as float32, C order
+ */
+async function readNpy(filePath) {
+  let bytes;
+  try {
+    bytes = await fs.readFile(filePath);
+  } catch (error) {
+    throw new PersistenceError(`Cannot read dataset ${filePath}: ${error.message}`, 'read_dataset');
+  }
+  const layout = npyLayout(bytes, filePath);
+  const count = layout.shape.reduce((size, dim) => size * dim, 1);
+  if (bytes.length < layout.dataOffset + count * layout.type.size) {
+    throw new PersistenceError(`${filePath} is truncated: expected ${count} values of shape (${layout.shape})`, 'read_dataset');
+  }
+  return { shape: layout.shape, data: decodeNpyValues(bytes.subarray(layout.dataOffset), count, layout) };
+}
+
+// Rows along the first axis; 1-D and 2-D arrays are tables, higher ranks yield [rest of shape] inputs
+async function* npyRecords(filePath) {
+  const file = await fs.open(filePath, 'r');
+  try {
+    const preamble = Buffer.alloc(12);
+    const { bytesRead } = await file.read(preamble, 0, 12, 0);
+    const head = Buffer.alloc(npyDataOffset(preamble.subarray(0, bytesRead), filePath));
+    const header = await file.read(head, 0, head.length, 0);
+    const layout = npyLayout(head.subarray(0, header.bytesRead), filePath);
+    const { dataOffset } = layout;
+
+    const [rows = 1, ...rowShape] = layout.shape;
+    const rowSize = rowShape.reduce((size, dim) => size * dim, 1);
+    const rowBytes = rowSize * layout.type.size;
+    const columns = rowShape.length <= 1 ? Array.from({ length: rowSize }, (_, i) => String(i)) : null;
+    const rowsPerRead = Math.max(1, Math.floor(NPY_READ_BYTES / Math.max(rowBytes, 1)));
+
+    for (let first = 0; first < rows; first += rowsPerRead) {
+      const count = Math.min(rowsPerRead, rows - first);
+      const chunk = Buffer.alloc(count * rowBytes);
+      const { bytesRead } = await file.read(chunk, 0, chunk.length, dataOffset + first * rowBytes);
+      if (bytesRead < chunk.length) {
+        throw new PersistenceError(`${filePath} is truncated: expected ${rows} rows of shape (${layout.shape})`, 'read_dataset');
+      }
+      const values = decodeNpyValues(chunk, count * rowSize, layout);
+      for (let r = 0; r < count; r++) {
+        const row = values.subarray(r * rowSize, (r + 1) * rowSize);
+        if (columns) {
+          yield { columns, values: row };
+        } else {
+          const input = Float32Array.from(row);
+          input.shape = rowShape;
+          yield { sample: { input } };
+        }
+      }
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+async function* readRecords(filePath, format, options) {
+  const readers = { csv: csvRecords, jsonl: jsonlRecords, npy: npyRecords };
+  try {
+    yield* readers[format](filePath, options);
+  } catch (error) {
+    // File system errors; format errors are already PersistenceErrors
+    if (!error.syscall) {
+      throw error;
+    }
+    throw new PersistenceError(`Cannot read dataset ${filePath}: ${error.message}`, 'read_dataset');
+  }
+}
+
+// A number, null for a missing value, or undefined when the value is not numeric
+function numberOf(value) {
+  if (typeof value === 'number') {
+    return Number.isNaN(value) ? null : value;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (text === '' || /^nan$/i.test(text)) {
+    return null;
+  }
+  const number = Number(text);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Turns table rows into samples. Columns are resolved on the first row;
+ * class labels are numbered in order of first appearance unless `classes`
+ * fixes them.
+ */
+class RowEncoder {
+  constructor({ target = null, features = null, classes = null, task = 'auto' } = {}, source = 'dataset') {
+    this.targetNames = target === null ? [] : [target].flat().map(String);
+    this.featureNames = features ? features.map(String) : null;
+    this.task = classes ? 'classification' : task;
+    this.fixedClasses = Boolean(classes);
+    this.classes = classes ? classes.map(String) : [];
+    this.classIndex = new Map(this.classes.map((label, i) => [label, i]));
+    this.source = source;
+    this.columns = null;
+    this.rows = 0;
+    this.skipped = 0;
+  }
+
+  resolve(columns) {
+    const indexOf = (name) => {
+      const index = columns.indexOf(name);
+      if (index !== -1) {
+        return index;
+      }
+      if (/^\d+$/.test(name) && Number(name) < columns.length) {
+        return Number(name);
+      }
+      throw new Error(`Dataset ${this.source} has no column "${name}"; its columns are ${columns.join(', ')}`);
+    };
+    this.columns = columns;
+    this.targetIndices = this.targetNames.map(indexOf);
+    this.featureIndices = this.featureNames ?
+      this.featureNames.map(indexOf) :
+      columns.map((_, i) => i).filter(i => !this.targetIndices.includes(i));
+    if (this.featureIndices.length === 0) {
+      throw new Error(`Dataset ${this.source} has no feature columns besides the target`);
+    }
+  }
+
+  encode(record) {
+    this.rows++;
+    if (record.sample) {
+      return record.sample;
+    }
+    if (!this.columns) {
+      this.resolve(record.columns);
+    }
+
+    const input = [];
+    for (const index of this.featureIndices) {
+      if (!this.appendNumbers(input, record.values[index], index)) {
+        this.skipped++;
+        return null;
+      }
+    }
+    const target = this.encodeTarget(record.values);
+    if (target === null) {
+      this.skipped++;
+      return null;
+    }
+    return { input: Float32Array.from(input), target };
+  }
+
+  // Adds a cell (a number, or an array of them in JSONL) to `values`; false when it is missing
+  appendNumbers(values, cell, index) {
+    const cells = Array.isArray(cell) || ArrayBuffer.isView(cell) ? cell : [cell];
+    for (const value of cells) {
+      const number = numberOf(value);
+      if (number === null) {
+        return false;
+      }
+      if (number === undefined) {
+        throw new PersistenceError(
+          `Dataset ${this.source} row ${this.rows}: column "${this.columns[index]}" is not a number (${JSON.stringify(value)})`,
+          'read_dataset',
+        );
+      }
+      values.push(number);
+    }
+    return true;
+  }
+
+  // Undefined without a target column, null when the value is missing
+  encodeTarget(values) {
+    if (this.targetIndices.length === 0) {
+      return undefined;
+    }
+    const cell = values[this.targetIndices[0]];
+    const scalar = this.targetIndices.length === 1 && !Array.isArray(cell) && !ArrayBuffer.isView(cell);
+    if (scalar) {
+      if (this.task === 'auto' && numberOf(cell) !== null) {
+        this.task = numberOf(cell) === undefined ? 'classification' : 'regression';
+      }
+      if (this.task === 'classification') {
+        return this.classOf(cell);
+      }
+    }
+
+    const target = [];
+    for (const i of this.targetIndices) {
+      if (!this.appendNumbers(target, values[i], i)) {
+        return null;
+      }
+    }
+    return scalar ? target[0] : Float32Array.from(target);
+  }
+
+  classOf(cell) {
+    const label = cell === null || cell === undefined ? '' : String(cell).trim();
+    if (label === '') {
+      return null;
+    }
+    if (!this.classIndex.has(label)) {
+      if (this.fixedClasses) {
+        throw new PersistenceError(`Dataset ${this.source} row ${this.rows}: unknown class "${label}"`, 'read_dataset');
+      }
+      this.classIndex.set(label, this.classes.length);
+      this.classes.push(label);
+    }
+    return this.classIndex.get(label);
+  }
+
+  info() {
+    return {
+      features: this.columns ? this.featureIndices.map(i => this.columns[i]) : null,
+      target: this.columns && this.targetIndices.length > 0 ? this.targetIndices.map(i => this.columns[i]) : null,
+      classes: this.task === 'classification' ? [...this.classes] : null,
+      rows: this.rows,
+      skipped: this.skipped,
+    };
+  }
+}
+
+// Groups consecutive samples into [length, features] inputs
+class Windower {
+  constructor(length, horizon = 0) {
+    this.length = length;
+    this.horizon = horizon;
+    this.rows = [];
+  }
+
+  push(sample) {
+    this.rows.push(sample);
+    if (this.rows.length > this.length + this.horizon) {
+      this.rows.shift();
+    }
+    if (this.rows.length < this.length + this.horizon) {
+      return null;
+    }
+
+    const width = this.rows[0].input.length;
+    const input = new Float32Array(this.length * width);
+    for (let t = 0; t < this.length; t++) {
+      input.set(this.rows[t].input, t * width);
+    }
+    input.shape = [this.length, width];
+    return { input, target: this.rows[this.length - 1 + this.horizon].target };
+  }
+}
+
+// Running count, mean and variance (Welford), min and max per position
+class Moments {
+  constructor(width) {
+    this.count = new Float64Array(width);
+    this.mean = new Float64Array(width);
+    this.m2 = new Float64Array(width);
+    this.min = new Float64Array(width).fill(Infinity);
+    this.max = new Float64Array(width).fill(-Infinity);
+  }
+
+  add(i, value) {
+    this.count[i]++;
+    const delta = value - this.mean[i];
+    this.mean[i] += delta / this.count[i];
+    this.m2[i] += delta * (value - this.mean[i]);
+    this.min[i] = Math.min(this.min[i], value);
+    this.max[i] = Math.max(this.max[i], value);
+  }
+
+  summary(names = []) {
+    return Array.from(this.mean, (mean, i) => ({
+      name: names[i] ?? String(i),
+      mean,
+      std: Math.sqrt(this.m2[i] / this.count[i]),
+      min: this.min[i],
+      max: this.max[i],
+    }));
+  }
+}
+
+// Statistics of the samples' features (the last input dimension), numeric targets and class counts
+class StatsAccumulator {
+  constructor() {
+    this.count = 0;
+    this.inputShape = null;
+    this.features = null;
+    this.target = null;
+    this.classCounts = [];
+  }
+
+  add(sample, classification = false) {
+    const input = Tensor.from(sample.input);
+    this.count++;
+    this.inputShape ??= input.shape;
+    const width = input.shape[input.rank - 1];
+    this.features ??= new Moments(width);
+    for (let i = 0; i < input.size; i++) {
+      this.features.add(i % width, input.data[i]);
+    }
+
+    const { target } = sample;
+    if (classification) {
+      this.classCounts[target] = (this.classCounts[target] || 0) + 1;
+    } else if (typeof target === 'number' || ArrayBuffer.isView(target)) {
+      const values = typeof target === 'number' ? [target] : target;
+      this.target ??= new Moments(values.length);
+      values.forEach((value, i) => this.target.add(i, value));
+    }
+  }
+
+  summary({ features = null, target = null, classes = null } = {}) {
+    return {
+      count: this.count,
+      features: this.features ? this.features.summary(features || []) : [],
+      target: this.target ? this.target.summary(target || []) : null,
+      ...(classes ? { classCounts: classes.map((_, i) => this.classCounts[i] || 0) } : {}),
+    };
+  }
+}
+
+/**
+ * Normalisation from dataset statistics (see stats()/describe()), applied
+ * per feature as (x - offset) / scale: `zscore` subtracts the mean and
+ * divides by the standard deviation, `minmax` maps [min, max] to [0, 1].
+ * Compute it on the training split and apply it to every split.
+ */
+function createNormalization(stats, method = 'zscore') {
+  const { features } = stats;
+  switch (method) {
+  case 'zscore':
+    return { method, offset: features.map(f => f.mean), scale: features.map(f => f.std || 1) };
+  case 'minmax':
+    return { method, offset: features.map(f => f.min), scale: features.map(f => (f.max - f.min) || 1) };
+  default:
+    throw new Error(`Unknown normalization: ${method}; use zscore or minmax`);
+  }
+}
+
+function normalizeSample(sample, { offset, scale }) {
+  const source = Tensor.from(sample.input);
+  const input = new Float32Array(source.size);
+  for (let i = 0; i < source.size; i++) {
+    const feature = i % offset.length;
+    input[i] = (source.data[i] - offset[feature]) / scale[feature];
+  }
+  input.shape = [...source.shape];
+  return { ...sample, input };
+}
+
+// Encodes records into samples, then windows, keeps `partition`'s share and normalises
+function createPipeline(options, source) {
+  const encoder = new RowEncoder(options, source);
+  const windower = options.window ? new Windower(options.window, options.horizon || 0) : null;
+  const { partition = null, normalization = null } = options;
+  let index = 0;
+
+  return {
+    encoder,
+    push(record) {
+      let sample = encoder.encode(record);
+      if (sample && windower) {
+        sample = windower.push(sample);
+      }
+      if (!sample) {
+        return null;
+      }
+      if (partition && partitionOf(index++, partition) !== partition.name) {
+        return null;
+      }
+      return normalization ? normalizeSample(sample, normalization) : sample;
+    },
+  };
+}
+
+function describeSamples(samples, info) {
+  const stats = new StatsAccumulator();
+  for (const sample of samples) {
+    stats.add(sample, Boolean(info.classes));
+  }
+  return describe(stats, info);
+}
+
+function describe(stats, { features, target, classes }) {
+  let targetSize = null;
+  if (classes) {
+    targetSize = classes.length;
+  } else if (stats.target) {
+    targetSize = stats.target.count.length;
+  }
+  return {
+    count: stats.count,
+    inputShape: stats.inputShape,
+    features,
+    target,
+    classes,
+    targetSize,
+    stats: stats.summary({ features, target, classes }),
+  };
+}
+
+/**
+ * Samples held in memory. Every method returns a new Dataset; the
+ * samples themselves are shared.
+ */
+class Dataset {
+  /**
+   * @param {Array<{input, target}>} samples
+   * @param {Object} info - `{ features, target, classes, normalization, window }`, as set by fromFile()
+   */
+  constructor(samples, { features = null, target = null, classes = null, normalization = null, window = null } = {}) {
+    this.samples = samples;
+    this.features = features;
+    this.target = target;
+    this.classes = classes;
+    this.normalization = normalization;
+    this.window = window;
+  }
+
+  /**
+   * Reads a CSV, TSV, JSONL or .npy file.
+   * @param {string} filePath
+   * @param {Object} options - `target` (column name or index, or a list),
+   *   `features` (columns, default all others), `classes` (fixed label
+   *   order), `task` (`auto`, `classification` or `regression`), `window`
+   *   and `horizon`, `format` (default from the extension), `delimiter` and
+   *   `header` (CSV, default true)
+   */
+  static async fromFile(filePath, options = {}) {
+    const pipeline = createPipeline({ ...options, normalization: null, partition: null }, filePath);
+    const samples = [];
+    for await (const record of readRecords(filePath, formatOf(filePath, options.format), options)) {
+      const sample = pipeline.push(record);
+      if (sample) {
+        samples.push(sample);
+      }
+    }
+    const { features, target, classes } = pipeline.encoder.info();
+    return new Dataset(samples, { features, target, classes, window: options.window || null });
+  }
+
+  // Builds a dataset from parsed rows: objects (by column name), arrays, or `{ input, target }` samples
+  static fromRecords(records, options = {}) {
+    const pipeline = createPipeline({ ...options, normalization: null, partition: null }, options.source || 'records');
+    const table = { columns: null };
+    const samples = [];
+    for (const value of records) {
+      const sample = pipeline.push(recordOf(value, table, options));
+      if (sample) {
+        samples.push(sample);
+      }
+    }
+    const { features, target, classes } = pipeline.encoder.info();
+    return new Dataset(samples, { features, target, classes, window: options.window || null });
+  }
+
+  get length() {
+    return this.samples.length;
+  }
+
+  [Symbol.iterator]() {
+    return this.samples[Symbol.iterator]();
+  }
+
+  derive(samples, changes = {}) {
+    const { features, target, classes, normalization, window } = this;
+    return new Dataset(samples, { features, target, classes, normalization, window, ...changes });
+  }
+
+  shuffle({ seed = null } = {}) {
+    return this.derive(shuffleInPlace([...this.samples], randomSource(seed)));
+  }
+
+  /**
+   * Splits into train, validation and test sets of the given fractions,
+   * shuffled first unless `shuffle` is false (keep it false for windowed
+   * time series, so later rows are held out).
+   */
+  split({ validation = 0.1, test = 0, shuffle = true, seed = null } = {}) {
+    const samples = shuffle ? this.shuffle({ seed }).samples : this.samples;
+    const testSize = Math.round(samples.length * test);
+    const validationSize = Math.round(samples.length * validation);
+    const trainSize = samples.length - validationSize - testSize;
+    return {
+      train: this.derive(samples.slice(0, trainSize)),
+      validation: this.derive(samples.slice(trainSize, trainSize + validationSize)),
+      test: this.derive(samples.slice(trainSize + validationSize)),
+    };
+  }
+
+  * batches(batchSize, { shuffle = false, seed = null } = {}) {
+    const samples = shuffle ? this.shuffle({ seed }).samples : this.samples;
+    for (let i = 0; i < samples.length; i += batchSize) {
+      yield samples.slice(i, i + batchSize);
+    }
+  }
+
+  stats() {
+    return this.describe().stats;
+  }
+
+  /**
+   * Normalises the inputs with a normalisation from createNormalization()
+   * or, given a method name, one computed from this dataset.
+   */
+  normalize(normalization = 'zscore') {
+    const resolved = typeof normalization === 'string' ? createNormalization(this.stats(), normalization) : normalization;
+    return this.derive(this.samples.map(sample => normalizeSample(sample, resolved)), { normalization: resolved });
+  }
+
+  // Sample count, input shape, column names, classes and statistics
+  describe() {
+    return describeSamples(this.samples, this);
+  }
+}
+
+/**
+ * Samples read from a file on every pass, for datasets too large to hold in
+ * memory. Takes the same options as Dataset.fromFile(), plus
+ * `normalization`.
+ */
+class DatasetStream {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.format = formatOf(filePath, options.format);
+    this.options = { ...options };
+  }
+
+  async *[Symbol.asyncIterator]() {
+    const pipeline = createPipeline(this.options, this.filePath);
+    for await (const record of readRecords(this.filePath, this.format, this.options)) {
+      const sample = pipeline.push(record);
+      if (sample) {
+        yield sample;
+      }
+    }
+  }
+
+  /**
+   * Batches of samples. With `shuffleBuffer`, samples pass through a
+   * buffer of that many and leave it in random order, which shuffles
+   * locally without reading the whole file.
+   */
+  async *batches(batchSize, { shuffleBuffer = 0, seed = null } = {}) {
+    const random = randomSource(seed);
+    const buffer = [];
+    let batch = [];
+    for await (const sample of this) {
+      let next = sample;
+      if (shuffleBuffer > 0) {
+        if (buffer.length < shuffleBuffer) {
+          buffer.push(sample);
+          continue;
+        }
+        const j = Math.floor(random() * buffer.length);
+        next = buffer[j];
+        buffer[j] = sample;
+      }
+      batch.push(next);
+      if (batch.length === batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+
+    for (const sample of shuffleInPlace(buffer, random)) {
+      batch.push(sample);
+      if (batch.length === batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
+  /**
+   * Splits into train, validation and test streams. Each sample is
+   * assigned from its position and `seed`, so the splits are disjoint and
+   * stable across passes, and their sizes match the fractions on average.
+   */
+  split({ validation = 0.1, test = 0, seed = 0 } = {}) {
+    const part = (name) => new DatasetStream(this.filePath, {
+      ...this.options,
+      partition: { name, validation, test, seed },
+    });
+    return { train: part('train'), validation: part('validation'), test: part('test') };
+  }
+
+  // Applies a normalisation from createNormalization(), usually computed from the training split's describe()
+  normalize(normalization) {
+    if (typeof normalization === 'string') {
+      throw new Error('DatasetStream.normalize() needs normalization values; build them with createNormalization((await stream.describe()).stats)');
+    }
+    return new DatasetStream(this.filePath, { ...this.options, normalization });
+  }
+
+  // One pass over the file: sample count, input shape, column names, classes and statistics
+  async describe() {
+    const pipeline = createPipeline(this.options, this.filePath);
+    const stats = new StatsAccumulator();
+    for await (const record of readRecords(this.filePath, this.format, this.options)) {
+      const sample = pipeline.push(record);
+      if (sample) {
+        stats.add(sample, pipeline.encoder.task === 'classification');
+      }
+    }
+    return { ...describe(stats, pipeline.encoder.info()), rows: pipeline.encoder.rows, skipped: pipeline.encoder.skipped };
+  }
+}
+
+/**
+ * Reads a dataset and splits it into train, validation and test sets,
+ * normalised with statistics from the training set. In memory by default,
+ * or as DatasetStreams with `stream`. Windowed data is split in order, so
+ * the held-out sets are the latest rows.
+ * @param {string} filePath
+ * @param {Object} options - Dataset.fromFile() options plus `validation`
+ *   and `test` fractions, `normalize` (`zscore`, `minmax` or null), `seed`
+ *   and `stream`
+ * @returns {Promise<Object>} `{ train, validation, test, info, normalization }`
+ *   where empty splits are null and `info` is the training set's describe()
+ */
+async function loadDatasetSplits(filePath, options = {}) {
+  const { validation = 0.1, test = 0, normalize = 'zscore', seed = null, stream = false, ...dataOptions } = options;
+
+  let splits;
+  let info;
+  if (stream) {
+    splits = new DatasetStream(filePath, dataOptions).split({ validation, test, seed: seed ?? 0 });
+    info = await splits.train.describe();
+  } else {
+    const dataset = await Dataset.fromFile(filePath, dataOptions);
+    splits = dataset.split({ validation, test, shuffle: !dataOptions.window, seed });
+    info = splits.train.describe();
+  }
+  if (info.count === 0) {
+    throw new Error(`Dataset ${filePath} has no training samples`);
+  }
+
+  const normalization = normalize ? createNormalization(info.stats, normalize) : null;
+  const prepare = (split, fraction) => {
+    if (fraction <= 0 || split.length === 0) {
+      return null;
+    }
+    return normalization ? split.normalize(normalization) : split;
+  };
+  return {
+    train: prepare(splits.train, 1),
+    validation: prepare(splits.validation, validation),
+    test: prepare(splits.test, test),
+    info,
+    normalization,
+  };
+}
+
+/**
+ * Model config for training `modelType` on a dataset, sized from its
+ * describe() result: inputs from the feature count (or the flattened input
+ * for the feed-forward models) and outputs from the classes or target
+ * width. `overrides` replaces any of the defaults.
+ */
+function datasetModelConfig(modelType, { inputShape, classes, targetSize }, overrides = {}) {
+  if (!DATASET_MODEL_TYPES.includes(modelType)) {
+    throw new Error(`${modelType} models cannot be trained on tabular datasets; use one of ${DATASET_MODEL_TYPES.join(', ')}`);
+  }
+  if (!inputShape) {
+    throw new Error('The dataset has no samples');
+  }
+  const inputSize = inputShape.reduce((size, dim) => size * dim, 1);
+  const outputSize = targetSize || 1;
+  const loss = classes ? 'cross_entropy' : 'mse';
+
+  switch (modelType) {
+  case 'lstm':
+  case 'gru':
+    if (inputShape.length !== 2) {
+      throw new Error(`${modelType} models train on sequences; pass window to group rows into [window, features] samples`);
+    }
+    return {
+      inputSize: inputShape[1], hiddenSize: 32, numLayers: 1, outputSize,
+      sequenceLength: inputShape[0], dropoutRate: 0, loss, ...overrides,
+    };
+  case 'resnet':
+    return {
+      inputDimensions: inputSize, hiddenDimensions: 64, numBlocks: 2, blockDepth: 2,
+      outputDimensions: outputSize, dropoutRate: 0, loss, ...overrides,
+    };
+  case 'autoencoder':
+    return { inputSize, encoderLayers: [Math.max(4, inputSize)], bottleneckSize: Math.max(2, Math.ceil(inputSize / 4)), dropoutRate: 0, ...overrides };
+  default:
+    return {
+      inputSize, encoderLayers: [Math.max(4, inputSize)], latentDimensions: Math.max(2, Math.ceil(inputSize / 4)),
+      decoderLayers: [Math.max(4, inputSize)], dropoutRate: 0, ...overrides,
+    };
+  }
+}
+
+export {
+  DATASET_FORMATS,
+  DATASET_MODEL_TYPES,
+  CsvParser,
+  Dataset,
+  DatasetStream,
+  createNormalization,
+  datasetModelConfig,
+  loadDatasetSplits,
+  randomSource,
+  readNpy,
+};
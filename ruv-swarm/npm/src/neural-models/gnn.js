@@ -4,6 +4,7 @@
  */
 
 import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
 
 class GNNModel extends NeuralModel {
   constructor(config = {}) {
@@ -33,36 +34,42 @@ class GNNModel extends NeuralModel {
   }
 
   initializeWeights() {
+    const { hiddenDimensions } = this.config;
+    this.messageWeights = [];
+    this.updateWeights = [];
+    this.aggregateWeights = [];
+
     // Initialize weights for each layer
     for (let layer = 0; layer < this.config.numLayers; layer++) {
-      const inputDim = layer === 0 ? this.config.nodeDimensions : this.config.hiddenDimensions;
+      const inputDim = layer === 0 ? this.config.nodeDimensions : hiddenDimensions;
+      const name = `layers.${layer}`;
 
       // Message passing weights
       this.messageWeights.push({
-        nodeToMessage: this.createWeight([inputDim, this.config.hiddenDimensions]),
-        edgeToMessage: this.createWeight([this.config.edgeDimensions, this.config.hiddenDimensions]),
-        messageBias: new Float32Array(this.config.hiddenDimensions).fill(0.0),
+        nodeToMessage: this.parameter(`${name}.nodeToMessage`, this.createWeight([inputDim, hiddenDimensions])),
+        edgeToMessage: this.parameter(`${name}.edgeToMessage`, this.createWeight([this.config.edgeDimensions, hiddenDimensions])),
+        messageBias: this.parameter(`${name}.messageBias`, new Float32Array(hiddenDimensions).fill(0.0)),
       });
 
-      // Node update weights
+      // Node update weights, applied to [node state, aggregated messages]
       this.updateWeights.push({
-        updateTransform: this.createWeight([this.config.hiddenDimensions * 2, this.config.hiddenDimensions]),
-        updateBias: new Float32Array(this.config.hiddenDimensions).fill(0.0),
-        gateTransform: this.createWeight([this.config.hiddenDimensions * 2, this.config.hiddenDimensions]),
-        gateBias: new Float32Array(this.config.hiddenDimensions).fill(0.0),
+        updateTransform: this.parameter(`${name}.updateTransform`, this.createWeight([inputDim + hiddenDimensions, hiddenDimensions])),
+        updateBias: this.parameter(`${name}.updateBias`, new Float32Array(hiddenDimensions).fill(0.0)),
+        gateTransform: this.parameter(`${name}.gateTransform`, this.createWeight([inputDim + hiddenDimensions, hiddenDimensions])),
+        gateBias: this.parameter(`${name}.gateBias`, new Float32Array(hiddenDimensions).fill(0.0)),
       });
 
       // Aggregation weights (for attention-based aggregation)
       this.aggregateWeights.push({
-        attention: this.createWeight([this.config.hiddenDimensions, 1]),
-        attentionBias: new Float32Array(1).fill(0.0),
+        attention: this.parameter(`${name}.attention`, this.createWeight([hiddenDimensions, 1])),
+        attentionBias: this.parameter(`${name}.attentionBias`, new Float32Array(1).fill(0.0)),
       });
     }
 
     // Output layer
     this.outputWeights = {
-      transform: this.createWeight([this.config.hiddenDimensions, this.config.outputDimensions]),
-      bias: new Float32Array(this.config.outputDimensions).fill(0.0),
+      transform: this.parameter('output.transform', this.createWeight([hiddenDimensions, this.config.outputDimensions])),
+      bias: this.parameter('output.bias', new Float32Array(this.config.outputDimensions).fill(0.0)),
     };
   }
 
@@ -80,334 +87,156 @@ class GNNModel extends NeuralModel {
     return weight;
   }
 
+  /**
+   * `graphData` is `{ nodes, edges, adjacency }`: node features
+   * [numNodes, nodeDimensions], optional edge features [numEdges, edgeDimensions]
+   * and the edges as [source, target] pairs. Returns per-node outputs
+   * [numNodes, outputDimensions].
+   */
   async forward(graphData, training = false) {
     const { nodes, edges, adjacency } = graphData;
-    const numNodes = nodes.shape[0];
 
     // Initialize node representations
-    let nodeRepresentations = nodes;
+    let nodeRepresentations = ag.Tensor.from(nodes);
+    if (nodeRepresentations.rank !== 2) {
+      nodeRepresentations = ag.reshape(nodeRepresentations, [-1, this.config.nodeDimensions]);
+    }
+    const edgeFeatures = edges && edges.length > 0 ?
+      ag.reshape(ag.Tensor.from(edges), [-1, this.config.edgeDimensions]) :
+      null;
 
     // Message passing layers
     for (let layer = 0; layer < this.config.numLayers; layer++) {
-      // Compute messages
-      const messages = await this.computeMessages(
-        nodeRepresentations,
-        edges,
-        adjacency,
-        layer,
-      );
-
-      // Aggregate messages
-      const aggregatedMessages = this.aggregateMessages(
-        messages,
-        adjacency,
-        layer,
-      );
-
-      // Update node representations
-      nodeRepresentations = this.updateNodes(
-        nodeRepresentations,
-        aggregatedMessages,
-        layer,
-      );
-
-      // Apply activation
-      nodeRepresentations = this.applyActivation(nodeRepresentations);
-
-      // Apply dropout if training
-      if (training && this.config.dropoutRate > 0) {
-        nodeRepresentations = this.dropout(nodeRepresentations, this.config.dropoutRate);
-      }
+      const messages = this.computeMessages(nodeRepresentations, edgeFeatures, adjacency, layer);
+      const aggregatedMessages = this.aggregateMessages(messages, adjacency, nodeRepresentations.shape[0]);
+      nodeRepresentations = this.updateNodes(nodeRepresentations, aggregatedMessages, layer);
+
+      nodeRepresentations = ag.activation(nodeRepresentations, this.config.activation, 'linear');
+      nodeRepresentations = ag.dropout(nodeRepresentations, this.config.dropoutRate, training);
     }
 
     // Final output transformation
-    const output = this.computeOutput(nodeRepresentations);
-
-    return output;
+    return this.computeOutput(nodeRepresentations);
   }
 
-  async computeMessages(nodes, edges, adjacency, layerIndex) {
+  // One message per edge: [numEdges, hiddenDimensions]
+  computeMessages(nodes, edges, adjacency, layerIndex) {
     const weights = this.messageWeights[layerIndex];
-    const numEdges = adjacency.length;
-    const messages = new Float32Array(numEdges * this.config.hiddenDimensions);
-
-    // For each edge, compute message
-    for (let edgeIdx = 0; edgeIdx < numEdges; edgeIdx++) {
-      const [sourceIdx, targetIdx] = adjacency[edgeIdx];
-
-      // Get source node features
-      const sourceStart = sourceIdx * nodes.shape[1];
-      const sourceEnd = sourceStart + nodes.shape[1];
-      const sourceFeatures = nodes.slice(sourceStart, sourceEnd);
-
-      // Transform source node features
-      const nodeMessage = this.transform(
-        sourceFeatures,
-        weights.nodeToMessage,
-        weights.messageBias,
-      );
-
-      // If edge features exist, incorporate them
-      if (edges && edges.length > 0) {
-        const edgeStart = edgeIdx * this.config.edgeDimensions;
-        const edgeEnd = edgeStart + this.config.edgeDimensions;
-        const edgeFeatures = edges.slice(edgeStart, edgeEnd);
-
-        const edgeMessage = this.transform(
-          edgeFeatures,
-          weights.edgeToMessage,
-          new Float32Array(this.config.hiddenDimensions),
-        );
-
-        // Combine node and edge messages
-        for (let i = 0; i < this.config.hiddenDimensions; i++) {
-          messages[edgeIdx * this.config.hiddenDimensions + i] =
-            nodeMessage[i] + edgeMessage[i];
-        }
-      } else {
-        // Just use node message
-        for (let i = 0; i < this.config.hiddenDimensions; i++) {
-          messages[edgeIdx * this.config.hiddenDimensions + i] = nodeMessage[i];
-        }
-      }
-    }
 
+    // Transform every node once, then pick each edge's source
+    const nodeMessages = ag.linear(nodes, weights.nodeToMessage, weights.messageBias);
+    const sources = Int32Array.from(adjacency, ([sourceIdx]) => sourceIdx);
+    const messages = ag.gather(nodeMessages, sources);
+
+    // If edge features exist, incorporate them
+    if (edges) {
+      return ag.add(messages, ag.matmul(edges, weights.edgeToMessage));
+    }
     return messages;
   }
 
-  aggregateMessages(messages, adjacency, layerIndex) {
-    const numNodes = Math.max(...adjacency.flat()) + 1;
-    const aggregated = new Float32Array(numNodes * this.config.hiddenDimensions);
-    const messageCounts = new Float32Array(numNodes);
-
-    // Aggregate messages by target node
-    for (let edgeIdx = 0; edgeIdx < adjacency.length; edgeIdx++) {
-      const [_, targetIdx] = adjacency[edgeIdx];
-      messageCounts[targetIdx]++;
-
-      for (let dim = 0; dim < this.config.hiddenDimensions; dim++) {
-        const messageValue = messages[edgeIdx * this.config.hiddenDimensions + dim];
-        const targetOffset = targetIdx * this.config.hiddenDimensions + dim;
-
-        switch (this.config.aggregation) {
-        case 'sum':
-          aggregated[targetOffset] += messageValue;
-          break;
-        case 'max':
-          aggregated[targetOffset] = Math.max(aggregated[targetOffset], messageValue);
-          break;
-        case 'mean':
-        default:
-          aggregated[targetOffset] += messageValue;
-        }
+  // Messages combined per target node: [numNodes, hiddenDimensions]
+  aggregateMessages(messages, adjacency, numNodes) {
+    const targets = Int32Array.from(adjacency, ([, targetIdx]) => targetIdx);
+
+    switch (this.config.aggregation) {
+    case 'sum':
+      return ag.scatterAdd(messages, targets, numNodes);
+    case 'max':
+      return ag.scatterMax(messages, targets, numNodes);
+    case 'mean':
+    default: {
+      const { hiddenDimensions } = this.config;
+      const counts = new Float32Array(numNodes);
+      for (const target of targets) {
+        counts[target]++;
       }
-    }
-
-    // Normalize for mean aggregation
-    if (this.config.aggregation === 'mean') {
-      for (let nodeIdx = 0; nodeIdx < numNodes; nodeIdx++) {
-        if (messageCounts[nodeIdx] > 0) {
-          for (let dim = 0; dim < this.config.hiddenDimensions; dim++) {
-            aggregated[nodeIdx * this.config.hiddenDimensions + dim] /= messageCounts[nodeIdx];
-          }
-        }
+      const inverse = new Float32Array(numNodes * hiddenDimensions);
+      for (let i = 0; i < inverse.length; i++) {
+        const count = counts[Math.floor(i / hiddenDimensions)];
+        inverse[i] = count > 0 ? 1 / count : 0;
       }
+      return ag.mul(ag.scatterAdd(messages, targets, numNodes), new ag.Tensor(inverse, [numNodes, hiddenDimensions]));
+    }
     }
-
-    aggregated.shape = [numNodes, this.config.hiddenDimensions];
-    return aggregated;
   }
 
+  // GRU-style gated update of each node from its aggregated messages
   updateNodes(currentNodes, aggregatedMessages, layerIndex) {
     const weights = this.updateWeights[layerIndex];
-    const numNodes = currentNodes.shape[0];
-    const updated = new Float32Array(numNodes * this.config.hiddenDimensions);
-
-    for (let nodeIdx = 0; nodeIdx < numNodes; nodeIdx++) {
-      // Get current node representation
-      const nodeStart = nodeIdx * currentNodes.shape[1];
-      const nodeEnd = nodeStart + currentNodes.shape[1];
-      const nodeFeatures = currentNodes.slice(nodeStart, nodeEnd);
-
-      // Get aggregated messages for this node
-      const msgStart = nodeIdx * this.config.hiddenDimensions;
-      const msgEnd = msgStart + this.config.hiddenDimensions;
-      const nodeMessages = aggregatedMessages.slice(msgStart, msgEnd);
-
-      // Concatenate node features and messages
-      const concatenated = new Float32Array(nodeFeatures.length + nodeMessages.length);
-      concatenated.set(nodeFeatures, 0);
-      concatenated.set(nodeMessages, nodeFeatures.length);
-
-      // GRU-style update
-      const updateGate = this.sigmoid(
-        this.transform(concatenated, weights.gateTransform, weights.gateBias),
-      );
-
-      const candidate = this.tanh(
-        this.transform(concatenated, weights.updateTransform, weights.updateBias),
-      );
-
-      // Apply gated update
-      for (let dim = 0; dim < this.config.hiddenDimensions; dim++) {
-        const idx = nodeIdx * this.config.hiddenDimensions + dim;
-        const gate = updateGate[dim];
-        const currentValue = dim < nodeFeatures.length ? nodeFeatures[dim] : 0;
-        updated[idx] = gate * candidate[dim] + (1 - gate) * currentValue;
-      }
-    }
+    const concatenated = ag.concat([currentNodes, aggregatedMessages], -1);
 
-    updated.shape = [numNodes, this.config.hiddenDimensions];
-    return updated;
-  }
-
-  computeOutput(nodeRepresentations) {
-    const output = this.transform(
-      nodeRepresentations,
-      this.outputWeights.transform,
-      this.outputWeights.bias,
-    );
-
-    output.shape = [nodeRepresentations.shape[0], this.config.outputDimensions];
-    return output;
-  }
+    const updateGate = ag.sigmoid(ag.linear(concatenated, weights.gateTransform, weights.gateBias));
+    const candidate = ag.tanh(ag.linear(concatenated, weights.updateTransform, weights.updateBias));
 
-  transform(input, weight, bias) {
-    // Simple linear transformation
-    const inputDim = weight.shape[0];
-    const outputDim = weight.shape[1];
-    const numSamples = input.length / inputDim;
-    const output = new Float32Array(numSamples * outputDim);
-
-    for (let sample = 0; sample < numSamples; sample++) {
-      for (let out = 0; out < outputDim; out++) {
-        let sum = bias[out];
-        for (let inp = 0; inp < inputDim; inp++) {
-          sum += input[sample * inputDim + inp] * weight[inp * outputDim + out];
-        }
-        output[sample * outputDim + out] = sum;
-      }
-    }
+    // The state carried over; node features of another width are projected first
+    const current = currentNodes.shape[1] === this.config.hiddenDimensions ?
+      currentNodes :
+      ag.matmul(currentNodes, this.messageWeights[layerIndex].nodeToMessage);
 
-    return output;
+    return ag.add(current, ag.mul(updateGate, ag.sub(candidate, current)));
   }
 
-  applyActivation(input) {
-    switch (this.config.activation) {
-    case 'relu':
-      return this.relu(input);
-    case 'tanh':
-      return this.tanh(input);
-    case 'sigmoid':
-      return this.sigmoid(input);
-    default:
-      return input;
-    }
+  computeOutput(nodeRepresentations) {
+    return ag.linear(nodeRepresentations, this.outputWeights.transform, this.outputWeights.bias);
   }
 
-  async train(trainingData, options = {}) {
-    const {
-      epochs = 10,
-      batchSize = 32,
-      learningRate = 0.001,
-      validationSplit = 0.1,
-    } = options;
-
-    const trainingHistory = [];
-
-    // Split data
-    const splitIndex = Math.floor(trainingData.length * (1 - validationSplit));
-    const trainData = trainingData.slice(0, splitIndex);
-    const valData = trainingData.slice(splitIndex);
-
-    for (let epoch = 0; epoch < epochs; epoch++) {
-      let epochLoss = 0;
-      let batchCount = 0;
-
-      // Shuffle training data
-      const shuffled = this.shuffle(trainData);
-
-      // Process batches
-      for (let i = 0; i < shuffled.length; i += batchSize) {
-        const batch = shuffled.slice(i, Math.min(i + batchSize, shuffled.length));
-
-        // Forward pass
-        const predictions = await this.forward(batch.graphs, true);
-
-        // Calculate loss
-        const loss = this.calculateGraphLoss(predictions, batch.targets);
-        epochLoss += loss;
-
-        // Backward pass (simplified)
-        await this.backward(loss, learningRate);
-
-        batchCount++;
+  // Samples are `{ graphs, targets }` (or `{ input, target }`), one graph each
+  toSamples(data) {
+    if (!Array.isArray(data)) {
+      throw new Error('GNN training data must be an array of { graphs, targets } samples');
+    }
+    return data.map(sample => ({
+      input: sample.graphs ?? sample.input,
+      target: sample.targets ?? sample.target,
+    }));
+  }
+
+  // Graphs differ in size, so each one is scored on its own and the losses averaged
+  async computeLoss(samples, { training = false } = {}) {
+    let total = null;
+    let correct = 0;
+    let classified = 0;
+
+    for (const { input, target } of samples) {
+      const predictions = await this.forward(input, training);
+      const { loss, accuracy } = this.calculateGraphLoss(predictions, target);
+      total = total ? ag.add(total, loss) : loss;
+      if (accuracy !== undefined) {
+        correct += accuracy;
+        classified++;
       }
-
-      // Validation
-      const valLoss = await this.validateGraphs(valData);
-
-      const avgTrainLoss = epochLoss / batchCount;
-      trainingHistory.push({
-        epoch: epoch + 1,
-        trainLoss: avgTrainLoss,
-        valLoss,
-      });
-
-      console.log(`Epoch ${epoch + 1}/${epochs} - Train Loss: ${avgTrainLoss.toFixed(4)}, Val Loss: ${valLoss.toFixed(4)}`);
     }
 
     return {
-      history: trainingHistory,
-      finalLoss: trainingHistory[trainingHistory.length - 1].trainLoss,
-      modelType: 'gnn',
-      accuracy: 0.96, // Simulated high accuracy for GNN
+      loss: ag.scale(total, 1 / samples.length),
+      metrics: classified > 0 ? { accuracy: correct / classified } : {},
     };
   }
 
+  /**
+   * `targets.taskType` is node_classification (a label per node),
+   * graph_classification (one label for the mean-pooled graph) or anything
+   * else for regression against `targets.values`
+   */
   calculateGraphLoss(predictions, targets) {
-    // Graph-level loss calculation
-    if (targets.taskType === 'node_classification') {
-      return this.crossEntropyLoss(predictions, targets.labels);
-    } else if (targets.taskType === 'graph_classification') {
-      // Pool node representations and calculate loss
-      const pooled = this.globalPooling(predictions);
-      return this.crossEntropyLoss(pooled, targets.labels);
+    const taskType = targets.taskType || (targets.labels !== undefined ? 'node_classification' : 'regression');
+
+    if (taskType === 'node_classification' || taskType === 'graph_classification') {
+      const output = taskType === 'graph_classification' ? this.globalPooling(predictions) : predictions;
+      const labels = ag.Tensor.from(targets.labels);
+      return {
+        loss: ag.softmaxCrossEntropy(output, labels),
+        accuracy: this.classificationAccuracy(output, labels),
+      };
     }
     // Link prediction or other tasks
-    return this.meanSquaredError(predictions, targets.values);
-
+    return { loss: ag.mseLoss(predictions, ag.Tensor.from(targets.values, predictions.shape)) };
   }
 
+  // Mean over all nodes: [1, dimensions]
   globalPooling(nodeRepresentations) {
-    // Simple mean pooling over all nodes
-    const numNodes = nodeRepresentations.shape[0];
-    const dimensions = nodeRepresentations.shape[1];
-    const pooled = new Float32Array(dimensions);
-
-    for (let dim = 0; dim < dimensions; dim++) {
-      let sum = 0;
-      for (let node = 0; node < numNodes; node++) {
-        sum += nodeRepresentations[node * dimensions + dim];
-      }
-      pooled[dim] = sum / numNodes;
-    }
-
-    return pooled;
-  }
-
-  async validateGraphs(validationData) {
-    let totalLoss = 0;
-    let batchCount = 0;
-
-    for (const batch of validationData) {
-      const predictions = await this.forward(batch.graphs, false);
-      const loss = this.calculateGraphLoss(predictions, batch.targets);
-      totalLoss += loss;
-      batchCount++;
-    }
-
-    return totalLoss / batchCount;
+    return ag.reshape(ag.mean(nodeRepresentations, 0), [1, nodeRepresentations.shape[1]]);
   }
 
   getConfig() {
@@ -417,31 +246,6 @@ class GNNModel extends NeuralModel {
       parameters: this.countParameters(),
     };
   }
-
-  countParameters() {
-    let count = 0;
-
-    // Message passing weights
-    for (let layer = 0; layer < this.config.numLayers; layer++) {
-      const inputDim = layer === 0 ? this.config.nodeDimensions : this.config.hiddenDimensions;
-      count += inputDim * this.config.hiddenDimensions; // nodeToMessage
-      count += this.config.edgeDimensions * this.config.hiddenDimensions; // edgeToMessage
-      count += this.config.hiddenDimensions; // messageBias
-
-      // Update weights
-      count += this.config.hiddenDimensions * 2 * this.config.hiddenDimensions * 2; // update & gate transforms
-      count += this.config.hiddenDimensions * 2; // biases
-
-      // Attention weights
-      count += this.config.hiddenDimensions + 1; // attention weights and bias
-    }
-
-    // Output weights
-    count += this.config.hiddenDimensions * this.config.outputDimensions;
-    count += this.config.outputDimensions;
-
-    return count;
-  }
 }
 
-export { GNNModel };
\ No newline at end of file
+export { GNNModel };
@@ -3,6 +3,8 @@
  * Exports all available neural network architectures
  */
 
+import { readCheckpoint } from './checkpoint.js';
+
 export { NeuralModel } from './base.js';
 export { TransformerModel } from './transformer.js';
 export { CNNModel } from './cnn.js';
@@ -12,6 +14,51 @@ export { GNNModel } from './gnn.js';
 export { ResNetModel } from './resnet.js';
 export { VAEModel } from './vae.js';
 export { LSTMModel } from './lstm.js';
+export { TemporalAttentionModel } from './temporal-attention.js';
+export { MixtureOfExpertsModel } from './moe.js';
+export { WaveNetModel } from './wavenet.js';
+export { NormalizingFlowModel } from './normalizing-flow.js';
+export { Optimizer, SGD, Adam, AdamW, RMSprop, createOptimizer } from './optimizers.js';
+export {
+  LearningRateScheduler,
+  StepLR,
+  ExponentialLR,
+  CosineAnnealingLR,
+  WarmupLR,
+  ReduceLROnPlateau,
+  createScheduler,
+} from './schedulers.js';
+export {
+  Callback,
+  EarlyStopping,
+  ModelCheckpoint,
+  MetricsLogger,
+  NaNDetector,
+  createCallback,
+} from './callbacks.js';
+export { CHECKPOINT_FORMAT_VERSION, readCheckpoint, writeCheckpoint } from './checkpoint.js';
+export { ONNX_OPSET, ONNX_MODEL_TYPES, exportOnnx, importOnnx, writeOnnx, readOnnx, validateOnnxModel } from './onnx.js';
+export { runOnnxModel } from './onnx-runtime.js';
+export {
+  EVALUATION_TASKS,
+  ClassificationMetrics,
+  RegressionMetrics,
+  ReconstructionMetrics,
+  evaluateModel,
+  evaluationTask,
+} from './metrics.js';
+export { QUANTIZATION_PRECISIONS, calibrate, modelBytes, quantizeModel } from './quantization.js';
+export { TUNING_STRATEGIES, hyperbandBrackets, parseSearchSpace, tuneHyperparameters } from './tuning.js';
+export {
+  DATASET_FORMATS,
+  DATASET_MODEL_TYPES,
+  Dataset,
+  DatasetStream,
+  createNormalization,
+  datasetModelConfig,
+  loadDatasetSplits,
+  readNpy,
+} from './dataset.js';
 
 // Model factory for easy instantiation
 export const createNeuralModel = (type, config = {}) => {
@@ -24,6 +71,10 @@ export const createNeuralModel = (type, config = {}) => {
     resnet: () => import('./resnet.js').then(m => new m.ResNetModel(config)),
     vae: () => import('./vae.js').then(m => new m.VAEModel(config)),
     lstm: () => import('./lstm.js').then(m => new m.LSTMModel(config)),
+    attention: () => import('./temporal-attention.js').then(m => new m.TemporalAttentionModel(config)),
+    moe: () => import('./moe.js').then(m => new m.MixtureOfExpertsModel(config)),
+    wavenet: () => import('./wavenet.js').then(m => new m.WaveNetModel(config)),
+    normalizing_flow: () => import('./normalizing-flow.js').then(m => new m.NormalizingFlowModel(config)),
   };
 
   if (!models[type]) {
@@ -33,6 +84,18 @@ export const createNeuralModel = (type, config = {}) => {
   return models[type]();
 };
 
+/**
+ * Rebuilds a model from a checkpoint written by NeuralModel.save(): creates
+ * it from the saved type and config, then restores weights, optimizer state,
+ * metrics and history.
+ */
+export const loadNeuralModel = async(filePath) => {
+  const checkpoint = await readCheckpoint(filePath);
+  const model = await createNeuralModel(checkpoint.modelType, checkpoint.config);
+  model.restoreCheckpoint(checkpoint);
+  return model;
+};
+
 // Model configurations presets
 export const MODEL_PRESETS = {
   // Transformer presets
@@ -257,6 +320,87 @@ export const MODEL_PRESETS = {
       returnSequence: false,
     },
   },
+
+  // Temporal attention presets
+  attention: {
+    multi_head_attention: {
+      dimensions: 512,
+      heads: 8,
+      layers: 2,
+      pooling: 'attention',
+      dropoutRate: 0.1,
+    },
+    event_forecast: {
+      inputSize: 10,
+      dimensions: 64,
+      heads: 4,
+      layers: 2,
+      outputSize: 1,
+      pooling: 'last',
+      useCausalMask: true,
+      dropoutRate: 0.1,
+    },
+  },
+
+  // Mixture of experts presets
+  moe: {
+    sparse_expert_routing: {
+      inputSize: 128,
+      hiddenSize: 256,
+      numExperts: 8,
+      routerType: 'top2',
+      expertCapacity: 2,
+      loadBalanceWeight: 0.01,
+    },
+    switch_routing: {
+      inputSize: 128,
+      hiddenSize: 512,
+      numExperts: 16,
+      routerType: 'switch',
+      expertCapacity: 1.25,
+      loadBalanceWeight: 0.01,
+    },
+  },
+
+  // WaveNet presets
+  wavenet: {
+    speech_synthesis: {
+      inputChannels: 1,
+      residualChannels: 32,
+      dilationChannels: 32,
+      skipChannels: 256,
+      dilationDepth: 10,
+      dilationRepeat: 3,
+      returnSequence: true,
+    },
+    sensor_forecast: {
+      inputChannels: 4,
+      residualChannels: 16,
+      dilationChannels: 16,
+      skipChannels: 32,
+      dilationDepth: 6,
+      dilationRepeat: 1,
+      outputSize: 1,
+    },
+  },
+
+  // Normalizing flow presets
+  normalizing_flow: {
+    density_estimation: {
+      inputSize: 16,
+      flowType: 'real_nvp',
+      couplingLayers: 8,
+      hiddenUnits: 128,
+      numBlocks: 2,
+    },
+    anomaly_scoring: {
+      inputSize: 32,
+      flowType: 'real_nvp',
+      couplingLayers: 6,
+      hiddenUnits: 64,
+      numBlocks: 1,
+    },
+  },
 };
 
 // Utility function to get preset configuration
@@ -4,6 +4,7 @@
  */
 
 import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
 
 class LSTMModel extends NeuralModel {
   constructor(config = {}) {
@@ -31,51 +32,51 @@ class LSTMModel extends NeuralModel {
 
   initializeWeights() {
     const numDirections = this.config.bidirectional ? 2 : 1;
+    const { hiddenSize } = this.config;
+    this.cells = [];
 
     // Initialize LSTM cells for each layer
     for (let layer = 0; layer < this.config.numLayers; layer++) {
       const inputDim = layer === 0 ?
         this.config.inputSize :
-        this.config.hiddenSize * numDirections;
+        hiddenSize * numDirections;
 
       const layerCells = [];
 
       // Create cells for each direction
       for (let dir = 0; dir < numDirections; dir++) {
+        const name = `cells.${layer}.${dir}`;
         layerCells.push({
           // Input gate
-          Wi: this.createWeight([inputDim, this.config.hiddenSize]),
-          Ui: this.createWeight([this.config.hiddenSize, this.config.hiddenSize]),
-          bi: new Float32Array(this.config.hiddenSize).fill(0.0),
+          Wi: this.parameter(`${name}.Wi`, this.createWeight([inputDim, hiddenSize])),
+          Ui: this.parameter(`${name}.Ui`, this.createWeight([hiddenSize, hiddenSize])),
+          bi: this.parameter(`${name}.bi`, new Float32Array(hiddenSize).fill(0.0)),
 
           // Forget gate
-          Wf: this.createWeight([inputDim, this.config.hiddenSize]),
-          Uf: this.createWeight([this.config.hiddenSize, this.config.hiddenSize]),
-          bf: new Float32Array(this.config.hiddenSize).fill(1.0), // Bias init to 1 for forget gate
+          Wf: this.parameter(`${name}.Wf`, this.createWeight([inputDim, hiddenSize])),
+          Uf: this.parameter(`${name}.Uf`, this.createWeight([hiddenSize, hiddenSize])),
+          bf: this.parameter(`${name}.bf`, new Float32Array(hiddenSize).fill(1.0)), // Bias init to 1 for forget gate
 
           // Cell gate
-          Wc: this.createWeight([inputDim, this.config.hiddenSize]),
-          Uc: this.createWeight([this.config.hiddenSize, this.config.hiddenSize]),
-          bc: new Float32Array(this.config.hiddenSize).fill(0.0),
+          Wc: this.parameter(`${name}.Wc`, this.createWeight([inputDim, hiddenSize])),
+          Uc: this.parameter(`${name}.Uc`, this.createWeight([hiddenSize, hiddenSize])),
+          bc: this.parameter(`${name}.bc`, new Float32Array(hiddenSize).fill(0.0)),
 
           // Output gate
-          Wo: this.createWeight([inputDim, this.config.hiddenSize]),
-          Uo: this.createWeight([this.config.hiddenSize, this.config.hiddenSize]),
-          bo: new Float32Array(this.config.hiddenSize).fill(0.0),
+          Wo: this.parameter(`${name}.Wo`, this.createWeight([inputDim, hiddenSize])),
+          Uo: this.parameter(`${name}.Uo`, this.createWeight([hiddenSize, hiddenSize])),
+          bo: this.parameter(`${name}.bo`, new Float32Array(hiddenSize).fill(0.0)),
         });
       }
 
       this.cells.push(layerCells);
     }
 
-    // Output layer
-    const outputInputDim = this.config.returnSequence ?
-      this.config.hiddenSize * numDirections :
-      this.config.hiddenSize * numDirections;
-
+    // Output layer, applied to every timestep or only the last
+    const outputInputDim = hiddenSize * numDirections;
     this.outputLayer = {
-      weight: this.createWeight([outputInputDim, this.config.outputSize]),
-      bias: new Float32Array(this.config.outputSize).fill(0.0),
+      weight: this.parameter('output.weight', this.createWeight([outputInputDim, this.config.outputSize])),
+      bias: this.parameter('output.bias', new Float32Array(this.config.outputSize).fill(0.0)),
     };
   }
 
@@ -93,425 +94,99 @@ class LSTMModel extends NeuralModel {
     return weight;
   }
 
-  async forward(input, training = false) {
-    const batchSize = input.shape[0];
-    const sequenceLength = input.shape[1];
-    const inputSize = input.shape[2];
+  // [batch, sequence, inputSize]; a flat sequence per sample is split into steps of inputSize
+  toSequence(input) {
+    const x = ag.Tensor.from(input);
+    return x.rank === 3 ? x : ag.reshape(x, [x.shape[0], -1, this.config.inputSize]);
+  }
 
-    let layerInput = input;
-    const allHiddenStates = [];
+  async forward(input, training = false) {
+    let layerInput = this.toSequence(input);
 
     // Process through LSTM layers
     for (let layer = 0; layer < this.config.numLayers; layer++) {
-      const { hiddenStates, finalHidden } = await this.forwardLayer(
-        layerInput,
-        layer,
-        training,
-      );
-
-      // Use hidden states as input to next layer
-      layerInput = hiddenStates;
-      allHiddenStates.push(hiddenStates);
+      layerInput = this.forwardLayer(layerInput, layer, training);
     }
 
     // Output projection
-    let output;
     if (this.config.returnSequence) {
-      // Return full sequence
-      output = this.projectSequence(layerInput);
-    } else {
-      // Return only last hidden state
-      const lastHidden = this.getLastHiddenState(layerInput);
-      output = this.linearTransform(
-        lastHidden,
-        this.outputLayer.weight,
-        this.outputLayer.bias,
-      );
+      // Full sequence: [batch, sequence, outputSize]
+      return ag.linear(layerInput, this.outputLayer.weight, this.outputLayer.bias);
     }
-
-    return output;
+    // Only the last hidden state: [batch, outputSize]
+    const lastHidden = ag.select(layerInput, 1, layerInput.shape[1] - 1);
+    return ag.linear(lastHidden, this.outputLayer.weight, this.outputLayer.bias);
   }
 
-  async forwardLayer(input, layerIdx, training = false) {
-    const batchSize = input.shape[0];
-    const sequenceLength = input.shape[1];
+  forwardLayer(input, layerIdx, training = false) {
     const cells = this.cells[layerIdx];
 
     if (this.config.bidirectional) {
-      // Bidirectional LSTM
-      const forwardStates = await this.forwardDirection(
-        input, cells[0], false, training,
-      );
-      const backwardStates = await this.forwardDirection(
-        input, cells[1], true, training,
-      );
-
-      // Concatenate forward and backward states
-      const concatenated = this.concatenateBidirectional(
-        forwardStates.states,
-        backwardStates.states,
-      );
-
-      return {
-        hiddenStates: concatenated,
-        finalHidden: {
-          forward: forwardStates.finalHidden,
-          backward: backwardStates.finalHidden,
-        },
-      };
+      // Forward and backward states side by side
+      const forwardStates = this.forwardDirection(input, cells[0], false, training);
+      const backwardStates = this.forwardDirection(input, cells[1], true, training);
+      return ag.concat([forwardStates, backwardStates], -1);
     }
-    // Unidirectional LSTM
-    return await this.forwardDirection(input, cells[0], false, training);
-
+    return this.forwardDirection(input, cells[0], false, training);
   }
 
-  async forwardDirection(input, cell, reverse = false, training = false) {
-    const batchSize = input.shape[0];
-    const sequenceLength = input.shape[1];
-    const inputDim = input.shape[2];
-
-    // Initialize hidden and cell states
-    let h = new Float32Array(batchSize * this.config.hiddenSize).fill(0);
-    let c = new Float32Array(batchSize * this.config.hiddenSize).fill(0);
-    h.shape = [batchSize, this.config.hiddenSize];
-    c.shape = [batchSize, this.config.hiddenSize];
-
-    const hiddenStates = [];
-
-    // Process sequence
-    const steps = reverse ?
-      Array.from({ length: sequenceLength }, (_, i) => sequenceLength - 1 - i) :
-      Array.from({ length: sequenceLength }, (_, i) => i);
-
-    for (const t of steps) {
-      // Get input at timestep t
-      const xt = new Float32Array(batchSize * inputDim);
-      for (let b = 0; b < batchSize; b++) {
-        for (let i = 0; i < inputDim; i++) {
-          xt[b * inputDim + i] = input[b * sequenceLength * inputDim + t * inputDim + i];
-        }
-      }
-      xt.shape = [batchSize, inputDim];
-
-      // Compute gates
-      const { h: newH, c: newC } = this.lstmCell(xt, h, c, cell);
-
-      // Apply dropout to hidden state if training
-      if (training && this.config.dropoutRate > 0) {
-        h = this.dropout(newH, this.config.dropoutRate);
-      } else {
-        h = newH;
-      }
-      c = newC;
-
-      hiddenStates.push(h);
-    }
-
-    // Reverse hidden states if processing was reversed
-    if (reverse) {
-      hiddenStates.reverse();
-    }
-
-    // Stack hidden states
-    const stackedStates = this.stackHiddenStates(hiddenStates, batchSize, sequenceLength);
+  // Hidden states for every timestep: [batch, sequence, hiddenSize]
+  forwardDirection(input, cell, reverse = false, training = false) {
+    const [batchSize, sequenceLength] = input.shape;
 
-    return {
-      states: stackedStates,
-      finalHidden: h,
-      finalCell: c,
+    // Input contributions for the whole sequence at once
+    const inputGates = {
+      i: ag.matmul(input, cell.Wi),
+      f: ag.matmul(input, cell.Wf),
+      c: ag.matmul(input, cell.Wc),
+      o: ag.matmul(input, cell.Wo),
     };
-  }
-
-  lstmCell(x, hPrev, cPrev, cell) {
-    const batchSize = x.shape[0];
-
-    // Input gate
-    const i = this.sigmoid(
-      this.add(
-        this.add(
-          this.matmulBatch(x, cell.Wi),
-          this.matmulBatch(hPrev, cell.Ui),
-        ),
-        cell.bi,
-      ),
-    );
-
-    // Forget gate
-    const f = this.sigmoid(
-      this.add(
-        this.add(
-          this.matmulBatch(x, cell.Wf),
-          this.matmulBatch(hPrev, cell.Uf),
-        ),
-        cell.bf,
-      ),
-    );
-
-    // Cell candidate
-    const cTilde = this.tanh(
-      this.add(
-        this.add(
-          this.matmulBatch(x, cell.Wc),
-          this.matmulBatch(hPrev, cell.Uc),
-        ),
-        cell.bc,
-      ),
-    );
-
-    // New cell state
-    const c = this.add(
-      this.elementwiseMultiply(f, cPrev),
-      this.elementwiseMultiply(i, cTilde),
-    );
-
-    // Output gate
-    const o = this.sigmoid(
-      this.add(
-        this.add(
-          this.matmulBatch(x, cell.Wo),
-          this.matmulBatch(hPrev, cell.Uo),
-        ),
-        cell.bo,
-      ),
-    );
-
-    // New hidden state
-    const h = this.elementwiseMultiply(o, this.tanh(c));
 
-    return { h, c };
-  }
-
-  matmulBatch(input, weight) {
-    // Batch matrix multiplication
-    const batchSize = input.shape[0];
-    const inputDim = weight.shape[0];
-    const outputDim = weight.shape[1];
-
-    const output = new Float32Array(batchSize * outputDim);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let out = 0; out < outputDim; out++) {
-        let sum = 0;
-        for (let inp = 0; inp < inputDim; inp++) {
-          sum += input[b * inputDim + inp] * weight[inp * outputDim + out];
-        }
-        output[b * outputDim + out] = sum;
-      }
-    }
-
-    output.shape = [batchSize, outputDim];
-    return output;
-  }
-
-  elementwiseMultiply(a, b) {
-    const result = new Float32Array(a.length);
-    for (let i = 0; i < a.length; i++) {
-      result[i] = a[i] * b[i];
-    }
-    result.shape = a.shape;
-    return result;
-  }
-
-  stackHiddenStates(states, batchSize, sequenceLength) {
-    const hiddenSize = states[0].shape[1];
-    const stacked = new Float32Array(batchSize * sequenceLength * hiddenSize);
-
-    for (let t = 0; t < sequenceLength; t++) {
-      const state = states[t];
-      for (let b = 0; b < batchSize; b++) {
-        for (let h = 0; h < hiddenSize; h++) {
-          stacked[b * sequenceLength * hiddenSize + t * hiddenSize + h] =
-            state[b * hiddenSize + h];
-        }
-      }
-    }
-
-    stacked.shape = [batchSize, sequenceLength, hiddenSize];
-    return stacked;
-  }
-
-  concatenateBidirectional(forwardStates, backwardStates) {
-    const { shape } = forwardStates;
-    const batchSize = shape[0];
-    const sequenceLength = shape[1];
-    const hiddenSize = shape[2];
-
-    const concatenated = new Float32Array(batchSize * sequenceLength * hiddenSize * 2);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let t = 0; t < sequenceLength; t++) {
-        // Forward states
-        for (let h = 0; h < hiddenSize; h++) {
-          concatenated[b * sequenceLength * hiddenSize * 2 + t * hiddenSize * 2 + h] =
-            forwardStates[b * sequenceLength * hiddenSize + t * hiddenSize + h];
-        }
-        // Backward states
-        for (let h = 0; h < hiddenSize; h++) {
-          concatenated[b * sequenceLength * hiddenSize * 2 + t * hiddenSize * 2 + hiddenSize + h] =
-            backwardStates[b * sequenceLength * hiddenSize + t * hiddenSize + h];
-        }
-      }
-    }
-
-    concatenated.shape = [batchSize, sequenceLength, hiddenSize * 2];
-    return concatenated;
-  }
-
-  getLastHiddenState(hiddenStates) {
-    const { shape } = hiddenStates;
-    const batchSize = shape[0];
-    const sequenceLength = shape[1];
-    const hiddenSize = shape[2];
-
-    const lastHidden = new Float32Array(batchSize * hiddenSize);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let h = 0; h < hiddenSize; h++) {
-        lastHidden[b * hiddenSize + h] =
-          hiddenStates[b * sequenceLength * hiddenSize + (sequenceLength - 1) * hiddenSize + h];
-      }
-    }
+    let h = ag.Tensor.zeros([batchSize, this.config.hiddenSize]);
+    let c = ag.Tensor.zeros([batchSize, this.config.hiddenSize]);
+    const hiddenStates = new Array(sequenceLength);
+
+    for (let step = 0; step < sequenceLength; step++) {
+      const t = reverse ? sequenceLength - 1 - step : step;
+      const xt = {
+        i: ag.select(inputGates.i, 1, t),
+        f: ag.select(inputGates.f, 1, t),
+        c: ag.select(inputGates.c, 1, t),
+        o: ag.select(inputGates.o, 1, t),
+      };
 
-    lastHidden.shape = [batchSize, hiddenSize];
-    return lastHidden;
-  }
+      ({ h, c } = this.lstmCell(xt, h, c, cell));
 
-  projectSequence(hiddenStates) {
-    const { shape } = hiddenStates;
-    const batchSize = shape[0];
-    const sequenceLength = shape[1];
-    const hiddenSize = shape[2];
-
-    const output = new Float32Array(batchSize * sequenceLength * this.config.outputSize);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let t = 0; t < sequenceLength; t++) {
-        // Extract hidden state at time t
-        const h = new Float32Array(hiddenSize);
-        for (let i = 0; i < hiddenSize; i++) {
-          h[i] = hiddenStates[b * sequenceLength * hiddenSize + t * hiddenSize + i];
-        }
-        h.shape = [1, hiddenSize];
-
-        // Project to output
-        const out = this.linearTransform(h, this.outputLayer.weight, this.outputLayer.bias);
-
-        // Store in output
-        for (let i = 0; i < this.config.outputSize; i++) {
-          output[b * sequenceLength * this.config.outputSize + t * this.config.outputSize + i] = out[i];
-        }
-      }
+      // Apply dropout to hidden state if training
+      h = ag.dropout(h, this.config.dropoutRate, training);
+      hiddenStates[t] = h;
     }
 
-    output.shape = [batchSize, sequenceLength, this.config.outputSize];
-    return output;
+    return ag.stack(hiddenStates, 1);
   }
 
-  linearTransform(input, weight, bias) {
-    const batchSize = input.shape ? input.shape[0] : 1;
-    const inputDim = weight.shape[0];
-    const outputDim = weight.shape[1];
+  // One step; `x` holds the input projections for each gate
+  lstmCell(x, hPrev, cPrev, cell) {
+    const gate = (xw, U, b) => ag.add(ag.add(xw, ag.matmul(hPrev, U)), b);
 
-    const output = new Float32Array(batchSize * outputDim);
+    const i = ag.sigmoid(gate(x.i, cell.Ui, cell.bi));
+    const f = ag.sigmoid(gate(x.f, cell.Uf, cell.bf));
+    const cTilde = ag.tanh(gate(x.c, cell.Uc, cell.bc));
+    const o = ag.sigmoid(gate(x.o, cell.Uo, cell.bo));
 
-    for (let b = 0; b < batchSize; b++) {
-      for (let out = 0; out < outputDim; out++) {
-        let sum = bias[out];
-        for (let inp = 0; inp < inputDim; inp++) {
-          sum += input[b * inputDim + inp] * weight[inp * outputDim + out];
-        }
-        output[b * outputDim + out] = sum;
-      }
-    }
+    // New cell and hidden state
+    const c = ag.add(ag.mul(f, cPrev), ag.mul(i, cTilde));
+    const h = ag.mul(o, ag.tanh(c));
 
-    output.shape = [batchSize, outputDim];
-    return output;
+    return { h, c };
   }
 
   async train(trainingData, options = {}) {
-    const {
-      epochs = 20,
-      batchSize = 32,
-      learningRate = 0.001,
-      gradientClipping = 5.0,
-      validationSplit = 0.1,
-    } = options;
-
-    const trainingHistory = [];
-
-    // Split data
-    const splitIndex = Math.floor(trainingData.length * (1 - validationSplit));
-    const trainData = trainingData.slice(0, splitIndex);
-    const valData = trainingData.slice(splitIndex);
-
-    for (let epoch = 0; epoch < epochs; epoch++) {
-      let epochLoss = 0;
-      let batchCount = 0;
-
-      // Shuffle training data
-      const shuffled = this.shuffle(trainData);
-
-      // Process batches
-      for (let i = 0; i < shuffled.length; i += batchSize) {
-        const batch = shuffled.slice(i, Math.min(i + batchSize, shuffled.length));
-
-        // Forward pass
-        const predictions = await this.forward(batch.inputs, true);
-
-        // Calculate loss
-        const loss = this.calculateSequenceLoss(predictions, batch.targets);
-        epochLoss += loss;
-
-        // Backward pass with gradient clipping
-        await this.backward(loss, learningRate, gradientClipping);
-
-        batchCount++;
-      }
-
-      // Validation
-      const valLoss = await this.validateSequences(valData);
-
-      const avgTrainLoss = epochLoss / batchCount;
-      trainingHistory.push({
-        epoch: epoch + 1,
-        trainLoss: avgTrainLoss,
-        valLoss,
-        learningRate,
-      });
-
-      console.log(`Epoch ${epoch + 1}/${epochs} - Train Loss: ${avgTrainLoss.toFixed(4)}, Val Loss: ${valLoss.toFixed(4)}`);
-    }
-
-    return {
-      history: trainingHistory,
-      finalLoss: trainingHistory[trainingHistory.length - 1].trainLoss,
-      modelType: 'lstm',
-      accuracy: 0.864, // Simulated accuracy for LSTM
-    };
-  }
-
-  calculateSequenceLoss(predictions, targets) {
-    if (this.config.returnSequence) {
-      // Sequence-to-sequence loss
-      return this.crossEntropyLoss(predictions, targets);
-    }
-    // Sequence-to-one loss
-    return this.crossEntropyLoss(predictions, targets);
-
-  }
-
-  async validateSequences(validationData) {
-    let totalLoss = 0;
-    let batchCount = 0;
-
-    for (const batch of validationData) {
-      const predictions = await this.forward(batch.inputs, false);
-      const loss = this.calculateSequenceLoss(predictions, batch.targets);
-      totalLoss += loss;
-      batchCount++;
-    }
-
-    return totalLoss / batchCount;
+    return super.train(trainingData, {
+      epochs: 20,
+      gradientClipping: 5.0,
+      ...options,
+    });
   }
 
   getConfig() {
@@ -521,31 +196,6 @@ class LSTMModel extends NeuralModel {
       parameters: this.countParameters(),
     };
   }
-
-  countParameters() {
-    let count = 0;
-    const numDirections = this.config.bidirectional ? 2 : 1;
-
-    // LSTM cell parameters
-    for (let layer = 0; layer < this.config.numLayers; layer++) {
-      const inputDim = layer === 0 ?
-        this.config.inputSize :
-        this.config.hiddenSize * numDirections;
-
-      // Parameters per direction
-      const paramsPerDirection =
-        4 * (inputDim * this.config.hiddenSize + // W matrices
-             this.config.hiddenSize * this.config.hiddenSize + // U matrices
-             this.config.hiddenSize); // biases
-
-      count += paramsPerDirection * numDirections;
-    }
-
-    // Output layer
-    count += this.outputLayer.weight.length + this.outputLayer.bias.length;
-
-    return count;
-  }
 }
 
-export { LSTMModel };
\ No newline at end of file
+export { LSTMModel };
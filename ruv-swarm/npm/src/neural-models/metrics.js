@@ -0,0 +1,293 @@
+/**
+ * Evaluation metrics
+ *
+ * Scores a trained model's predictions on held-out data with the metrics
+ * that fit its task: accuracy, macro-averaged precision/recall/F1 and a
+ * confusion matrix for classifiers, MAE/RMSE/MAPE/sMAPE/R² for regression
+ * and forecasting, and per-sample reconstruction error for the autoencoder
+ * and VAE. The accumulators take one batch at a time, so streamed datasets
+ * are scored without holding them in memory.
+ */
+
+import { Tensor } from './autograd.js';
+import { DatasetStream } from './dataset.js';
+
+const EVALUATION_TASKS = ['classification', 'regression', 'reconstruction'];
+const RECONSTRUCTION_MODELS = ['autoencoder', 'vae'];
+const CLASSIFICATION_LOSSES = ['cross_entropy', 'categorical_cross_entropy', 'binary_cross_entropy'];
+
+// Index of the highest of `cols` values starting at `base`
+function argmax(data, base, cols) {
+  let best = 0;
+  for (let c = 1; c < cols; c++) {
+    if (data[base + c] > data[base + best]) {
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Confusion matrix and per-class scores. Rows of the matrix are the actual
+ * class, columns the predicted one.
+ */
+class ClassificationMetrics {
+  constructor(classes = null) {
+    this.labels = classes ? classes.map(String) : [];
+    this.matrix = this.labels.map(() => new Array(this.labels.length).fill(0));
+    this.count = 0;
+  }
+
+  grow(numClasses) {
+    while (this.labels.length < numClasses) {
+      this.labels.push(String(this.labels.length));
+    }
+    for (const row of this.matrix) {
+      while (row.length < numClasses) {
+        row.push(0);
+      }
+    }
+    while (this.matrix.length < numClasses) {
+      this.matrix.push(new Array(numClasses).fill(0));
+    }
+  }
+
+  /**
+   * @param {Tensor} output - logits [batch, classes], or [batch, 1] for a
+   *   binary model (positive when the logit is above 0)
+   * @param {Tensor} target - class indices [batch] or one-hot rows
+   */
+  add(output, target) {
+    const cols = output.shape[output.rank - 1];
+    const rows = output.size / cols;
+    const binary = cols === 1;
+    const targetCols = target.size / rows;
+    this.grow(binary ? 2 : cols);
+
+    for (let r = 0; r < rows; r++) {
+      const predicted = binary ? Number(output.data[r] > 0) : argmax(output.data, r * cols, cols);
+      const actual = targetCols === 1 ? Math.round(target.data[r]) : argmax(target.data, r * targetCols, targetCols);
+      if (actual >= this.matrix.length) {
+        this.grow(actual + 1);
+      }
+      this.matrix[actual][predicted]++;
+    }
+    this.count += rows;
+  }
+
+  report() {
+    const perClass = this.labels.map((label, c) => {
+      const truePositives = this.matrix[c][c];
+      const support = this.matrix[c].reduce((a, b) => a + b, 0);
+      const predicted = this.matrix.reduce((sum, row) => sum + row[c], 0);
+      const precision = predicted ? truePositives / predicted : 0;
+      const recall = support ? truePositives / support : 0;
+      const f1 = precision + recall ? 2 * precision * recall / (precision + recall) : 0;
+      return { label, precision, recall, f1, support };
+    });
+
+    // Macro averages over the classes that occur in the data
+    const present = perClass.filter(c => c.support > 0);
+    const average = (key) => (present.length ? present.reduce((sum, c) => sum + c[key], 0) / present.length : 0);
+    const correct = this.labels.reduce((sum, _, c) => sum + this.matrix[c][c], 0);
+
+    return {
+      task: 'classification',
+      count: this.count,
+      metrics: {
+        accuracy: this.count ? correct / this.count : 0,
+        precision: average('precision'),
+        recall: average('recall'),
+        f1: average('f1'),
+      },
+      perClass,
+      confusionMatrix: { labels: [...this.labels], matrix: this.matrix.map(row => [...row]) },
+    };
+  }
+}
+
+/**
+ * Errors of numeric predictions, over every output value. MAPE skips
+ * targets of zero and sMAPE pairs that are both zero; both are
+ * percentages and null when nothing was left to average.
+ */
+class RegressionMetrics {
+  constructor() {
+    this.count = 0;
+    this.values = 0;
+    this.absolute = 0;
+    this.squared = 0;
+    this.percentage = 0;
+    this.percentageCount = 0;
+    this.symmetric = 0;
+    this.symmetricCount = 0;
+    this.targetSum = 0;
+    this.targetSquares = 0;
+  }
+
+  add(output, target) {
+    if (output.size !== target.size) {
+      throw new Error(`Predictions have ${output.size} values but targets ${target.size}; check the target columns`);
+    }
+    for (let i = 0; i < output.size; i++) {
+      const predicted = output.data[i];
+      const actual = target.data[i];
+      const error = predicted - actual;
+      this.absolute += Math.abs(error);
+      this.squared += error * error;
+      if (actual !== 0) {
+        this.percentage += Math.abs(error / actual);
+        this.percentageCount++;
+      }
+      const magnitude = Math.abs(predicted) + Math.abs(actual);
+      if (magnitude > 0) {
+        this.symmetric += 2 * Math.abs(error) / magnitude;
+        this.symmetricCount++;
+      }
+      this.targetSum += actual;
+      this.targetSquares += actual * actual;
+    }
+    this.values += output.size;
+    this.count += output.shape[0];
+  }
+
+  report() {
+    const n = this.values || 1;
+    const variance = this.targetSquares / n - (this.targetSum / n) ** 2;
+    return {
+      task: 'regression',
+      count: this.count,
+      metrics: {
+        mae: this.absolute / n,
+        rmse: Math.sqrt(this.squared / n),
+        mape: this.percentageCount ? 100 * this.percentage / this.percentageCount : null,
+        smape: this.symmetricCount ? 100 * this.symmetric / this.symmetricCount : null,
+        r2: variance > 0 ? 1 - (this.squared / n) / variance : null,
+      },
+    };
+  }
+}
+
+/**
+ * Reconstruction error: overall MSE/RMSE/MAE plus the distribution of each
+ * sample's mean squared error, whose upper percentiles are the usual
+ * anomaly thresholds.
+ */
+class ReconstructionMetrics {
+  constructor() {
+    this.sampleErrors = [];
+    this.absolute = 0;
+    this.values = 0;
+  }
+
+  get count() {
+    return this.sampleErrors.length;
+  }
+
+  add(output, target) {
+    const [rows] = output.shape;
+    const width = output.size / rows;
+    if (target.size !== output.size) {
+      throw new Error(`Reconstructions have ${output.size} values but inputs ${target.size}`);
+    }
+    for (let r = 0; r < rows; r++) {
+      let squared = 0;
+      for (let i = r * width; i < (r + 1) * width; i++) {
+        const error = output.data[i] - target.data[i];
+        squared += error * error;
+        this.absolute += Math.abs(error);
+      }
+      this.sampleErrors.push(squared / width);
+    }
+    this.values += output.size;
+  }
+
+  report() {
+    const errors = Float64Array.from(this.sampleErrors).sort();
+    const { count } = this;
+    const mse = count ? errors.reduce((a, b) => a + b, 0) / count : 0;
+    const percentile = (p) => (count ? errors[Math.min(count - 1, Math.floor(p * count))] : 0);
+    return {
+      task: 'reconstruction',
+      count,
+      metrics: {
+        mse,
+        rmse: Math.sqrt(mse),
+        mae: this.values ? this.absolute / this.values : 0,
+        medianSampleError: percentile(0.5),
+        p95SampleError: percentile(0.95),
+        maxSampleError: count ? errors[count - 1] : 0,
+      },
+    };
+  }
+}
+
+/**
+ * The task a model's predictions are scored as: reconstruction for the
+ * autoencoder and VAE, classification when the model was trained on
+ * classes or with a cross-entropy loss, regression otherwise.
+ */
+function evaluationTask(model) {
+  if (RECONSTRUCTION_MODELS.includes(model.modelType)) {
+    return 'reconstruction';
+  }
+  if (model.config?.dataset?.classes || CLASSIFICATION_LOSSES.includes(model.config?.loss)) {
+    return 'classification';
+  }
+  return 'regression';
+}
+
+function createMetrics(task, classes) {
+  switch (task) {
+  case 'classification':
+    return new ClassificationMetrics(classes);
+  case 'regression':
+    return new RegressionMetrics();
+  case 'reconstruction':
+    return new ReconstructionMetrics();
+  default:
+    throw new Error(`Unknown evaluation task: ${task}. Use ${EVALUATION_TASKS.join(', ')}`);
+  }
+}
+
+/**
+ * Runs `model` over `data` in evaluation mode and scores its predictions.
+ * @param {NeuralModel} model
+ * @param {*} data - anything NeuralModel.toSamples() accepts, or a Dataset or DatasetStream
+ * @param {Object} options - `task` (default from evaluationTask()),
+ *   `classes` (labels for the confusion matrix, default the model's
+ *   dataset classes) and `batchSize`
+ * @returns {Promise<Object>} `{ task, count, metrics, ... }`; classification
+ *   adds `perClass` and `confusionMatrix`
+ */
+async function evaluateModel(model, data, { task = null, classes = null, batchSize = 32 } = {}) {
+  const resolvedTask = task || evaluationTask(model);
+  const metrics = createMetrics(resolvedTask, classes || model.config?.dataset?.classes || null);
+  const samples = data instanceof DatasetStream ? data : model.toSamples(data);
+
+  for await (const batch of model.batches(samples, batchSize)) {
+    let output = await model.forward(model.batchInputs(batch), false);
+    if (!(output instanceof Tensor)) {
+      output = output.reconstruction;
+    }
+    if (!(output instanceof Tensor)) {
+      throw new Error(`${model.modelType} models have no prediction to evaluate`);
+    }
+    const target = resolvedTask === 'reconstruction' ? model.batchInputs(batch) : model.batchTargets(batch);
+    metrics.add(output, target);
+  }
+  if (metrics.count === 0) {
+    throw new Error('No samples to evaluate');
+  }
+
+  return metrics.report();
+}
+
+export {
+  EVALUATION_TASKS,
+  ClassificationMetrics,
+  RegressionMetrics,
+  ReconstructionMetrics,
+  evaluateModel,
+  evaluationTask,
+};
@@ -0,0 +1,226 @@
+/**
+ * Mixture of Experts (MoE) Model
+ * Routes each sample to its top-k expert networks through a learned gate
+ *
+ * The router scores every expert, keeps the best `topK` (`routerType` top1
+ * or top2) within each expert's capacity and renormalises their gates with
+ * a softmax over just those experts. Each expert only runs on the rows sent
+ * to it. A Switch Transformer style load-balancing loss keeps the router
+ * from favouring a few experts.
+ */
+
+import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
+
+const ROUTER_TOP_K = { top1: 1, top2: 2, switch: 1 };
+
+class MixtureOfExpertsModel extends NeuralModel {
+  constructor(config = {}) {
+    super('moe');
+
+    // MoE configuration
+    this.config = {
+      inputSize: config.inputSize || 128,
+      hiddenSize: config.hiddenSize || 256,
+      outputSize: config.outputSize || 10,
+      numExperts: config.numExperts || 8,
+      routerType: config.routerType || 'top2',
+      // Capacity factor: an expert takes at most ceil(expertCapacity * batch * topK / numExperts) samples; null for no limit
+      expertCapacity: config.expertCapacity ?? null,
+      loadBalanceWeight: config.loadBalanceWeight ?? 0.01,
+      activation: config.activation || 'relu',
+      dropoutRate: config.dropoutRate ?? 0.1,
+      ...config,
+    };
+
+    this.topK = this.config.topK || ROUTER_TOP_K[this.config.routerType];
+    if (!this.topK) {
+      throw new Error(`Unknown MoE router type: ${this.config.routerType}. Use ${Object.keys(ROUTER_TOP_K).join(', ')} or set topK`);
+    }
+    if (this.topK > this.config.numExperts) {
+      throw new Error(`MoE topK (${this.topK}) cannot exceed numExperts (${this.config.numExperts})`);
+    }
+
+    this.router = null;
+    this.experts = [];
+
+    this.initializeWeights();
+  }
+
+  initializeWeights() {
+    const { inputSize, hiddenSize, outputSize, numExperts } = this.config;
+
+    this.router = {
+      weight: this.parameter('router.weight', this.createWeight([inputSize, numExperts])),
+      bias: this.parameter('router.bias', new Float32Array(numExperts).fill(0.0)),
+    };
+
+    this.experts = [];
+    for (let e = 0; e < numExperts; e++) {
+      const name = `experts.${e}`;
+      this.experts.push({
+        w1: this.parameter(`${name}.w1`, this.createWeight([inputSize, hiddenSize])),
+        b1: this.parameter(`${name}.b1`, new Float32Array(hiddenSize).fill(0.0)),
+        w2: this.parameter(`${name}.w2`, this.createWeight([hiddenSize, outputSize])),
+        b2: this.parameter(`${name}.b2`, new Float32Array(outputSize).fill(0.0)),
+      });
+    }
+  }
+
+  createWeight(shape) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    const weight = new Float32Array(size);
+
+    // Xavier/Glorot initialization
+    const scale = Math.sqrt(2.0 / (shape[0] + shape[1]));
+    for (let i = 0; i < size; i++) {
+      weight[i] = (Math.random() * 2 - 1) * scale;
+    }
+
+    weight.shape = shape;
+    return weight;
+  }
+
+  // Flat [batch, inputSize] view of the input
+  toBatch(input) {
+    const x = ag.Tensor.from(input);
+    return x.rank === 2 && x.shape[1] === this.config.inputSize ? x : ag.reshape(x, [-1, this.config.inputSize]);
+  }
+
+  async forward(input, training = false) {
+    return this.route(input, training).output;
+  }
+
+  /**
+   * Runs the router and the experts. Returns the combined `output`
+   * [batch, outputSize], the router's `probabilities` [batch, experts], the
+   * renormalised `gates`, each sample's `assignments` (expert indices) and
+   * the `load` (samples per expert).
+   */
+  route(input, training = false) {
+    const x = this.toBatch(input);
+    const [batchSize] = x.shape;
+    const { numExperts, outputSize } = this.config;
+
+    const logits = ag.linear(x, this.router.weight, this.router.bias);
+    const probabilities = ag.softmax(logits);
+    const { assignments, load, mask } = this.assignExperts(probabilities.data, batchSize);
+
+    // Softmax over the chosen experts only; samples no expert had room for get all-zero gates
+    const gates = ag.mul(ag.softmax(ag.add(logits, new ag.Tensor(mask.additive, logits.shape))), new ag.Tensor(mask.keep, logits.shape));
+    const gateTable = ag.reshape(gates, [batchSize * numExperts, 1]);
+
+    // Rows sent to each expert, and where their gates sit in the flattened gate table
+    const routedTo = Array.from({ length: numExperts }, () => []);
+    const gateIndices = Array.from({ length: numExperts }, () => []);
+    assignments.forEach((experts, sample) => {
+      for (const e of experts) {
+        routedTo[e].push(sample);
+        gateIndices[e].push(sample * numExperts + e);
+      }
+    });
+
+    const contributions = [];
+    const rows = [];
+    for (let e = 0; e < numExperts; e++) {
+      const routed = Int32Array.from(routedTo[e]);
+      if (routed.length === 0) {
+        continue;
+      }
+      const expertOutput = this.expertForward(ag.gather(x, routed), e, training);
+      const gate = ag.gather(gateTable, Int32Array.from(gateIndices[e]));
+      // [n, 1, 1] x [n, 1, outputSize]: scales each routed row by its gate
+      const weighted = ag.matmul(ag.reshape(gate, [routed.length, 1, 1]), ag.reshape(expertOutput, [routed.length, 1, outputSize]));
+      contributions.push(ag.reshape(weighted, [routed.length, outputSize]));
+      rows.push(...routed);
+    }
+
+    const output = contributions.length > 0 ?
+      ag.scatterAdd(ag.concat(contributions, 0), Int32Array.from(rows), batchSize) :
+      ag.Tensor.zeros([batchSize, outputSize]);
+
+    return { output, probabilities, gates, assignments, load };
+  }
+
+  /**
+   * Top-k experts per sample, in batch order, skipping experts already at
+   * capacity. `mask.additive` hides the other experts from the gate softmax
+   * and `mask.keep` zeroes the gates of samples left without an expert.
+   */
+  assignExperts(probabilities, batchSize) {
+    const { numExperts, expertCapacity } = this.config;
+    const capacity = expertCapacity ? Math.ceil(expertCapacity * batchSize * this.topK / numExperts) : Infinity;
+    const load = new Array(numExperts).fill(0);
+    const additive = new Float32Array(batchSize * numExperts).fill(-1e9);
+    const keep = new Float32Array(batchSize * numExperts);
+    const byProbability = (row) => (a, b) => probabilities[row + b] - probabilities[row + a];
+
+    const assignments = [];
+    for (let sample = 0; sample < batchSize; sample++) {
+      const row = sample * numExperts;
+      const ranked = Array.from({ length: numExperts }, (_, e) => e).sort(byProbability(row));
+      const chosen = [];
+      for (const e of ranked) {
+        if (chosen.length === this.topK) {
+          break;
+        }
+        if (load[e] < capacity) {
+          chosen.push(e);
+          load[e]++;
+          additive[row + e] = 0;
+        }
+      }
+      if (chosen.length > 0) {
+        keep.fill(1, row, row + numExperts);
+      }
+      assignments.push(chosen);
+    }
+    return { assignments, load, mask: { additive, keep } };
+  }
+
+  expertForward(x, index, training = false) {
+    const expert = this.experts[index];
+    let h = ag.activation(ag.linear(x, expert.w1, expert.b1), this.config.activation);
+    h = ag.dropout(h, this.config.dropoutRate, training);
+    return ag.linear(h, expert.w2, expert.b2);
+  }
+
+  /**
+   * numExperts * sum over experts of (share of routed samples) x (mean
+   * router probability); 1 when routing is perfectly even
+   */
+  loadBalanceLoss({ probabilities, load }) {
+    const { numExperts } = this.config;
+    const total = load.reduce((a, b) => a + b, 0) || 1;
+    const share = new ag.Tensor(Float32Array.from(load, count => count / total), [numExperts]);
+    return ag.scale(ag.sum(ag.mul(ag.mean(probabilities, 0), share)), numExperts);
+  }
+
+  async computeLoss(samples, { training = false } = {}) {
+    const routed = this.route(this.batchInputs(samples), training);
+    const { loss, metrics } = this.lossFor(routed.output, this.batchTargets(samples));
+    const balance = this.loadBalanceLoss(routed);
+    return {
+      loss: ag.add(loss, ag.scale(balance, this.config.loadBalanceWeight)),
+      metrics: { ...metrics, loadBalance: balance.item() },
+    };
+  }
+
+  // Share of the samples in `input` that each expert receives
+  async expertUtilization(input) {
+    const { load } = this.route(input, false);
+    const total = load.reduce((a, b) => a + b, 0) || 1;
+    return load.map(count => count / total);
+  }
+
+  getConfig() {
+    return {
+      type: 'moe',
+      ...this.config,
+      topK: this.topK,
+      parameters: this.countParameters(),
+    };
+  }
+}
+
+export { MixtureOfExpertsModel };
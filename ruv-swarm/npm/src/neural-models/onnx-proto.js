@@ -0,0 +1,471 @@
+/**
+ * ONNX protobuf encoding
+ *
+ * A small protobuf wire-format writer and reader, and the ONNX messages
+ * built on it (ModelProto, GraphProto, NodeProto, AttributeProto,
+ * TensorProto, ValueInfoProto), with field numbers from onnx.proto. Messages
+ * are plain objects:
+ *
+ *   model       { irVersion, opsetImport: [{ domain, version }], producerName,
+ *                 producerVersion, docString, graph, metadata: { key: value } }
+ *   graph       { name, nodes, initializers, inputs, outputs }
+ *   node        { name, opType, domain, inputs, outputs, attributes: { name: attribute } }
+ *   attribute   { f } | { i } | { s } | { floats } | { ints } | { strings }
+ *   tensor      { name, dataType: 'float' | 'int64' | 'int32', dims, data }
+ *   value info  { name, elemType, shape: [number | string] }
+ *
+ * Float tensors carry a Float32Array, integer tensors an array of numbers.
+ */
+
+import os from 'os';
+
+const LITTLE_ENDIAN = os.endianness() === 'LE';
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_BYTES = 2;
+const WIRE_FIXED32 = 5;
+
+// TensorProto.DataType
+const DATA_TYPES = { float: 1, int32: 6, int64: 7 };
+const DATA_TYPE_NAMES = Object.fromEntries(Object.entries(DATA_TYPES).map(([name, code]) => [code, name]));
+
+// AttributeProto.AttributeType, by the key the attribute's value is stored under
+const ATTRIBUTE_TYPES = { f: 1, i: 2, s: 3, floats: 6, ints: 7, strings: 8 };
+
+class ProtoWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  // Negative numbers are written as 64-bit two's complement, like int64 fields expect
+  varint(value) {
+    const bytes = [];
+    if (value < 0) {
+      let n = BigInt.asUintN(64, BigInt(value));
+      while (n > 127n) {
+        bytes.push(Number(n & 127n) | 128);
+        n >>= 7n;
+      }
+      bytes.push(Number(n));
+    } else {
+      let n = value;
+      while (n > 127) {
+        bytes.push((n % 128) | 128);
+        n = Math.floor(n / 128);
+      }
+      bytes.push(n);
+    }
+    this.push(Buffer.from(bytes));
+  }
+
+  tag(field, wireType) {
+    this.varint(field * 8 + wireType);
+  }
+
+  int(field, value) {
+    if (value !== undefined && value !== null) {
+      this.tag(field, WIRE_VARINT);
+      this.varint(value);
+    }
+  }
+
+  float(field, value) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeFloatLE(value);
+    this.tag(field, WIRE_FIXED32);
+    this.push(bytes);
+  }
+
+  bytes(field, value) {
+    this.tag(field, WIRE_BYTES);
+    this.varint(value.length);
+    this.push(value);
+  }
+
+  string(field, value) {
+    if (value) {
+      this.bytes(field, Buffer.from(value, 'utf8'));
+    }
+  }
+
+  message(field, write) {
+    const inner = new ProtoWriter();
+    write(inner);
+    this.bytes(field, inner.finish());
+  }
+
+  packedInts(field, values) {
+    const inner = new ProtoWriter();
+    values.forEach(value => inner.varint(value));
+    this.bytes(field, inner.finish());
+  }
+
+  packedFloats(field, values) {
+    this.bytes(field, floatBytes(values));
+  }
+
+  finish() {
+    return Buffer.concat(this.chunks, this.length);
+  }
+}
+
+/**
+ * Splits a message into its fields: a Map from field number to the list of
+ * raw values (numbers for varints, Buffers for everything else).
+ */
+function readFields(buffer) {
+  const fields = new Map();
+  let pos = 0;
+
+  const varint = () => {
+    let result = 0n;
+    let shift = 0n;
+    for (;;) {
+      if (pos >= buffer.length) {
+        throw new Error('truncated varint');
+      }
+      const byte = buffer[pos++];
+      result |= BigInt(byte & 127) << shift;
+      if (byte < 128) {
+        return Number(BigInt.asIntN(64, result));
+      }
+      shift += 7n;
+    }
+  };
+
+  const take = (length) => {
+    if (pos + length > buffer.length) {
+      throw new Error('truncated field');
+    }
+    pos += length;
+    return buffer.subarray(pos - length, pos);
+  };
+
+  while (pos < buffer.length) {
+    const key = varint();
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    let value;
+    switch (wireType) {
+    case WIRE_VARINT:
+      value = varint();
+      break;
+    case WIRE_FIXED64:
+      value = take(8);
+      break;
+    case WIRE_BYTES:
+      value = take(varint());
+      break;
+    case WIRE_FIXED32:
+      value = take(4);
+      break;
+    default:
+      throw new Error(`unsupported wire type ${wireType} for field ${field}`);
+    }
+    if (!fields.has(field)) {
+      fields.set(field, []);
+    }
+    fields.get(field).push({ wireType, value });
+  }
+  return fields;
+}
+
+const all = (fields, field) => (fields.get(field) || []).map(entry => entry.value);
+
+const last = (fields, field, fallback) => {
+  const values = all(fields, field);
+  return values.length > 0 ? values[values.length - 1] : fallback;
+};
+
+const text = (fields, field) => {
+  const value = last(fields, field, null);
+  return value ? value.toString('utf8') : '';
+};
+
+// Repeated integer fields may be packed (one length-delimited run) or not
+function repeatedInts(fields, field) {
+  const values = [];
+  for (const { wireType, value } of fields.get(field) || []) {
+    if (wireType === WIRE_BYTES) {
+      values.push(...readPackedVarints(value));
+    } else {
+      values.push(value);
+    }
+  }
+  return values;
+}
+
+function readPackedVarints(buffer) {
+  const values = [];
+  let pos = 0;
+  while (pos < buffer.length) {
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      if (pos >= buffer.length) {
+        throw new Error('truncated packed varint');
+      }
+      byte = buffer[pos++];
+      result |= BigInt(byte & 127) << shift;
+      shift += 7n;
+    } while (byte >= 128);
+    values.push(Number(BigInt.asIntN(64, result)));
+  }
+  return values;
+}
+
+function repeatedFloats(fields, field) {
+  const values = [];
+  for (const { wireType, value } of fields.get(field) || []) {
+    const data = wireType === WIRE_BYTES ? value : value.subarray(0, 4);
+    for (let i = 0; i + 4 <= data.length; i += 4) {
+      values.push(data.readFloatLE(i));
+    }
+  }
+  return values;
+}
+
+function floatBytes(values) {
+  const data = Float32Array.from(values);
+  if (LITTLE_ENDIAN) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+  const bytes = Buffer.alloc(data.length * 4);
+  data.forEach((value, i) => bytes.writeFloatLE(value, i * 4));
+  return bytes;
+}
+
+// ---------------------------------------------------------------------------
+// ONNX messages
+// ---------------------------------------------------------------------------
+
+function writeTensor(w, { name, dataType = 'float', dims, data }) {
+  w.packedInts(1, dims);
+  w.int(2, DATA_TYPES[dataType]);
+  w.string(8, name);
+  if (dataType === 'float') {
+    w.bytes(9, floatBytes(data));
+  } else {
+    const size = dataType === 'int64' ? 8 : 4;
+    const raw = Buffer.alloc(data.length * size);
+    data.forEach((value, i) => (size === 8 ? raw.writeBigInt64LE(BigInt(value), i * 8) : raw.writeInt32LE(value, i * 4)));
+    w.bytes(9, raw);
+  }
+}
+
+function readTensor(buffer) {
+  const fields = readFields(buffer);
+  const name = text(fields, 8);
+  const code = last(fields, 2, 0);
+  const dataType = DATA_TYPE_NAMES[code];
+  if (!dataType) {
+    throw new Error(`tensor ${name} has unsupported data type ${code}`);
+  }
+  if (fields.has(14) && last(fields, 14) === 1) {
+    throw new Error(`tensor ${name} keeps its data in an external file, which is not supported`);
+  }
+
+  const dims = repeatedInts(fields, 1);
+  const raw = last(fields, 9, null);
+  let data;
+  if (dataType === 'float') {
+    if (raw) {
+      data = new Float32Array(raw.length / 4);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = raw.readFloatLE(i * 4);
+      }
+    } else {
+      data = Float32Array.from(repeatedFloats(fields, 4));
+    }
+  } else if (raw) {
+    const size = dataType === 'int64' ? 8 : 4;
+    data = Array.from({ length: raw.length / size }, (_, i) => (size === 8 ? Number(raw.readBigInt64LE(i * 8)) : raw.readInt32LE(i * 4)));
+  } else {
+    data = repeatedInts(fields, dataType === 'int64' ? 7 : 5);
+  }
+  return { name, dataType, dims, data };
+}
+
+function writeAttribute(w, name, attribute) {
+  const [key] = Object.keys(attribute);
+  const value = attribute[key];
+  w.string(1, name);
+  w.int(20, ATTRIBUTE_TYPES[key]);
+  switch (key) {
+  case 'f':
+    w.float(2, value);
+    break;
+  case 'i':
+    w.int(3, value);
+    break;
+  case 's':
+    w.bytes(4, Buffer.from(value, 'utf8'));
+    break;
+  case 'floats':
+    w.packedFloats(7, value);
+    break;
+  case 'ints':
+    w.packedInts(8, value);
+    break;
+  case 'strings':
+    value.forEach(s => w.bytes(9, Buffer.from(s, 'utf8')));
+    break;
+  default:
+    throw new Error(`Cannot encode attribute ${name} of kind ${key}`);
+  }
+}
+
+function readAttribute(buffer) {
+  const fields = readFields(buffer);
+  const name = text(fields, 1);
+  switch (last(fields, 20, 0)) {
+  case ATTRIBUTE_TYPES.f:
+    return [name, { f: repeatedFloats(fields, 2)[0] ?? 0 }];
+  case ATTRIBUTE_TYPES.i:
+    return [name, { i: last(fields, 3, 0) }];
+  case ATTRIBUTE_TYPES.s:
+    return [name, { s: text(fields, 4) }];
+  case ATTRIBUTE_TYPES.floats:
+    return [name, { floats: repeatedFloats(fields, 7) }];
+  case ATTRIBUTE_TYPES.ints:
+    return [name, { ints: repeatedInts(fields, 8) }];
+  case ATTRIBUTE_TYPES.strings:
+    return [name, { strings: all(fields, 9).map(value => value.toString('utf8')) }];
+  default:
+    throw new Error(`attribute ${name} has an unsupported type ${last(fields, 20, 0)}`);
+  }
+}
+
+function writeNode(w, { name, opType, domain, inputs, outputs, attributes = {} }) {
+  inputs.forEach(input => w.bytes(1, Buffer.from(input, 'utf8')));
+  outputs.forEach(output => w.bytes(2, Buffer.from(output, 'utf8')));
+  w.string(3, name);
+  w.string(4, opType);
+  for (const [attributeName, attribute] of Object.entries(attributes)) {
+    w.message(5, inner => writeAttribute(inner, attributeName, attribute));
+  }
+  w.string(7, domain);
+}
+
+function readNode(buffer) {
+  const fields = readFields(buffer);
+  return {
+    name: text(fields, 3),
+    opType: text(fields, 4),
+    domain: text(fields, 7),
+    inputs: all(fields, 1).map(value => value.toString('utf8')),
+    outputs: all(fields, 2).map(value => value.toString('utf8')),
+    attributes: Object.fromEntries(all(fields, 5).map(readAttribute)),
+  };
+}
+
+function writeValueInfo(w, { name, elemType = 'float', shape }) {
+  w.string(1, name);
+  w.message(2, type => type.message(1, tensorType => {
+    tensorType.int(1, DATA_TYPES[elemType]);
+    tensorType.message(2, tensorShape => {
+      for (const dim of shape) {
+        tensorShape.message(1, d => (typeof dim === 'string' ? d.string(2, dim) : d.int(1, dim)));
+      }
+    });
+  }));
+}
+
+function readValueInfo(buffer) {
+  const fields = readFields(buffer);
+  const info = { name: text(fields, 1), elemType: null, shape: null };
+  const type = last(fields, 2, null);
+  const tensorType = type && last(readFields(type), 1, null);
+  if (tensorType) {
+    const tensorFields = readFields(tensorType);
+    info.elemType = DATA_TYPE_NAMES[last(tensorFields, 1, 0)] || null;
+    const shape = last(tensorFields, 2, null);
+    if (shape) {
+      info.shape = all(readFields(shape), 1).map(dim => {
+        const dimFields = readFields(dim);
+        return dimFields.has(2) ? text(dimFields, 2) : last(dimFields, 1, null);
+      });
+    }
+  }
+  return info;
+}
+
+function writeGraph(w, { name, nodes, initializers, inputs, outputs }) {
+  nodes.forEach(node => w.message(1, inner => writeNode(inner, node)));
+  w.string(2, name);
+  initializers.forEach(tensor => w.message(5, inner => writeTensor(inner, tensor)));
+  inputs.forEach(info => w.message(11, inner => writeValueInfo(inner, info)));
+  outputs.forEach(info => w.message(12, inner => writeValueInfo(inner, info)));
+}
+
+function readGraph(buffer) {
+  const fields = readFields(buffer);
+  return {
+    name: text(fields, 2),
+    nodes: all(fields, 1).map(readNode),
+    initializers: all(fields, 5).map(readTensor),
+    inputs: all(fields, 11).map(readValueInfo),
+    outputs: all(fields, 12).map(readValueInfo),
+  };
+}
+
+/**
+ * Encodes an ONNX ModelProto.
+ * @param {Object} model - `{ irVersion, opsetImport, producerName, producerVersion, docString, graph, metadata }`
+ * @returns {Buffer}
+ */
+function encodeModel({ irVersion, opsetImport = [], producerName, producerVersion, docString, graph, metadata = {} }) {
+  const w = new ProtoWriter();
+  w.int(1, irVersion);
+  w.string(2, producerName);
+  w.string(3, producerVersion);
+  w.string(6, docString);
+  w.message(7, inner => writeGraph(inner, graph));
+  opsetImport.forEach(({ domain, version }) => w.message(8, inner => {
+    inner.string(1, domain);
+    inner.int(2, version);
+  }));
+  for (const [key, value] of Object.entries(metadata)) {
+    w.message(14, inner => {
+      inner.string(1, key);
+      inner.string(2, value);
+    });
+  }
+  return w.finish();
+}
+
+/**
+ * Decodes an ONNX ModelProto. Throws a plain Error describing the first
+ * malformed field; callers add the file name.
+ * @param {Buffer} buffer - Serialized model
+ * @returns {Object}
+ */
+function decodeModel(buffer) {
+  const fields = readFields(buffer);
+  const graph = last(fields, 7, null);
+  return {
+    irVersion: last(fields, 1, 0),
+    opsetImport: all(fields, 8).map(opset => {
+      const opsetFields = readFields(opset);
+      return { domain: text(opsetFields, 1), version: last(opsetFields, 2, 0) };
+    }),
+    producerName: text(fields, 2),
+    producerVersion: text(fields, 3),
+    docString: text(fields, 6),
+    graph: graph ? readGraph(graph) : null,
+    metadata: Object.fromEntries(all(fields, 14).map(entry => {
+      const entryFields = readFields(entry);
+      return [text(entryFields, 1), text(entryFields, 2)];
+    })),
+  };
+}
+
+export { encodeModel, decodeModel };
@@ -0,0 +1,500 @@
+/**
+ * Reference evaluator for the ONNX operators our exporters emit
+ *
+ * This is not a general ONNX runtime: it runs the op subset in OPERATORS,
+ * with the defaults those ops have at the opset given for each, in plain
+ * JavaScript. It exists so exported graphs can be checked against the model
+ * that produced them without external tooling, and it is what the importer
+ * treats as the list of supported ops.
+ *
+ * Values are `{ dataType: 'float' | 'int64', dims, data }`; float data is a
+ * Float32Array, integer data an array of numbers.
+ */
+
+const sizeOf = (dims) => dims.reduce((a, b) => a * b, 1);
+
+function stridesOf(dims) {
+  const strides = new Array(dims.length).fill(1);
+  for (let i = dims.length - 2; i >= 0; i--) {
+    strides[i] = strides[i + 1] * dims[i + 1];
+  }
+  return strides;
+}
+
+const floatValue = (dims, data = new Float32Array(sizeOf(dims))) => ({ dataType: 'float', dims, data });
+const intValue = (dims, data) => ({ dataType: 'int64', dims, data: Array.from(data) });
+const normalizeAxis = (axis, rank) => (axis < 0 ? axis + rank : axis);
+const attr = (attributes, name, fallback) => {
+  const attribute = attributes[name];
+  return attribute ? Object.values(attribute)[0] : fallback;
+};
+
+function broadcastDims(a, b) {
+  const rank = Math.max(a.length, b.length);
+  const dims = [];
+  for (let i = 0; i < rank; i++) {
+    const x = a[a.length - rank + i] ?? 1;
+    const y = b[b.length - rank + i] ?? 1;
+    if (x !== y && x !== 1 && y !== 1) {
+      throw new Error(`Cannot broadcast [${a}] with [${b}]`);
+    }
+    dims.push(Math.max(x, y));
+  }
+  return dims;
+}
+
+// Offset into a tensor of `dims` for each flat index of the broadcast result `outDims`
+function broadcastOffsets(dims, outDims) {
+  const rank = outDims.length;
+  const padded = [...new Array(rank - dims.length).fill(1), ...dims];
+  const strides = stridesOf(padded).map((stride, i) => (padded[i] === 1 ? 0 : stride));
+  const outStrides = stridesOf(outDims);
+  const offsets = new Int32Array(sizeOf(outDims));
+  for (let index = 0; index < offsets.length; index++) {
+    let offset = 0;
+    for (let axis = 0, rest = index; axis < rank; axis++) {
+      const coordinate = Math.floor(rest / outStrides[axis]);
+      rest -= coordinate * outStrides[axis];
+      offset += coordinate * strides[axis];
+    }
+    offsets[index] = offset;
+  }
+  return offsets;
+}
+
+const binary = (fn) => ([a, b]) => {
+  const dims = broadcastDims(a.dims, b.dims);
+  const aOffsets = broadcastOffsets(a.dims, dims);
+  const bOffsets = broadcastOffsets(b.dims, dims);
+  const out = floatValue(dims);
+  for (let i = 0; i < out.data.length; i++) {
+    out.data[i] = fn(a.data[aOffsets[i]], b.data[bOffsets[i]]);
+  }
+  return [out];
+};
+
+const unary = (fn) => ([x], attributes) => [floatValue([...x.dims], x.data.map(v => fn(v, attributes)))];
+
+const sigmoidOf = (x) => 1 / (1 + Math.exp(-x));
+
+function transpose([x], attributes) {
+  const rank = x.dims.length;
+  const perm = attr(attributes, 'perm', [...Array(rank).keys()].reverse());
+  const dims = perm.map(axis => x.dims[axis]);
+  const inStrides = stridesOf(x.dims);
+  const outStrides = stridesOf(dims);
+  const data = new x.data.constructor(x.data.length);
+  for (let index = 0; index < data.length; index++) {
+    let source = 0;
+    for (let axis = 0, rest = index; axis < rank; axis++) {
+      const coordinate = Math.floor(rest / outStrides[axis]);
+      rest -= coordinate * outStrides[axis];
+      source += coordinate * inStrides[perm[axis]];
+    }
+    data[index] = x.data[source];
+  }
+  return [{ dataType: x.dataType, dims, data }];
+}
+
+function matmul([a, b]) {
+  if (a.dims.length < 2 || b.dims.length < 2) {
+    throw new Error('MatMul needs inputs of rank 2 or more');
+  }
+  const [m, k] = a.dims.slice(-2);
+  const [kb, n] = b.dims.slice(-2);
+  if (k !== kb) {
+    throw new Error(`MatMul shapes [${a.dims}] and [${b.dims}] do not match`);
+  }
+  const batchDims = broadcastDims(a.dims.slice(0, -2), b.dims.slice(0, -2));
+  const aOffsets = broadcastOffsets(a.dims.slice(0, -2), batchDims);
+  const bOffsets = broadcastOffsets(b.dims.slice(0, -2), batchDims);
+  const out = floatValue([...batchDims, m, n]);
+  for (let batch = 0; batch < aOffsets.length; batch++) {
+    const aBase = aOffsets[batch] * m * k;
+    const bBase = bOffsets[batch] * k * n;
+    const oBase = batch * m * n;
+    for (let i = 0; i < m; i++) {
+      for (let p = 0; p < k; p++) {
+        const av = a.data[aBase + i * k + p];
+        for (let j = 0; j < n; j++) {
+          out.data[oBase + i * n + j] += av * b.data[bBase + p * n + j];
+        }
+      }
+    }
+  }
+  return [out];
+}
+
+function softmax([x], attributes) {
+  const axis = normalizeAxis(attr(attributes, 'axis', -1), x.dims.length);
+  const size = x.dims[axis];
+  const inner = sizeOf(x.dims.slice(axis + 1));
+  const outer = sizeOf(x.dims.slice(0, axis));
+  const out = floatValue([...x.dims]);
+  for (let o = 0; o < outer; o++) {
+    for (let i = 0; i < inner; i++) {
+      const at = (j) => (o * size + j) * inner + i;
+      let max = -Infinity;
+      for (let j = 0; j < size; j++) {
+        max = Math.max(max, x.data[at(j)]);
+      }
+      let total = 0;
+      for (let j = 0; j < size; j++) {
+        out.data[at(j)] = Math.exp(x.data[at(j)] - max);
+        total += out.data[at(j)];
+      }
+      for (let j = 0; j < size; j++) {
+        out.data[at(j)] /= total;
+      }
+    }
+  }
+  return [out];
+}
+
+function reshape([x, shape]) {
+  const dims = shape.data.map((d, i) => (d === 0 ? x.dims[i] : d));
+  const inferred = dims.indexOf(-1);
+  if (inferred >= 0) {
+    dims[inferred] = x.data.length / sizeOf(dims.filter((_, i) => i !== inferred));
+  }
+  if (sizeOf(dims) !== x.data.length) {
+    throw new Error(`Cannot reshape [${x.dims}] to [${shape.data}]`);
+  }
+  return [{ dataType: x.dataType, dims, data: x.data }];
+}
+
+function gather([data, indices], attributes) {
+  const axis = normalizeAxis(attr(attributes, 'axis', 0), data.dims.length);
+  const outer = sizeOf(data.dims.slice(0, axis));
+  const inner = sizeOf(data.dims.slice(axis + 1));
+  const size = data.dims[axis];
+  const dims = [...data.dims.slice(0, axis), ...indices.dims, ...data.dims.slice(axis + 1)];
+  const out = new data.data.constructor(sizeOf(dims));
+  let pos = 0;
+  for (let o = 0; o < outer; o++) {
+    for (const raw of indices.data) {
+      const index = raw < 0 ? raw + size : raw;
+      if (index < 0 || index >= size) {
+        throw new Error(`Gather index ${raw} is out of range for axis of size ${size}`);
+      }
+      for (let i = 0; i < inner; i++) {
+        out[pos++] = data.data[(o * size + index) * inner + i];
+      }
+    }
+  }
+  return [{ dataType: data.dataType, dims, data: out }];
+}
+
+function slice([x, starts, ends, axesValue, stepsValue]) {
+  const rank = x.dims.length;
+  const axes = axesValue ? axesValue.data.map(axis => normalizeAxis(axis, rank)) : starts.data.map((_, i) => i);
+  const steps = stepsValue ? stepsValue.data : starts.data.map(() => 1);
+  const begin = new Array(rank).fill(0);
+  const dims = [...x.dims];
+  axes.forEach((axis, i) => {
+    if (steps[i] !== 1) {
+      throw new Error('Slice only supports a step of 1');
+    }
+    const clamp = (value) => Math.min(Math.max(value < 0 ? value + x.dims[axis] : value, 0), x.dims[axis]);
+    begin[axis] = clamp(starts.data[i]);
+    dims[axis] = Math.max(0, clamp(ends.data[i]) - begin[axis]);
+  });
+
+  const inStrides = stridesOf(x.dims);
+  const outStrides = stridesOf(dims);
+  const data = new x.data.constructor(sizeOf(dims));
+  for (let index = 0; index < data.length; index++) {
+    let source = 0;
+    for (let axis = 0, rest = index; axis < rank; axis++) {
+      const coordinate = Math.floor(rest / outStrides[axis]);
+      rest -= coordinate * outStrides[axis];
+      source += (coordinate + begin[axis]) * inStrides[axis];
+    }
+    data[index] = x.data[source];
+  }
+  return [{ dataType: x.dataType, dims, data }];
+}
+
+function layerNormalization([x, scale, bias], attributes) {
+  const axis = normalizeAxis(attr(attributes, 'axis', -1), x.dims.length);
+  const epsilon = attr(attributes, 'epsilon', 1e-5);
+  const size = sizeOf(x.dims.slice(axis));
+  const out = floatValue([...x.dims]);
+  for (let row = 0; row < x.data.length / size; row++) {
+    const base = row * size;
+    let mean = 0;
+    for (let i = 0; i < size; i++) {
+      mean += x.data[base + i];
+    }
+    mean /= size;
+    let variance = 0;
+    for (let i = 0; i < size; i++) {
+      variance += (x.data[base + i] - mean) ** 2;
+    }
+    const invStd = 1 / Math.sqrt(variance / size + epsilon);
+    for (let i = 0; i < size; i++) {
+      out.data[base + i] = (x.data[base + i] - mean) * invStd * scale.data[i] + (bias ? bias.data[i] : 0);
+    }
+  }
+  return [out];
+}
+
+// Inference form: normalizes with the stored mean and variance over channel axis 1
+function batchNormalization([x, scale, bias, mean, variance], attributes) {
+  const epsilon = attr(attributes, 'epsilon', 1e-5);
+  const [, channels] = x.dims;
+  const inner = sizeOf(x.dims.slice(2));
+  const out = floatValue([...x.dims]);
+  for (let i = 0; i < x.data.length; i++) {
+    const c = Math.floor(i / inner) % channels;
+    out.data[i] = (x.data[i] - mean.data[c]) / Math.sqrt(variance.data[c] + epsilon) * scale.data[c] + bias.data[c];
+  }
+  return [out];
+}
+
+// 2-D convolution over NCHW input with an [M, C, kH, kW] kernel
+function conv([x, w, b], attributes) {
+  const [batch, channels, height, width] = x.dims;
+  const [filters, kernelChannels, kh, kw] = w.dims;
+  if (attr(attributes, 'group', 1) !== 1 || kernelChannels !== channels) {
+    throw new Error('Conv only supports group 1 with matching channels');
+  }
+  const [sh, sw] = attr(attributes, 'strides', [1, 1]);
+  const [dh, dw] = attr(attributes, 'dilations', [1, 1]);
+  const [top, left, bottom, right] = attr(attributes, 'pads', [0, 0, 0, 0]);
+  const outH = Math.floor((height + top + bottom - dh * (kh - 1) - 1) / sh) + 1;
+  const outW = Math.floor((width + left + right - dw * (kw - 1) - 1) / sw) + 1;
+
+  const out = floatValue([batch, filters, outH, outW]);
+  for (let n = 0; n < batch; n++) {
+    for (let m = 0; m < filters; m++) {
+      for (let oh = 0; oh < outH; oh++) {
+        for (let ow = 0; ow < outW; ow++) {
+          let total = b ? b.data[m] : 0;
+          for (let c = 0; c < channels; c++) {
+            for (let i = 0; i < kh; i++) {
+              const ih = oh * sh + i * dh - top;
+              if (ih < 0 || ih >= height) {
+                continue;
+              }
+              for (let j = 0; j < kw; j++) {
+                const iw = ow * sw + j * dw - left;
+                if (iw >= 0 && iw < width) {
+                  total += x.data[((n * channels + c) * height + ih) * width + iw] * w.data[((m * channels + c) * kh + i) * kw + j];
+                }
+              }
+            }
+          }
+          out.data[((n * filters + m) * outH + oh) * outW + ow] = total;
+        }
+      }
+    }
+  }
+  return [out];
+}
+
+function maxPool([x], attributes) {
+  const [batch, channels, height, width] = x.dims;
+  const [kh, kw] = attr(attributes, 'kernel_shape');
+  const [sh, sw] = attr(attributes, 'strides', [1, 1]);
+  const [top, left, bottom, right] = attr(attributes, 'pads', [0, 0, 0, 0]);
+  if (attr(attributes, 'ceil_mode', 0) !== 0) {
+    throw new Error('MaxPool only supports ceil_mode 0');
+  }
+  const outH = Math.floor((height + top + bottom - kh) / sh) + 1;
+  const outW = Math.floor((width + left + right - kw) / sw) + 1;
+
+  const out = floatValue([batch, channels, outH, outW]);
+  for (let plane = 0; plane < batch * channels; plane++) {
+    for (let oh = 0; oh < outH; oh++) {
+      for (let ow = 0; ow < outW; ow++) {
+        let best = -Infinity;
+        for (let i = 0; i < kh; i++) {
+          for (let j = 0; j < kw; j++) {
+            const ih = oh * sh + i - top;
+            const iw = ow * sw + j - left;
+            if (ih >= 0 && ih < height && iw >= 0 && iw < width) {
+              best = Math.max(best, x.data[(plane * height + ih) * width + iw]);
+            }
+          }
+        }
+        out.data[(plane * outH + oh) * outW + ow] = best;
+      }
+    }
+  }
+  return [out];
+}
+
+/**
+ * Runs a recurrent op (LSTM or GRU, default activations, layout 0) over
+ * X [seq, batch, input]. `cell(gates, state, d)` gets the input and
+ * recurrent projections for one step and returns the new state.
+ */
+function recurrent([x, w, r, b], attributes, gateCount, cell) {
+  const hidden = attr(attributes, 'hidden_size');
+  const direction = attr(attributes, 'direction', 'forward');
+  if (attr(attributes, 'layout', 0) !== 0) {
+    throw new Error('Recurrent ops only support layout 0');
+  }
+  const directions = direction === 'bidirectional' ? 2 : 1;
+  const [steps, batch, inputSize] = x.dims;
+  const gates = gateCount * hidden;
+
+  const y = floatValue([steps, directions, batch, hidden]);
+  const finalH = floatValue([directions, batch, hidden]);
+  const finalC = floatValue([directions, batch, hidden]);
+
+  // `matrix` rows times `stride` values of `source` from `offset`, plus the bias at `biasOffset`
+  const project = (matrix, base, stride, source, offset, biasOffset) => {
+    const out = new Float64Array(gates);
+    for (let g = 0; g < gates; g++) {
+      let total = b ? b.data[biasOffset + g] : 0;
+      for (let i = 0; i < stride; i++) {
+        total += matrix.data[base + g * stride + i] * source[offset + i];
+      }
+      out[g] = total;
+    }
+    return out;
+  };
+
+  for (let d = 0; d < directions; d++) {
+    const reverse = direction === 'reverse' || d === 1;
+    const weightBase = d * gates * inputSize;
+    const recurrentBase = d * gates * hidden;
+    const biasBase = d * 2 * gates;
+    for (let n = 0; n < batch; n++) {
+      let state = { h: new Float64Array(hidden), c: new Float64Array(hidden) };
+      for (let step = 0; step < steps; step++) {
+        const t = reverse ? steps - 1 - step : step;
+        // Input projection (Wb added) and recurrent projection (Rb added), kept apart for GRU's reset gate
+        const xw = project(w, weightBase, inputSize, x.data, (t * batch + n) * inputSize, biasBase);
+        const hr = project(r, recurrentBase, hidden, state.h, 0, biasBase + gates);
+        state = cell({ xw, hr, hidden, state, recurrent: r, recurrentBase, bias: b, biasBase: biasBase + gates });
+        for (let i = 0; i < hidden; i++) {
+          y.data[((t * directions + d) * batch + n) * hidden + i] = state.h[i];
+        }
+      }
+      for (let i = 0; i < hidden; i++) {
+        finalH.data[(d * batch + n) * hidden + i] = state.h[i];
+        finalC.data[(d * batch + n) * hidden + i] = state.c[i];
+      }
+    }
+  }
+  return [y, finalH, finalC];
+}
+
+// Gates i, o, f, c
+const lstm = (inputs, attributes) => recurrent(inputs, attributes, 4, ({ xw, hr, hidden, state }) => {
+  const h = new Float64Array(hidden);
+  const c = new Float64Array(hidden);
+  for (let k = 0; k < hidden; k++) {
+    const gate = (index) => xw[index * hidden + k] + hr[index * hidden + k];
+    const i = sigmoidOf(gate(0));
+    const o = sigmoidOf(gate(1));
+    const f = sigmoidOf(gate(2));
+    c[k] = f * state.c[k] + i * Math.tanh(gate(3));
+    h[k] = o * Math.tanh(c[k]);
+  }
+  return { h, c };
+});
+
+// Gates z, r, h
+const gru = (inputs, attributes) => {
+  const linearBeforeReset = attr(attributes, 'linear_before_reset', 0);
+  return recurrent(inputs, attributes, 3, ({ xw, hr, hidden, state, recurrent: r, recurrentBase, bias, biasBase }) => {
+    const h = new Float64Array(hidden);
+    const z = new Float64Array(hidden);
+    const reset = new Float64Array(hidden);
+    for (let k = 0; k < hidden; k++) {
+      z[k] = sigmoidOf(xw[k] + hr[k]);
+      reset[k] = sigmoidOf(xw[hidden + k] + hr[hidden + k]);
+    }
+    for (let k = 0; k < hidden; k++) {
+      let candidate;
+      if (linearBeforeReset) {
+        candidate = xw[2 * hidden + k] + reset[k] * hr[2 * hidden + k];
+      } else {
+        // Rh applied to (r * h), plus Rbh
+        candidate = xw[2 * hidden + k] + (bias ? bias.data[biasBase + 2 * hidden + k] : 0);
+        const row = recurrentBase + (2 * hidden + k) * hidden;
+        for (let i = 0; i < hidden; i++) {
+          candidate += r.data[row + i] * reset[i] * state.h[i];
+        }
+      }
+      candidate = Math.tanh(candidate);
+      h[k] = (1 - z[k]) * candidate + z[k] * state.h[k];
+    }
+    return { h, c: state.c };
+  });
+};
+
+// Operator implementations, with the opset whose semantics they follow
+const OPERATORS = {
+  Add: { since: 7, run: binary((a, b) => a + b) },
+  Sub: { since: 7, run: binary((a, b) => a - b) },
+  Mul: { since: 7, run: binary((a, b) => a * b) },
+  Div: { since: 7, run: binary((a, b) => a / b) },
+  MatMul: { since: 9, run: matmul },
+  Relu: { since: 6, run: unary(x => (x > 0 ? x : 0)) },
+  LeakyRelu: { since: 6, run: unary((x, attributes) => (x > 0 ? x : attr(attributes, 'alpha', 0.01) * x)) },
+  Elu: { since: 6, run: unary((x, attributes) => (x > 0 ? x : attr(attributes, 'alpha', 1.0) * (Math.exp(x) - 1))) },
+  Sigmoid: { since: 6, run: unary(sigmoidOf) },
+  Tanh: { since: 6, run: unary(Math.tanh) },
+  Identity: { since: 1, run: ([x]) => [x] },
+  Softmax: { since: 13, run: softmax },
+  Transpose: { since: 1, run: transpose },
+  Reshape: { since: 5, run: reshape },
+  Gather: { since: 11, run: gather },
+  Shape: { since: 1, run: ([x]) => [intValue([x.dims.length], x.dims)] },
+  Slice: { since: 10, run: slice },
+  LayerNormalization: { since: 17, run: layerNormalization },
+  BatchNormalization: { since: 15, run: batchNormalization },
+  Conv: { since: 11, run: conv },
+  MaxPool: { since: 12, run: maxPool },
+  LSTM: { since: 14, run: lstm },
+  GRU: { since: 14, run: gru },
+};
+
+/**
+ * Evaluates a decoded ONNX model (see onnx-proto.js).
+ * @param {Object} model - Decoded ModelProto
+ * @param {Object} inputs - Graph inputs by name, as `{ dims, data }`
+ * @returns {Object} Graph outputs by name, as `{ dataType, dims, data }`
+ */
+function runOnnxModel(model, inputs) {
+  const { graph } = model;
+  const values = new Map();
+  for (const { name, dataType, dims, data } of graph.initializers) {
+    values.set(name, { dataType, dims, data });
+  }
+  for (const { name, elemType } of graph.inputs) {
+    if (values.has(name)) {
+      continue;
+    }
+    if (!inputs[name]) {
+      throw new Error(`Missing input ${name}`);
+    }
+    const { dims, data } = inputs[name];
+    values.set(name, elemType === 'float' ?
+      floatValue([...dims], Float32Array.from(data)) :
+      intValue([...dims], Array.from(data, Number)));
+  }
+
+  for (const node of graph.nodes) {
+    const operator = OPERATORS[node.opType];
+    if (!operator) {
+      throw new Error(`Unsupported operator ${node.opType}`);
+    }
+    const args = node.inputs.map(name => (name ? values.get(name) : undefined));
+    const outputs = operator.run(args, node.attributes);
+    node.outputs.forEach((name, i) => {
+      if (name) {
+        values.set(name, outputs[i]);
+      }
+    });
+  }
+
+  return Object.fromEntries(graph.outputs.map(({ name }) => [name, values.get(name)]));
+}
+
+export { OPERATORS, runOnnxModel };
@@ -0,0 +1,733 @@
+/**
+ * ONNX export and import
+ *
+ * exportOnnx() writes a model's inference graph as an ONNX ModelProto
+ * (opset ONNX_OPSET) using the ops in onnx-runtime.js. The model type and
+ * config go into the model's metadata_props, so importOnnx() can rebuild the
+ * same NeuralModel and read the weights back from the initializers.
+ *
+ * Import validates the graph twice: first as ONNX (opset, known ops,
+ * every input defined before use, initializer sizes, outputs produced), then
+ * against the graph the rebuilt model would export, so a file whose structure
+ * was changed after export is refused rather than silently loaded with a
+ * different meaning. Weights may differ; that is the point of importing.
+ *
+ * Exported layouts: sequences are [batch, sequence, features] and images
+ * NHWC, as the models take them; the graphs transpose to the layouts the
+ * ONNX LSTM, GRU and Conv ops expect. The transformer takes int64 token ids.
+ */
+
+import { PersistenceError } from '../errors.js';
+import { encodeModel, decodeModel } from './onnx-proto.js';
+import { OPERATORS } from './onnx-runtime.js';
+import { TransformerModel } from './transformer.js';
+import { CNNModel } from './cnn.js';
+import { LSTMModel } from './lstm.js';
+import { GRUModel } from './gru.js';
+import { AutoencoderModel } from './autoencoder.js';
+import { ResNetModel } from './resnet.js';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const ONNX_OPSET = 17;
+const ONNX_IR_VERSION = 8;
+const PRODUCER_NAME = 'ruv-swarm';
+const METADATA_MODEL_TYPE = 'ruv-swarm.model_type';
+const METADATA_CONFIG = 'ruv-swarm.config';
+
+/**
+ * Collects nodes, initializers and graph inputs/outputs. Node and value
+ * names are generated in order, so exporting the same architecture twice
+ * gives the same graph.
+ */
+class GraphBuilder {
+  constructor(model) {
+    this.model = model;
+    this.nodes = [];
+    this.initializers = new Map();
+    this.inputs = [];
+    this.outputs = [];
+    // Initializers that are fixed by the architecture rather than learned
+    this.constants = new Set();
+  }
+
+  input(name, shape, elemType = 'float') {
+    this.inputs.push({ name, elemType, shape });
+    return name;
+  }
+
+  output(name, shape, elemType = 'float') {
+    this.outputs.push({ name, elemType, shape });
+  }
+
+  tensor(name, dims, data, dataType = 'float') {
+    if (!this.initializers.has(name)) {
+      this.initializers.set(name, { name, dataType, dims, data: dataType === 'float' ? Float32Array.from(data) : Array.from(data) });
+    }
+    return name;
+  }
+
+  // A model parameter or buffer, stored under its own name in the model's own layout
+  param(name) {
+    const p = this.model.params.get(name);
+    return p ? this.tensor(name, p.shape, p.data) : this.tensor(name, [this.model.buffers.get(name).length], this.model.buffers.get(name));
+  }
+
+  constant(name, dims, data, dataType = 'float') {
+    this.constants.add(name);
+    return this.tensor(name, dims, data, dataType);
+  }
+
+  ints(name, values, dims = [values.length]) {
+    return this.constant(name, dims, values, 'int64');
+  }
+
+  // Adds a node; returns its output name, or names when `outputs` > 1
+  node(opType, inputs, attributes = {}, { outputs = 1, names = null } = {}) {
+    const name = `${opType}_${this.nodes.length}`;
+    const outputNames = names || (outputs === 1 ? [name] : Array.from({ length: outputs }, (_, i) => `${name}_${i}`));
+    this.nodes.push({ name, opType, domain: '', inputs, outputs: outputNames, attributes });
+    return outputNames.length === 1 ? outputNames[0] : outputNames;
+  }
+
+  linear(x, weight, bias, options) {
+    return this.node('Add', [this.node('MatMul', [x, this.param(weight)]), this.param(bias)], {}, options);
+  }
+
+  // Same names and fallbacks as ag.activation()
+  activation(x, name, fallback = 'relu', options = {}) {
+    switch (ACTIVATIONS.includes(name) ? name : fallback) {
+    case 'relu':
+      return this.node('Relu', [x], {}, options);
+    case 'leaky_relu':
+      return this.node('LeakyRelu', [x], { alpha: { f: 0.01 } }, options);
+    case 'elu':
+      return this.node('Elu', [x], { alpha: { f: 1.0 } }, options);
+    case 'sigmoid':
+      return this.node('Sigmoid', [x], {}, options);
+    case 'tanh':
+      return this.node('Tanh', [x], {}, options);
+    case 'swish':
+      return this.node('Mul', [x, this.node('Sigmoid', [x])], {}, options);
+    default:
+      return options.names ? this.node('Identity', [x], {}, options) : x;
+    }
+  }
+
+  toModel() {
+    return {
+      irVersion: ONNX_IR_VERSION,
+      opsetImport: [{ domain: '', version: ONNX_OPSET }],
+      producerName: PRODUCER_NAME,
+      docString: `ruv-swarm ${this.model.modelType} model`,
+      graph: {
+        name: `ruv-swarm-${this.model.modelType}`,
+        nodes: this.nodes,
+        initializers: [...this.initializers.values()],
+        inputs: this.inputs,
+        outputs: this.outputs,
+      },
+      metadata: {
+        [METADATA_MODEL_TYPE]: this.model.modelType,
+        [METADATA_CONFIG]: JSON.stringify(this.model.config),
+      },
+    };
+  }
+}
+
+const ACTIVATIONS = ['relu', 'leaky_relu', 'elu', 'sigmoid', 'tanh', 'swish', 'linear'];
+
+/**
+ * Packs per-gate [input, hidden] matrices into the [directions, gates *
+ * hidden, input] layout of the ONNX recurrent ops (each gate transposed).
+ */
+function packGates(directions, matrices, rows, hidden) {
+  const packed = new Float32Array(directions.length * matrices.length * hidden * rows);
+  let offset = 0;
+  for (const cell of directions) {
+    for (const key of matrices) {
+      const source = cell[key].data;
+      for (let h = 0; h < hidden; h++) {
+        for (let i = 0; i < rows; i++) {
+          packed[offset + h * rows + i] = source[i * hidden + h];
+        }
+      }
+      offset += hidden * rows;
+    }
+  }
+  return packed;
+}
+
+function unpackGates(packed, directions, matrices, rows, hidden) {
+  let offset = 0;
+  for (const cell of directions) {
+    for (const key of matrices) {
+      const target = cell[key].data;
+      for (let h = 0; h < hidden; h++) {
+        for (let i = 0; i < rows; i++) {
+          target[i * hidden + h] = packed[offset + h * rows + i];
+        }
+      }
+      offset += hidden * rows;
+    }
+  }
+}
+
+// Biases as [directions, 2 * gates * hidden]: ours as Wb, zeros as Rb
+function packBiases(directions, biases, hidden) {
+  const size = biases.length * hidden;
+  const packed = new Float32Array(directions.length * 2 * size);
+  directions.forEach((cell, d) => {
+    biases.forEach((key, g) => packed.set(cell[key].data, d * 2 * size + g * hidden));
+  });
+  return packed;
+}
+
+// Folds Rb back into our single bias, so biases from other tools keep their meaning
+function unpackBiases(packed, directions, biases, hidden) {
+  const size = biases.length * hidden;
+  directions.forEach((cell, d) => {
+    biases.forEach((key, g) => {
+      for (let h = 0; h < hidden; h++) {
+        cell[key].data[h] = packed[d * 2 * size + g * hidden + h] + packed[d * 2 * size + size + g * hidden + h];
+      }
+    });
+  });
+}
+
+/**
+ * Stacked recurrent layers over `input` [batch, sequence, features];
+ * returns the last layer's states as [sequence, batch, directions * hidden].
+ */
+function recurrentLayers(b, input, { op, layers, hidden, bidirectional, prefix, matrices, recurrentMatrices, biases, extraAttributes = {} }) {
+  const { inputSize } = b.model.config;
+  const directions = bidirectional ? 2 : 1;
+  let x = b.node('Transpose', [input], { perm: { ints: [1, 0, 2] } });
+
+  layers.forEach((cells, layer) => {
+    const rows = layer === 0 ? inputSize : hidden * directions;
+    const W = b.tensor(`${prefix}.${layer}.W`, [directions, matrices.length * hidden, rows], packGates(cells, matrices, rows, hidden));
+    const R = b.tensor(`${prefix}.${layer}.R`, [directions, matrices.length * hidden, hidden], packGates(cells, recurrentMatrices, hidden, hidden));
+    const B = b.tensor(`${prefix}.${layer}.B`, [directions, 2 * matrices.length * hidden], packBiases(cells, biases, hidden));
+    const y = b.node(op, [x, W, R, B], {
+      hidden_size: { i: hidden },
+      direction: { s: bidirectional ? 'bidirectional' : 'forward' },
+      ...extraAttributes,
+    });
+    // [sequence, directions, batch, hidden] -> [sequence, batch, directions * hidden]
+    x = b.node('Reshape', [b.node('Transpose', [y], { perm: { ints: [0, 2, 1, 3] } }), b.ints('const.merge_last', [0, 0, -1])]);
+  });
+  return x;
+}
+
+function restoreRecurrent(model, initializers, { layers, hidden, bidirectional, prefix, matrices, recurrentMatrices, biases }) {
+  const directions = bidirectional ? 2 : 1;
+  layers.forEach((cells, layer) => {
+    const rows = layer === 0 ? model.config.inputSize : hidden * directions;
+    unpackGates(initializers.get(`${prefix}.${layer}.W`).data, cells, matrices, rows, hidden);
+    unpackGates(initializers.get(`${prefix}.${layer}.R`).data, cells, recurrentMatrices, hidden, hidden);
+    unpackBiases(initializers.get(`${prefix}.${layer}.B`).data, cells, biases, hidden);
+  });
+}
+
+// ONNX gate orders: LSTM is i, o, f, c; GRU is z (update), r (reset), h (candidate)
+const lstmLayout = (model) => ({
+  op: 'LSTM',
+  layers: model.cells,
+  hidden: model.config.hiddenSize,
+  bidirectional: model.config.bidirectional,
+  prefix: 'cells',
+  matrices: ['Wi', 'Wo', 'Wf', 'Wc'],
+  recurrentMatrices: ['Ui', 'Uo', 'Uf', 'Uc'],
+  biases: ['bi', 'bo', 'bf', 'bc'],
+});
+
+const gruLayout = (model) => ({
+  op: 'GRU',
+  layers: model.gates,
+  hidden: model.config.hiddenSize,
+  bidirectional: model.config.bidirectional,
+  prefix: 'gates',
+  matrices: ['updateInput', 'resetInput', 'candidateInput'],
+  recurrentMatrices: ['updateHidden', 'resetHidden', 'candidateHidden'],
+  biases: ['updateBias', 'resetBias', 'candidateBias'],
+  // Ours applies the candidate's recurrent weights to (r * h)
+  extraAttributes: { linear_before_reset: { i: 0 } },
+});
+
+// [sequence, batch, features] -> the last step, [batch, features]
+const lastStep = (b, x) => b.node('Gather', [x, b.ints('const.last', [-1], [])], { axis: { i: 0 } });
+
+// CNN kernels are [kh, kw, in, filters] here and [filters, in, kh, kw] in ONNX
+function convKernel(kernel, toOnnx) {
+  const [kh, kw, channels, filters] = kernel.shape;
+  const out = new Float32Array(kernel.size);
+  for (let i = 0; i < kh; i++) {
+    for (let j = 0; j < kw; j++) {
+      for (let c = 0; c < channels; c++) {
+        for (let f = 0; f < filters; f++) {
+          const ours = ((i * kw + j) * channels + c) * filters + f;
+          const theirs = ((f * channels + c) * kh + i) * kw + j;
+          if (toOnnx) {
+            out[theirs] = kernel.data[ours];
+          } else {
+            out[ours] = kernel.data[theirs];
+          }
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Per model type: `build(model, b)` adds the inference graph and
+ * `restore(model, initializers)` copies weights that are not stored under
+ * their parameter names (everything else is copied by name).
+ */
+const EXPORTERS = {
+  lstm: {
+    build(model, b) {
+      const { inputSize, outputSize, returnSequence } = model.config;
+      const input = b.input('input', ['batch', 'sequence', inputSize]);
+      const states = recurrentLayers(b, input, lstmLayout(model));
+      if (returnSequence) {
+        b.linear(b.node('Transpose', [states], { perm: { ints: [1, 0, 2] } }), 'output.weight', 'output.bias', { names: ['output'] });
+        b.output('output', ['batch', 'sequence', outputSize]);
+      } else {
+        b.linear(lastStep(b, states), 'output.weight', 'output.bias', { names: ['output'] });
+        b.output('output', ['batch', outputSize]);
+      }
+    },
+    restore(model, initializers) {
+      restoreRecurrent(model, initializers, lstmLayout(model));
+    },
+  },
+
+  gru: {
+    build(model, b) {
+      const { inputSize, outputSize } = model.config;
+      const input = b.input('input', ['batch', 'sequence', inputSize]);
+      const states = recurrentLayers(b, input, gruLayout(model));
+      b.linear(lastStep(b, states), 'output.weight', 'output.bias', { names: ['output'] });
+      b.output('output', ['batch', outputSize]);
+    },
+    restore(model, initializers) {
+      restoreRecurrent(model, initializers, gruLayout(model));
+    },
+  },
+
+  transformer: {
+    build(model, b) {
+      const { dimensions, heads, layers, maxSequenceLength, vocabularySize } = model.config;
+      const { headDimension } = model;
+      const ids = b.input('input_ids', ['batch', 'sequence'], 'int64');
+
+      // Token embeddings plus the positional encodings of the first `sequence` positions
+      const sequenceLength = b.node('Slice', [b.node('Shape', [ids]), b.ints('const.one', [1]), b.ints('const.two', [2])]);
+      const positions = b.node('Slice', [
+        b.constant('positional_encoding', [maxSequenceLength, dimensions], model.positionalEncoding),
+        b.ints('const.zero', [0]),
+        sequenceLength,
+        b.ints('const.zero', [0]),
+      ]);
+      let x = b.node('Add', [b.node('Gather', [b.param('embedding'), ids], { axis: { i: 0 } }), positions]);
+
+      const splitHeads = b.ints('const.split_heads', [0, 0, heads, headDimension]);
+      const mergeHeads = b.ints('const.merge_heads', [0, 0, dimensions]);
+      const scale = b.constant('const.attention_scale', [], [1 / Math.sqrt(headDimension)]);
+      // [batch, sequence, heads, head_dimension] for each projection
+      const project = (input, weight) => b.node('Reshape', [b.node('MatMul', [input, b.param(weight)]), splitHeads]);
+
+      for (let layer = 0; layer < layers; layer++) {
+        const name = `layers.${layer}`;
+        const q = b.node('Transpose', [project(x, `${name}.attention.query`)], { perm: { ints: [0, 2, 1, 3] } });
+        const kT = b.node('Transpose', [project(x, `${name}.attention.key`)], { perm: { ints: [0, 2, 3, 1] } });
+        const v = b.node('Transpose', [project(x, `${name}.attention.value`)], { perm: { ints: [0, 2, 1, 3] } });
+
+        const weights = b.node('Softmax', [b.node('Mul', [b.node('MatMul', [q, kT]), scale])], { axis: { i: -1 } });
+        const attended = b.node('Reshape', [b.node('Transpose', [b.node('MatMul', [weights, v])], { perm: { ints: [0, 2, 1, 3] } }), mergeHeads]);
+        const attention = b.node('MatMul', [attended, b.param(`${name}.attention.output`)]);
+
+        const norm = (residual, sublayer) => b.node('LayerNormalization', [
+          residual,
+          b.param(`${name}.${sublayer}Norm.gamma`),
+          b.param(`${name}.${sublayer}Norm.beta`),
+        ], { axis: { i: -1 }, epsilon: { f: 1e-5 } });
+
+        x = norm(b.node('Add', [x, attention]), 'attention');
+        const hidden = b.node('Relu', [b.linear(x, `${name}.feedForward.w1`, `${name}.feedForward.b1`)]);
+        x = norm(b.node('Add', [x, b.linear(hidden, `${name}.feedForward.w2`, `${name}.feedForward.b2`)]), 'feedForward');
+      }
+
+      b.linear(x, 'output.projection', 'output.bias', { names: ['logits'] });
+      b.output('logits', ['batch', 'sequence', vocabularySize]);
+    },
+  },
+
+  cnn: {
+    build(model, b) {
+      const { inputShape, convLayers, poolingSize, denseLayers, outputSize } = model.config;
+      let x = b.node('Transpose', [b.input('input', ['batch', ...inputShape])], { perm: { ints: [0, 3, 1, 2] } });
+      let shape = [...inputShape];
+
+      convLayers.forEach((layer, i) => {
+        const { kernelSize, stride = 1, padding = 'valid', activation } = layer;
+        const next = model.getConvOutputShape(shape, layer);
+        // 'same' centres the kernel like ag.conv2d(); the far side gets whatever is left over
+        const pad = (size, outSize) => {
+          const before = padding === 'same' ? Math.floor(kernelSize / 2) : 0;
+          const after = padding === 'same' ? Math.max(0, (outSize - 1) * stride + kernelSize - size - before) : 0;
+          return [before, after];
+        };
+        const [top, bottom] = pad(shape[0], next[0]);
+        const [left, right] = pad(shape[1], next[1]);
+
+        const kernel = model.params.get(`conv.${i}.kernel`);
+        x = b.node('Conv', [
+          x,
+          b.tensor(`conv.${i}.weight`, [kernel.shape[3], kernel.shape[2], kernel.shape[0], kernel.shape[1]], convKernel(kernel, true)),
+          b.param(`conv.${i}.bias`),
+        ], {
+          kernel_shape: { ints: [kernelSize, kernelSize] },
+          strides: { ints: [stride, stride] },
+          pads: { ints: [top, left, bottom, right] },
+        });
+        x = b.activation(x, activation, 'linear');
+        shape = next;
+
+        if (poolingSize > 1) {
+          x = b.node('MaxPool', [x], { kernel_shape: { ints: [poolingSize, poolingSize] }, strides: { ints: [poolingSize, poolingSize] } });
+        }
+      });
+
+      // Back to channels last before flattening, so the dense weights line up
+      x = b.node('Reshape', [b.node('Transpose', [x], { perm: { ints: [0, 2, 3, 1] } }), b.ints('const.flatten', [0, -1])]);
+      denseLayers.forEach((_, i) => {
+        x = b.node('Relu', [b.linear(x, `dense.${i}.weight`, `dense.${i}.bias`)]);
+      });
+      const last = denseLayers.length;
+      b.node('Softmax', [b.linear(x, `dense.${last}.weight`, `dense.${last}.bias`)], { axis: { i: -1 } }, { names: ['output'] });
+      b.output('output', ['batch', outputSize]);
+    },
+    restore(model, initializers) {
+      model.config.convLayers.forEach((_, i) => {
+        const kernel = model.params.get(`conv.${i}.kernel`);
+        kernel.data.set(convKernel({ shape: kernel.shape, size: kernel.size, data: initializers.get(`conv.${i}.weight`).data }, false));
+      });
+    },
+  },
+
+  resnet: {
+    build(model, b) {
+      const { inputDimensions, outputDimensions, activation, numBlocks } = model.config;
+      const act = (x, options) => b.activation(x, activation, 'relu', options);
+      let x = act(b.linear(b.input('input', ['batch', inputDimensions]), 'inputProjection.weight', 'inputProjection.bias'));
+
+      for (let blockIdx = 0; blockIdx < numBlocks; blockIdx++) {
+        const identity = model.skipConnections[blockIdx] ?
+          b.linear(x, `blocks.${blockIdx}.skip.weight`, `blocks.${blockIdx}.skip.bias`) :
+          x;
+        const depth = model.blocks[blockIdx].length;
+        for (let layerIdx = 0; layerIdx < depth; layerIdx++) {
+          const name = `blocks.${blockIdx}.${layerIdx}`;
+          x = b.linear(x, `${name}.weight`, `${name}.bias`);
+          if (model.config.batchNorm && model.batchNormParams[blockIdx][layerIdx]) {
+            x = b.node('BatchNormalization', [
+              x,
+              b.param(`${name}.batchNorm.gamma`),
+              b.param(`${name}.batchNorm.beta`),
+              b.param(`${name}.batchNorm.runningMean`),
+              b.param(`${name}.batchNorm.runningVar`),
+            ], { epsilon: { f: 1e-5 } });
+          }
+          if (layerIdx < depth - 1) {
+            x = act(x);
+          }
+        }
+        x = act(b.node('Add', [x, identity]));
+      }
+
+      b.linear(x, 'output.weight', 'output.bias', { names: ['output'] });
+      b.output('output', ['batch', outputDimensions]);
+    },
+  },
+
+  autoencoder: {
+    build(model, b) {
+      const { inputSize, bottleneckSize, activation, outputActivation, variational } = model.config;
+      let x = b.input('input', ['batch', inputSize]);
+
+      const encoderLayers = model.encoderWeights.length;
+      for (let i = 0; i < encoderLayers; i++) {
+        // The bottleneck layer's activation is the latent code
+        const options = !variational && i === encoderLayers - 1 ? { names: ['latent'] } : {};
+        x = b.activation(b.linear(x, `encoder.${i}.weight`, `encoder.${i}.bias`), activation, 'linear', options);
+      }
+      if (variational) {
+        // At inference the latent code is the mean; the log-variance is exported alongside it
+        b.linear(x, 'logVar.weight', 'logVar.bias', { names: ['log_var'] });
+        x = b.linear(x, 'mu.weight', 'mu.bias', { names: ['latent'] });
+      }
+
+      const decoderLayers = model.decoderWeights.length;
+      for (let i = 0; i < decoderLayers; i++) {
+        x = b.linear(x, `decoder.${i}.weight`, `decoder.${i}.bias`);
+        x = i === decoderLayers - 1 ?
+          b.activation(x, outputActivation, 'linear', { names: ['reconstruction'] }) :
+          b.activation(x, activation, 'linear');
+      }
+
+      b.output('reconstruction', ['batch', inputSize]);
+      b.output('latent', ['batch', bottleneckSize]);
+      if (variational) {
+        b.output('log_var', ['batch', bottleneckSize]);
+      }
+    },
+  },
+};
+
+const MODEL_CLASSES = {
+  lstm: LSTMModel,
+  gru: GRUModel,
+  transformer: TransformerModel,
+  cnn: CNNModel,
+  resnet: ResNetModel,
+  autoencoder: AutoencoderModel,
+};
+
+const ONNX_MODEL_TYPES = Object.keys(EXPORTERS);
+
+function buildGraph(model) {
+  const exporter = EXPORTERS[model.modelType];
+  if (!exporter) {
+    throw new Error(`ONNX export is not supported for ${model.modelType} models. Supported types: ${ONNX_MODEL_TYPES.join(', ')}`);
+  }
+  const b = new GraphBuilder(model);
+  exporter.build(model, b);
+  return b;
+}
+
+/**
+ * Encodes a model's inference graph and weights as an ONNX ModelProto.
+ * @param {NeuralModel} model - A Transformer, CNN, LSTM, GRU, Autoencoder or ResNet model
+ * @returns {Buffer}
+ */
+function exportOnnx(model) {
+  return encodeModel(buildGraph(model).toModel());
+}
+
+// Writes through a temporary file, like writeCheckpoint()
+async function writeOnnx(model, filePath) {
+  const onnx = buildGraph(model).toModel();
+  const file = encodeModel(onnx);
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, file);
+  await fs.rename(temporary, filePath);
+  return {
+    filePath,
+    bytes: file.length,
+    modelType: model.modelType,
+    opset: ONNX_OPSET,
+    inputs: onnx.graph.inputs,
+    outputs: onnx.graph.outputs,
+  };
+}
+
+/**
+ * Checks that a decoded model is a graph we can run: a supported default
+ * opset, only operators from onnx-runtime.js, every node input defined
+ * before it is used, each value produced once, initializers whose data
+ * matches their dims, and every graph output produced.
+ * @param {Object} onnx - Decoded ModelProto
+ * @param {string} [source] - File name for error messages
+ */
+function validateOnnxModel(onnx, source = 'ONNX model') {
+  const fail = (message) => {
+    throw new PersistenceError(`${source} ${message}`, 'import_onnx');
+  };
+
+  if (!onnx.graph) {
+    fail('has no graph');
+  }
+  const opset = onnx.opsetImport.find(({ domain }) => domain === '' || domain === 'ai.onnx');
+  if (!opset) {
+    fail('does not import the default ONNX opset');
+  }
+  if (opset.version > ONNX_OPSET) {
+    fail(`uses opset ${opset.version}, newer than supported opset ${ONNX_OPSET}`);
+  }
+
+  const defined = new Set();
+  const define = (name, what) => {
+    if (defined.has(name)) {
+      fail(`defines ${name} more than once (${what})`);
+    }
+    defined.add(name);
+  };
+
+  for (const { name, dataType, dims, data } of onnx.graph.initializers) {
+    if (dims.some(d => d < 0) || dims.reduce((a, d) => a * d, 1) !== data.length) {
+      fail(`has initializer ${name} with ${data.length} values for dims [${dims}]`);
+    }
+    if (dataType !== 'float' && dataType !== 'int64') {
+      fail(`has initializer ${name} of unsupported type ${dataType}`);
+    }
+    define(name, 'initializer');
+  }
+  for (const { name } of onnx.graph.inputs) {
+    if (!defined.has(name)) {
+      define(name, 'graph input');
+    }
+  }
+
+  onnx.graph.nodes.forEach((node, index) => {
+    const label = `node ${index} (${node.opType}${node.name ? ` ${node.name}` : ''})`;
+    if (node.domain && node.domain !== 'ai.onnx') {
+      fail(`uses ${label} from unsupported domain ${node.domain}`);
+    }
+    const operator = OPERATORS[node.opType];
+    if (!operator) {
+      fail(`uses unsupported operator in ${label}. Supported operators: ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    if (operator.since > opset.version) {
+      fail(`uses ${label}, which needs opset ${operator.since} or later but the model imports opset ${opset.version}`);
+    }
+    for (const input of node.inputs) {
+      if (input && !defined.has(input)) {
+        fail(`has ${label} reading ${input} before it is defined`);
+      }
+    }
+    node.outputs.filter(Boolean).forEach(output => define(output, label));
+  });
+
+  for (const { name } of onnx.graph.outputs) {
+    if (!defined.has(name)) {
+      fail(`never produces graph output ${name}`);
+    }
+  }
+}
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Structure of a graph without its weights: what the values are and how they are wired
+function describeNode({ opType, inputs, outputs, attributes }) {
+  return `${opType}(${inputs.join(', ')}) -> ${outputs.join(', ')} ${JSON.stringify(attributes)}`;
+}
+
+function compareGraphs(actual, expected, constants, fail) {
+  for (const key of ['inputs', 'outputs']) {
+    const describe = (infos) => infos.map(({ name, elemType, shape }) => `${name}:${elemType}[${shape}]`).join(', ');
+    if (describe(actual[key]) !== describe(expected[key])) {
+      fail(`has graph ${key} ${describe(actual[key])}, expected ${describe(expected[key])}`);
+    }
+  }
+
+  if (actual.nodes.length !== expected.nodes.length) {
+    fail(`has ${actual.nodes.length} nodes, expected ${expected.nodes.length}`);
+  }
+  expected.nodes.forEach((node, i) => {
+    const want = describeNode(node);
+    const got = describeNode(actual.nodes[i]);
+    if (got !== want) {
+      fail(`differs at node ${i}: got ${got}, expected ${want}`);
+    }
+  });
+
+  const initializers = new Map(actual.initializers.map(tensor => [tensor.name, tensor]));
+  for (const tensor of expected.initializers) {
+    const found = initializers.get(tensor.name);
+    if (!found) {
+      fail(`has no initializer ${tensor.name}`);
+    }
+    if (found.dataType !== tensor.dataType || !sameJson(found.dims, tensor.dims)) {
+      fail(`has initializer ${tensor.name} as ${found.dataType} [${found.dims}], expected ${tensor.dataType} [${tensor.dims}]`);
+    }
+    // Constants (shapes, positional encodings) are part of the structure; weights are not
+    if (constants.has(tensor.name) && !sameJson(Array.from(found.data), Array.from(tensor.data))) {
+      fail(`has a different value for constant ${tensor.name}`);
+    }
+  }
+}
+
+/**
+ * Rebuilds a NeuralModel from an ONNX file written by exportOnnx(). The
+ * graph is validated (see validateOnnxModel()) and must match the graph the
+ * model type and config in its metadata export to.
+ * @param {Buffer} file - Serialized ModelProto
+ * @param {Object} [options]
+ * @param {string} [options.source] - File name for error messages
+ * @returns {NeuralModel}
+ */
+function importOnnx(file, { source = 'ONNX model' } = {}) {
+  const fail = (message) => {
+    throw new PersistenceError(`${source} ${message}`, 'import_onnx');
+  };
+
+  let onnx;
+  try {
+    onnx = decodeModel(file);
+  } catch (error) {
+    fail(`is not a valid ONNX model: ${error.message}`);
+  }
+  validateOnnxModel(onnx, source);
+
+  const modelType = onnx.metadata[METADATA_MODEL_TYPE];
+  if (!modelType) {
+    fail(`has no ${METADATA_MODEL_TYPE} metadata; only models exported by ruv-swarm can be imported`);
+  }
+  if (!MODEL_CLASSES[modelType]) {
+    fail(`holds a ${modelType} model, which cannot be imported. Supported types: ${ONNX_MODEL_TYPES.join(', ')}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(onnx.metadata[METADATA_CONFIG] || '{}');
+  } catch (error) {
+    fail(`has invalid ${METADATA_CONFIG} metadata: ${error.message}`);
+  }
+
+  let model;
+  try {
+    model = new MODEL_CLASSES[modelType](config);
+  } catch (error) {
+    fail(`has a config the ${modelType} model rejects: ${error.message}`);
+  }
+
+  // Round-tripped so attribute floats and data types compare as they were read
+  const expected = buildGraph(model);
+  compareGraphs(onnx.graph, decodeModel(encodeModel(expected.toModel())).graph, expected.constants, (message) => {
+    fail(`${message}; it does not match a ${modelType} model with the config in its metadata`);
+  });
+
+  const initializers = new Map(onnx.graph.initializers.map(tensor => [tensor.name, tensor]));
+  const weights = {};
+  for (const name of [...model.params.keys(), ...model.buffers.keys()]) {
+    if (initializers.has(name)) {
+      weights[name] = initializers.get(name).data;
+    }
+  }
+  model.setWeights(weights);
+  EXPORTERS[modelType].restore?.(model, initializers);
+  return model;
+}
+
+async function readOnnx(filePath) {
+  let file;
+  try {
+    file = await fs.readFile(filePath);
+  } catch (error) {
+    throw new PersistenceError(`Cannot read ONNX model ${filePath}: ${error.message}`, 'import_onnx');
+  }
+  return importOnnx(file, { source: filePath });
+}
+
+export {
+  ONNX_OPSET,
+  ONNX_MODEL_TYPES,
+  exportOnnx,
+  writeOnnx,
+  validateOnnxModel,
+  importOnnx,
+  readOnnx,
+};
@@ -0,0 +1,204 @@
+/**
+ * Optimizers for NeuralModel training
+ *
+ * An optimizer turns the gradients left on a model's parameters by the
+ * backward pass into weight updates. Per-parameter state (momentum, moment
+ * estimates) is keyed by parameter name so it can be saved next to the
+ * weights with getState() and restored with setState().
+ */
+
+class Optimizer {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.options = options;
+    this.state = new Map();
+    this.steps = 0;
+  }
+
+  /**
+   * Updates every parameter that has a gradient. `gradientScale` multiplies
+   * the gradients first (global-norm clipping).
+   * @param {Map<string, Tensor>} params - Parameters by name
+   * @param {number} learningRate - Step size for this update
+   * @param {number} gradientScale - Factor applied to the gradients
+   */
+  step(params, learningRate, gradientScale = 1) {
+    this.steps++;
+    for (const [name, p] of params) {
+      if (p.grad) {
+        this.update(p.data, p.grad, this.slots(name, p.size), learningRate, gradientScale);
+      }
+    }
+  }
+
+  update(_data, _grad, _slots, _learningRate, _gradientScale) {
+    throw new Error('update() must be implemented by subclass');
+  }
+
+  // Names of the per-parameter buffers this optimizer keeps
+  slotNames() {
+    return [];
+  }
+
+  slots(name, size) {
+    let slots = this.state.get(name);
+    if (!slots) {
+      slots = Object.fromEntries(this.slotNames().map(slot => [slot, new Float32Array(size)]));
+      this.state.set(name, slots);
+    }
+    return slots;
+  }
+
+  getState() {
+    const slots = {};
+    for (const [name, buffers] of this.state) {
+      slots[name] = Object.fromEntries(Object.entries(buffers).map(([slot, data]) => [slot, Float32Array.from(data)]));
+    }
+    return { type: this.type, options: { ...this.options }, steps: this.steps, slots };
+  }
+
+  setState(state) {
+    if (state.type !== this.type) {
+      throw new Error(`Cannot restore ${state.type} optimizer state into ${this.type}`);
+    }
+    this.steps = state.steps || 0;
+    this.state.clear();
+    for (const [name, buffers] of Object.entries(state.slots || {})) {
+      this.state.set(name, Object.fromEntries(Object.entries(buffers).map(([slot, data]) => [slot, Float32Array.from(data)])));
+    }
+  }
+}
+
+/**
+ * Stochastic gradient descent with optional (Nesterov) momentum and L2
+ * weight decay. With the defaults this is the plain update the models
+ * always used.
+ */
+class SGD extends Optimizer {
+  constructor({ momentum = 0, nesterov = false, weightDecay = 0 } = {}) {
+    super('sgd', { momentum, nesterov, weightDecay });
+  }
+
+  slotNames() {
+    return this.options.momentum > 0 ? ['velocity'] : [];
+  }
+
+  update(data, grad, { velocity }, learningRate, gradientScale) {
+    const { momentum, nesterov, weightDecay } = this.options;
+    for (let i = 0; i < data.length; i++) {
+      let g = grad[i] * gradientScale + weightDecay * data[i];
+      if (velocity) {
+        velocity[i] = momentum * velocity[i] + g;
+        g = nesterov ? g + momentum * velocity[i] : velocity[i];
+      }
+      data[i] -= learningRate * g;
+    }
+  }
+}
+
+/**
+ * Adam (Kingma & Ba) with bias-corrected moment estimates. `weightDecay`
+ * adds an L2 term to the gradient; see AdamW for decoupled decay.
+ */
+class Adam extends Optimizer {
+  constructor({ beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8, weightDecay = 0 } = {}, type = 'adam') {
+    super(type, { beta1, beta2, epsilon, weightDecay });
+  }
+
+  slotNames() {
+    return ['m', 'v'];
+  }
+
+  update(data, grad, { m, v }, learningRate, gradientScale) {
+    const { beta1, beta2, epsilon } = this.options;
+    const correction1 = 1 - beta1 ** this.steps;
+    const correction2 = 1 - beta2 ** this.steps;
+    this.decay(data, learningRate);
+
+    for (let i = 0; i < data.length; i++) {
+      const g = grad[i] * gradientScale + this.l2(data[i]);
+      m[i] = beta1 * m[i] + (1 - beta1) * g;
+      v[i] = beta2 * v[i] + (1 - beta2) * g * g;
+      data[i] -= learningRate * (m[i] / correction1) / (Math.sqrt(v[i] / correction2) + epsilon);
+    }
+  }
+
+  l2(value) {
+    return this.options.weightDecay * value;
+  }
+
+  decay(_data, _learningRate) {}
+}
+
+// Adam with weight decay applied to the weights directly instead of through the gradient (Loshchilov & Hutter)
+class AdamW extends Adam {
+  constructor({ weightDecay = 0.01, ...options } = {}) {
+    super({ ...options, weightDecay }, 'adamw');
+  }
+
+  l2() {
+    return 0;
+  }
+
+  decay(data, learningRate) {
+    const factor = 1 - learningRate * this.options.weightDecay;
+    for (let i = 0; i < data.length; i++) {
+      data[i] *= factor;
+    }
+  }
+}
+
+// RMSprop: divides each step by a running average of squared gradients
+class RMSprop extends Optimizer {
+  constructor({ alpha = 0.99, epsilon = 1e-8, momentum = 0, weightDecay = 0 } = {}) {
+    super('rmsprop', { alpha, epsilon, momentum, weightDecay });
+  }
+
+  slotNames() {
+    return this.options.momentum > 0 ? ['square', 'velocity'] : ['square'];
+  }
+
+  update(data, grad, { square, velocity }, learningRate, gradientScale) {
+    const { alpha, epsilon, momentum, weightDecay } = this.options;
+    for (let i = 0; i < data.length; i++) {
+      const g = grad[i] * gradientScale + weightDecay * data[i];
+      square[i] = alpha * square[i] + (1 - alpha) * g * g;
+      const step = g / (Math.sqrt(square[i]) + epsilon);
+      if (velocity) {
+        velocity[i] = momentum * velocity[i] + step;
+        data[i] -= learningRate * velocity[i];
+      } else {
+        data[i] -= learningRate * step;
+      }
+    }
+  }
+}
+
+const OPTIMIZERS = {
+  sgd: SGD,
+  momentum: SGD,
+  adam: Adam,
+  adamw: AdamW,
+  rmsprop: RMSprop,
+};
+
+/**
+ * Builds an optimizer from a name (`'adam'`), a config object
+ * (`{ type: 'sgd', momentum: 0.9 }`) or returns an Optimizer as is.
+ */
+function createOptimizer(spec = 'sgd') {
+  if (spec instanceof Optimizer) {
+    return spec;
+  }
+  const { type = 'sgd', ...options } = typeof spec === 'string' ? { type: spec } : spec;
+  const OptimizerClass = OPTIMIZERS[type.toLowerCase()];
+  if (!OptimizerClass) {
+    throw new Error(`Unknown optimizer: ${type}. Available optimizers: ${Object.keys(OPTIMIZERS).join(', ')}`);
+  }
+  if (type.toLowerCase() === 'momentum' && options.momentum === undefined) {
+    options.momentum = 0.9;
+  }
+  return new OptimizerClass(options);
+}
+
+export { Optimizer, SGD, Adam, AdamW, RMSprop, OPTIMIZERS, createOptimizer };
@@ -0,0 +1,164 @@
+/**
+ * Post-training quantization
+ *
+ * Shrinks a trained model's dense and convolution weights to int8 or
+ * float16 for inference. A calibration pass runs sample data through the
+ * model to find which weights feed matmul() and conv2d() and the range of
+ * the inputs each one sees; int8 layers quantize their inputs to that range
+ * and multiply in integers (see autograd.js). Other parameters (biases,
+ * normalisation, embeddings) stay float32. The report compares the model's
+ * evaluation metrics and memory before and after.
+ */
+
+import * as ag from './autograd.js';
+import { DatasetStream } from './dataset.js';
+import { evaluateModel } from './metrics.js';
+
+const QUANTIZATION_PRECISIONS = ag.QUANTIZED_PRECISIONS;
+
+// Bytes held by a model's parameters and buffers
+function modelBytes(model) {
+  let bytes = 0;
+  for (const p of model.params.values()) {
+    if (p.quantized) {
+      const { values, scales } = p.quantized;
+      // int8 weights also keep their channel scales and input scale
+      bytes += values.byteLength + (scales ? scales.byteLength + 4 : 0);
+    } else {
+      bytes += p.size * 4;
+    }
+  }
+  for (const data of model.buffers.values()) {
+    bytes += data.length * 4;
+  }
+  return bytes;
+}
+
+/**
+ * Runs up to `samples` samples of `data` through `model` and returns the
+ * weights that were multiplied with an input, with the largest input
+ * magnitude each one saw.
+ */
+async function calibrate(model, data, { batchSize = 32, samples = 256 } = {}) {
+  const params = [...model.params];
+  for (const [, p] of params) {
+    p.calibration = { absMax: 0, layer: null, batches: 0 };
+  }
+
+  let seen = 0;
+  try {
+    const source = data instanceof DatasetStream ? data : model.toSamples(data);
+    for await (const batch of model.batches(source, batchSize)) {
+      const part = batch.slice(0, samples - seen);
+      await model.forward(model.batchInputs(part), false);
+      seen += part.length;
+      if (seen >= samples) {
+        break;
+      }
+    }
+    if (seen === 0) {
+      throw new Error('No calibration samples');
+    }
+
+    const layers = params
+      .filter(([, p]) => p.calibration.batches > 0)
+      .map(([name, p]) => ({ name, layer: p.calibration.layer, shape: [...p.shape], inputAbsMax: p.calibration.absMax }));
+    return { samples: seen, layers };
+  } finally {
+    for (const [, p] of params) {
+      delete p.calibration;
+    }
+  }
+}
+
+// after - before for every metric both reports have a number for
+function metricDeltas(before, after) {
+  const delta = {};
+  for (const [name, value] of Object.entries(after.metrics)) {
+    const previous = before.metrics[name];
+    delta[name] = typeof value === 'number' && typeof previous === 'number' ? value - previous : null;
+  }
+  return delta;
+}
+
+/**
+ * Quantizes `model` in place. Its optimizer state is dropped: a quantized
+ * model only runs inference, and train() refuses it.
+ * @param {NeuralModel} model - A trained float32 model
+ * @param {Object} options
+ * @param {*} options.calibrationData - Sample inputs, in any form evaluateModel() accepts
+ * @param {string} [options.precision] - 'int8' (default) or 'float16'
+ * @param {number} [options.calibrationSamples] - Samples to calibrate on (default 256)
+ * @param {*} [options.evaluationData] - Held-out data to score before and after
+ * @param {string} [options.task] - Evaluation task (default from evaluationTask())
+ * @param {number} [options.batchSize]
+ * @returns {Promise<Object>} `{ precision, calibrationSamples, layers, memory, accuracy }`;
+ *   `accuracy` holds the metrics before and after and their `delta`, or is
+ *   null without evaluation data
+ */
+async function quantizeModel(model, {
+  calibrationData,
+  precision = 'int8',
+  calibrationSamples = 256,
+  evaluationData = null,
+  task = null,
+  batchSize = 32,
+} = {}) {
+  if (!QUANTIZATION_PRECISIONS.includes(precision)) {
+    throw new Error(`Unknown quantization precision: ${precision}. Use ${QUANTIZATION_PRECISIONS.join(', ')}`);
+  }
+  if (model.quantization) {
+    throw new Error(`This ${model.modelType} model is already quantized to ${model.quantization.precision}`);
+  }
+  if (!calibrationData) {
+    throw new Error('Quantization needs calibrationData: sample inputs like those the model will see');
+  }
+
+  const before = evaluationData ? await evaluateModel(model, evaluationData, { task, batchSize }) : null;
+  const bytesBefore = modelBytes(model);
+
+  const calibration = await calibrate(model, calibrationData, { batchSize, samples: calibrationSamples });
+  if (calibration.layers.length === 0) {
+    throw new Error(`${model.modelType} has no dense or convolution weights to quantize`);
+  }
+  const layers = calibration.layers.map(({ name, layer, shape, inputAbsMax }) => {
+    const inputScale = precision === 'int8' && inputAbsMax > 0 ? inputAbsMax / 127 : null;
+    ag.quantizeWeight(model.params.get(name), { precision, inputScale });
+    return { name, layer, shape, inputScale };
+  });
+  model.optimizer = null;
+  model.quantization = {
+    precision,
+    layers: layers.map(({ name }) => name),
+    calibrationSamples: calibration.samples,
+  };
+
+  const bytesAfter = modelBytes(model);
+  const after = evaluationData ? await evaluateModel(model, evaluationData, { task, batchSize }) : null;
+
+  return {
+    precision,
+    calibrationSamples: calibration.samples,
+    layers,
+    memory: {
+      before: bytesBefore,
+      after: bytesAfter,
+      saved: bytesBefore - bytesAfter,
+      ratio: bytesAfter / bytesBefore,
+    },
+    accuracy: before && {
+      task: after.task,
+      count: after.count,
+      before: before.metrics,
+      after: after.metrics,
+      delta: metricDeltas(before, after),
+    },
+  };
+}
+
+export {
+  QUANTIZATION_PRECISIONS,
+  calibrate,
+  modelBytes,
+  quantizeModel,
+};
@@ -0,0 +1,169 @@
+/**
+ * Learning-rate schedulers for NeuralModel training
+ *
+ * train() asks its scheduler for the rate before every batch, passing the
+ * base rate and where training is (`epoch`, `epochs`, `step`,
+ * `stepsPerEpoch`), and reports the monitored loss after every epoch.
+ * Names follow the ones MetaLearningFramework.selectSchedulerType() picks.
+ */
+
+class LearningRateScheduler {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.options = options;
+  }
+
+  learningRate({ baseLearningRate }) {
+    return baseLearningRate;
+  }
+
+  // Called with the epoch's validation loss (training loss without a validation split)
+  observe(_loss) {}
+}
+
+// Multiplies the rate by `gamma` every `stepSize` epochs
+class StepLR extends LearningRateScheduler {
+  constructor({ stepSize = 10, gamma = 0.1 } = {}) {
+    super('step', { stepSize, gamma });
+  }
+
+  learningRate({ baseLearningRate, epoch }) {
+    return baseLearningRate * this.options.gamma ** Math.floor(epoch / this.options.stepSize);
+  }
+}
+
+// Multiplies the rate by `gamma` every epoch
+class ExponentialLR extends LearningRateScheduler {
+  constructor({ gamma = 0.95 } = {}) {
+    super('exponential', { gamma });
+  }
+
+  learningRate({ baseLearningRate, epoch }) {
+    return baseLearningRate * this.options.gamma ** epoch;
+  }
+}
+
+// Half a cosine from the base rate down to `minLearningRate` over `period` epochs (all of training by default)
+class CosineAnnealingLR extends LearningRateScheduler {
+  constructor({ period = null, minLearningRate = 0 } = {}) {
+    super('cosine', { period, minLearningRate });
+  }
+
+  learningRate({ baseLearningRate, epoch, epochs, step, stepsPerEpoch }) {
+    const { minLearningRate } = this.options;
+    const period = this.options.period || epochs;
+    const progress = stepsPerEpoch ? step / stepsPerEpoch : epoch;
+    const t = Math.min(progress, period) / period;
+    return minLearningRate + (baseLearningRate - minLearningRate) * (1 + Math.cos(Math.PI * t)) / 2;
+  }
+}
+
+/**
+ * Ramps the rate up linearly over the first `warmupSteps` batches (or
+ * `warmupEpochs` epochs), then hands over to `after`, which sees the
+ * remaining training as if it started there.
+ */
+class WarmupLR extends LearningRateScheduler {
+  constructor({ warmupSteps = 0, warmupEpochs = 0, after = 'constant' } = {}) {
+    super('warmup', { warmupSteps, warmupEpochs });
+    this.after = createScheduler(after);
+  }
+
+  learningRate(context) {
+    const { baseLearningRate, epoch, epochs, step, stepsPerEpoch = 1 } = context;
+    const warmup = this.options.warmupSteps || this.options.warmupEpochs * stepsPerEpoch;
+    if (step < warmup) {
+      return baseLearningRate * (step + 1) / warmup;
+    }
+    const warmupEpochs = Math.ceil(warmup / stepsPerEpoch);
+    return this.after.learningRate({
+      ...context,
+      epoch: Math.max(0, epoch - warmupEpochs),
+      epochs: Math.max(1, epochs - warmupEpochs),
+      step: step - warmup,
+    });
+  }
+
+  observe(loss) {
+    this.after.observe(loss);
+  }
+}
+
+/**
+ * Cuts the rate by `factor` once the monitored loss has not improved by
+ * more than `threshold` (relative) for `patience` epochs, then waits
+ * `cooldown` epochs before watching again.
+ */
+class ReduceLROnPlateau extends LearningRateScheduler {
+  constructor({ factor = 0.1, patience = 10, threshold = 1e-4, cooldown = 0, minLearningRate = 0 } = {}) {
+    super('plateau', { factor, patience, threshold, cooldown, minLearningRate });
+    this.scale = 1;
+    this.best = Infinity;
+    this.badEpochs = 0;
+    this.cooldownLeft = 0;
+  }
+
+  learningRate({ baseLearningRate }) {
+    return Math.max(this.options.minLearningRate, baseLearningRate * this.scale);
+  }
+
+  observe(loss) {
+    const { factor, patience, threshold, cooldown } = this.options;
+    if (loss < this.best * (1 - threshold)) {
+      this.best = loss;
+      this.badEpochs = 0;
+    } else if (this.cooldownLeft > 0) {
+      this.cooldownLeft--;
+    } else if (++this.badEpochs > patience) {
+      this.scale *= factor;
+      this.badEpochs = 0;
+      this.cooldownLeft = cooldown;
+    }
+  }
+}
+
+const SCHEDULERS = {
+  constant: LearningRateScheduler,
+  step: StepLR,
+  step_decay: StepLR,
+  exponential: ExponentialLR,
+  exponential_decay: ExponentialLR,
+  cosine: CosineAnnealingLR,
+  cosine_annealing: CosineAnnealingLR,
+  warmup: WarmupLR,
+  plateau: ReduceLROnPlateau,
+  reduce_on_plateau: ReduceLROnPlateau,
+};
+
+/**
+ * Builds a scheduler from a name (`'cosine'`), a config object
+ * (`{ type: 'step', stepSize: 5 }`) or returns a scheduler as is. A
+ * `warmupSteps` or `warmupEpochs` option on any other type puts a linear
+ * warmup in front of it.
+ */
+function createScheduler(spec = 'constant') {
+  if (spec instanceof LearningRateScheduler) {
+    return spec;
+  }
+  const { type = 'constant', warmupSteps = 0, warmupEpochs = 0, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+  const SchedulerClass = SCHEDULERS[type.toLowerCase()];
+  if (!SchedulerClass) {
+    throw new Error(`Unknown learning rate scheduler: ${type}. Available schedulers: ${Object.keys(SCHEDULERS).join(', ')}`);
+  }
+  if (SchedulerClass === WarmupLR) {
+    return new WarmupLR({ warmupSteps, warmupEpochs, ...options });
+  }
+  const scheduler = SchedulerClass === LearningRateScheduler ? new LearningRateScheduler('constant') : new SchedulerClass(options);
+  return warmupSteps > 0 || warmupEpochs > 0 ? new WarmupLR({ warmupSteps, warmupEpochs, after: scheduler }) : scheduler;
+}
+
+export {
+  LearningRateScheduler,
+  StepLR,
+  ExponentialLR,
+  CosineAnnealingLR,
+  WarmupLR,
+  ReduceLROnPlateau,
+  SCHEDULERS,
+  createScheduler,
+};
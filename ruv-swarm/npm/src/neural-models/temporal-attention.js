@@ -0,0 +1,234 @@
+/**
+ * Temporal Attention Model
+ * Multi-head self-attention over the timesteps of a sequence, pooled by attention
+ *
+ * Each timestep's features are projected to `dimensions` and given a
+ * sinusoidal position, then pass through `layers` self-attention blocks
+ * (optionally causal, so a step only sees earlier ones). A learned
+ * attention pooling then weighs the timesteps to produce the prediction;
+ * temporalWeights() returns those weights for inspection.
+ */
+
+import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
+
+const POOLING_TYPES = ['attention', 'last', 'mean'];
+
+class TemporalAttentionModel extends NeuralModel {
+  constructor(config = {}) {
+    super('attention');
+
+    // Temporal attention configuration
+    this.config = {
+      inputSize: config.inputSize || 16,
+      dimensions: config.dimensions || 64,
+      heads: config.heads || 4,
+      layers: config.layers || 2,
+      ffDimensions: config.ffDimensions || 4 * (config.dimensions || 64),
+      maxSequenceLength: config.maxSequenceLength || 512,
+      outputSize: config.outputSize || 1,
+      pooling: config.pooling || 'attention',
+      useCausalMask: config.useCausalMask || false,
+      returnSequence: config.returnSequence || false,
+      dropoutRate: config.dropoutRate ?? 0.1,
+      ...config,
+    };
+
+    if (this.config.dimensions % this.config.heads !== 0) {
+      throw new Error(`Attention dimensions (${this.config.dimensions}) must be divisible by heads (${this.config.heads})`);
+    }
+    if (!POOLING_TYPES.includes(this.config.pooling)) {
+      throw new Error(`Unknown attention pooling: ${this.config.pooling}. Use ${POOLING_TYPES.join(', ')}`);
+    }
+
+    this.headDimension = this.config.dimensions / this.config.heads;
+    this.positionalEncoding = this.createPositionalEncoding();
+    this.inputLayer = null;
+    this.blocks = [];
+    this.poolingLayer = null;
+    this.outputLayer = null;
+
+    this.initializeWeights();
+  }
+
+  initializeWeights() {
+    const { inputSize, dimensions, ffDimensions, outputSize } = this.config;
+    const dense = (name, inputDim, outputDim) => ({
+      weight: this.parameter(`${name}.weight`, this.createWeight([inputDim, outputDim])),
+      bias: this.parameter(`${name}.bias`, new Float32Array(outputDim).fill(0.0)),
+    });
+    const norm = (name) => ({
+      gamma: this.parameter(`${name}.gamma`, new Float32Array(dimensions).fill(1.0)),
+      beta: this.parameter(`${name}.beta`, new Float32Array(dimensions).fill(0.0)),
+    });
+
+    this.inputLayer = dense('input', inputSize, dimensions);
+
+    this.blocks = [];
+    for (let layer = 0; layer < this.config.layers; layer++) {
+      const name = `layers.${layer}`;
+      this.blocks.push({
+        query: this.parameter(`${name}.attention.query`, this.createWeight([dimensions, dimensions])),
+        key: this.parameter(`${name}.attention.key`, this.createWeight([dimensions, dimensions])),
+        value: this.parameter(`${name}.attention.value`, this.createWeight([dimensions, dimensions])),
+        output: this.parameter(`${name}.attention.output`, this.createWeight([dimensions, dimensions])),
+        attentionNorm: norm(`${name}.attentionNorm`),
+        ff1: dense(`${name}.feedForward.1`, dimensions, ffDimensions),
+        ff2: dense(`${name}.feedForward.2`, ffDimensions, dimensions),
+        feedForwardNorm: norm(`${name}.feedForwardNorm`),
+      });
+    }
+
+    // Additive attention over timesteps: score_t = v . tanh(W h_t + b)
+    this.poolingLayer = {
+      ...dense('pooling', dimensions, dimensions),
+      context: this.parameter('pooling.context', this.createWeight([dimensions, 1])),
+    };
+
+    this.outputLayer = dense('output', dimensions, outputSize);
+  }
+
+  createWeight(shape) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    const weight = new Float32Array(size);
+
+    // Xavier/Glorot initialization
+    const scale = Math.sqrt(2.0 / (shape[0] + shape[1]));
+    for (let i = 0; i < size; i++) {
+      weight[i] = (Math.random() * 2 - 1) * scale;
+    }
+
+    weight.shape = shape;
+    return weight;
+  }
+
+  createPositionalEncoding() {
+    const { maxSequenceLength, dimensions } = this.config;
+    const encoding = new Float32Array(maxSequenceLength * dimensions);
+
+    for (let pos = 0; pos < maxSequenceLength; pos++) {
+      for (let i = 0; i < dimensions; i++) {
+        const angle = pos / Math.pow(10000, (2 * Math.floor(i / 2)) / dimensions);
+        encoding[pos * dimensions + i] = i % 2 === 0 ? Math.sin(angle) : Math.cos(angle);
+      }
+    }
+
+    return encoding;
+  }
+
+  // [batch, sequence, inputSize]; a flat sequence per sample is split into steps of inputSize
+  toSequence(input) {
+    const x = ag.Tensor.from(input);
+    return x.rank === 3 ? x : ag.reshape(x, [x.shape[0], -1, this.config.inputSize]);
+  }
+
+  async forward(input, training = false) {
+    const { states } = this.encode(input, training);
+    if (this.config.returnSequence) {
+      // A prediction per timestep: [batch, sequence, outputSize]
+      return ag.linear(states, this.outputLayer.weight, this.outputLayer.bias);
+    }
+    const { pooled } = this.pool(states);
+    return ag.linear(pooled, this.outputLayer.weight, this.outputLayer.bias);
+  }
+
+  // Hidden states for every timestep: [batch, sequence, dimensions]
+  encode(input, training = false) {
+    const { dimensions, maxSequenceLength, dropoutRate } = this.config;
+    const x = this.toSequence(input);
+    const [, sequenceLength] = x.shape;
+    if (sequenceLength > maxSequenceLength) {
+      throw new Error(`Sequence length ${sequenceLength} exceeds maxSequenceLength ${maxSequenceLength}`);
+    }
+
+    const positions = new ag.Tensor(this.positionalEncoding.subarray(0, sequenceLength * dimensions), [sequenceLength, dimensions]);
+    let states = ag.add(ag.linear(x, this.inputLayer.weight, this.inputLayer.bias), positions);
+    states = ag.dropout(states, dropoutRate, training);
+
+    const mask = this.config.useCausalMask ? this.causalMask(sequenceLength) : null;
+    const attentionMaps = [];
+    for (const block of this.blocks) {
+      const { output, weights } = this.selfAttention(states, block, mask, training);
+      attentionMaps.push(weights);
+      states = ag.layerNorm(ag.add(states, output), block.attentionNorm.gamma, block.attentionNorm.beta);
+
+      let ff = ag.relu(ag.linear(states, block.ff1.weight, block.ff1.bias));
+      ff = ag.dropout(ag.linear(ff, block.ff2.weight, block.ff2.bias), dropoutRate, training);
+      states = ag.layerNorm(ag.add(states, ff), block.feedForwardNorm.gamma, block.feedForwardNorm.beta);
+    }
+
+    return { states, attentionMaps };
+  }
+
+  selfAttention(input, block, mask = null, training = false) {
+    const [batchSize, sequenceLength] = input.shape;
+    const { heads, dimensions } = this.config;
+
+    // [batch, heads, sequence, head_dimension]
+    const toHeads = (projection) => ag.permute(
+      ag.reshape(ag.matmul(input, projection), [batchSize, sequenceLength, heads, this.headDimension]),
+      [0, 2, 1, 3],
+    );
+
+    const { output: attended, weights } = ag.attention(toHeads(block.query), toHeads(block.key), toHeads(block.value), mask);
+    const concatenated = ag.reshape(ag.permute(attended, [0, 2, 1, 3]), [batchSize, sequenceLength, dimensions]);
+
+    return {
+      output: ag.dropout(ag.matmul(concatenated, block.output), this.config.dropoutRate, training),
+      weights,
+    };
+  }
+
+  // [sequence, sequence] scores offset hiding later timesteps
+  causalMask(sequenceLength) {
+    const mask = new Float32Array(sequenceLength * sequenceLength);
+    for (let i = 0; i < sequenceLength; i++) {
+      mask.fill(-1e9, i * sequenceLength + i + 1, (i + 1) * sequenceLength);
+    }
+    return new ag.Tensor(mask, [sequenceLength, sequenceLength]);
+  }
+
+  /**
+   * Combines the timesteps into one vector per sample: [batch, dimensions].
+   * `weights` [batch, sequence] says how much each timestep contributed.
+   */
+  pool(states) {
+    const [batchSize, sequenceLength, dimensions] = states.shape;
+
+    let weights;
+    if (this.config.pooling === 'attention') {
+      const scores = ag.matmul(ag.tanh(ag.linear(states, this.poolingLayer.weight, this.poolingLayer.bias)), this.poolingLayer.context);
+      weights = ag.softmax(ag.reshape(scores, [batchSize, sequenceLength]));
+    } else {
+      const data = new Float32Array(batchSize * sequenceLength);
+      for (let b = 0; b < batchSize; b++) {
+        if (this.config.pooling === 'last') {
+          data[(b + 1) * sequenceLength - 1] = 1;
+        } else {
+          data.fill(1 / sequenceLength, b * sequenceLength, (b + 1) * sequenceLength);
+        }
+      }
+      weights = new ag.Tensor(data, [batchSize, sequenceLength]);
+    }
+
+    // [batch, 1, sequence] x [batch, sequence, dimensions]
+    const pooled = ag.reshape(ag.matmul(ag.reshape(weights, [batchSize, 1, sequenceLength]), states), [batchSize, dimensions]);
+    return { pooled, weights };
+  }
+
+  // How much each timestep of `input` weighs in the prediction, per sample
+  async temporalWeights(input) {
+    const { states } = this.encode(input, false);
+    return this.pool(states).weights.toArray();
+  }
+
+  getConfig() {
+    return {
+      type: 'attention',
+      ...this.config,
+      parameters: this.countParameters(),
+    };
+  }
+}
+
+export { TemporalAttentionModel };
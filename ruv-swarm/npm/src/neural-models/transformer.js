@@ -4,6 +4,7 @@
  */
 
 import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
 
 class TransformerModel extends NeuralModel {
   constructor(config = {}) {
@@ -21,9 +22,14 @@ class TransformerModel extends NeuralModel {
       ...config,
     };
 
+    if (this.config.dimensions % this.config.heads !== 0) {
+      throw new Error(`Transformer dimensions (${this.config.dimensions}) must be divisible by heads (${this.config.heads})`);
+    }
+
     // Initialize components
-    this.headDimension = Math.floor(this.config.dimensions / this.config.heads);
+    this.headDimension = this.config.dimensions / this.config.heads;
     this.positionalEncoding = this.createPositionalEncoding();
+    this.embedding = null;
     this.attentionWeights = new Map();
     this.layerNorms = [];
     this.feedForwardWeights = [];
@@ -32,34 +38,44 @@ class TransformerModel extends NeuralModel {
   }
 
   initializeWeights() {
+    const { dimensions, ffDimensions, vocabularySize } = this.config;
+    this.attentionWeights.clear();
+    this.layerNorms = [];
+    this.feedForwardWeights = [];
+
+    // Learned token embeddings
+    this.embedding = this.parameter('embedding', this.createWeight([vocabularySize, dimensions]));
+
     // Initialize multi-head attention weights for each layer
     for (let layer = 0; layer < this.config.layers; layer++) {
+      const name = `layers.${layer}`;
       this.attentionWeights.set(`layer_${layer}`, {
-        query: this.createWeight([this.config.dimensions, this.config.dimensions]),
-        key: this.createWeight([this.config.dimensions, this.config.dimensions]),
-        value: this.createWeight([this.config.dimensions, this.config.dimensions]),
-        output: this.createWeight([this.config.dimensions, this.config.dimensions]),
+        query: this.parameter(`${name}.attention.query`, this.createWeight([dimensions, dimensions])),
+        key: this.parameter(`${name}.attention.key`, this.createWeight([dimensions, dimensions])),
+        value: this.parameter(`${name}.attention.value`, this.createWeight([dimensions, dimensions])),
+        output: this.parameter(`${name}.attention.output`, this.createWeight([dimensions, dimensions])),
       });
 
-      // Layer normalization parameters
-      this.layerNorms.push({
-        gamma: new Float32Array(this.config.dimensions).fill(1.0),
-        beta: new Float32Array(this.config.dimensions).fill(0.0),
+      // Layer normalization after each sublayer
+      const norm = (sublayer) => ({
+        gamma: this.parameter(`${name}.${sublayer}Norm.gamma`, new Float32Array(dimensions).fill(1.0)),
+        beta: this.parameter(`${name}.${sublayer}Norm.beta`, new Float32Array(dimensions).fill(0.0)),
       });
+      this.layerNorms.push({ attention: norm('attention'), feedForward: norm('feedForward') });
 
       // Feed-forward network weights
       this.feedForwardWeights.push({
-        w1: this.createWeight([this.config.dimensions, this.config.ffDimensions]),
-        b1: new Float32Array(this.config.ffDimensions).fill(0.0),
-        w2: this.createWeight([this.config.ffDimensions, this.config.dimensions]),
-        b2: new Float32Array(this.config.dimensions).fill(0.0),
+        w1: this.parameter(`${name}.feedForward.w1`, this.createWeight([dimensions, ffDimensions])),
+        b1: this.parameter(`${name}.feedForward.b1`, new Float32Array(ffDimensions).fill(0.0)),
+        w2: this.parameter(`${name}.feedForward.w2`, this.createWeight([ffDimensions, dimensions])),
+        b2: this.parameter(`${name}.feedForward.b2`, new Float32Array(dimensions).fill(0.0)),
       });
     }
 
     // Output layer weights
     this.outputWeights = {
-      projection: this.createWeight([this.config.dimensions, this.config.vocabularySize]),
-      bias: new Float32Array(this.config.vocabularySize).fill(0.0),
+      projection: this.parameter('output.projection', this.createWeight([dimensions, vocabularySize])),
+      bias: this.parameter('output.bias', new Float32Array(vocabularySize).fill(0.0)),
     };
   }
 
@@ -73,6 +89,7 @@ class TransformerModel extends NeuralModel {
       weight[i] = (Math.random() * 2 - 1) * scale;
     }
 
+    weight.shape = shape;
     return weight;
   }
 
@@ -94,390 +111,106 @@ class TransformerModel extends NeuralModel {
     return encoding;
   }
 
+  /**
+   * Input is token indices [batch_size, sequence_length], or already embedded
+   * vectors [batch_size, sequence_length, dimensions]. Returns logits over the
+   * vocabulary for every position.
+   */
   async forward(input, training = false) {
-    // Input should be token indices [batch_size, sequence_length]
-    const batchSize = input.shape[0];
-    const sequenceLength = input.shape[1];
-
-    // Token embedding (simplified - in practice would use embedding layer)
-    let x = this.tokenEmbedding(input);
+    let x = this.embed(ag.Tensor.from(input));
+    const [, sequenceLength] = x.shape;
+    if (sequenceLength > this.config.maxSequenceLength) {
+      throw new Error(`Sequence length ${sequenceLength} exceeds maxSequenceLength ${this.config.maxSequenceLength}`);
+    }
 
     // Add positional encoding
-    x = this.addPositionalEncoding(x, sequenceLength);
-
-    // Apply dropout if training
-    if (training && this.config.dropoutRate > 0) {
-      x = this.dropout(x, this.config.dropoutRate);
-    }
+    x = ag.add(x, this.positionalSlice(sequenceLength));
+    x = ag.dropout(x, this.config.dropoutRate, training);
 
     // Process through transformer layers
     for (let layer = 0; layer < this.config.layers; layer++) {
-      // Multi-head self-attention
-      const attentionOutput = await this.multiHeadAttention(x, layer, training);
-
-      // Add & Norm
-      x = this.layerNorm(this.add(x, attentionOutput), this.layerNorms[layer]);
+      const norms = this.layerNorms[layer];
 
-      // Feed-forward network
-      const ffOutput = this.feedForward(x, layer);
+      // Multi-head self-attention, then Add & Norm
+      const attentionOutput = this.multiHeadAttention(x, layer, training);
+      x = ag.layerNorm(ag.add(x, attentionOutput), norms.attention.gamma, norms.attention.beta);
 
-      // Add & Norm
-      x = this.layerNorm(this.add(x, ffOutput), this.layerNorms[layer]);
+      // Feed-forward network, then Add & Norm
+      const ffOutput = this.feedForward(x, layer, training);
+      x = ag.layerNorm(ag.add(x, ffOutput), norms.feedForward.gamma, norms.feedForward.beta);
     }
 
     // Final output projection
-    const output = this.outputProjection(x);
-
-    return output;
+    return this.outputProjection(x);
   }
 
-  async multiHeadAttention(input, layerIndex, training = false) {
-    const weights = this.attentionWeights.get(`layer_${layerIndex}`);
-    const batchSize = input.shape[0];
-    const sequenceLength = input.shape[1];
-
-    // Linear projections for Q, K, V
-    const Q = this.matmul(input, weights.query);
-    const K = this.matmul(input, weights.key);
-    const V = this.matmul(input, weights.value);
-
-    // Reshape for multi-head attention
-    const QHeads = this.reshapeForHeads(Q, batchSize, sequenceLength);
-    const KHeads = this.reshapeForHeads(K, batchSize, sequenceLength);
-    const VHeads = this.reshapeForHeads(V, batchSize, sequenceLength);
-
-    // Scaled dot-product attention for each head
-    const attentionScores = new Float32Array(batchSize * this.config.heads * sequenceLength * sequenceLength);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let h = 0; h < this.config.heads; h++) {
-        for (let i = 0; i < sequenceLength; i++) {
-          for (let j = 0; j < sequenceLength; j++) {
-            let score = 0;
-
-            // Compute dot product
-            for (let d = 0; d < this.headDimension; d++) {
-              const qIdx = b * this.config.heads * sequenceLength * this.headDimension +
-                          h * sequenceLength * this.headDimension +
-                          i * this.headDimension + d;
-              const kIdx = b * this.config.heads * sequenceLength * this.headDimension +
-                          h * sequenceLength * this.headDimension +
-                          j * this.headDimension + d;
-
-              score += QHeads[qIdx] * KHeads[kIdx];
-            }
-
-            // Scale by sqrt(d_k)
-            score /= Math.sqrt(this.headDimension);
-
-            const scoreIdx = b * this.config.heads * sequenceLength * sequenceLength +
-                           h * sequenceLength * sequenceLength +
-                           i * sequenceLength + j;
-            attentionScores[scoreIdx] = score;
-          }
-        }
-      }
+  embed(input) {
+    if (input.rank === 3 && input.shape[2] === this.config.dimensions) {
+      return input;
     }
-
-    // Apply softmax
-    const attentionWeights = this.softmax(attentionScores, sequenceLength);
-
-    // Apply attention weights to values
-    const attendedValues = this.applyAttentionWeights(attentionWeights, VHeads, batchSize, sequenceLength);
-
-    // Concatenate heads and project
-    const concatenated = this.concatenateHeads(attendedValues, batchSize, sequenceLength);
-    const output = this.matmul(concatenated, weights.output);
-
-    // Apply dropout if training
-    if (training && this.config.dropoutRate > 0) {
-      return this.dropout(output, this.config.dropoutRate);
+    if (input.rank !== 2) {
+      throw new Error(`Transformer expects token indices [batch, sequence] or embeddings [batch, sequence, ${this.config.dimensions}], got [${input.shape}]`);
     }
-
-    return output;
-  }
-
-  feedForward(input, layerIndex) {
-    const weights = this.feedForwardWeights[layerIndex];
-
-    // First linear transformation
-    let hidden = this.matmul(input, weights.w1);
-    hidden = this.addBias(hidden, weights.b1);
-
-    // ReLU activation
-    hidden = this.relu(hidden);
-
-    // Second linear transformation
-    let output = this.matmul(hidden, weights.w2);
-    output = this.addBias(output, weights.b2);
-
-    return output;
+    return ag.gather(this.embedding, Int32Array.from(input.data), input.shape);
   }
 
-  layerNorm(input, normParams) {
-    const { shape } = input;
-    const lastDim = shape[shape.length - 1];
-    const normalized = new Float32Array(input.length);
-
-    // Compute mean and variance for each position
-    for (let i = 0; i < input.length / lastDim; i++) {
-      let mean = 0;
-      let variance = 0;
-
-      // Calculate mean
-      for (let j = 0; j < lastDim; j++) {
-        mean += input[i * lastDim + j];
-      }
-      mean /= lastDim;
-
-      // Calculate variance
-      for (let j = 0; j < lastDim; j++) {
-        const diff = input[i * lastDim + j] - mean;
-        variance += diff * diff;
-      }
-      variance /= lastDim;
-
-      // Normalize and apply scale/shift
-      const std = Math.sqrt(variance + 1e-5);
-      for (let j = 0; j < lastDim; j++) {
-        const idx = i * lastDim + j;
-        normalized[idx] = normParams.gamma[j] * ((input[idx] - mean) / std) + normParams.beta[j];
-      }
-    }
-
-    normalized.shape = shape;
-    return normalized;
+  // Positional encodings of the first `sequenceLength` positions: [sequence, dimensions]
+  positionalSlice(sequenceLength) {
+    const { dimensions } = this.config;
+    return new ag.Tensor(this.positionalEncoding.subarray(0, sequenceLength * dimensions), [sequenceLength, dimensions]);
   }
 
-  async train(trainingData, options = {}) {
-    const {
-      epochs = 10,
-      batchSize = 32,
-      learningRate = 0.001,
-      warmupSteps = 4000,
-      validationSplit = 0.1,
-    } = options;
-
-    const trainingHistory = [];
-
-    // Split data into training and validation
-    const splitIndex = Math.floor(trainingData.length * (1 - validationSplit));
-    const trainData = trainingData.slice(0, splitIndex);
-    const valData = trainingData.slice(splitIndex);
-
-    let globalStep = 0;
-
-    for (let epoch = 0; epoch < epochs; epoch++) {
-      let epochLoss = 0;
-      let batchCount = 0;
-
-      // Shuffle training data
-      const shuffled = this.shuffle(trainData);
-
-      // Process batches
-      for (let i = 0; i < shuffled.length; i += batchSize) {
-        const batch = shuffled.slice(i, Math.min(i + batchSize, shuffled.length));
-
-        // Adaptive learning rate with warmup
-        const currentLR = this.getAdaptiveLearningRate(learningRate, globalStep, warmupSteps);
-
-        // Forward pass
-        const predictions = await this.forward(batch.inputs, true);
-
-        // Calculate loss
-        const loss = this.crossEntropyLoss(predictions, batch.targets);
-        epochLoss += loss;
-
-        // Backward pass (simplified)
-        await this.backward(loss, currentLR);
-
-        globalStep++;
-        batchCount++;
-      }
-
-      // Validation
-      const valLoss = await this.validate(valData);
-
-      const avgTrainLoss = epochLoss / batchCount;
-      trainingHistory.push({
-        epoch: epoch + 1,
-        trainLoss: avgTrainLoss,
-        valLoss,
-        learningRate: this.getAdaptiveLearningRate(learningRate, globalStep, warmupSteps),
-      });
-
-      console.log(`Epoch ${epoch + 1}/${epochs} - Train Loss: ${avgTrainLoss.toFixed(4)}, Val Loss: ${valLoss.toFixed(4)}`);
-    }
+  multiHeadAttention(input, layerIndex, training = false) {
+    const weights = this.attentionWeights.get(`layer_${layerIndex}`);
+    const [batchSize, sequenceLength] = input.shape;
 
-    return {
-      history: trainingHistory,
-      finalLoss: trainingHistory[trainingHistory.length - 1].trainLoss,
-      modelType: 'transformer',
-    };
-  }
+    // Linear projections, split into heads: [batch, heads, sequence, head_dimension]
+    const toHeads = (projection) => ag.permute(
+      ag.reshape(ag.matmul(input, projection), [batchSize, sequenceLength, this.config.heads, this.headDimension]),
+      [0, 2, 1, 3],
+    );
 
-  getAdaptiveLearningRate(baseLR, step, warmupSteps) {
-    // Learning rate schedule with warmup (as in original Transformer paper)
-    const arg1 = Math.sqrt(step);
-    const arg2 = step * Math.pow(warmupSteps, -1.5);
-    const lr = baseLR * Math.min(arg1, arg2) * Math.sqrt(this.config.dimensions);
-    return lr;
-  }
+    // Scaled dot-product attention for every head at once
+    const { output: attended } = ag.attention(
+      toHeads(weights.query),
+      toHeads(weights.key),
+      toHeads(weights.value),
+    );
 
-  // Utility functions
-  tokenEmbedding(tokenIndices) {
-    // Simplified token embedding - in practice would use learned embeddings
-    const embedded = new Float32Array(tokenIndices.shape[0] * tokenIndices.shape[1] * this.config.dimensions);
-
-    for (let b = 0; b < tokenIndices.shape[0]; b++) {
-      for (let s = 0; s < tokenIndices.shape[1]; s++) {
-        for (let d = 0; d < this.config.dimensions; d++) {
-          const idx = b * tokenIndices.shape[1] * this.config.dimensions +
-                     s * this.config.dimensions + d;
-          // Simple embedding based on token index
-          embedded[idx] = (tokenIndices[b * tokenIndices.shape[1] + s] % this.config.vocabularySize) /
-                         this.config.vocabularySize + (Math.random() - 0.5) * 0.1;
-        }
-      }
-    }
+    // Concatenate heads and project
+    const concatenated = ag.reshape(ag.permute(attended, [0, 2, 1, 3]), [batchSize, sequenceLength, this.config.dimensions]);
+    const output = ag.matmul(concatenated, weights.output);
 
-    embedded.shape = [tokenIndices.shape[0], tokenIndices.shape[1], this.config.dimensions];
-    return embedded;
+    return ag.dropout(output, this.config.dropoutRate, training);
   }
 
-  addPositionalEncoding(embeddings, sequenceLength) {
-    const result = new Float32Array(embeddings.length);
-
-    for (let b = 0; b < embeddings.shape[0]; b++) {
-      for (let s = 0; s < sequenceLength; s++) {
-        for (let d = 0; d < this.config.dimensions; d++) {
-          const embIdx = b * sequenceLength * this.config.dimensions +
-                        s * this.config.dimensions + d;
-          const posIdx = s * this.config.dimensions + d;
-
-          result[embIdx] = embeddings[embIdx] + this.positionalEncoding[posIdx];
-        }
-      }
-    }
-
-    result.shape = embeddings.shape;
-    return result;
-  }
+  feedForward(input, layerIndex, training = false) {
+    const weights = this.feedForwardWeights[layerIndex];
 
-  reshapeForHeads(tensor, batchSize, sequenceLength) {
-    // Reshape to [batch, heads, sequence, head_dimension]
-    const reshaped = new Float32Array(tensor.length);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let s = 0; s < sequenceLength; s++) {
-        for (let h = 0; h < this.config.heads; h++) {
-          for (let d = 0; d < this.headDimension; d++) {
-            const srcIdx = b * sequenceLength * this.config.dimensions +
-                          s * this.config.dimensions +
-                          h * this.headDimension + d;
-            const dstIdx = b * this.config.heads * sequenceLength * this.headDimension +
-                          h * sequenceLength * this.headDimension +
-                          s * this.headDimension + d;
-
-            reshaped[dstIdx] = tensor[srcIdx];
-          }
-        }
-      }
-    }
+    const hidden = ag.relu(ag.linear(input, weights.w1, weights.b1));
+    const output = ag.linear(hidden, weights.w2, weights.b2);
 
-    return reshaped;
+    return ag.dropout(output, this.config.dropoutRate, training);
   }
 
-  concatenateHeads(tensor, batchSize, sequenceLength) {
-    // Reshape from [batch, heads, sequence, head_dimension] to [batch, sequence, dimensions]
-    const concatenated = new Float32Array(batchSize * sequenceLength * this.config.dimensions);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let s = 0; s < sequenceLength; s++) {
-        for (let h = 0; h < this.config.heads; h++) {
-          for (let d = 0; d < this.headDimension; d++) {
-            const srcIdx = b * this.config.heads * sequenceLength * this.headDimension +
-                          h * sequenceLength * this.headDimension +
-                          s * this.headDimension + d;
-            const dstIdx = b * sequenceLength * this.config.dimensions +
-                          s * this.config.dimensions +
-                          h * this.headDimension + d;
-
-            concatenated[dstIdx] = tensor[srcIdx];
-          }
-        }
-      }
-    }
-
-    concatenated.shape = [batchSize, sequenceLength, this.config.dimensions];
-    return concatenated;
+  outputProjection(input) {
+    // Project to vocabulary size
+    return ag.linear(input, this.outputWeights.projection, this.outputWeights.bias);
   }
 
-  softmax(scores, sequenceLength) {
-    const softmaxScores = new Float32Array(scores.length);
-
-    // Apply softmax per attention head and query position
-    const stride = sequenceLength;
-
-    for (let i = 0; i < scores.length; i += stride) {
-      let maxScore = -Infinity;
-
-      // Find max for numerical stability
-      for (let j = 0; j < stride; j++) {
-        maxScore = Math.max(maxScore, scores[i + j]);
-      }
-
-      // Compute exp and sum
-      let sumExp = 0;
-      for (let j = 0; j < stride; j++) {
-        softmaxScores[i + j] = Math.exp(scores[i + j] - maxScore);
-        sumExp += softmaxScores[i + j];
-      }
-
-      // Normalize
-      for (let j = 0; j < stride; j++) {
-        softmaxScores[i + j] /= sumExp;
-      }
-    }
-
-    return softmaxScores;
+  async train(trainingData, options = {}) {
+    return super.train(trainingData, { warmupSteps: 4000, ...options });
   }
 
-  applyAttentionWeights(weights, values, batchSize, sequenceLength) {
-    const output = new Float32Array(batchSize * this.config.heads * sequenceLength * this.headDimension);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let h = 0; h < this.config.heads; h++) {
-        for (let i = 0; i < sequenceLength; i++) {
-          for (let d = 0; d < this.headDimension; d++) {
-            let sum = 0;
-
-            for (let j = 0; j < sequenceLength; j++) {
-              const weightIdx = b * this.config.heads * sequenceLength * sequenceLength +
-                               h * sequenceLength * sequenceLength +
-                               i * sequenceLength + j;
-              const valueIdx = b * this.config.heads * sequenceLength * this.headDimension +
-                              h * sequenceLength * this.headDimension +
-                              j * this.headDimension + d;
-
-              sum += weights[weightIdx] * values[valueIdx];
-            }
-
-            const outIdx = b * this.config.heads * sequenceLength * this.headDimension +
-                          h * sequenceLength * this.headDimension +
-                          i * this.headDimension + d;
-            output[outIdx] = sum;
-          }
-        }
-      }
-    }
-
-    return output;
+  learningRateAt({ baseLearningRate, step, options }) {
+    return this.getAdaptiveLearningRate(baseLearningRate, step, options.warmupSteps);
   }
 
-  outputProjection(input) {
-    // Project to vocabulary size
-    return this.matmul(input, this.outputWeights.projection);
+  getAdaptiveLearningRate(baseLR, step, warmupSteps) {
+    // Warmup schedule from the original Transformer paper: linear rise over
+    // warmupSteps, then inverse square root decay, peaking at baseLR
+    const n = step + 1;
+    return baseLR * Math.min(n / warmupSteps, Math.sqrt(warmupSteps / n));
   }
 
   getConfig() {
@@ -487,29 +220,6 @@ class TransformerModel extends NeuralModel {
       parameters: this.countParameters(),
     };
   }
-
-  countParameters() {
-    let count = 0;
-
-    // Attention weights
-    for (let layer = 0; layer < this.config.layers; layer++) {
-      count += 4 * this.config.dimensions * this.config.dimensions; // Q, K, V, O projections
-    }
-
-    // Feed-forward weights
-    count += this.config.layers * (
-      this.config.dimensions * this.config.ffDimensions * 2 + // W1, W2
-      this.config.ffDimensions + this.config.dimensions // biases
-    );
-
-    // Layer norm parameters
-    count += this.config.layers * 2 * this.config.dimensions; // gamma, beta
-
-    // Output projection
-    count += this.config.dimensions * this.config.vocabularySize + this.config.vocabularySize;
-
-    return count;
-  }
 }
 
-export { TransformerModel };
\ No newline at end of file
+export { TransformerModel };
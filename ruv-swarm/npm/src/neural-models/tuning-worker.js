@@ -0,0 +1,105 @@
+/**
+ * Worker thread for hyperparameter search trials
+ *
+ * Loads the dataset once, then trains one trial per message and saves it
+ * to the trial's checkpoint. A trial that continues from an earlier rung
+ * (initialEpoch > 0) resumes from that checkpoint with its optimizer state.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { NaNDetector } from './callbacks.js';
+import { loadDatasetSplits } from './dataset.js';
+import { createNeuralModel, loadNeuralModel } from './index.js';
+import { trialConfig } from './tuning.js';
+
+class TuningWorker {
+  constructor(dataPath, dataset = {}) {
+    this.dataPath = dataPath;
+    this.dataset = dataset;
+    this.splits = null;
+  }
+
+  async handleMessage(message) {
+    try {
+      const result = await this.runTrial(message.trial);
+      parentPort.postMessage({ result });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  }
+
+  async loadSplits() {
+    if (!this.splits) {
+      this.splits = await loadDatasetSplits(this.dataPath, this.dataset);
+      if (!this.splits.validation) {
+        throw new Error('Tuning scores trials on a validation split, but it is empty; raise the validation fraction');
+      }
+    }
+    return this.splits;
+  }
+
+  async runTrial({ modelType, config, training, initialEpoch, epochs, checkpoint }) {
+    const splits = await this.loadSplits();
+    const { info } = splits;
+    const { window = null, horizon = 0, seed, validation, test, stream = false } = this.dataset;
+
+    let model;
+    if (initialEpoch > 0) {
+      model = await loadNeuralModel(checkpoint);
+    } else {
+      // Recorded like `neural train` does, so `neural evaluate` can score the checkpoint
+      const dataset = {
+        source: this.dataPath,
+        target: info.target,
+        features: info.features,
+        classes: info.classes,
+        window,
+        horizon,
+        seed,
+        validation,
+        test,
+        stream,
+        normalization: splits.normalization,
+      };
+      model = await createNeuralModel(modelType, trialConfig(modelType, info, config, { dataset }));
+    }
+
+    const nanDetector = new NaNDetector();
+    await model.train(splits.train, {
+      epochs,
+      initialEpoch,
+      batchSize: training.batchSize || 32,
+      learningRate: training.learningRate || 0.001,
+      // A continued trial keeps its optimizer and state
+      ...(initialEpoch > 0 ? {} : { optimizer: training.optimizer || 'adam' }),
+      gradientClipping: training.gradientClipping || null,
+      validationData: splits.validation,
+      validationSplit: 0,
+      verbose: false,
+      callbacks: [nanDetector],
+    });
+    if (nanDetector.detected) {
+      const { epoch, batch, loss } = nanDetector.detected;
+      throw new Error(`Training diverged: loss became ${loss} at epoch ${epoch}, batch ${batch + 1}`);
+    }
+    await model.save(checkpoint);
+
+    const history = model.trainingHistory;
+    const last = history.at(-1);
+    const valLoss = Math.min(...history.map(entry => entry.valLoss).filter(Number.isFinite));
+    const metrics = {};
+    for (const [name, value] of Object.entries(last)) {
+      if (name.startsWith('val') && name !== 'valLoss') {
+        metrics[name] = value;
+      }
+    }
+    return { valLoss, trainLoss: last.trainLoss, epochs: last.epoch, metrics };
+  }
+}
+
+// Initialize worker
+const worker = new TuningWorker(workerData.dataPath, workerData.dataset);
+
+parentPort.on('message', (message) => {
+  worker.handleMessage(message);
+});
@@ -0,0 +1,503 @@
+/**
+ * Hyperparameter search
+ *
+ * Trains one model type on a dataset under many configurations and ranks
+ * them by the validation loss each one reached. A configuration starts from
+ * a preset in presets/ (or the dataset defaults of datasetModelConfig()) and
+ * overrides it with values drawn from a search space:
+ *
+ *   {
+ *     "preset": ["weather_forecasting", "predictive_maintenance"],
+ *     "parameters": {
+ *       "hiddenSize": [16, 32, 64],
+ *       "learningRate": { "min": 0.0001, "max": 0.01, "scale": "log" },
+ *       "numLayers": { "min": 1, "max": 3, "type": "int" }
+ *     }
+ *   }
+ *
+ * `grid` tries every combination, with each range contributing `steps`
+ * values. `random` draws `trials` configurations. `successive_halving`
+ * trains many configurations for a few epochs, keeps the best 1/eta and
+ * trains those eta times longer, until the survivors reach `maxEpochs`;
+ * `hyperband` runs successive halving at each trade-off between how many
+ * configurations start and how long they first train. Trials run in worker
+ * threads (tuning-worker.js), and each is recorded in the `tuning_trials`
+ * table when a persistence layer is passed.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { Worker } from 'worker_threads';
+import { datasetModelConfig, randomSource } from './dataset.js';
+import { NEURAL_PRESETS } from './presets/index.js';
+
+const TUNING_STRATEGIES = ['grid', 'random', 'successive_halving', 'hyperband'];
+
+// Searchable values that go to train() rather than the model config
+const TRAINING_PARAMETERS = ['learningRate', 'batchSize', 'optimizer', 'gradientClipping'];
+
+// Config values the dataset decides; presets and search spaces cannot change them
+const DATASET_SHAPE_KEYS = ['inputSize', 'outputSize', 'sequenceLength', 'inputDimensions', 'outputDimensions', 'loss'];
+
+/**
+ * Model config for one trial: `overrides` (preset config and sampled
+ * values) on top of the dataset defaults, keeping the input and output
+ * sizes and loss the dataset needs.
+ */
+function trialConfig(modelType, info, overrides, extra = {}) {
+  const defaults = datasetModelConfig(modelType, info);
+  const fixed = {};
+  for (const key of DATASET_SHAPE_KEYS) {
+    if (key in defaults) {
+      fixed[key] = defaults[key];
+    }
+  }
+  if (['lstm', 'gru'].includes(modelType)) {
+    // Trials predict one target per window
+    fixed.returnSequence = false;
+  }
+  return datasetModelConfig(modelType, info, { ...overrides, ...fixed, ...extra });
+}
+
+// Presets in presets/ for `modelType`, by name
+function presetsFor(modelType) {
+  const presets = {};
+  for (const category of Object.values(NEURAL_PRESETS)) {
+    for (const [name, preset] of Object.entries(category)) {
+      if (preset.model === modelType) {
+        presets[name] = preset;
+      }
+    }
+  }
+  return presets;
+}
+
+/**
+ * The presets a search starts from: null (the dataset defaults only), a
+ * preset name, a list of names or 'all' for every preset of `modelType`.
+ * Returns `{ name: { config, training } }`; the null name stands for the
+ * dataset defaults.
+ */
+function resolvePresets(modelType, preset = null) {
+  if (preset === null || preset === undefined) {
+    return { null: { config: {}, training: {} } };
+  }
+  const available = presetsFor(modelType);
+  const names = preset === 'all' ? Object.keys(available) : [preset].flat();
+  if (names.length === 0) {
+    throw new Error(`There are no ${modelType} presets in presets/`);
+  }
+
+  const resolved = {};
+  for (const name of names) {
+    if (!available[name]) {
+      const known = Object.keys(available);
+      throw new Error(`Unknown ${modelType} preset: ${name}${known.length ? `. Use ${known.join(', ')}` : ''}`);
+    }
+    const { config, training = {} } = available[name];
+    const presetTraining = {};
+    for (const key of TRAINING_PARAMETERS) {
+      if (training[key] !== undefined) {
+        presetTraining[key] = training[key];
+      }
+    }
+    resolved[name] = { config, training: presetTraining };
+  }
+  return resolved;
+}
+
+// A search space entry as { type: 'choice', values } or { type: 'float' | 'int', min, max, scale, steps }
+function normalizeParameter(name, spec) {
+  if (Array.isArray(spec) || Array.isArray(spec?.values)) {
+    const values = Array.isArray(spec) ? spec : spec.values;
+    if (values.length === 0) {
+      throw new Error(`Search space parameter ${name} has no values`);
+    }
+    return { type: 'choice', values };
+  }
+  if (spec === null || typeof spec !== 'object') {
+    return { type: 'choice', values: [spec] };
+  }
+
+  const { min, max, type = 'float', scale = 'linear', steps = 3 } = spec;
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+    throw new Error(`Search space parameter ${name} needs numeric min <= max, or a list of values`);
+  }
+  if (!['float', 'int'].includes(type)) {
+    throw new Error(`Search space parameter ${name} has unknown type ${type}; use float or int`);
+  }
+  if (!['linear', 'log'].includes(scale) || (scale === 'log' && min <= 0)) {
+    throw new Error(`Search space parameter ${name} needs scale linear, or log with min > 0`);
+  }
+  return { type, min, max, scale, steps: Math.max(1, Math.floor(steps)) };
+}
+
+/**
+ * Validates a search space (see the module comment) and resolves its
+ * presets. `preset` in the space is searched like any other choice.
+ */
+function parseSearchSpace(modelType, space = {}) {
+  const parameters = {};
+  for (const [name, spec] of Object.entries(space.parameters || {})) {
+    parameters[name] = normalizeParameter(name, spec);
+  }
+  const presets = resolvePresets(modelType, space.preset);
+  const presetNames = Object.keys(presets).map(name => (name === 'null' ? null : name));
+  return { parameters, presets, presetNames };
+}
+
+// A value drawn from `parameter`, uniformly or log-uniformly over a range
+function sampleValue(parameter, random) {
+  if (parameter.type === 'choice') {
+    return parameter.values[Math.floor(random() * parameter.values.length)];
+  }
+  const { min, max, scale, type } = parameter;
+  const upper = type === 'int' ? max + 1 : max;
+  const value = scale === 'log' ?
+    Math.exp(Math.log(min) + random() * (Math.log(upper) - Math.log(min))) :
+    min + random() * (upper - min);
+  return type === 'int' ? Math.min(max, Math.floor(value)) : value;
+}
+
+// `steps` evenly spaced values of a range (log-spaced for scale log); the choices of a list
+function gridValues(parameter) {
+  if (parameter.type === 'choice') {
+    return parameter.values;
+  }
+  const { min, max, scale, type, steps } = parameter;
+  const values = Array.from({ length: steps }, (_, i) => {
+    const t = steps === 1 ? 0.5 : i / (steps - 1);
+    const value = scale === 'log' ? Math.exp(Math.log(min) + t * (Math.log(max) - Math.log(min))) : min + t * (max - min);
+    return type === 'int' ? Math.round(value) : value;
+  });
+  return [...new Set(values)];
+}
+
+function sampleConfigurations(space, count, random) {
+  return Array.from({ length: count }, () => {
+    const params = {};
+    for (const [name, parameter] of Object.entries(space.parameters)) {
+      params[name] = sampleValue(parameter, random);
+    }
+    return { preset: space.presetNames[Math.floor(random() * space.presetNames.length)], params };
+  });
+}
+
+function gridConfigurations(space) {
+  let combinations = [{}];
+  for (const [name, parameter] of Object.entries(space.parameters)) {
+    const values = gridValues(parameter);
+    combinations = combinations.flatMap(params => values.map(value => ({ ...params, [name]: value })));
+  }
+  return space.presetNames.flatMap(preset => combinations.map(params => ({ preset, params })));
+}
+
+/**
+ * Hyperband brackets for a budget of `maxEpochs`: bracket s starts `n`
+ * configurations at `maxEpochs / eta^s` epochs and has s + 1 rungs, each
+ * keeping the best 1/eta and training them eta times longer. The last
+ * bracket trains its configurations for `maxEpochs` straight away.
+ */
+function hyperbandBrackets({ maxEpochs, minEpochs = 1, eta = 3 }) {
+  const sMax = Math.floor(Math.log(maxEpochs / minEpochs) / Math.log(eta) + 1e-9);
+  const brackets = [];
+  for (let s = sMax; s >= 0; s--) {
+    brackets.push({
+      bracket: s,
+      configurations: Math.ceil((sMax + 1) / (s + 1) * eta ** s),
+      rungs: rungEpochs(maxEpochs, eta, s),
+    });
+  }
+  return brackets;
+}
+
+// Epoch budget after each of the s + 1 rungs, ending at maxEpochs
+function rungEpochs(maxEpochs, eta, s) {
+  return Array.from({ length: s + 1 }, (_, i) => Math.max(1, Math.round(maxEpochs * eta ** (i - s))));
+}
+
+/**
+ * Runs trials on a fixed set of worker threads, one trial per worker at a
+ * time; further trials wait in a queue. A worker that crashes fails the
+ * trial it was running and is not replaced.
+ */
+class TrialPool {
+  constructor(size, workerData) {
+    this.workers = [];
+    this.available = [];
+    this.running = new Map();
+    this.queue = [];
+
+    const script = new URL('./tuning-worker.js', import.meta.url);
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(script, { workerData });
+      worker.on('error', error => this.handleFailure(worker, error));
+      worker.on('exit', code => this.handleFailure(worker, new Error(`Tuning worker exited with code ${code}`)));
+      this.workers.push(worker);
+      this.available.push(worker);
+    }
+  }
+
+  run(trial) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ trial, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0 && this.available.length > 0) {
+      const worker = this.available.pop();
+      const job = this.queue.shift();
+      this.running.set(worker, job);
+      worker.once('message', (message) => {
+        this.running.delete(worker);
+        this.available.push(worker);
+        if (message.error) {
+          job.reject(new Error(message.error));
+        } else {
+          job.resolve(message.result);
+        }
+        this.dispatch();
+      });
+      worker.postMessage({ trial: job.trial });
+    }
+  }
+
+  handleFailure(worker, error) {
+    if (!this.workers.includes(worker)) {
+      return;
+    }
+    this.workers = this.workers.filter(w => w !== worker);
+    this.available = this.available.filter(w => w !== worker);
+    const job = this.running.get(worker);
+    this.running.delete(worker);
+    job?.reject(error);
+    if (this.workers.length === 0) {
+      for (const queued of this.queue.splice(0)) {
+        queued.reject(new Error(`No tuning workers left: ${error.message}`));
+      }
+    }
+  }
+
+  async close() {
+    const { workers } = this;
+    this.workers = [];
+    this.available = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+// Plain description of a trial, without its checkpoint path
+function describeTrial({ checkpoint: _checkpoint, ...trial }) {
+  return trial;
+}
+
+/**
+ * Searches hyperparameters for `modelType` on the dataset at `dataPath`.
+ * @param {Object} options
+ * @param {string} options.modelType - One of DATASET_MODEL_TYPES
+ * @param {string} options.dataPath - CSV, JSONL or .npy file
+ * @param {Object} [options.dataset] - loadDatasetSplits() options (target,
+ *   features, window, validation, test, normalize, seed, ...); trials are
+ *   scored on its validation split, which must not be empty
+ * @param {Object} [options.space] - Search space (see the module comment)
+ * @param {string} [options.strategy] - One of TUNING_STRATEGIES (default random)
+ * @param {number} [options.trials] - Configurations for random search and
+ *   successive halving (default 10 and eta^brackets)
+ * @param {number} [options.maxEpochs] - Epochs of a fully trained trial (default 27)
+ * @param {number} [options.minEpochs] - Shortest rung for successive halving and Hyperband (default 1)
+ * @param {number} [options.eta] - Fraction of trials (1/eta) kept at each rung (default 3)
+ * @param {number} [options.concurrency] - Worker threads (default half the CPU cores)
+ * @param {number} [options.seed] - Seed for sampling configurations
+ * @param {Object} [options.persistence] - SwarmPersistence to record trials in
+ * @param {string} [options.output] - Where to copy the best trial's checkpoint
+ * @param {Function} [options.onTrial] - Called with each trial after every rung it runs
+ * @returns {Promise<Object>} `{ studyId, modelType, strategy, maxEpochs, best, trials }`,
+ *   trials sorted by validation loss
+ */
+async function tuneHyperparameters({
+  modelType,
+  dataPath,
+  dataset = {},
+  space = {},
+  strategy = space.strategy || 'random',
+  trials = space.trials || null,
+  maxEpochs = space.maxEpochs || 27,
+  minEpochs = space.minEpochs || 1,
+  eta = space.eta || 3,
+  concurrency = Math.max(1, Math.floor(os.cpus().length / 2)),
+  seed = null,
+  persistence = null,
+  output = null,
+  onTrial = null,
+}) {
+  if (!TUNING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown tuning strategy: ${strategy}. Use ${TUNING_STRATEGIES.join(', ')}`);
+  }
+  if (!(maxEpochs >= minEpochs && minEpochs >= 1) || !(eta > 1)) {
+    throw new Error('Tuning needs maxEpochs >= minEpochs >= 1 and eta > 1');
+  }
+  const searchSpace = parseSearchSpace(modelType, space);
+  const random = randomSource(seed);
+  const studyId = `study-${uuidv4()}`;
+
+  // One batch of configurations per bracket, with the epochs each rung trains them to
+  let brackets;
+  switch (strategy) {
+  case 'grid':
+    brackets = [{ bracket: null, configurations: gridConfigurations(searchSpace), rungs: [maxEpochs] }];
+    break;
+  case 'random':
+    brackets = [{ bracket: null, configurations: sampleConfigurations(searchSpace, trials || 10, random), rungs: [maxEpochs] }];
+    break;
+  case 'successive_halving': {
+    const [first] = hyperbandBrackets({ maxEpochs, minEpochs, eta });
+    const count = trials || first.configurations;
+    brackets = [{ ...first, configurations: sampleConfigurations(searchSpace, count, random) }];
+    break;
+  }
+  default:
+    brackets = hyperbandBrackets({ maxEpochs, minEpochs, eta })
+      .map(b => ({ ...b, configurations: sampleConfigurations(searchSpace, b.configurations, random) }));
+    break;
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ruv-swarm-tune-'));
+  const largest = Math.max(...brackets.map(b => b.configurations.length));
+  // Every worker must hold out the same validation rows
+  const splitSeed = dataset.seed ?? Math.floor(random() * 2 ** 31);
+  const pool = new TrialPool(Math.max(1, Math.min(concurrency, largest)), { dataPath, dataset: { ...dataset, seed: splitSeed } });
+  const all = [];
+
+  const runTrial = async(trial, rung, epochs) => {
+    const { config, training } = searchSpace.presets[String(trial.preset)];
+    const params = {};
+    const trainingParams = { ...training };
+    for (const [name, value] of Object.entries(trial.params)) {
+      if (TRAINING_PARAMETERS.includes(name)) {
+        trainingParams[name] = value;
+      } else {
+        params[name] = value;
+      }
+    }
+
+    const started = Date.now();
+    try {
+      const result = await pool.run({
+        modelType,
+        config: { ...config, ...params },
+        training: trainingParams,
+        initialEpoch: trial.epochs,
+        epochs,
+        checkpoint: trial.checkpoint,
+      });
+      Object.assign(trial, { rung, epochs: result.epochs, valLoss: result.valLoss, trainLoss: result.trainLoss, metrics: result.metrics });
+    } catch (error) {
+      Object.assign(trial, { rung, status: 'failed', error: error.message });
+    }
+    trial.durationMs += Date.now() - started;
+
+    if (persistence) {
+      const { status, epochs: trained, valLoss, trainLoss, metrics, error, durationMs } = trial;
+      await persistence.updateTuningTrial(trial.id, { status, rung, epochs: trained, valLoss, trainLoss, metrics, error, durationMs });
+    }
+    if (onTrial) {
+      onTrial(describeTrial(trial));
+    }
+  };
+
+  const setStatus = async(trial, status) => {
+    trial.status = status;
+    if (persistence) {
+      await persistence.updateTuningTrial(trial.id, { status });
+    }
+  };
+
+  try {
+    for (const { bracket, configurations, rungs } of brackets) {
+      let alive = [];
+      for (const { preset, params } of configurations) {
+        const trial = {
+          id: `trial-${uuidv4()}`,
+          studyId,
+          modelType,
+          strategy,
+          preset,
+          params,
+          bracket,
+          rung: null,
+          epochs: 0,
+          status: 'running',
+          valLoss: null,
+          trainLoss: null,
+          metrics: {},
+          error: null,
+          durationMs: 0,
+          checkpoint: path.join(workDir, `trial-${all.length}.rsnm`),
+        };
+        if (persistence) {
+          await persistence.createTuningTrial(trial);
+        }
+        all.push(trial);
+        alive.push(trial);
+      }
+
+      for (let rung = 0; rung < rungs.length && alive.length > 0; rung++) {
+        await Promise.all(alive.map(trial => runTrial(trial, rung, rungs[rung])));
+        alive = alive.filter(trial => trial.status !== 'failed').sort((a, b) => a.valLoss - b.valLoss);
+
+        if (rung === rungs.length - 1) {
+          for (const trial of alive) {
+            await setStatus(trial, 'completed');
+          }
+        } else {
+          const keep = Math.max(1, Math.floor(alive.length / eta));
+          for (const trial of alive.slice(keep)) {
+            await setStatus(trial, 'pruned');
+          }
+          alive = alive.slice(0, keep);
+        }
+      }
+    }
+
+    const completed = all.filter(trial => trial.status === 'completed').sort((a, b) => a.valLoss - b.valLoss);
+    if (completed.length === 0) {
+      const failure = all.find(trial => trial.error);
+      throw new Error(`Every trial failed${failure ? `: ${failure.error}` : ''}`);
+    }
+    const [best] = completed;
+    if (output) {
+      await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+      await fs.copyFile(best.checkpoint, output);
+    }
+
+    const ranked = [...all].sort((a, b) => (a.valLoss ?? Infinity) - (b.valLoss ?? Infinity));
+    return {
+      studyId,
+      modelType,
+      strategy,
+      maxEpochs,
+      best: describeTrial(best),
+      trials: ranked.map(describeTrial),
+    };
+  } finally {
+    await pool.close();
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+export {
+  TUNING_STRATEGIES,
+  TRAINING_PARAMETERS,
+  TrialPool,
+  gridConfigurations,
+  hyperbandBrackets,
+  parseSearchSpace,
+  presetsFor,
+  sampleConfigurations,
+  trialConfig,
+  tuneHyperparameters,
+};
@@ -4,6 +4,7 @@
  */
 
 import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
 
 class VAEModel extends NeuralModel {
   constructor(config = {}) {
@@ -39,39 +40,33 @@ class VAEModel extends NeuralModel {
   }
 
   initializeWeights() {
+    this.encoder = { layers: [], muLayer: null, logVarLayer: null };
+    this.decoder = { layers: [], outputLayer: null };
+
+    const dense = (name, inputDim, outputDim) => ({
+      weight: this.parameter(`${name}.weight`, this.createWeight([inputDim, outputDim])),
+      bias: this.parameter(`${name}.bias`, new Float32Array(outputDim).fill(0.0)),
+    });
     let currentDim = this.config.inputSize;
 
     // Initialize encoder layers
-    for (const hiddenDim of this.config.encoderLayers) {
-      this.encoder.layers.push({
-        weight: this.createWeight([currentDim, hiddenDim]),
-        bias: new Float32Array(hiddenDim).fill(0.0),
-      });
+    this.config.encoderLayers.forEach((hiddenDim, index) => {
+      this.encoder.layers.push(dense(`encoder.${index}`, currentDim, hiddenDim));
       currentDim = hiddenDim;
-    }
+    });
 
     // Latent space projection layers
-    this.encoder.muLayer = {
-      weight: this.createWeight([currentDim, this.config.latentDimensions]),
-      bias: new Float32Array(this.config.latentDimensions).fill(0.0),
-    };
-
-    this.encoder.logVarLayer = {
-      weight: this.createWeight([currentDim, this.config.latentDimensions]),
-      bias: new Float32Array(this.config.latentDimensions).fill(0.0),
-    };
+    this.encoder.muLayer = dense('encoder.mu', currentDim, this.config.latentDimensions);
+    this.encoder.logVarLayer = dense('encoder.logVar', currentDim, this.config.latentDimensions);
 
     // Initialize decoder layers
     currentDim = this.config.latentDimensions;
     const decoderDims = [...this.config.decoderLayers, this.config.inputSize];
 
-    for (const hiddenDim of decoderDims) {
-      this.decoder.layers.push({
-        weight: this.createWeight([currentDim, hiddenDim]),
-        bias: new Float32Array(hiddenDim).fill(0.0),
-      });
+    decoderDims.forEach((hiddenDim, index) => {
+      this.decoder.layers.push(dense(`decoder.${index}`, currentDim, hiddenDim));
       currentDim = hiddenDim;
-    }
+    });
   }
 
   createWeight(shape) {
@@ -88,6 +83,12 @@ class VAEModel extends NeuralModel {
     return weight;
   }
 
+  // Flat [batch, size] view of the input
+  toBatch(input, size) {
+    const x = ag.Tensor.from(input);
+    return x.rank === 2 && x.shape[1] === size ? x : ag.reshape(x, [-1, size]);
+  }
+
   async forward(input, training = false) {
     // Encode input to latent space
     const { mu, logVar, z } = await this.encode(input, training);
@@ -105,21 +106,17 @@ class VAEModel extends NeuralModel {
   }
 
   async encode(input, training = false) {
-    let h = input;
+    let h = this.toBatch(input, this.config.inputSize);
 
     // Forward through encoder layers
     for (const layer of this.encoder.layers) {
-      h = this.linearTransform(h, layer.weight, layer.bias);
-      h = this.applyActivation(h);
-
-      if (training && this.config.dropoutRate > 0) {
-        h = this.dropout(h, this.config.dropoutRate);
-      }
+      h = this.applyActivation(ag.linear(h, layer.weight, layer.bias));
+      h = ag.dropout(h, this.config.dropoutRate, training);
     }
 
     // Compute mean and log variance
-    const mu = this.linearTransform(h, this.encoder.muLayer.weight, this.encoder.muLayer.bias);
-    const logVar = this.linearTransform(h, this.encoder.logVarLayer.weight, this.encoder.logVarLayer.bias);
+    const mu = ag.linear(h, this.encoder.muLayer.weight, this.encoder.muLayer.bias);
+    const logVar = ag.linear(h, this.encoder.logVarLayer.weight, this.encoder.logVarLayer.bias);
 
     // Reparameterization trick
     const z = this.reparameterize(mu, logVar, training);
@@ -133,25 +130,9 @@ class VAEModel extends NeuralModel {
       return mu;
     }
 
-    // Sample from standard normal
-    const epsilon = new Float32Array(mu.length);
-    for (let i = 0; i < epsilon.length; i++) {
-      epsilon[i] = this.sampleGaussian();
-    }
-
-    // z = mu + sigma * epsilon
-    const sigma = new Float32Array(logVar.length);
-    for (let i = 0; i < logVar.length; i++) {
-      sigma[i] = Math.exp(0.5 * logVar[i]);
-    }
-
-    const z = new Float32Array(mu.length);
-    for (let i = 0; i < z.length; i++) {
-      z[i] = mu[i] + sigma[i] * epsilon[i];
-    }
-
-    z.shape = mu.shape;
-    return z;
+    // z = mu + sigma * epsilon, epsilon ~ N(0, 1)
+    const epsilon = ag.Tensor.randn(mu.shape);
+    return ag.add(mu, ag.mul(ag.exp(ag.scale(logVar, 0.5)), epsilon));
   }
 
   sampleGaussian() {
@@ -167,20 +148,17 @@ class VAEModel extends NeuralModel {
   }
 
   async decode(z, training = false) {
-    let h = z;
+    let h = this.toBatch(z, this.config.latentDimensions);
 
     // Forward through decoder layers
     for (let i = 0; i < this.decoder.layers.length; i++) {
       const layer = this.decoder.layers[i];
-      h = this.linearTransform(h, layer.weight, layer.bias);
+      h = ag.linear(h, layer.weight, layer.bias);
 
       // Apply activation (output activation for last layer)
       if (i < this.decoder.layers.length - 1) {
         h = this.applyActivation(h);
-
-        if (training && this.config.dropoutRate > 0) {
-          h = this.dropout(h, this.config.dropoutRate);
-        }
+        h = ag.dropout(h, this.config.dropoutRate, training);
       } else {
         h = this.applyOutputActivation(h);
       }
@@ -189,232 +167,86 @@ class VAEModel extends NeuralModel {
     return h;
   }
 
-  linearTransform(input, weight, bias) {
-    const batchSize = input.shape ? input.shape[0] : 1;
-    const inputDim = weight.shape[0];
-    const outputDim = weight.shape[1];
-
-    const output = new Float32Array(batchSize * outputDim);
-
-    for (let b = 0; b < batchSize; b++) {
-      for (let out = 0; out < outputDim; out++) {
-        let sum = bias[out];
-        for (let inp = 0; inp < inputDim; inp++) {
-          sum += input[b * inputDim + inp] * weight[inp * outputDim + out];
-        }
-        output[b * outputDim + out] = sum;
-      }
-    }
-
-    output.shape = [batchSize, outputDim];
-    return output;
-  }
-
   applyActivation(input) {
     switch (this.config.activation) {
-    case 'relu':
-      return this.relu(input);
     case 'leaky_relu':
-      return this.leakyRelu(input);
+      return ag.leakyRelu(input, 0.2);
     case 'tanh':
-      return this.tanh(input);
+      return ag.tanh(input);
     case 'elu':
-      return this.elu(input);
+      return ag.elu(input);
+    case 'relu':
     default:
-      return this.relu(input);
+      return ag.relu(input);
     }
   }
 
   applyOutputActivation(input) {
     switch (this.config.outputActivation) {
-    case 'sigmoid':
-      return this.sigmoid(input);
     case 'tanh':
-      return this.tanh(input);
+      return ag.tanh(input);
     case 'linear':
       return input;
+    case 'sigmoid':
     default:
-      return this.sigmoid(input);
+      return ag.sigmoid(input);
     }
   }
 
-  leakyRelu(input, alpha = 0.2) {
-    const result = new Float32Array(input.length);
-    for (let i = 0; i < input.length; i++) {
-      result[i] = input[i] > 0 ? input[i] : alpha * input[i];
-    }
-    result.shape = input.shape;
-    return result;
-  }
-
-  elu(input, alpha = 1.0) {
-    const result = new Float32Array(input.length);
-    for (let i = 0; i < input.length; i++) {
-      result[i] = input[i] > 0 ? input[i] : alpha * (Math.exp(input[i]) - 1);
-    }
-    result.shape = input.shape;
-    return result;
-  }
-
-  calculateLoss(output, target) {
+  /**
+   * Reconstruction loss (binary cross-entropy for sigmoid outputs, half the
+   * squared error otherwise) and KL divergence, each summed per sample and
+   * averaged over the batch. `klWeight` scales betaKL for annealing.
+   */
+  calculateLoss(output, target, klWeight = 1.0) {
     const { reconstruction, mu, logVar } = output;
+    const reduction = 'batchmean';
 
-    // Reconstruction loss (binary cross-entropy or MSE)
-    let reconLoss = 0;
-    if (this.config.outputActivation === 'sigmoid') {
-      // Binary cross-entropy
-      const epsilon = 1e-6;
-      for (let i = 0; i < reconstruction.length; i++) {
-        const pred = Math.max(epsilon, Math.min(1 - epsilon, reconstruction[i]));
-        reconLoss -= target[i] * Math.log(pred) + (1 - target[i]) * Math.log(1 - pred);
-      }
-    } else {
-      // MSE
-      for (let i = 0; i < reconstruction.length; i++) {
-        const diff = reconstruction[i] - target[i];
-        reconLoss += diff * diff;
-      }
-      reconLoss *= 0.5;
-    }
-    reconLoss /= reconstruction.shape[0]; // Average over batch
-
-    // KL divergence loss
-    let klLoss = 0;
-    for (let i = 0; i < mu.length; i++) {
-      klLoss += -0.5 * (1 + logVar[i] - mu[i] * mu[i] - Math.exp(logVar[i]));
-    }
-    klLoss /= mu.shape[0]; // Average over batch
-
-    // Total loss with beta weighting
-    const totalLoss = reconLoss + this.config.betaKL * klLoss;
+    const reconLoss = this.config.outputActivation === 'sigmoid' ?
+      ag.binaryCrossEntropy(reconstruction, target, { reduction, eps: 1e-6 }) :
+      ag.scale(ag.mseLoss(reconstruction, target, { reduction }), 0.5);
+    const klLoss = ag.klDivergence(mu, logVar);
 
     return {
-      total: totalLoss,
-      reconstruction: reconLoss,
-      kl: klLoss,
+      total: ag.add(reconLoss, ag.scale(klLoss, klWeight * this.config.betaKL)),
+      reconstruction: reconLoss.item(),
+      kl: klLoss.item(),
     };
   }
 
-  async train(trainingData, options = {}) {
-    const {
-      epochs = 30,
-      batchSize = 32,
-      learningRate = 0.001,
-      validationSplit = 0.1,
-      annealKL = true,
-    } = options;
-
-    const trainingHistory = [];
-
-    // Split data
-    const splitIndex = Math.floor(trainingData.length * (1 - validationSplit));
-    const trainData = trainingData.slice(0, splitIndex);
-    const valData = trainingData.slice(splitIndex);
-
-    for (let epoch = 0; epoch < epochs; epoch++) {
-      let epochReconLoss = 0;
-      let epochKLLoss = 0;
-      let batchCount = 0;
-
-      // KL annealing schedule
-      const klWeight = annealKL ? Math.min(1.0, epoch / 10) : 1.0;
-
-      // Shuffle training data
-      const shuffled = this.shuffle(trainData);
-
-      // Process batches
-      for (let i = 0; i < shuffled.length; i += batchSize) {
-        const batch = shuffled.slice(i, Math.min(i + batchSize, shuffled.length));
-
-        // Forward pass
-        const output = await this.forward(batch.inputs, true);
-
-        // Calculate loss
-        const losses = this.calculateLoss(output, batch.inputs); // Reconstruction target is input
-        const totalLoss = losses.reconstruction + klWeight * this.config.betaKL * losses.kl;
-
-        epochReconLoss += losses.reconstruction;
-        epochKLLoss += losses.kl;
-
-        // Backward pass
-        await this.backward(totalLoss, learningRate);
-
-        batchCount++;
-      }
-
-      // Validation
-      const valLosses = await this.validateVAE(valData);
-
-      const avgReconLoss = epochReconLoss / batchCount;
-      const avgKLLoss = epochKLLoss / batchCount;
-
-      trainingHistory.push({
-        epoch: epoch + 1,
-        trainReconLoss: avgReconLoss,
-        trainKLLoss: avgKLLoss,
-        trainTotalLoss: avgReconLoss + klWeight * this.config.betaKL * avgKLLoss,
-        valReconLoss: valLosses.reconstruction,
-        valKLLoss: valLosses.kl,
-        valTotalLoss: valLosses.total,
-        klWeight,
-      });
-
-      console.log(
-        `Epoch ${epoch + 1}/${epochs} - ` +
-        `Recon Loss: ${avgReconLoss.toFixed(4)}, KL Loss: ${avgKLLoss.toFixed(4)} - ` +
-        `Val Recon: ${valLosses.reconstruction.toFixed(4)}, Val KL: ${valLosses.kl.toFixed(4)}`,
-      );
+  // Samples may be bare vectors; the reconstruction target is the input
+  toSamples(data) {
+    if (Array.isArray(data) && data.length > 0 && (Array.isArray(data[0]) || ArrayBuffer.isView(data[0]))) {
+      return data.map(input => ({ input, target: input }));
     }
-
-    return {
-      history: trainingHistory,
-      finalLoss: trainingHistory[trainingHistory.length - 1].trainTotalLoss,
-      modelType: 'vae',
-      accuracy: 0.94, // VAEs don't have traditional accuracy, this is a quality metric
-    };
+    return super.toSamples(data).map(({ input }) => ({ input, target: input }));
   }
 
-  async validateVAE(validationData) {
-    let totalReconLoss = 0;
-    let totalKLLoss = 0;
-    let batchCount = 0;
-
-    for (const batch of validationData) {
-      const output = await this.forward(batch.inputs, false);
-      const losses = this.calculateLoss(output, batch.inputs);
-
-      totalReconLoss += losses.reconstruction;
-      totalKLLoss += losses.kl;
-      batchCount++;
-    }
+  async computeLoss(samples, { training = false, epoch = 0, options = {} } = {}) {
+    // KL annealing schedule while training
+    const klWeight = training && options.annealKL !== false ? Math.min(1.0, epoch / 10) : 1.0;
 
+    const target = this.toBatch(this.batchTargets(samples), this.config.inputSize);
+    const output = await this.forward(this.batchInputs(samples), training);
+    const losses = this.calculateLoss(output, target, klWeight);
     return {
-      reconstruction: totalReconLoss / batchCount,
-      kl: totalKLLoss / batchCount,
-      total: (totalReconLoss + this.config.betaKL * totalKLLoss) / batchCount,
+      loss: losses.total,
+      metrics: { reconLoss: losses.reconstruction, klLoss: losses.kl },
     };
   }
 
+  async train(trainingData, options = {}) {
+    return super.train(trainingData, { epochs: 30, ...options });
+  }
+
   async generate(numSamples = 1, latentVector = null) {
-    // Generate new samples from the latent space
-    let z;
-
-    if (latentVector !== null) {
-      // Use provided latent vector
-      z = latentVector;
-    } else {
-      // Sample from standard normal distribution
-      z = new Float32Array(numSamples * this.config.latentDimensions);
-      for (let i = 0; i < z.length; i++) {
-        z[i] = this.sampleGaussian();
-      }
-      z.shape = [numSamples, this.config.latentDimensions];
-    }
+    // Use the provided latent vector or sample from a standard normal distribution
+    const z = latentVector !== null ?
+      latentVector :
+      ag.Tensor.randn([numSamples, this.config.latentDimensions]);
 
     // Decode to generate samples
-    const generated = await this.decode(z, false);
-
-    return generated;
+    return (await this.decode(z, false)).toArray();
   }
 
   async interpolate(sample1, sample2, steps = 10) {
@@ -423,36 +255,29 @@ class VAEModel extends NeuralModel {
     const { z: z2 } = await this.encode(sample2, false);
 
     const interpolations = [];
-
     for (let step = 0; step <= steps; step++) {
       const alpha = step / steps;
-      const zInterp = new Float32Array(z1.length);
 
       // Linear interpolation in latent space
-      for (let i = 0; i < z1.length; i++) {
-        zInterp[i] = (1 - alpha) * z1[i] + alpha * z2[i];
-      }
-
-      zInterp.shape = z1.shape;
+      const zInterp = ag.add(ag.scale(z1, 1 - alpha), ag.scale(z2, alpha));
       const decoded = await this.decode(zInterp, false);
-      interpolations.push(decoded);
+      interpolations.push(decoded.toArray());
     }
 
     return interpolations;
   }
 
   async reconstructionError(input) {
-    // Calculate reconstruction error for anomaly detection
-    const output = await this.forward(input, false);
-    const { reconstruction } = output;
+    // Root mean squared reconstruction error, for anomaly detection
+    const x = this.toBatch(input, this.config.inputSize);
+    const { reconstruction } = await this.forward(x, false);
 
     let error = 0;
-    for (let i = 0; i < input.length; i++) {
-      const diff = input[i] - reconstruction[i];
+    for (let i = 0; i < x.size; i++) {
+      const diff = x.data[i] - reconstruction.data[i];
       error += diff * diff;
     }
-
-    return Math.sqrt(error / input.length);
+    return Math.sqrt(error / x.size);
   }
 
   getConfig() {
@@ -466,24 +291,6 @@ class VAEModel extends NeuralModel {
       },
     };
   }
-
-  countParameters() {
-    let count = 0;
-
-    // Encoder parameters
-    for (const layer of this.encoder.layers) {
-      count += layer.weight.length + layer.bias.length;
-    }
-    count += this.encoder.muLayer.weight.length + this.encoder.muLayer.bias.length;
-    count += this.encoder.logVarLayer.weight.length + this.encoder.logVarLayer.bias.length;
-
-    // Decoder parameters
-    for (const layer of this.decoder.layers) {
-      count += layer.weight.length + layer.bias.length;
-    }
-
-    return count;
-  }
 }
 
-export { VAEModel };
\ No newline at end of file
+export { VAEModel };
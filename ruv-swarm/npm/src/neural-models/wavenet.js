@@ -0,0 +1,165 @@
+/**
+ * WaveNet Model
+ * Stacks of gated, dilated causal convolutions with residual and skip connections
+ *
+ * Dilations double through each stack of `dilationDepth` layers (1, 2, 4,
+ * ...) and the stack repeats `dilationRepeat` times, so the receptive field
+ * grows exponentially with depth. A convolution tap reads the input
+ * `dilation` steps further back; it is built from shifted copies of the
+ * sequence, padded with zeros at the start, so no output sees the future.
+ */
+
+import { NeuralModel } from './base.js';
+import * as ag from './autograd.js';
+
+class WaveNetModel extends NeuralModel {
+  constructor(config = {}) {
+    super('wavenet');
+
+    // WaveNet configuration
+    this.config = {
+      inputChannels: config.inputChannels || 1,
+      residualChannels: config.residualChannels || 32,
+      dilationChannels: config.dilationChannels || 32,
+      skipChannels: config.skipChannels || 64,
+      kernelSize: config.kernelSize || 2,
+      dilationDepth: config.dilationDepth || 8,
+      dilationRepeat: config.dilationRepeat || 2,
+      outputSize: config.outputSize || 1,
+      returnSequence: config.returnSequence || false,
+      dropoutRate: config.dropoutRate || 0.0,
+      ...config,
+    };
+
+    this.startLayer = null;
+    this.residualLayers = [];
+    this.outputLayers = null;
+
+    this.initializeWeights();
+  }
+
+  initializeWeights() {
+    const { inputChannels, residualChannels, dilationChannels, skipChannels, kernelSize, dilationDepth, dilationRepeat, outputSize } = this.config;
+    const dense = (name, inputDim, outputDim) => ({
+      weight: this.parameter(`${name}.weight`, this.createWeight([inputDim, outputDim])),
+      bias: this.parameter(`${name}.bias`, new Float32Array(outputDim).fill(0.0)),
+    });
+
+    // 1x1 convolution into the residual channels
+    this.startLayer = dense('start', inputChannels, residualChannels);
+
+    this.residualLayers = [];
+    for (let layer = 0; layer < dilationDepth * dilationRepeat; layer++) {
+      const name = `layers.${layer}`;
+      const taps = [];
+      for (let tap = 0; tap < kernelSize; tap++) {
+        // Filter and gate halves side by side
+        taps.push(this.parameter(`${name}.taps.${tap}`, this.createWeight([residualChannels, 2 * dilationChannels])));
+      }
+      this.residualLayers.push({
+        dilation: 2 ** (layer % dilationDepth),
+        taps,
+        bias: this.parameter(`${name}.bias`, new Float32Array(2 * dilationChannels).fill(0.0)),
+        residual: dense(`${name}.residual`, dilationChannels, residualChannels),
+        skip: dense(`${name}.skip`, dilationChannels, skipChannels),
+      });
+    }
+
+    this.outputLayers = {
+      hidden: dense('output.hidden', skipChannels, skipChannels),
+      projection: dense('output.projection', skipChannels, outputSize),
+    };
+  }
+
+  createWeight(shape) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    const weight = new Float32Array(size);
+
+    // Xavier/Glorot initialization
+    const scale = Math.sqrt(2.0 / (shape[0] + shape[1]));
+    for (let i = 0; i < size; i++) {
+      weight[i] = (Math.random() * 2 - 1) * scale;
+    }
+
+    weight.shape = shape;
+    return weight;
+  }
+
+  // Timesteps each output depends on
+  get receptiveField() {
+    return (this.config.kernelSize - 1) * this.residualLayers.reduce((sum, layer) => sum + layer.dilation, 0) + 1;
+  }
+
+  // [batch, sequence, inputChannels]; a flat sequence per sample is split into steps of inputChannels
+  toSequence(input) {
+    const x = ag.Tensor.from(input);
+    return x.rank === 3 ? x : ag.reshape(x, [x.shape[0], -1, this.config.inputChannels]);
+  }
+
+  async forward(input, training = false) {
+    let x = ag.linear(this.toSequence(input), this.startLayer.weight, this.startLayer.bias);
+
+    let skips = null;
+    for (const layer of this.residualLayers) {
+      const { residual, skip } = this.residualBlock(x, layer, training);
+      x = residual;
+      skips = skips ? ag.add(skips, skip) : skip;
+    }
+
+    const { hidden, projection } = this.outputLayers;
+    let output = ag.relu(ag.linear(ag.relu(skips), hidden.weight, hidden.bias));
+    output = ag.linear(output, projection.weight, projection.bias);
+
+    if (this.config.returnSequence) {
+      // A prediction per timestep: [batch, sequence, outputSize]
+      return output;
+    }
+    // Only the last timestep: [batch, outputSize]
+    return ag.select(output, 1, output.shape[1] - 1);
+  }
+
+  // Gated activation tanh(filter) * sigmoid(gate) over the dilated causal convolution
+  residualBlock(x, layer, training = false) {
+    const { kernelSize, dilationChannels, dropoutRate } = this.config;
+
+    let conv = null;
+    layer.taps.forEach((weight, tap) => {
+      const term = ag.matmul(this.shift(x, (kernelSize - 1 - tap) * layer.dilation), weight);
+      conv = conv ? ag.add(conv, term) : term;
+    });
+    conv = ag.add(conv, layer.bias);
+
+    const filter = ag.tanh(ag.slice(conv, -1, 0, dilationChannels));
+    const gate = ag.sigmoid(ag.slice(conv, -1, dilationChannels, 2 * dilationChannels));
+    const z = ag.dropout(ag.mul(filter, gate), dropoutRate, training);
+
+    return {
+      residual: ag.add(x, ag.linear(z, layer.residual.weight, layer.residual.bias)),
+      skip: ag.linear(z, layer.skip.weight, layer.skip.bias),
+    };
+  }
+
+  // The sequence delayed by `steps`, zero-padded at the start: [batch, sequence, channels]
+  shift(x, steps) {
+    const [batchSize, sequenceLength, channels] = x.shape;
+    if (steps === 0) {
+      return x;
+    }
+    if (steps >= sequenceLength) {
+      return ag.Tensor.zeros(x.shape);
+    }
+    const padding = ag.Tensor.zeros([batchSize, steps, channels]);
+    return ag.concat([padding, ag.slice(x, 1, 0, sequenceLength - steps)], 1);
+  }
+
+  getConfig() {
+    return {
+      type: 'wavenet',
+      ...this.config,
+      receptiveField: this.receptiveField,
+      parameters: this.countParameters(),
+    };
+  }
+}
+
+export { WaveNetModel };
@@ -3,7 +3,9 @@
  * Manages per-agent neural networks with WASM integration
  */
 
-import { createNeuralModel, MODEL_PRESETS } from './neural-models/index.js';
+import { createNeuralModel, evaluateModel, loadNeuralModel, MODEL_PRESETS, quantizeModel } from './neural-models/index.js';
+import { CallbackList } from './neural-models/callbacks.js';
+import { readCheckpoint, writeCheckpoint } from './neural-models/checkpoint.js';
 import {
   NEURAL_PRESETS,
   getPreset,
@@ -21,9 +23,15 @@ import { CognitivePatternEvolution } from './cognitive-pattern-evolution.js';
 import { MetaLearningFramework } from './meta-learning-framework.js';
 import { NeuralCoordinationProtocol } from './neural-coordination-protocol.js';
 import { DAACognition } from './daa-cognition.js';
+import { MessageBus } from './message-bus/index.js';
+
+// Interaction reports are only worth reading while fresh, and most agents
+// never listen for them, so unread ones expire
+const INTERACTION_MESSAGE_TTL_MS = 60000;
 
 class NeuralNetworkManager {
-  constructor(wasmLoader) {
+  // `store` keeps the DAA agents' messages; see MessageBus for the default
+  constructor(wasmLoader, { store = null } = {}) {
     this.wasmLoader = wasmLoader;
     this.neuralNetworks = new Map();
 
@@ -31,7 +39,9 @@ class NeuralNetworkManager {
     this.cognitiveEvolution = new CognitivePatternEvolution();
     this.metaLearning = new MetaLearningFramework();
     this.coordinationProtocol = new NeuralCoordinationProtocol();
-    this.daaCognition = new DAACognition();
+    // Shared by the DAA agents and interaction reports
+    this.messageBus = new MessageBus({ store });
+    this.daaCognition = new DAACognition({ messageBus: this.messageBus });
 
     // Complete neural presets integration
     this.cognitivePatternSelector = new CognitivePatternSelector();
@@ -447,27 +457,23 @@ class NeuralNetworkManager {
     }
 
     const {
-      epochs = 10,
-      batchSize = 32,
-      learningRate = 0.001,
-      freezeLayers = [],
       enableCognitiveEvolution = true,
       enableMetaLearning = true,
-    } = options;
+      ...trainOptions
+    } = { epochs: 10, batchSize: 32, learningRate: 0.001, freezeLayers: [], ...options };
 
     // Apply cognitive pattern evolution during training
     if (enableCognitiveEvolution) {
       await this.cognitiveEvolution.evolvePatterns(agentId, trainingData);
     }
 
-    // Apply meta-learning optimization
-    if (enableMetaLearning) {
-      const optimizedOptions = await this.metaLearning.optimizeTraining(agentId, options);
-      Object.assign(options, optimizedOptions);
-    }
+    // Apply meta-learning optimization (learning rate, batch size, epochs, scheduler and early stopping)
+    const { metaOptimizations: _metaOptimizations, ...optimizedOptions } = enableMetaLearning ?
+      await this.metaLearning.optimizeTraining(agentId, trainOptions) :
+      trainOptions;
 
     // Enhanced training with adaptive optimization
-    const result = await network.train(trainingData, { epochs, batchSize, learningRate, freezeLayers });
+    const result = await network.train(trainingData, optimizedOptions);
 
     // Update performance metrics
     const metrics = this.performanceMetrics.get(agentId);
@@ -640,6 +646,51 @@ class NeuralNetworkManager {
     return network.getMetrics();
   }
 
+  /**
+   * Scores the agent's model on held-out data with the metrics for its task
+   * (see neural-models/metrics.js), unlike getNetworkMetrics(), which
+   * reports the training loop's own numbers
+   * @param {string} agentId - Agent identifier
+   * @param {*} data - Samples, a Dataset or a DatasetStream
+   * @param {Object} options - `task`, `classes` and `batchSize` for evaluateModel()
+   */
+  async evaluateNetwork(agentId, data, options = {}) {
+    const model = this.neuralModels.get(agentId);
+    if (!model) {
+      if (this.neuralNetworks.has(agentId)) {
+        throw new Error(`Agent ${agentId} has no trainable model to evaluate; create it from a neural model template or preset`);
+      }
+      throw new Error(`No neural network found for agent ${agentId}`);
+    }
+    return evaluateModel(model, data, options);
+  }
+
+  /**
+   * Quantizes the agent's model in place for inference (see
+   * neural-models/quantization.js); it can no longer be fine-tuned
+   * @param {string} agentId - Agent identifier
+   * @param {*} calibrationData - Sample inputs to calibrate on
+   * @param {Object} options - `precision`, `calibrationSamples`,
+   *   `evaluationData`, `task` and `batchSize` for quantizeModel()
+   * @returns {Promise<Object>} Memory saved and, with evaluation data, the metric deltas
+   */
+  async quantizeNetwork(agentId, calibrationData, options = {}) {
+    const model = this.neuralModels.get(agentId);
+    if (!model) {
+      if (this.neuralNetworks.has(agentId)) {
+        throw new Error(`Agent ${agentId} has no trainable model to quantize; create it from a neural model template or preset`);
+      }
+      throw new Error(`No neural network found for agent ${agentId}`);
+    }
+    return quantizeModel(model, { ...options, calibrationData });
+  }
+
+  /**
+   * Writes the agent's network to a checkpoint file (format in
+   * neural-models/checkpoint.js) that loadNetworkState() reads back
+   * @param {string} agentId - Agent identifier
+   * @param {string} filePath - Checkpoint path
+   */
   saveNetworkState(agentId, filePath) {
     const network = this.neuralNetworks.get(agentId);
     if (!network) {
@@ -658,6 +709,31 @@ class NeuralNetworkManager {
     return network.load(filePath);
   }
 
+  /**
+   * Rebuilds an agent's live network from a stored neural_networks row, as
+   * Swarm.restore() does for restored agents. A row whose weights name a
+   * checkpoint (neural_train with `outputPath`) gets the model saved there;
+   * inline weight values go into a network built from the row's architecture.
+   * @param {string} agentId - Agent identifier
+   * @param {Object} state - The row's parsed `architecture` and `weights`
+   */
+  async restoreNetworkState(agentId, { architecture = {}, weights = {} } = {}) {
+    if (weights.checkpoint) {
+      const model = await loadNeuralModel(weights.checkpoint);
+      const network = new AdvancedNeuralNetwork(agentId, model, { ...model.config, modelType: model.modelType });
+      this.neuralNetworks.set(agentId, network);
+      this.neuralModels.set(agentId, model);
+      return network;
+    }
+
+    const network = this.neuralNetworks.get(agentId) ||
+      await this.createAgentNeuralNetwork(agentId, { layers: architecture.layers, activation: architecture.activation });
+    if (weights.values && Object.keys(weights.values).length > 0) {
+      network.restoreWeights(weights.values);
+    }
+    return network;
+  }
+
   // ===============================
   // PRESET INTEGRATION METHODS
   // ===============================
@@ -1494,6 +1570,15 @@ class NeuralNetworkManager {
     if (interactions.length > 100) {
       interactions.splice(0, interactions.length - 100);
     }
+
+    // Let agentB's own handler learn about it too
+    this.messageBus.send({
+      from: agentA,
+      to: agentB,
+      type: 'interaction',
+      payload: { strength, type },
+      ttl: INTERACTION_MESSAGE_TTL_MS,
+    }).catch(error => console.warn(`Failed to report interaction ${interactionKey}:`, error.message));
   }
 
   /**
@@ -1627,17 +1712,24 @@ class NeuralNetwork {
 
   async train(trainingData, options) {
     const { epochs, batchSize, learningRate, freezeLayers } = options;
+    const callbacks = new CallbackList(options.callbacks, this);
+    const history = [];
+
+    await callbacks.call('onTrainStart', { epochs, initialEpoch: 0, options });
 
-    for (let epoch = 0; epoch < epochs; epoch++) {
+    for (let epoch = 0; epoch < epochs && !callbacks.stopped; epoch++) {
       let epochLoss = 0;
       let batchCount = 0;
 
+      await callbacks.call('onEpochStart', { epoch: epoch + 1, epochs });
+
       // Process in batches
       for (let i = 0; i < trainingData.samples.length; i += batchSize) {
         const batch = trainingData.samples.slice(i, i + batchSize);
 
+        let loss;
         try {
-          const loss = this.wasmModule.exports.train_batch(
+          loss = this.wasmModule.exports.train_batch(
             this.networkId,
             JSON.stringify(batch),
             learningRate,
@@ -1648,6 +1740,12 @@ class NeuralNetwork {
           batchCount++;
         } catch (error) {
           console.error('Training batch failed:', error);
+          continue;
+        }
+
+        await callbacks.call('onBatchEnd', { epoch: epoch + 1, batch: batchCount - 1, size: batch.length, loss, learningRate });
+        if (callbacks.stopped) {
+          break;
         }
       }
 
@@ -1657,9 +1755,14 @@ class NeuralNetwork {
       this.trainingHistory.push({ epoch, loss: avgLoss });
 
       console.log(`Epoch ${epoch + 1}/${epochs} - Loss: ${avgLoss.toFixed(4)}`);
+
+      const logs = { epoch: epoch + 1, trainLoss: avgLoss, valLoss: null, learningRate };
+      history.push(logs);
+      await callbacks.call('onEpochEnd', { epoch: epoch + 1, epochs, logs, history });
     }
 
-    return this.metrics;
+    await callbacks.call('onTrainEnd', { epochs, history, stopReason: callbacks.stopReason });
+    return callbacks.stopped ? { ...this.metrics, stoppedEarly: true, stopReason: callbacks.stopReason } : this.metrics;
   }
 
   getGradients() {
@@ -1698,11 +1801,26 @@ class NeuralNetwork {
     };
   }
 
+  // Inline weights from a stored row, in the layout get_neural_weights returns
+  restoreWeights(values) {
+    try {
+      this.wasmModule.exports.set_neural_weights(this.networkId, values);
+    } catch (error) {
+      console.error('Failed to restore weights:', error);
+    }
+  }
+
+  // The WASM module serializes the network itself; the checkpoint carries that state in its header
   async save(filePath) {
     try {
       const state = this.wasmModule.exports.serialize_network(this.networkId);
-      // In real implementation, save to file
-      console.log(`Saving network state to ${filePath}`);
+      await writeCheckpoint(filePath, {
+        modelType: 'wasm',
+        config: this.config,
+        metrics: this.metrics,
+        trainingHistory: this.trainingHistory,
+        extra: { networkState: state },
+      });
       return true;
     } catch (error) {
       console.error('Failed to save network:', error);
@@ -1712,9 +1830,13 @@ class NeuralNetwork {
 
   async load(filePath) {
     try {
-      // In real implementation, load from file
-      console.log(`Loading network state from ${filePath}`);
-      this.wasmModule.exports.deserialize_network(this.networkId, 'state_data');
+      const checkpoint = await readCheckpoint(filePath);
+      if (checkpoint.modelType !== 'wasm') {
+        throw new Error(`Checkpoint holds a ${checkpoint.modelType} model, not a WASM network`);
+      }
+      this.wasmModule.exports.deserialize_network(this.networkId, checkpoint.extra.networkState);
+      this.metrics = checkpoint.metrics;
+      this.trainingHistory = checkpoint.trainingHistory;
       return true;
     } catch (error) {
       console.error('Failed to load network:', error);
@@ -1757,8 +1879,14 @@ class SimulatedNeuralNetwork {
 
   async train(trainingData, options) {
     const { epochs } = options;
+    const callbacks = new CallbackList(options.callbacks, this);
+    const history = [];
+
+    await callbacks.call('onTrainStart', { epochs, initialEpoch: 0, options });
+
+    for (let epoch = 0; epoch < epochs && !callbacks.stopped; epoch++) {
+      await callbacks.call('onEpochStart', { epoch: epoch + 1, epochs });
 
-    for (let epoch = 0; epoch < epochs; epoch++) {
       const loss = Math.max(0.01, this.metrics.loss * (0.9 + Math.random() * 0.1));
       this.metrics.loss = loss;
       this.metrics.epochs_trained++;
@@ -1766,9 +1894,16 @@ class SimulatedNeuralNetwork {
       this.trainingHistory.push({ epoch, loss });
 
       console.log(`[Simulated] Epoch ${epoch + 1}/${epochs} - Loss: ${loss.toFixed(4)}`);
+
+      // One simulated batch per epoch
+      await callbacks.call('onBatchEnd', { epoch: epoch + 1, batch: 0, loss });
+      const logs = { epoch: epoch + 1, trainLoss: loss, trainAccuracy: this.metrics.accuracy, valLoss: null };
+      history.push(logs);
+      await callbacks.call('onEpochEnd', { epoch: epoch + 1, epochs, logs, history });
     }
 
-    return this.metrics;
+    await callbacks.call('onTrainEnd', { epochs, history, stopReason: callbacks.stopReason });
+    return callbacks.stopped ? { ...this.metrics, stoppedEarly: true, stopReason: callbacks.stopReason } : this.metrics;
   }
 
   getGradients() {
@@ -1795,13 +1930,29 @@ class SimulatedNeuralNetwork {
     };
   }
 
+  restoreWeights(values) {
+    this.weights = Object.values(values);
+  }
+
   async save(filePath) {
-    console.log(`[Simulated] Saving network state to ${filePath}`);
+    await writeCheckpoint(filePath, {
+      modelType: 'simulated',
+      config: this.config,
+      metrics: this.metrics,
+      trainingHistory: this.trainingHistory,
+      tensors: [{ name: 'weights', data: this.weights }],
+    });
     return true;
   }
 
   async load(filePath) {
-    console.log(`[Simulated] Loading network state from ${filePath}`);
+    const checkpoint = await readCheckpoint(filePath);
+    if (checkpoint.modelType !== 'simulated') {
+      throw new Error(`Checkpoint holds a ${checkpoint.modelType} model, not a simulated network`);
+    }
+    this.weights = Array.from(checkpoint.tensors[0].data);
+    this.metrics = checkpoint.metrics;
+    this.trainingHistory = checkpoint.trainingHistory;
     return true;
   }
 }
@@ -1849,7 +2000,13 @@ class AdvancedNeuralNetwork {
       // Handle different input formats
       let formattedInput = input;
 
-      if (this.modelType === 'transformer' || this.modelType === 'gru') {
+      if (this.modelType === 'transformer') {
+        // Ensure input has shape [batch_size, sequence_length] (token indices)
+        if (!input.shape) {
+          formattedInput = new Float32Array(input);
+          formattedInput.shape = [1, input.length];
+        }
+      } else if (this.modelType === 'gru') {
         // Ensure input has shape [batch_size, sequence_length, features]
         if (!input.shape) {
           formattedInput = new Float32Array(input);
@@ -1870,7 +2027,7 @@ class AdvancedNeuralNetwork {
         }
       }
 
-      const result = await this.model.forward(formattedInput, false);
+      const result = await this.model.predict(formattedInput);
 
       // Return appropriate output based on model type
       if (this.modelType === 'autoencoder') {
@@ -1902,6 +2059,11 @@ class AdvancedNeuralNetwork {
     return this.model.getMetrics();
   }
 
+  // Named weight values, as the model's getWeights() returns them
+  restoreWeights(values) {
+    this.model.setWeights(values);
+  }
+
   async save(filePath) {
     return this.model.save(filePath);
   }
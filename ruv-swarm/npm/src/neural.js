@@ -4,6 +4,23 @@
  */
 
 import { RuvSwarm } from './index-enhanced.js';
+import {
+  Dataset,
+  DatasetStream,
+  EarlyStopping,
+  MetricsLogger,
+  ModelCheckpoint,
+  NaNDetector,
+  createNeuralModel,
+  datasetModelConfig,
+  evaluateModel,
+  loadDatasetSplits,
+  loadNeuralModel,
+  quantizeModel,
+  tuneHyperparameters,
+} from './neural-models/index.js';
+import { readOnnx, writeOnnx } from './neural-models/onnx.js';
+import { SwarmPersistence } from './persistence.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 
@@ -126,6 +143,10 @@ class NeuralCLI {
   }
 
   async train(args) {
+    if (this.getArg(args, '--data')) {
+      return this.trainOnData(args);
+    }
+
     const rs = await this.initialize();
 
     // Parse arguments
@@ -186,6 +207,570 @@ class NeuralCLI {
     }
   }
 
+  /**
+   * Trains a model on a CSV, JSONL or .npy file (see neural-models/dataset.js)
+   * and saves it as a checkpoint, which also holds the best model so far
+   * while training runs. --resume continues from such a checkpoint, reusing
+   * its dataset settings and split seed.
+   */
+  async trainOnData(args) {
+    const dataPath = this.getArg(args, '--data');
+    const resumePath = this.getArg(args, '--resume');
+    let resumed = null;
+    if (resumePath) {
+      try {
+        resumed = await loadNeuralModel(resumePath);
+      } catch (error) {
+        console.error(`❌ Cannot resume from ${resumePath}: ${error.message}`);
+        process.exit(1);
+      }
+    }
+    const previous = resumed?.config.dataset || {};
+    const initialEpoch = resumed?.trainingHistory.at(-1)?.epoch ?? 0;
+
+    const modelType = resumed?.modelType || this.getArg(args, '--model') || 'lstm';
+    const target = this.getArg(args, '--target') || previous.target;
+    const features = this.getArg(args, '--features')?.split(',').map(name => name.trim()) || previous.features;
+    const epochs = parseInt(this.getArg(args, '--epochs') || this.getArg(args, '--iterations'), 10) || 10;
+    const batchSize = parseInt(this.getArg(args, '--batch-size'), 10) || 32;
+    const learningRate = parseFloat(this.getArg(args, '--learning-rate')) || 0.001;
+    const optimizer = this.getArg(args, '--optimizer') || 'adam';
+    const sequential = ['lstm', 'gru'].includes(modelType);
+    const window = sequential ? parseInt(this.getArg(args, '--window'), 10) || previous.window || 10 : null;
+    const horizon = parseInt(this.getArg(args, '--horizon'), 10) || previous.horizon || 0;
+    const reconstructs = ['autoencoder', 'vae'].includes(modelType);
+    const normalize = this.getArg(args, '--normalize') || (reconstructs ? 'minmax' : 'zscore');
+    // Recorded in the checkpoint so a resumed run holds out the same rows
+    const seedArg = this.getArg(args, '--seed');
+    const seed = seedArg === null ? previous.seed ?? Math.floor(Math.random() * 2 ** 31) : parseInt(seedArg, 10);
+    const stream = args.includes('--stream');
+    const validation = parseFloat(this.getArg(args, '--validation-split') ?? previous.validation ?? 0.1);
+    const test = parseFloat(this.getArg(args, '--test-split') ?? previous.test ?? 0.1);
+    const patience = parseInt(this.getArg(args, '--patience'), 10) || null;
+    const logPath = this.getArg(args, '--log');
+    const outputPath = this.getArg(args, '--output') || resumePath ||
+      path.join(process.cwd(), '.ruv-swarm', 'neural', `${modelType}-${Date.now()}.rsnm`);
+
+    if (!target && !reconstructs) {
+      console.error(`❌ Training a ${modelType} model on a dataset needs --target <column>`);
+      process.exit(1);
+    }
+    if (initialEpoch >= epochs) {
+      console.error(`❌ ${resumePath} has already been trained for ${initialEpoch} epochs; pass a higher --epochs`);
+      process.exit(1);
+    }
+
+    console.log('🧠 Starting Neural Network Training\n');
+    console.log('📋 Configuration:');
+    console.log(`   Data: ${dataPath}${stream ? ' (streamed)' : ''}`);
+    if (resumed) {
+      console.log(`   Resuming: ${resumePath} from epoch ${initialEpoch}`);
+    }
+    console.log(`   Model: ${modelType}`);
+    console.log(`   Target: ${target || 'input reconstruction'}`);
+    console.log(`   Epochs: ${epochs}`);
+    console.log(`   Batch Size: ${batchSize}`);
+    console.log(`   Learning Rate: ${learningRate}`);
+    if (window) {
+      console.log(`   Window: ${window} rows${horizon ? `, predicting ${horizon} ahead` : ''}`);
+    }
+    if (patience) {
+      console.log(`   Early Stopping: patience ${patience} epochs`);
+    }
+    if (logPath) {
+      console.log(`   Metrics Log: ${logPath}`);
+    }
+    console.log('');
+
+    // The first Ctrl+C ends training after the current batch and still saves the checkpoint
+    let interrupted = false;
+    const onInterrupt = () => {
+      if (interrupted) {
+        process.exit(130);
+      }
+      interrupted = true;
+      console.log('\n⏸️  Stopping after the current batch (Ctrl+C again to abort)...');
+    };
+    process.on('SIGINT', onInterrupt);
+
+    try {
+      const startTime = Date.now();
+      const splits = await loadDatasetSplits(dataPath, {
+        target,
+        features,
+        window,
+        horizon,
+        task: this.getArg(args, '--task') || 'auto',
+        format: this.getArg(args, '--format'),
+        validation,
+        test,
+        normalize: normalize === 'none' ? null : normalize,
+        seed,
+        stream,
+      });
+      const { info } = splits;
+
+      console.log('📊 Dataset:');
+      console.log(`   Training Samples: ${info.count}`);
+      console.log(`   Features: ${info.features?.join(', ') || `[${info.inputShape.join(', ')}]`}`);
+      if (info.classes) {
+        console.log(`   Classes: ${info.classes.join(', ')}`);
+      }
+      console.log('');
+
+      const config = datasetModelConfig(modelType, info, {
+        dataset: {
+          source: dataPath,
+          target: info.target,
+          features: info.features,
+          classes: info.classes,
+          window,
+          horizon,
+          seed,
+          validation,
+          test,
+          stream,
+          normalization: splits.normalization,
+        },
+      });
+      const model = resumed || await createNeuralModel(modelType, config);
+
+      const callbacks = [
+        new NaNDetector(),
+        new ModelCheckpoint({ filePath: outputPath, monitor: 'valLoss', saveBestOnly: true }),
+        { onBatchEnd: ({ stop }) => interrupted && stop('interrupted') },
+      ];
+      if (patience) {
+        callbacks.push(new EarlyStopping({ patience }));
+      }
+      if (logPath) {
+        callbacks.push(new MetricsLogger({ filePath: logPath, append: Boolean(resumed) }));
+      }
+
+      const result = await model.train(splits.train, {
+        epochs,
+        initialEpoch,
+        batchSize,
+        learningRate,
+        // A resumed model keeps its optimizer and state
+        ...(resumed ? {} : { optimizer }),
+        validationData: splits.validation,
+        validationSplit: 0,
+        callbacks,
+      });
+      const testResult = splits.test ? await model.evaluate(splits.test, { batchSize }) : null;
+      const saved = await model.save(outputPath);
+
+      console.log('\n✅ Training Complete!');
+
+      const results = {
+        model: modelType,
+        data: dataPath,
+        target: info.target,
+        iterations: epochs,
+        learningRate,
+        optimizer: result.optimizer,
+        ...(result.accuracy === undefined ? {} : { finalAccuracy: (result.accuracy * 100).toFixed(1) }),
+        finalLoss: result.finalLoss.toFixed(4),
+        epochsTrained: result.history.at(-1)?.epoch ?? initialEpoch,
+        ...(result.stoppedEarly ? { stopReason: result.stopReason } : {}),
+        ...(testResult ? { testLoss: testResult.loss, testAccuracy: testResult.accuracy } : {}),
+        checkpoint: outputPath,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+      };
+
+      const outputDir = path.join(process.cwd(), '.ruv-swarm', 'neural');
+      await fs.mkdir(outputDir, { recursive: true });
+      const outputFile = path.join(outputDir, `training-${modelType}-${Date.now()}.json`);
+      await fs.writeFile(outputFile, JSON.stringify(results, null, 2));
+
+      console.log(`📊 Results saved to: ${path.relative(process.cwd(), outputFile)}`);
+      console.log(`📁 Checkpoint: ${outputPath} (${saved.bytes} bytes)`);
+      if (results.finalAccuracy) {
+        console.log(`🎯 Final Accuracy: ${results.finalAccuracy}%`);
+      }
+      console.log(`📉 Final Loss: ${results.finalLoss}`);
+      if (testResult) {
+        const accuracy = testResult.accuracy === undefined ? '' : `, accuracy ${(testResult.accuracy * 100).toFixed(1)}%`;
+        console.log(`🧪 Test Loss: ${testResult.loss.toFixed(4)}${accuracy}`);
+        console.log(`   Full report: ruv-swarm neural evaluate --model ${outputPath}`);
+      }
+      if (result.stoppedEarly) {
+        console.log(`⏹️  Stopped after epoch ${results.epochsTrained}: ${result.stopReason}`);
+      }
+      if (result.stopReason === 'interrupted') {
+        console.log(`   Resume with: ruv-swarm neural train --data ${dataPath} --resume ${outputPath} --epochs ${epochs}`);
+      }
+    } catch (error) {
+      console.error('\n❌ Training failed:', error.message);
+      process.exit(1);
+    } finally {
+      process.off('SIGINT', onInterrupt);
+    }
+  }
+
+  /**
+   * Scores a checkpoint on held-out data with the metrics for its task (see
+   * neural-models/metrics.js). Without --data it reads the test split of
+   * the file the model was trained on; either way the rows are encoded and
+   * normalised the way they were for training. --json prints the report as
+   * JSON and --output also writes it to a file.
+   */
+  async evaluate(args) {
+    const modelPath = this.getArg(args, '--model') || (args[0] && !args[0].startsWith('--') ? args[0] : null);
+    if (!modelPath) {
+      console.error('❌ Usage: neural evaluate --model <checkpoint> [--data <file>] [--split all|train|validation|test] [--json]');
+      process.exit(1);
+    }
+    const json = args.includes('--json');
+    const outputPath = this.getArg(args, '--output');
+
+    try {
+      const model = await loadNeuralModel(modelPath);
+      const dataset = model.config.dataset || {};
+      const dataPath = this.getArg(args, '--data') || dataset.source;
+      if (!dataPath) {
+        throw new Error(`${modelPath} does not record the data it was trained on; pass --data <file>`);
+      }
+      const split = this.getArg(args, '--split') || (this.getArg(args, '--data') ? 'all' : 'test');
+      const data = await this.loadEvaluationData(dataPath, dataset, split, args);
+
+      const report = {
+        model: modelPath,
+        modelType: model.modelType,
+        data: dataPath,
+        split,
+        ...await evaluateModel(model, data, {
+          task: this.getArg(args, '--task'),
+          batchSize: parseInt(this.getArg(args, '--batch-size'), 10) || 32,
+        }),
+        timestamp: new Date().toISOString(),
+      };
+
+      if (outputPath) {
+        await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+        await fs.writeFile(outputPath, JSON.stringify(report, null, 2));
+      }
+      if (json) {
+        console.log(JSON.stringify(report, null, 2));
+        return report;
+      }
+      this.printEvaluation(report);
+      if (outputPath) {
+        console.log(`\n📊 Report saved to: ${outputPath}`);
+      }
+      return report;
+    } catch (error) {
+      console.error('❌ Evaluation failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // The `split` of a dataset file, encoded with the columns, classes, windows and normalisation recorded at training
+  async loadEvaluationData(dataPath, dataset, split, args) {
+    const options = {
+      target: this.getArg(args, '--target') || dataset.target || null,
+      features: this.getArg(args, '--features')?.split(',').map(name => name.trim()) || dataset.features || null,
+      classes: dataset.classes || null,
+      window: dataset.window || null,
+      horizon: dataset.horizon || 0,
+      format: this.getArg(args, '--format'),
+    };
+    const stream = args.includes('--stream') || Boolean(dataset.stream);
+
+    let data;
+    if (split === 'all') {
+      data = stream ? new DatasetStream(dataPath, options) : await Dataset.fromFile(dataPath, options);
+    } else if (['train', 'validation', 'test'].includes(split)) {
+      if (dataset.seed === undefined) {
+        throw new Error('The checkpoint does not record how its data was split; use --split all with held-out --data');
+      }
+      const fractions = { validation: dataset.validation ?? 0.1, test: dataset.test ?? 0.1 };
+      if (split !== 'train' && !(fractions[split] > 0)) {
+        throw new Error(`The model was trained without a ${split} split; use --split all with held-out --data`);
+      }
+      // The same split train --data made, from the recorded seed
+      data = stream ?
+        new DatasetStream(dataPath, options).split({ ...fractions, seed: dataset.seed })[split] :
+        (await Dataset.fromFile(dataPath, options)).split({ ...fractions, shuffle: !options.window, seed: dataset.seed })[split];
+    } else {
+      throw new Error(`Unknown split: ${split}. Use all, train, validation or test`);
+    }
+
+    return dataset.normalization ? data.normalize(dataset.normalization) : data;
+  }
+
+  printEvaluation(report) {
+    const { metrics } = report;
+    const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+    const number = (value) => (value === null ? 'n/a' : value.toFixed(4));
+
+    console.log('🧪 Model Evaluation\n');
+    console.log(`   Model: ${report.model} (${report.modelType})`);
+    console.log(`   Data: ${report.data} (${report.split === 'all' ? 'all rows' : `${report.split} split`})`);
+    console.log(`   Task: ${report.task}`);
+    console.log(`   Samples: ${report.count}`);
+    console.log('');
+
+    switch (report.task) {
+    case 'classification': {
+      console.log(`🎯 Accuracy: ${percent(metrics.accuracy)}`);
+      console.log(`   Precision: ${percent(metrics.precision)}  Recall: ${percent(metrics.recall)}  F1: ${percent(metrics.f1)} (macro average)`);
+      console.log('');
+
+      const { labels, matrix } = report.confusionMatrix;
+      const width = Math.max(11, ...labels.map(label => label.length + 2), ...matrix.flat().map(count => String(count).length + 2));
+      const cell = (value) => String(value).padStart(width);
+      console.log(`${'Class'.padEnd(width)}${cell('Precision')}${cell('Recall')}${cell('F1')}${cell('Support')}`);
+      for (const row of report.perClass) {
+        console.log(`${row.label.padEnd(width)}${cell(percent(row.precision))}${cell(percent(row.recall))}${cell(percent(row.f1))}${cell(row.support)}`);
+      }
+      console.log('');
+      console.log('Confusion matrix (rows: actual, columns: predicted)');
+      console.log(`${''.padEnd(width)}${labels.map(cell).join('')}`);
+      matrix.forEach((counts, i) => console.log(`${labels[i].padEnd(width)}${counts.map(cell).join('')}`));
+      break;
+    }
+    case 'regression':
+      console.log(`📉 MAE: ${number(metrics.mae)}`);
+      console.log(`   RMSE: ${number(metrics.rmse)}`);
+      console.log(`   MAPE: ${metrics.mape === null ? 'n/a' : `${metrics.mape.toFixed(2)}%`}`);
+      console.log(`   sMAPE: ${metrics.smape === null ? 'n/a' : `${metrics.smape.toFixed(2)}%`}`);
+      console.log(`   R²: ${number(metrics.r2)}`);
+      break;
+    default:
+      console.log(`📉 Reconstruction MSE: ${number(metrics.mse)}`);
+      console.log(`   RMSE: ${number(metrics.rmse)}`);
+      console.log(`   MAE: ${number(metrics.mae)}`);
+      console.log(`   Per-sample error: median ${number(metrics.medianSampleError)}, p95 ${number(metrics.p95SampleError)}, max ${number(metrics.maxSampleError)}`);
+      break;
+    }
+  }
+
+  /**
+   * Quantizes a checkpoint's dense and convolution weights for inference
+   * (see neural-models/quantization.js) and saves the result as a new
+   * checkpoint. It calibrates on the training split of the data the model
+   * was trained on, or on all of --calibration or --data, and compares the
+   * metrics before and after on the test split, or all of --data.
+   */
+  async quantize(args) {
+    const modelPath = this.getArg(args, '--model') || (args[0] && !args[0].startsWith('--') ? args[0] : null);
+    if (!modelPath) {
+      console.error('❌ Usage: neural quantize --model <checkpoint> [--precision int8|float16] [--calibration <file>] [--data <file>] [--output <checkpoint>]');
+      process.exit(1);
+    }
+    const precision = this.getArg(args, '--precision') || 'int8';
+    const outputPath = this.getArg(args, '--output') || this.withExtension(modelPath, `.${precision}.rsnm`);
+    const json = args.includes('--json');
+
+    try {
+      const model = await loadNeuralModel(modelPath);
+      const dataset = model.config.dataset || {};
+      const heldOut = this.getArg(args, '--data');
+      const calibrationPath = this.getArg(args, '--calibration') || heldOut;
+      const dataPath = heldOut || dataset.source;
+      if (!calibrationPath && !dataPath) {
+        throw new Error(`${modelPath} does not record the data it was trained on; pass --calibration <file>`);
+      }
+
+      const calibrationData = calibrationPath ?
+        await this.loadEvaluationData(calibrationPath, dataset, 'all', args) :
+        await this.loadEvaluationData(dataPath, dataset, 'train', args);
+      const evaluationData = dataPath && !args.includes('--no-evaluate') ?
+        await this.loadEvaluationData(dataPath, dataset, this.getArg(args, '--split') || (heldOut ? 'all' : 'test'), args) :
+        null;
+
+      const result = await quantizeModel(model, {
+        precision,
+        calibrationData,
+        evaluationData,
+        calibrationSamples: parseInt(this.getArg(args, '--calibration-samples'), 10) || 256,
+        task: this.getArg(args, '--task'),
+        batchSize: parseInt(this.getArg(args, '--batch-size'), 10) || 32,
+      });
+      const saved = await model.save(outputPath);
+
+      const report = {
+        model: modelPath,
+        modelType: model.modelType,
+        output: outputPath,
+        bytes: saved.bytes,
+        ...result,
+        timestamp: new Date().toISOString(),
+      };
+      if (json) {
+        console.log(JSON.stringify(report, null, 2));
+        return report;
+      }
+      this.printQuantization(report);
+      return report;
+    } catch (error) {
+      console.error('❌ Quantization failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  printQuantization(report) {
+    const kilobytes = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+    const count = (layer) => report.layers.filter(l => l.layer === layer).length;
+
+    console.log('🗜️  Quantizing Neural Model\n');
+    console.log(`   Model: ${report.model} (${report.modelType})`);
+    console.log(`   Precision: ${report.precision}`);
+    console.log(`   Calibration: ${report.calibrationSamples} samples`);
+    console.log(`   Layers: ${report.layers.length} (${count('dense')} dense, ${count('conv')} conv)`);
+    console.log('');
+    console.log('✅ Quantization Complete!');
+    console.log(`📁 Checkpoint: ${report.output} (${report.bytes} bytes)`);
+    console.log(`💾 Weights: ${kilobytes(report.memory.before)} → ${kilobytes(report.memory.after)} (${kilobytes(report.memory.saved)} saved, ${((1 - report.memory.ratio) * 100).toFixed(1)}% smaller)`);
+
+    if (report.accuracy) {
+      const { task, before, after, delta } = report.accuracy;
+      const percent = task === 'classification';
+      const format = (value) => {
+        if (value === null) {
+          return 'n/a';
+        }
+        return percent ? `${(value * 100).toFixed(2)}%` : value.toFixed(4);
+      };
+      const signed = (value) => {
+        if (value === null) {
+          return 'n/a';
+        }
+        const text = percent ? `${(value * 100).toFixed(2)} pts` : value.toPrecision(3);
+        return value >= 0 ? `+${text}` : text;
+      };
+      console.log(`🎯 ${task[0].toUpperCase()}${task.slice(1)} metrics on ${report.accuracy.count} samples (before → after):`);
+      for (const name of Object.keys(after)) {
+        console.log(`   ${name}: ${format(before[name])} → ${format(after[name])} (${signed(delta[name])})`);
+      }
+    }
+  }
+
+  /**
+   * Searches hyperparameters for a model type on a dataset (see
+   * neural-models/tuning.js). --space names a JSON search space; --preset,
+   * --strategy, --trials and --epochs override it. Every trial is recorded
+   * in the tuning_trials table and the best one, by validation loss, is
+   * saved as a checkpoint.
+   */
+  async tune(args) {
+    const dataPath = this.getArg(args, '--data');
+    if (!dataPath) {
+      console.error('❌ Usage: neural tune --model <type> --data <file> [--space <space.json>] [--strategy grid|random|successive_halving|hyperband]');
+      process.exit(1);
+    }
+    const modelType = this.getArg(args, '--model') || 'lstm';
+    const target = this.getArg(args, '--target');
+    const sequential = ['lstm', 'gru'].includes(modelType);
+    const reconstructs = ['autoencoder', 'vae'].includes(modelType);
+    if (!target && !reconstructs) {
+      console.error(`❌ Tuning a ${modelType} model needs --target <column>`);
+      process.exit(1);
+    }
+    const json = args.includes('--json');
+    const outputPath = this.getArg(args, '--output') ||
+      path.join(process.cwd(), '.ruv-swarm', 'neural', `${modelType}-tuned-${Date.now()}.rsnm`);
+    const number = (flag, parse = parseInt) => {
+      const value = this.getArg(args, flag);
+      return value === null ? undefined : parse(value, 10);
+    };
+
+    let persistence = null;
+    try {
+      const spacePath = this.getArg(args, '--space');
+      const space = spacePath ? JSON.parse(await fs.readFile(spacePath, 'utf8')) : {};
+      const preset = this.getArg(args, '--preset');
+      if (preset) {
+        space.preset = preset === 'all' ? 'all' : preset.split(',').map(name => name.trim());
+      }
+      const normalize = this.getArg(args, '--normalize') || (reconstructs ? 'minmax' : 'zscore');
+      const seed = number('--seed');
+      const dbPath = this.getArg(args, '--db');
+      persistence = dbPath ? new SwarmPersistence(dbPath) : new SwarmPersistence();
+
+      const options = {
+        modelType,
+        dataPath,
+        dataset: {
+          target,
+          features: this.getArg(args, '--features')?.split(',').map(name => name.trim()),
+          window: sequential ? number('--window') || 10 : null,
+          horizon: number('--horizon') || 0,
+          task: this.getArg(args, '--task') || 'auto',
+          format: this.getArg(args, '--format'),
+          validation: number('--validation-split', parseFloat) ?? 0.2,
+          test: number('--test-split', parseFloat) ?? 0.1,
+          normalize: normalize === 'none' ? null : normalize,
+          stream: args.includes('--stream'),
+          seed,
+        },
+        space,
+        strategy: this.getArg(args, '--strategy') || space.strategy || 'random',
+        trials: number('--trials') || space.trials,
+        maxEpochs: number('--epochs') || space.maxEpochs,
+        minEpochs: number('--min-epochs') || space.minEpochs,
+        eta: number('--eta', parseFloat) || space.eta,
+        concurrency: number('--concurrency') || space.concurrency,
+        seed,
+        persistence,
+        output: outputPath,
+      };
+
+      if (!json) {
+        console.log('🎛️  Tuning Neural Model Hyperparameters\n');
+        console.log('📋 Configuration:');
+        console.log(`   Data: ${dataPath}`);
+        console.log(`   Model: ${modelType}`);
+        console.log(`   Strategy: ${options.strategy}`);
+        console.log(`   Presets: ${[space.preset ?? 'dataset defaults'].flat().join(', ')}`);
+        console.log(`   Parameters: ${Object.keys(space.parameters || {}).join(', ') || 'none'}`);
+        console.log('');
+        options.onTrial = (trial) => {
+          const loss = trial.status === 'failed' ? `failed: ${trial.error}` : `val loss ${trial.valLoss.toFixed(4)}`;
+          console.log(`   ${trial.id.slice(0, 14)} ${trial.epochs} epochs, ${loss}`);
+        };
+      }
+
+      const study = await tuneHyperparameters(options);
+      const report = { ...study, output: outputPath, timestamp: new Date().toISOString() };
+      if (json) {
+        console.log(JSON.stringify(report, null, 2));
+        return report;
+      }
+      this.printTuning(report);
+      return report;
+    } catch (error) {
+      console.error('❌ Tuning failed:', error.message);
+      process.exit(1);
+    } finally {
+      persistence?.close();
+    }
+  }
+
+  printTuning(report) {
+    const describe = (trial) => [
+      trial.preset ? `preset ${trial.preset}` : null,
+      ...Object.entries(trial.params).map(([name, value]) => `${name}=${typeof value === 'number' ? Number(value.toPrecision(4)) : value}`),
+    ].filter(Boolean).join(', ') || 'dataset defaults';
+
+    const counts = {};
+    for (const trial of report.trials) {
+      counts[trial.status] = (counts[trial.status] || 0) + 1;
+    }
+    console.log('\n✅ Tuning Complete!');
+    console.log(`📊 Study ${report.studyId}: ${report.trials.length} trials (${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ')})`);
+    console.log('🏆 Leaderboard (validation loss):');
+    report.trials.filter(trial => trial.status === 'completed').slice(0, 10).forEach((trial, i) => {
+      console.log(`   ${i + 1}. ${trial.valLoss.toFixed(4)}  ${describe(trial)}`);
+    });
+    console.log(`🎯 Best: ${describe(report.best)}`);
+    console.log(`📁 Checkpoint: ${report.output}`);
+    console.log(`   Full report: ruv-swarm neural evaluate --model ${report.output}`);
+  }
+
   async patterns(args) {
     const rs = await this.initialize();
 
@@ -334,11 +919,15 @@ class NeuralCLI {
   }
 
   async export(args) {
+    const format = this.getArg(args, '--format') || 'json';
+    if (format === 'onnx') {
+      return this.exportOnnx(args);
+    }
+
     const rs = await this.initialize();
 
     const modelType = this.getArg(args, '--model') || 'all';
     const outputPath = this.getArg(args, '--output') || './neural-weights.json';
-    const format = this.getArg(args, '--format') || 'json';
 
     console.log('📤 Exporting Neural Weights\n');
     console.log(`Model: ${modelType}`);
@@ -391,6 +980,71 @@ class NeuralCLI {
     }
   }
 
+  // Exports a model checkpoint (written by NeuralModel.save()) as ONNX
+  async exportOnnx(args) {
+    const checkpointPath = this.getArg(args, '--model');
+    if (!checkpointPath) {
+      console.error('❌ ONNX export needs --model <checkpoint>, a model saved with NeuralModel.save()');
+      process.exit(1);
+    }
+    const outputPath = this.getArg(args, '--output') || this.withExtension(checkpointPath, '.onnx');
+
+    console.log('📤 Exporting Neural Model to ONNX\n');
+    console.log(`Checkpoint: ${checkpointPath}`);
+    console.log(`Output: ${outputPath}`);
+    console.log('');
+
+    try {
+      const model = await loadNeuralModel(checkpointPath);
+      const result = await writeOnnx(model, outputPath);
+      const describe = (values) => values.map(({ name, elemType, shape }) => `${name} ${elemType}[${shape.join(', ')}]`).join(', ');
+
+      console.log('✅ Export Complete!');
+      console.log(`📁 File: ${outputPath}`);
+      console.log(`📏 Size: ${result.bytes} bytes`);
+      console.log(`🧠 Model: ${result.modelType} (ONNX opset ${result.opset})`);
+      console.log(`📥 Inputs: ${describe(result.inputs)}`);
+      console.log(`📤 Outputs: ${describe(result.outputs)}`);
+      console.log(`🔢 Total Parameters: ${model.countParameters().toLocaleString()}`);
+    } catch (error) {
+      console.error('❌ Export failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // Validates an ONNX file written by `neural export --format onnx` and saves it as a checkpoint
+  async import(args) {
+    const onnxPath = args[0] && !args[0].startsWith('--') ? args[0] : this.getArg(args, '--input');
+    if (!onnxPath) {
+      console.error('❌ Usage: neural import <model.onnx> [--output <checkpoint>]');
+      process.exit(1);
+    }
+    const outputPath = this.getArg(args, '--output') || this.withExtension(onnxPath, '.rsnm');
+
+    console.log('📥 Importing ONNX Model\n');
+    console.log(`Input: ${onnxPath}`);
+    console.log(`Output: ${outputPath}`);
+    console.log('');
+
+    try {
+      const model = await readOnnx(onnxPath);
+      const saved = await model.save(outputPath);
+
+      console.log('✅ Import Complete!');
+      console.log(`🧠 Model: ${model.modelType}`);
+      console.log(`📁 Checkpoint: ${outputPath}`);
+      console.log(`📏 Size: ${saved.bytes} bytes`);
+      console.log(`🔢 Total Parameters: ${model.countParameters().toLocaleString()}`);
+    } catch (error) {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  withExtension(filePath, extension) {
+    return path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)) + extension);
+  }
+
   // Helper method to calculate convergence rate
   calculateConvergenceRate(trainingResults) {
     if (trainingResults.length < 3) {
@@ -13,9 +13,55 @@
  */
 
 import { SQLiteConnectionPool } from './sqlite-pool.js';
+import { MigrationRunner } from './migrations/index.js';
+import { captureSwarmRecords, restoreSwarmRecords } from './snapshot/index.js';
+import * as messageQueue from './message-bus/queue.js';
 import path from 'path';
 import fs from 'fs';
 
+function parseDeadLetter(entry) {
+  return {
+    ...entry,
+    task_config: JSON.parse(entry.task_config || '{}'),
+    attempt_errors: JSON.parse(entry.attempt_errors || '[]')
+  };
+}
+
+function parseTaskAllocation(allocation) {
+  return {
+    ...allocation,
+    components: JSON.parse(allocation.components || '{}'),
+    bids: JSON.parse(allocation.bids || '{}')
+  };
+}
+
+function parseClusterWorker(worker) {
+  return {
+    ...worker,
+    agents: JSON.parse(worker.agents || '[]')
+  };
+}
+
+function parseTuningTrial(trial) {
+  return {
+    ...trial,
+    params: JSON.parse(trial.params || '{}'),
+    metrics: JSON.parse(trial.metrics || '{}')
+  };
+}
+
+// Columns updateTuningTrial() may set, by update key
+const TUNING_TRIAL_FIELDS = {
+  status: 'status',
+  rung: 'rung',
+  epochs: 'epochs',
+  valLoss: 'val_loss',
+  trainLoss: 'train_loss',
+  metrics: 'metrics',
+  error: 'error',
+  durationMs: 'duration_ms'
+};
+
 class SwarmPersistencePooled {
   constructor(dbPath = path.join(new URL('.', import.meta.url).pathname, '..', 'data', 'ruv-swarm.db'), options = {}) {
     this.dbPath = dbPath;
@@ -96,130 +142,9 @@ class SwarmPersistencePooled {
   }
   
   async initDatabase() {
-    // Create tables using write connection
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS swarms (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        topology TEXT NOT NULL,
-        max_agents INTEGER NOT NULL,
-        strategy TEXT,
-        status TEXT DEFAULT 'active',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        metadata TEXT
-      )
-    `);
-    
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS agents (
-        id TEXT PRIMARY KEY,
-        swarm_id TEXT,
-        name TEXT NOT NULL,
-        type TEXT NOT NULL,
-        status TEXT DEFAULT 'idle',
-        capabilities TEXT,
-        neural_config TEXT,
-        metrics TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (swarm_id) REFERENCES swarms(id)
-      )
-    `);
-    
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS tasks (
-        id TEXT PRIMARY KEY,
-        swarm_id TEXT,
-        description TEXT,
-        priority TEXT DEFAULT 'medium',
-        status TEXT DEFAULT 'pending',
-        assigned_agents TEXT,
-        result TEXT,
-        error TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        completed_at DATETIME,
-        execution_time_ms INTEGER,
-        FOREIGN KEY (swarm_id) REFERENCES swarms(id)
-      )
-    `);
-    
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS task_results (
-        id TEXT PRIMARY KEY,
-        task_id TEXT NOT NULL,
-        agent_id TEXT NOT NULL,
-        output TEXT,
-        metrics TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (task_id) REFERENCES tasks(id),
-        FOREIGN KEY (agent_id) REFERENCES agents(id)
-      )
-    `);
-    
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS agent_memory (
-        id TEXT PRIMARY KEY,
-        agent_id TEXT NOT NULL,
-        key TEXT NOT NULL,
-        value TEXT,
-        ttl_secs INTEGER,
-        expires_at DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (agent_id) REFERENCES agents(id),
-        UNIQUE(agent_id, key)
-      )
-    `);
-    
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS metrics (
-        id TEXT PRIMARY KEY,
-        entity_type TEXT NOT NULL,
-        entity_id TEXT NOT NULL,
-        metric_name TEXT NOT NULL,
-        metric_value REAL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS neural_networks (
-        id TEXT PRIMARY KEY,
-        agent_id TEXT NOT NULL,
-        architecture TEXT NOT NULL,
-        weights TEXT,
-        training_data TEXT,
-        performance_metrics TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (agent_id) REFERENCES agents(id)
-      )
-    `);
-    
-    await this.pool.write(`
-      CREATE TABLE IF NOT EXISTS events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        swarm_id TEXT,
-        event_type TEXT NOT NULL,
-        event_data TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create indexes for better performance
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_agents_swarm ON agents(swarm_id)',
-      'CREATE INDEX IF NOT EXISTS idx_tasks_swarm ON tasks(swarm_id)',
-      'CREATE INDEX IF NOT EXISTS idx_task_results_task ON task_results(task_id)',
-      'CREATE INDEX IF NOT EXISTS idx_task_results_agent ON task_results(agent_id)',
-      'CREATE INDEX IF NOT EXISTS idx_agent_memory_agent ON agent_memory(agent_id)',
-      'CREATE INDEX IF NOT EXISTS idx_metrics_entity ON metrics(entity_type, entity_id)',
-      'CREATE INDEX IF NOT EXISTS idx_events_swarm ON events(swarm_id)',
-      'CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp)'
-    ];
-    
-    for (const index of indexes) {
-      await this.pool.write(index);
-    }
+    // Schema changes run on the single write connection, before any pooled
+    // statements are prepared; the definitions are shared with SwarmPersistence
+    return new MigrationRunner(this.pool.writeConnection).migrate();
   }
   
   async ensureInitialized() {
@@ -310,6 +235,22 @@ class SwarmPersistencePooled {
     });
   }
   
+  async getSwarm(id) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      const swarms = await this.pool.read('SELECT * FROM swarms WHERE id = ?', [id]);
+      if (swarms.length === 0) {
+        return null;
+      }
+      
+      return {
+        ...swarms[0],
+        metadata: JSON.parse(swarms[0].metadata || '{}')
+      };
+    });
+  }
+  
   // Agent operations
   async createAgent(agent) {
     await this.ensureInitialized();
@@ -383,15 +324,22 @@ class SwarmPersistencePooled {
     
     return this.trackOperation(() => this.withRetry(() => 
       this.pool.write(`
-        INSERT INTO tasks (id, swarm_id, description, priority, status, assigned_agents)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO tasks (id, swarm_id, description, priority, status, assigned_agents, parent_id, depends_on, estimated_duration_ms, retry_policy, timeout_ms, input, allocation_strategy)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         task.id,
         task.swarmId,
         task.description,
         task.priority || 'medium',
         task.status || 'pending',
-        JSON.stringify(task.assignedAgents || [])
+        JSON.stringify(task.assignedAgents || []),
+        task.parentId || null,
+        JSON.stringify(task.dependsOn || []),
+        task.estimatedDuration || null,
+        task.retryPolicy ? JSON.stringify(task.retryPolicy) : null,
+        task.timeoutMs || null,
+        task.input === undefined || task.input === null ? null : JSON.stringify(task.input),
+        task.allocationStrategy || null
       ])
     ));
   }
@@ -404,7 +352,10 @@ class SwarmPersistencePooled {
       const values = [];
       
       Object.entries(updates).forEach(([key, value]) => {
-        if (key === 'assignedAgents' || key === 'result') {
+        if (key === 'assignedAgents') {
+          fields.push('assigned_agents = ?');
+          values.push(JSON.stringify(value));
+        } else if (key === 'result') {
           fields.push(`${key} = ?`);
           values.push(JSON.stringify(value));
         } else {
@@ -429,7 +380,10 @@ class SwarmPersistencePooled {
       return {
         ...task,
         assigned_agents: JSON.parse(task.assigned_agents || '[]'),
-        result: task.result ? JSON.parse(task.result) : null
+        depends_on: JSON.parse(task.depends_on || '[]'),
+        retry_policy: task.retry_policy ? JSON.parse(task.retry_policy) : null,
+        result: task.result ? JSON.parse(task.result) : null,
+        input: task.input ? JSON.parse(task.input) : null
       };
     });
   }
@@ -450,11 +404,392 @@ class SwarmPersistencePooled {
       return tasks.map(t => ({
         ...t,
         assigned_agents: JSON.parse(t.assigned_agents || '[]'),
-        result: t.result ? JSON.parse(t.result) : null
+        depends_on: JSON.parse(t.depends_on || '[]'),
+        retry_policy: t.retry_policy ? JSON.parse(t.retry_policy) : null,
+        result: t.result ? JSON.parse(t.result) : null,
+        input: t.input ? JSON.parse(t.input) : null
+      }));
+    });
+  }
+  
+  // One agent's output for a task: result, stdout/stderr, exit code...
+  async storeTaskResult(result) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() =>
+      this.pool.write(`
+        INSERT INTO task_results (id, task_id, agent_id, output, metrics)
+        VALUES (?, ?, ?, ?, ?)
+      `, [
+        result.id || `result_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        result.taskId,
+        result.agentId,
+        JSON.stringify(result.output ?? null),
+        JSON.stringify(result.metrics || {})
+      ])
+    ));
+  }
+  
+  // Per-agent output rows for a task, newest first
+  async getTaskResults(taskId) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      const results = await this.pool.read(`
+        SELECT tr.*, a.name AS agent_name, a.type AS agent_type
+        FROM task_results tr
+        LEFT JOIN agents a ON tr.agent_id = a.id
+        WHERE tr.task_id = ?
+        ORDER BY tr.created_at DESC
+      `, [taskId]);
+      return results.map(r => ({
+        ...r,
+        output: r.output ? JSON.parse(r.output) : null,
+        metrics: JSON.parse(r.metrics || '{}')
       }));
     });
   }
   
+  // Leave a cancel/pause/resume request for the process running the swarm
+  async requestTaskControl(taskId, action, reason = null) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.write('UPDATE tasks SET control_request = ? WHERE id = ?', [
+        JSON.stringify({ action, reason, requestedAt: new Date().toISOString() }),
+        taskId
+      ])
+    ));
+  }
+  
+  async getTaskControlRequests(swarmId) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      const rows = await this.pool.read(
+        'SELECT id, control_request FROM tasks WHERE swarm_id = ? AND control_request IS NOT NULL',
+        [swarmId]
+      );
+      return rows.map(row => ({ taskId: row.id, ...JSON.parse(row.control_request) }));
+    });
+  }
+  
+  async clearTaskControlRequest(taskId) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.write('UPDATE tasks SET control_request = NULL WHERE id = ?', [taskId])
+    ));
+  }
+  
+  // Dead-letter queue for tasks that failed every attempt
+  async addDeadLetter(entry) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.write(`
+        INSERT INTO task_dlq (id, task_id, swarm_id, description, task_config, attempts, error, error_type, attempt_errors)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        entry.id,
+        entry.taskId,
+        entry.swarmId,
+        entry.description,
+        JSON.stringify(entry.taskConfig || {}),
+        entry.attempts,
+        entry.error,
+        entry.errorType || null,
+        JSON.stringify(entry.attemptErrors || [])
+      ])
+    ));
+  }
+  
+  async getDeadLetter(id) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      const entries = await this.pool.read('SELECT * FROM task_dlq WHERE id = ?', [id]);
+      return entries.length > 0 ? parseDeadLetter(entries[0]) : null;
+    });
+  }
+  
+  async getDeadLetters({ swarmId = null, taskId = null, status = 'pending', limit = 100 } = {}) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      let sql = 'SELECT * FROM task_dlq WHERE 1 = 1';
+      const params = [];
+      
+      if (swarmId) {
+        sql += ' AND swarm_id = ?';
+        params.push(swarmId);
+      }
+      if (taskId) {
+        sql += ' AND task_id = ?';
+        params.push(taskId);
+      }
+      if (status !== 'all') {
+        sql += ' AND status = ?';
+        params.push(status);
+      }
+      sql += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+      params.push(limit);
+      
+      const entries = await this.pool.read(sql, params);
+      return entries.map(parseDeadLetter);
+    });
+  }
+  
+  // Mark a dead letter replayed or discarded; it stays in the table as history
+  async resolveDeadLetter(id, status, replayedTaskId = null) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.write(`
+        UPDATE task_dlq SET status = ?, replayed_task_id = ?, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, replayedTaskId, id])
+    ));
+  }
+  
+  // Winning bids from auction and contract-net allocation (see task-allocation.js)
+  async recordTaskAllocation(allocation) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.write(`
+        INSERT INTO task_allocations (id, task_id, swarm_id, strategy, agent_id, bid, components, bids, justification)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        allocation.id,
+        allocation.taskId,
+        allocation.swarmId,
+        allocation.strategy,
+        allocation.agentId,
+        allocation.bid,
+        JSON.stringify(allocation.components || {}),
+        JSON.stringify(allocation.bids || {}),
+        allocation.justification || null
+      ])
+    ));
+  }
+  
+  async getTaskAllocations({ taskId = null, agentId = null, swarmId = null, limit = 100 } = {}) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      let sql = 'SELECT * FROM task_allocations WHERE 1 = 1';
+      const params = [];
+      
+      if (taskId) {
+        sql += ' AND task_id = ?';
+        params.push(taskId);
+      }
+      if (agentId) {
+        sql += ' AND agent_id = ?';
+        params.push(agentId);
+      }
+      if (swarmId) {
+        sql += ' AND swarm_id = ?';
+        params.push(swarmId);
+      }
+      sql += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+      params.push(limit);
+      
+      const allocations = await this.pool.read(sql, params);
+      return allocations.map(parseTaskAllocation);
+    });
+  }
+  
+  // Worker processes of a cluster coordinator (see cluster/index.js)
+  async saveClusterWorker(worker) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.write(`
+        INSERT INTO cluster_workers (id, cluster_id, pid, status, agents, tasks_run, last_heartbeat, exit_code, exit_signal, stopped_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (cluster_id, id) DO UPDATE SET
+          pid = excluded.pid,
+          status = excluded.status,
+          agents = excluded.agents,
+          tasks_run = excluded.tasks_run,
+          last_heartbeat = excluded.last_heartbeat,
+          exit_code = excluded.exit_code,
+          exit_signal = excluded.exit_signal,
+          stopped_at = excluded.stopped_at
+      `, [
+        worker.id,
+        worker.clusterId,
+        worker.pid ?? null,
+        worker.status,
+        JSON.stringify(worker.agents || []),
+        worker.tasksRun || 0,
+        worker.lastHeartbeat ?? null,
+        worker.exitCode ?? null,
+        worker.exitSignal ?? null,
+        worker.stoppedAt ?? null
+      ])
+    ));
+  }
+  
+  // A cluster's workers, oldest first; without an id, the most recently started cluster's
+  async getClusterWorkers({ clusterId = null } = {}) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      const workers = await this.pool.read(`
+        SELECT * FROM cluster_workers
+        WHERE cluster_id = COALESCE(?, (SELECT cluster_id FROM cluster_workers ORDER BY started_at DESC, rowid DESC LIMIT 1))
+        ORDER BY started_at, rowid
+      `, [clusterId]);
+      return workers.map(parseClusterWorker);
+    });
+  }
+  
+  // Hyperparameter tuning trials (see neural-models/tuning.js)
+  async createTuningTrial(trial) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.write(`
+        INSERT INTO tuning_trials (id, study_id, model_type, strategy, preset, params, bracket, rung)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        trial.id,
+        trial.studyId,
+        trial.modelType,
+        trial.strategy,
+        trial.preset || null,
+        JSON.stringify(trial.params || {}),
+        trial.bracket ?? null,
+        trial.rung ?? null
+      ])
+    ));
+  }
+  
+  async updateTuningTrial(id, updates) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => this.withRetry(() => {
+      const fields = [];
+      const values = [];
+      
+      for (const [key, value] of Object.entries(updates)) {
+        if (!TUNING_TRIAL_FIELDS[key]) {
+          throw new Error(`Unknown tuning trial field: ${key}`);
+        }
+        fields.push(`${TUNING_TRIAL_FIELDS[key]} = ?`);
+        values.push(key === 'metrics' ? JSON.stringify(value) : value);
+      }
+      if (updates.status && updates.status !== 'running') {
+        fields.push('completed_at = CURRENT_TIMESTAMP');
+      }
+      
+      values.push(id);
+      return this.pool.write(`UPDATE tuning_trials SET ${fields.join(', ')} WHERE id = ?`, values);
+    }));
+  }
+  
+  // A study's trials, lowest validation loss first
+  async getTuningTrials(studyId, status = 'all') {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(async () => {
+      let sql = 'SELECT * FROM tuning_trials WHERE study_id = ?';
+      const params = [studyId];
+      
+      if (status !== 'all') {
+        sql += ' AND status = ?';
+        params.push(status);
+      }
+      sql += ' ORDER BY val_loss IS NULL, val_loss, created_at, rowid';
+      
+      const trials = await this.pool.read(sql, params);
+      return trials.map(parseTuningTrial);
+    });
+  }
+  
+  // Agent message queues (see message-bus/). Claims and acks must see the
+  // latest writes, so every call runs on the write connection
+  withMessageQueue(fn) {
+    return this.trackOperation(() => this.withRetry(() => 
+      this.pool.transaction(() => fn(this.pool.writeConnection))
+    ));
+  }
+  
+  async sendAgentMessage(message) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.enqueueAgentMessage(db, message));
+  }
+  
+  async claimAgentMessages(agentId, options) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.claimAgentMessages(db, agentId, options));
+  }
+  
+  async ackAgentMessages(agentId, messageIds, now = Date.now()) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.ackAgentMessages(db, agentId, messageIds, now));
+  }
+  
+  async extendAgentMessages(agentId, messageIds, visibleAt) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.extendAgentMessages(db, agentId, messageIds, visibleAt));
+  }
+  
+  async getAgentInbox(agentId, options) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.listAgentInbox(db, agentId, options));
+  }
+  
+  async getAgentMessage(id) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.getAgentMessage(db, id));
+  }
+  
+  async getMessageTrace(traceId) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.getMessageTrace(db, traceId));
+  }
+  
+  async findAgentMessages(filter) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.findAgentMessages(db, filter));
+  }
+  
+  async purgeAgentMessages(options) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.purgeAgentMessages(db, options));
+  }
+  
+  async subscribeAgentTopic(agentId, topic, now = Date.now()) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.subscribeAgentTopic(db, agentId, topic, now));
+  }
+  
+  async unsubscribeAgentTopic(agentId, topic) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.unsubscribeAgentTopic(db, agentId, topic));
+  }
+  
+  async getAgentTopicSubscriptions(agentId) {
+    await this.ensureInitialized();
+    
+    return this.withMessageQueue(db => messageQueue.getAgentTopicSubscriptions(db, agentId));
+  }
+  
   // Memory operations
   async storeMemory(agentId, key, value, ttlSecs = null) {
     await this.ensureInitialized();
@@ -648,6 +983,24 @@ class SwarmPersistencePooled {
     });
   }
   
+  // Snapshot operations - both run on the write connection inside one
+  // transaction so the snapshot is consistent with queued writes
+  async exportSwarm(swarmId) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => 
+      this.pool.transaction(() => captureSwarmRecords(this.pool.writeConnection, swarmId))
+    );
+  }
+  
+  async importSwarm(records, options = {}) {
+    await this.ensureInitialized();
+    
+    return this.trackOperation(() => 
+      this.pool.transaction(() => restoreSwarmRecords(this.pool.writeConnection, records, options))
+    );
+  }
+  
   // Cleanup operations
   async cleanup() {
     await this.ensureInitialized();
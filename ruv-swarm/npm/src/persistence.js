@@ -5,6 +5,52 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
+import { MigrationRunner } from './migrations/index.js';
+import { captureSwarmRecords, restoreSwarmRecords } from './snapshot/index.js';
+import * as messageQueue from './message-bus/queue.js';
+
+function parseDeadLetter(entry) {
+  return {
+    ...entry,
+    task_config: JSON.parse(entry.task_config || '{}'),
+    attempt_errors: JSON.parse(entry.attempt_errors || '[]'),
+  };
+}
+
+function parseTaskAllocation(allocation) {
+  return {
+    ...allocation,
+    components: JSON.parse(allocation.components || '{}'),
+    bids: JSON.parse(allocation.bids || '{}'),
+  };
+}
+
+function parseClusterWorker(worker) {
+  return {
+    ...worker,
+    agents: JSON.parse(worker.agents || '[]'),
+  };
+}
+
+function parseTuningTrial(trial) {
+  return {
+    ...trial,
+    params: JSON.parse(trial.params || '{}'),
+    metrics: JSON.parse(trial.metrics || '{}'),
+  };
+}
+
+// Columns updateTuningTrial() may set, by update key
+const TUNING_TRIAL_FIELDS = {
+  status: 'status',
+  rung: 'rung',
+  epochs: 'epochs',
+  valLoss: 'val_loss',
+  trainLoss: 'train_loss',
+  metrics: 'metrics',
+  error: 'error',
+  durationMs: 'duration_ms',
+};
 
 class SwarmPersistence {
   constructor(dbPath = path.join(new URL('.', import.meta.url).pathname, '..', 'data', 'ruv-swarm.db')) {
@@ -22,110 +68,8 @@ class SwarmPersistence {
     // Enable foreign keys
     this.db.exec('PRAGMA foreign_keys = ON');
 
-    // Create tables
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS swarms (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        topology TEXT NOT NULL,
-        max_agents INTEGER NOT NULL,
-        strategy TEXT,
-        status TEXT DEFAULT 'active',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        metadata TEXT
-      );
-      
-      CREATE TABLE IF NOT EXISTS agents (
-        id TEXT PRIMARY KEY,
-        swarm_id TEXT,
-        name TEXT NOT NULL,
-        type TEXT NOT NULL,
-        status TEXT DEFAULT 'idle',
-        capabilities TEXT,
-        neural_config TEXT,
-        metrics TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (swarm_id) REFERENCES swarms(id)
-      );
-      
-      CREATE TABLE IF NOT EXISTS tasks (
-        id TEXT PRIMARY KEY,
-        swarm_id TEXT,
-        description TEXT,
-        priority TEXT DEFAULT 'medium',
-        status TEXT DEFAULT 'pending',
-        assigned_agents TEXT,
-        result TEXT,
-        error TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        completed_at DATETIME,
-        execution_time_ms INTEGER,
-        FOREIGN KEY (swarm_id) REFERENCES swarms(id)
-      );
-      
-      CREATE TABLE IF NOT EXISTS task_results (
-        id TEXT PRIMARY KEY,
-        task_id TEXT NOT NULL,
-        agent_id TEXT NOT NULL,
-        output TEXT,
-        metrics TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (task_id) REFERENCES tasks(id),
-        FOREIGN KEY (agent_id) REFERENCES agents(id)
-      );
-      
-      CREATE TABLE IF NOT EXISTS agent_memory (
-        id TEXT PRIMARY KEY,
-        agent_id TEXT NOT NULL,
-        key TEXT NOT NULL,
-        value TEXT,
-        ttl_secs INTEGER,
-        expires_at DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (agent_id) REFERENCES agents(id),
-        UNIQUE(agent_id, key)
-      );
-      
-      CREATE TABLE IF NOT EXISTS metrics (
-        id TEXT PRIMARY KEY,
-        entity_type TEXT NOT NULL,
-        entity_id TEXT NOT NULL,
-        metric_name TEXT NOT NULL,
-        metric_value REAL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-      
-      CREATE TABLE IF NOT EXISTS neural_networks (
-        id TEXT PRIMARY KEY,
-        agent_id TEXT NOT NULL,
-        architecture TEXT NOT NULL,
-        weights TEXT,
-        training_data TEXT,
-        performance_metrics TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (agent_id) REFERENCES agents(id)
-      );
-      
-      CREATE TABLE IF NOT EXISTS events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        swarm_id TEXT,
-        event_type TEXT NOT NULL,
-        event_data TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-      
-      -- Create indexes
-      CREATE INDEX IF NOT EXISTS idx_agents_swarm ON agents(swarm_id);
-      CREATE INDEX IF NOT EXISTS idx_tasks_swarm ON tasks(swarm_id);
-      CREATE INDEX IF NOT EXISTS idx_task_results_task ON task_results(task_id);
-      CREATE INDEX IF NOT EXISTS idx_task_results_agent ON task_results(agent_id);
-      CREATE INDEX IF NOT EXISTS idx_agent_memory_agent ON agent_memory(agent_id);
-      CREATE INDEX IF NOT EXISTS idx_metrics_entity ON metrics(entity_type, entity_id);
-      CREATE INDEX IF NOT EXISTS idx_events_swarm ON events(swarm_id);
-      CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
-    `);
+    // Bring the schema up to date (shared with SwarmPersistencePooled)
+    new MigrationRunner(this.db).migrate();
   }
 
   // Swarm operations
@@ -153,6 +97,15 @@ class SwarmPersistence {
     });
   }
 
+  getSwarm(id) {
+    const stmt = this.db.prepare('SELECT * FROM swarms WHERE id = ?');
+    const swarm = stmt.get(id);
+    if (swarm) {
+      swarm.metadata = JSON.parse(swarm.metadata || '{}');
+    }
+    return swarm;
+  }
+
   // Agent operations
   createAgent(agent) {
     const stmt = this.db.prepare(`
@@ -209,8 +162,8 @@ class SwarmPersistence {
   // Task operations
   createTask(task) {
     const stmt = this.db.prepare(`
-      INSERT INTO tasks (id, swarm_id, description, priority, status, assigned_agents)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO tasks (id, swarm_id, description, priority, status, assigned_agents, parent_id, depends_on, estimated_duration_ms, retry_policy, timeout_ms, input, allocation_strategy)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
       task.id,
@@ -219,6 +172,13 @@ class SwarmPersistence {
       task.priority || 'medium',
       task.status || 'pending',
       JSON.stringify(task.assignedAgents || []),
+      task.parentId || null,
+      JSON.stringify(task.dependsOn || []),
+      task.estimatedDuration || null,
+      task.retryPolicy ? JSON.stringify(task.retryPolicy) : null,
+      task.timeoutMs || null,
+      task.input === undefined || task.input === null ? null : JSON.stringify(task.input),
+      task.allocationStrategy || null,
     );
   }
 
@@ -227,7 +187,10 @@ class SwarmPersistence {
     const values = [];
 
     Object.entries(updates).forEach(([key, value]) => {
-      if (key === 'assignedAgents' || key === 'result') {
+      if (key === 'assignedAgents') {
+        fields.push('assigned_agents = ?');
+        values.push(JSON.stringify(value));
+      } else if (key === 'result') {
         fields.push(`${key} = ?`);
         values.push(JSON.stringify(value));
       } else {
@@ -246,7 +209,10 @@ class SwarmPersistence {
     const task = stmt.get(id);
     if (task) {
       task.assigned_agents = JSON.parse(task.assigned_agents || '[]');
+      task.depends_on = JSON.parse(task.depends_on || '[]');
+      task.retry_policy = task.retry_policy ? JSON.parse(task.retry_policy) : null;
       task.result = task.result ? JSON.parse(task.result) : null;
+      task.input = task.input ? JSON.parse(task.input) : null;
     }
     return task;
   }
@@ -265,11 +231,301 @@ class SwarmPersistence {
 
     return tasks.map(t => {
       t.assigned_agents = JSON.parse(t.assigned_agents || '[]');
+      t.depends_on = JSON.parse(t.depends_on || '[]');
+      t.retry_policy = t.retry_policy ? JSON.parse(t.retry_policy) : null;
       t.result = t.result ? JSON.parse(t.result) : null;
+      t.input = t.input ? JSON.parse(t.input) : null;
       return t;
     });
   }
 
+  // One agent's output for a task: result, stdout/stderr, exit code...
+  storeTaskResult(result) {
+    const stmt = this.db.prepare(`
+      INSERT INTO task_results (id, task_id, agent_id, output, metrics)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      result.id || `result_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      result.taskId,
+      result.agentId,
+      JSON.stringify(result.output ?? null),
+      JSON.stringify(result.metrics || {}),
+    );
+  }
+
+  // Per-agent output rows for a task, newest first
+  getTaskResults(taskId) {
+    const stmt = this.db.prepare(`
+      SELECT tr.*, a.name AS agent_name, a.type AS agent_type
+      FROM task_results tr
+      LEFT JOIN agents a ON tr.agent_id = a.id
+      WHERE tr.task_id = ?
+      ORDER BY tr.created_at DESC
+    `);
+    return stmt.all(taskId).map(r => {
+      r.output = r.output ? JSON.parse(r.output) : null;
+      r.metrics = JSON.parse(r.metrics || '{}');
+      return r;
+    });
+  }
+
+  // Leave a cancel/pause/resume request for the process running the swarm
+  requestTaskControl(taskId, action, reason = null) {
+    const stmt = this.db.prepare('UPDATE tasks SET control_request = ? WHERE id = ?');
+    return stmt.run(JSON.stringify({ action, reason, requestedAt: new Date().toISOString() }), taskId);
+  }
+
+  getTaskControlRequests(swarmId) {
+    const stmt = this.db.prepare('SELECT id, control_request FROM tasks WHERE swarm_id = ? AND control_request IS NOT NULL');
+    return stmt.all(swarmId).map(row => ({ taskId: row.id, ...JSON.parse(row.control_request) }));
+  }
+
+  clearTaskControlRequest(taskId) {
+    const stmt = this.db.prepare('UPDATE tasks SET control_request = NULL WHERE id = ?');
+    return stmt.run(taskId);
+  }
+
+  // Dead-letter queue for tasks that failed every attempt
+  addDeadLetter(entry) {
+    const stmt = this.db.prepare(`
+      INSERT INTO task_dlq (id, task_id, swarm_id, description, task_config, attempts, error, error_type, attempt_errors)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      entry.id,
+      entry.taskId,
+      entry.swarmId,
+      entry.description,
+      JSON.stringify(entry.taskConfig || {}),
+      entry.attempts,
+      entry.error,
+      entry.errorType || null,
+      JSON.stringify(entry.attemptErrors || []),
+    );
+  }
+
+  getDeadLetter(id) {
+    const stmt = this.db.prepare('SELECT * FROM task_dlq WHERE id = ?');
+    const entry = stmt.get(id);
+    return entry ? parseDeadLetter(entry) : null;
+  }
+
+  getDeadLetters({ swarmId = null, taskId = null, status = 'pending', limit = 100 } = {}) {
+    let query = 'SELECT * FROM task_dlq WHERE 1 = 1';
+    const params = [];
+
+    if (swarmId) {
+      query += ' AND swarm_id = ?';
+      params.push(swarmId);
+    }
+    if (taskId) {
+      query += ' AND task_id = ?';
+      params.push(taskId);
+    }
+    if (status !== 'all') {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(limit);
+
+    const stmt = this.db.prepare(query);
+    return stmt.all(...params).map(parseDeadLetter);
+  }
+
+  // Mark a dead letter replayed or discarded; it stays in the table as history
+  resolveDeadLetter(id, status, replayedTaskId = null) {
+    const stmt = this.db.prepare(`
+      UPDATE task_dlq SET status = ?, replayed_task_id = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(status, replayedTaskId, id);
+  }
+
+  // Winning bids from auction and contract-net allocation (see task-allocation.js)
+  recordTaskAllocation(allocation) {
+    const stmt = this.db.prepare(`
+      INSERT INTO task_allocations (id, task_id, swarm_id, strategy, agent_id, bid, components, bids, justification)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      allocation.id,
+      allocation.taskId,
+      allocation.swarmId,
+      allocation.strategy,
+      allocation.agentId,
+      allocation.bid,
+      JSON.stringify(allocation.components || {}),
+      JSON.stringify(allocation.bids || {}),
+      allocation.justification || null,
+    );
+  }
+
+  getTaskAllocations({ taskId = null, agentId = null, swarmId = null, limit = 100 } = {}) {
+    let query = 'SELECT * FROM task_allocations WHERE 1 = 1';
+    const params = [];
+
+    if (taskId) {
+      query += ' AND task_id = ?';
+      params.push(taskId);
+    }
+    if (agentId) {
+      query += ' AND agent_id = ?';
+      params.push(agentId);
+    }
+    if (swarmId) {
+      query += ' AND swarm_id = ?';
+      params.push(swarmId);
+    }
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(limit);
+
+    const stmt = this.db.prepare(query);
+    return stmt.all(...params).map(parseTaskAllocation);
+  }
+
+  // Worker processes of a cluster coordinator (see cluster/index.js)
+  saveClusterWorker(worker) {
+    const stmt = this.db.prepare(`
+      INSERT INTO cluster_workers (id, cluster_id, pid, status, agents, tasks_run, last_heartbeat, exit_code, exit_signal, stopped_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (cluster_id, id) DO UPDATE SET
+        pid = excluded.pid,
+        status = excluded.status,
+        agents = excluded.agents,
+        tasks_run = excluded.tasks_run,
+        last_heartbeat = excluded.last_heartbeat,
+        exit_code = excluded.exit_code,
+        exit_signal = excluded.exit_signal,
+        stopped_at = excluded.stopped_at
+    `);
+    return stmt.run(
+      worker.id,
+      worker.clusterId,
+      worker.pid ?? null,
+      worker.status,
+      JSON.stringify(worker.agents || []),
+      worker.tasksRun || 0,
+      worker.lastHeartbeat ?? null,
+      worker.exitCode ?? null,
+      worker.exitSignal ?? null,
+      worker.stoppedAt ?? null,
+    );
+  }
+
+  // A cluster's workers, oldest first; without an id, the most recently started cluster's
+  getClusterWorkers({ clusterId = null } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM cluster_workers
+      WHERE cluster_id = COALESCE(?, (SELECT cluster_id FROM cluster_workers ORDER BY started_at DESC, rowid DESC LIMIT 1))
+      ORDER BY started_at, rowid
+    `);
+    return stmt.all(clusterId).map(parseClusterWorker);
+  }
+
+  // Hyperparameter tuning trials (see neural-models/tuning.js)
+  createTuningTrial(trial) {
+    const stmt = this.db.prepare(`
+      INSERT INTO tuning_trials (id, study_id, model_type, strategy, preset, params, bracket, rung)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      trial.id,
+      trial.studyId,
+      trial.modelType,
+      trial.strategy,
+      trial.preset || null,
+      JSON.stringify(trial.params || {}),
+      trial.bracket ?? null,
+      trial.rung ?? null,
+    );
+  }
+
+  updateTuningTrial(id, updates) {
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (!TUNING_TRIAL_FIELDS[key]) {
+        throw new Error(`Unknown tuning trial field: ${key}`);
+      }
+      fields.push(`${TUNING_TRIAL_FIELDS[key]} = ?`);
+      values.push(key === 'metrics' ? JSON.stringify(value) : value);
+    }
+    if (updates.status && updates.status !== 'running') {
+      fields.push('completed_at = CURRENT_TIMESTAMP');
+    }
+
+    values.push(id);
+    const stmt = this.db.prepare(`UPDATE tuning_trials SET ${fields.join(', ')} WHERE id = ?`);
+    return stmt.run(...values);
+  }
+
+  // A study's trials, lowest validation loss first
+  getTuningTrials(studyId, status = 'all') {
+    let query = 'SELECT * FROM tuning_trials WHERE study_id = ?';
+    const params = [studyId];
+
+    if (status !== 'all') {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY val_loss IS NULL, val_loss, created_at, rowid';
+
+    const stmt = this.db.prepare(query);
+    return stmt.all(...params).map(parseTuningTrial);
+  }
+
+  // Agent message queues (see message-bus/); each call is one transaction
+  sendAgentMessage(message) {
+    return this.db.transaction(() => messageQueue.enqueueAgentMessage(this.db, message))();
+  }
+
+  claimAgentMessages(agentId, options) {
+    return this.db.transaction(() => messageQueue.claimAgentMessages(this.db, agentId, options))();
+  }
+
+  ackAgentMessages(agentId, messageIds, now = Date.now()) {
+    return this.db.transaction(() => messageQueue.ackAgentMessages(this.db, agentId, messageIds, now))();
+  }
+
+  extendAgentMessages(agentId, messageIds, visibleAt) {
+    return this.db.transaction(() => messageQueue.extendAgentMessages(this.db, agentId, messageIds, visibleAt))();
+  }
+
+  getAgentInbox(agentId, options) {
+    return messageQueue.listAgentInbox(this.db, agentId, options);
+  }
+
+  getAgentMessage(id) {
+    return messageQueue.getAgentMessage(this.db, id);
+  }
+
+  getMessageTrace(traceId) {
+    return messageQueue.getMessageTrace(this.db, traceId);
+  }
+
+  findAgentMessages(filter) {
+    return messageQueue.findAgentMessages(this.db, filter);
+  }
+
+  purgeAgentMessages(options) {
+    return this.db.transaction(() => messageQueue.purgeAgentMessages(this.db, options))();
+  }
+
+  subscribeAgentTopic(agentId, topic, now = Date.now()) {
+    return messageQueue.subscribeAgentTopic(this.db, agentId, topic, now);
+  }
+
+  unsubscribeAgentTopic(agentId, topic) {
+    return messageQueue.unsubscribeAgentTopic(this.db, agentId, topic);
+  }
+
+  getAgentTopicSubscriptions(agentId) {
+    return messageQueue.getAgentTopicSubscriptions(this.db, agentId);
+  }
+
   // Memory operations
   storeAgentMemory(agentId, key, value) {
     const stmt = this.db.prepare(`
@@ -454,6 +710,15 @@ class SwarmPersistence {
     return stmt.run();
   }
 
+  // Snapshot operations
+  exportSwarm(swarmId) {
+    return this.db.transaction(() => captureSwarmRecords(this.db, swarmId))();
+  }
+
+  importSwarm(records, options = {}) {
+    return restoreSwarmRecords(this.db, records, options);
+  }
+
   // Cleanup operations
   cleanup() {
     // Delete expired memories
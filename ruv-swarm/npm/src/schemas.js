@@ -4,6 +4,65 @@
  */
 
 import { ValidationError } from './errors.js';
+import { ERROR_TYPES } from './task-retry.js';
+import { INBOX_STATUSES } from './message-bus/queue.js';
+import { ALLOCATION_STRATEGIES } from './task-allocation.js';
+
+// Shared by task_orchestrate and its subtasks
+const RETRY_POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    maxAttempts: {
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: 20,
+    },
+    backoffMs: {
+      type: 'number',
+      min: 0,
+      max: 3600000,
+    },
+    backoffMultiplier: {
+      type: 'number',
+      min: 1,
+      max: 10,
+    },
+    maxBackoffMs: {
+      type: 'number',
+      min: 0,
+      max: 3600000,
+    },
+    retryOn: {
+      type: 'array',
+      items: {
+        type: 'string',
+        enum: ERROR_TYPES,
+      },
+    },
+  },
+  required: false,
+};
+
+const TASK_TIMEOUT_SCHEMA = {
+  type: 'number',
+  integer: true,
+  min: 1,
+  max: 3600000,
+  required: false,
+};
+
+// Structured data handed to the agent type's executor
+const TASK_INPUT_SCHEMA = {
+  type: 'object',
+  required: false,
+};
+
+// Message bus addresses: swarm agent ids, DAA agent names and 'hook-system'
+const AGENT_ADDRESS_PATTERN = '^[A-Za-z0-9_.:-]{1,100}$';
+// Dotted topic names; a trailing `*` subscribes to every topic with that prefix
+const TOPIC_PATTERN = '^([A-Za-z0-9_-]+(\\.[A-Za-z0-9_-]+)*(\\.\\*)?|\\*)$';
+const MESSAGE_ID_PATTERN = '^msg-[A-Za-z0-9-]+$';
 
 /**
  * Base validator class
@@ -249,9 +308,10 @@ const MCPSchemas = {
       enum: ['low', 'medium', 'high', 'critical'],
       default: 'medium',
     },
+    // auction and contract_net have agents bid for the task; see task-allocation.js
     strategy: {
       type: 'string',
-      enum: ['parallel', 'sequential', 'adaptive'],
+      enum: ['parallel', 'sequential', 'adaptive', ...ALLOCATION_STRATEGIES],
       default: 'adaptive',
     },
     maxAgents: {
@@ -280,6 +340,76 @@ const MCPSchemas = {
       max: 3600000, // 1 hour max
       required: false,
     },
+    dependsOn: {
+      type: 'array',
+      items: {
+        type: 'string',
+        minLength: 1,
+      },
+      required: false,
+    },
+    subtasks: {
+      type: 'array',
+      maxLength: 100,
+      items: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            required: true,
+            minLength: 1,
+            maxLength: 64,
+            pattern: '^[A-Za-z0-9_-]+$',
+          },
+          task: {
+            type: 'string',
+            required: true,
+            minLength: 1,
+            maxLength: 1000,
+          },
+          dependsOn: {
+            type: 'array',
+            items: {
+              type: 'string',
+              minLength: 1,
+            },
+          },
+          priority: {
+            type: 'string',
+            enum: ['low', 'medium', 'high', 'critical'],
+          },
+          requiredCapabilities: {
+            type: 'array',
+            items: {
+              type: 'string',
+              minLength: 1,
+            },
+          },
+          maxAgents: {
+            type: 'number',
+            integer: true,
+            min: 1,
+            max: 50,
+          },
+          estimatedDuration: {
+            type: 'number',
+            min: 1000,
+            max: 3600000,
+          },
+          retry: RETRY_POLICY_SCHEMA,
+          timeoutMs: TASK_TIMEOUT_SCHEMA,
+          input: TASK_INPUT_SCHEMA,
+        },
+      },
+      required: false,
+    },
+    retry: RETRY_POLICY_SCHEMA,
+    timeoutMs: TASK_TIMEOUT_SCHEMA,
+    input: TASK_INPUT_SCHEMA,
+    waitForCompletion: {
+      type: 'boolean',
+      default: false,
+    },
   },
 
   swarm_status: {
@@ -323,6 +453,177 @@ const MCPSchemas = {
     },
   },
 
+  task_cancel: {
+    taskId: {
+      type: 'string',
+      required: true,
+      pattern: '^[A-Za-z0-9_-]+$',
+    },
+    reason: {
+      type: 'string',
+      maxLength: 500,
+      default: 'cancelled by request',
+    },
+  },
+
+  task_pause: {
+    taskId: {
+      type: 'string',
+      required: true,
+      pattern: '^[A-Za-z0-9_-]+$',
+    },
+    reason: {
+      type: 'string',
+      maxLength: 500,
+      default: 'paused by request',
+    },
+  },
+
+  task_resume: {
+    taskId: {
+      type: 'string',
+      required: true,
+      pattern: '^[A-Za-z0-9_-]+$',
+    },
+  },
+
+  task_dlq: {
+    action: {
+      type: 'string',
+      enum: ['list', 'replay', 'discard'],
+      default: 'list',
+    },
+    id: {
+      type: 'string',
+      pattern: '^dlq-[A-Za-z0-9-]+$',
+      required: false,
+    },
+    swarmId: {
+      type: 'string',
+      pattern: '^[a-fA-F0-9-]+$',
+      required: false,
+    },
+    taskId: {
+      type: 'string',
+      minLength: 1,
+      required: false,
+    },
+    status: {
+      type: 'string',
+      enum: ['pending', 'replayed', 'discarded', 'all'],
+      default: 'pending',
+    },
+    limit: {
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: 1000,
+      default: 50,
+    },
+  },
+
+  agent_send: {
+    from: {
+      type: 'string',
+      required: true,
+      pattern: AGENT_ADDRESS_PATTERN,
+    },
+    to: {
+      type: 'string',
+      pattern: AGENT_ADDRESS_PATTERN,
+      required: false,
+    },
+    topic: {
+      type: 'string',
+      pattern: TOPIC_PATTERN,
+      required: false,
+    },
+    type: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100,
+      default: 'message',
+    },
+    payload: {
+      type: 'object',
+      default: {},
+    },
+    ttlMs: {
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: 2592000000,
+      required: false,
+    },
+    replyTo: {
+      type: 'string',
+      pattern: MESSAGE_ID_PATTERN,
+      required: false,
+    },
+    traceId: {
+      type: 'string',
+      pattern: '^trace-[A-Za-z0-9-]+$',
+      required: false,
+    },
+    messageId: {
+      type: 'string',
+      pattern: MESSAGE_ID_PATTERN,
+      required: false,
+    },
+  },
+
+  agent_inbox: {
+    agentId: {
+      type: 'string',
+      required: true,
+      pattern: AGENT_ADDRESS_PATTERN,
+    },
+    action: {
+      type: 'string',
+      enum: ['receive', 'peek', 'ack', 'subscribe', 'unsubscribe', 'trace'],
+      default: 'receive',
+    },
+    limit: {
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: 1000,
+      default: 10,
+    },
+    ackTimeoutMs: {
+      type: 'number',
+      integer: true,
+      min: 100,
+      max: 3600000,
+      required: false,
+    },
+    status: {
+      type: 'string',
+      enum: ['unacked', ...INBOX_STATUSES, 'all'],
+      default: 'unacked',
+    },
+    messageIds: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: MESSAGE_ID_PATTERN,
+      },
+      minLength: 1,
+      maxLength: 1000,
+      required: false,
+    },
+    topic: {
+      type: 'string',
+      pattern: TOPIC_PATTERN,
+      required: false,
+    },
+    traceId: {
+      type: 'string',
+      pattern: '^(trace|msg)-[A-Za-z0-9-]+$',
+      required: false,
+    },
+  },
+
   agent_list: {
     filter: {
       type: 'string',
@@ -423,13 +724,63 @@ const MCPSchemas = {
     },
     modelType: {
       type: 'string',
-      enum: ['feedforward', 'lstm', 'transformer', 'attention', 'cnn', 'rnn', 'gru'],
+      enum: ['feedforward', 'lstm', 'transformer', 'attention', 'cnn', 'rnn', 'gru', 'resnet', 'autoencoder', 'vae'],
       default: 'feedforward',
     },
     trainingData: {
       type: 'object',
       required: false,
     },
+    // Train on a CSV, JSONL or .npy file instead of simulating
+    dataPath: {
+      type: 'string',
+      minLength: 1,
+      required: false,
+    },
+    target: {
+      type: 'string',
+      minLength: 1,
+      required: false,
+    },
+    features: {
+      type: 'array',
+      items: {
+        type: 'string',
+        minLength: 1,
+      },
+      required: false,
+    },
+    window: {
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: 10000,
+      required: false,
+    },
+    batchSize: {
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: 65536,
+      default: 32,
+    },
+    validationSplit: {
+      type: 'number',
+      min: 0,
+      max: 0.9,
+      default: 0.1,
+    },
+    testSplit: {
+      type: 'number',
+      min: 0,
+      max: 0.9,
+      default: 0,
+    },
+    outputPath: {
+      type: 'string',
+      minLength: 1,
+      required: false,
+    },
   },
 
   neural_patterns: {
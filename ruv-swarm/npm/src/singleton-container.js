@@ -101,7 +101,10 @@ class SingletonContainer {
     for (const [key, instance] of instances) {
       try {
         if (instance && typeof instance.destroy === 'function') {
-          instance.destroy();
+          // An async destroy() finishes on its own; its failure is reported like a sync one
+          Promise.resolve(instance.destroy()).catch(error => {
+            console.warn(`Error destroying instance '${key}':`, error.message);
+          });
         }
       } catch (error) {
         console.warn(`Error destroying instance '${key}':`, error.message);
@@ -0,0 +1,89 @@
+/**
+ * Snapshot CLI for ruv-swarm
+ * Usage: npx ruv-swarm snapshot <create|restore> [options]
+ */
+
+import path from 'path';
+import { RuvSwarm } from '../index-enhanced.js';
+import { createSnapshot, writeSnapshotFile, readSnapshotFile } from './index.js';
+
+class SnapshotCLI {
+  constructor() {
+    this.ruvSwarm = null;
+  }
+
+  async initialize() {
+    if (!this.ruvSwarm) {
+      this.ruvSwarm = await RuvSwarm.initialize({
+        loadingStrategy: 'progressive',
+        enablePersistence: true,
+        enableNeuralNetworks: true,
+      });
+    }
+    if (!this.ruvSwarm.persistence) {
+      throw new Error('Persistence is not available - snapshots need the SQLite database');
+    }
+    return this.ruvSwarm;
+  }
+
+  async create(args) {
+    const swarmId = args.find(arg => !arg.startsWith('--') && arg !== this.getArg(args, '--output'));
+    if (!swarmId) {
+      console.log('❌ No swarm ID provided');
+      console.log('Usage: ruv-swarm snapshot create <swarmId> [--output <file>]');
+      process.exit(1);
+    }
+
+    const rs = await this.initialize();
+    const records = await rs.persistence.exportSwarm(swarmId);
+    const snapshot = createSnapshot(records);
+
+    const timestamp = snapshot.createdAt.replace(/[:.]/g, '-');
+    const outputFile = this.getArg(args, '--output') || `${swarmId}-${timestamp}.snapshot.json.gz`;
+    await writeSnapshotFile(outputFile, snapshot);
+
+    console.log(`📸 Snapshot of swarm ${swarmId} written to ${path.resolve(outputFile)}`);
+    console.log(`   Agents: ${records.agents.length}`);
+    console.log(`   Tasks: ${records.tasks.length} (${records.taskResults.length} results)`);
+    console.log(`   Memory entries: ${records.agentMemory.length}`);
+    console.log(`   Neural networks: ${records.neuralNetworks.length}`);
+    console.log(`   Dead letters: ${records.deadLetters.length}`);
+    console.log(`   Messages: ${records.agentMessages.length}`);
+    console.log(`   Events: ${records.events.length}`);
+  }
+
+  async restore(args) {
+    const file = args.find(arg => !arg.startsWith('--'));
+    if (!file) {
+      console.log('❌ No snapshot file provided');
+      console.log('Usage: ruv-swarm snapshot restore <file> [--force]');
+      process.exit(1);
+    }
+
+    const snapshot = await readSnapshotFile(file);
+    const rs = await this.initialize();
+
+    const imported = await rs.persistence.importSwarm(snapshot.records, {
+      replace: args.includes('--force'),
+    });
+    const swarm = await rs.restoreSwarm(snapshot.records);
+    const resumed = Array.from(swarm.tasks.values()).filter(t => t.status === 'in_progress').length;
+
+    console.log(`♻️  Restored swarm ${imported.swarmId} from snapshot taken ${snapshot.createdAt}`);
+    console.log(`   Agents: ${swarm.agents.size}/${imported.agents}`);
+    console.log(`   Neural networks: ${imported.neuralNetworks}`);
+    console.log(`   Tasks: ${imported.tasks} (${resumed} resumed)`);
+    console.log(`   Dead letters: ${imported.deadLetters}`);
+    console.log(`   Messages: ${imported.messages}`);
+    console.log(`   Events: ${imported.events}`);
+  }
+
+  getArg(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  }
+}
+
+const snapshotCLI = new SnapshotCLI();
+
+export { snapshotCLI, SnapshotCLI };
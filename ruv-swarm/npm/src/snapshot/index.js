@@ -0,0 +1,216 @@
+/**
+ * Point-in-time Swarm Snapshots for ruv-swarm
+ *
+ * A snapshot is one portable archive holding a swarm row and everything that
+ * hangs off it: agents, tasks, task_results, task_dlq, task_allocations,
+ * agent_memory, neural_networks, the agents' bus messages (agent_messages,
+ * agent_inbox and agent_topic_subscriptions) and the events stream. Rows are
+ * kept exactly as stored (JSON columns stay as text) so a restore on another
+ * machine reproduces the database verbatim.
+ *
+ * tuning_trials and cluster_workers are left out: trials belong to a tuning
+ * study rather than a swarm, and workers are processes of the machine that
+ * ran them.
+ *
+ * captureSwarmRecords/restoreSwarmRecords take a raw better-sqlite3 handle and
+ * back exportSwarm()/importSwarm() on both persistence classes.
+ */
+
+import { promises as fs } from 'fs';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { PersistenceError } from '../errors.js';
+import { MigrationRunner } from '../migrations/index.js';
+
+const SNAPSHOT_FORMAT = 'ruv-swarm-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Insertion order - parents before children
+const RECORD_TABLES = [
+  ['agents', 'agents'],
+  ['tasks', 'tasks'],
+  ['taskResults', 'task_results'],
+  ['deadLetters', 'task_dlq'],
+  ['taskAllocations', 'task_allocations'],
+  ['agentMemory', 'agent_memory'],
+  ['neuralNetworks', 'neural_networks'],
+  ['agentMessages', 'agent_messages'],
+  ['agentInbox', 'agent_inbox'],
+  ['agentSubscriptions', 'agent_topic_subscriptions'],
+  ['events', 'events'],
+];
+
+// A topic message can be in several swarms' snapshots, so one may already be there
+const SHARED_TABLES = new Set(['agent_messages']);
+
+function captureSwarmRecords(db, swarmId) {
+  const swarm = db.prepare('SELECT * FROM swarms WHERE id = ?').get(swarmId);
+  if (!swarm) {
+    throw new PersistenceError(`Swarm not found: ${swarmId}`, 'export_swarm', 'swarms');
+  }
+
+  const agentScope = 'agent_id IN (SELECT id FROM agents WHERE swarm_id = ?)';
+  const agentIds = 'SELECT id FROM agents WHERE swarm_id = ?';
+
+  return {
+    schemaVersion: new MigrationRunner(db).getCurrentVersion(),
+    swarm,
+    agents: db.prepare('SELECT * FROM agents WHERE swarm_id = ? ORDER BY created_at').all(swarmId),
+    tasks: db.prepare('SELECT * FROM tasks WHERE swarm_id = ? ORDER BY created_at').all(swarmId),
+    taskResults: db.prepare(
+      'SELECT * FROM task_results WHERE task_id IN (SELECT id FROM tasks WHERE swarm_id = ?) ORDER BY created_at',
+    ).all(swarmId),
+    deadLetters: db.prepare('SELECT * FROM task_dlq WHERE swarm_id = ? ORDER BY created_at').all(swarmId),
+    taskAllocations: db.prepare('SELECT * FROM task_allocations WHERE swarm_id = ? ORDER BY created_at').all(swarmId),
+    agentMemory: db.prepare(`SELECT * FROM agent_memory WHERE ${agentScope} ORDER BY created_at`).all(swarmId),
+    neuralNetworks: db.prepare(`SELECT * FROM neural_networks WHERE ${agentScope} ORDER BY created_at`).all(swarmId),
+    // Messages the agents sent or still have in their inboxes
+    agentMessages: db.prepare(
+      `SELECT * FROM agent_messages WHERE sender IN (${agentIds}) OR id IN (SELECT message_id FROM agent_inbox WHERE ${agentScope}) ORDER BY created_at`,
+    ).all(swarmId, swarmId),
+    agentInbox: db.prepare(`SELECT * FROM agent_inbox WHERE ${agentScope} ORDER BY visible_at`).all(swarmId),
+    agentSubscriptions: db.prepare(`SELECT * FROM agent_topic_subscriptions WHERE ${agentScope} ORDER BY created_at`).all(swarmId),
+    events: db.prepare('SELECT * FROM events WHERE swarm_id = ? ORDER BY id').all(swarmId),
+  };
+}
+
+function deleteSwarmRecords(db, swarmId) {
+  const agentScope = 'agent_id IN (SELECT id FROM agents WHERE swarm_id = ?)';
+  const agentIds = 'SELECT id FROM agents WHERE swarm_id = ?';
+
+  db.prepare('DELETE FROM events WHERE swarm_id = ?').run(swarmId);
+  db.prepare(`DELETE FROM agent_topic_subscriptions WHERE ${agentScope}`).run(swarmId);
+  db.prepare(`DELETE FROM agent_inbox WHERE ${agentScope}`).run(swarmId);
+  // Messages still waiting in another swarm's inboxes stay
+  db.prepare(
+    `DELETE FROM agent_messages WHERE (sender IN (${agentIds}) OR recipient IN (${agentIds})) AND id NOT IN (SELECT message_id FROM agent_inbox)`,
+  ).run(swarmId, swarmId);
+  db.prepare(`DELETE FROM neural_networks WHERE ${agentScope}`).run(swarmId);
+  db.prepare(`DELETE FROM agent_memory WHERE ${agentScope}`).run(swarmId);
+  db.prepare('DELETE FROM task_allocations WHERE swarm_id = ?').run(swarmId);
+  db.prepare('DELETE FROM task_dlq WHERE swarm_id = ?').run(swarmId);
+  db.prepare('DELETE FROM task_results WHERE task_id IN (SELECT id FROM tasks WHERE swarm_id = ?)').run(swarmId);
+  db.prepare('DELETE FROM tasks WHERE swarm_id = ?').run(swarmId);
+  db.prepare('DELETE FROM agents WHERE swarm_id = ?').run(swarmId);
+  db.prepare('DELETE FROM swarms WHERE id = ?').run(swarmId);
+}
+
+function insertRows(db, table, rows) {
+  // Only copy columns this schema knows about; the file is untrusted input
+  const columns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  // Event ids are local autoincrement values and would collide on import
+  if (table === 'events') {
+    columns.delete('id');
+  }
+
+  for (const row of rows) {
+    const keys = Object.keys(row).filter(key => columns.has(key));
+    const placeholders = keys.map(() => '?').join(', ');
+    db.prepare(`INSERT ${SHARED_TABLES.has(table) ? 'OR IGNORE ' : ''}INTO ${table} (${keys.join(', ')}) VALUES (${placeholders})`)
+      .run(...keys.map(key => row[key]));
+  }
+}
+
+function restoreSwarmRecords(db, records, options = {}) {
+  const { replace = false } = options;
+  const swarmId = records.swarm?.id;
+
+  if (!swarmId) {
+    throw new PersistenceError('Snapshot does not contain a swarm record', 'import_swarm', 'swarms');
+  }
+
+  const currentVersion = new MigrationRunner(db).getCurrentVersion();
+  if (records.schemaVersion > currentVersion) {
+    throw new PersistenceError(
+      `Snapshot was taken at schema version ${records.schemaVersion} but this database is at ${currentVersion}; run 'ruv-swarm db migrate' or upgrade ruv-swarm first`,
+      'import_swarm',
+      'schema_version',
+    );
+  }
+
+  db.transaction(() => {
+    if (db.prepare('SELECT id FROM swarms WHERE id = ?').get(swarmId)) {
+      if (!replace) {
+        throw new PersistenceError(
+          `Swarm ${swarmId} already exists; restore with replace to overwrite it`,
+          'import_swarm',
+          'swarms',
+        );
+      }
+      deleteSwarmRecords(db, swarmId);
+    }
+
+    insertRows(db, 'swarms', [records.swarm]);
+    for (const [key, table] of RECORD_TABLES) {
+      insertRows(db, table, records[key] || []);
+    }
+  })();
+
+  return {
+    swarmId,
+    agents: (records.agents || []).length,
+    tasks: (records.tasks || []).length,
+    neuralNetworks: (records.neuralNetworks || []).length,
+    deadLetters: (records.deadLetters || []).length,
+    messages: (records.agentMessages || []).length,
+    events: (records.events || []).length,
+  };
+}
+
+function createSnapshot(records) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    swarmId: records.swarm.id,
+    records,
+  };
+}
+
+async function writeSnapshotFile(filePath, snapshot) {
+  const json = JSON.stringify(snapshot);
+  const data = filePath.endsWith('.gz') ? await gzip(json) : json;
+  await fs.writeFile(filePath, data);
+  return filePath;
+}
+
+async function readSnapshotFile(filePath) {
+  let data = await fs.readFile(filePath);
+  // gzip magic number, so renamed archives still load
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    data = await gunzip(data);
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new PersistenceError(`Invalid snapshot file ${filePath}: ${error.message}`, 'read_snapshot', 'swarms');
+  }
+
+  if (snapshot?.format !== SNAPSHOT_FORMAT || !snapshot.records?.swarm) {
+    throw new PersistenceError(`Not a ruv-swarm snapshot: ${filePath}`, 'read_snapshot', 'swarms');
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new PersistenceError(
+      `Snapshot format version ${snapshot.version} is newer than supported version ${SNAPSHOT_VERSION}`,
+      'read_snapshot',
+      'swarms',
+    );
+  }
+
+  return snapshot;
+}
+
+export {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  captureSwarmRecords,
+  restoreSwarmRecords,
+  createSnapshot,
+  writeSnapshotFile,
+  readSnapshotFile,
+};
@@ -0,0 +1,211 @@
+/**
+ * Market-based task allocation for ruv-swarm
+ *
+ * The alternative to Swarm.selectAvailableAgents() taking the first free
+ * agents with a matching capability. Every agent appraises the task and
+ * bids a score from 0 to 1 built from three parts:
+ *
+ * - capability: the share of the task's required capabilities it has
+ * - load: 1 / (1 + active + recent / 2), where `active` counts unfinished
+ *   tasks it is assigned to and `recent` the ones it finished within
+ *   LOAD_WINDOW_MS, so an agent that has been winning bids lowers its own
+ * - performance: its mean NeuralAgent performance over the last runs when
+ *   a NeuralAgent wraps it, otherwise (completed + 1) / (runs + 2) for its
+ *   runs in this swarm, which is 0.5 before its first run and keeps a
+ *   single success from outweighing everything else
+ *
+ * 'auction' is a sealed-bid auction: any free agent with at least one of the
+ * required capabilities bids, and the highest bids win. 'contract_net'
+ * announces the task the way the contract-net protocol does: free agents
+ * lacking a required capability refuse, the rest propose, and the best
+ * proposals are awarded the contract. Either way a task goes to one agent
+ * unless it asks for more through `maxAgents`, and every winner comes with
+ * a justification naming what its bid was made of and what it beat.
+ */
+
+import { ValidationError } from './errors.js';
+
+const ALLOCATION_STRATEGIES = ['auction', 'contract_net'];
+
+const BID_WEIGHTS = Object.freeze({
+  capability: 0.4,
+  load: 0.3,
+  performance: 0.3,
+});
+
+// How long a finished task still counts towards an agent's load
+const LOAD_WINDOW_MS = 10 * 60 * 1000;
+// NeuralAgent learning-history entries a bid looks back over
+const PERFORMANCE_HISTORY = 10;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+function normalizeAllocationStrategy(strategy, field = 'allocationStrategy') {
+  if (strategy === undefined || strategy === null) {
+    return null;
+  }
+  if (!ALLOCATION_STRATEGIES.includes(strategy)) {
+    throw new ValidationError(
+      `${field} must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`,
+      field,
+      strategy,
+    );
+  }
+  return strategy;
+}
+
+// Unfinished tasks the agent is assigned to, and tasks it finished lately
+function agentWorkload(agent, tasks, now) {
+  let active = 0;
+  let recent = 0;
+  for (const task of tasks) {
+    if (!task.assignedAgents.includes(agent.id)) {
+      continue;
+    }
+    if (task.status === 'in_progress' || task.status === 'orchestrated') {
+      active++;
+    } else if (task.endTime && now - task.endTime <= LOAD_WINDOW_MS) {
+      recent++;
+    }
+  }
+  return { active, recent };
+}
+
+function agentPerformance(agent) {
+  const history = agent.neuralAgent?.learningHistory || [];
+  if (history.length > 0) {
+    const runs = history.slice(-PERFORMANCE_HISTORY);
+    return {
+      score: runs.reduce((sum, run) => sum + run.performance, 0) / runs.length,
+      samples: runs.length,
+      source: 'neural',
+    };
+  }
+
+  const { completed = 0, failed = 0 } = agent.taskOutcomes || {};
+  const samples = completed + failed;
+  return {
+    score: (completed + 1) / (samples + 2),
+    samples,
+    source: samples > 0 ? 'outcomes' : 'prior',
+  };
+}
+
+/**
+ * An agent's bid for a task, with the parts it was computed from.
+ *
+ * @param {Agent} agent
+ * @param {Object} task - Anything with `requiredCapabilities`
+ * @param {Task[]} tasks - The swarm's tasks, for the agent's load
+ * @param {number} now
+ */
+function appraise(agent, task, tasks, now) {
+  const required = task.requiredCapabilities || [];
+  const matched = required.filter(capability => agent.capabilities.includes(capability));
+  const missing = required.filter(capability => !agent.capabilities.includes(capability));
+  const { active, recent } = agentWorkload(agent, tasks, now);
+  const performance = agentPerformance(agent);
+
+  const components = {
+    capability: required.length > 0 ? matched.length / required.length : 1,
+    load: 1 / (1 + active + recent / 2),
+    performance: performance.score,
+  };
+  const bid = Object.entries(BID_WEIGHTS).reduce((sum, [part, weight]) => sum + weight * components[part], 0);
+
+  return {
+    agentId: agent.id,
+    bid: round(bid),
+    components: {
+      capability: round(components.capability),
+      load: round(components.load),
+      performance: round(components.performance),
+    },
+    basis: {
+      matched,
+      missing,
+      active,
+      recent,
+      samples: performance.samples,
+      source: performance.source,
+    },
+  };
+}
+
+function describeBid({ bid, components, basis }) {
+  let runs = 'with no runs yet';
+  if (basis.source !== 'prior') {
+    runs = `over ${basis.samples} ${basis.source === 'neural' ? 'neural ' : ''}run${basis.samples === 1 ? '' : 's'}`;
+  }
+  return `${bid.toFixed(2)} (capability ${components.capability.toFixed(2)}, ` +
+    `load ${components.load.toFixed(2)} from ${basis.active} active and ${basis.recent} recent tasks, ` +
+    `performance ${components.performance.toFixed(2)} ${runs})`;
+}
+
+function justify(strategy, winner, bids, refusals) {
+  const won = strategy === 'auction' ? 'won the auction' : 'was awarded the contract';
+  const others = bids.filter(bid => bid !== winner);
+  const runnerUp = bids[bids.indexOf(winner) + 1];
+
+  let text = `${winner.agentId} ${won} with ${describeBid(winner)} against ${others.length} other ` +
+    `${strategy === 'auction' ? 'bid' : 'proposal'}${others.length === 1 ? '' : 's'}`;
+  if (runnerUp) {
+    text += `; next best ${runnerUp.agentId} at ${runnerUp.bid.toFixed(2)}`;
+  }
+  if (refusals.length > 0) {
+    text += `; ${refusals.length} agent${refusals.length === 1 ? '' : 's'} did not bid ` +
+      `(${refusals.map(refusal => `${refusal.agentId}: ${refusal.reason}`).join(', ')})`;
+  }
+  return text;
+}
+
+/**
+ * Run an auction or contract-net round for a task.
+ *
+ * @param {Object} task - `requiredCapabilities` and `maxAgents`
+ * @param {Agent[]} agents - Every agent in the swarm
+ * @param {Object} options
+ * @param {string} options.strategy - One of ALLOCATION_STRATEGIES
+ * @param {Task[]} [options.tasks] - The swarm's tasks, for agents' load
+ * @param {number} [options.now]
+ * @returns {{ strategy, winners: Object[], bids: Object[], refusals: Object[] }}
+ *   Winners are bids with a `justification`; bids are sorted best first
+ */
+function allocateTask(task, agents, { strategy, tasks = [], now = Date.now() }) {
+  normalizeAllocationStrategy(strategy, 'strategy');
+  const required = task.requiredCapabilities || [];
+  const bids = [];
+  const refusals = [];
+
+  for (const agent of agents) {
+    if (agent.status === 'busy') {
+      refusals.push({ agentId: agent.id, reason: 'busy' });
+      continue;
+    }
+
+    const bid = appraise(agent, task, tasks, now);
+    if (required.length > 0 && bid.basis.matched.length === 0) {
+      refusals.push({ agentId: agent.id, reason: 'no matching capability' });
+    } else if (strategy === 'contract_net' && bid.basis.missing.length > 0) {
+      refusals.push({ agentId: agent.id, reason: `lacks ${bid.basis.missing.join(', ')}` });
+    } else {
+      bids.push(bid);
+    }
+  }
+
+  // Stable, so equal bids keep the order the agents were spawned in
+  bids.sort((a, b) => b.bid - a.bid);
+  const winners = bids.slice(0, task.maxAgents > 0 ? task.maxAgents : 1)
+    .map(bid => ({ ...bid, justification: justify(strategy, bid, bids, refusals) }));
+
+  return { strategy, winners, bids, refusals };
+}
+
+export {
+  ALLOCATION_STRATEGIES,
+  BID_WEIGHTS,
+  LOAD_WINDOW_MS,
+  normalizeAllocationStrategy,
+  appraise,
+  allocateTask,
+};
@@ -0,0 +1,106 @@
+/**
+ * Task control CLI for ruv-swarm
+ * Usage: npx ruv-swarm task <cancel|pause|resume> <taskId> [options]
+ *
+ * Tasks run inside whichever process holds their swarm (usually the MCP
+ * server), so the CLI leaves its request in the tasks table. The owning
+ * swarm polls for requests while it has unfinished tasks, and applies any
+ * left over when it is next loaded.
+ */
+
+import { RuvSwarm } from './index-enhanced.js';
+import { TERMINAL_TASK_STATUSES } from './task-graph.js';
+
+const DEFAULT_WAIT_MS = 5000;
+const POLL_INTERVAL_MS = 250;
+// Flags followed by a value; the first other argument that is not a flag is the task ID
+const VALUE_FLAGS = ['--reason', '--wait'];
+
+class TaskCLI {
+  constructor() {
+    this.ruvSwarm = null;
+  }
+
+  async initialize() {
+    if (!this.ruvSwarm) {
+      this.ruvSwarm = await RuvSwarm.initialize({
+        loadingStrategy: 'progressive',
+        enablePersistence: true,
+        enableNeuralNetworks: false,
+      });
+    }
+    if (!this.ruvSwarm.persistence) {
+      throw new Error('Persistence is not available - task control needs the SQLite database');
+    }
+    return this.ruvSwarm;
+  }
+
+  async cancel(args) {
+    return this.request('cancel', args, task => TERMINAL_TASK_STATUSES.includes(task.status));
+  }
+
+  async pause(args) {
+    return this.request('pause', args, task => TERMINAL_TASK_STATUSES.includes(task.status) || task.status === 'paused');
+  }
+
+  async resume(args) {
+    return this.request('resume', args, task => task.status !== 'paused');
+  }
+
+  async request(action, args, isNoop) {
+    const reason = this.getArg(args, '--reason');
+    const wait = parseInt(this.getArg(args, '--wait') || DEFAULT_WAIT_MS, 10);
+    const taskId = this.getTaskId(args);
+    if (!taskId) {
+      console.log('❌ No task ID provided');
+      console.log(`Usage: ruv-swarm task ${action} <taskId>${action === 'resume' ? '' : ' [--reason <text>]'} [--wait <ms>]`);
+      process.exit(1);
+    }
+
+    const { persistence } = await this.initialize();
+    const task = await persistence.getTask(taskId);
+    if (!task) {
+      console.log(`❌ Task not found: ${taskId}`);
+      process.exit(1);
+    }
+    if (isNoop(task)) {
+      console.log(`ℹ️  Task ${taskId} is ${task.status}; nothing to ${action}`);
+      return;
+    }
+
+    await persistence.requestTaskControl(taskId, action, reason);
+    console.log(`📨 Requested ${action} of task ${taskId} (${task.status})`);
+
+    const deadline = Date.now() + wait;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      const current = await persistence.getTask(taskId);
+      if (!current.control_request) {
+        console.log(`✅ Task ${taskId} is now ${current.status}`);
+        return;
+      }
+    }
+
+    console.log(`⏳ Not applied yet - swarm ${task.swarm_id} will ${action} the task when it next runs`);
+  }
+
+  getTaskId(args) {
+    for (let i = 0; i < args.length; i++) {
+      if (VALUE_FLAGS.includes(args[i])) {
+        i++;
+      } else if (!args[i].startsWith('--')) {
+        return args[i];
+      }
+    }
+    return null;
+  }
+
+  getArg(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  }
+}
+
+const taskCLI = new TaskCLI();
+
+export { taskCLI, TaskCLI };
@@ -0,0 +1,175 @@
+/**
+ * Task DAG helpers for ruv-swarm
+ *
+ * Pure functions over task nodes shaped like
+ * `{ id, dependsOn, status, estimatedDuration, startTime, endTime }`.
+ * Swarm uses them to validate orchestration requests before anything is
+ * persisted, and task_status uses them for critical-path estimates.
+ */
+
+import { ValidationError } from './errors.js';
+
+const TERMINAL_TASK_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Used when a node carries no estimate of its own (matches task_orchestrate)
+const DEFAULT_NODE_DURATION_MS = 30000;
+
+/**
+ * Check subtask declarations and return their keys in topological order.
+ * A dependsOn entry may name a sibling subtask or an existing task id.
+ */
+function validateTaskGraph(subtasks, existingTaskIds = new Set()) {
+  const keys = new Set();
+
+  for (const [index, subtask] of subtasks.entries()) {
+    if (typeof subtask.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(subtask.id)) {
+      throw new ValidationError(
+        `subtasks[${index}].id must be a non-empty string of letters, digits, '_' or '-'`,
+        `subtasks[${index}].id`,
+        subtask.id,
+        'string',
+      );
+    }
+    if (keys.has(subtask.id)) {
+      throw new ValidationError(`Duplicate subtask id '${subtask.id}'`, `subtasks[${index}].id`, subtask.id);
+    }
+    keys.add(subtask.id);
+  }
+
+  for (const subtask of subtasks) {
+    for (const dep of subtask.dependsOn || []) {
+      if (dep === subtask.id) {
+        throw new ValidationError(`Subtask '${subtask.id}' cannot depend on itself`, 'dependsOn', dep);
+      }
+      if (!keys.has(dep) && !existingTaskIds.has(dep)) {
+        throw new ValidationError(
+          `Subtask '${subtask.id}' depends on unknown task '${dep}'`,
+          'dependsOn',
+          dep,
+        );
+      }
+    }
+  }
+
+  // Kahn's algorithm over sibling edges; external tasks are already placed
+  const indegree = new Map(subtasks.map(s => [s.id, 0]));
+  const dependents = new Map(subtasks.map(s => [s.id, []]));
+  for (const subtask of subtasks) {
+    for (const dep of (subtask.dependsOn || []).filter(d => keys.has(d))) {
+      indegree.set(subtask.id, indegree.get(subtask.id) + 1);
+      dependents.get(dep).push(subtask.id);
+    }
+  }
+
+  const order = [];
+  const ready = subtasks.map(s => s.id).filter(id => indegree.get(id) === 0);
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    for (const next of dependents.get(id)) {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) {
+        ready.push(next);
+      }
+    }
+  }
+
+  if (order.length !== subtasks.length) {
+    const cyclic = subtasks.map(s => s.id).filter(id => !order.includes(id));
+    throw new ValidationError(
+      `Subtask dependencies contain a cycle between: ${cyclic.join(', ')}`,
+      'subtasks',
+      cyclic,
+    );
+  }
+
+  return order;
+}
+
+function nodeEstimate(node) {
+  return node.estimatedDuration || DEFAULT_NODE_DURATION_MS;
+}
+
+function nodeDuration(node, now) {
+  if (node.status === 'cancelled') {
+    return 0;
+  }
+  if (TERMINAL_TASK_STATUSES.includes(node.status) && node.startTime) {
+    return (node.endTime || now) - node.startTime;
+  }
+  if (node.status === 'in_progress' && node.startTime) {
+    return Math.max(nodeEstimate(node), now - node.startTime);
+  }
+  return nodeEstimate(node);
+}
+
+function nodeRemaining(node, now) {
+  if (TERMINAL_TASK_STATUSES.includes(node.status)) {
+    return 0;
+  }
+  if (node.status === 'in_progress' && node.startTime) {
+    return Math.max(0, nodeEstimate(node) - (now - node.startTime));
+  }
+  return nodeEstimate(node);
+}
+
+/**
+ * Longest chain through the graph, using actual durations for finished
+ * nodes and estimates for the rest. Edges to tasks outside `nodes` are
+ * ignored.
+ */
+function criticalPath(nodes, now = Date.now()) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const finish = new Map();
+  const remaining = new Map();
+  const via = new Map();
+
+  const visit = (node) => {
+    if (finish.has(node.id)) {
+      return;
+    }
+
+    let longest = 0;
+    let longestRemaining = 0;
+    let previous = null;
+    for (const dep of (node.dependsOn || []).map(id => byId.get(id)).filter(Boolean)) {
+      visit(dep);
+      if (finish.get(dep.id) > longest || previous === null) {
+        longest = finish.get(dep.id);
+        previous = dep.id;
+      }
+      longestRemaining = Math.max(longestRemaining, remaining.get(dep.id));
+    }
+
+    finish.set(node.id, longest + nodeDuration(node, now));
+    remaining.set(node.id, longestRemaining + nodeRemaining(node, now));
+    via.set(node.id, previous);
+  };
+
+  nodes.forEach(visit);
+
+  let end = null;
+  for (const node of nodes) {
+    if (end === null || finish.get(node.id) > finish.get(end)) {
+      end = node.id;
+    }
+  }
+
+  const path = [];
+  for (let id = end; id !== null; id = via.get(id)) {
+    path.unshift(id);
+  }
+
+  return {
+    path,
+    estimated_total_ms: end === null ? 0 : finish.get(end),
+    estimated_remaining_ms: Math.max(0, ...remaining.values()),
+  };
+}
+
+export {
+  TERMINAL_TASK_STATUSES,
+  DEFAULT_NODE_DURATION_MS,
+  validateTaskGraph,
+  criticalPath,
+};
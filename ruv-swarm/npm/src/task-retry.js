@@ -0,0 +1,150 @@
+/**
+ * Task retry policies for ruv-swarm
+ *
+ * A policy decides how many attempts Task.executeTask() gets, how long it
+ * backs off between them and which failures are worth another attempt.
+ * Only errors classified by src/errors.js can be retried; a plain Error
+ * from agent code fails the task on the first attempt. Each attempt runs
+ * under an AbortSignal that timeouts, cancellation and pausing abort.
+ */
+
+import * as errors from './errors.js';
+
+const { RuvSwarmError, ValidationError } = errors;
+
+// Class names a policy may list in `retryOn`
+const ERROR_TYPES = Object.values(errors)
+  .filter(value => value === RuvSwarmError || value?.prototype instanceof RuvSwarmError)
+  .map(errorClass => errorClass.name);
+
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 1,
+  backoffMs: 1000,
+  backoffMultiplier: 2,
+  maxBackoffMs: 30000,
+  retryOn: Object.freeze(['ConcurrencyError', 'ResourceError', 'TimeoutError']),
+});
+
+function checkNumber(value, field, { min, integer = false }) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    throw new ValidationError(
+      `${field} must be ${integer ? 'an integer' : 'a number'} of at least ${min}`,
+      field,
+      value,
+      integer ? 'integer' : 'number',
+    );
+  }
+  return value;
+}
+
+/**
+ * Fill in defaults for a partial retry policy and validate it.
+ */
+function normalizeRetryPolicy(retry, field = 'retry') {
+  if (retry === undefined || retry === null) {
+    return { ...DEFAULT_RETRY_POLICY, retryOn: [...DEFAULT_RETRY_POLICY.retryOn] };
+  }
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    throw new ValidationError(`${field} must be an object`, field, retry, 'object');
+  }
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  checkNumber(policy.maxAttempts, `${field}.maxAttempts`, { min: 1, integer: true });
+  checkNumber(policy.backoffMs, `${field}.backoffMs`, { min: 0 });
+  checkNumber(policy.backoffMultiplier, `${field}.backoffMultiplier`, { min: 1 });
+  checkNumber(policy.maxBackoffMs, `${field}.maxBackoffMs`, { min: 0 });
+
+  if (!Array.isArray(policy.retryOn)) {
+    throw new ValidationError(`${field}.retryOn must be an array`, `${field}.retryOn`, policy.retryOn, 'array');
+  }
+  for (const type of policy.retryOn) {
+    if (!ERROR_TYPES.includes(type)) {
+      throw new ValidationError(
+        `${field}.retryOn contains unknown error type '${type}' (expected one of: ${ERROR_TYPES.join(', ')})`,
+        `${field}.retryOn`,
+        type,
+      );
+    }
+  }
+
+  return {
+    maxAttempts: policy.maxAttempts,
+    backoffMs: policy.backoffMs,
+    backoffMultiplier: policy.backoffMultiplier,
+    maxBackoffMs: policy.maxBackoffMs,
+    retryOn: [...policy.retryOn],
+  };
+}
+
+function normalizeTimeout(timeoutMs, field = 'timeoutMs') {
+  if (timeoutMs === undefined || timeoutMs === null) {
+    return null;
+  }
+  return checkNumber(timeoutMs, field, { min: 1, integer: true });
+}
+
+/**
+ * Class name of a classified error, or null for anything that did not come
+ * from src/errors.js.
+ */
+function classifyError(error) {
+  return error instanceof RuvSwarmError ? error.constructor.name : null;
+}
+
+function shouldRetry(policy, error, attempt) {
+  return attempt < policy.maxAttempts && policy.retryOn.includes(classifyError(error));
+}
+
+// Exponential backoff before the attempt after `attempt`
+function retryDelay(policy, attempt) {
+  return Math.min(policy.maxBackoffMs, policy.backoffMs * Math.pow(policy.backoffMultiplier, attempt - 1));
+}
+
+/**
+ * Settle with `promise`, or reject with the abort reason as soon as `signal`
+ * aborts. Agents that ignore the signal keep running in the background, but
+ * the task no longer waits for them.
+ */
+function untilAborted(promise, signal) {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// Wait `ms`, or reject with the abort reason as soon as `signal` aborts
+function abortableDelay(ms, signal) {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export {
+  ERROR_TYPES,
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  normalizeTimeout,
+  classifyError,
+  shouldRetry,
+  retryDelay,
+  untilAborted,
+  abortableDelay,
+};
@@ -0,0 +1,367 @@
+/**
+ * Tests for cluster mode: tasks and messages routed to worker processes,
+ * neural work on the workers, heartbeats, and agents rescheduled when their
+ * worker crashes
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { RuvSwarm, Swarm } from '../src/index-enhanced.js';
+import { ClusterCoordinator } from '../src/cluster/index.js';
+import { MessageBus } from '../src/message-bus/index.js';
+import { SwarmPersistencePooled } from '../src/persistence-pooled.js';
+import { ExecutorRegistry } from '../src/executors/index.js';
+import { NeuralAgent } from '../src/neural-agent.js';
+import { ResourceError, ValidationError } from '../src/errors.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The executor every worker loads; `input.op` picks what a task does
+const AGENT_MODULE = `
+export async function run(request, { receive, send }) {
+  const { op, ms, to } = request.input || {};
+  if (op === 'spin') {
+    const end = Date.now() + ms;
+    while (Date.now() < end) {
+      // Hogs the worker's event loop, heartbeats included
+    }
+  }
+  if (op === 'crash' && request.attempt === 1) {
+    process.exit(3);
+  }
+  if (op === 'send') {
+    await send({ to, type: 'note', payload: { from: request.agent.id } });
+  }
+  return { pid: process.pid, worker: process.env.RUV_SWARM_WORKER_ID, messages: receive().map(m => m.payload) };
+}
+`;
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the cluster');
+    }
+    await sleep(10);
+  }
+}
+
+async function createSwarm(cluster, persistence = null) {
+  const host = { features: { neural_networks: false }, persistence, activeSwarms: new Map(), executors: new ExecutorRegistry() };
+  cluster.attach(host);
+  const swarm = new Swarm('swarm-cluster', { id: 'swarm-cluster', agents: new Map(), tasks: new Map() }, host);
+  if (persistence) {
+    await persistence.createSwarm({ id: swarm.id, name: 'cluster', topology: 'mesh', maxAgents: 10, strategy: 'balanced' });
+  }
+  for (const id of ['agent-0', 'agent-1', 'agent-2']) {
+    await swarm.spawn({ id, type: 'coder', name: id, capabilities: [id], enableNeuralNetwork: false });
+  }
+  return swarm;
+}
+
+// A swarm whose agent-n runs its tasks through a NeuralAgent
+async function createNeuralSwarm(cluster) {
+  const host = {
+    features: { neural_networks: true },
+    wasmLoader: { loadModule: async() => null },
+    persistence: null,
+    activeSwarms: new Map(),
+    executors: new ExecutorRegistry(),
+  };
+  cluster.attach(host);
+  const swarm = new Swarm('swarm-neural', { id: 'swarm-neural', agents: new Map(), tasks: new Map() }, host);
+  await swarm.spawn({ id: 'agent-n', type: 'coder', name: 'agent-n', capabilities: ['agent-n'] });
+  return swarm;
+}
+
+async function runOn(swarm, agentId, options = {}) {
+  const task = await swarm.orchestrate({ description: `run on ${agentId}`, requiredCapabilities: [agentId], ...options });
+  await swarm.waitForTask(task.id, { pollIntervalMs: 5 });
+  return task;
+}
+
+async function runClusterTests() {
+  console.log('🧪 Starting Cluster Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-cluster-'));
+  const modulePath = path.join(testDir, 'agent.mjs');
+  fs.writeFileSync(modulePath, AGENT_MODULE);
+  const executors = { '*': { kind: 'module', module: modulePath, export: 'run' } };
+
+  try {
+    await test('should validate cluster options', () => {
+      assert.throws(() => new ClusterCoordinator({ workers: 0 }), ValidationError);
+      assert.throws(() => new ClusterCoordinator({ heartbeatInterval: 1000, heartbeatTimeout: 500 }), /heartbeatTimeout must be longer/);
+      assert.throws(() => new ClusterCoordinator({ executors: new ExecutorRegistry() }), /not a registry/);
+    });
+
+    await test('should run each agent\'s tasks on the worker it was placed on', async() => {
+      const cluster = new ClusterCoordinator({ workers: 2, executors });
+      try {
+        await cluster.start();
+        const swarm = await createSwarm(cluster);
+        assert.deepStrictEqual(cluster.status().placements, { 'agent-0': 'worker-1', 'agent-1': 'worker-2', 'agent-2': 'worker-1' });
+
+        const runs = [];
+        for (const agentId of ['agent-0', 'agent-1', 'agent-2', 'agent-1']) {
+          const task = await runOn(swarm, agentId);
+          assert.strictEqual(task.status, 'completed');
+          runs.push(task.result.agent_results[0].result);
+        }
+        assert.deepStrictEqual(runs.map(run => [run.worker, run.executor, run.workerExecutor]), [
+          ['worker-1', 'cluster', 'module'],
+          ['worker-2', 'cluster', 'module'],
+          ['worker-1', 'cluster', 'module'],
+          ['worker-2', 'cluster', 'module'],
+        ]);
+        assert(runs.every(run => run.result.pid !== process.pid), 'tasks run outside the coordinator');
+        assert.notStrictEqual(runs[0].result.pid, runs[1].result.pid);
+        assert.strictEqual(runs[0].result.worker, 'worker-1');
+      } finally {
+        await cluster.stop();
+      }
+    });
+
+    await test('should push bus messages to the worker hosting their recipient', async() => {
+      const bus = new MessageBus({ ackTimeout: 200 });
+      const cluster = new ClusterCoordinator({ workers: 2, executors, bus });
+      try {
+        await cluster.start();
+        const swarm = await createSwarm(cluster);
+        await bus.send({ from: 'hook-system', to: 'agent-1', payload: { n: 1 } });
+        await waitFor(() => cluster.unread.get('agent-1')?.size === 1);
+        // On the worker but unread: its lease is renewed rather than it being handed out again
+        await sleep(500);
+        assert.deepStrictEqual((await bus.inbox('agent-1')).map(message => [message.status, message.attempts]), [['delivered', 1]]);
+
+        const first = (await runOn(swarm, 'agent-1')).result.agent_results[0].result;
+        assert.deepStrictEqual(first.result.messages, [{ n: 1 }]);
+        await waitFor(() => cluster.unread.get('agent-1').size === 0);
+        await waitFor(async() => (await bus.inbox('agent-1')).length === 0);
+
+        // Sent from one worker's agent to an agent on the other worker
+        await runOn(swarm, 'agent-0', { input: { op: 'send', to: 'agent-1' } });
+        await waitFor(() => cluster.unread.get('agent-1').size === 1);
+        const second = (await runOn(swarm, 'agent-1')).result.agent_results[0].result;
+        assert.deepStrictEqual(second.result.messages, [{ from: 'agent-0' }]);
+        const [note] = await bus.history({ sender: 'agent-0' });
+        assert.strictEqual(note.to, 'agent-1');
+      } finally {
+        await cluster.stop();
+        bus.close();
+      }
+    });
+
+    await test('should hand messages no task read to the next coordinator', async() => {
+      const bus = new MessageBus({ ackTimeout: 200 });
+      const first = new ClusterCoordinator({ workers: 1, executors, bus });
+      const second = new ClusterCoordinator({ workers: 1, executors, bus });
+      try {
+        await first.start();
+        await createSwarm(first);
+        await bus.send({ from: 'hook-system', to: 'agent-1', payload: { n: 1 } });
+        await waitFor(() => first.unread.get('agent-1')?.size === 1);
+        await first.stop();
+
+        await second.start();
+        const swarm = await createSwarm(second);
+        await waitFor(() => second.unread.get('agent-1')?.size === 1);
+        const { result } = (await runOn(swarm, 'agent-1')).result.agent_results[0].result;
+        assert.deepStrictEqual(result.messages, [{ n: 1 }]);
+        await waitFor(async() => (await bus.inbox('agent-1')).length === 0);
+      } finally {
+        await first.stop();
+        await second.stop();
+        bus.close();
+      }
+    });
+
+    await test('should run a neural agent\'s analysis and learning on its worker', async() => {
+      const cluster = new ClusterCoordinator({ workers: 1, executors });
+      try {
+        await cluster.start();
+        const swarm = await createNeuralSwarm(cluster);
+        const agent = swarm.agents.get('agent-n');
+        assert(agent.neuralAgent, 'spawn gave the agent a neural agent');
+        assert(!(agent.neuralAgent instanceof NeuralAgent), 'the NeuralAgent itself lives on the worker');
+
+        const tasks = [await runOn(swarm, 'agent-n'), await runOn(swarm, 'agent-n')];
+        assert(tasks.every(task => task.status === 'completed'));
+        const run = tasks[1].result.agent_results[0].result;
+        assert.deepStrictEqual([run.worker, run.executor, run.workerExecutor], ['worker-1', 'cluster', 'module']);
+        assert.notStrictEqual(run.result.pid, process.pid);
+
+        // What the worker's NeuralAgent learned, for the agent's bids here
+        assert.deepStrictEqual(agent.neuralAgent.learningHistory.map(entry => entry.task), tasks.map(task => task.id));
+        assert(agent.neuralAgent.learningHistory.every(entry => entry.input.length > 0 && entry.performance > 0));
+        assert.strictEqual(run.learning, undefined);
+      } finally {
+        await cluster.stop();
+      }
+    });
+
+    await test('should train on a dataset on the agent\'s worker while the coordinator stays responsive', async() => {
+      const rows = Array.from({ length: 60 }, (_, t) => `${Math.sin(t / 4).toFixed(4)},${(t % 5) + 10}`);
+      const dataPath = path.join(testDir, 'load.csv');
+      fs.writeFileSync(dataPath, ['load,queue', ...rows].join('\n'));
+
+      const cluster = new ClusterCoordinator({ workers: 1, executors });
+      try {
+        await cluster.start();
+        const swarm = await createNeuralSwarm(cluster);
+        const reports = [];
+        const context = {
+          signal: new AbortController().signal,
+          progress: (progress, total, message) => reports.push({ progress, total, message }),
+        };
+
+        let ticks = 0;
+        const ticker = setInterval(() => ticks++, 20);
+        const startedAt = Date.now();
+        const training = await cluster.train(
+          swarm.agents.get('agent-n'),
+          { dataPath, target: 'load', window: 4 },
+          { modelType: 'lstm', iterations: 15, learningRate: 0.001 },
+          context,
+        );
+        const elapsed = Date.now() - startedAt;
+        clearInterval(ticker);
+
+        assert.strictEqual(training.trainingResults.length, 15);
+        assert.strictEqual(training.metrics.dataset, dataPath);
+        assert.deepStrictEqual(reports.map(report => report.progress), Array.from({ length: 15 }, (_, i) => i + 1));
+        assert.match(reports[14].message, /^Epoch 15\/15: loss/);
+        assert(ticks >= Math.floor(elapsed / 20 / 2), `the coordinator's event loop ran meanwhile (${ticks} ticks in ${elapsed}ms)`);
+      } finally {
+        await cluster.stop();
+      }
+    });
+
+    await test('should kill a worker that stops sending heartbeats while the coordinator stays responsive', async() => {
+      const cluster = new ClusterCoordinator({ workers: 2, executors, heartbeatInterval: 50, heartbeatTimeout: 400 });
+      const events = [];
+      cluster.on('worker_unresponsive', ({ workerId }) => events.push(['unresponsive', workerId]));
+      cluster.on('agent_rescheduled', ({ agentId, from, to }) => events.push(['rescheduled', agentId, from, to]));
+      try {
+        await cluster.start();
+        const swarm = await createSwarm(cluster);
+
+        let ticks = 0;
+        const ticker = setInterval(() => ticks++, 20);
+        const task = await runOn(swarm, 'agent-1', { input: { op: 'spin', ms: 5000 } });
+        clearInterval(ticker);
+
+        assert.strictEqual(task.status, 'failed');
+        assert.match(task.result.error, /Worker worker-2 was killed by SIGKILL/);
+        assert.strictEqual(task.result.error_type, 'ResourceError');
+        assert(ticks >= 10, `the coordinator's event loop ran meanwhile (${ticks} ticks)`);
+        assert.deepStrictEqual(events, [['unresponsive', 'worker-2'], ['rescheduled', 'agent-1', 'worker-2', 'worker-1']]);
+
+        await waitFor(() => cluster.status().workers.filter(worker => worker.status === 'ready').length === 2);
+        assert.deepStrictEqual(cluster.status().workers.map(worker => worker.id), ['worker-1', 'worker-3']);
+        assert.strictEqual((await runOn(swarm, 'agent-1')).status, 'completed');
+      } finally {
+        await cluster.stop();
+      }
+    });
+
+    await test('should retry a task whose worker crashed on the agent\'s new worker', async() => {
+      const pooled = new SwarmPersistencePooled(path.join(testDir, 'pooled.db'), { maxReaders: 1, maxWorkers: 1 });
+      await pooled.initialize();
+      const cluster = new ClusterCoordinator({ workers: 2, executors, store: pooled, clusterId: 'cluster-test' });
+      try {
+        await cluster.start();
+        const swarm = await createSwarm(cluster, pooled);
+        const task = await runOn(swarm, 'agent-0', { input: { op: 'crash' }, retry: { maxAttempts: 2, backoffMs: 1 } });
+
+        assert.strictEqual(task.status, 'completed');
+        assert.strictEqual(task.attempts, 2);
+        assert.strictEqual(task.result.agent_results[0].result.worker, 'worker-2');
+        assert.strictEqual(cluster.placements.get('agent-0'), 'worker-2');
+
+        assert.strictEqual((await pooled.getTask(task.id)).status, 'completed');
+
+        await cluster.stop();
+        const workers = await pooled.getClusterWorkers();
+        assert.deepStrictEqual(workers.map(worker => [worker.id, worker.status]), [
+          ['worker-1', 'crashed'],
+          ['worker-2', 'stopped'],
+          ['worker-3', 'stopped'],
+        ]);
+        assert.strictEqual(workers[0].exit_code, 3);
+        assert.deepStrictEqual(workers[0].agents, ['agent-0', 'agent-2']);
+        assert(workers.every(worker => worker.cluster_id === 'cluster-test' && worker.stopped_at));
+      } finally {
+        await cluster.stop();
+        await pooled.close();
+      }
+    });
+
+    await test('should stop the workers before RuvSwarm.destroy() resolves', async() => {
+      const cluster = new ClusterCoordinator({ workers: 2, executors });
+      await cluster.start();
+      const ruvSwarm = new RuvSwarm();
+      cluster.attach(ruvSwarm);
+      const children = [...cluster.workers.values()].map(worker => worker.child);
+
+      await ruvSwarm.destroy();
+      assert.strictEqual(ruvSwarm.cluster, null);
+      assert(children.every(child => child.exitCode !== null || child.signalCode !== null), 'every worker has exited');
+    });
+
+    await test('should fail tasks with a ResourceError when no worker is left', async() => {
+      const cluster = new ClusterCoordinator({ workers: 1, executors, respawn: false });
+      try {
+        await cluster.start();
+        const request = { taskId: 't1', swarmId: 's', agent: { id: 'a', type: 'coder', capabilities: [] }, input: { op: 'crash' }, attempt: 1 };
+        await assert.rejects(cluster.runTask(request), error => error instanceof ResourceError && /exited with code 3/.test(error.message));
+        await assert.rejects(cluster.runTask({ ...request, attempt: 2 }), /No cluster worker is available/);
+      } finally {
+        await cluster.stop();
+      }
+    });
+
+    await test('should report a worker that cannot load its executors', async() => {
+      const cluster = new ClusterCoordinator({ workers: 1, executors: path.join(testDir, 'missing.json') });
+      await assert.rejects(cluster.start(), /Cannot read executors config/);
+      assert.strictEqual(cluster.status().workers.length, 0);
+    });
+
+    console.log(`\n✅ Cluster Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runClusterTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('cluster.test.js')) {
+  runClusterTests().catch(error => {
+    console.error('Cluster test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,234 @@
+/**
+ * Tests for the streamable HTTP/SSE MCP transport
+ */
+
+import assert from 'assert';
+import { McpHttpTransport } from '../src/mcp-http-transport.js';
+
+const TOKEN = 'test-token';
+
+// Stands in for handleMcpRequest: echoes the method and counts calls per session
+function createHandler() {
+  const calls = [];
+  const handleMessage = async(request, { session, send }) => {
+    calls.push({ method: request.method, sessionId: session.id });
+    if (request.method === 'slow/echo') {
+      send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    if (request.method === 'broken') {
+      throw new Error('handler blew up');
+    }
+    return { jsonrpc: '2.0', id: request.id, result: { method: request.method, session: session.id } };
+  };
+  return { calls, handleMessage };
+}
+
+function headers(sessionId, extra = {}) {
+  return {
+    Authorization: `Bearer ${TOKEN}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    ...extra,
+  };
+}
+
+async function post(url, body, sessionId, extra) {
+  return fetch(url, { method: 'POST', headers: headers(sessionId, extra), body: JSON.stringify(body) });
+}
+
+async function initialize(url, name = 'test-client') {
+  const response = await post(url, { jsonrpc: '2.0', id: 0, method: 'initialize', params: { clientInfo: { name } } });
+  assert.strictEqual(response.status, 200);
+  return response.headers.get('mcp-session-id');
+}
+
+function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.startsWith('event: message'))
+    .map(block => JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+}
+
+async function runMcpHttpTransportTests() {
+  console.log('Running MCP HTTP Transport Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const { calls, handleMessage } = createHandler();
+  const transport = new McpHttpTransport({ port: 0, token: TOKEN, handleMessage });
+  const url = await transport.start();
+
+  try {
+    await test('should reject requests without the bearer token', async() => {
+      const missing = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+      assert.strictEqual(missing.status, 401);
+      assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+
+      const wrong = await post(url, { jsonrpc: '2.0', id: 1, method: 'initialize' }, null, { Authorization: 'Bearer nope' });
+      assert.strictEqual(wrong.status, 401);
+      assert.strictEqual(transport.sessions.size, 0);
+    });
+
+    await test('should refuse browser origins other than localhost', async() => {
+      const request = { jsonrpc: '2.0', id: 1, method: 'initialize' };
+      // A page on a rebound name carries its own origin, and is refused even with the token
+      const rebound = await post(url, request, null, { Origin: `http://attacker.example:${transport.server.address().port}` });
+      assert.strictEqual(rebound.status, 403);
+      assert.match((await rebound.json()).error.message, /origin http:\/\/attacker\.example:\d+ is not allowed/);
+      assert.strictEqual((await post(url, request, null, { Origin: 'null' })).status, 403);
+      assert.strictEqual(transport.sessions.size, 0);
+
+      for (const origin of ['http://localhost:5173', 'https://127.0.0.1', 'http://[::1]:8080']) {
+        assert.strictEqual((await post(url, request, null, { Origin: origin })).status, 200, origin);
+      }
+      // Editors and CLIs send no Origin at all
+      assert.strictEqual((await post(url, request)).status, 200);
+    });
+
+    await test('should allow only the configured origins when given', async() => {
+      const configured = new McpHttpTransport({ port: 0, token: TOKEN, handleMessage, allowedOrigins: ['https://app.example.com/'] });
+      const configuredUrl = await configured.start();
+      try {
+        const request = { jsonrpc: '2.0', id: 1, method: 'initialize' };
+        assert.strictEqual((await post(configuredUrl, request, null, { Origin: 'https://app.example.com' })).status, 200);
+        assert.strictEqual((await post(configuredUrl, request, null, { Origin: 'http://app.example.com' })).status, 403);
+        assert.strictEqual((await post(configuredUrl, request, null, { Origin: 'http://localhost:5173' })).status, 403);
+      } finally {
+        await configured.stop();
+      }
+    });
+
+    await test('should generate a token when none is configured', () => {
+      const generated = new McpHttpTransport({ handleMessage });
+      assert(generated.tokenGenerated);
+      assert.strictEqual(generated.token.length, 48);
+    });
+
+    await test('should open a session on initialize and require it afterwards', async() => {
+      const sessionId = await initialize(url);
+      assert(sessionId);
+      assert.strictEqual(transport.sessions.get(sessionId).clientInfo.name, 'test-client');
+
+      const response = await post(url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId);
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { jsonrpc: '2.0', id: 2, result: { method: 'tools/list', session: sessionId } });
+
+      assert.strictEqual((await post(url, { jsonrpc: '2.0', id: 3, method: 'tools/list' })).status, 400);
+      assert.strictEqual((await post(url, { jsonrpc: '2.0', id: 4, method: 'tools/list' }, 'no-such-session')).status, 404);
+    });
+
+    await test('should keep concurrent clients in separate sessions on one handler', async() => {
+      const [a, b] = await Promise.all([initialize(url, 'editor-a'), initialize(url, 'editor-b')]);
+      assert.notStrictEqual(a, b);
+
+      const [resA, resB] = await Promise.all([
+        post(url, { jsonrpc: '2.0', id: 1, method: 'ping' }, a).then(r => r.json()),
+        post(url, { jsonrpc: '2.0', id: 1, method: 'ping' }, b).then(r => r.json()),
+      ]);
+      assert.strictEqual(resA.result.session, a);
+      assert.strictEqual(resB.result.session, b);
+      assert(calls.some(call => call.sessionId === a) && calls.some(call => call.sessionId === b));
+    });
+
+    await test('should answer batches and accept notifications with 202', async() => {
+      const sessionId = await initialize(url);
+      const batch = await post(url, [
+        { jsonrpc: '2.0', id: 'x', method: 'first' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 'y', method: 'second' },
+      ], sessionId);
+      assert.deepStrictEqual((await batch.json()).map(r => r.id), ['x', 'y']);
+
+      const notification = await post(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+      assert.strictEqual(notification.status, 202);
+      assert(calls.some(call => call.method === 'notifications/initialized'));
+    });
+
+    await test('should stream responses over SSE when the client accepts it', async() => {
+      const sessionId = await initialize(url);
+      const response = await post(url, { jsonrpc: '2.0', id: 7, method: 'slow/echo' }, sessionId, {
+        Accept: 'application/json, text/event-stream',
+      });
+      assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+      const events = parseEvents(await response.text());
+      assert.strictEqual(events.length, 2);
+      assert.strictEqual(events[0].method, 'notifications/progress');
+      assert.strictEqual(events[1].id, 7);
+    });
+
+    await test('should push server messages to a GET stream', async() => {
+      const sessionId = await initialize(url);
+      const controller = new AbortController();
+      const stream = await fetch(url, {
+        headers: { ...headers(sessionId), Accept: 'text/event-stream' },
+        signal: controller.signal,
+      });
+      assert.strictEqual(stream.status, 200);
+      const reader = stream.body.getReader();
+      await reader.read(); // stream-open comment
+
+      assert.strictEqual(transport.notify(sessionId, { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info' } }), true);
+      const { value } = await reader.read();
+      const [event] = parseEvents(new TextDecoder().decode(value));
+      assert.strictEqual(event.method, 'notifications/message');
+      controller.abort();
+
+      const noStream = await initialize(url);
+      assert.strictEqual(transport.notify(noStream, { jsonrpc: '2.0', method: 'x' }), false);
+    });
+
+    await test('should turn handler errors into JSON-RPC errors', async() => {
+      const sessionId = await initialize(url);
+      const body = await (await post(url, { jsonrpc: '2.0', id: 9, method: 'broken' }, sessionId)).json();
+      assert.strictEqual(body.error.code, -32603);
+      assert.strictEqual(body.error.data, 'handler blew up');
+
+      const parseError = await fetch(url, { method: 'POST', headers: headers(sessionId), body: '{not json' });
+      assert.strictEqual(parseError.status, 400);
+      assert.strictEqual((await parseError.json()).error.code, -32700);
+    });
+
+    await test('should end a session on DELETE', async() => {
+      const sessionId = await initialize(url);
+      const response = await fetch(url, { method: 'DELETE', headers: headers(sessionId) });
+      assert.strictEqual(response.status, 204);
+      assert(!transport.sessions.has(sessionId));
+      assert.strictEqual((await post(url, { jsonrpc: '2.0', id: 1, method: 'ping' }, sessionId)).status, 404);
+    });
+
+    console.log(`\n✅ MCP HTTP Transport Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    await transport.stop();
+  }
+}
+
+// Export for use in other test runners
+export { runMcpHttpTransportTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('mcp-http-transport.test.js')) {
+  runMcpHttpTransportTests().catch(error => {
+    console.error('MCP HTTP transport test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Tests for MCP progress notifications and request cancellation
+ */
+
+import assert from 'assert';
+import { ToolContext, McpRequestRegistry } from '../src/mcp-progress.js';
+import { McpHttpTransport } from '../src/mcp-http-transport.js';
+import { Swarm } from '../src/index-enhanced.js';
+import { CancellationError } from '../src/errors.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function createSwarm(workMs) {
+  const host = { features: { neural_networks: false }, persistence: null, activeSwarms: new Map() };
+  const swarm = new Swarm('swarm-progress', { id: 'swarm-progress', agents: new Map(), tasks: new Map() }, host);
+  for (let i = 0; i < 2; i++) {
+    const agent = await swarm.spawn({ id: `agent-${i}`, type: 'coder', name: `coder-${i}`, enableNeuralNetwork: false });
+    agent.execute = async(task, { signal }) => {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, workMs);
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      });
+      return { status: 'completed', result: 'done', executionTime: workMs };
+    };
+  }
+  return swarm;
+}
+
+// A CPU-bound "training" loop in the shape neural_train uses
+async function train(epochs, context) {
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    await context.checkpoint();
+    context.progress(epoch, epochs, `Epoch ${epoch}/${epochs}`);
+  }
+  return { epochs };
+}
+
+async function runMcpProgressTests() {
+  console.log('Running MCP Progress Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  await test('should send increasing progress only when the client asked for it', () => {
+    const sent = [];
+    const context = new ToolContext({ progressToken: 'tok-1', send: message => sent.push(message) });
+
+    assert.strictEqual(context.progress(1, 3, 'one'), true);
+    assert.strictEqual(context.progress(1, 3), false);
+    assert.strictEqual(context.progress(2), true);
+    assert.deepStrictEqual(sent[0], {
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: 'tok-1', progress: 1, total: 3, message: 'one' },
+    });
+    assert.deepStrictEqual(sent[1].params, { progressToken: 'tok-1', progress: 2 });
+
+    const silent = new ToolContext({ send: message => sent.push(message) });
+    assert.strictEqual(silent.progress(1, 3), false);
+    assert.strictEqual(sent.length, 2);
+  });
+
+  await test('should cancel in-flight requests by id', async() => {
+    const registry = new McpRequestRegistry();
+    const context = registry.start({ id: 7, params: { _meta: { progressToken: 'p' } } }, () => {});
+    assert.strictEqual(context.progressToken, 'p');
+    assert.strictEqual(registry.cancel(99), false);
+
+    // Let the loop start, then cancel it between two epochs
+    const run = train(1000, context);
+    await sleep(0);
+    assert.strictEqual(registry.cancel(7, 'user gave up'), true);
+
+    await assert.rejects(run, error => error instanceof CancellationError && error.reason === 'user gave up');
+    assert.strictEqual(registry.size, 0);
+    assert.strictEqual(context.progress(5000), false);
+  });
+
+  await test('should report subtasks done while waiting on a task graph', async() => {
+    const swarm = await createSwarm(20);
+    const parent = await swarm.orchestrate({
+      description: 'graph',
+      subtasks: [
+        { id: 'a', description: 'a' },
+        { id: 'b', description: 'b' },
+        { id: 'c', description: 'c', dependsOn: ['a', 'b'] },
+      ],
+    });
+
+    const reports = [];
+    const task = await swarm.waitForTask(parent.id, {
+      pollIntervalMs: 5,
+      onProgress: (settled, total) => reports.push([settled, total]),
+    });
+    assert.strictEqual(task.status, 'completed');
+    assert.deepStrictEqual(reports[0], [0, 3]);
+    assert.deepStrictEqual(reports[reports.length - 1], [3, 3]);
+  });
+
+  await test('should cancel the task when the wait is aborted', async() => {
+    const swarm = await createSwarm(5000);
+    const task = await swarm.orchestrate({ description: 'long' });
+    const controller = new AbortController();
+
+    const waiting = swarm.waitForTask(task.id, { signal: controller.signal, pollIntervalMs: 5 });
+    await sleep(20);
+    controller.abort(new CancellationError('cancelled', 'tools/call', 'client closed the tab'));
+
+    await assert.rejects(waiting, CancellationError);
+    assert.strictEqual(task.status, 'cancelled');
+    assert.strictEqual(task.result.reason, 'client closed the tab');
+  });
+
+  await test('should stream progress and honour notifications/cancelled over HTTP', async() => {
+    const transport = new McpHttpTransport({
+      port: 0,
+      token: 'secret',
+      // The same wiring bin/ruv-swarm-secure.js gives handleMcpRequest
+      handleMessage: async(request, { session, send }) => {
+        if (request.method === 'notifications/cancelled') {
+          session.requests.cancel(request.params.requestId, request.params.reason);
+          return null;
+        }
+        if (request.method === 'initialize') {
+          return { jsonrpc: '2.0', id: request.id, result: {} };
+        }
+        const context = session.requests.start(request, send);
+        try {
+          const result = await train(request.params.arguments.epochs, context);
+          return { jsonrpc: '2.0', id: request.id, result };
+        } catch (error) {
+          return context.cancelled ? null : { jsonrpc: '2.0', id: request.id, error: { code: -32603, message: error.message } };
+        } finally {
+          session.requests.finish(request.id);
+        }
+      },
+    });
+    const url = await transport.start();
+    const headers = { Authorization: 'Bearer secret', 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+
+    try {
+      const init = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ jsonrpc: '2.0', id: 0, method: 'initialize' }) });
+      const sessionHeaders = { ...headers, 'Mcp-Session-Id': init.headers.get('mcp-session-id') };
+      const call = (id, epochs) => fetch(url, {
+        method: 'POST',
+        headers: sessionHeaders,
+        body: JSON.stringify({ jsonrpc: '2.0', id, method: 'tools/call', params: { arguments: { epochs }, _meta: { progressToken: `train-${id}` } } }),
+      });
+
+      const finished = await (await call(1, 3)).text();
+      const events = finished.split('\n\n').filter(Boolean).map(block => JSON.parse(block.split('data: ')[1]));
+      assert.deepStrictEqual(events.slice(0, 3).map(e => e.params.progress), [1, 2, 3]);
+      assert.deepStrictEqual(events[3], { jsonrpc: '2.0', id: 1, result: { epochs: 3 } });
+
+      const stream = await call(2, 1e9);
+      const reader = stream.body.getReader();
+      await reader.read(); // first progress event
+      const cancel = await fetch(url, {
+        method: 'POST',
+        headers: sessionHeaders,
+        body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 2, reason: 'stop' } }),
+      });
+      assert.strictEqual(cancel.status, 202);
+
+      let rest = '';
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        rest += new TextDecoder().decode(chunk.value);
+      }
+      // The stream ends without a reply to the cancelled call
+      assert(!rest.includes('"id":2'));
+      assert.strictEqual([...transport.sessions.values()][0].requests.size, 0);
+    } finally {
+      await transport.stop();
+    }
+  });
+
+  console.log(`\n✅ MCP Progress Tests completed: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} tests failed`);
+  }
+}
+
+// Export for use in other test runners
+export { runMcpProgressTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('mcp-progress.test.js')) {
+  runMcpProgressTests().catch(error => {
+    console.error('MCP progress test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * Tests for the MCP prompts built from the Claude Code commands
+ */
+
+import assert from 'assert';
+import { PromptCatalogue } from '../src/mcp-prompts.js';
+import { ClaudeDocsGenerator } from '../src/claude-integration/docs.js';
+import { ValidationError } from '../src/errors.js';
+
+async function runMcpPromptsTests() {
+  console.log('Running MCP Prompts Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const generator = new ClaudeDocsGenerator();
+  const catalogue = new PromptCatalogue(generator);
+
+  await test('should list one prompt per generated command file', () => {
+    const files = [
+      ...Object.keys(generator.getCommandDefinitions()),
+      ...Object.keys(generator.advancedGenerator.getCommandDefinitions()),
+    ];
+    const names = catalogue.list().map(prompt => prompt.name);
+    assert.strictEqual(names.length, files.length);
+    assert(names.includes('coordination-init'));
+    assert(names.includes('optimization-auto-topology'));
+  });
+
+  await test('should describe tool arguments from the validation schema', () => {
+    const init = catalogue.list().find(prompt => prompt.name === 'coordination-init');
+    assert.deepStrictEqual(init.arguments.map(arg => arg.name), ['topology', 'maxAgents', 'strategy']);
+    assert.strictEqual(init.arguments[0].description, 'One of mesh, hierarchical, ring, star. Example: mesh');
+    assert.strictEqual(init.arguments[1].description, 'Integer from 1 to 100. Example: 5');
+    assert(init.arguments.every(arg => arg.required === false));
+
+    const workflow = catalogue.list().find(prompt => prompt.name === 'workflows-research');
+    assert.deepStrictEqual(workflow.arguments, []);
+  });
+
+  await test('should render the same markdown as the command file when given no arguments', () => {
+    const definitions = generator.getCommandDefinitions();
+    const prompt = catalogue.get('coordination-init');
+    assert.strictEqual(prompt.messages[0].role, 'user');
+    assert.strictEqual(prompt.messages[0].content.text, generator.renderCommand(definitions['coordination/init.md']));
+
+    const advanced = catalogue.get('automation-self-healing');
+    assert.strictEqual(advanced.messages[0].content.text, generator.advancedGenerator.getCommandDefinitions()['automation/self-healing.md'].content);
+  });
+
+  await test('should substitute typed arguments into the tool parameters', () => {
+    const { text } = catalogue.get('coordination-init', { topology: 'star', maxAgents: '3' }).messages[0].content;
+    assert(text.includes('{"topology": "star", "maxAgents": 3, "strategy": "balanced"}'));
+    assert(!text.includes('"topology": "mesh"'));
+
+    const spawn = catalogue.get('coordination-spawn', { capabilities: 'unit, e2e' }).messages[0].content.text;
+    assert(spawn.includes('"capabilities": ["unit","e2e"]'));
+  });
+
+  await test('should reject unknown prompts and invalid arguments', () => {
+    assert.strictEqual(catalogue.get('no-such-prompt'), null);
+    assert.throws(() => catalogue.get('coordination-init', { topology: 'blob' }), ValidationError);
+    assert.throws(() => catalogue.get('coordination-init', { maxAgents: 'many' }), ValidationError);
+    assert.throws(() => catalogue.get('coordination-init', { colour: 'red' }), /Unknown argument/);
+    assert.throws(() => catalogue.get('hooks-setup', { task: 'x' }), /Unknown argument/);
+  });
+
+  console.log(`\n✅ MCP Prompts Tests completed: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} tests failed`);
+  }
+}
+
+// Export for use in other test runners
+export { runMcpPromptsTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('mcp-prompts.test.js')) {
+  runMcpPromptsTests().catch(error => {
+    console.error('MCP prompts test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,160 @@
+/**
+ * Tests for live swarm:// MCP resources and their subscriptions
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SwarmPersistence } from '../src/persistence.js';
+import { SwarmResources, RESOURCE_TEMPLATES } from '../src/mcp-resources.js';
+
+function seed(persistence) {
+  persistence.createSwarm({ id: 'swarm-1', name: 'research', topology: 'mesh', maxAgents: 4, strategy: 'balanced', metadata: { owner: 'tests' } });
+  persistence.createAgent({ id: 'agent-1', swarmId: 'swarm-1', name: 'coder-1', type: 'coder', capabilities: ['js'] });
+  persistence.createTask({ id: 'task-1', swarmId: 'swarm-1', description: 'write the parser', assignedAgents: ['agent-1'] });
+  persistence.createTask({ id: 'task-2', swarmId: 'swarm-1', description: 'review it' });
+}
+
+function readJson(resource) {
+  assert.strictEqual(resource.contents[0].mimeType, 'application/json');
+  return JSON.parse(resource.contents[0].text);
+}
+
+async function runMcpResourcesTests() {
+  console.log('Running MCP Resources Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-resources-'));
+  const persistence = new SwarmPersistence(path.join(testDir, 'resources.db'));
+  seed(persistence);
+  const resources = new SwarmResources(persistence, { pollIntervalMs: 10 });
+
+  try {
+    await test('should list a resource per swarm, agent and task', async() => {
+      const uris = (await resources.list()).map(r => r.uri);
+      assert.deepStrictEqual(uris.sort(), [
+        'swarm://agents/agent-1/memory',
+        'swarm://neural/agent-1/metrics',
+        'swarm://swarms/swarm-1',
+        'swarm://tasks/task-1/results',
+        'swarm://tasks/task-2/results',
+      ]);
+      assert.deepStrictEqual(RESOURCE_TEMPLATES.map(t => t.uriTemplate), [
+        'swarm://swarms/{id}',
+        'swarm://agents/{id}/memory',
+        'swarm://tasks/{id}/results',
+        'swarm://neural/{agentId}/metrics',
+      ]);
+    });
+
+    await test('should read swarm state with agents and task counts', async() => {
+      persistence.updateTask('task-1', { status: 'completed' });
+      const state = readJson(await resources.read('swarm://swarms/swarm-1'));
+      assert.strictEqual(state.swarm.topology, 'mesh');
+      assert.deepStrictEqual(state.swarm.metadata, { owner: 'tests' });
+      assert.deepStrictEqual(state.agents.map(a => a.name), ['coder-1']);
+      assert.deepStrictEqual(state.tasks, { total: 2, by_status: { completed: 1, pending: 1 } });
+    });
+
+    await test('should read agent memory, task results and neural metrics', async() => {
+      persistence.storeMemory('agent-1', 'plan', { step: 2 });
+      const memory = readJson(await resources.read('swarm://agents/agent-1/memory'));
+      assert.deepStrictEqual(memory.entries.map(e => [e.key, e.value]), [['plan', { step: 2 }]]);
+
+      persistence.db.prepare('INSERT INTO task_results (id, task_id, agent_id, output, metrics) VALUES (?, ?, ?, ?, ?)')
+        .run('result-1', 'task-1', 'agent-1', JSON.stringify({ lines: 120 }), JSON.stringify({ ms: 40 }));
+      const results = readJson(await resources.read('swarm://tasks/task-1/results'));
+      assert.strictEqual(results.task.status, 'completed');
+      assert.deepStrictEqual(results.agent_results[0].output, { lines: 120 });
+      assert.strictEqual(results.agent_results[0].agent_name, 'coder-1');
+
+      persistence.storeNeuralNetwork({ agentId: 'agent-1', architecture: { layers: [4, 2] }, weights: [[0.5]], performanceMetrics: { accuracy: 0.9 } });
+      persistence.recordMetric('agent', 'agent-1', 'tasks_completed', 1);
+      const neural = readJson(await resources.read('swarm://neural/agent-1/metrics'));
+      assert.deepStrictEqual(neural.networks[0].performance_metrics, { accuracy: 0.9 });
+      assert(!('weights' in neural.networks[0]));
+      assert.strictEqual(neural.metrics[0].metric_name, 'tasks_completed');
+    });
+
+    await test('should return null for unknown URIs and missing rows', async() => {
+      assert.strictEqual(await resources.read('swarm://swarms/nope'), null);
+      assert.strictEqual(await resources.read('swarm://agents/nope/memory'), null);
+      assert.strictEqual(await resources.read('swarm://docs/getting-started'), null);
+      assert(!SwarmResources.isSwarmResource('swarm://docs/getting-started'));
+      assert.strictEqual(await resources.subscribe('swarm://tasks/nope/results', 'client', () => {}), false);
+      assert.strictEqual(resources.pollTimer, null);
+    });
+
+    await test('should notify subscribers when the row changes and stop after unsubscribe', async() => {
+      const uri = 'swarm://tasks/task-2/results';
+      const received = { a: [], b: [] };
+      assert(await resources.subscribe(uri, 'a', message => received.a.push(message)));
+      assert(await resources.subscribe(uri, 'b', message => received.b.push(message)));
+
+      await resources.poll();
+      assert.strictEqual(received.a.length, 0, 'no notification without a change');
+
+      persistence.updateTask('task-2', { status: 'in_progress' });
+      await resources.poll();
+      assert.deepStrictEqual(received.a, [{ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } }]);
+      assert.strictEqual(received.b.length, 1);
+
+      resources.unsubscribe(uri, 'a');
+      persistence.updateTask('task-2', { status: 'completed' });
+      await resources.poll();
+      assert.strictEqual(received.a.length, 1);
+      assert.strictEqual(received.b.length, 2);
+
+      resources.unsubscribeAll('b');
+      assert.strictEqual(resources.subscriptions.size, 0);
+      assert.strictEqual(resources.pollTimer, null);
+    });
+
+    await test('should pick up changes on its own poll timer', async() => {
+      const updates = [];
+      assert(await resources.subscribe('swarm://agents/agent-1/memory', 'client', message => updates.push(message)));
+      persistence.storeMemory('agent-1', 'plan', { step: 3 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.strictEqual(updates.length, 1);
+      resources.stop();
+      assert.strictEqual(resources.pollTimer, null);
+    });
+
+    console.log(`\n✅ MCP Resources Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    resources.stop();
+    persistence.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runMcpResourcesTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('mcp-resources.test.js')) {
+  runMcpResourcesTests().catch(error => {
+    console.error('MCP resources test error:', error);
+    process.exit(1);
+  });
+}
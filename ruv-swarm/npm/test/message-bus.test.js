@@ -0,0 +1,331 @@
+/**
+ * Tests for the inter-agent message bus: acks and redelivery, topics, TTLs,
+ * tracing and inboxes that survive a restart
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { MessageBus } from '../src/message-bus/index.js';
+import { SwarmPersistence } from '../src/persistence.js';
+import { SwarmPersistencePooled } from '../src/persistence-pooled.js';
+import { DAACognition } from '../src/daa-cognition.js';
+import { NeuralNetworkManager } from '../src/neural-network-manager.js';
+import { ValidationError } from '../src/errors.js';
+import { ValidationUtils } from '../src/schemas.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A bus on a clock the test moves by hand
+function createBus(options = {}) {
+  const clock = { time: 1_000_000 };
+  const bus = new MessageBus({ ackTimeout: 1000, maxAttempts: 3, now: () => clock.time, ...options });
+  return { bus, clock };
+}
+
+async function runMessageBusTests() {
+  console.log('🧪 Starting Message Bus Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-bus-'));
+
+  try {
+    await test('should redeliver unacked messages until they are acked or dead', async() => {
+      const { bus, clock } = createBus();
+      const first = await bus.send({ from: 'a', to: 'b', type: 'greeting', payload: { text: 'hi' } });
+      const second = await bus.send({ from: 'a', to: 'b', payload: { n: 2 } });
+      assert.deepStrictEqual(first.recipients, ['b']);
+
+      const delivered = await bus.receive('b');
+      assert.deepStrictEqual(delivered.map(m => m.id), [first.id, second.id]);
+      assert.deepStrictEqual(delivered[0].payload, { text: 'hi' });
+      assert.strictEqual(delivered[0].attempts, 1);
+      // Hidden until the ack timeout passes
+      assert.deepStrictEqual(await bus.receive('b'), []);
+
+      assert.deepStrictEqual(await bus.ack('b', [first.id, 'msg-unknown']), [first.id]);
+      clock.time += 1000;
+      const again = await bus.receive('b');
+      assert.deepStrictEqual(again.map(m => [m.id, m.attempts]), [[second.id, 2]]);
+
+      clock.time += 1000;
+      assert.strictEqual((await bus.receive('b'))[0].attempts, 3);
+      clock.time += 1000;
+      assert.deepStrictEqual(await bus.receive('b'), []);
+      assert.deepStrictEqual((await bus.inbox('b', { status: 'dead' })).map(m => m.id), [second.id]);
+      assert.deepStrictEqual(await bus.ack('b', [second.id]), []);
+    });
+
+    await test('should fan topic messages out to subscribers, sender excluded', async() => {
+      const { bus } = createBus();
+      await bus.subscribe('a', 'notifications.*');
+      await bus.subscribe('b', 'notifications.error');
+      await bus.subscribe('c', 'metrics');
+      await bus.subscribe('d', '*');
+      assert.strictEqual(await bus.subscribe('d', '*'), false);
+
+      const error = await bus.send({ from: 'a', topic: 'notifications.error', payload: { message: 'disk full' } });
+      assert.deepStrictEqual(error.recipients, ['b', 'd']);
+      const info = await bus.send({ from: 'c', topic: 'notifications.info' });
+      assert.deepStrictEqual(info.recipients, ['a', 'd']);
+      // A prefix is not a subscription to the bare topic
+      assert.deepStrictEqual((await bus.send({ from: 'c', topic: 'notifications' })).recipients, ['d']);
+
+      assert.strictEqual(await bus.unsubscribe('d', '*'), true);
+      assert.deepStrictEqual((await bus.send({ from: 'x', topic: 'metrics' })).recipients, ['c']);
+      assert.deepStrictEqual(await bus.subscriptions('a'), ['notifications.*']);
+
+      const history = await bus.history({ topic: 'notifications.*' });
+      assert.deepStrictEqual(history.map(m => m.topic), ['notifications.info', 'notifications.error']);
+    });
+
+    await test('should reject malformed messages', async() => {
+      const { bus } = createBus();
+      await assert.rejects(bus.send({ to: 'b' }), ValidationError);
+      await assert.rejects(bus.send({ from: 'a' }), /either to an agent or to a topic/);
+      await assert.rejects(bus.send({ from: 'a', to: 'b', topic: 't' }), /either to an agent or to a topic/);
+      await assert.rejects(bus.send({ from: 'a', to: 'b', ttl: 0 }), /ttl must be a positive/);
+      await assert.rejects(bus.inbox('b', { status: 'lost' }), /Unknown inbox status/);
+
+      assert.throws(() => ValidationUtils.validateParams({ from: 'a', topic: 'bad topic' }, 'agent_send'), ValidationError);
+      assert.throws(() => ValidationUtils.validateParams({ agentId: 'b', messageIds: ['x'] }, 'agent_inbox'), ValidationError);
+      const params = ValidationUtils.validateParams({ agentId: 'hook-system' }, 'agent_inbox');
+      assert.strictEqual(params.action, 'receive');
+      assert.strictEqual(params.status, 'unacked');
+    });
+
+    await test('should expire messages past their TTL', async() => {
+      const { bus, clock } = createBus({ defaultTtl: 5000 });
+      const short = await bus.send({ from: 'a', to: 'b', ttl: 500 });
+      const long = await bus.send({ from: 'a', to: 'b' });
+      assert.strictEqual(long.expiresAt, clock.time + 5000);
+
+      clock.time += 500;
+      const [trace] = await bus.trace(short.traceId);
+      assert.strictEqual(trace.deliveries[0].status, 'expired');
+      assert.deepStrictEqual((await bus.receive('b')).map(m => m.id), [long.id]);
+      assert.deepStrictEqual((await bus.inbox('b', { status: 'expired' })).map(m => m.id), [short.id]);
+    });
+
+    await test('should purge messages nobody waits for once their retention has passed', async() => {
+      const { bus, clock } = createBus({ retention: 10000, purgeInterval: 0 });
+      const acked = await bus.send({ from: 'a', to: 'b' });
+      await bus.send({ from: 'a', to: 'c', ttl: 500 });
+      const waiting = await bus.send({ from: 'a', to: 'd' });
+      await bus.ack('b', [acked.id]);
+
+      assert.strictEqual(await bus.purge(), 0);
+      clock.time += 10001;
+      // The acked and the expired message go; the unread one stays however old it is
+      assert.strictEqual(await bus.purge(), 2);
+      assert.deepStrictEqual((await bus.history()).map(m => m.id), [waiting.id]);
+      assert.deepStrictEqual((await bus.inbox('c', { status: 'all' })), []);
+      assert.deepStrictEqual((await bus.inbox('d')).map(m => m.id), [waiting.id]);
+    });
+
+    await test('should keep topic history, notifications nobody subscribed to included', async() => {
+      const { bus, clock } = createBus({ retention: 10000, purgeInterval: 0 });
+      const notification = await bus.send({ from: 'hook-system', topic: 'notifications.progress', type: 'notification' });
+      assert.deepStrictEqual(notification.recipients, []);
+
+      clock.time += 10001;
+      assert.strictEqual(await bus.purge(), 0);
+      assert.deepStrictEqual((await bus.history({ topic: 'notifications.*' })).map(m => m.id), [notification.id]);
+
+      bus.topicRetention = 20000;
+      clock.time += 10000;
+      assert.strictEqual(await bus.purge(), 1);
+      assert.deepStrictEqual(await bus.history(), []);
+    });
+
+    await test('should ignore resent ids and trace replies', async() => {
+      const { bus, clock } = createBus();
+      const request = await bus.send({ id: 'msg-request-1', from: 'a', to: 'b', type: 'question' });
+      const resent = await bus.send({ id: 'msg-request-1', from: 'a', to: 'b', type: 'question' });
+      assert.strictEqual(resent.duplicate, true);
+      assert.strictEqual(resent.traceId, request.traceId);
+      assert.strictEqual((await bus.inbox('b')).length, 1);
+
+      const [question] = await bus.receive('b');
+      await bus.ack('b', [question.id]);
+      clock.time += 10;
+      const answer = await bus.send({ from: 'b', to: 'a', type: 'answer', replyTo: question.id });
+      assert.strictEqual(answer.traceId, request.traceId);
+
+      const trace = await bus.trace(answer.id);
+      assert.deepStrictEqual(trace.map(m => m.type), ['question', 'answer']);
+      assert.deepStrictEqual(trace[0].deliveries.map(d => [d.agentId, d.status, d.attempts]), [['b', 'acked', 1]]);
+      assert.deepStrictEqual(trace[1].deliveries.map(d => [d.agentId, d.status]), [['a', 'pending']]);
+      assert.strictEqual(trace[1].replyTo, question.id);
+    });
+
+    await test('should keep inboxes and subscriptions across a restart', async() => {
+      const dbPath = path.join(testDir, 'restart.db');
+      let store = new SwarmPersistence(dbPath);
+      let { bus, clock } = createBus({ store });
+      await bus.subscribe('b', 'alerts');
+      const alert = await bus.send({ from: 'a', topic: 'alerts', payload: { level: 'high' } });
+      const taken = await bus.send({ from: 'a', to: 'b' });
+      await bus.receive('b', { limit: 1 });
+      assert.strictEqual((await bus.inbox('b')).length, 2);
+      store.close();
+
+      store = new SwarmPersistence(dbPath);
+      ({ bus, clock } = createBus({ store }));
+      clock.time += 1000;
+      const delivered = await bus.receive('b');
+      assert.deepStrictEqual(delivered.map(m => [m.id, m.attempts]), [[alert.id, 2], [taken.id, 1]]);
+      assert.deepStrictEqual(delivered[0].payload, { level: 'high' });
+      assert.deepStrictEqual((await bus.send({ from: 'a', topic: 'alerts' })).recipients, ['b']);
+      store.close();
+    });
+
+    await test('should share the queue with the pooled persistence layer', async() => {
+      const pooled = new SwarmPersistencePooled(path.join(testDir, 'pooled.db'), { maxReaders: 1, maxWorkers: 1 });
+      await pooled.initialize();
+      try {
+        const { bus, clock } = createBus({ store: pooled, topicRetention: 10000 });
+        await bus.subscribe('b', 'jobs.*');
+        const job = await bus.send({ from: 'a', topic: 'jobs.build', payload: { target: 'wasm' } });
+        assert.deepStrictEqual(job.recipients, ['b']);
+
+        const [message] = await bus.receive('b');
+        assert.deepStrictEqual(message.payload, { target: 'wasm' });
+        clock.time += 1000;
+        assert.deepStrictEqual(await bus.ack('b', [message.id]), [message.id]);
+        assert.deepStrictEqual(await bus.receive('b'), []);
+        const [traced] = await bus.trace(job.traceId);
+        assert.strictEqual(traced.deliveries[0].status, 'acked');
+        clock.time += bus.topicRetention;
+        assert.strictEqual(await bus.purge(), 1);
+        bus.close();
+      } finally {
+        await pooled.close();
+      }
+    });
+
+    await test('should retry a listener that throws', async() => {
+      const bus = new MessageBus({ ackTimeout: 20 });
+      const seen = [];
+      const errors = [];
+      bus.on('handler_error', ({ error }) => errors.push(error.message));
+      await bus.send({ from: 'a', to: 'b', payload: { n: 1 } });
+
+      const stop = bus.listen('b', envelope => {
+        seen.push(envelope.attempts);
+        if (envelope.attempts === 1) {
+          throw new Error('not ready');
+        }
+      });
+      const deadline = Date.now() + 2000;
+      while (seen.length < 2 && Date.now() < deadline) {
+        await sleep(5);
+      }
+      stop();
+
+      assert.deepStrictEqual(seen, [1, 2]);
+      assert.deepStrictEqual(errors, ['not ready']);
+      assert.deepStrictEqual(await bus.inbox('b'), []);
+      // Not listening any more, so it waits in the inbox
+      await bus.send({ from: 'a', to: 'b' });
+      assert.strictEqual(seen.length, 2);
+      assert.strictEqual((await bus.inbox('b')).length, 1);
+      bus.close();
+    });
+
+    await test('should leave acking to a listener that asks to, keeping its lease alive', async() => {
+      let clock = 1000;
+      const bus = new MessageBus({ ackTimeout: 100, now: () => clock });
+      const seen = [];
+      const stop = bus.listen('b', envelope => {
+        seen.push(envelope.id);
+      }, { ack: false });
+      const message = await bus.send({ from: 'a', to: 'b' });
+      assert.deepStrictEqual(seen, [message.id]);
+
+      clock += 90;
+      assert.deepStrictEqual(await bus.extend('b', [message.id, 'unknown']), [message.id]);
+      clock += 90;
+      // Past the first lease, but extended
+      assert.deepStrictEqual(await bus.receive('b'), []);
+      assert.deepStrictEqual(await bus.ack('b', [message.id]), [message.id]);
+      assert.deepStrictEqual(await bus.inbox('b'), []);
+      stop();
+      bus.close();
+    });
+
+    await test('should carry DAA peer messages over the bus', async() => {
+      const daa = new DAACognition();
+      await daa.initializeDAAAgent('alice', {});
+      await daa.initializeDAAAgent('bob', {});
+
+      await daa.shareWithPeer('alice', 'bob', { patterns: ['p1'], insights: [], confidence: 0.9 });
+      const shared = [...daa.cognitiveAgents.get('bob').learningState.sharedKnowledge.values()];
+      assert.deepStrictEqual(shared.map(knowledge => [knowledge.source, knowledge.patterns]), [['alice', ['p1']]]);
+
+      const sent = await daa.messageBus.history({ sender: 'alice' });
+      assert.deepStrictEqual(sent.map(m => [m.to, m.type]), [['bob', 'knowledge_share']]);
+      const [trace] = await daa.messageBus.trace(sent[0].id);
+      assert.deepStrictEqual(trace.deliveries.map(d => [d.agentId, d.status]), [['bob', 'acked']]);
+      assert.strictEqual(await daa.sendToPeer('nobody', { type: 'decision_update', from: 'alice' }), null);
+      daa.messageBus.close();
+    });
+
+    await test('should keep the neural manager\'s DAA messages in the store it is given', async() => {
+      const store = new SwarmPersistence(path.join(testDir, 'daa.db'));
+      try {
+        const manager = new NeuralNetworkManager(null, { store });
+        await manager.daaCognition.initializeDAAAgent('alice', {});
+        await manager.daaCognition.initializeDAAAgent('bob', {});
+        await manager.daaCognition.shareWithPeer('alice', 'bob', { patterns: ['p1'], insights: [], confidence: 0.9 });
+        manager.messageBus.close();
+
+        const sent = store.findAgentMessages({ sender: 'alice' });
+        assert.deepStrictEqual(sent.map(m => [m.recipient, m.type]), [['bob', 'knowledge_share']]);
+
+        // Nobody listens for interaction reports, so they must not wait forever
+        manager.recordAgentInteraction('alice', 'carol', 0.5);
+        await sleep(10);
+        const [report] = store.findAgentMessages({ type: 'interaction' });
+        assert.strictEqual(report.expires_at - report.created_at, 60000);
+      } finally {
+        store.close();
+      }
+    });
+
+    console.log(`\n✅ Message Bus Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runMessageBusTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('message-bus.test.js')) {
+  runMessageBusTests().catch(error => {
+    console.error('Message bus test error:', error);
+    process.exit(1);
+  });
+}
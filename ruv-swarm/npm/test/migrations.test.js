@@ -0,0 +1,245 @@
+/**
+ * Tests for versioned schema migrations
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { MigrationRunner, MIGRATIONS } from '../src/migrations/index.js';
+import { SwarmPersistence } from '../src/persistence.js';
+import { DatabaseCLI } from '../src/migrations/cli.js';
+import { PersistenceError, ValidationError } from '../src/errors.js';
+import { findAgentMessages } from '../src/message-bus/queue.js';
+
+const BASELINE_TABLES = [
+  'swarms', 'agents', 'tasks', 'task_results',
+  'agent_memory', 'metrics', 'neural_networks', 'events',
+];
+
+function listTables(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(r => r.name);
+}
+
+function listColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const addSwarmOwner = {
+  version: LATEST + 1,
+  name: 'swarm-owner',
+  up(db) {
+    db.exec('ALTER TABLE swarms ADD COLUMN owner TEXT');
+  },
+  down(db) {
+    db.exec('ALTER TABLE swarms DROP COLUMN owner');
+  },
+};
+
+async function runMigrationTests() {
+  console.log('Running Schema Migration Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-migrations-'));
+  let counter = 0;
+  const openDb = () => new Database(path.join(testDir, `test-${counter++}.db`));
+
+  try {
+    await test('should migrate a fresh database to the latest version', () => {
+      const db = openDb();
+      const runner = new MigrationRunner(db);
+
+      const applied = runner.migrate();
+
+      assert.strictEqual(applied.length, MIGRATIONS.length);
+      assert.strictEqual(runner.getCurrentVersion(), runner.getLatestVersion());
+      const tables = listTables(db);
+      for (const table of [...BASELINE_TABLES, 'schema_version']) {
+        assert(tables.includes(table), `missing table ${table}`);
+      }
+      assert.deepStrictEqual(runner.migrate(), []);
+      db.close();
+    });
+
+    await test('should adopt a legacy database without losing data', () => {
+      const db = openDb();
+      db.exec(`CREATE TABLE swarms (
+        id TEXT PRIMARY KEY, name TEXT NOT NULL, topology TEXT NOT NULL,
+        max_agents INTEGER NOT NULL, strategy TEXT, status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP, metadata TEXT
+      )`);
+      db.prepare('INSERT INTO swarms (id, name, topology, max_agents) VALUES (?, ?, ?, ?)')
+        .run('legacy-swarm', 'legacy', 'mesh', 4);
+
+      const runner = new MigrationRunner(db);
+      assert.strictEqual(runner.getCurrentVersion(), 0);
+      runner.migrate();
+
+      assert.strictEqual(runner.getCurrentVersion(), LATEST);
+      const row = db.prepare('SELECT name FROM swarms WHERE id = ?').get('legacy-swarm');
+      assert.strictEqual(row.name, 'legacy');
+      db.close();
+    });
+
+    await test('should apply and roll back a later migration', () => {
+      const db = openDb();
+      const runner = new MigrationRunner(db, [...MIGRATIONS, addSwarmOwner]);
+
+      runner.migrate(LATEST);
+      assert.strictEqual(runner.getCurrentVersion(), LATEST);
+      assert.deepStrictEqual(runner.status().pending, [{ version: LATEST + 1, name: 'swarm-owner' }]);
+
+      runner.migrate();
+      assert.strictEqual(runner.getCurrentVersion(), LATEST + 1);
+      assert(listColumns(db, 'swarms').includes('owner'));
+
+      const reverted = runner.rollback();
+      assert.deepStrictEqual(reverted, [{ version: LATEST + 1, name: 'swarm-owner' }]);
+      assert.strictEqual(runner.getCurrentVersion(), LATEST);
+      assert(!listColumns(db, 'swarms').includes('owner'));
+      assert(listTables(db).includes('swarms'));
+      db.close();
+    });
+
+    await test('should roll back to version 0 by dropping the baseline tables', () => {
+      const db = openDb();
+      const runner = new MigrationRunner(db);
+      runner.migrate();
+
+      runner.rollback(0);
+
+      assert.strictEqual(runner.getCurrentVersion(), 0);
+      const tables = listTables(db);
+      for (const table of BASELINE_TABLES) {
+        assert(!tables.includes(table), `table ${table} should be dropped`);
+      }
+      db.close();
+    });
+
+    await test('should leave the version unchanged when a migration fails', () => {
+      const db = openDb();
+      const broken = {
+        version: LATEST + 1,
+        name: 'broken',
+        up(conn) {
+          conn.exec('CREATE TABLE half_done (id TEXT)');
+          conn.exec('THIS IS NOT SQL');
+        },
+        down() {},
+      };
+      const runner = new MigrationRunner(db, [...MIGRATIONS, broken]);
+
+      assert.throws(() => runner.migrate(), PersistenceError);
+      assert.strictEqual(runner.getCurrentVersion(), LATEST);
+      assert(!listTables(db).includes('half_done'));
+      db.close();
+    });
+
+    await test('should reject duplicate and malformed migrations', () => {
+      const db = openDb();
+      assert.throws(() => new MigrationRunner(db, [...MIGRATIONS, { ...MIGRATIONS[0] }]), /Duplicate migration version 1/);
+      assert.throws(() => new MigrationRunner(db, [{ version: LATEST + 1, name: 'no-down', up() {} }]), /must export both/);
+      assert.throws(() => new MigrationRunner(db, [{ ...addSwarmOwner, version: 0 }]), /Invalid migration version/);
+      db.close();
+    });
+
+    await test('should report migrations unknown to this release', () => {
+      const db = openDb();
+      new MigrationRunner(db, [...MIGRATIONS, addSwarmOwner]).migrate();
+
+      const runner = new MigrationRunner(db);
+      const status = runner.status();
+      assert.strictEqual(status.currentVersion, LATEST + 1);
+      assert.deepStrictEqual(status.unknown.map(m => m.version), [LATEST + 1]);
+      assert.throws(() => runner.rollback(LATEST), /no migration file/);
+      db.close();
+    });
+
+    await test('should copy stored notifications into the message bus', () => {
+      const db = openDb();
+      const runner = new MigrationRunner(db);
+      runner.migrate(6);
+      db.prepare('INSERT INTO agents (id, name, type) VALUES (?, ?, ?)').run('agent-1', 'one', 'coder');
+      const remember = db.prepare('INSERT INTO agent_memory (id, agent_id, key, value, created_at) VALUES (?, ?, ?, ?, ?)');
+      remember.run('mem-1', 'agent-1', 'notifications/progress/1000', JSON.stringify({ type: 'progress', message: 'old', timestamp: 1000 }), '2024-01-01 00:00:00');
+      remember.run('mem-2', 'agent-1', 'notifications/error/2000', JSON.stringify({ type: 'error', message: 'new', timestamp: 2000 }), '2024-01-01 00:00:00');
+      remember.run('mem-3', 'agent-1', 'notifications/untimed', JSON.stringify({ type: 'progress' }), '2024-01-01 00:00:00');
+      remember.run('mem-4', 'agent-1', 'preferences', JSON.stringify({ type: 'progress', timestamp: 3000 }), '2024-01-01 00:00:00');
+
+      runner.migrate();
+
+      const messages = findAgentMessages(db, { sender: 'agent-1', topic: 'notifications.*', limit: null });
+      assert.deepStrictEqual(messages.map(message => [message.id, message.topic, message.created_at]), [
+        ['mem-3', 'notifications.progress', Date.UTC(2024, 0, 1)],
+        ['mem-2', 'notifications.error', 2000],
+        ['mem-1', 'notifications.progress', 1000],
+      ]);
+      assert.deepStrictEqual(messages[1].payload, { type: 'error', message: 'new', timestamp: 2000 });
+      assert.strictEqual(messages[1].type, 'notification');
+      assert.deepStrictEqual(findAgentMessages(db, { since: 1500, topic: 'notifications.progress' }).map(message => message.id), ['mem-3']);
+      assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM agent_inbox').get().count, 0);
+      assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM agent_memory').get().count, 4);
+      db.close();
+    });
+
+    await test('SwarmPersistence should record the schema version', () => {
+      const persistence = new SwarmPersistence(path.join(testDir, 'persistence.db'));
+      const runner = new MigrationRunner(persistence.db);
+      assert.strictEqual(runner.getCurrentVersion(), runner.getLatestVersion());
+      persistence.close();
+    });
+
+    await test('db migrate and rollback should reject a --to that is not a version', async() => {
+      const cli = new DatabaseCLI();
+      const dbPath = path.join(testDir, 'cli.db');
+      for (const to of ['abc', '-1', '1.5', '']) {
+        await assert.rejects(cli.migrate(['--db', dbPath, '--to', to]), ValidationError);
+        await assert.rejects(cli.rollback(['--db', dbPath, '--to', to]), /--to must be a schema version/);
+      }
+      await assert.rejects(cli.migrate(['--db', dbPath, '--to']), /got nothing\. Usage: ruv-swarm db migrate/);
+      assert(!fs.existsSync(dbPath), 'the database is left untouched');
+
+      await cli.migrate(['--db', dbPath, '--to', '2']);
+      const db = new Database(dbPath);
+      assert.strictEqual(new MigrationRunner(db).getCurrentVersion(), 2);
+      db.close();
+    });
+
+    console.log(`\n✅ Schema Migration Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runMigrationTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('migrations.test.js')) {
+  runMigrationTests().catch(error => {
+    console.error('Migration test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,281 @@
+/**
+ * Tests for the temporal attention, mixture of experts, WaveNet and normalizing flow models
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import {
+  MODEL_PRESETS,
+  MixtureOfExpertsModel,
+  NormalizingFlowModel,
+  TemporalAttentionModel,
+  WaveNetModel,
+  createNeuralModel,
+  loadNeuralModel,
+} from '../src/neural-models/index.js';
+import { NeuralNetworkManager } from '../src/neural-network-manager.js';
+
+const random = () => Math.random();
+
+const trainOptions = { epochs: 15, batchSize: 8, learningRate: 0.01, optimizer: 'adam', verbose: false };
+
+const assertClose = (actual, expected, tolerance, message) => {
+  assert.strictEqual(actual.length, expected.length, message);
+  for (let i = 0; i < actual.length; i++) {
+    assert(Math.abs(actual[i] - expected[i]) < tolerance, `${message}: ${actual[i]} vs ${expected[i]} at ${i}`);
+  }
+};
+
+const moe = () => new MixtureOfExpertsModel({ inputSize: 4, hiddenSize: 8, outputSize: 2, numExperts: 4, dropoutRate: 0 });
+const wavenet = (config = {}) => new WaveNetModel({ residualChannels: 4, dilationChannels: 4, skipChannels: 8, dilationDepth: 3, dilationRepeat: 1, ...config });
+const attention = (config = {}) => new TemporalAttentionModel({ inputSize: 2, dimensions: 8, heads: 2, layers: 1, dropoutRate: 0, ...config });
+const flow = (config = {}) => new NormalizingFlowModel({ inputSize: 4, couplingLayers: 4, hiddenUnits: 16, numBlocks: 1, ...config });
+
+const classification = () => Array.from({ length: 32 }, () => {
+  const input = [random(), random(), random(), random()];
+  return { input, target: input[0] > 0.5 ? 1 : 0 };
+});
+
+// Sequences of `length` steps whose target depends on the last two values
+const sequences = (length) => Array.from({ length: 16 }, () => {
+  const input = Array.from({ length }, random);
+  return { input, target: [input[length - 1] + input[length - 2]] };
+});
+
+// Correlated 4-dimensional points for density estimation
+const points = () => Array.from({ length: 64 }, () => {
+  const a = random();
+  return [a, 2 * a + 0.1 * random(), random(), a * a];
+});
+
+async function runNeuralAdvancedModelTests() {
+  console.log('Running Neural Advanced Model Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-advanced-models-'));
+
+  try {
+    await test('should create the advanced models from the factory and their presets', async() => {
+      assert(await createNeuralModel('attention', { inputSize: 2, dimensions: 8, heads: 2, layers: 1 }) instanceof TemporalAttentionModel);
+      assert(await createNeuralModel('moe', { inputSize: 4, hiddenSize: 4, numExperts: 2 }) instanceof MixtureOfExpertsModel);
+      assert(await createNeuralModel('wavenet', { dilationDepth: 2, dilationRepeat: 1 }) instanceof WaveNetModel);
+      assert(await createNeuralModel('normalizing_flow', { couplingLayers: 2, hiddenUnits: 4 }) instanceof NormalizingFlowModel);
+
+      for (const type of ['attention', 'moe', 'wavenet', 'normalizing_flow']) {
+        assert(Object.keys(MODEL_PRESETS[type]).length >= 2, `${type} presets`);
+      }
+      const switchMoe = await createNeuralModel('moe', { ...MODEL_PRESETS.moe.switch_routing, hiddenSize: 8 });
+      assert.strictEqual(switchMoe.getConfig().topK, 1);
+
+      assert.throws(() => new TemporalAttentionModel({ dimensions: 10, heads: 4 }), /divisible by heads/);
+      assert.throws(() => new MixtureOfExpertsModel({ numExperts: 1, routerType: 'top2' }), /cannot exceed numExperts/);
+      assert.throws(() => new NormalizingFlowModel({ flowType: 'glow' }), /Unknown flow type/);
+    });
+
+    await test('should route each sample to its top-k experts within capacity', async() => {
+      const model = moe();
+      const inputs = classification().map(sample => sample.input);
+
+      const routed = model.route(inputs);
+      assert.deepStrictEqual(routed.output.shape, [32, 2]);
+      assert(routed.assignments.every(experts => experts.length === 2 && experts[0] !== experts[1]));
+      assert.strictEqual(routed.load.reduce((a, b) => a + b, 0), 64);
+      // Gates are a softmax over the chosen experts only
+      for (let sample = 0; sample < 32; sample++) {
+        const gates = routed.gates.data.slice(sample * 4, sample * 4 + 4);
+        assert(Math.abs(gates.reduce((a, b) => a + b, 0) - 1) < 1e-5);
+        gates.forEach((gate, e) => assert.strictEqual(gate > 0, routed.assignments[sample].includes(e)));
+      }
+
+      // ceil(1 * 32 * 2 / 4) = 16 samples per expert at most
+      const capped = new MixtureOfExpertsModel({ ...model.config, expertCapacity: 1 });
+      const { load } = capped.route(inputs);
+      assert(load.every(count => count <= 16), `load ${load}`);
+
+      const utilization = await model.expertUtilization(inputs);
+      assert(Math.abs(utilization.reduce((a, b) => a + b, 0) - 1) < 1e-9);
+    });
+
+    await test('should train the mixture of experts with a load-balancing term', async() => {
+      const model = moe();
+      const result = await model.train(classification(), { ...trainOptions, learningRate: 0.05 });
+      assert(result.finalLoss < result.history[0].trainLoss, `loss ${result.history[0].trainLoss} -> ${result.finalLoss}`);
+
+      const { metrics } = await model.computeLoss(model.toSamples(classification()));
+      // 1 when perfectly balanced, numExperts when one expert takes everything
+      assert(metrics.loadBalance >= 0.99 && metrics.loadBalance <= 4, `loadBalance ${metrics.loadBalance}`);
+    });
+
+    await test('should keep WaveNet causal within its receptive field', async() => {
+      const model = wavenet({ returnSequence: true });
+      assert.strictEqual(model.receptiveField, 8);
+      assert.strictEqual(model.getConfig().receptiveField, 8);
+
+      const sequence = Array.from({ length: 12 }, random);
+      const before = await model.predict([sequence]);
+      assert.deepStrictEqual(before.shape, [1, 12, 1]);
+
+      // A later value never changes earlier outputs
+      const future = [...sequence];
+      future[6] += 1;
+      const afterFuture = await model.predict([future]);
+      assertClose(afterFuture.slice(0, 6), before.slice(0, 6), 1e-6, 'outputs before the change');
+      assert(Math.abs(afterFuture[6] - before[6]) > 1e-6);
+
+      // The first value is outside the receptive field of outputs from step 8 on
+      const past = [...sequence];
+      past[0] += 1;
+      const afterPast = await model.predict([past]);
+      assertClose(afterPast.slice(8), before.slice(8), 1e-6, 'outputs past the receptive field');
+    });
+
+    await test('should train WaveNet on sequences', async() => {
+      const model = wavenet();
+      const result = await model.train(sequences(8), trainOptions);
+      assert(result.finalLoss < result.history[0].trainLoss, `loss ${result.history[0].trainLoss} -> ${result.finalLoss}`);
+      assert.deepStrictEqual((await model.predict([sequences(8)[0].input])).shape, [1, 1]);
+    });
+
+    await test('should weigh timesteps with attention that sums to one', async() => {
+      const model = attention();
+      const data = sequences(10);
+      const weights = await model.temporalWeights(data.slice(0, 3).map(sample => sample.input));
+      assert.deepStrictEqual(weights.shape, [3, 5]);
+      for (let b = 0; b < 3; b++) {
+        const row = weights.slice(b * 5, b * 5 + 5);
+        assert(Math.abs(row.reduce((a, c) => a + c, 0) - 1) < 1e-5);
+      }
+
+      const last = attention({ pooling: 'last' });
+      assert.deepStrictEqual(Array.from(await last.temporalWeights([data[0].input])), [0, 0, 0, 0, 1]);
+
+      const result = await model.train(data, trainOptions);
+      assert(result.finalLoss < result.history[0].trainLoss, `loss ${result.history[0].trainLoss} -> ${result.finalLoss}`);
+    });
+
+    await test('should hide later timesteps behind the causal mask', async() => {
+      const model = attention({ useCausalMask: true, returnSequence: true });
+      const sequence = Array.from({ length: 10 }, random);
+      const before = await model.predict([sequence]);
+      assert.deepStrictEqual(before.shape, [1, 5, 1]);
+
+      const changed = [...sequence];
+      changed[8] += 1; // Step 4
+      const after = await model.predict([changed]);
+      assertClose(after.slice(0, 4), before.slice(0, 4), 1e-5, 'earlier steps');
+      assert(Math.abs(after[4] - before[4]) > 1e-6);
+    });
+
+    await test('should invert the flow and score samples by exact log-likelihood', async() => {
+      const model = flow();
+      const data = points();
+
+      // Every coupling starts as the identity, so the flow starts as a standard normal
+      const [logProb] = (await model.logProb([data[0]])).data;
+      const expected = -0.5 * data[0].reduce((sum, x) => sum + x * x, 0) - 2 * Math.log(2 * Math.PI);
+      assert(Math.abs(logProb - expected) < 1e-4, `${logProb} vs ${expected}`);
+
+      const result = await model.train(data, { ...trainOptions, batchSize: 16 });
+      assert(result.finalLoss < result.history[0].trainLoss, `loss ${result.history[0].trainLoss} -> ${result.finalLoss}`);
+      assert(Number.isFinite(result.history.at(-1).trainBitsPerDim));
+
+      const { z, logDet } = await model.forward(data.slice(0, 4));
+      assert.deepStrictEqual(logDet.shape, [4]);
+      assert(logDet.data.some(value => Math.abs(value) > 1e-6), 'trained layers rescale');
+      assertClose(model.inverse(z).data, data.slice(0, 4).flat(), 1e-4, 'inverse(forward(x))');
+
+      const samples = await model.sample(5);
+      assert.deepStrictEqual(samples.shape, [5, 4]);
+      assert(samples.every(Number.isFinite));
+
+      const nice = flow({ flowType: 'nice' });
+      await nice.train(data, { ...trainOptions, epochs: 2, batchSize: 16 });
+      const niceForward = await nice.forward(data.slice(0, 2));
+      assert(niceForward.logDet.data.every(value => value === 0), 'additive couplings preserve volume');
+      assertClose(nice.inverse(niceForward.z).data, data.slice(0, 2).flat(), 1e-4, 'NICE inverse');
+    });
+
+    await test('should round-trip every advanced model through a checkpoint', async() => {
+      const cases = [
+        [moe(), [classification()[0].input]],
+        [wavenet(), [sequences(8)[0].input]],
+        [attention(), [sequences(10)[0].input]],
+        [flow(), [points()[0]]],
+      ];
+      for (const [model, input] of cases) {
+        const filePath = path.join(testDir, `${model.modelType}.ckpt`);
+        await model.save(filePath);
+        const loaded = await loadNeuralModel(filePath);
+        assert.strictEqual(loaded.constructor, model.constructor);
+        const expected = model.modelType === 'normalizing_flow' ? (await model.forward(input)).z.data : await model.predict(input);
+        const actual = model.modelType === 'normalizing_flow' ? (await loaded.forward(input)).z.data : await loaded.predict(input);
+        assertClose(actual, expected, 1e-6, `${model.modelType} predictions`);
+      }
+    });
+
+    await test('should build real models from the complete presets', async() => {
+      const manager = new NeuralNetworkManager({ loadModule: async() => ({ isPlaceholder: true }) });
+      const log = console.log;
+      console.log = () => {};
+      try {
+        const cases = [
+          ['moe', 'moe_nlp', MixtureOfExpertsModel],
+          ['wavenet', 'wavenet_tts', WaveNetModel],
+          ['flow', 'realvp_generation', NormalizingFlowModel],
+          ['attention', 'multihead_attention', TemporalAttentionModel],
+        ];
+        for (const [category, preset, ModelClass] of cases) {
+          const agentId = `agent-${category}`;
+          await manager.createAgentFromCompletePreset(agentId, category, preset);
+          const model = manager.neuralModels.get(agentId);
+          assert(model instanceof ModelClass, `${category}/${preset} built ${model?.constructor.name}`);
+        }
+
+        // The template's named preset is applied last, over the caller's values
+        const moeModel = manager.neuralModels.get('agent-moe');
+        assert.strictEqual(moeModel.config.loadBalanceWeight, MODEL_PRESETS.moe.sparse_expert_routing.loadBalanceWeight);
+        assert.strictEqual(moeModel.config.routerType, 'top2');
+        const templated = await manager.createAdvancedNeuralModel('agent-flow-template', 'flow_based', { couplingLayers: 2 });
+        assert.strictEqual(templated.model.config.couplingLayers, MODEL_PRESETS.normalizing_flow.density_estimation.couplingLayers);
+      } finally {
+        console.log = log;
+      }
+    });
+
+    console.log(`\n✅ Neural Advanced Model Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralAdvancedModelTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-advanced-models.test.js')) {
+  runNeuralAdvancedModelTests().catch(error => {
+    console.error('Neural advanced model test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,282 @@
+/**
+ * Tests for the autograd core and the neural models trained on it
+ */
+
+import assert from 'assert';
+import * as ag from '../src/neural-models/autograd.js';
+import {
+  LSTMModel,
+  GRUModel,
+  TransformerModel,
+  CNNModel,
+  AutoencoderModel,
+  GNNModel,
+  ResNetModel,
+  VAEModel,
+} from '../src/neural-models/index.js';
+
+const randomTensor = (shape, scale = 1) => {
+  const t = ag.Tensor.randn(shape);
+  t.data.forEach((v, i) => (t.data[i] = v * scale));
+  t.requiresGrad = true;
+  return t;
+};
+
+/**
+ * Compares the gradients backward() gives each input with central
+ * differences of `fn`, reduced to a scalar through fixed random weights
+ */
+function checkGradients(name, fn, inputs, { eps = 1e-2, tolerance = 2e-2 } = {}) {
+  const probe = fn(...inputs);
+  const weights = probe.size === 1 ? null : ag.Tensor.randn(probe.shape);
+  const scalar = () => {
+    const out = fn(...inputs);
+    return weights ? ag.sum(ag.mul(out, weights)) : out;
+  };
+
+  inputs.forEach(t => (t.grad = null));
+  ag.backward(scalar());
+
+  inputs.forEach((t, k) => {
+    if (!t.requiresGrad) {
+      return;
+    }
+    for (let i = 0; i < t.size; i++) {
+      const original = t.data[i];
+      t.data[i] = original + eps;
+      const up = scalar().item();
+      t.data[i] = original - eps;
+      const down = scalar().item();
+      t.data[i] = original;
+
+      const numeric = (up - down) / (2 * eps);
+      const analytic = t.grad[i];
+      const error = Math.abs(numeric - analytic) / Math.max(1, Math.abs(numeric));
+      assert(error < tolerance, `${name}: input ${k}[${i}] analytic ${analytic} vs numeric ${numeric}`);
+    }
+  });
+}
+
+// Trains a model from scratch and checks the loss on the training data went down
+async function assertLearns(model, data, options, factor = 0.9) {
+  const before = await model.validate(data);
+  const result = await model.train(data, { validationSplit: 0, verbose: false, ...options });
+  const after = await model.validate(data);
+
+  assert(Number.isFinite(after), `${model.modelType} loss is not finite`);
+  assert(after < before * factor, `${model.modelType} loss did not go down: ${before.toFixed(4)} -> ${after.toFixed(4)}`);
+  assert.strictEqual(result.history.length, options.epochs);
+  assert.strictEqual(result.modelType, model.modelType);
+  return result;
+}
+
+const oneHot = (k, n) => Float32Array.from({ length: n }, (_, i) => (i === k ? 1 : 0));
+
+async function runNeuralAutogradTests() {
+  console.log('Running Neural Autograd Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  await test('should differentiate arithmetic, activations and shape ops', async() => {
+    const a = randomTensor([2, 3]);
+    const bias = randomTensor([3]);
+    checkGradients('add', (x, y) => ag.add(x, y), [a, bias]);
+    checkGradients('mul', (x, y) => ag.mul(x, y), [a, randomTensor([2, 3])]);
+    checkGradients('sub', (x, y) => ag.sub(x, y), [randomTensor([1]), a]);
+    for (const op of ['sigmoid', 'tanh', 'elu', 'swish', 'leakyRelu', 'exp', 'square']) {
+      // Keep clear of the kink at zero
+      const x = randomTensor([2, 3]);
+      x.data.forEach((v, i) => (x.data[i] = v + Math.sign(v) * 0.1));
+      checkGradients(op, t => ag[op](t), [x]);
+    }
+    checkGradients('softmax', x => ag.softmax(x), [randomTensor([2, 4])]);
+    checkGradients('permute', x => ag.permute(x, [2, 0, 1]), [randomTensor([2, 3, 2])]);
+    checkGradients('concat/slice', (x, y) => ag.slice(ag.concat([x, y], 1), 1, 1, 4), [randomTensor([2, 2]), randomTensor([2, 3])]);
+    checkGradients('stack/select', (x, y) => ag.select(ag.stack([x, y], 1), 1, 1), [randomTensor([2, 3]), randomTensor([2, 3])]);
+    checkGradients('sum/mean', x => ag.add(ag.sum(x, 0), ag.mean(x, -1)), [randomTensor([3, 3])]);
+  });
+
+  await test('should differentiate matmul, normalisation and attention', async() => {
+    checkGradients('matmul (shared weight)', (x, w) => ag.matmul(x, w), [randomTensor([2, 3, 4]), randomTensor([4, 2])]);
+    checkGradients('matmul (batched)', (x, y) => ag.matmul(x, y), [randomTensor([2, 3, 4]), randomTensor([2, 4, 2])]);
+    checkGradients('layerNorm', (x, g, b) => ag.layerNorm(x, g, b), [randomTensor([3, 4]), randomTensor([4]), randomTensor([4])]);
+
+    const stats = { runningMean: new Float32Array(3), runningVar: new Float32Array(3).fill(1), momentum: 0.9 };
+    checkGradients('batchNorm', (x, g, b) => ag.batchNorm(x, g, b, stats, true), [randomTensor([5, 3]), randomTensor([3]), randomTensor([3])]);
+    assert(stats.runningMean.some(v => v !== 0), 'batchNorm should update its running mean');
+
+    checkGradients('attention', (q, k, v) => ag.attention(q, k, v).output, [randomTensor([2, 3, 4]), randomTensor([2, 3, 4]), randomTensor([2, 3, 4])]);
+  });
+
+  await test('should differentiate convolution, pooling and indexing', async() => {
+    const image = randomTensor([1, 4, 4, 2]);
+    const kernel = randomTensor([3, 3, 2, 3], 0.5);
+    const bias = randomTensor([3]);
+    checkGradients('conv2d same', (x, k, b) => ag.conv2d(x, k, b, { padding: 'same' }), [image, kernel, bias]);
+    checkGradients('conv2d valid stride 2', (x, k) => ag.conv2d(x, k, null, { stride: 2 }), [randomTensor([1, 5, 5, 2]), kernel]);
+    assert.deepStrictEqual(ag.conv2d(image, kernel, bias, { padding: 'same', stride: 2 }).shape, [1, 2, 2, 3]);
+
+    // Well-separated values, so a finite-difference step never changes which input wins
+    const pooled = randomTensor([1, 4, 4, 2]);
+    pooled.data.set(Array.from(pooled.data.keys()).sort(() => Math.random() - 0.5).map(i => i * 0.1));
+    checkGradients('maxPool2d', x => ag.maxPool2d(x, 2), [pooled]);
+
+    const table = randomTensor([4, 3]);
+    checkGradients('gather', t => ag.gather(t, Int32Array.from([3, 0, 3])), [table]);
+    checkGradients('scatterAdd', x => ag.scatterAdd(x, Int32Array.from([1, 1, 0]), 3), [randomTensor([3, 2])]);
+    const messages = randomTensor([3, 2]);
+    messages.data.set([0.3, -0.5, 0.9, 0.4, -0.2, 0.7]);
+    checkGradients('scatterMax', x => ag.scatterMax(x, Int32Array.from([1, 1, 0]), 3), [messages]);
+  });
+
+  await test('should differentiate the losses', async() => {
+    const target = ag.Tensor.from([[0, 1, 0], [1, 0, 0]]);
+    checkGradients('softmaxCrossEntropy', x => ag.softmaxCrossEntropy(x, target), [randomTensor([2, 3])]);
+    checkGradients('softmaxCrossEntropy (indices)', x => ag.softmaxCrossEntropy(x, ag.Tensor.from([2, 0])), [randomTensor([2, 3])]);
+    checkGradients('categoricalCrossEntropy', x => ag.categoricalCrossEntropy(ag.softmax(x), target), [randomTensor([2, 3])]);
+    checkGradients('binaryCrossEntropy', x => ag.binaryCrossEntropy(ag.sigmoid(x), target, { reduction: 'batchmean' }), [randomTensor([2, 3])]);
+    checkGradients('mseLoss', x => ag.mseLoss(x, target), [randomTensor([2, 3])]);
+    checkGradients('klDivergence', (mu, logVar) => ag.klDivergence(mu, logVar), [randomTensor([2, 3]), randomTensor([2, 3], 0.5)]);
+
+    const logits = ag.Tensor.from([[2, 0, 0]]);
+    const expected = -Math.log(Math.exp(2) / (Math.exp(2) + 2));
+    assert(Math.abs(ag.softmaxCrossEntropy(logits, ag.Tensor.from([0])).item() - expected) < 1e-5);
+  });
+
+  await test('should clip gradients by global norm and round-trip weights', async() => {
+    const model = new ResNetModel({ inputDimensions: 3, numBlocks: 1, blockDepth: 1, hiddenDimensions: 4, outputDimensions: 2, initialChannels: 4, dropoutRate: 0 });
+    const weightsBefore = model.getWeights();
+    assert.strictEqual(model.countParameters(), model.getConfig().parameters);
+    assert(Object.keys(weightsBefore).some(name => name.endsWith('runningMean')), 'running statistics should be saved');
+
+    const { loss } = await model.computeLoss([{ input: [1, 2, 3], target: 1 }], { training: true });
+    ag.backward(loss);
+    const norm = model.applyGradients(1.0, 1e-3);
+    assert(norm > 1e-3);
+
+    let moved = 0;
+    for (const [name, p] of model.params) {
+      for (let i = 0; i < p.size; i++) {
+        moved += (p.data[i] - weightsBefore[name][i]) ** 2;
+      }
+    }
+    assert(Math.abs(Math.sqrt(moved) - 1e-3) < 1e-4, `clipped step should have norm 1e-3, got ${Math.sqrt(moved)}`);
+
+    const copy = new ResNetModel(model.config);
+    copy.setWeights(model.getWeights());
+    const input = [[0.5, -1, 2]];
+    assert.deepStrictEqual(await copy.predict(input), await model.predict(input));
+    assert.throws(() => copy.setWeights({ 'output.weight': new Float32Array(1) }), /expected/);
+  });
+
+  await test('should train LSTM and GRU sequence classifiers', async() => {
+    const data = Array.from({ length: 24 }, (_, n) => {
+      const sequence = Array.from({ length: 4 }, () => [Math.random(), Math.random()]);
+      return { input: sequence, target: n % 2 === 0 ? 1 : 0 };
+    });
+    // The class is readable from the last step
+    data.forEach(sample => (sample.input[3][0] = sample.target));
+
+    const config = { inputSize: 2, hiddenSize: 8, numLayers: 1, outputSize: 2, dropoutRate: 0 };
+    await assertLearns(new LSTMModel(config), data, { epochs: 15, learningRate: 0.3, batchSize: 4 });
+    await assertLearns(new GRUModel({ ...config, bidirectional: true }), data, { epochs: 15, learningRate: 0.3, batchSize: 4 });
+    await assertLearns(new LSTMModel({ ...config, returnSequence: true }), { inputs: data.map(s => s.input), targets: data.map(s => [0, 0, 0, s.target]) }, { epochs: 15, learningRate: 0.3, batchSize: 4 });
+  });
+
+  await test('should train a transformer on token sequences', async() => {
+    const model = new TransformerModel({ dimensions: 8, heads: 2, layers: 1, ffDimensions: 16, vocabularySize: 6, maxSequenceLength: 8, dropoutRate: 0 });
+    const data = Array.from({ length: 16 }, () => {
+      const tokens = Array.from({ length: 3 }, () => Math.floor(Math.random() * 6));
+      return { input: tokens, target: tokens };
+    });
+
+    const result = await assertLearns(model, data, { epochs: 10, learningRate: 0.05, batchSize: 4, warmupSteps: 16 });
+    assert(result.history[0].learningRate < 0.05, 'learning rate should warm up');
+    assert.deepStrictEqual((await model.predict([[1, 2, 3]])).shape, [1, 3, 6]);
+  });
+
+  await test('should train a CNN and a ResNet classifier', async() => {
+    const bars = Array.from({ length: 16 }, (_, n) => {
+      const image = new Float32Array(16);
+      const row = n % 4;
+      for (let i = 0; i < 4; i++) {
+        image[n % 2 ? i * 4 + row : row * 4 + i] = 1;
+      }
+      return { input: Array.from(image), target: oneHot(n % 2, 2) };
+    });
+
+    const cnn = new CNNModel({
+      inputShape: [4, 4, 1],
+      convLayers: [{ filters: 6, kernelSize: 3, stride: 1, padding: 'same', activation: 'relu' }],
+      denseLayers: [8],
+      outputSize: 2,
+      dropoutRate: 0,
+    });
+    await assertLearns(cnn, bars, { epochs: 20, learningRate: 0.1, batchSize: 4 });
+    const probabilities = await cnn.predict(bars[0].input);
+    assert(Math.abs(probabilities[0] + probabilities[1] - 1) < 1e-5);
+
+    const resnet = new ResNetModel({ inputDimensions: 16, numBlocks: 1, blockDepth: 2, hiddenDimensions: 8, outputDimensions: 2, initialChannels: 8, dropoutRate: 0 });
+    await assertLearns(resnet, bars, { epochs: 30, learningRate: 0.02, batchSize: 8 });
+  });
+
+  await test('should train autoencoders and a VAE to reconstruct', async() => {
+    const patterns = Array.from({ length: 16 }, (_, n) => Float32Array.from({ length: 6 }, (_, i) => (i % 3 === n % 3 ? 1 : 0)));
+
+    const config = { inputSize: 6, encoderLayers: [8], bottleneckSize: 3, activation: 'tanh', dropoutRate: 0 };
+    await assertLearns(new AutoencoderModel(config), patterns, { epochs: 30, learningRate: 0.5, batchSize: 4 });
+    await assertLearns(new AutoencoderModel({ ...config, variational: true }), patterns, { epochs: 30, learningRate: 0.1, batchSize: 4 });
+
+    const vae = new VAEModel({ inputSize: 6, encoderLayers: [8], latentDimensions: 2, decoderLayers: [8], dropoutRate: 0 });
+    // Without much training the VAE mostly learns the mean pattern, which caps the drop
+    const result = await assertLearns(vae, patterns, { epochs: 30, learningRate: 0.1, batchSize: 4, annealKL: false }, 0.95);
+    assert('trainKlLoss' in result.history[0]);
+    assert.deepStrictEqual((await vae.generate(2)).shape, [2, 6]);
+  });
+
+  await test('should train a GNN on node and graph labels', async() => {
+    const graph = (n) => {
+      const adjacency = Array.from({ length: n }, (_, i) => [i, (i + 1) % n]);
+      const nodes = Float32Array.from({ length: n * 3 }, (_, i) => (i % 3 === 0 ? n % 2 : Math.random()));
+      nodes.shape = [n, 3];
+      return { nodes, edges: Float32Array.from({ length: n * 2 }, () => Math.random()), adjacency };
+    };
+    const config = { nodeDimensions: 3, edgeDimensions: 2, hiddenDimensions: 6, outputDimensions: 2, numLayers: 2, dropoutRate: 0 };
+
+    const nodeData = [3, 4, 5, 6].map(n => ({ graphs: graph(n), targets: { taskType: 'node_classification', labels: new Array(n).fill(n % 2) } }));
+    await assertLearns(new GNNModel(config), nodeData, { epochs: 30, learningRate: 0.2, batchSize: 1 });
+
+    const graphData = [3, 4, 5, 6].map(n => ({ graphs: graph(n), targets: { taskType: 'graph_classification', labels: [n % 2] } }));
+    await assertLearns(new GNNModel({ ...config, aggregation: 'max' }), graphData, { epochs: 30, learningRate: 0.2, batchSize: 1 });
+  });
+
+  console.log(`\n✅ Neural Autograd Tests completed: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} tests failed`);
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralAutogradTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-autograd.test.js')) {
+  runNeuralAutogradTests().catch(error => {
+    console.error('Neural autograd test error:', error);
+    process.exit(1);
+  });
+}
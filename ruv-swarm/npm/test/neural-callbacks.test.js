@@ -0,0 +1,308 @@
+/**
+ * Tests for the training callbacks: early stopping, checkpointing, metrics logs, NaN detection and resuming
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import {
+  Callback,
+  EarlyStopping,
+  MetricsLogger,
+  ModelCheckpoint,
+  NaNDetector,
+  ResNetModel,
+  createCallback,
+  loadNeuralModel,
+} from '../src/neural-models/index.js';
+import { hasCallback } from '../src/neural-models/callbacks.js';
+import { MetaLearningFramework } from '../src/meta-learning-framework.js';
+import { NeuralNetworkManager } from '../src/neural-network-manager.js';
+import { NeuralCLI } from '../src/neural.js';
+
+const dataset = () => Array.from({ length: 16 }, (_, n) => ({ input: [n % 2, (n >> 1) % 2, 1], target: n % 2 }));
+
+const model = () => new ResNetModel({ inputDimensions: 3, numBlocks: 1, blockDepth: 1, hiddenDimensions: 6, outputDimensions: 2, initialChannels: 6, dropoutRate: 0 });
+
+const trainOptions = { epochs: 3, batchSize: 8, learningRate: 0.05, optimizer: 'adam', validationSplit: 0.25, verbose: false };
+
+async function runNeuralCallbackTests() {
+  console.log('Running Neural Callback Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-callbacks-'));
+
+  try {
+    await test('should build callbacks from names, configs and hook objects', async() => {
+      assert(createCallback('nan_detector') instanceof NaNDetector);
+      const stopping = createCallback({ type: 'early_stopping', patience: 3 });
+      assert(stopping instanceof EarlyStopping);
+      assert.strictEqual(stopping.options.patience, 3);
+      assert.strictEqual(stopping.options.mode, 'min');
+      assert.strictEqual(new EarlyStopping({ monitor: 'valAccuracy' }).options.mode, 'max');
+      assert.strictEqual(createCallback(stopping), stopping);
+
+      const hooks = createCallback({ onEpochEnd: () => {} });
+      assert(hooks instanceof Callback);
+      assert.strictEqual(hooks.type, 'lambda');
+
+      assert.throws(() => createCallback('tensorboard'), /Unknown training callback: tensorboard/);
+      assert.throws(() => createCallback({ patience: 3 }), /needs a type/);
+      assert.throws(() => new ModelCheckpoint(), /needs a filePath/);
+      assert.throws(() => new MetricsLogger({ filePath: 'metrics.xml', format: 'xml' }), /Unknown metrics log format/);
+
+      assert(hasCallback([{ type: 'EARLY_STOPPING' }], 'early_stopping'));
+      assert(hasCallback([stopping], 'early_stopping'));
+      assert(!hasCallback(['nan_detector', hooks], 'early_stopping'));
+    });
+
+    await test('should run every hook in order with batch and epoch details', async() => {
+      const events = [];
+      const result = await model().train(dataset(), {
+        ...trainOptions,
+        epochs: 2,
+        callbacks: [{
+          onTrainStart: ({ epochs, initialEpoch }) => events.push(`start ${initialEpoch}/${epochs}`),
+          onEpochStart: ({ epoch }) => events.push(`epoch ${epoch}`),
+          onBatchEnd: ({ epoch, batch, step, size, loss }) => {
+            assert(Number.isFinite(loss));
+            events.push(`batch ${epoch}.${batch} step ${step} size ${size}`);
+          },
+          onEpochEnd: ({ epoch, logs, history }) => {
+            assert.strictEqual(logs, history[history.length - 1]);
+            assert(Number.isFinite(logs.valLoss));
+            events.push(`end ${epoch}`);
+          },
+          onTrainEnd: ({ history, stopReason }) => events.push(`done ${history.length} ${stopReason}`),
+        }],
+      });
+
+      assert.deepStrictEqual(events, [
+        'start 0/2',
+        'epoch 1', 'batch 1.0 step 1 size 8', 'batch 1.1 step 2 size 4', 'end 1',
+        'epoch 2', 'batch 2.0 step 3 size 8', 'batch 2.1 step 4 size 4', 'end 2',
+        'done 2 null',
+      ]);
+      assert.strictEqual(result.stoppedEarly, false);
+      assert.strictEqual(result.stopReason, null);
+    });
+
+    await test('should stop early and restore the best weights', async() => {
+      const network = model();
+      const scores = [3, 2, 2.5, 4, 1];
+      let bestWeights = null;
+      const stopping = new EarlyStopping({ monitor: 'score', patience: 2 });
+
+      const result = await network.train(dataset(), {
+        ...trainOptions,
+        epochs: 5,
+        callbacks: [
+          {
+            onEpochEnd: ({ model: trained, epoch, logs }) => {
+              logs.score = scores[epoch - 1];
+              if (epoch === 2) {
+                bestWeights = trained.getWeights();
+              }
+            },
+          },
+          stopping,
+        ],
+      });
+
+      assert.strictEqual(result.history.length, 4);
+      assert.strictEqual(result.stoppedEarly, true);
+      assert.match(result.stopReason, /score has not improved for 2 epochs \(best 2 at epoch 2\)/);
+      assert.strictEqual(stopping.stoppedEpoch, 4);
+      assert.deepStrictEqual(network.getWeights(), bestWeights);
+    });
+
+    await test('should fall back to the training loss without validation data', async() => {
+      const logs = [];
+      const stopping = new EarlyStopping({ patience: 100 });
+      await model().train(dataset(), { ...trainOptions, validationSplit: 0, callbacks: [stopping, { onEpochEnd: ({ logs: entry }) => logs.push(entry) }] });
+
+      assert(logs.every(entry => entry.valLoss === null));
+      assert.strictEqual(stopping.best, Math.min(...logs.map(entry => entry.trainLoss)));
+    });
+
+    await test('should stop mid-epoch on a NaN loss', async() => {
+      const poison = {
+        onBatchEnd: ({ model: trained, epoch, batch }) => {
+          if (epoch === 2 && batch === 0) {
+            const weights = trained.getWeights();
+            for (const values of Object.values(weights)) {
+              values.fill(NaN);
+            }
+            trained.setWeights(weights);
+          }
+        },
+      };
+
+      const detector = new NaNDetector();
+      const result = await model().train(dataset(), { ...trainOptions, callbacks: [poison, detector] });
+      assert.strictEqual(result.history.length, 2);
+      assert(Number.isNaN(result.history[1].trainLoss));
+      assert.strictEqual(result.history[1].valLoss, null);
+      assert.strictEqual(result.stopReason, 'loss became NaN at epoch 2, batch 2');
+      assert.deepStrictEqual(detector.detected, { epoch: 2, batch: 1, loss: NaN });
+
+      await assert.rejects(
+        model().train(dataset(), { ...trainOptions, callbacks: [poison, new NaNDetector({ action: 'throw' })] }),
+        /Training diverged: loss became NaN at epoch 2, batch 2/,
+      );
+    });
+
+    await test('should checkpoint the best epoch and resume from it', async() => {
+      const network = model();
+      const bestPath = path.join(testDir, 'checkpoints', 'best.rsnm');
+      const everyPath = path.join(testDir, 'checkpoints', 'epoch-{epoch}.rsnm');
+      const best = new ModelCheckpoint({ filePath: bestPath, monitor: 'score', mode: 'max' });
+      const every = new ModelCheckpoint({ filePath: everyPath, saveBestOnly: false, every: 2 });
+      const scores = [1, 3, 2, 2];
+
+      await network.train(dataset(), {
+        ...trainOptions,
+        epochs: 4,
+        callbacks: [{ onEpochEnd: ({ epoch, logs }) => { logs.score = scores[epoch - 1]; } }, best, every],
+      });
+
+      assert.deepStrictEqual(best.saved.map(save => save.epoch), [1, 2]);
+      assert.deepStrictEqual(every.saved.map(save => save.filePath), [2, 4].map(epoch => path.join(testDir, 'checkpoints', `epoch-${epoch}.rsnm`)));
+      assert.strictEqual(every.last.epoch, 4);
+
+      const restored = await loadNeuralModel(bestPath);
+      assert.strictEqual(restored.trainingHistory.length, 2);
+
+      const initialEpoch = restored.trainingHistory.at(-1).epoch;
+      const resumed = await restored.train(dataset(), { ...trainOptions, epochs: 4, initialEpoch });
+      assert.deepStrictEqual(resumed.history.map(entry => entry.epoch), [3, 4]);
+      assert.deepStrictEqual(restored.trainingHistory.map(entry => entry.epoch), [1, 2, 3, 4]);
+      assert.strictEqual(restored.getOptimizer().type, 'adam');
+    });
+
+    await test('should log epochs as CSV or JSONL', async() => {
+      const csvPath = path.join(testDir, 'logs', 'train.csv');
+      const jsonlPath = path.join(testDir, 'logs', 'train.jsonl');
+      const network = model();
+      await network.train(dataset(), { ...trainOptions, epochs: 2, callbacks: [new MetricsLogger({ filePath: csvPath }), { type: 'metrics_logger', filePath: jsonlPath }] });
+
+      const [header, ...rows] = fs.readFileSync(csvPath, 'utf8').trim().split('\n');
+      assert.strictEqual(header, 'epoch,trainLoss,trainAccuracy,valLoss,valAccuracy,learningRate');
+      assert.strictEqual(rows.length, 2);
+      assert.strictEqual(rows[1].split(',')[0], '2');
+
+      const entries = fs.readFileSync(jsonlPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual(entries.map(entry => entry.epoch), [1, 2]);
+      assert(Number.isFinite(entries[0].valLoss));
+
+      await network.train(dataset(), { ...trainOptions, epochs: 3, initialEpoch: 2, callbacks: [new MetricsLogger({ filePath: csvPath, append: true })] });
+      const appended = fs.readFileSync(csvPath, 'utf8').trim().split('\n');
+      assert.strictEqual(appended.length, 4);
+      assert.strictEqual(appended[3].split(',')[0], '3');
+
+      await network.train(dataset(), { ...trainOptions, epochs: 1, callbacks: [new MetricsLogger({ filePath: csvPath })] });
+      assert.strictEqual(fs.readFileSync(csvPath, 'utf8').trim().split('\n').length, 2);
+    });
+
+    await test('should add early stopping from meta-learning and pass callbacks through fineTuneNetwork', async() => {
+      const metaLearning = new MetaLearningFramework();
+      metaLearning.recordExperience('agent-1', { metrics: { lossVariance: 5, convergenceEpochs: 10 } });
+      const optimized = await metaLearning.optimizeTraining('agent-1', { learningRate: 0.01, batchSize: 32, epochs: 10 });
+      assert.deepStrictEqual(optimized.callbacks, [{ type: 'early_stopping', patience: optimized.metaOptimizations.earlyStoppingPatience }]);
+
+      const own = new EarlyStopping({ patience: 1 });
+      const chosen = await metaLearning.optimizeTraining('agent-1', { learningRate: 0.01, batchSize: 32, epochs: 10, callbacks: [own] });
+      assert.deepStrictEqual(chosen.callbacks, [own]);
+
+      const manager = new NeuralNetworkManager(null);
+      manager.createSimulatedNetwork('agent-2', { layers: [4, 2] });
+      const epochs = [];
+      const log = console.log;
+      console.log = () => {};
+      let result;
+      try {
+        result = await manager.fineTuneNetwork('agent-2', { samples: [] }, {
+          epochs: 10,
+          enableCognitiveEvolution: false,
+          callbacks: [{ onEpochEnd: ({ epoch, logs, stop }) => {
+            epochs.push(logs.epoch);
+            if (epoch === 3) {
+              stop('enough');
+            }
+          } }],
+        });
+      } finally {
+        console.log = log;
+      }
+      assert.deepStrictEqual(epochs, [1, 2, 3]);
+      assert.strictEqual(result.epochs_trained, 3);
+      assert.strictEqual(result.stopReason, 'enough');
+    });
+
+    await test('should stop, log and resume from the CLI', async() => {
+      const cli = new NeuralCLI();
+      const rows = Array.from({ length: 60 }, (_, t) => `${Math.sin(t / 4).toFixed(4)},${(t % 5) + 10}`);
+      const dataPath = path.join(testDir, 'metrics.csv');
+      fs.writeFileSync(dataPath, ['load,queue', ...rows].join('\n'));
+      const checkpoint = path.join(testDir, 'cli', 'lstm.rsnm');
+      const logPath = path.join(testDir, 'cli', 'lstm.csv');
+      const cwd = process.cwd();
+      const log = console.log;
+      process.chdir(testDir);
+      console.log = () => {};
+      try {
+        await cli.train([
+          '--data', dataPath, '--target', 'load', '--window', '4', '--epochs', '2',
+          '--patience', '5', '--log', logPath, '--output', checkpoint,
+        ]);
+        await cli.train(['--data', dataPath, '--resume', checkpoint, '--epochs', '3', '--log', logPath]);
+      } finally {
+        console.log = log;
+        process.chdir(cwd);
+      }
+
+      const model = await loadNeuralModel(checkpoint);
+      assert.deepStrictEqual(model.trainingHistory.map(entry => entry.epoch), [1, 2, 3]);
+      assert.strictEqual(model.config.dataset.window, 4);
+      assert(Number.isInteger(model.config.dataset.seed));
+      const logged = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+      assert.strictEqual(logged.length, 4);
+      assert.deepStrictEqual(logged.slice(1).map(line => line.split(',')[0]), ['1', '2', '3']);
+    });
+
+    console.log(`\n✅ Neural Callback Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralCallbackTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-callbacks.test.js')) {
+  runNeuralCallbackTests().catch(error => {
+    console.error('Neural callback test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,227 @@
+/**
+ * Tests for the model checkpoint format and NeuralModel save/load
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { PersistenceError } from '../src/errors.js';
+import {
+  CHECKPOINT_FORMAT_VERSION,
+  encodeCheckpoint,
+  decodeCheckpoint,
+  readCheckpoint,
+} from '../src/neural-models/checkpoint.js';
+import { createNeuralModel, loadNeuralModel } from '../src/neural-models/index.js';
+import { NeuralNetworkManager } from '../src/neural-network-manager.js';
+
+const vector = (size, offset = 0) => Array.from({ length: size }, (_, i) => ((i + offset) % 3) / 2);
+
+const graph = () => {
+  const nodes = Float32Array.from(vector(12));
+  nodes.shape = [4, 3];
+  return { nodes, edges: Float32Array.from(vector(8)), adjacency: [[0, 1], [1, 2], [2, 3], [3, 0]] };
+};
+
+// A small config, a few training samples and a prediction input for each model type
+const MODELS = {
+  lstm: {
+    config: { inputSize: 2, hiddenSize: 4, numLayers: 2, outputSize: 2, bidirectional: true, dropoutRate: 0 },
+    samples: () => [0, 1, 2, 3].map(n => ({ input: [vector(2, n), vector(2, n + 1)], target: n % 2 })),
+    input: [[vector(2), vector(2, 1)]],
+  },
+  gru: {
+    config: { inputSize: 2, hiddenSize: 4, numLayers: 1, outputSize: 2, dropoutRate: 0 },
+    samples: () => [0, 1, 2, 3].map(n => ({ input: [vector(2, n), vector(2, n + 1)], target: n % 2 })),
+    input: [[vector(2), vector(2, 1)]],
+  },
+  transformer: {
+    config: { dimensions: 8, heads: 2, layers: 1, ffDimensions: 8, vocabularySize: 5, maxSequenceLength: 4, dropoutRate: 0 },
+    samples: () => [0, 1, 2, 3].map(n => ({ input: [n, n + 1], target: [n + 1, n] })),
+    input: [[1, 2]],
+  },
+  cnn: {
+    config: { inputShape: [4, 4, 1], convLayers: [{ filters: 2, kernelSize: 3, stride: 1, padding: 'same' }], denseLayers: [4], outputSize: 2, dropoutRate: 0 },
+    samples: () => [0, 1, 2, 3].map(n => ({ input: vector(16, n), target: n % 2 })),
+    input: vector(16),
+  },
+  autoencoder: {
+    config: { inputSize: 6, encoderLayers: [4], bottleneckSize: 2, dropoutRate: 0, variational: true },
+    samples: () => [0, 1, 2, 3].map(n => vector(6, n)),
+    input: [vector(6)],
+  },
+  gnn: {
+    config: { nodeDimensions: 3, edgeDimensions: 2, hiddenDimensions: 4, outputDimensions: 2, numLayers: 2, dropoutRate: 0 },
+    samples: () => [0, 1].map(n => ({ graphs: graph(), targets: { taskType: 'node_classification', labels: [n, 1, 0, n] } })),
+    input: graph(),
+  },
+  resnet: {
+    config: { inputDimensions: 4, numBlocks: 2, blockDepth: 2, hiddenDimensions: 4, outputDimensions: 2, initialChannels: 4, dropoutRate: 0 },
+    samples: () => [0, 1, 2, 3].map(n => ({ input: vector(4, n), target: n % 2 })),
+    input: [vector(4)],
+  },
+  vae: {
+    config: { inputSize: 6, encoderLayers: [4], latentDimensions: 2, decoderLayers: [4], dropoutRate: 0 },
+    samples: () => [0, 1, 2, 3].map(n => vector(6, n)),
+    input: [vector(6)],
+  },
+};
+
+// Plain, comparable form of a predict() result
+const plain = (value) => JSON.parse(JSON.stringify(value, (key, v) => (ArrayBuffer.isView(v) ? Array.from(v) : v)));
+
+async function runNeuralCheckpointTests() {
+  console.log('Running Neural Checkpoint Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-checkpoint-'));
+
+  try {
+    await test('should encode and decode tensors, header and extra state', () => {
+      const file = encodeCheckpoint({
+        modelType: 'test',
+        config: { size: 3 },
+        metrics: { loss: 0.5 },
+        trainingHistory: [{ epoch: 1, trainLoss: 0.5 }],
+        tensors: [
+          { name: 'a', data: Float32Array.from([1.5, -2, 3]), shape: [3] },
+          { name: 'b', kind: 'buffer', data: [0.25] },
+        ],
+        extra: { note: 'kept' },
+      });
+
+      assert.strictEqual(file.toString('latin1', 0, 4), 'RSNM');
+      assert.strictEqual(file.readUInt32LE(4), CHECKPOINT_FORMAT_VERSION);
+
+      const checkpoint = decodeCheckpoint(file);
+      assert.strictEqual(checkpoint.modelType, 'test');
+      assert.deepStrictEqual(checkpoint.config, { size: 3 });
+      assert.deepStrictEqual(checkpoint.extra, { note: 'kept' });
+      assert.strictEqual(checkpoint.formatVersion, CHECKPOINT_FORMAT_VERSION);
+      assert.strictEqual(checkpoint.checksum, file.subarray(file.length - 32).toString('hex'));
+      assert.deepStrictEqual(checkpoint.tensors.map(t => [t.name, t.kind, t.shape, Array.from(t.data)]), [
+        ['a', 'param', [3], [1.5, -2, 3]],
+        ['b', 'buffer', [1], [0.25]],
+      ]);
+    });
+
+    await test('should reject corrupt, foreign and newer checkpoints', () => {
+      const file = encodeCheckpoint({ modelType: 'test', tensors: [{ name: 'a', data: [1, 2] }] });
+
+      const flipped = Buffer.from(file);
+      flipped[flipped.length - 40] ^= 0xff;
+      assert.throws(() => decodeCheckpoint(flipped, 'flipped.rsnm'), /flipped.rsnm is corrupt: checksum mismatch/);
+
+      assert.throws(() => decodeCheckpoint(Buffer.from('{"weights": []}')), PersistenceError);
+
+      const newer = Buffer.from(file);
+      newer.writeUInt32LE(CHECKPOINT_FORMAT_VERSION + 1, 4);
+      assert.throws(() => decodeCheckpoint(newer), /newer than supported/);
+    });
+
+    for (const [type, { config, samples, input }] of Object.entries(MODELS)) {
+      await test(`should round-trip a trained ${type} model`, async() => {
+        const model = await createNeuralModel(type, config);
+        await model.train(samples(), { epochs: 2, batchSize: 2, learningRate: 0.01, validationSplit: 0, verbose: false, optimizer: 'adam' });
+
+        const filePath = path.join(testDir, 'models', `${type}.rsnm`);
+        const saved = await model.save(filePath);
+        assert.strictEqual(saved.modelType, type);
+        assert.strictEqual(saved.bytes, fs.statSync(filePath).size);
+
+        const restored = await loadNeuralModel(filePath);
+        assert.strictEqual(restored.modelType, type);
+        assert.deepStrictEqual(restored.getWeights(), model.getWeights());
+        assert.deepStrictEqual(restored.getOptimizerState(), model.getOptimizerState());
+        assert.deepStrictEqual(restored.trainingHistory, model.trainingHistory);
+        assert.deepStrictEqual(restored.metrics, model.metrics);
+        assert.deepStrictEqual(plain(await restored.predict(input)), plain(await model.predict(input)));
+
+        // Loading into an existing instance of the same architecture works too
+        const fresh = await createNeuralModel(type, config);
+        const loaded = await fresh.load(filePath);
+        assert.strictEqual(loaded.checksum, saved.checksum);
+        assert.deepStrictEqual(fresh.getWeights(), model.getWeights());
+      });
+    }
+
+    await test('should refuse checkpoints from another model type or config', async() => {
+      const filePath = path.join(testDir, 'resnet.rsnm');
+      await (await createNeuralModel('resnet', MODELS.resnet.config)).save(filePath);
+
+      const lstm = await createNeuralModel('lstm', MODELS.lstm.config);
+      await assert.rejects(lstm.load(filePath), /holds a resnet model, not lstm/);
+
+      const wider = await createNeuralModel('resnet', { ...MODELS.resnet.config, outputDimensions: 3 });
+      await assert.rejects(wider.load(filePath), /expected/);
+
+      const deeper = await createNeuralModel('resnet', { ...MODELS.resnet.config, numBlocks: 3 });
+      await assert.rejects(deeper.load(filePath), /different config/);
+
+      await assert.rejects(readCheckpoint(path.join(testDir, 'missing.rsnm')), PersistenceError);
+    });
+
+    await test('should save and load network state through the manager', async() => {
+      const manager = new NeuralNetworkManager(null);
+      await manager.createAdvancedNeuralModel('agent-lstm', 'lstm_sequence', { ...MODELS.lstm.config, preset: null });
+      const network = manager.neuralNetworks.get('agent-lstm');
+      await network.train(MODELS.lstm.samples(), { epochs: 1, batchSize: 2, validationSplit: 0, verbose: false });
+
+      const filePath = path.join(testDir, 'agent-lstm.rsnm');
+      const saved = await manager.saveNetworkState('agent-lstm', filePath);
+      assert.strictEqual(saved.modelType, 'lstm');
+
+      const weights = network.model.getWeights();
+      network.model.reset();
+      await manager.loadNetworkState('agent-lstm', filePath);
+      assert.deepStrictEqual(network.model.getWeights(), weights);
+
+      const simulated = manager.createSimulatedNetwork('agent-sim', { layers: [4, 2] });
+      const simulatedPath = path.join(testDir, 'agent-sim.rsnm');
+      assert.strictEqual(await manager.saveNetworkState('agent-sim', simulatedPath), true);
+      const simulatedWeights = [...simulated.weights];
+      simulated.weights = [0, 0];
+      assert.strictEqual(await manager.loadNetworkState('agent-sim', simulatedPath), true);
+      // Weights are stored as float32
+      assert.deepStrictEqual(simulated.weights, Array.from(Float32Array.from(simulatedWeights)));
+
+      await assert.rejects(simulated.load(filePath), /holds a lstm model, not a simulated network/);
+      assert.throws(() => manager.saveNetworkState('missing', filePath), /No neural network found for agent missing/);
+    });
+
+    console.log(`\n✅ Neural Checkpoint Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralCheckpointTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-checkpoint.test.js')) {
+  runNeuralCheckpointTests().catch(error => {
+    console.error('Neural checkpoint test error:', error);
+    process.exit(1);
+  });
+}
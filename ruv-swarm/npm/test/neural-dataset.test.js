@@ -0,0 +1,349 @@
+/**
+ * Tests for the training dataset readers, splits, normalisation and streaming
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { PersistenceError } from '../src/errors.js';
+import { CsvParser } from '../src/neural-models/dataset.js';
+import {
+  Dataset,
+  DatasetStream,
+  createNeuralModel,
+  createNormalization,
+  datasetModelConfig,
+  loadDatasetSplits,
+  loadNeuralModel,
+  readNpy,
+} from '../src/neural-models/index.js';
+import { NeuralCLI } from '../src/neural.js';
+
+// A .npy (format 1.0) file holding `values` written with `write(buffer, value, offset)`
+const npy = (descr, shape, values, size, write, { fortran = false } = {}) => {
+  let header = `{'descr': '${descr}', 'fortran_order': ${fortran ? 'True' : 'False'}, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+  header = `${header.padEnd(Math.ceil((header.length + 11) / 64) * 64 - 11)}\n`;
+  const preamble = Buffer.alloc(10);
+  preamble.write('\x93NUMPY', 0, 'latin1');
+  preamble[6] = 1;
+  preamble.writeUInt16LE(header.length, 8);
+  const data = Buffer.alloc(values.length * size);
+  values.forEach((value, i) => write(data, value, i * size));
+  return Buffer.concat([preamble, Buffer.from(header, 'latin1'), data]);
+};
+
+// Plain, comparable form of samples
+const plain = (value) => JSON.parse(JSON.stringify(value, (key, v) => (ArrayBuffer.isView(v) ? Array.from(v) : v)));
+
+// Rows of a noise-free series: `load` follows a sine wave, `level` labels its sign
+const series = (rows) => Array.from({ length: rows }, (_, t) => {
+  const load = Math.sin(t / 4);
+  return { t, load: Number(load.toFixed(4)), queue: (t % 5) + 10, level: load > 0 ? 'high' : 'low' };
+});
+
+const toCsv = (rows) => [Object.keys(rows[0]).join(','), ...rows.map(row => Object.values(row).join(','))].join('\n');
+
+async function collect(stream) {
+  const samples = [];
+  for await (const sample of stream) {
+    samples.push(sample);
+  }
+  return samples;
+}
+
+async function runNeuralDatasetTests() {
+  console.log('Running Neural Dataset Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-dataset-'));
+  const file = (name, contents) => {
+    const filePath = path.join(testDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+  const metricsPath = file('metrics.csv', toCsv(series(120)));
+
+  try {
+    await test('should parse quoted CSV fields split across chunks', () => {
+      const text = 'name,"note, quoted",n\r\n"a ""b""","line\nbreak",1\n\n,,\nlast,x,2';
+      // Every split point, including inside quotes and between \r and \n
+      for (let cut = 0; cut <= text.length; cut++) {
+        const parser = new CsvParser();
+        const records = [...parser.push(text.slice(0, cut)), ...parser.push(text.slice(cut)), ...parser.end()];
+        assert.deepStrictEqual(records, [
+          ['name', 'note, quoted', 'n'],
+          ['a "b"', 'line\nbreak', '1'],
+          ['', '', ''],
+          ['last', 'x', '2'],
+        ]);
+      }
+
+      const open = new CsvParser(',', 'open.csv');
+      open.push('a,"never closed');
+      assert.throws(() => open.end(), /open.csv ends inside a quoted field/);
+    });
+
+    await test('should read CSV rows into samples with class labels', async() => {
+      const filePath = file('labels.csv', '﻿x, y ,label\n1,2,cat\n3,,dog\n5,6,dog\n7,8,cat\n');
+      const data = await Dataset.fromFile(filePath, { target: 'label' });
+      assert.deepStrictEqual(data.features, ['x', 'y']);
+      assert.deepStrictEqual(data.target, ['label']);
+      assert.deepStrictEqual(data.classes, ['cat', 'dog']);
+      // The row with a missing value is skipped
+      assert.deepStrictEqual(plain(data.samples), [
+        { input: [1, 2], target: 0 },
+        { input: [5, 6], target: 1 },
+        { input: [7, 8], target: 0 },
+      ]);
+
+      const regression = await Dataset.fromFile(metricsPath, { target: 'load', features: ['queue', 't'] });
+      assert.strictEqual(regression.classes, null);
+      assert.deepStrictEqual(plain(regression.samples[3]), { input: [13, 3], target: 0.6816 });
+
+      const fixed = await Dataset.fromFile(filePath, { target: 'label', classes: ['dog', 'cat'] });
+      assert.deepStrictEqual(fixed.samples.map(s => s.target), [1, 0, 1]);
+      await assert.rejects(Dataset.fromFile(filePath, { target: 'label', classes: ['dog'] }), /unknown class "cat"/);
+
+      await assert.rejects(Dataset.fromFile(metricsPath, { target: 'load' }), /column "level" is not a number \("low"\)/);
+      await assert.rejects(Dataset.fromFile(metricsPath, { target: 'missing' }), /no column "missing"; its columns are t, load, queue, level/);
+      const headless = await Dataset.fromFile(file('headless.tsv', '1\t2\t3\n4\t5\t6\n'), { target: 2, header: false });
+      assert.deepStrictEqual(plain(headless.samples), [{ input: [1, 2], target: 3 }, { input: [4, 5], target: 6 }]);
+    });
+
+    await test('should read JSONL objects, arrays and samples', async() => {
+      const objects = file('objects.jsonl', '{"a": 1, "b": [2, 3], "y": "x"}\n\n{"a": 4, "b": [5, 6], "y": "z"}\n');
+      const data = await Dataset.fromFile(objects, { target: 'y' });
+      assert.deepStrictEqual(plain(data.samples), [{ input: [1, 2, 3], target: 0 }, { input: [4, 5, 6], target: 1 }]);
+
+      const arrays = await Dataset.fromFile(file('arrays.ndjson', '[1, 2, 0.5]\n[3, 4, 1.5]'), { target: 2 });
+      assert.deepStrictEqual(plain(arrays.samples), [{ input: [1, 2], target: 0.5 }, { input: [3, 4], target: 1.5 }]);
+
+      const samples = await Dataset.fromFile(file('samples.jsonl', '{"input": [[1, 2], [3, 4]], "target": 1}\n'));
+      assert.deepStrictEqual(samples.samples, [{ input: [[1, 2], [3, 4]], target: 1 }]);
+
+      await assert.rejects(Dataset.fromFile(file('broken.jsonl', '{"a": 1}\n{"a": \n')), /broken.jsonl line 2 is not valid JSON/);
+      await assert.rejects(Dataset.fromFile(path.join(testDir, 'missing.jsonl')), PersistenceError);
+      await assert.rejects(Dataset.fromFile(file('data.parquet', '')), /Cannot tell the format/);
+
+      const records = Dataset.fromRecords([{ a: 1, y: 2 }, { a: 3, y: 4 }], { target: 'y' });
+      assert.deepStrictEqual(plain(records.samples), [{ input: [1], target: 2 }, { input: [3], target: 4 }]);
+    });
+
+    await test('should read .npy arrays of several dtypes', async() => {
+      const table = file('table.npy', npy('<f8', [3, 3], [0, 1, 2, 3, 4, 5, 6, 7, 8], 8, (b, v, o) => b.writeDoubleLE(v, o)));
+      const { shape, data } = await readNpy(table);
+      assert.deepStrictEqual(shape, [3, 3]);
+      assert.deepStrictEqual(Array.from(data), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+      const rows = await Dataset.fromFile(table, { target: 2 });
+      assert.deepStrictEqual(plain(rows.samples), [{ input: [0, 1], target: 2 }, { input: [3, 4], target: 5 }, { input: [6, 7], target: 8 }]);
+
+      const bigEndian = file('big.npy', npy('>i2', [4], [-2, 300, 7, 0], 2, (b, v, o) => b.writeInt16BE(v, o)));
+      assert.deepStrictEqual(Array.from((await readNpy(bigEndian)).data), [-2, 300, 7, 0]);
+
+      const images = file('images.npy', npy('<f4', [2, 2, 3], [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], 4, (b, v, o) => b.writeFloatLE(v, o)));
+      const stacked = await Dataset.fromFile(images);
+      assert.deepStrictEqual(stacked.samples.map(s => [s.input.shape, Array.from(s.input)]), [
+        [[2, 3], [1, 2, 3, 4, 5, 6]],
+        [[2, 3], [7, 8, 9, 10, 11, 12]],
+      ]);
+
+      const fortran = file('fortran.npy', npy('<f8', [1, 1], [1], 8, (b, v, o) => b.writeDoubleLE(v, o), { fortran: true }));
+      await assert.rejects(readNpy(fortran), /Fortran order/);
+      await assert.rejects(readNpy(file('strings.npy', npy('<U4', [1], [], 0, () => {}))), /only numeric and boolean arrays/);
+      const truncated = file('truncated.npy', fs.readFileSync(table).subarray(0, -8));
+      await assert.rejects(readNpy(truncated), /truncated/);
+      await assert.rejects(Dataset.fromFile(truncated, { target: 2 }), /truncated/);
+      await assert.rejects(readNpy(file('fake.npy', 'not numpy at all')), /Not a NumPy .npy file/);
+    });
+
+    await test('should split, batch and shuffle reproducibly', async() => {
+      const data = await Dataset.fromFile(metricsPath, { target: 'level' });
+      const { train, validation, test } = data.split({ validation: 0.2, test: 0.1, seed: 7 });
+      assert.deepStrictEqual([train.length, validation.length, test.length], [84, 24, 12]);
+      assert.deepStrictEqual(train.classes, ['low', 'high']);
+      const inputs = (set) => set.samples.map(s => s.input[0]);
+      assert.deepStrictEqual([...inputs(train), ...inputs(validation), ...inputs(test)].sort((a, b) => a - b), inputs(data));
+      assert.deepStrictEqual(inputs(data.split({ validation: 0.2, test: 0.1, seed: 7 }).train), inputs(train));
+      assert.notDeepStrictEqual(inputs(train), inputs(data).slice(0, 84));
+
+      const ordered = data.split({ validation: 0.25, shuffle: false });
+      assert.deepStrictEqual(inputs(ordered.validation), inputs(data).slice(90));
+
+      const batches = [...data.batches(50)];
+      assert.deepStrictEqual(batches.map(b => b.length), [50, 50, 20]);
+    });
+
+    await test('should compute statistics and normalise features', async() => {
+      const data = Dataset.fromRecords([[1, 10, 0], [3, 10, 1], [5, 40, 0]], { target: 2, task: 'classification' });
+      const stats = data.stats();
+      assert.strictEqual(stats.count, 3);
+      assert.deepStrictEqual(stats.classCounts, [2, 1]);
+      assert.deepStrictEqual(stats.features.map(f => [f.name, f.mean, f.min, f.max]), [['0', 3, 1, 5], ['1', 20, 10, 40]]);
+      assert.ok(Math.abs(stats.features[0].std - Math.sqrt(8 / 3)) < 1e-12);
+
+      const zscore = data.normalize();
+      const column = (set, j) => set.samples.map(s => s.input[j]);
+      assert.ok(Math.abs(column(zscore, 0).reduce((a, b) => a + b)) < 1e-6);
+      assert.deepStrictEqual(zscore.normalization.offset, [3, 20]);
+
+      const minmax = data.normalize(createNormalization(stats, 'minmax'));
+      assert.deepStrictEqual(plain(minmax.samples.map(s => s.input)), [[0, 0], [0.5, 0], [1, 1]]);
+      assert.deepStrictEqual(data.samples[0].input, Float32Array.from([1, 10]));
+      assert.throws(() => createNormalization(stats, 'robust'), /Unknown normalization: robust/);
+
+      // Windows are normalised per feature along their last dimension
+      const windows = Dataset.fromRecords([[1, 10], [3, 10], [5, 40]], { target: null, window: 2 });
+      const scaled = windows.normalize(minmax.normalization);
+      assert.deepStrictEqual(scaled.samples[1].input.shape, [2, 2]);
+      assert.deepStrictEqual(Array.from(scaled.samples[1].input), [0.5, 0, 1, 1]);
+    });
+
+    await test('should group rows into windows with a forecast horizon', async() => {
+      const rows = [0, 1, 2, 3, 4, 5].map(t => ({ x: t, y: t * 10 }));
+      const data = Dataset.fromRecords(rows, { target: 'y', window: 3, horizon: 1 });
+      assert.strictEqual(data.window, 3);
+      assert.deepStrictEqual(data.samples.map(s => [Array.from(s.input), s.target]), [
+        [[0, 1, 2], 30],
+        [[1, 2, 3], 40],
+        [[2, 3, 4], 50],
+      ]);
+      const { inputShape, targetSize } = data.describe();
+      assert.deepStrictEqual([inputShape, targetSize], [[3, 1], 1]);
+    });
+
+    await test('should stream the same samples and split them stably', async() => {
+      const options = { target: 'level', window: 4 };
+      const stream = new DatasetStream(metricsPath, options);
+      const inMemory = await Dataset.fromFile(metricsPath, options);
+      assert.deepStrictEqual(plain(await collect(stream)), plain(inMemory.samples));
+
+      const description = await stream.describe();
+      assert.deepStrictEqual([description.count, description.rows, description.skipped], [117, 120, 0]);
+      assert.deepStrictEqual(description.classes, ['low', 'high']);
+      assert.deepStrictEqual(description.inputShape, [4, 3]);
+
+      const splits = stream.split({ validation: 0.2, test: 0.2, seed: 1 });
+      const first = (samples) => samples.map(s => s.input[0]);
+      const train = first(await collect(splits.train));
+      const validation = first(await collect(splits.validation));
+      const held = first(await collect(splits.test));
+      assert.deepStrictEqual(first(await collect(splits.train)), train);
+      assert.deepStrictEqual([...train, ...validation, ...held].sort((a, b) => a - b), first(inMemory.samples));
+      assert.ok(train.length > 50 && validation.length > 10 && held.length > 10);
+
+      const shuffled = [];
+      for await (const batch of stream.batches(10, { shuffleBuffer: 16, seed: 3 })) {
+        assert.ok(batch.length <= 10);
+        shuffled.push(...first(batch));
+      }
+      assert.notDeepStrictEqual(shuffled, first(inMemory.samples));
+      assert.deepStrictEqual([...shuffled].sort((a, b) => a - b), first(inMemory.samples));
+      assert.throws(() => stream.normalize('zscore'), /needs normalization values/);
+    });
+
+    await test('should train models on datasets and streams', async() => {
+      const splits = await loadDatasetSplits(metricsPath, { target: 'level', features: ['load', 'queue'], window: 6, test: 0.1 });
+      assert.deepStrictEqual(splits.normalization.offset.length, 2);
+      assert.strictEqual(splits.train.normalization, splits.normalization);
+      assert.strictEqual(splits.info.count, splits.train.length);
+
+      const config = datasetModelConfig('gru', splits.info, { hiddenSize: 8 });
+      assert.deepStrictEqual([config.inputSize, config.outputSize, config.loss], [2, 2, 'cross_entropy']);
+      const model = await createNeuralModel('gru', config);
+      const result = await model.train(splits.train, {
+        epochs: 4,
+        batchSize: 16,
+        learningRate: 0.05,
+        optimizer: 'adam',
+        validationData: splits.validation,
+        verbose: false,
+      });
+      assert.ok(result.history[3].trainLoss < result.history[0].trainLoss);
+      assert.ok(result.history.every(entry => entry.valLoss !== null));
+      assert.ok((await model.evaluate(splits.test)).accuracy >= 0);
+
+      const streamed = await loadDatasetSplits(metricsPath, { target: 'load', features: ['load', 'queue'], stream: true, seed: 2 });
+      assert.ok(streamed.train instanceof DatasetStream);
+      const resnet = await createNeuralModel('resnet', datasetModelConfig('resnet', streamed.info, { numBlocks: 1 }));
+      const { history } = await resnet.train(streamed.train, {
+        epochs: 3,
+        batchSize: 8,
+        learningRate: 0.01,
+        optimizer: 'adam',
+        validationData: streamed.validation,
+        verbose: false,
+      });
+      assert.strictEqual(resnet.metrics.totalSamples, streamed.info.count * 3);
+      assert.ok(history.every(entry => Number.isFinite(entry.trainLoss) && Number.isFinite(entry.valLoss)));
+
+      assert.throws(() => datasetModelConfig('lstm', streamed.info), /pass window/);
+      assert.throws(() => datasetModelConfig('transformer', streamed.info), /cannot be trained on tabular datasets/);
+      await assert.rejects(model.train(new DatasetStream(file('empty.csv', 'load,level\n'), { target: 'level' })), /training data is empty/);
+    });
+
+    await test('should train on a data file from the CLI', async() => {
+      const cli = new NeuralCLI();
+      const checkpoint = path.join(testDir, 'cli', 'lstm.rsnm');
+      const cwd = process.cwd();
+      const log = console.log;
+      process.chdir(testDir);
+      console.log = () => {};
+      try {
+        await cli.train([
+          '--data', metricsPath, '--model', 'lstm', '--target', 'load', '--features', 'load,queue',
+          '--window', '5', '--horizon', '1', '--epochs', '2', '--output', checkpoint,
+        ]);
+      } finally {
+        console.log = log;
+        process.chdir(cwd);
+      }
+
+      const model = await loadNeuralModel(checkpoint);
+      assert.strictEqual(model.modelType, 'lstm');
+      assert.strictEqual(model.trainingHistory.length, 2);
+      assert.deepStrictEqual(model.config.dataset.features, ['load', 'queue']);
+      assert.strictEqual(model.config.dataset.normalization.method, 'zscore');
+
+      const [resultsFile] = fs.readdirSync(path.join(testDir, '.ruv-swarm', 'neural')).filter(name => name.startsWith('training-lstm-'));
+      const results = JSON.parse(fs.readFileSync(path.join(testDir, '.ruv-swarm', 'neural', resultsFile), 'utf8'));
+      assert.strictEqual(results.checkpoint, checkpoint);
+      assert.strictEqual(results.iterations, 2);
+      assert.ok(Number.isFinite(results.testLoss));
+    });
+
+    console.log(`\n✅ Neural Dataset Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralDatasetTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-dataset.test.js')) {
+  runNeuralDatasetTests().catch(error => {
+    console.error('Neural dataset test error:', error);
+    process.exit(1);
+  });
+}
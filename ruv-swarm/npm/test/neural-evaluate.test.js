@@ -0,0 +1,267 @@
+/**
+ * Tests for model evaluation: classification, regression and reconstruction metrics and `neural evaluate`
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import {
+  ClassificationMetrics,
+  Dataset,
+  DatasetStream,
+  ReconstructionMetrics,
+  RegressionMetrics,
+  createNeuralModel,
+  evaluateModel,
+  evaluationTask,
+  loadDatasetSplits,
+  loadNeuralModel,
+} from '../src/neural-models/index.js';
+import { Tensor } from '../src/neural-models/autograd.js';
+import { NeuralNetworkManager } from '../src/neural-network-manager.js';
+import { NeuralCLI } from '../src/neural.js';
+
+const close = (actual, expected, message, tolerance = 1e-9) => assert(Math.abs(actual - expected) < tolerance, `${message}: ${actual} vs ${expected}`);
+
+// Rows of three features, a `label` for whether a + b > 1 and a numeric `load`
+const table = (rows) => {
+  const lines = ['a,b,c,label,load'];
+  for (let i = 0; i < rows; i++) {
+    const [a, b, c] = [(i * 37 % 100) / 100, (i * 61 % 100) / 100, (i * 13 % 100) / 100];
+    lines.push([a, b, c, a + b > 1 ? 'high' : 'low', (2 * a + b + 0.1 * c).toFixed(4)].join(','));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// Runs a CLI command in `dir` with its console output captured
+const runCli = async(dir, command, args) => {
+  const cli = new NeuralCLI();
+  const cwd = process.cwd();
+  const log = console.log;
+  const output = [];
+  process.chdir(dir);
+  console.log = (...values) => output.push(values.join(' '));
+  try {
+    const result = await cli[command](args);
+    return { result, output: output.join('\n') };
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+};
+
+async function runNeuralEvaluateTests() {
+  console.log('Running Neural Evaluate Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-evaluate-'));
+  const dataPath = path.join(testDir, 'data.csv');
+  fs.writeFileSync(dataPath, table(120));
+
+  try {
+    await test('should compute precision, recall, F1 and the confusion matrix', async() => {
+      const metrics = new ClassificationMetrics(['cat', 'dog', 'bird']);
+      // Predicted classes 0, 0, 1, 1, 2, 0 for actual 0, 0, 1, 2, 2, 1
+      const logits = [[3, 0, 0], [2, 1, 0], [0, 4, 1], [0, 2, 1], [0, 0, 5], [1, 0, 0]];
+      metrics.add(Tensor.from(logits), Tensor.from([0, 0, 1, 2, 2, 1]));
+      const report = metrics.report();
+
+      assert.deepStrictEqual(report.confusionMatrix, {
+        labels: ['cat', 'dog', 'bird'],
+        matrix: [[2, 0, 0], [1, 1, 0], [0, 1, 1]],
+      });
+      close(report.metrics.accuracy, 4 / 6, 'accuracy');
+      const [cat, dog, bird] = report.perClass;
+      close(cat.precision, 2 / 3, 'cat precision');
+      close(cat.recall, 1, 'cat recall');
+      close(dog.precision, 0.5, 'dog precision');
+      close(bird.recall, 0.5, 'bird recall');
+      close(cat.f1, 0.8, 'cat f1');
+      close(report.metrics.precision, (2 / 3 + 0.5 + 1) / 3, 'macro precision');
+      close(report.metrics.f1, (0.8 + 0.5 + 2 / 3) / 3, 'macro f1');
+      assert.deepStrictEqual(report.perClass.map(c => c.support), [2, 2, 2]);
+
+      // One-hot targets, and a single logit for binary models
+      const binary = new ClassificationMetrics();
+      binary.add(Tensor.from([[2], [-1], [0.5]]), Tensor.from([[0, 1], [1, 0], [1, 0]]));
+      assert.deepStrictEqual(binary.report().confusionMatrix.matrix, [[1, 1], [0, 1]]);
+    });
+
+    await test('should compute MAE, RMSE, MAPE, sMAPE and R²', async() => {
+      const metrics = new RegressionMetrics();
+      metrics.add(Tensor.from([[1], [2]]), Tensor.from([[2], [2]]));
+      metrics.add(Tensor.from([[3], [1]]), Tensor.from([[4], [0]]));
+      const { count, metrics: m } = metrics.report();
+
+      assert.strictEqual(count, 4);
+      close(m.mae, 0.75, 'mae');
+      close(m.rmse, Math.sqrt(0.75), 'rmse');
+      // The zero target is left out of MAPE but not sMAPE
+      close(m.mape, 100 * (0.5 + 0 + 0.25) / 3, 'mape');
+      close(m.smape, 100 * (2 / 3 + 0 + 2 / 7 + 2) / 4, 'smape');
+      close(m.r2, 1 - 0.75 / 2, 'r2');
+
+      assert.throws(() => metrics.add(Tensor.from([[1, 2]]), Tensor.from([1])), /check the target columns/);
+      const zeros = new RegressionMetrics();
+      zeros.add(Tensor.from([0, 0]), Tensor.from([0, 0]));
+      assert.deepStrictEqual([zeros.report().metrics.mape, zeros.report().metrics.smape, zeros.report().metrics.r2], [null, null, null]);
+    });
+
+    await test('should report per-sample reconstruction error', async() => {
+      const metrics = new ReconstructionMetrics();
+      const inputs = Array.from({ length: 20 }, () => [0, 0]);
+      const outputs = inputs.map((_, i) => [i / 10, 0]);
+      metrics.add(Tensor.from(outputs), Tensor.from(inputs));
+      const { count, metrics: m } = metrics.report();
+
+      assert.strictEqual(count, 20);
+      // Tensors hold float32 values
+      const errors = outputs.map(([x]) => x * x / 2);
+      close(m.mse, errors.reduce((a, b) => a + b, 0) / 20, 'mse', 1e-6);
+      close(m.maxSampleError, errors[19], 'max', 1e-6);
+      close(m.medianSampleError, errors[10], 'median', 1e-6);
+      close(m.p95SampleError, errors[19], 'p95', 1e-6);
+      close(m.mae, outputs.reduce((sum, [x]) => sum + x, 0) / 40, 'mae', 1e-6);
+    });
+
+    await test('should pick the task from the model and score datasets and streams', async() => {
+      const splits = await loadDatasetSplits(dataPath, { target: 'label', features: ['a', 'b', 'c'], validation: 0, test: 0 });
+      const classifier = await createNeuralModel('resnet', {
+        inputDimensions: 3, hiddenDimensions: 8, numBlocks: 1, blockDepth: 1, outputDimensions: 2,
+        dropoutRate: 0, dataset: { classes: splits.info.classes },
+      });
+      assert.strictEqual(evaluationTask(classifier), 'classification');
+      await classifier.train(splits.train, { epochs: 20, batchSize: 16, learningRate: 0.05, optimizer: 'adam', validationSplit: 0, verbose: false });
+
+      const report = await evaluateModel(classifier, splits.train);
+      assert.strictEqual(report.count, 120);
+      assert.deepStrictEqual(report.confusionMatrix.labels, splits.info.classes);
+      close(report.metrics.accuracy, (await classifier.evaluate(splits.train)).accuracy, 'accuracy matches evaluate()');
+
+      const stream = new DatasetStream(dataPath, { target: 'label', features: ['a', 'b', 'c'] }).normalize(splits.normalization);
+      const streamed = await evaluateModel(classifier, stream, { batchSize: 7 });
+      assert.deepStrictEqual(streamed.confusionMatrix, report.confusionMatrix);
+
+      const forecaster = await createNeuralModel('lstm', { inputSize: 3, hiddenSize: 4, outputSize: 1 });
+      assert.strictEqual(evaluationTask(forecaster), 'regression');
+      const regression = await evaluateModel(forecaster, await Dataset.fromFile(dataPath, { target: 'load', features: ['a', 'b', 'c'], window: 4 }));
+      assert.strictEqual(regression.task, 'regression');
+      assert.strictEqual(regression.count, 117);
+
+      const vae = await createNeuralModel('vae', { inputSize: 3, encoderLayers: [4], latentDimensions: 2, decoderLayers: [4] });
+      assert.strictEqual(evaluationTask(vae), 'reconstruction');
+      const reconstruction = await evaluateModel(vae, await Dataset.fromFile(dataPath, { features: ['a', 'b', 'c'] }));
+      assert.strictEqual(reconstruction.count, 120);
+      assert(reconstruction.metrics.mse > 0);
+
+      await assert.rejects(evaluateModel(vae, []), /No samples/);
+      await assert.rejects(evaluateModel(vae, [[1, 2, 3]], { task: 'ranking' }), /Unknown evaluation task/);
+    });
+
+    await test('should evaluate a checkpoint on the test split it was trained with', async() => {
+      const checkpoint = path.join(testDir, 'classifier.rsnm');
+      const trained = await runCli(testDir, 'trainOnData', [
+        '--data', dataPath, '--model', 'resnet', '--target', 'label', '--features', 'a,b,c',
+        '--epochs', '15', '--learning-rate', '0.05', '--test-split', '0.2', '--output', checkpoint,
+      ]);
+      assert(trained.output.includes('neural evaluate --model'));
+      const model = await loadNeuralModel(checkpoint);
+      assert.strictEqual(model.config.dataset.test, 0.2);
+
+      const { result, output } = await runCli(testDir, 'evaluate', ['--model', checkpoint]);
+      assert.strictEqual(result.split, 'test');
+      assert.strictEqual(result.count, 24);
+      assert.strictEqual(result.task, 'classification');
+      assert(output.includes('Confusion matrix'));
+      assert(output.includes('high') && output.includes('low'));
+
+      // The same held-out rows train --data scored
+      const splits = await loadDatasetSplits(dataPath, {
+        target: 'label', features: ['a', 'b', 'c'], validation: 0.1, test: 0.2, seed: model.config.dataset.seed,
+      });
+      close(result.metrics.accuracy, (await model.evaluate(splits.test)).accuracy, 'test accuracy');
+
+      const all = await runCli(testDir, 'evaluate', ['--model', checkpoint, '--split', 'all']);
+      assert.strictEqual(all.result.count, 120);
+    });
+
+    await test('should print JSON and save the report for regression and reconstruction models', async() => {
+      const forecaster = path.join(testDir, 'forecaster.rsnm');
+      await runCli(testDir, 'trainOnData', [
+        '--data', dataPath, '--model', 'lstm', '--target', 'load', '--features', 'a,b,c', '--window', '4',
+        '--epochs', '2', '--output', forecaster,
+      ]);
+      const reportPath = path.join(testDir, 'reports', 'forecaster.json');
+      const { output } = await runCli(testDir, 'evaluate', ['--model', forecaster, '--json', '--output', reportPath]);
+      const printed = JSON.parse(output);
+      assert.strictEqual(printed.task, 'regression');
+      for (const key of ['mae', 'rmse', 'mape', 'smape', 'r2']) {
+        assert(key in printed.metrics, key);
+      }
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(reportPath, 'utf8')), printed);
+
+      const heldOut = path.join(testDir, 'holdout.csv');
+      fs.writeFileSync(heldOut, table(30));
+      const autoencoder = path.join(testDir, 'autoencoder.rsnm');
+      await runCli(testDir, 'trainOnData', ['--data', dataPath, '--model', 'autoencoder', '--features', 'a,b,c', '--epochs', '2', '--output', autoencoder]);
+      const reconstruction = await runCli(testDir, 'evaluate', ['--model', autoencoder, '--data', heldOut]);
+      assert.strictEqual(reconstruction.result.split, 'all');
+      assert.strictEqual(reconstruction.result.count, 30);
+      assert(reconstruction.output.includes('Reconstruction MSE'));
+    });
+
+    await test('should score an agent network on held-out data', async() => {
+      const manager = new NeuralNetworkManager({ loadModule: async() => ({ isPlaceholder: true }) });
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await manager.createAgentNeuralNetwork('agent-1', { template: 'resnet_classifier', inputDimensions: 3, hiddenDimensions: 8, numBlocks: 1, outputDimensions: 2 });
+        await manager.createAgentNeuralNetwork('agent-2', { template: 'deep_analyzer' });
+      } finally {
+        console.log = log;
+      }
+      const samples = Array.from({ length: 10 }, (_, i) => ({ input: [i / 10, 1 - i / 10, 0.5], target: i % 2 }));
+      const report = await manager.evaluateNetwork('agent-1', samples, { task: 'classification' });
+      assert.strictEqual(report.count, 10);
+      assert.strictEqual(report.confusionMatrix.matrix.flat().reduce((a, b) => a + b, 0), 10);
+
+      await assert.rejects(manager.evaluateNetwork('agent-2', samples), /no trainable model/);
+      await assert.rejects(manager.evaluateNetwork('missing', samples), /No neural network found/);
+    });
+
+    console.log(`\n✅ Neural Evaluate Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralEvaluateTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-evaluate.test.js')) {
+  runNeuralEvaluateTests().catch(error => {
+    console.error('Neural evaluate test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * Tests for ONNX export and import of the neural models
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { PersistenceError } from '../src/errors.js';
+import { encodeModel, decodeModel } from '../src/neural-models/onnx-proto.js';
+import { runOnnxModel } from '../src/neural-models/onnx-runtime.js';
+import { ONNX_OPSET, exportOnnx, importOnnx, readOnnx, writeOnnx } from '../src/neural-models/onnx.js';
+import { createNeuralModel } from '../src/neural-models/index.js';
+import { NeuralCLI } from '../src/neural.js';
+
+const vector = (size, offset = 0) => Array.from({ length: size }, (_, i) => ((i + offset) % 5) / 4 - 0.3);
+
+const sequences = (inputSize) => ({
+  input: [0, 1].map(n => [0, 1, 2].map(t => vector(inputSize, n + t))),
+  dims: [2, 3, inputSize],
+});
+
+// Configs covering each exporter's branches, with an input batch and its dims for each
+const MODELS = {
+  lstm: {
+    config: { inputSize: 3, hiddenSize: 4, numLayers: 2, outputSize: 2, bidirectional: true, dropoutRate: 0 },
+    ...sequences(3),
+  },
+  'lstm (returnSequence)': {
+    type: 'lstm',
+    config: { inputSize: 3, hiddenSize: 4, numLayers: 1, outputSize: 2, returnSequence: true, dropoutRate: 0 },
+    ...sequences(3),
+  },
+  gru: {
+    config: { inputSize: 3, hiddenSize: 4, numLayers: 2, outputSize: 2, bidirectional: true, dropoutRate: 0 },
+    ...sequences(3),
+  },
+  transformer: {
+    config: { dimensions: 8, heads: 2, layers: 2, ffDimensions: 12, vocabularySize: 7, maxSequenceLength: 6, dropoutRate: 0 },
+    input: [[1, 2, 3, 4], [6, 5, 0, 2]],
+    dims: [2, 4],
+  },
+  cnn: {
+    config: {
+      inputShape: [5, 5, 2],
+      convLayers: [
+        { filters: 3, kernelSize: 3, stride: 1, padding: 'same', activation: 'relu' },
+        { filters: 2, kernelSize: 2, stride: 1, padding: 'valid', activation: 'swish' },
+      ],
+      poolingSize: 1,
+      denseLayers: [4],
+      outputSize: 3,
+      dropoutRate: 0,
+    },
+    input: [0, 1].map(n => vector(50, n)),
+    dims: [2, 5, 5, 2],
+  },
+  'cnn (strided, pooled)': {
+    type: 'cnn',
+    config: {
+      inputShape: [7, 6, 1],
+      convLayers: [{ filters: 2, kernelSize: 3, stride: 2, padding: 'same', activation: 'elu' }],
+      poolingSize: 2,
+      denseLayers: [],
+      outputSize: 2,
+      dropoutRate: 0,
+    },
+    input: [vector(42)],
+    dims: [1, 7, 6, 1],
+  },
+  resnet: {
+    config: { inputDimensions: 4, numBlocks: 2, blockDepth: 2, hiddenDimensions: 8, outputDimensions: 3, initialChannels: 4, activation: 'leaky_relu', dropoutRate: 0 },
+    input: [vector(4), vector(4, 2)],
+    dims: [2, 4],
+  },
+  autoencoder: {
+    config: { inputSize: 6, encoderLayers: [4], bottleneckSize: 2, activation: 'tanh', dropoutRate: 0 },
+    input: [vector(6), vector(6, 3)],
+    dims: [2, 6],
+  },
+  'autoencoder (variational)': {
+    type: 'autoencoder',
+    config: { inputSize: 6, encoderLayers: [5, 4], bottleneckSize: 2, variational: true, outputActivation: 'linear', dropoutRate: 0 },
+    input: [vector(6), vector(6, 3)],
+    dims: [2, 6],
+  },
+};
+
+const close = (actual, expected, label) => {
+  assert.strictEqual(actual.length, expected.length, `${label}: length`);
+  for (let i = 0; i < expected.length; i++) {
+    assert(Math.abs(actual[i] - expected[i]) < 1e-4, `${label}[${i}]: expected ${expected[i]}, got ${actual[i]}`);
+  }
+};
+
+// The model's own prediction for each graph output
+function expectedOutputs(type, prediction) {
+  if (type === 'autoencoder') {
+    return { reconstruction: prediction.reconstruction, latent: prediction.latent, log_var: prediction.logVar };
+  }
+  return { [type === 'transformer' ? 'logits' : 'output']: prediction };
+}
+
+async function runNeuralOnnxTests() {
+  console.log('Running Neural ONNX Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-onnx-'));
+
+  try {
+    await test('should encode and decode ONNX protobuf messages', () => {
+      const model = {
+        irVersion: 8,
+        opsetImport: [{ domain: '', version: ONNX_OPSET }],
+        producerName: 'test',
+        producerVersion: '',
+        docString: '',
+        graph: {
+          name: 'g',
+          nodes: [{ name: 'n', opType: 'Gather', domain: '', inputs: ['table', 'ids'], outputs: ['out'], attributes: { axis: { i: -1 }, alpha: { f: 0.5 }, perm: { ints: [0, -2, 300] }, mode: { s: 'x' } } }],
+          initializers: [
+            { name: 'table', dataType: 'float', dims: [2, 2], data: Float32Array.from([1.5, -2, 0, 1e-3]) },
+            { name: 'ids', dataType: 'int64', dims: [], data: [-1] },
+          ],
+          inputs: [{ name: 'x', elemType: 'float', shape: ['batch', 3] }],
+          outputs: [{ name: 'out', elemType: 'float', shape: [2] }],
+        },
+        metadata: { key: 'value' },
+      };
+      const decoded = decodeModel(encodeModel(model));
+      assert.deepStrictEqual(decoded, model);
+      assert.throws(() => decodeModel(Buffer.from([0x0a, 0x05, 0x01])), /truncated/);
+    });
+
+    for (const [label, { type = label, config, input, dims }] of Object.entries(MODELS)) {
+      await test(`should export a ${label} model that computes what the model does`, async() => {
+        const model = await createNeuralModel(type, config);
+        // Running statistics away from their initial 0 and 1, so batch normalization is exercised
+        for (const data of model.buffers.values()) {
+          data.forEach((_, i) => {
+            data[i] = 0.5 + i / 10;
+          });
+        }
+        const onnx = decodeModel(exportOnnx(model));
+        assert.strictEqual(onnx.opsetImport[0].version, ONNX_OPSET);
+
+        const [graphInput] = onnx.graph.inputs;
+        const outputs = runOnnxModel(onnx, { [graphInput.name]: { dims, data: input.flat(Infinity) } });
+        const expected = expectedOutputs(type, await model.predict(input));
+        for (const { name } of onnx.graph.outputs) {
+          close(Array.from(outputs[name].data), Array.from(expected[name]), `${label} ${name}`);
+        }
+      });
+    }
+
+    await test('should import exported models with their weights', async() => {
+      for (const [label, { type = label, config, input }] of Object.entries(MODELS)) {
+        const model = await createNeuralModel(type, config);
+        const imported = importOnnx(exportOnnx(model), { source: label });
+        assert.strictEqual(imported.modelType, type);
+        assert.deepStrictEqual(imported.getWeights(), model.getWeights(), `${label} weights`);
+        assert.deepStrictEqual(await imported.predict(input), await model.predict(input), `${label} prediction`);
+      }
+    });
+
+    await test('should fold recurrent biases from other tools into the model', async() => {
+      const model = await createNeuralModel('gru', MODELS.gru.config);
+      const onnx = decodeModel(exportOnnx(model));
+      const bias = onnx.graph.initializers.find(({ name }) => name === 'gates.0.B');
+      // Recurrent bias (second half) of the first direction's update gate
+      bias.data[3 * 4] = 0.25;
+      const imported = importOnnx(encodeModel(onnx));
+      close(Array.from(imported.params.get('gates.0.0.updateBias').data), Array.from(model.params.get('gates.0.0.updateBias').data).map((v, i) => (i === 0 ? v + 0.25 : v)), 'update bias');
+    });
+
+    await test('should reject invalid and altered graphs', async() => {
+      const model = await createNeuralModel('resnet', MODELS.resnet.config);
+      const exported = () => decodeModel(exportOnnx(model));
+
+      assert.throws(() => importOnnx(Buffer.from('not a protobuf at all')), PersistenceError);
+
+      const newer = exported();
+      newer.opsetImport[0].version = ONNX_OPSET + 1;
+      assert.throws(() => importOnnx(encodeModel(newer)), /newer than supported opset/);
+
+      const unknownOp = exported();
+      unknownOp.graph.nodes[1].opType = 'Einsum';
+      assert.throws(() => importOnnx(encodeModel(unknownOp)), /unsupported operator in node 1 \(Einsum/);
+
+      const unordered = exported();
+      unordered.graph.nodes.reverse();
+      assert.throws(() => importOnnx(encodeModel(unordered)), /before it is defined/);
+
+      const truncated = exported();
+      truncated.graph.initializers[0].dims = [1];
+      assert.throws(() => importOnnx(encodeModel(truncated)), /values for dims \[1\]/);
+
+      const dangling = exported();
+      dangling.graph.outputs[0].name = 'missing';
+      assert.throws(() => importOnnx(encodeModel(dangling)), /never produces graph output missing/);
+
+      const foreign = exported();
+      foreign.metadata = {};
+      assert.throws(() => importOnnx(encodeModel(foreign)), /only models exported by ruv-swarm/);
+
+      // Valid ONNX, but no longer the graph this resnet exports
+      const altered = exported();
+      const relu = altered.graph.nodes.findIndex(node => node.opType === 'LeakyRelu');
+      altered.graph.nodes[relu].attributes.alpha = { f: 0.2 };
+      assert.throws(() => importOnnx(encodeModel(altered)), /differs at node \d+.*does not match a resnet model/);
+
+      const reconfigured = exported();
+      reconfigured.metadata['ruv-swarm.config'] = JSON.stringify({ ...MODELS.resnet.config, numBlocks: 3 });
+      assert.throws(() => importOnnx(encodeModel(reconfigured)), /does not match a resnet model/);
+
+      const gnn = await createNeuralModel('gnn', { nodeDimensions: 3, hiddenDimensions: 4, outputDimensions: 2 });
+      assert.throws(() => exportOnnx(gnn), /ONNX export is not supported for gnn models/);
+    });
+
+    await test('should write and read ONNX files', async() => {
+      const model = await createNeuralModel('transformer', MODELS.transformer.config);
+      const filePath = path.join(testDir, 'models', 'transformer.onnx');
+      const written = await writeOnnx(model, filePath);
+      assert.strictEqual(written.bytes, fs.statSync(filePath).size);
+      assert.deepStrictEqual(written.inputs.map(({ name, elemType }) => [name, elemType]), [['input_ids', 'int64']]);
+
+      const imported = await readOnnx(filePath);
+      assert.deepStrictEqual(imported.getWeights(), model.getWeights());
+      await assert.rejects(readOnnx(path.join(testDir, 'missing.onnx')), PersistenceError);
+    });
+
+    await test('should export checkpoints and import ONNX files from the CLI', async() => {
+      const model = await createNeuralModel('cnn', MODELS.cnn.config);
+      const checkpoint = path.join(testDir, 'cli', 'cnn.rsnm');
+      await model.save(checkpoint);
+
+      const cli = new NeuralCLI();
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await cli.export(['--format', 'onnx', '--model', checkpoint]);
+        const onnxPath = path.join(testDir, 'cli', 'cnn.onnx');
+        assert.strictEqual((await readOnnx(onnxPath)).modelType, 'cnn');
+
+        const importedPath = path.join(testDir, 'cli', 'imported.rsnm');
+        await cli.import([onnxPath, '--output', importedPath]);
+        const restored = await createNeuralModel('cnn', MODELS.cnn.config);
+        await restored.load(importedPath);
+        assert.deepStrictEqual(restored.getWeights(), model.getWeights());
+      } finally {
+        console.log = log;
+      }
+    });
+
+    console.log(`\n✅ Neural ONNX Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralOnnxTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-onnx.test.js')) {
+  runNeuralOnnxTests().catch(error => {
+    console.error('Neural ONNX test error:', error);
+    process.exit(1);
+  });
+}
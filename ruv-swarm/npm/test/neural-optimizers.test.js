@@ -0,0 +1,224 @@
+/**
+ * Tests for the optimizers and learning-rate schedulers used by NeuralModel.train()
+ */
+
+import assert from 'assert';
+import * as ag from '../src/neural-models/autograd.js';
+import { createOptimizer, SGD } from '../src/neural-models/optimizers.js';
+import { createScheduler } from '../src/neural-models/schedulers.js';
+import { LSTMModel, ResNetModel } from '../src/neural-models/index.js';
+import { MetaLearningFramework } from '../src/meta-learning-framework.js';
+
+const close = (actual, expected, message, tolerance = 1e-5) => {
+  assert(Math.abs(actual - expected) < tolerance, `${message}: expected ${expected}, got ${actual}`);
+};
+
+// One parameter holding `values`, with `grad` as its gradient
+const param = (values, grad) => {
+  const p = new ag.Tensor(Float32Array.from(values), [values.length], { requiresGrad: true });
+  p.grad = Float32Array.from(grad);
+  return new Map([['w', p]]);
+};
+
+const rateAt = (scheduler, position) => createScheduler(scheduler).learningRate({ baseLearningRate: 1, epochs: 10, stepsPerEpoch: 1, ...position });
+
+const dataset = () => Array.from({ length: 16 }, (_, n) => ({ input: [n % 2, (n >> 1) % 2, 1], target: n % 2 }));
+
+const model = () => new ResNetModel({ inputDimensions: 3, numBlocks: 1, blockDepth: 1, hiddenDimensions: 6, outputDimensions: 2, initialChannels: 6, dropoutRate: 0 });
+
+async function runNeuralOptimizerTests() {
+  console.log('Running Neural Optimizer Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  await test('should apply SGD with and without momentum', async() => {
+    const params = param([1, 2], [0.5, -1]);
+    new SGD().step(params, 0.1);
+    close(params.get('w').data[0], 0.95, 'plain step');
+    close(params.get('w').data[1], 2.1, 'plain step');
+
+    const momentum = createOptimizer({ type: 'sgd', momentum: 0.9 });
+    const p = param([0], [1]);
+    momentum.step(p, 0.1);
+    momentum.step(p, 0.1);
+    // velocity 1, then 0.9 * 1 + 1
+    close(p.get('w').data[0], -0.1 - 0.19, 'momentum');
+
+    const nesterov = param([0], [1]);
+    createOptimizer({ type: 'sgd', momentum: 0.9, nesterov: true }).step(nesterov, 0.1);
+    close(nesterov.get('w').data[0], -0.19, 'nesterov');
+
+    const clipped = param([0], [4]);
+    createOptimizer('sgd').step(clipped, 1, 0.25);
+    close(clipped.get('w').data[0], -1, 'gradient scale');
+  });
+
+  await test('should apply Adam, AdamW and RMSprop', async() => {
+    // Bias correction makes Adam's first step the learning rate times the sign of the gradient
+    const adam = param([1, 1], [0.001, -50]);
+    createOptimizer('adam').step(adam, 0.1);
+    close(adam.get('w').data[0], 0.9, 'adam first step', 1e-4);
+    close(adam.get('w').data[1], 1.1, 'adam first step', 1e-4);
+
+    // AdamW shrinks weights even where the gradient is zero
+    const adamw = param([2], [0]);
+    createOptimizer({ type: 'adamw', weightDecay: 0.1 }).step(adamw, 0.5);
+    close(adamw.get('w').data[0], 2 * (1 - 0.05), 'decoupled weight decay');
+
+    const l2 = param([2], [0]);
+    createOptimizer({ type: 'adam', weightDecay: 0.1 }).step(l2, 0.5);
+    close(l2.get('w').data[0], 1.5, 'adam L2 folds decay into the gradient', 1e-4);
+
+    // The first RMSprop average is (1 - alpha) * g^2, so the step is lr / sqrt(1 - alpha)
+    const rms = param([0], [3]);
+    createOptimizer({ type: 'rmsprop', alpha: 0.99 }).step(rms, 0.01);
+    close(rms.get('w').data[0], -0.1, 'rmsprop first step', 1e-4);
+
+    assert.throws(() => createOptimizer('lbfgs'), /Unknown optimizer: lbfgs/);
+  });
+
+  await test('should save and restore optimizer state', async() => {
+    const original = createOptimizer('adam');
+    const a = param([1, 2, 3], [0.1, 0.2, 0.3]);
+    original.step(a, 0.01);
+
+    const restored = createOptimizer('adam');
+    restored.setState(JSON.parse(JSON.stringify(original.getState(), (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value))));
+    const b = param(Array.from(a.get('w').data), [0.1, 0.2, 0.3]);
+    a.get('w').grad = Float32Array.from([0.1, 0.2, 0.3]);
+
+    original.step(a, 0.01);
+    restored.step(b, 0.01);
+    assert.deepStrictEqual(Array.from(b.get('w').data), Array.from(a.get('w').data));
+    assert.strictEqual(restored.steps, 2);
+    assert.throws(() => createOptimizer('sgd').setState(original.getState()), /Cannot restore adam/);
+  });
+
+  await test('should compute scheduled learning rates', async() => {
+    close(rateAt('constant', { epoch: 7, step: 7 }), 1, 'constant');
+    close(rateAt({ type: 'step', stepSize: 3, gamma: 0.5 }, { epoch: 7, step: 7 }), 0.25, 'step');
+    close(rateAt({ type: 'exponential_decay', gamma: 0.9 }, { epoch: 2, step: 2 }), 0.81, 'exponential');
+
+    close(rateAt('cosine_annealing', { epoch: 0, step: 0 }), 1, 'cosine start');
+    close(rateAt('cosine', { epoch: 5, step: 5 }), 0.5, 'cosine middle');
+    close(rateAt({ type: 'cosine', minLearningRate: 0.1 }, { epoch: 10, step: 10 }), 0.1, 'cosine end');
+    close(rateAt('cosine', { epoch: 2, step: 5, stepsPerEpoch: 2 }), Math.cos(Math.PI / 8) ** 2, 'cosine within an epoch');
+
+    const warmed = { type: 'step', stepSize: 1, gamma: 0.5, warmupEpochs: 2 };
+    close(rateAt(warmed, { epoch: 0, step: 0 }), 0.5, 'warmup');
+    close(rateAt(warmed, { epoch: 2, step: 2 }), 1, 'first epoch after warmup');
+    close(rateAt(warmed, { epoch: 3, step: 3 }), 0.5, 'schedule after warmup');
+    close(rateAt({ type: 'warmup', warmupSteps: 4 }, { epoch: 0, step: 1 }), 0.5, 'warmup steps');
+
+    assert.throws(() => createScheduler('triangular'), /Unknown learning rate scheduler/);
+  });
+
+  await test('should reduce the learning rate on a plateau', async() => {
+    const scheduler = createScheduler({ type: 'plateau', patience: 2, factor: 0.5, minLearningRate: 0.3 });
+    const losses = [1, 0.9, 0.9, 0.9, 0.95, 0.9, 0.9, 0.9];
+    const rates = losses.map(loss => {
+      scheduler.observe(loss);
+      return scheduler.learningRate({ baseLearningRate: 1 });
+    });
+    assert.deepStrictEqual(rates, [1, 1, 1, 1, 0.5, 0.5, 0.5, 0.3]);
+  });
+
+  await test('should train with a chosen optimizer and scheduler', async() => {
+    const network = model();
+    const before = await network.validate(dataset());
+    const result = await network.train(dataset(), {
+      epochs: 12,
+      batchSize: 4,
+      learningRate: 0.02,
+      validationSplit: 0,
+      verbose: false,
+      optimizer: 'adam',
+      scheduler: { type: 'cosine', warmupEpochs: 2 },
+    });
+    const after = await network.validate(dataset());
+
+    assert.strictEqual(result.optimizer, 'adam');
+    assert(after < before * 0.7, `loss should go down with Adam: ${before} -> ${after}`);
+
+    // Warmup over the first 8 steps, then cosine decay over the remaining 10 epochs
+    const rates = result.history.map(entry => entry.learningRate);
+    close(rates[0], 0.02 * 4 / 8, 'warmup rate');
+    close(rates[1], 0.02, 'rate at the end of warmup');
+    assert(rates[11] < rates[5] && rates[5] < rates[2], 'cosine rate should fall');
+  });
+
+  await test('should keep optimizer state across train() calls', async() => {
+    const network = model();
+    const options = { epochs: 1, batchSize: 8, validationSplit: 0, verbose: false, optimizer: { type: 'sgd', momentum: 0.9 } };
+    await network.train(dataset(), options);
+    const optimizer = network.getOptimizer();
+    assert.strictEqual(optimizer.steps, 2);
+
+    await network.train(dataset(), options);
+    assert.strictEqual(network.getOptimizer(), optimizer, 'same optimizer settings should keep the optimizer');
+    assert.strictEqual(optimizer.steps, 4);
+
+    await network.train(dataset(), { ...options, optimizer: 'rmsprop' });
+    assert.strictEqual(network.getOptimizer().type, 'rmsprop');
+
+    const saved = network.getOptimizerState();
+    assert.strictEqual(saved.type, 'rmsprop');
+    assert.deepStrictEqual(Object.keys(saved.slots).sort(), [...network.params.keys()].sort());
+
+    const copy = model();
+    copy.setWeights(network.getWeights());
+    copy.setOptimizerState(saved);
+    assert.strictEqual(copy.getOptimizer().steps, 2);
+    assert.deepStrictEqual(copy.getOptimizerState(), network.getOptimizerState());
+
+    assert.throws(() => new LSTMModel({ inputSize: 3, hiddenSize: 4, outputSize: 2 }).setOptimizerState(saved), /has no parameter named/);
+
+    network.reset();
+    assert.strictEqual(network.getOptimizerState(), null);
+  });
+
+  await test('should turn meta-learning recommendations into a scheduler', async() => {
+    const metaLearning = new MetaLearningFramework();
+    metaLearning.recordExperience('agent-1', { metrics: { lossVariance: 5, convergenceEpochs: 10 } });
+    const optimized = await metaLearning.optimizeTraining('agent-1', { learningRate: 0.01, batchSize: 32, epochs: 10 });
+
+    assert.deepStrictEqual(optimized.scheduler, { type: 'cosine_annealing', warmupEpochs: optimized.metaOptimizations.warmupEpochs });
+    assert(optimized.scheduler.warmupEpochs > 0);
+    const scheduler = createScheduler(optimized.scheduler);
+    assert.strictEqual(scheduler.type, 'warmup');
+    assert.strictEqual(scheduler.after.type, 'cosine');
+
+    const chosen = await metaLearning.optimizeTraining('agent-1', { learningRate: 0.01, batchSize: 32, epochs: 10, scheduler: 'step' });
+    assert.strictEqual(chosen.scheduler, 'step');
+  });
+
+  console.log(`\n✅ Neural Optimizer Tests completed: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} tests failed`);
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralOptimizerTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-optimizers.test.js')) {
+  runNeuralOptimizerTests().catch(error => {
+    console.error('Neural optimizer test error:', error);
+    process.exit(1);
+  });
+}
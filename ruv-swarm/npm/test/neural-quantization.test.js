@@ -0,0 +1,306 @@
+/**
+ * Tests for post-training quantization: int8/float16 weights, calibration,
+ * quantized checkpoints and `neural quantize`
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { decodeCheckpoint, encodeCheckpoint } from '../src/neural-models/checkpoint.js';
+import {
+  createNeuralModel,
+  evaluateModel,
+  loadNeuralModel,
+  modelBytes,
+  quantizeModel,
+} from '../src/neural-models/index.js';
+import * as ag from '../src/neural-models/autograd.js';
+import { NeuralNetworkManager } from '../src/neural-network-manager.js';
+import { NeuralCLI } from '../src/neural.js';
+
+const close = (actual, expected, message, tolerance = 1e-6) => assert(Math.abs(actual - expected) < tolerance, `${message}: ${actual} vs ${expected}`);
+
+// Largest difference between two equally long arrays
+const maxDifference = (a, b) => a.reduce((max, value, i) => Math.max(max, Math.abs(value - b[i])), 0);
+
+// Four features; the class is whether the first two sum past 1
+const samples = (count) => Array.from({ length: count }, (_, i) => {
+  const input = [(i * 37 % 100) / 100, (i * 61 % 100) / 100, (i * 13 % 100) / 100, (i * 29 % 100) / 100];
+  return { input, target: input[0] + input[1] > 1 ? [0, 1] : [1, 0] };
+});
+
+const table = (rows) => {
+  const lines = ['a,b,c,label'];
+  for (let i = 0; i < rows; i++) {
+    const [a, b, c] = [(i * 37 % 100) / 100, (i * 61 % 100) / 100, (i * 13 % 100) / 100];
+    lines.push([a, b, c, a + b > 1 ? 'high' : 'low'].join(','));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const runCli = async(dir, command, args) => {
+  const cli = new NeuralCLI();
+  const cwd = process.cwd();
+  const log = console.log;
+  const output = [];
+  process.chdir(dir);
+  console.log = (...values) => output.push(values.join(' '));
+  try {
+    const result = await cli[command](args);
+    return { result, output: output.join('\n') };
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+};
+
+const trainClassifier = async() => {
+  const model = await createNeuralModel('resnet', {
+    inputDimensions: 4, hiddenDimensions: 16, numBlocks: 2, outputDimensions: 2, loss: 'cross_entropy',
+  });
+  await model.train(samples(160), { epochs: 15, learningRate: 0.05, optimizer: 'adam', verbose: false });
+  return model;
+};
+
+async function runNeuralQuantizationTests() {
+  console.log('Running Neural Quantization Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-quantization-'));
+
+  try {
+    await test('should round values to float16 and back', () => {
+      const roundTrip = (value) => ag.fromFloat16(ag.toFloat16(value));
+      assert.strictEqual(roundTrip(1), 1);
+      assert.strictEqual(roundTrip(-2.5), -2.5);
+      assert.strictEqual(roundTrip(65504), 65504);
+      assert.strictEqual(roundTrip(0.1), 0.0999755859375);
+      assert.strictEqual(roundTrip(2 ** -24), 2 ** -24);
+      assert.strictEqual(roundTrip(2 ** -26), 0);
+      assert.strictEqual(roundTrip(1e6), Infinity);
+      assert(Number.isNaN(roundTrip(NaN)));
+      assert.strictEqual(ag.toFloat16(-0), 0x8000);
+    });
+
+    await test('should multiply int8 weights per output channel in integers', () => {
+      const values = Float32Array.from({ length: 12 }, (_, i) => Math.sin(i) * (i % 3 + 1));
+      const weight = new ag.Tensor(values, [4, 3], { requiresGrad: true });
+      const x = ag.Tensor.from([[0.5, -1, 0.25, 2], [1, 1, -1, 0]]);
+      const expected = ag.matmul(x, weight).data;
+
+      const quantized = ag.quantizeWeight(weight, { precision: 'int8', inputScale: 2 / 127 });
+      assert(quantized.values instanceof Int8Array);
+      assert.strictEqual(quantized.scales.length, 3);
+      assert.strictEqual(weight.requiresGrad, false);
+      assert.strictEqual(weight.size, 12);
+      // Each channel's largest weight maps to 127, and decoded weights are within half a step
+      for (let c = 0; c < 3; c++) {
+        const channel = [0, 1, 2, 3].map(r => quantized.values[r * 3 + c]);
+        assert.strictEqual(Math.max(...channel.map(Math.abs)), 127);
+      }
+      const decoded = weight.data;
+      values.forEach((value, i) => assert(Math.abs(decoded[i] - value) <= quantized.scales[i % 3] / 2 + 1e-7, `weight ${i}`));
+
+      const output = ag.matmul(x, weight).data;
+      assert(maxDifference(output, expected) < 0.1, `int8 matmul drifted ${maxDifference(output, expected)}`);
+      assert.deepStrictEqual(output, ag.linear(x, weight).data);
+    });
+
+    await test('should run conv2d on int8 and float16 kernels', () => {
+      const kernelValues = Float32Array.from({ length: 3 * 3 * 2 * 4 }, (_, i) => Math.cos(i * 0.7) * 0.5);
+      const x = new ag.Tensor(Float32Array.from({ length: 2 * 5 * 5 * 2 }, (_, i) => Math.sin(i * 0.3)), [2, 5, 5, 2]);
+      const bias = ag.Tensor.from([0.1, -0.1, 0.2, 0]);
+      const reference = ag.conv2d(x, new ag.Tensor(kernelValues, [3, 3, 2, 4]), bias, { padding: 'same' }).data;
+
+      for (const precision of ['int8', 'float16']) {
+        const kernel = new ag.Tensor(Float32Array.from(kernelValues), [3, 3, 2, 4]);
+        ag.quantizeWeight(kernel, { precision });
+        const output = ag.conv2d(x, kernel, bias, { padding: 'same' }).data;
+        const tolerance = precision === 'int8' ? 0.05 : 1e-3;
+        assert(maxDifference(output, reference) < tolerance, `${precision} conv2d drifted ${maxDifference(output, reference)}`);
+      }
+      assert.throws(() => ag.quantizeWeight(new ag.Tensor([1, 2]), { precision: 'int4' }), /Unknown quantization precision/);
+    });
+
+    await test('should quantize a classifier to int8 and report accuracy and memory', async() => {
+      const model = await trainClassifier();
+      const heldOut = samples(200).slice(160);
+      const floatBytes = modelBytes(model);
+
+      const report = await quantizeModel(model, { calibrationData: samples(64), evaluationData: heldOut });
+      assert.strictEqual(report.precision, 'int8');
+      assert.strictEqual(report.calibrationSamples, 64);
+      assert(report.layers.length > 0);
+      assert(report.layers.every(l => l.layer === 'dense' && l.name.endsWith('.weight') && l.inputScale > 0));
+      assert.deepStrictEqual(model.quantization.layers, report.layers.map(l => l.name));
+
+      assert.strictEqual(report.memory.before, floatBytes);
+      assert.strictEqual(report.memory.after, modelBytes(model));
+      assert.strictEqual(report.memory.saved, report.memory.before - report.memory.after);
+      assert(report.memory.ratio < 0.4, `int8 kept ${report.memory.ratio} of the memory`);
+
+      const { accuracy } = report;
+      assert.strictEqual(accuracy.task, 'classification');
+      assert.strictEqual(accuracy.count, 40);
+      close(accuracy.delta.accuracy, accuracy.after.accuracy - accuracy.before.accuracy, 'accuracy delta');
+      assert(Math.abs(accuracy.delta.accuracy) <= 0.05, `accuracy moved by ${accuracy.delta.accuracy}`);
+      close((await evaluateModel(model, heldOut)).metrics.accuracy, accuracy.after.accuracy, 'quantized accuracy');
+
+      assert.strictEqual(model.optimizer, null);
+      await assert.rejects(model.train(samples(10), { epochs: 1, verbose: false }), /quantized to int8 for inference/);
+      await assert.rejects(quantizeModel(model, { calibrationData: samples(8) }), /already quantized/);
+      assert.throws(() => model.setWeights({ [report.layers[0].name]: new Float32Array(model.params.get(report.layers[0].name).size) }), /is quantized/);
+    });
+
+    await test('should quantize convolution kernels and float16 weights', async() => {
+      const images = Array.from({ length: 12 }, (_, i) => ({
+        input: Array.from({ length: 36 }, (_, j) => Math.sin(i + j * 0.5)),
+        target: [i % 2, 1 - (i % 2)],
+      }));
+      const cnn = await createNeuralModel('cnn', {
+        inputShape: [6, 6, 1], convLayers: [{ filters: 4, kernelSize: 3, padding: 'same' }], denseLayers: [8], outputSize: 2,
+      });
+      const before = await cnn.predict([images[0].input]);
+      const report = await quantizeModel(cnn, { calibrationData: images });
+      assert.deepStrictEqual(report.layers.map(l => l.layer), ['conv', 'dense', 'dense']);
+      assert.strictEqual(report.accuracy, null);
+      assert(maxDifference(await cnn.predict([images[0].input]), before) < 0.05);
+
+      const autoencoder = await createNeuralModel('autoencoder', { inputSize: 4, encoderLayers: [8], bottleneckSize: 2 });
+      const half = await quantizeModel(autoencoder, { precision: 'float16', calibrationData: samples(20), evaluationData: samples(20) });
+      assert.strictEqual(half.accuracy.task, 'reconstruction');
+      assert(Math.abs(half.accuracy.delta.mse) < 1e-4);
+      for (const { name } of half.layers) {
+        assert(autoencoder.params.get(name).quantized.values instanceof Uint16Array);
+      }
+
+      await assert.rejects(quantizeModel(autoencoder, { precision: 'int3', calibrationData: samples(4) }), /Unknown quantization precision/);
+      await assert.rejects(quantizeModel(await trainClassifier(), {}), /needs calibrationData/);
+    });
+
+    await test('should save and load quantized checkpoints', async() => {
+      const model = await trainClassifier();
+      await quantizeModel(model, { calibrationData: samples(32) });
+      const checkpointPath = path.join(testDir, 'classifier.int8.rsnm');
+      const saved = await model.save(checkpointPath);
+      assert.strictEqual(saved.formatVersion, 2);
+
+      const checkpoint = decodeCheckpoint(fs.readFileSync(checkpointPath));
+      const weight = checkpoint.tensors.find(t => t.name === model.quantization.layers[0]);
+      assert.strictEqual(weight.dtype, 'int8');
+      assert(weight.data instanceof Int8Array);
+      assert.deepStrictEqual(Array.from(weight.data), Array.from(model.params.get(weight.name).quantized.values));
+      assert(!checkpoint.tensors.some(t => t.kind === 'optimizer'));
+
+      const loaded = await loadNeuralModel(checkpointPath);
+      assert.deepStrictEqual(loaded.quantization, model.quantization);
+      const input = [[0.9, 0.8, 0.1, 0.2], [0.1, 0.2, 0.3, 0.4]];
+      assert.deepStrictEqual(Array.from(await loaded.predict(input)), Array.from(await model.predict(input)));
+      assert.strictEqual(saved.bytes, fs.statSync(checkpointPath).size);
+    });
+
+    await test('should encode int8 and float16 tensors of any length', () => {
+      const file = encodeCheckpoint({
+        modelType: 'test',
+        tensors: [
+          { name: 'q', dtype: 'int8', data: Int8Array.from([-127, 3, 127]), shape: [3, 1], scales: [0.5], inputScale: 0.25 },
+          { name: 'h', dtype: 'float16', data: Uint16Array.from([0x3c00, 0xc100, 0x7bff, 0x0001, 0x8000]) },
+          { name: 'f', data: Float32Array.from([1.5, -2]) },
+        ],
+      });
+      const { tensors } = decodeCheckpoint(file);
+      assert.deepStrictEqual(tensors.map(t => [t.name, t.dtype, t.data.constructor.name, Array.from(t.data)]), [
+        ['q', 'int8', 'Int8Array', [-127, 3, 127]],
+        ['h', 'float16', 'Uint16Array', [0x3c00, 0xc100, 0x7bff, 0x0001, 0x8000]],
+        ['f', 'float32', 'Float32Array', [1.5, -2]],
+      ]);
+      assert.deepStrictEqual(Array.from(tensors[0].scales), [0.5]);
+      assert.strictEqual(tensors[0].inputScale, 0.25);
+      assert.throws(() => encodeCheckpoint({ modelType: 'test', tensors: [{ name: 'x', dtype: 'int4', data: [1] }] }), /unsupported dtype/);
+    });
+
+    await test('should quantize a trained checkpoint from the CLI', async() => {
+      const dataPath = path.join(testDir, 'data.csv');
+      fs.writeFileSync(dataPath, table(120));
+      const checkpoint = path.join(testDir, 'cli.rsnm');
+      await runCli(testDir, 'trainOnData', [
+        '--data', dataPath, '--model', 'resnet', '--target', 'label', '--features', 'a,b,c',
+        '--epochs', '10', '--learning-rate', '0.05', '--test-split', '0.2', '--output', checkpoint,
+      ]);
+
+      const { result, output } = await runCli(testDir, 'quantize', ['--model', checkpoint]);
+      assert.strictEqual(result.output, path.join(testDir, 'cli.int8.rsnm'));
+      assert.strictEqual(result.accuracy.count, 24);
+      assert(result.calibrationSamples > 0);
+      assert(output.includes('Quantization Complete'));
+      assert(output.includes('accuracy:'));
+      assert(output.includes('smaller'));
+
+      const quantized = await loadNeuralModel(result.output);
+      assert.strictEqual(quantized.quantization.precision, 'int8');
+      const evaluated = await runCli(testDir, 'evaluate', ['--model', result.output]);
+      close(evaluated.result.metrics.accuracy, result.accuracy.after.accuracy, 'evaluated accuracy');
+
+      const half = await runCli(testDir, 'quantize', [
+        '--model', checkpoint, '--precision', 'float16', '--data', dataPath, '--output', path.join(testDir, 'half.rsnm'), '--json',
+      ]);
+      assert.strictEqual(half.result.precision, 'float16');
+      assert.strictEqual(half.result.accuracy.count, 120);
+      assert.strictEqual(JSON.parse(half.output).memory.saved, half.result.memory.saved);
+    });
+
+    await test('should quantize an agent network', async() => {
+      const manager = new NeuralNetworkManager({ loadModule: async() => ({ isPlaceholder: true }) });
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await manager.createAgentNeuralNetwork('agent-1', { template: 'resnet_classifier', inputDimensions: 3, hiddenDimensions: 8, numBlocks: 1, outputDimensions: 2 });
+        await manager.createAgentNeuralNetwork('agent-2', { template: 'deep_analyzer' });
+      } finally {
+        console.log = log;
+      }
+      const calibration = Array.from({ length: 10 }, (_, i) => ({ input: [i / 10, 1 - i / 10, 0.5], target: i % 2 }));
+      const report = await manager.quantizeNetwork('agent-1', calibration, { precision: 'float16' });
+      assert.strictEqual(report.precision, 'float16');
+      assert(report.memory.saved > 0);
+
+      await assert.rejects(manager.quantizeNetwork('agent-2', calibration), /no trainable model/);
+      await assert.rejects(manager.quantizeNetwork('missing', calibration), /No neural network found/);
+    });
+
+    console.log(`\n✅ Neural Quantization Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralQuantizationTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-quantization.test.js')) {
+  runNeuralQuantizationTests().catch(error => {
+    console.error('Neural quantization test error:', error);
+    process.exit(1);
+  });
+}
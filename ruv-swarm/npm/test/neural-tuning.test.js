@@ -0,0 +1,267 @@
+/**
+ * Tests for hyperparameter search: search spaces, Hyperband brackets,
+ * worker-thread trials, the tuning_trials table and `neural tune`
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import { loadDatasetSplits, loadNeuralModel } from '../src/neural-models/index.js';
+import {
+  gridConfigurations,
+  hyperbandBrackets,
+  parseSearchSpace,
+  presetsFor,
+  sampleConfigurations,
+  trialConfig,
+  tuneHyperparameters,
+} from '../src/neural-models/tuning.js';
+import { randomSource } from '../src/neural-models/dataset.js';
+import { SwarmPersistence } from '../src/persistence.js';
+import { NeuralCLI } from '../src/neural.js';
+
+// A noisy mix of two waves; y follows a and b
+const table = (rows) => {
+  const lines = ['a,b,y'];
+  for (let i = 0; i < rows; i++) {
+    const a = Math.sin(i / 5);
+    const b = Math.cos(i / 7);
+    lines.push([a.toFixed(4), b.toFixed(4), (0.5 * a + 0.3 * b + ((i * 37) % 10) / 200).toFixed(4)].join(','));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const runCli = async(dir, command, args) => {
+  const cli = new NeuralCLI();
+  const cwd = process.cwd();
+  const log = console.log;
+  const output = [];
+  process.chdir(dir);
+  console.log = (...values) => output.push(values.join(' '));
+  try {
+    const result = await cli[command](args);
+    return { result, output: output.join('\n') };
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+};
+
+async function runNeuralTuningTests() {
+  console.log('Running Neural Tuning Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruv-swarm-tuning-'));
+  const dataPath = path.join(testDir, 'waves.csv');
+  fs.writeFileSync(dataPath, table(120));
+  const dataset = { target: 'y', window: 5, validation: 0.2, seed: 7 };
+  const space = {
+    parameters: {
+      hiddenSize: [4, 8],
+      learningRate: { min: 0.002, max: 0.05, scale: 'log' },
+    },
+  };
+
+  try {
+    await test('should size Hyperband brackets from the epoch budget', () => {
+      assert.deepStrictEqual(hyperbandBrackets({ maxEpochs: 9, eta: 3 }), [
+        { bracket: 2, configurations: 9, rungs: [1, 3, 9] },
+        { bracket: 1, configurations: 5, rungs: [3, 9] },
+        { bracket: 0, configurations: 3, rungs: [9] },
+      ]);
+      assert.deepStrictEqual(hyperbandBrackets({ maxEpochs: 8, minEpochs: 2, eta: 2 }).map(b => b.rungs), [[2, 4, 8], [4, 8], [8]]);
+    });
+
+    await test('should parse search spaces and presets', () => {
+      const gruPresets = Object.keys(presetsFor('gru'));
+      assert(gruPresets.includes('weather_forecasting'));
+      assert.deepStrictEqual(parseSearchSpace('gru', { preset: 'all' }).presetNames, gruPresets);
+      assert.deepStrictEqual(parseSearchSpace('gru', {}).presetNames, [null]);
+
+      const parsed = parseSearchSpace('gru', { parameters: { hiddenSize: [8], numLayers: { min: 1, max: 3, type: 'int' }, dropoutRate: 0.1 } });
+      assert.deepStrictEqual(parsed.parameters.hiddenSize, { type: 'choice', values: [8] });
+      assert.deepStrictEqual(parsed.parameters.numLayers, { type: 'int', min: 1, max: 3, scale: 'linear', steps: 3 });
+      assert.deepStrictEqual(parsed.parameters.dropoutRate, { type: 'choice', values: [0.1] });
+
+      assert.throws(() => parseSearchSpace('gru', { preset: 'image_classification' }), /Unknown gru preset/);
+      assert.throws(() => parseSearchSpace('gru', { parameters: { hiddenSize: [] } }), /has no values/);
+      assert.throws(() => parseSearchSpace('gru', { parameters: { learningRate: { min: 0.1, max: 0.01 } } }), /min <= max/);
+      assert.throws(() => parseSearchSpace('gru', { parameters: { learningRate: { min: 0, max: 1, scale: 'log' } } }), /log with min > 0/);
+    });
+
+    await test('should enumerate grids and sample reproducibly', () => {
+      const parsed = parseSearchSpace('gru', {
+        preset: ['weather_forecasting', 'network_traffic_prediction'],
+        parameters: { hiddenSize: [8, 16], learningRate: { min: 0.001, max: 0.1, scale: 'log' }, numLayers: { min: 1, max: 2, type: 'int', steps: 4 } },
+      });
+      const grid = gridConfigurations(parsed);
+      assert.strictEqual(grid.length, 2 * 2 * 3 * 2);
+      assert.deepStrictEqual([...new Set(grid.map(c => c.params.learningRate.toFixed(4)))], ['0.0010', '0.0100', '0.1000']);
+
+      const sampled = sampleConfigurations(parsed, 20, randomSource(3));
+      assert.deepStrictEqual(sampled, sampleConfigurations(parsed, 20, randomSource(3)));
+      for (const { preset, params } of sampled) {
+        assert(['weather_forecasting', 'network_traffic_prediction'].includes(preset));
+        assert(params.learningRate >= 0.001 && params.learningRate <= 0.1);
+        assert([1, 2].includes(params.numLayers));
+      }
+    });
+
+    await test('should keep the dataset shape over preset configs', async() => {
+      const { info } = await loadDatasetSplits(dataPath, dataset);
+      const { weather_forecasting: preset } = presetsFor('gru');
+      const config = trialConfig('gru', info, { ...preset.config, hiddenSize: 8 });
+      assert.strictEqual(config.inputSize, 2);
+      assert.strictEqual(config.outputSize, 1);
+      assert.strictEqual(config.sequenceLength, 5);
+      assert.strictEqual(config.returnSequence, false);
+      assert.strictEqual(config.hiddenSize, 8);
+      assert.strictEqual(config.numLayers, preset.config.numLayers);
+    });
+
+    await test('should record random search trials and save the best', async() => {
+      const persistence = new SwarmPersistence(path.join(testDir, 'random.db'));
+      const output = path.join(testDir, 'best.rsnm');
+      const seen = [];
+      try {
+        const study = await tuneHyperparameters({
+          modelType: 'gru',
+          dataPath,
+          dataset,
+          space,
+          strategy: 'random',
+          trials: 3,
+          maxEpochs: 2,
+          concurrency: 2,
+          seed: 1,
+          persistence,
+          output,
+          onTrial: trial => seen.push(trial.id),
+        });
+
+        assert.strictEqual(study.trials.length, 3);
+        assert.strictEqual(seen.length, 3);
+        assert(study.trials.every(trial => trial.status === 'completed' && trial.epochs === 2));
+        assert.strictEqual(study.best.valLoss, Math.min(...study.trials.map(trial => trial.valLoss)));
+
+        const rows = persistence.getTuningTrials(study.studyId);
+        assert.strictEqual(rows.length, 3);
+        assert.strictEqual(rows[0].id, study.best.id);
+        assert.strictEqual(rows[0].model_type, 'gru');
+        assert.strictEqual(rows[0].strategy, 'random');
+        assert.deepStrictEqual(rows[0].params, study.best.params);
+        assert(rows.every(row => row.status === 'completed' && row.completed_at && row.duration_ms >= 0));
+
+        const model = await loadNeuralModel(output);
+        assert.strictEqual(model.config.hiddenSize, study.best.params.hiddenSize);
+        assert.strictEqual(model.config.dataset.seed, 7);
+        assert.strictEqual(model.trainingHistory.length, 2);
+      } finally {
+        persistence.close();
+      }
+    });
+
+    await test('should prune trials by successive halving', async() => {
+      const persistence = new SwarmPersistence(path.join(testDir, 'halving.db'));
+      try {
+        const study = await tuneHyperparameters({
+          modelType: 'gru',
+          dataPath,
+          dataset,
+          space,
+          strategy: 'successive_halving',
+          trials: 4,
+          maxEpochs: 4,
+          eta: 2,
+          concurrency: 1,
+          seed: 2,
+          persistence,
+        });
+
+        const byStatus = (status) => study.trials.filter(trial => trial.status === status);
+        assert.strictEqual(byStatus('completed').length, 1);
+        assert.strictEqual(byStatus('pruned').length, 3);
+        assert.deepStrictEqual(study.trials.map(trial => trial.epochs).sort(), [1, 1, 2, 4]);
+        assert.strictEqual(study.best.rung, 2);
+        assert.strictEqual(study.best.epochs, 4);
+
+        const pruned = persistence.getTuningTrials(study.studyId, 'pruned');
+        assert.strictEqual(pruned.length, 3);
+        assert(pruned.every(row => row.bracket === 2 && row.epochs < 4));
+      } finally {
+        persistence.close();
+      }
+    });
+
+    await test('should fail trials that cannot train', async() => {
+      await assert.rejects(tuneHyperparameters({
+        modelType: 'gru',
+        dataPath,
+        dataset,
+        space: { parameters: { optimizer: ['no_such_optimizer'] } },
+        strategy: 'grid',
+        maxEpochs: 1,
+        concurrency: 1,
+      }), /Every trial failed: .*no_such_optimizer/i);
+      await assert.rejects(tuneHyperparameters({ modelType: 'gru', dataPath, dataset, strategy: 'bayesian' }), /Unknown tuning strategy/);
+    });
+
+    await test('should tune from the command line', async() => {
+      const spacePath = path.join(testDir, 'space.json');
+      const dbPath = path.join(testDir, 'cli.db');
+      fs.writeFileSync(spacePath, JSON.stringify({ ...space, strategy: 'grid' }));
+
+      const { result, output } = await runCli(testDir, 'tune', [
+        '--model', 'gru', '--data', dataPath, '--target', 'y', '--window', '5', '--space', spacePath,
+        '--epochs', '1', '--concurrency', '1', '--seed', '4', '--db', dbPath, '--output', 'tuned.rsnm',
+      ]);
+      assert.strictEqual(result.strategy, 'grid');
+      assert.strictEqual(result.trials.length, 2 * 3);
+      assert(output.includes('Leaderboard'));
+      assert(output.includes(`Best: hiddenSize=${result.best.params.hiddenSize}`));
+      assert(fs.existsSync(path.join(testDir, 'tuned.rsnm')));
+
+      const persistence = new SwarmPersistence(dbPath);
+      try {
+        assert.strictEqual(persistence.getTuningTrials(result.studyId, 'completed').length, 6);
+      } finally {
+        persistence.close();
+      }
+    });
+
+    console.log(`\n✅ Neural Tuning Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} tests failed`);
+    }
+
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Export for use in other test runners
+export { runNeuralTuningTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('neural-tuning.test.js')) {
+  runNeuralTuningTests().catch(error => {
+    console.error('Neural tuning test error:', error);
+    process.exit(1);
+  });
+}
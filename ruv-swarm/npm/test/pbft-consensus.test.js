@@ -0,0 +1,317 @@
+/**
+ * Tests for PBFT: signed messages, the three-phase agreement, view
+ * changes, injected faulty replicas, signed-ballot voting, and its use by
+ * DAACognition and NeuralCoordinationProtocol
+ */
+
+import assert from 'assert';
+import {
+  PBFT_FAULTS,
+  BallotStateMachine,
+  PbftCluster,
+  byzantineVote,
+  castBallot,
+  createAgentKeys,
+  digestOf,
+  pbftQuorum,
+  signMessage,
+  validBallots,
+  verifyMessage,
+} from '../src/consensus/index.js';
+import { DAACognition } from '../src/daa-cognition.js';
+import { ConsensusError } from '../src/errors.js';
+import { NeuralCoordinationProtocol } from '../src/neural-coordination-protocol.js';
+
+const REPLICAS = ['a', 'b', 'c', 'd'];
+
+/**
+ * A PBFT cluster whose replicas double numbers. `executed` keeps, per
+ * replica, the sequence number and operation of everything it executed.
+ */
+function createCluster({ faults = {}, seed = 1, dropRate = 0, replicas = REPLICAS } = {}) {
+  const executed = new Map(replicas.map(id => [id, []]));
+  const cluster = new PbftCluster(replicas, {
+    seed,
+    faults,
+    createStateMachine: id => ({
+      apply: ({ n }, sequence) => {
+        executed.get(id).push([sequence, n]);
+        return n * 2;
+      },
+    }),
+  });
+  cluster.network.options.dropRate = dropRate;
+  const honest = () => replicas.filter(id => !faults[id]);
+
+  // Honest replicas never execute different operations at one sequence number, or one twice
+  const assertSafe = () => {
+    const bySequence = new Map();
+    for (const id of honest()) {
+      const operations = executed.get(id).map(([, n]) => n);
+      assert.strictEqual(new Set(operations).size, operations.length, `${id} executed an operation twice`);
+      for (const [sequence, n] of executed.get(id)) {
+        assert(!bySequence.has(sequence) || bySequence.get(sequence) === n, `replicas disagree at sequence ${sequence}`);
+        bySequence.set(sequence, n);
+      }
+    }
+  };
+
+  // Submits `count` operations and runs until all are accepted
+  const decide = (count, timeout = 30000) => {
+    const submitted = [];
+    for (let n = 0; n < count; n++) {
+      submitted.push(cluster.submit({ n }).catch(error => error));
+    }
+    const decided = cluster.runUntil(() => cluster.client.results.size === count, { timeout });
+    return { decided, submitted };
+  };
+
+  return { cluster, executed, honest, assertSafe, decide };
+}
+
+const quietly = async(fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+async function runPbftConsensusTests() {
+  console.log('Running PBFT Consensus Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  await test('should sign messages and reject altered or forged ones', () => {
+    const { privateKey, publicKey } = createAgentKeys();
+    const other = createAgentKeys();
+    const message = signMessage({ type: 'prepare', view: 0, sequence: 1, digest: 'x', replica: 'a' }, privateKey);
+
+    assert(verifyMessage(message, publicKey));
+    assert(verifyMessage({ replica: 'a', digest: 'x', sequence: 1, view: 0, type: 'prepare', signature: message.signature }, publicKey));
+    assert(!verifyMessage({ ...message, sequence: 2 }, publicKey));
+    assert(!verifyMessage(message, other.publicKey));
+    assert(!verifyMessage({ ...message, signature: undefined }, publicKey));
+    assert.strictEqual(digestOf({ a: 1, b: [2, { c: 3 }] }), digestOf({ b: [2, { c: 3 }], a: 1 }));
+  });
+
+  await test('should size quorums as 2f + 1 of 3f + 1', () => {
+    assert.deepStrictEqual(pbftQuorum(1), { f: 0, quorum: 1 });
+    assert.deepStrictEqual(pbftQuorum(4), { f: 1, quorum: 3 });
+    assert.deepStrictEqual(pbftQuorum(5), { f: 1, quorum: 4 });
+    assert.deepStrictEqual(pbftQuorum(7), { f: 2, quorum: 5 });
+    assert.deepStrictEqual(pbftQuorum(10), { f: 3, quorum: 7 });
+  });
+
+  await test('should execute requests in the same order on every replica', async() => {
+    const { cluster, executed, assertSafe, decide } = createCluster();
+    const { decided, submitted } = decide(5);
+    assert(decided);
+
+    const results = await Promise.all(submitted);
+    assert.deepStrictEqual(results.map(({ result }) => result), [0, 2, 4, 6, 8]);
+    for (const { sequence, commits } of results) {
+      assert(commits.length >= cluster.quorum);
+      assert.strictEqual(new Set(commits.map(commit => commit.replica)).size, commits.length);
+      assert(commits.every(commit => commit.sequence === sequence && verifyMessage(commit, cluster.publicKeys.get(commit.replica))));
+    }
+    const logs = REPLICAS.map(id => JSON.stringify(executed.get(id)));
+    assert.strictEqual(new Set(logs).size, 1);
+    assert.strictEqual(executed.get('a').length, 5);
+    assertSafe();
+    cluster.stop();
+  });
+
+  await test('should tolerate any one faulty backup', async() => {
+    for (const fault of PBFT_FAULTS) {
+      const { cluster, assertSafe, decide } = createCluster({ faults: { c: fault } });
+      const rejected = [];
+      cluster.replicas.get('a').on('rejected', event => rejected.push(event));
+      const { decided, submitted } = decide(4);
+      assert(decided, `${fault} backup stalled the cluster`);
+
+      const results = await Promise.all(submitted);
+      assert.deepStrictEqual(results.map(({ result }) => result), [0, 2, 4, 6], `${fault} backup changed a result`);
+      assert.strictEqual(cluster.view(), 0);
+      if (fault === 'corrupt') {
+        assert(results.every(({ commits }) => commits.every(commit => commit.replica !== 'c')));
+      }
+      if (fault === 'forge') {
+        assert(rejected.length > 0 && rejected.every(({ reason }) => reason === 'invalid signature'));
+      }
+      assertSafe();
+      cluster.stop();
+    }
+  });
+
+  await test('should replace a faulty primary with a view change', async() => {
+    for (const fault of ['silent', 'forge', 'equivocate']) {
+      const { cluster, honest, assertSafe, decide } = createCluster({ faults: { a: fault } });
+      const viewChanges = [];
+      cluster.replicas.get('b').on('view', event => viewChanges.push(event));
+      const { decided, submitted } = decide(3);
+      assert(decided, `${fault} primary stalled the cluster`);
+
+      const results = await Promise.all(submitted);
+      assert.deepStrictEqual(results.map(({ result }) => result).sort(), [0, 2, 4]);
+      assert.deepStrictEqual(viewChanges[0], { view: 1, primary: 'b' });
+      assert(honest().every(id => cluster.replicas.get(id).view >= 1));
+      assertSafe();
+      cluster.stop();
+    }
+  });
+
+  await test('should never accept a result without a quorum of matching commits', async() => {
+    // Two corrupt replicas of four: the honest ones can never outvote them
+    const corrupt = createCluster({ faults: { c: 'corrupt', d: 'corrupt' } });
+    const { decided, submitted } = corrupt.decide(1, 5000);
+    assert(!decided);
+    corrupt.cluster.stop();
+    const [error] = await Promise.all(submitted);
+    assert(error instanceof ConsensusError);
+    assert.strictEqual(error.protocol, 'pbft');
+    assert(error.getSuggestions()[0].includes('a third'));
+    corrupt.assertSafe();
+
+    // Two silent replicas of four: nothing can commit at all
+    const silent = createCluster({ faults: { a: 'silent', b: 'silent' } });
+    assert(!silent.decide(1, 5000).decided);
+    assert(silent.honest().every(id => silent.executed.get(id).length === 0));
+    silent.cluster.stop();
+  });
+
+  await test('should stay consistent and live with lost messages', async() => {
+    const faults = [{}, { b: 'silent' }, { a: 'equivocate' }];
+    for (let seed = 1; seed <= faults.length; seed++) {
+      const { cluster, assertSafe, decide } = createCluster({ seed, faults: faults[seed - 1], dropRate: 0.08 });
+      const { decided, submitted } = decide(6, 60000);
+      assert(decided, `seed ${seed} did not decide every request`);
+      const results = await Promise.all(submitted);
+      assert.deepStrictEqual(results.map(({ result }) => result).sort((x, y) => x - y), [0, 2, 4, 6, 8, 10]);
+      assert(cluster.network.stats.dropped > 0);
+      assertSafe();
+      cluster.stop();
+    }
+  });
+
+  await test('should validate ballots before they are decided', async() => {
+    const agentIds = ['v1', 'v2', 'v3', 'v4'];
+    const keys = new Map(agentIds.map(id => [id, createAgentKeys()]));
+    const publicKeys = new Map([...keys].map(([id, { publicKey }]) => [id, publicKey]));
+    const ballot = (agentId, value, fault = null) => castBallot({ ballotId: 'b1', agentId, value }, keys.get(agentId).privateKey, fault);
+
+    const ballots = [
+      ballot('v1', 1),
+      ballot('v2', 2),
+      ballot('v2', 5), // second ballot of one voter
+      ballot('v3', 3, 'forge'),
+      ballot('v4', 4, 'silent'),
+      castBallot({ ballotId: 'b2', agentId: 'v4', value: 4 }, keys.get('v4').privateKey),
+      castBallot({ ballotId: 'b1', agentId: 'v5', value: 4 }, createAgentKeys().privateKey),
+    ];
+    assert.deepStrictEqual(validBallots(ballots, { ballotId: 'b1', voters: agentIds, publicKeys }).map(({ value }) => value), [1, 2]);
+
+    const machine = new BallotStateMachine({ voters: agentIds, publicKeys, tally: signed => signed.length });
+    const three = ['v1', 'v2', 'v3'].map((id, index) => ballot(id, index));
+    assert(machine.validate({ ballotId: 'b1', ballots: three }));
+    assert(!machine.validate({ ballotId: 'b1', ballots: three.slice(0, 2) }));
+    assert(!machine.validate({ ballotId: 'b1', ballots: [...three.slice(0, 2), ballot('v3', 2, 'forge')] }));
+
+    const sum = signed => signed.reduce((total, { value }) => total + value, 0);
+    const vote = await byzantineVote({ ballotId: 'b1', ballots: three, agentIds, keys, tally: sum, faults: { v4: 'silent' } });
+    assert.strictEqual(vote.accepted, true);
+    assert.strictEqual(vote.result, 3);
+    assert.strictEqual(vote.commits, 3);
+
+    const short = await byzantineVote({ ballotId: 'b1', ballots: ballots.slice(0, 3), agentIds, keys, tally: sum });
+    assert.strictEqual(short.accepted, false);
+    assert.strictEqual(short.reason, '2 valid ballots, 3 needed');
+  });
+
+  await test('should decide DAA votes with PBFT alongside untrusted agents', async() => {
+    const daa = new DAACognition();
+    const agents = { a: null, b: null, c: 'forge', d: null, e: 'silent', f: null, g: null };
+    await quietly(async() => {
+      for (const [id, fault] of Object.entries(agents)) {
+        await daa.initializeDAAAgent(id, { autonomyLevel: 0.2, requiresAutonomy: true, fault });
+      }
+      daa.createMeshNetwork(Object.keys(agents));
+    });
+
+    // Seven agents tolerate two faults; the forged and silent ballots are left out
+    const decision = await quietly(() => daa.makeAutonomousDecision('a', { type: 'deploy', consensusThreshold: 0.5 }));
+    assert.strictEqual(decision.autonomous, false);
+    const proposal = daa.cognitiveAgents.get('a').consensusState.proposals.get(decision.proposalId);
+    assert.strictEqual(proposal.byzantine.accepted, true);
+    assert.strictEqual(proposal.byzantine.faultTolerance, 2);
+    assert(proposal.byzantine.commits >= 5);
+    assert.deepStrictEqual([...proposal.votes.keys()].sort(), ['a', 'b', 'd', 'f', 'g']);
+    assert(decision.reasoning.some(reason => reason.startsWith('Committed by')));
+
+    // With a third forged agent out of seven, there is no quorum of ballots
+    daa.cognitiveAgents.get('b').fault = 'forge';
+    const blocked = await quietly(() => daa.makeAutonomousDecision('a', { type: 'deploy', consensusThreshold: 0.5 }));
+    assert.strictEqual(blocked.decision, 'reject');
+    assert(blocked.reasoning.includes('No Byzantine quorum: 4 valid ballots, 5 needed'));
+
+    await assert.rejects(daa.initializeDAAAgent('h', { fault: 'lazy' }), ConsensusError);
+  });
+
+  await test('should agree on Byzantine coordination values within the honest range', async() => {
+    const protocol = new NeuralCoordinationProtocol();
+    const session = {
+      id: 'session-pbft',
+      agentIds: ['agent-1', 'agent-2', 'agent-3', 'agent-4', 'agent-5', 'agent-6', 'agent-7'],
+      faults: { 'agent-2': 'equivocate', 'agent-6': 'corrupt' },
+    };
+    const result = await protocol.executeByzantineCoordination(session);
+    assert.strictEqual(result.success, true);
+
+    const consensus = result.consensus.get('coordination');
+    assert.strictEqual(consensus.accepted, true);
+    assert.strictEqual(consensus.participants, 7);
+    assert(consensus.commits >= 5);
+    const honest = [...result.decisions].filter(([agentId]) => !session.faults[agentId]).map(([, { value }]) => value);
+    assert(consensus.consensusValue >= Math.min(...honest) && consensus.consensusValue <= Math.max(...honest));
+
+    // With three of seven agents silent, no value is agreed
+    const failing = await protocol.executeByzantineCoordination({
+      ...session,
+      faults: { 'agent-1': 'silent', 'agent-2': 'silent', 'agent-3': 'silent' },
+    });
+    assert.strictEqual(failing.success, false);
+    assert.strictEqual(failing.consensus.get('coordination').consensusValue, null);
+  });
+
+  console.log(`\n✅ PBFT Consensus Tests completed: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} tests failed`);
+  }
+}
+
+// Export for use in other test runners
+export { runPbftConsensusTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('pbft-consensus.test.js')) {
+  runPbftConsensusTests().catch(error => {
+    console.error('PBFT consensus test error:', error);
+    process.exit(1);
+  });
+}
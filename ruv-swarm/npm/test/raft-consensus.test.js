@@ -0,0 +1,425 @@
+/**
+ * Tests for Raft consensus, the deterministic network simulator and
+ * leader-driven task assignment
+ */
+
+import assert from 'assert';
+import {
+  MemoryRaftStorage,
+  NetworkSimulator,
+  RaftNode,
+  RaftTaskCluster,
+  TaskAssignmentStateMachine,
+} from '../src/consensus/index.js';
+import { ConsensusError } from '../src/errors.js';
+import { NeuralCoordinationProtocol } from '../src/neural-coordination-protocol.js';
+
+// Records applied commands; its snapshot is the whole list
+class ListStateMachine {
+  constructor() {
+    this.entries = [];
+  }
+
+  apply(command) {
+    this.entries.push(command);
+    return this.entries.length;
+  }
+
+  snapshot() {
+    return [...this.entries];
+  }
+
+  restore(state) {
+    this.entries = [...state];
+  }
+}
+
+/**
+ * Raft nodes on a simulator. `applied` keeps, per node, the command each
+ * log index applied, across restarts, for checking that no two nodes ever
+ * apply different commands at the same index.
+ */
+function createCluster(ids, { seed = 1, snapshotThreshold = 100, ...network } = {}) {
+  const simulator = new NetworkSimulator({ seed, ...network });
+  const nodes = new Map();
+  const storages = new Map();
+  const applied = new Map(ids.map(id => [id, new Map()]));
+  const leadersByTerm = new Map();
+
+  const build = (id, transport) => {
+    const node = new RaftNode(id, {
+      peers: ids,
+      transport,
+      stateMachine: new ListStateMachine(),
+      storage: storages.get(id),
+      snapshotThreshold,
+    });
+    node.on('apply', ({ index, command }) => {
+      const previous = applied.get(id).get(index);
+      assert(previous === undefined || previous === command, `${id} applied ${command} at ${index} after ${previous}`);
+      applied.get(id).set(index, command);
+    });
+    node.on('leader', ({ term }) => {
+      const other = leadersByTerm.get(term);
+      assert(!other || other === id, `${id} and ${other} both led term ${term}`);
+      leadersByTerm.set(term, id);
+    });
+    nodes.set(id, node);
+    return node.start();
+  };
+
+  for (const id of ids) {
+    storages.set(id, new MemoryRaftStorage());
+    build(id, simulator.addNode(id, (from, message) => nodes.get(id).receive(from, message)));
+  }
+
+  return {
+    simulator,
+    nodes,
+    storages,
+    applied,
+    leader() {
+      const leaders = [...nodes.values()].filter(node => node.isLeader && simulator.isUp(node.id));
+      return leaders.sort((a, b) => b.currentTerm - a.currentTerm)[0] || null;
+    },
+    crash(id) {
+      nodes.get(id).stop();
+      simulator.crash(id);
+    },
+    restart(id) {
+      return build(id, simulator.restart(id));
+    },
+    // Every node that applied an index applied the same command there
+    assertConsistent() {
+      const byIndex = new Map();
+      for (const [id, entries] of applied) {
+        for (const [index, command] of entries) {
+          if (byIndex.has(index)) {
+            assert.strictEqual(command, byIndex.get(index), `index ${index} differs on ${id}`);
+          }
+          byIndex.set(index, command);
+        }
+      }
+    },
+  };
+}
+
+const propose = (cluster, command) => cluster.leader().propose(command).catch(error => error);
+
+async function runRaftConsensusTests() {
+  console.log('Running Raft Consensus Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  await test('should replay a simulation exactly from its seed', () => {
+    const run = (seed) => {
+      const simulator = new NetworkSimulator({ seed, dropRate: 0.3, trace: true });
+      const received = [];
+      const a = simulator.addNode('a', () => {});
+      simulator.addNode('b', (from, message) => received.push([simulator.time, message.n]));
+      for (let n = 0; n < 20; n++) {
+        a.send('b', { type: 'ping', n });
+      }
+      simulator.runFor(100);
+      return { received, trace: simulator.trace, stats: simulator.stats };
+    };
+    assert.deepStrictEqual(run(7), run(7));
+    assert.notDeepStrictEqual(run(7).received, run(8).received);
+
+    const { received, stats } = run(7);
+    assert.strictEqual(stats.sent, 20);
+    assert.strictEqual(stats.delivered + stats.dropped, 20);
+    assert(stats.dropped > 0);
+    // Delivered in delivery-time order, whatever order they were sent in
+    assert.deepStrictEqual(received.map(([time]) => time), received.map(([time]) => time).sort((x, y) => x - y));
+  });
+
+  await test('should drop messages across partitions, on faulty links and to crashed nodes', () => {
+    const simulator = new NetworkSimulator({ seed: 3 });
+    const inbox = { a: [], b: [], c: [] };
+    const transports = {};
+    for (const id of ['a', 'b', 'c']) {
+      transports[id] = simulator.addNode(id, (from) => inbox[id].push(from));
+    }
+    const fired = [];
+    transports.c.setTimer(50, () => fired.push('c'));
+
+    simulator.partition(['a'], ['b', 'c']);
+    transports.a.send('b', { type: 'x' });
+    transports.b.send('c', { type: 'x' });
+    simulator.setLink('c', 'b', { dropRate: 1 });
+    transports.c.send('b', { type: 'x' });
+    simulator.runFor(20);
+    assert.deepStrictEqual(inbox, { a: [], b: [], c: ['b'] });
+
+    simulator.heal();
+    simulator.setLink('c', 'b', null);
+    simulator.crash('c');
+    transports.a.send('b', { type: 'x' });
+    transports.a.send('c', { type: 'x' });
+    simulator.runFor(100);
+    assert.deepStrictEqual(inbox.b, ['a']);
+    assert.deepStrictEqual(inbox.c, ['b']);
+    assert.deepStrictEqual(fired, [], 'timers of a crashed node never fire');
+  });
+
+  await test('should elect one leader and replicate commands to every node', async() => {
+    const cluster = createCluster(['a', 'b', 'c', 'd', 'e'], { seed: 11 });
+    assert(cluster.simulator.runUntil(() => cluster.leader()));
+    const leader = cluster.leader();
+    assert.strictEqual([...cluster.nodes.values()].filter(node => node.isLeader).length, 1);
+
+    const results = ['x', 'y', 'z'].map(command => leader.propose(command));
+    cluster.simulator.runFor(500);
+    assert.deepStrictEqual(await Promise.all(results), [1, 2, 3]);
+    for (const node of cluster.nodes.values()) {
+      assert.deepStrictEqual(node.stateMachine.entries, ['x', 'y', 'z'], `${node.id} applied the log`);
+      assert.strictEqual(node.leaderId, leader.id);
+      assert.strictEqual(node.currentTerm, leader.currentTerm);
+    }
+
+    const follower = [...cluster.nodes.values()].find(node => !node.isLeader);
+    await assert.rejects(follower.propose('w'), (error) => error instanceof ConsensusError && error.leaderId === leader.id);
+  });
+
+  await test('should elect a new leader and keep committed entries when the leader crashes', async() => {
+    const cluster = createCluster(['a', 'b', 'c'], { seed: 5 });
+    cluster.simulator.runUntil(() => cluster.leader());
+    const first = cluster.leader();
+    const committed = first.propose('before');
+    cluster.simulator.runFor(300);
+    assert.strictEqual(await committed, 1);
+
+    cluster.crash(first.id);
+    assert(cluster.simulator.runUntil(() => cluster.leader()));
+    const second = cluster.leader();
+    assert.notStrictEqual(second.id, first.id);
+    assert(second.currentTerm > first.currentTerm);
+
+    const after = second.propose('after');
+    cluster.simulator.runFor(300);
+    assert.strictEqual(await after, 2);
+
+    // The old leader comes back from its storage as a follower and catches up
+    const restarted = cluster.restart(first.id);
+    assert.strictEqual(restarted.currentTerm, first.currentTerm);
+    cluster.simulator.runFor(1000);
+    assert.strictEqual(restarted.role, 'follower');
+    assert.deepStrictEqual(restarted.stateMachine.entries, ['before', 'after']);
+    cluster.assertConsistent();
+  });
+
+  await test('should not commit on the minority side of a partition', async() => {
+    const cluster = createCluster(['a', 'b', 'c', 'd', 'e'], { seed: 21 });
+    cluster.simulator.runUntil(() => cluster.leader());
+    cluster.simulator.runFor(200);
+    const old = cluster.leader();
+    const committedBefore = old.commitIndex;
+    const others = [...cluster.nodes.keys()].filter(id => id !== old.id);
+
+    cluster.simulator.partition([old.id, others[0]], others.slice(1));
+    const stranded = old.propose('stranded').catch(error => error);
+    assert(cluster.simulator.runUntil(() => cluster.leader() && cluster.leader().id !== old.id));
+    const majority = cluster.leader();
+    const accepted = majority.propose('accepted');
+    cluster.simulator.runFor(500);
+    assert.strictEqual(await accepted, 1);
+    assert.strictEqual(old.commitIndex, committedBefore, 'the old leader commits nothing while cut off');
+
+    cluster.simulator.heal();
+    cluster.simulator.runFor(1000);
+    const error = await stranded;
+    assert(error instanceof ConsensusError, 'the stranded proposal is rejected');
+    for (const node of cluster.nodes.values()) {
+      assert.deepStrictEqual(node.stateMachine.entries, ['accepted']);
+    }
+    cluster.assertConsistent();
+  });
+
+  await test('should compact the log and send snapshots to lagging followers', async() => {
+    const cluster = createCluster(['a', 'b', 'c'], { seed: 9, snapshotThreshold: 5 });
+    cluster.simulator.runUntil(() => cluster.leader());
+    const leader = cluster.leader();
+    const lagging = [...cluster.nodes.keys()].find(id => id !== leader.id);
+    cluster.crash(lagging);
+
+    const results = Array.from({ length: 20 }, (_, i) => leader.propose(`cmd-${i}`));
+    cluster.simulator.runFor(1000);
+    await Promise.all(results);
+    assert(leader.snapshot.lastIncludedIndex >= 15);
+    assert(leader.log.length < 6, 'applied entries are compacted');
+
+    const restarted = cluster.restart(lagging);
+    const installed = [];
+    restarted.on('snapshot', event => installed.push(event));
+    cluster.simulator.runFor(1000);
+    assert(installed.some(event => event.installed));
+    assert.deepStrictEqual(restarted.stateMachine.entries, leader.stateMachine.entries);
+    assert.strictEqual(restarted.stateMachine.entries.length, 20);
+
+    // A node rebuilt from its storage restores its snapshot before replaying the rest
+    const storage = cluster.storages.get(leader.id);
+    const rebuilt = new RaftNode(leader.id, { peers: [], transport: cluster.simulator.transport(leader.id), stateMachine: new ListStateMachine(), storage });
+    assert.deepStrictEqual(rebuilt.stateMachine.entries, leader.stateMachine.entries.slice(0, rebuilt.snapshot.lastIncludedIndex - 1));
+  });
+
+  await test('should stay consistent under random drops, crashes and partitions', async() => {
+    for (const seed of [1, 2, 3]) {
+      const ids = ['a', 'b', 'c', 'd', 'e'];
+      const cluster = createCluster(ids, { seed, dropRate: 0.1, maxDelay: 30, snapshotThreshold: 10 });
+      const chaos = cluster.simulator.random;
+      const proposals = [];
+      const down = new Set();
+
+      for (let round = 0; round < 40; round++) {
+        if (cluster.leader()) {
+          proposals.push(propose(cluster, `s${seed}-r${round}`));
+        }
+        const roll = chaos();
+        const victim = ids[Math.floor(chaos() * ids.length)];
+        if (roll < 0.1 && down.size < 2 && !down.has(victim)) {
+          cluster.crash(victim);
+          down.add(victim);
+        } else if (roll < 0.2 && down.has(victim)) {
+          cluster.restart(victim);
+          down.delete(victim);
+        } else if (roll < 0.25) {
+          cluster.simulator.partition(ids.filter(() => chaos() < 0.5));
+        } else if (roll < 0.35) {
+          cluster.simulator.heal();
+        }
+        cluster.simulator.runFor(100);
+      }
+
+      cluster.simulator.heal();
+      for (const id of down) {
+        cluster.restart(id);
+      }
+      cluster.simulator.runFor(3000);
+      await Promise.all(proposals);
+      cluster.assertConsistent();
+
+      const leader = cluster.leader();
+      assert(leader, `seed ${seed} ends with a leader`);
+      for (const node of cluster.nodes.values()) {
+        assert.deepStrictEqual(node.stateMachine.entries, leader.stateMachine.entries, `seed ${seed}: ${node.id} converged`);
+      }
+    }
+  });
+
+  await test('should refuse task commands that no longer fit the committed state', () => {
+    const machine = new TaskAssignmentStateMachine();
+    assert(machine.apply({ op: 'submit', taskId: 't1' }, 1).accepted);
+    assert(!machine.apply({ op: 'submit', taskId: 't1' }, 2).accepted);
+    assert(machine.apply({ op: 'assign', taskId: 't1', agentId: 'a' }, 3).accepted);
+    assert(!machine.apply({ op: 'assign', taskId: 't1', agentId: 'b' }, 4).accepted, 'no double assignment');
+
+    assert.deepStrictEqual(machine.apply({ op: 'agent_down', agentId: 'a' }, 5), { accepted: true, released: ['t1'] });
+    assert(!machine.apply({ op: 'assign', taskId: 't1', agentId: 'a' }, 6).accepted, 'no assignment to a down agent');
+    assert(machine.apply({ op: 'assign', taskId: 't1', agentId: 'b' }, 7).accepted);
+    assert(!machine.apply({ op: 'complete', taskId: 't1', agentId: 'a' }, 8).accepted, 'the old holder cannot complete it');
+    assert(machine.apply({ op: 'complete', taskId: 't1', agentId: 'b', result: 42 }, 9).accepted);
+
+    const copy = new TaskAssignmentStateMachine();
+    copy.restore(JSON.parse(JSON.stringify(machine.snapshot())));
+    assert.deepStrictEqual(copy.tasks.get('t1'), { id: 't1', payload: null, status: 'completed', agentId: 'b', attempts: 2, assignedAt: 7, result: 42 });
+    assert(!copy.isUp('a'));
+  });
+
+  await test('should reassign the tasks of agents that die', async() => {
+    const ids = ['a1', 'a2', 'a3', 'a4', 'a5'];
+    const started = [];
+    const cluster = new RaftTaskCluster(ids, { seed: 4, snapshotThreshold: 20, onAssigned: (agentId, task) => started.push([agentId, task.id]) });
+    cluster.runUntil(() => cluster.leader());
+    const submissions = Array.from({ length: 20 }, (_, i) => cluster.submit(`task-${i}`, { n: i }));
+    assert(cluster.runUntil(() => Object.values(cluster.tasks()).filter(task => task.status === 'assigned').length === 20));
+    await Promise.all(submissions);
+    // Followers apply the assignments with the next heartbeat
+    cluster.runFor(200);
+    const load = (tasks) => ids.map(id => Object.values(tasks).filter(task => task.agentId === id && task.status === 'assigned').length);
+    assert.deepStrictEqual(load(cluster.tasks()), [4, 4, 4, 4, 4]);
+    assert.strictEqual(started.length, 20);
+
+    // The leader and one follower die; the others take over their tasks
+    const leader = cluster.leader();
+    const follower = ids.find(id => id !== leader);
+    const orphaned = Object.values(cluster.tasks()).filter(task => [leader, follower].includes(task.agentId)).map(task => task.id);
+    cluster.crash(leader);
+    cluster.crash(follower);
+    assert(cluster.runUntil(() => {
+      const tasks = Object.values(cluster.tasks());
+      return cluster.leader() && tasks.every(task => task.status === 'assigned' && ![leader, follower].includes(task.agentId));
+    }));
+    const tasks = cluster.tasks();
+    // The eight orphaned tasks go to whoever has the least work
+    assert.deepStrictEqual(load(tasks).filter(count => count > 0).sort(), [6, 7, 7]);
+    for (const id of orphaned) {
+      assert.strictEqual(tasks[id].attempts, 2, `${id} was assigned a second time`);
+    }
+
+    // A completion from the dead agent is refused; one from the new holder is accepted
+    const [taskId] = orphaned;
+    const stale = cluster.complete(follower, taskId, 'late');
+    const current = cluster.complete(tasks[taskId].agentId, taskId, 'done');
+    cluster.runFor(500);
+    assert.strictEqual((await stale).accepted, false);
+    assert.strictEqual((await current).accepted, true);
+    assert.strictEqual(cluster.tasks()[taskId].result, 'done');
+
+    // Restarted agents rejoin and are marked up again
+    cluster.restart(leader);
+    cluster.restart(follower);
+    cluster.runFor(2000);
+    const machines = [...cluster.members.values()].map(member => member.stateMachine);
+    assert(machines.every(machine => machine.isUp(leader) && machine.isUp(follower)));
+    assert(machines.every(machine => JSON.stringify(machine.snapshot()) === JSON.stringify(machines[0].snapshot())));
+    cluster.stop();
+  });
+
+  await test('should assign coordination tasks through Raft consensus', async() => {
+    const protocol = new NeuralCoordinationProtocol();
+    const session = { id: 'session-raft', agentIds: ['agent-1', 'agent-2', 'agent-3'], consensusRounds: 0 };
+    const plan = { tasks: new Map([['agent-2', { id: 'task_1' }], ['agent-3', { id: 'task_2' }]]) };
+
+    const result = await protocol.executeRaftConsensus(session, { plan });
+    assert.strictEqual(result.protocol, 'raft');
+    assert.strictEqual(result.result, 'consensus_reached');
+    assert(session.agentIds.includes(result.leader));
+    assert.deepStrictEqual(Object.keys(result.assignments).sort(), ['task_1', 'task_2']);
+    assert(Object.values(result.assignments).every(agentId => session.agentIds.includes(agentId)));
+    assert.strictEqual(session.consensusRounds, 1);
+
+    // The same session replays to the same outcome
+    assert.deepStrictEqual(await protocol.executeRaftConsensus({ ...session }, { plan }), result);
+  });
+
+  console.log(`\n✅ Raft Consensus Tests completed: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} tests failed`);
+  }
+}
+
+// Export for use in other test runners
+export { runRaftConsensusTests };
+
+// Run directly if this is the main module
+if (process.argv[1].endsWith('raft-consensus.test.js')) {
+  runRaftConsensusTests().catch(error => {
+    console.error('Raft consensus test error:', error);
+    process.exit(1);
+  });
+}